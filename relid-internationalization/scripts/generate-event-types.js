@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+/**
+ * SDK Event Typedef Generator
+ *
+ * Regenerates www/src/uniken/types/rdnaEventTypes.js from RDNA_EVENT_SCHEMAS so
+ * the JSDoc payload types never drift from what RdnaEventManager validates.
+ *
+ * Usage:
+ *   npm run generate:event-types           # write the file
+ *   npm run generate:event-types -- --check  # exit 1 if the file is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const WWW_DIR = path.resolve(__dirname, '../www');
+const SOURCES = [
+  'src/uniken/utils/rdnaEventSchemas.js',
+  'src/uniken/utils/eventSchemaValidator.js'
+];
+const OUTPUT = path.join(WWW_DIR, 'src/uniken/types/rdnaEventTypes.js');
+
+/**
+ * Loads the schema scripts the way the WebView does (plain globals on window)
+ * @returns {string} Generated file contents
+ */
+function generateEventTypes() {
+  const context = vm.createContext({});
+  context.window = context;
+  SOURCES.forEach((source) => {
+    const file = path.join(WWW_DIR, source);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  });
+  return context.EventSchemaValidator.toJSDoc();
+}
+
+module.exports = { generateEventTypes, OUTPUT };
+
+if (require.main === module && !process.env.NODE_TEST_CONTEXT) {
+  const generated = generateEventTypes();
+  const relative = path.relative(process.cwd(), OUTPUT);
+
+  if (process.argv.includes('--check')) {
+    const current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, 'utf8') : '';
+    if (current !== generated) {
+      console.error(`${relative} is out of date - run: npm run generate:event-types`);
+      process.exit(1);
+    }
+    console.log(`${relative} is up to date`);
+  } else {
+    fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+    fs.writeFileSync(OUTPUT, generated);
+    console.log(`Wrote ${relative}`);
+  }
+}
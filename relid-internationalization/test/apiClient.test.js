@@ -0,0 +1,164 @@
+/**
+ * ApiClient - bearer token, retries, re-login on 401 and SDK step-up on 403,
+ * against the local backend stand-in
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('./harness/createApp');
+const { track, logIn } = require('./harness/flows');
+const { startApiStub } = require('./harness/apiStubServer');
+
+/**
+ * Lets real network I/O and the fake clock make progress until the check passes
+ * @param {number} [stepMs=0] - Fake time per round
+ */
+async function waitFor(app, check, stepMs = 0) {
+  for (let round = 0; round < 300 && !check(); round++) {
+    await app.flush(stepMs);
+    await new Promise((resolve) => setTimeout(resolve, 2));
+  }
+  assert.ok(check(), 'condition not reached');
+}
+
+test.describe('ApiClient', () => {
+  let app;
+  let api;
+  let apiClient;
+
+  test.beforeEach(async () => {
+    app = await createApp();
+    // Served without file I/O so initialize() runs on the fake clock
+    app.window.loadAgentInfo = async () => app.get('parseAgentInfo')(app.get('MOCK_AGENT_INFO'));
+    api = await startApiStub({ now: () => app.get('Date.now()') });
+    apiClient = app.get('ApiClient');
+    apiClient.configure({ baseUrl: api.url });
+    await logIn(app, app.get('rdnaService'));
+  });
+
+  test.afterEach(async () => {
+    await api.close();
+    app.close();
+  });
+
+  test('requests carry the session access token', async () => {
+    const profile = track(apiClient.get('/api/profile'));
+    await waitFor(app, () => profile.settled);
+
+    assert.equal(profile.value.sub, 'alice');
+    assert.equal(api.requests[0].headers.authorization, `Bearer ${app.get('TokenService').getAccessToken()}`);
+  });
+
+  test('transient failures are retried with backoff and Retry-After', async () => {
+    api.failNext(503, 2);
+    const profile = track(apiClient.get('/api/profile'));
+
+    await waitFor(app, () => api.requests.length === 1);
+    // First backoff is 500ms
+    await app.flush(499);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.equal(api.requests.length, 1);
+    await waitFor(app, () => api.requests.length === 2, 1);
+    // Second backoff is 1000ms
+    await app.flush(999);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.equal(api.requests.length, 2);
+    await waitFor(app, () => profile.settled, 1);
+    assert.equal(profile.value.sub, 'alice');
+
+    api.failNext(429, 1, { 'Retry-After': '3' });
+    const again = track(apiClient.get('/api/profile'));
+    await waitFor(app, () => api.requests.length === 4);
+    await app.flush(2999);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.equal(api.requests.length, 4);
+    await waitFor(app, () => again.settled, 1);
+    assert.equal(again.value.sub, 'alice');
+  });
+
+  test('POST is retried only when asked, and retries stop at maxRetries', async () => {
+    api.failNext(503, 1);
+    const transfer = track(apiClient.post('/api/transfers', { amount: 5 }));
+    await waitFor(app, () => transfer.settled, 100);
+    assert.equal(transfer.error.type, 'http');
+    assert.equal(transfer.error.status, 503);
+    assert.equal(transfer.error.getUserMessage('en'), 'The server could not process the request. Please try again later.');
+    assert.equal(api.requests.length, 1);
+
+    apiClient.configure({ maxRetries: 2 });
+    api.failNext(502, 5);
+    const profile = track(apiClient.get('/api/profile'));
+    await waitFor(app, () => profile.settled, 100);
+    assert.equal(profile.error.status, 502);
+    assert.equal(api.requests.length, 4);
+  });
+
+  test('403 insufficient auth level steps up through the SDK and retries signed', async () => {
+    const transfer = track(apiClient.post('/api/transfers', { amount: 250 }));
+    await waitFor(app, () => transfer.settled, 100);
+
+    assert.equal(transfer.value.amount, 250);
+    assert.match(transfer.value.transferId, /^transfer-/);
+    assert.equal(api.requests.length, 2);
+    assert.equal(api.requests[0].headers['x-relid-signature'], undefined);
+
+    const signed = api.requests[1].headers;
+    const payload = JSON.parse(Buffer.from(signed['x-relid-signed-payload'], 'base64url').toString('utf8'));
+    assert.deepEqual(payload, { method: 'POST', path: '/api/transfers', challenge: 'challenge-1' });
+    assert.equal(signed['x-relid-signature'], Buffer.from(`mock-signature:${JSON.stringify(payload)}`).toString('base64'));
+    assert.match(signed['x-relid-signature-id'], /^mock-signature-/);
+
+    assert.equal(app.get('DataSigningSetupAuthManager').isActive(), false);
+    assert.equal(app.get('rdnaService').getInFlightOperation(), null);
+  });
+
+  test('a cancelled step-up password dialog fails the request and stays on the screen', async () => {
+    const mock = app.get('RdnaClientMock');
+    mock.registerScenario({
+      name: 'sign-with-password',
+      reactions: {
+        authenticateUserAndSignData: [{ emit: [{ event: 'getPassword', data: { challengeMode: 12 } }] }]
+      }
+    });
+    mock.activate('sign-with-password');
+
+    const transfer = track(apiClient.post('/api/transfers', { amount: 250 }));
+    await waitFor(app, () => app.document.getElementById('data-signing-password-modal').style.display !== 'none', 100);
+
+    app.get('DataSigningSetupAuthManager').handleCancel();
+    await waitFor(app, () => transfer.settled, 100);
+
+    assert.equal(transfer.error.type, 'stepUp');
+    assert.equal(transfer.error.cause.type, 'cancelled');
+    assert.equal(transfer.error.getUserMessage('en'), 'The operation was cancelled.');
+    assert.equal(api.requests.length, 1);
+    assert.equal(app.get('NavigationService').getCurrentRoute(), 'Dashboard');
+  });
+
+  test('401 logs the user off once and the SDK returns to login', async () => {
+    api.revokeTokens();
+    const first = track(apiClient.get('/api/profile'));
+    const second = track(apiClient.get('/api/profile'));
+    await waitFor(app, () => first.settled && second.settled);
+
+    assert.equal(first.error.type, 'unauthorized');
+    assert.equal(first.error.getUserMessage('en'), 'Your session has expired. Please log in again.');
+    assert.equal(second.error.status, 401);
+    assert.deepEqual(app.alerts, ['Session Expired\n\nYour session is no longer valid. Please log in again.']);
+
+    await app.flush(1000);
+    assert.equal(app.get('NavigationService').getCurrentRoute(), 'CheckUser');
+  });
+
+  test('without a session token nothing is sent, unless auth is off', async () => {
+    app.get('SDKEventProvider').clearSessionParams();
+
+    await assert.rejects(apiClient.get('/api/profile'), (error) => error.type === 'unauthorized');
+    assert.equal(api.requests.length, 0);
+
+    const status = track(apiClient.get('/api/public', { auth: false }));
+    await waitFor(app, () => status.settled);
+    assert.equal(status.value.status, 'ok');
+    assert.equal(api.requests[0].headers.authorization, undefined);
+  });
+});
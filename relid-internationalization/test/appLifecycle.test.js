@@ -0,0 +1,149 @@
+/**
+ * AppLifecycleManager - Cordova pause/resume blurs sensitive screens and
+ * revalidates the session and SDK when the app comes back
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('./harness/createApp');
+const { track, logIn } = require('./harness/flows');
+
+/**
+ * Advances the clock in steps so async chains spanning several events make progress
+ */
+async function flushSteps(app, ms) {
+  for (let elapsed = 0; elapsed < ms; elapsed += 100) {
+    await app.flush(100);
+  }
+}
+
+test.describe('App lifecycle', () => {
+  let app;
+  let rdnaService;
+  let resumed;
+
+  test.beforeEach(async () => {
+    app = await createApp();
+    // Served without file I/O so initialize() runs on the fake clock
+    app.window.loadAgentInfo = async () => app.get('parseAgentInfo')(app.get('MOCK_AGENT_INFO'));
+    rdnaService = app.get('rdnaService');
+    resumed = [];
+    app.document.addEventListener('appResumed', (event) => resumed.push(event.detail));
+  });
+
+  test.afterEach(() => app.close());
+
+  function pause() {
+    app.document.dispatchEvent(new app.window.Event('pause'));
+  }
+
+  function resume() {
+    app.document.dispatchEvent(new app.window.Event('resume'));
+  }
+
+  test('sensitive screens are blurred in the background and a live session is kept', async () => {
+    await logIn(app, rdnaService);
+    const navigation = app.get('NavigationService');
+    const content = app.document.getElementById('app-content');
+
+    navigation.navigate('DataSigningResult', {});
+    await app.flush(0);
+    pause();
+    assert.equal(content.classList.contains('app-privacy-blur'), true);
+
+    await app.flush(60000);
+    resume();
+    assert.equal(content.classList.contains('app-privacy-blur'), false);
+    await app.flush(0);
+
+    assert.equal(resumed.length, 1);
+    assert.equal(resumed[0].action, 'none');
+    assert.equal(resumed[0].backgroundMs, 60000);
+    assert.equal(navigation.getCurrentRoute(), 'DataSigningResult');
+    assert.equal(app.alerts.length, 0);
+  });
+
+  test('other screens are not blurred, and the blur can be turned off', async () => {
+    await logIn(app, rdnaService);
+    const content = app.document.getElementById('app-content');
+
+    pause();
+    assert.equal(content.classList.contains('app-privacy-blur'), false);
+    resume();
+    await app.flush(0);
+
+    app.get('NavigationService').navigate('DataSigningResult', {});
+    await app.flush(0);
+    app.get('AppLifecycleManager').blurSensitiveScreens = false;
+    pause();
+    assert.equal(content.classList.contains('app-privacy-blur'), false);
+    resume();
+    await app.flush(0);
+  });
+
+  test('a session that ended in the background returns to TutorialHome', async () => {
+    await logIn(app, rdnaService);
+    const navigation = app.get('NavigationService');
+    assert.equal(navigation.getCurrentRoute(), 'Dashboard');
+
+    pause();
+    app.get('SDKEventProvider').clearSessionParams();
+    resume();
+    await app.flush(0);
+
+    assert.equal(navigation.getCurrentRoute(), 'TutorialHome');
+    assert.equal(resumed[0].action, 'home');
+  });
+
+  test('a lost SDK session is re-initialized after the user is told', async () => {
+    await app.boot();
+    await logIn(app, rdnaService);
+    const client = app.get('com.uniken.rdnaplugin.RdnaClient');
+    const failed = JSON.stringify({ error: { longErrorCode: 146, shortErrorCode: 0, errorString: 'Session not found' } });
+    client.getDeviceAuthenticationDetails = (success, failure) => failure(failed);
+    client.logOff = (success, failure) => failure(failed);
+    client.terminate = (success, failure) => failure(failed);
+
+    pause();
+    resume();
+    await flushSteps(app, 3000);
+
+    assert.equal(app.alerts.length, 1);
+    assert.match(app.alerts[0], /^Session Ended/);
+    assert.equal(resumed[0].action, 'reinitialize');
+    assert.equal(rdnaService.isInitialized(), true);
+    assert.equal(Object.keys(app.get('SDKEventProvider').getSessionParams()).length, 0);
+    assert.equal(app.get('NavigationService').getCurrentRoute(), 'CheckUser');
+  });
+
+  test('an SDK that does not answer the probe counts as lost', async () => {
+    await logIn(app, rdnaService);
+    app.get('com.uniken.rdnaplugin.RdnaClient').getDeviceAuthenticationDetails = () => {};
+    const manager = app.get('AppLifecycleManager');
+
+    const alive = track(manager.isSdkAlive());
+    await app.flush(manager.LIVENESS_TIMEOUT_MS - 1);
+    assert.equal(alive.settled, false);
+    await app.flush(1);
+    assert.equal(alive.value, false);
+  });
+
+  test('GetNotifications reloads its list after a resume', async () => {
+    await logIn(app, rdnaService);
+    app.get('NavigationService').navigate('GetNotifications', app.get('SDKEventProvider').getSessionParams());
+    await app.flush(1000);
+
+    const client = app.get('com.uniken.rdnaplugin.RdnaClient');
+    const original = client.getNotifications;
+    let calls = 0;
+    client.getNotifications = (success, failure, args) => {
+      calls++;
+      return original(success, failure, args);
+    };
+
+    pause();
+    resume();
+    await app.flush(1000);
+    assert.equal(calls, 1);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * AuthFlowStateMachine - transitions, rejected challenges, event log and debug overlay
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('./harness/createApp');
+
+test.describe('AuthFlowStateMachine', () => {
+  let app;
+  let machine;
+
+  test.beforeEach(async () => {
+    app = await createApp();
+    machine = app.get('AuthFlowStateMachine');
+  });
+
+  test.afterEach(() => app.close());
+
+  test('follows the login flow from uninitialized to logged-in', () => {
+    assert.equal(machine.getState(), 'uninitialized');
+
+    app.emit('onInitializeProgress', {});
+    assert.equal(machine.getState(), 'initializing');
+
+    app.emit('getUser', {});
+    assert.equal(machine.getState(), 'awaiting-user');
+
+    app.emit('getPassword', { userID: 'alice', challengeMode: 0, attemptsLeft: 3 });
+    assert.equal(machine.getState(), 'awaiting-password');
+
+    app.emit('onUserLoggedIn', { userID: 'alice' });
+    assert.equal(machine.getState(), 'logged-in');
+
+    const outcomes = Array.from(machine.getEventLog()).map((entry) => entry.outcome);
+    assert.deepEqual(Array.from(new Set(outcomes)), ['ok']);
+  });
+
+  test('rejects a step-up challenge while logged out', () => {
+    const stepUp = app.get('StepUpAuthManager');
+    const shown = [];
+    stepUp.showPasswordDialog = (data) => shown.push(data.challengeMode);
+
+    app.emit('getUser', {});
+    app.emit('getPassword', { userID: 'alice', challengeMode: 3, attemptsLeft: 3 });
+
+    assert.deepEqual(shown, []);
+    assert.equal(machine.getState(), 'awaiting-user');
+
+    const last = machine.getEventLog().pop();
+    assert.equal(last.outcome, 'rejected');
+    assert.equal(last.challengeMode, 3);
+  });
+
+  test('follows the SDK through an illegal transition and logs it', () => {
+    app.emit('getUser', {});
+    app.emit('onUserLoggedOff', {});
+
+    assert.equal(machine.getState(), 'awaiting-user');
+    assert.equal(machine.getEventLog().pop().outcome, 'illegal');
+  });
+
+  test('step-up cancel returns to logged-in and broadcasts the change', () => {
+    const changes = [];
+    app.document.addEventListener('authFlowStateChanged', (e) => changes.push(e.detail.to));
+
+    machine.dispatch('onUserLoggedIn', { userID: 'alice' });
+    app.get('StepUpAuthManager').showPasswordDialog = () => {};
+    app.emit('getPassword', { userID: 'alice', challengeMode: 3, attemptsLeft: 3 });
+    assert.equal(machine.getState(), 'step-up-pending');
+
+    machine.dispatch('stepUpCancelled');
+
+    assert.equal(machine.getState(), 'logged-in');
+    assert.deepEqual(changes, ['logged-in', 'step-up-pending', 'logged-in']);
+  });
+
+  test('keeps only the last 50 events', () => {
+    for (let i = 0; i < 60; i++) {
+      app.emit('getUser', {});
+    }
+
+    assert.equal(machine.getEventLog().length, 50);
+  });
+
+  test('overlay shows the current state and toggles off', () => {
+    app.emit('getUser', {});
+
+    machine.toggleOverlay();
+    assert.equal(app.document.getElementById('auth-flow-overlay-state').textContent, 'awaiting-user');
+    assert.equal(app.document.querySelectorAll('#auth-flow-overlay .auth-flow-event').length, 1);
+
+    app.emit('getActivationCode', { userID: 'alice', attemptsLeft: 3 });
+    assert.equal(app.document.getElementById('auth-flow-overlay-state').textContent, 'activating');
+
+    app.document.getElementById('auth-flow-overlay-close').click();
+    assert.equal(app.document.getElementById('auth-flow-overlay'), null);
+    assert.equal(machine.isOverlayVisible(), false);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * ChallengeRouter - registration, fallbacks, introspection and the unsupported challenge screen
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('./harness/createApp');
+
+test.describe('ChallengeRouter', () => {
+  let app;
+  let router;
+
+  test.beforeEach(async () => {
+    app = await createApp();
+    router = app.get('ChallengeRouter');
+  });
+
+  test.afterEach(() => app.close());
+
+  test('feature modules register their own challenge modes', () => {
+    const sources = Array.from(router.describe())
+      .filter((row) => row.eventName === 'getPassword')
+      .map((row) => [row.challengeMode, row.kind, row.source]);
+
+    assert.deepEqual(sources, [
+      [0, 'route', 'SDKEventProvider'],
+      [1, 'route', 'SDKEventProvider'],
+      [2, 'route', 'SDKEventProvider'],
+      [3, 'dialog', 'StepUpAuthManager'],
+      [4, 'route', 'SDKEventProvider'],
+      [5, 'dialog', 'LDAToggleAuthDialog'],
+      [12, 'dialog', 'DataSigningSetupAuthManager'],
+      [14, 'dialog', 'LDAToggleAuthDialog'],
+      [15, 'dialog', 'LDAToggleAuthDialog']
+    ]);
+
+    const fallback = router.describe().find((row) => row.challengeMode === '*');
+    assert.deepEqual(
+      [fallback.eventName, fallback.target],
+      ['getUserConsentForLDA', 'UserLDAConsent']
+    );
+  });
+
+  test('a newly registered mode is handled without touching SDKEventProvider', () => {
+    const handled = [];
+    router.register('getPassword', 42, { source: 'test', handle: (data) => handled.push(data.userID) });
+
+    app.emit('getPassword', { userID: 'alice', challengeMode: 42, attemptsLeft: 3 });
+
+    assert.deepEqual(handled, ['alice']);
+    assert.equal(app.get('NavigationService').getCurrentRoute(), null);
+    assert.equal(router.hasHandler('getPassword', 42), true);
+
+    router.unregister('getPassword', 42);
+    assert.equal(router.hasHandler('getPassword', 42), false);
+  });
+
+  test('rejects handlers that are neither route, dialog nor function', () => {
+    assert.throws(() => router.register('getPassword', 7, { source: 'test' }), /Invalid handler/);
+  });
+
+  test('LDA toggle re-trigger updates the open dialog instead of reopening it', () => {
+    const dialog = app.get('LDAToggleAuthDialog');
+    const calls = [];
+    dialog.show = (data) => calls.push(['show', data.challengeMode]);
+    dialog.update = (changes) => calls.push(['update', changes.attemptsLeft]);
+    dialog.visible = true;
+    dialog.challengeMode = 15;
+    app.get('AuthFlowStateMachine').dispatch('onUserLoggedIn', { userID: 'alice' });
+
+    app.emit('getPassword', { userID: 'alice', challengeMode: 15, attemptsLeft: 2 });
+
+    assert.deepEqual(calls, [['update', 2]]);
+  });
+
+  test('Start Over on the unsupported challenge screen resets the auth state', async () => {
+    app.emit('getPassword', { userID: 'alice', challengeMode: 99, attemptsLeft: 3 });
+    assert.equal(app.get('NavigationService').getCurrentRoute(), 'UnsupportedChallenge');
+
+    app.document.getElementById('unsupported-reset-btn').click();
+    assert.equal(app.document.getElementById('unsupported-reset-btn').disabled, true);
+
+    await app.flush(1000);
+
+    assert.equal(app.get('NavigationService').getCurrentRoute(), 'CheckUser');
+  });
+});
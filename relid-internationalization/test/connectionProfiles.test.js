@@ -0,0 +1,101 @@
+/**
+ * Connection profiles - every RelId/Profile pair from agent_info.json, selection and display
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('./harness/createApp');
+
+const AGENT_INFO = {
+  RelIds: [
+    { Name: 'dev', RelId: 'RELID-DEV' },
+    { Name: 'qa', RelId: 'RELID-QA' },
+    { Name: 'broken' },
+    { Name: 'uat', RelId: 'RELID-UAT' }
+  ],
+  Profiles: [
+    { Name: 'dev', Host: 'dev.example.com', Port: '4443' },
+    { Name: 'qa', Host: 'qa.example.com', Port: 443 },
+    { Name: 'uat', Host: 'uat.example.com', Port: 'not-a-port' }
+  ]
+};
+
+test.describe('Connection profiles', () => {
+  let app;
+  let manager;
+
+  test.beforeEach(async () => {
+    app = await createApp();
+    app.window.loadAgentInfo = async () => app.get('parseAgentInfo')(AGENT_INFO);
+    manager = app.get('ConnectionProfileManager');
+  });
+
+  test.afterEach(() => app.close());
+
+  test('parseAgentInfo returns every valid pair and skips the rest', () => {
+    const profiles = Array.from(app.get('parseAgentInfo')(AGENT_INFO)).map((profile) => ({ ...profile }));
+
+    assert.deepEqual(profiles, [
+      { name: 'dev', relId: 'RELID-DEV', host: 'dev.example.com', port: 4443 },
+      { name: 'qa', relId: 'RELID-QA', host: 'qa.example.com', port: 443 }
+    ]);
+    assert.throws(
+      () => app.get('parseAgentInfo')({ RelIds: [{ Name: 'x', RelId: 'R' }], Profiles: [{ Name: 'y', Host: 'h', Port: 1 }] }),
+      /No matching profile found for RelId name: x/
+    );
+  });
+
+  test('selectProfile persists the choice and initialize() connects to it', async () => {
+    await manager.load();
+    assert.equal(manager.getSelectedProfile().name, 'dev');
+
+    await manager.selectProfile('qa');
+    assert.equal(app.window.localStorage.getItem('tutorial_app_connection_profile'), 'qa');
+    await assert.rejects(manager.selectProfile('prod'), /Unknown connection profile: prod/);
+
+    const calls = [];
+    const client = app.get('com.uniken.rdnaplugin.RdnaClient');
+    const originalInitialize = client.initialize;
+    client.initialize = (success, failure, args) => {
+      calls.push([args[0], args[1], args[2]]);
+      return originalInitialize(success, failure, args);
+    };
+
+    const pending = app.get('rdnaService').initialize();
+    await app.flush(100);
+    await pending;
+    assert.deepEqual(calls, [['RELID-QA', 'qa.example.com', 443]]);
+  });
+
+  test('stored selection survives a reload and falls back when it disappears', async () => {
+    app.window.localStorage.setItem('tutorial_app_connection_profile', 'qa');
+    await manager.load();
+    assert.equal(manager.getSelectedProfile().name, 'qa');
+
+    app.window.localStorage.setItem('tutorial_app_connection_profile', 'removed');
+    await manager.load(true);
+    assert.equal(manager.getSelectedProfile().name, 'dev');
+  });
+
+  test('home screen picker, Dashboard and drawer show the selection', async () => {
+    const nav = app.get('NavigationService');
+    nav.initializeDrawer();
+    nav.navigate('TutorialHome');
+    await app.flush();
+
+    const select = app.document.getElementById('connection-profile-select');
+    assert.deepEqual(Array.from(select.options).map((option) => option.value), ['dev', 'qa']);
+    assert.equal(select.disabled, false);
+
+    select.value = 'qa';
+    select.dispatchEvent(new app.window.Event('change'));
+    await app.flush();
+
+    assert.equal(manager.getSelectedProfile().name, 'qa');
+    assert.equal(app.document.getElementById('connection-profile-details').textContent, 'qa.example.com:443');
+    assert.equal(app.document.getElementById('drawer-connection-profile-name').textContent, 'qa (qa.example.com:443)');
+
+    app.emit('onUserLoggedIn', { userID: 'alice' });
+    assert.equal(app.document.getElementById('dashboard-connection-profile').textContent, 'qa (qa.example.com:443)');
+  });
+});
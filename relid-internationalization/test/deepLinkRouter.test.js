@@ -0,0 +1,111 @@
+/**
+ * DeepLinkRouter - parsing, validation and deferral until the flow can take the link
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('./harness/createApp');
+
+const NOTIFICATION_UUID = '6f1c2a3e-0002-4c3b-9a6d-5e1f00000002';
+
+test.describe('DeepLinkRouter', () => {
+  let app;
+  let router;
+
+  test.beforeEach(async () => {
+    app = await createApp();
+    router = app.get('DeepLinkRouter');
+    router.initialize();
+  });
+
+  test.afterEach(() => app.close());
+
+  const logIn = async () => {
+    app.emit('getUser', {});
+    app.emit('onUserLoggedIn', { userID: 'alice' });
+    await app.flush(1000);
+  };
+
+  test('parses and validates supported links', () => {
+    assert.deepEqual(
+      { ...router.parse(`relidcodelab://notifications/${NOTIFICATION_UUID}`).params },
+      { notificationUUID: NOTIFICATION_UUID }
+    );
+    assert.deepEqual(
+      { ...router.parse('relidcodelab://activate?user=alice&code=XYZ123').params },
+      { userID: 'alice', activationCode: 'XYZ123' }
+    );
+    assert.equal(router.parse('relidcodelab://sign?payload=Pay%20%2410').params.payload, 'Pay $10');
+
+    assert.throws(() => router.parse('relidcodelab://notifications/not-a-uuid'), /notification ID/);
+    assert.throws(() => router.parse('relidcodelab://activate?user=alice'), /activation code/);
+    assert.throws(() => router.parse('relidcodelab://sign?payload=' + 'x'.repeat(501)), /500/);
+    assert.throws(() => router.parse('relidcodelab://settings'), /Unknown link/);
+    assert.throws(() => router.parse('https://example.com/notifications'), /Only relidcodelab/);
+  });
+
+  test('parses links without relying on the WebView URL parser', () => {
+    // Chromium WebViews before ~130: non-web schemes have an empty host and an opaque path
+    app.window.URL = class {
+      constructor(url) {
+        this.href = url;
+        this.protocol = `${url.split(':')[0]}:`;
+        this.hostname = '';
+        this.pathname = url.slice(this.protocol.length).split('?')[0];
+        this.searchParams = new app.window.URLSearchParams(url.split('?')[1] || '');
+      }
+    };
+    assert.equal(app.get(`new URL('relidcodelab://notifications/${NOTIFICATION_UUID}').hostname`), '');
+
+    assert.deepEqual(
+      { ...router.parse(`relidcodelab://notifications/${NOTIFICATION_UUID}`).params },
+      { notificationUUID: NOTIFICATION_UUID }
+    );
+    assert.equal(router.parse('RelidCodeLab://Activate?user=alice&code=XYZ123#top').params.activationCode, 'XYZ123');
+    assert.equal(router.parse('relidcodelab://sign/?payload=Pay%20%2410').params.payload, 'Pay $10');
+    assert.throws(() => router.parse('relidcodelab://'), /Unknown link ""/);
+    assert.throws(() => router.parse(`relidcodelab:notifications/${NOTIFICATION_UUID}`), /Only relidcodelab:\/\/ links/);
+    assert.throws(() => router.parse(`relidcodelab:/notifications/${NOTIFICATION_UUID}`), /Only relidcodelab:\/\/ links/);
+    assert.throws(() => router.parse(`relidcodelab:///notifications/${NOTIFICATION_UUID}`), /Only relidcodelab:\/\/ links/);
+    assert.throws(() => router.parse('notifications/42'), /not a valid URL/);
+    assert.throws(() => router.parse('relidcodelab://notifications/%E0%A4%A'), /not a valid URL/);
+  });
+
+  test('invalid links are reported and not kept', () => {
+    assert.equal(router.handleUrl('relidcodelab://notifications/42'), 'invalid');
+    assert.equal(router.getPendingLink(), null);
+    assert.match(app.alerts[0], /^Invalid Link/);
+  });
+
+  test('notification link waits for login, then opens the action modal', async () => {
+    assert.equal(router.handleUrl(`relidcodelab://notifications/${NOTIFICATION_UUID}`), 'deferred');
+    assert.equal(app.get('NavigationService').getCurrentRoute(), null);
+
+    await logIn();
+
+    assert.equal(app.get('NavigationService').getCurrentRoute(), 'GetNotifications');
+    assert.equal(app.get('GetNotificationsScreen').currentNotification.notification_uuid, NOTIFICATION_UUID);
+    assert.equal(app.document.getElementById('notification-action-modal').style.display, 'flex');
+    assert.equal(app.get('SDKEventProvider').getSessionParams().notificationUUID, undefined);
+  });
+
+  test('sign link opens DataSigningInput with the payload while logged in', async () => {
+    await logIn();
+
+    assert.equal(router.handleUrl('relidcodelab://sign?payload=Transfer%20100'), 'opened');
+
+    assert.equal(app.get('NavigationService').getCurrentRoute(), 'DataSigningInput');
+    assert.equal(app.document.getElementById('data-signing-payload').value, 'Transfer 100');
+  });
+
+  test('activate link submits the user and prefills the activation code', async () => {
+    app.get('RdnaClientMock').activate('fresh-activation');
+    app.emit('getUser', {});
+
+    assert.equal(router.handleUrl('relidcodelab://activate?user=alice&code=123456'), 'opened');
+    await app.flush(1000);
+
+    assert.equal(app.get('NavigationService').getCurrentRoute(), 'ActivationCode');
+    assert.equal(app.document.getElementById('activation-code-input').value, '123456');
+  });
+});
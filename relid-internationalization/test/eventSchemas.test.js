@@ -0,0 +1,118 @@
+/**
+ * Event payload schemas - validation before dispatch and generated typedefs
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { createApp } = require('./harness/createApp');
+const { generateEventTypes, OUTPUT } = require('../scripts/generate-event-types');
+
+test.describe('Event payload schemas', () => {
+  let app;
+  let validator;
+  let errorLines;
+
+  test.beforeEach(async () => {
+    app = await createApp();
+    validator = app.get('EventSchemaValidator');
+    errorLines = [];
+    app.get('Logger').addSink((level, line) => {
+      if (level === 'error') errorLines.push(line);
+    });
+  });
+
+  test.afterEach(() => {
+    validator.setMode(null);
+    app.close();
+  });
+
+  test('every mock event template matches its schema', () => {
+    const templates = app.get('MOCK_EVENT_TEMPLATES');
+    const state = app.get('RdnaClientMock').state;
+
+    Object.keys(app.get('RDNA_EVENT_SCHEMAS')).forEach((eventName) => {
+      const template = templates[eventName](state);
+      const payload = typeof template === 'string' ? { message: template, userID: null } : template;
+      const errors = validator.validate(eventName, payload);
+      assert.equal(errors.length, 0, validator.formatErrors(eventName, errors));
+    });
+    assert.equal(validator.validate('onTerminateWithThreats', [{ threatId: 7 }]).length, 0);
+  });
+
+  test('development mode logs every mismatch by path and still dispatches', () => {
+    validator.setMode('development');
+    const received = [];
+    app.get('rdnaService').getEventManager().on('getPassword', (data) => received.push(data));
+
+    app.emit('getPassword', { challengeMode: '1', challengeResponse: { session: { sessionID: 42 } } });
+
+    assert.equal(received.length, 1);
+    assert.equal(errorLines.length, 1);
+    assert.match(errorLines[0], /getPassword payload does not match its schema \(2 problems\)/);
+    assert.match(errorLines[0], / {2}challengeMode - expected integer, got string/);
+    assert.match(errorLines[0], / {2}challengeResponse\.session\.sessionID - expected string, got integer/);
+  });
+
+  test('production mode drops the payload and emits onEventPayloadInvalid', () => {
+    validator.setMode('production');
+    const eventManager = app.get('rdnaService').getEventManager();
+    const received = [];
+    const invalid = [];
+    eventManager.on('getPassword', (data) => received.push(data));
+    eventManager.on('onEventPayloadInvalid', (data) => invalid.push(data));
+
+    app.emit('getPassword', { userID: 7 });
+
+    assert.equal(received.length, 0);
+    assert.equal(invalid.length, 1);
+    assert.equal(invalid[0].eventName, 'getPassword');
+    assert.deepEqual(Array.from(invalid[0].errors, (error) => error.path), ['userID']);
+    assert.equal(invalid[0].error.type, 'payload');
+    assert.equal(invalid[0].error.messageId, 'unexpectedResponse');
+    assert.match(app.alerts.at(-1), /^Unexpected Response\n\nThe app received an unexpected response/);
+  });
+
+  test('an awaited call rejects with the payload error in production mode', async () => {
+    validator.setMode('production');
+    let outcome = null;
+    app.get('rdnaService').fetchNotifications().then(
+      (value) => { outcome = { value }; },
+      (error) => { outcome = { error }; }
+    );
+    await app.flush(0);
+
+    app.emit('onGetNotifications', { pArgs: { response: { ResponseData: { notifications: 'none' } } } });
+    await app.flush(0);
+
+    assert.equal(outcome.error.type, 'payload');
+    assert.equal(outcome.error.eventName, 'onGetNotifications');
+    // Server-backed events are reported by the awaiting screen, not by an extra alert
+    assert.equal(app.alerts.length, 0);
+    await app.flush(400);
+  });
+
+  test('fields that only exist on success are required through if/then', () => {
+    const failed = {
+      status: { statusCode: 100 },
+      error: { longErrorCode: 131, shortErrorCode: 0, errorString: 'Cancelled' }
+    };
+    assert.equal(validator.validate('onAuthenticateUserAndSignData', failed).length, 0);
+
+    const succeeded = { ...failed, error: { longErrorCode: 0 } };
+    assert.deepEqual(
+      Array.from(validator.validate('onAuthenticateUserAndSignData', succeeded), (error) => error.path),
+      ['payloadSignature', 'dataSignatureID']
+    );
+
+    const [missing] = validator.validate('onGetRegistredDeviceDetails', { error: { longErrorCode: 0 } });
+    assert.equal(`${missing.path} ${missing.message}`, 'pArgs is required');
+  });
+
+  test('the generated typedef file is up to date', () => {
+    const current = fs.readFileSync(OUTPUT, 'utf8');
+    assert.equal(current, generateEventTypes(), 'run: npm run generate:event-types');
+    assert.match(current, /@typedef \{Object\} RDNAGetPasswordData/);
+    assert.match(current, /@property \{number\} challengeMode/);
+  });
+});
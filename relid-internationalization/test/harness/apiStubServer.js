@@ -0,0 +1,204 @@
+/**
+ * Backend API Stand-in
+ *
+ * Minimal HTTP backend for verifying ApiClient without a real server. Checks the
+ * bearer token the way a resource server would (JWT exp claim), answers the
+ * step-up protocol described in www/src/uniken/services/apiClient.js and keeps
+ * every request it received.
+ *
+ * Routes:
+ *   GET  /api/profile    - 200 { sub } with a valid bearer token
+ *   POST /api/transfers  - 403 insufficient_auth_level until the request carries a
+ *                          signature over the issued challenge, then 201
+ *   GET  /api/public     - 200, no token needed
+ *
+ * In tests:
+ *   const api = await startApiStub({ now: () => app.get('Date.now()') });
+ *   ApiClient.configure({ baseUrl: api.url });
+ *   api.failNext(503, 2);           // transient failures
+ *   api.revokeTokens();             // every token gets 401 from now on
+ *   ...
+ *   await api.close();
+ *
+ * From a shell (device or emulator pointed at this machine):
+ *   node test/harness/apiStubServer.js [port]     # default 8787, prints each request
+ *   Android emulator: ApiClient.configure({ baseUrl: 'http://10.0.2.2:8787' })
+ */
+
+const http = require('http');
+
+/**
+ * Decodes the claims of a base64url JWT, null when it is not one
+ */
+function decodeClaims(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+  try {
+    return JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - 0 picks a free port
+ * @param {string} [options.host='127.0.0.1']
+ * @param {Function} [options.onRequest] - Called with each recorded request
+ * @param {Function} [options.now=Date.now] - Clock for the exp check (the app's fake clock in tests)
+ * @returns {Promise<Object>} { url, requests, failNext(status, times, headers), revokeTokens(), close() }
+ */
+function startApiStub({ port = 0, host = '127.0.0.1', onRequest, now = Date.now } = {}) {
+  const requests = [];
+  const challenges = new Set();
+  let failures = [];
+  let tokensRevoked = false;
+  let nextId = 1;
+
+  const cors = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-RELID-Signed-Payload, X-RELID-Signature, X-RELID-Signature-ID',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Expose-Headers': 'WWW-Authenticate, Retry-After'
+  };
+
+  const send = (response, status, body, headers = {}) => {
+    response.writeHead(status, { ...cors, 'Content-Type': 'application/json', ...headers });
+    response.end(body === undefined ? '' : JSON.stringify(body));
+  };
+
+  /**
+   * Bearer token check - the claims, or null after answering 401
+   */
+  const authenticate = (request, response) => {
+    const [scheme, token] = (request.headers.authorization || '').split(' ');
+    const claims = scheme === 'Bearer' ? decodeClaims(token) : null;
+    const expired = claims && typeof claims.exp === 'number' && claims.exp * 1000 <= now();
+
+    if (!claims || expired || tokensRevoked) {
+      send(response, 401, { error: 'invalid_token' }, { 'WWW-Authenticate': 'Bearer error="invalid_token"' });
+      return null;
+    }
+    return claims;
+  };
+
+  /**
+   * True when the signed payload names this request and a challenge this server issued
+   */
+  const hasValidSignature = (request) => {
+    const signature = request.headers['x-relid-signature'];
+    const encodedPayload = request.headers['x-relid-signed-payload'];
+    if (!signature || !encodedPayload || !request.headers['x-relid-signature-id']) return false;
+
+    let signed;
+    try {
+      signed = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return false;
+    }
+    if (signed.method !== request.method || signed.path !== request.url || !challenges.has(signed.challenge)) {
+      return false;
+    }
+    // One use per challenge
+    challenges.delete(signed.challenge);
+    return true;
+  };
+
+  const server = http.createServer((request, response) => {
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204, cors);
+      response.end();
+      return;
+    }
+
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', (chunk) => { body += chunk; });
+    request.on('end', () => {
+      const record = { method: request.method, url: request.url, headers: request.headers, body };
+      requests.push(record);
+      if (onRequest) onRequest(record);
+
+      if (failures.length > 0) {
+        const failure = failures.shift();
+        send(response, failure.status, { error: 'unavailable' }, failure.headers);
+        return;
+      }
+
+      const route = `${request.method} ${request.url}`;
+
+      if (route === 'GET /api/public') {
+        send(response, 200, { status: 'ok' });
+        return;
+      }
+
+      if (route === 'GET /api/profile') {
+        const claims = authenticate(request, response);
+        if (claims) send(response, 200, { sub: claims.sub, scope: claims.scope || '' });
+        return;
+      }
+
+      if (route === 'POST /api/transfers') {
+        if (!authenticate(request, response)) return;
+
+        if (!hasValidSignature(request)) {
+          const challenge = `challenge-${nextId++}`;
+          challenges.add(challenge);
+          send(response, 403, { error: 'insufficient_auth_level', requiredAuthLevel: 4, challenge }, {
+            'WWW-Authenticate': 'Bearer error="insufficient_user_authentication"'
+          });
+          return;
+        }
+
+        send(response, 201, { transferId: `transfer-${nextId++}`, ...JSON.parse(body || '{}') });
+        return;
+      }
+
+      send(response, 404, { error: 'not_found' });
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+      resolve({
+        url: `http://${host}:${address.port}`,
+        requests,
+
+        /**
+         * Answer the next requests with an error status (simulates an overloaded backend)
+         * @param {number} [status=503]
+         * @param {number} [times=1]
+         * @param {Object} [headers] - e.g. { 'Retry-After': '1' }
+         */
+        failNext(status = 503, times = 1, headers = {}) {
+          failures = failures.concat(new Array(times).fill({ status, headers }));
+        },
+
+        /**
+         * Reject every bearer token from now on (server-side logout)
+         */
+        revokeTokens() {
+          tokensRevoked = true;
+        },
+
+        close() {
+          return new Promise((done) => server.close(() => done()));
+        }
+      });
+    });
+  });
+}
+
+module.exports = { startApiStub };
+
+// node --test also runs harness files - only listen when started by hand
+if (require.main === module && !process.env.NODE_TEST_CONTEXT) {
+  const port = Number(process.argv[2]) || 8787;
+  startApiStub({
+    port,
+    host: '0.0.0.0',
+    onRequest: (request) => console.log(request.method, request.url, request.headers.authorization ? '(bearer)' : '(anonymous)')
+  }).then(() => console.log(`Backend API stand-in listening on http://0.0.0.0:${port}/api`));
+}
@@ -0,0 +1,171 @@
+/**
+ * Headless App Harness
+ *
+ * Loads www/index.html into jsdom and runs every script it references, in order,
+ * inside the same global scope the WebView would use. cordova.js is absent, so
+ * src/uniken/mock/RdnaClientMock.js installs itself as com.uniken.rdnaplugin.RdnaClient
+ * and tests drive the app by firing SDK events through it.
+ *
+ * Scripts run after DOMContentLoaded, so deviceready is never fired on its own -
+ * call app.boot() to run App.onDeviceReady() (LanguageManager, AppInitializer,
+ * drawer, TutorialHome) when a test needs the full startup.
+ *
+ * Usage:
+ *   const app = await createApp({ scenario: 'password-expiry' });
+ *   app.emit('getPassword', { challengeMode: 4 });
+ *   assert.equal(app.get('NavigationService').getCurrentRoute(), 'UpdateExpiryPassword');
+ *   app.close();
+ *
+ * Set RDNA_TEST_VERBOSE=1 to see the app's console output.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { FakeClock } = require('./fakeClock');
+
+const WWW_DIR = path.resolve(__dirname, '../../www');
+
+/**
+ * Scripts that only make sense on a device
+ */
+const SKIPPED_SCRIPTS = ['cordova.js'];
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.scenario='default'] - RdnaClientMock scenario to activate
+ * @param {boolean} [options.initialize=true] - Run AppInitializer.initialize() (registers SDK handlers)
+ * @param {boolean} [options.fakeTimers=true] - Install a FakeClock before any script runs
+ * @param {string} [options.platform] - Value reported by getPlatformId() ('android', 'ios', 'browser')
+ * @returns {Promise<Object>} Harness handle
+ */
+async function createApp(options = {}) {
+  const {
+    scenario = 'default',
+    initialize = true,
+    fakeTimers = true,
+    platform
+  } = options;
+
+  const virtualConsole = new VirtualConsole();
+  if (process.env.RDNA_TEST_VERBOSE) {
+    virtualConsole.sendTo(console);
+  } else {
+    virtualConsole.on('jsdomError', (error) => console.error('jsdom -', error.message));
+  }
+
+  const html = fs.readFileSync(path.join(WWW_DIR, 'index.html'), 'utf8');
+  const dom = new JSDOM(html, {
+    url: `http://localhost/index.html?scenario=${encodeURIComponent(scenario)}`,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole
+  });
+
+  const { window } = dom;
+  const context = dom.getInternalVMContext();
+  const alerts = [];
+  const confirms = [];
+
+  window.alert = (message) => alerts.push(String(message));
+  window.confirm = (message) => {
+    confirms.push(String(message));
+    return true;
+  };
+  window.fetch = (url, init) => {
+    // Absolute URLs go to the network (local stand-ins such as otlpCollector.js, apiStubServer.js)
+    if (/^https?:\/\//i.test(String(url))) {
+      if (!init || !init.signal) {
+        return fetch(url, init);
+      }
+      // Node's fetch only accepts its own AbortSignal - forward the jsdom one
+      const controller = new AbortController();
+      if (init.signal.aborted) controller.abort();
+      init.signal.addEventListener('abort', () => controller.abort());
+      return fetch(url, { ...init, signal: controller.signal });
+    }
+    const filePath = path.join(WWW_DIR, String(url).replace(/^\//, ''));
+    if (!fs.existsSync(filePath)) {
+      return Promise.resolve({ ok: false, statusText: 'Not Found' });
+    }
+    const text = fs.readFileSync(filePath, 'utf8');
+    return Promise.resolve({ ok: true, text: () => Promise.resolve(text), json: () => Promise.resolve(JSON.parse(text)) });
+  };
+
+  // Let jsdom finish parsing so the mock does not fire deviceready by itself
+  if (window.document.readyState === 'loading') {
+    await new Promise((resolve) => window.document.addEventListener('DOMContentLoaded', resolve));
+  }
+
+  const clock = fakeTimers ? new FakeClock(window).install() : null;
+
+  // Run every <script> from index.html in document order, as one shared global scope
+  window.document.querySelectorAll('script').forEach((element, index) => {
+    const src = element.getAttribute('src');
+    if (src && SKIPPED_SCRIPTS.includes(src)) return;
+
+    const filename = src ? path.join(WWW_DIR, src) : `index.html#inline-script-${index}`;
+    const code = src ? fs.readFileSync(filename, 'utf8') : element.textContent;
+    new vm.Script(code, { filename }).runInContext(context);
+  });
+
+  if (platform) {
+    window.cordova.platformId = platform;
+  }
+
+  const get = (name) => vm.runInContext(name, context);
+  get('RdnaClientMock').activate(scenario);
+
+  if (initialize) {
+    get('AppInitializer').initialize();
+  }
+
+  return {
+    dom,
+    window,
+    document: window.document,
+    clock,
+    alerts,
+    confirms,
+
+    /**
+     * Reads a global binding from the app scope (works for top-level const/class too)
+     * @param {string} name - e.g. 'NavigationService', 'rdnaService'
+     */
+    get,
+
+    /**
+     * Fires an SDK event through RdnaClientMock (synchronous dispatch)
+     * @param {string} eventName
+     * @param {Object} [data] - Deep-merged over the mock's event template
+     */
+    emit(eventName, data) {
+      get('RdnaClientMock').emit(eventName, data);
+    },
+
+    /**
+     * Runs the real deviceready handler (App.onDeviceReady)
+     */
+    async boot() {
+      await get('App').onDeviceReady();
+    },
+
+    /**
+     * Advances the fake clock and lets pending promise callbacks run
+     * @param {number} [ms=0]
+     */
+    async flush(ms = 0) {
+      await new Promise((resolve) => setImmediate(resolve));
+      if (clock) clock.tick(ms);
+      await new Promise((resolve) => setImmediate(resolve));
+    },
+
+    close() {
+      if (clock) clock.uninstall();
+      window.close();
+    }
+  };
+}
+
+module.exports = { createApp };
@@ -0,0 +1,95 @@
+/**
+ * Fake Clock
+ *
+ * Replaces setTimeout/setInterval/Date.now on a jsdom window so tests can move
+ * time forward deterministically with tick(ms).
+ */
+
+class FakeClock {
+  /**
+   * @param {Window} window - jsdom window to install on
+   * @param {number} [startTime] - Initial Date.now() value in ms
+   */
+  constructor(window, startTime = Date.UTC(2025, 9, 1, 9, 0, 0)) {
+    this.window = window;
+    this.now = startTime;
+    this.timers = new Map();
+    this.nextId = 1;
+  }
+
+  install() {
+    const w = this.window;
+    this.originals = {
+      setTimeout: w.setTimeout,
+      clearTimeout: w.clearTimeout,
+      setInterval: w.setInterval,
+      clearInterval: w.clearInterval,
+      dateNow: w.Date.now
+    };
+
+    w.setTimeout = (callback, delay = 0, ...args) => this._add(callback, delay, args, false);
+    w.setInterval = (callback, delay = 0, ...args) => this._add(callback, delay, args, true);
+    w.clearTimeout = (id) => this.timers.delete(id);
+    w.clearInterval = (id) => this.timers.delete(id);
+    w.Date.now = () => this.now;
+    return this;
+  }
+
+  uninstall() {
+    const w = this.window;
+    w.setTimeout = this.originals.setTimeout;
+    w.clearTimeout = this.originals.clearTimeout;
+    w.setInterval = this.originals.setInterval;
+    w.clearInterval = this.originals.clearInterval;
+    w.Date.now = this.originals.dateNow;
+  }
+
+  /**
+   * Advances time, running every timer that falls due, in due-time order
+   * @param {number} ms
+   */
+  tick(ms) {
+    const target = this.now + ms;
+
+    for (;;) {
+      const due = [...this.timers.entries()]
+        .filter(([, timer]) => timer.at <= target)
+        .sort((a, b) => a[1].at - b[1].at || a[0] - b[0])[0];
+      if (!due) break;
+
+      const [id, timer] = due;
+      this.now = timer.at;
+      if (timer.repeat) {
+        timer.at += timer.delay;
+      } else {
+        this.timers.delete(id);
+      }
+      timer.callback(...timer.args);
+    }
+
+    this.now = target;
+  }
+
+  /**
+   * Number of timers still scheduled
+   * @returns {number}
+   */
+  pendingCount() {
+    return this.timers.size;
+  }
+
+  _add(callback, delay, args, repeat) {
+    const id = this.nextId++;
+    const safeDelay = Math.max(0, Number(delay) || 0);
+    this.timers.set(id, {
+      callback,
+      args,
+      repeat,
+      delay: repeat ? Math.max(1, safeDelay) : safeDelay,
+      at: this.now + safeDelay
+    });
+    return id;
+  }
+}
+
+module.exports = { FakeClock };
@@ -0,0 +1,38 @@
+/**
+ * Flow Helpers
+ *
+ * Shared helpers for tests that drive rdnaService calls through the mock on the
+ * fake clock.
+ */
+
+/**
+ * Captures a promise's outcome without awaiting it
+ * @param {Promise} promise
+ * @returns {{settled: boolean, value?: *, error?: *}}
+ */
+function track(promise) {
+  const outcome = { settled: false };
+  promise.then(
+    (value) => Object.assign(outcome, { settled: true, value }),
+    (error) => Object.assign(outcome, { settled: true, error })
+  );
+  return outcome;
+}
+
+/**
+ * initialize → getUser → setUser → getPassword → setPassword → onUserLoggedIn
+ * Needs loadAgentInfo served without file I/O so initialize() runs on the fake clock.
+ * @param {Object} app - createApp() result
+ * @param {Object} rdnaService
+ * @param {string} [userID='alice']
+ */
+async function logIn(app, rdnaService, userID = 'alice') {
+  track(rdnaService.initialize());
+  await app.flush(1300);
+  track(rdnaService.setUser(userID));
+  await app.flush(400);
+  track(rdnaService.setPassword('Demo@1234', 0));
+  await app.flush(1000);
+}
+
+module.exports = { track, logIn };
@@ -0,0 +1,147 @@
+/**
+ * OTLP Collector Stand-in
+ *
+ * Minimal OTLP/HTTP (JSON) trace receiver for verifying TelemetryService without
+ * a real OpenTelemetry Collector. Accepts POST /v1/traces, answers like a
+ * collector and keeps every span it received.
+ *
+ * In tests:
+ *   const collector = await startCollector();
+ *   TelemetryService.configure({ otelHTTPEndpointURL: collector.url });
+ *   ...
+ *   await collector.close();
+ *
+ * From a shell (device or emulator pointed at this machine):
+ *   node test/harness/otlpCollector.js [port]      # default 4318, prints each span
+ *   Android emulator: otelHTTPEndpointURL 'http://10.0.2.2:4318'
+ */
+
+const http = require('http');
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - 0 picks a free port
+ * @param {string} [options.host='127.0.0.1']
+ * @param {Function} [options.onSpan] - Called with each received span and its resource attributes
+ * @returns {Promise<Object>} { url, requests, spans(), failNext(status, times), close() }
+ */
+function startCollector({ port = 0, host = '127.0.0.1', onSpan } = {}) {
+  const requests = [];
+  let failures = [];
+
+  const server = http.createServer((request, response) => {
+    const cors = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS'
+    };
+
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204, cors);
+      response.end();
+      return;
+    }
+
+    if (request.method !== 'POST' || request.url !== '/v1/traces') {
+      response.writeHead(404, cors);
+      response.end();
+      return;
+    }
+
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', (chunk) => { body += chunk; });
+    request.on('end', () => {
+      if (failures.length > 0) {
+        const status = failures.shift();
+        response.writeHead(status, cors);
+        response.end();
+        return;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        response.writeHead(400, { ...cors, 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({ message: error.message }));
+        return;
+      }
+
+      requests.push(payload);
+      if (onSpan) {
+        (payload.resourceSpans || []).forEach((resourceSpans) => {
+          (resourceSpans.scopeSpans || []).forEach((scopeSpans) => {
+            (scopeSpans.spans || []).forEach((span) => onSpan(span, resourceSpans.resource));
+          });
+        });
+      }
+
+      // ExportTraceServiceResponse with no partial success
+      response.writeHead(200, { ...cors, 'Content-Type': 'application/json' });
+      response.end('{}');
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+      resolve({
+        url: `http://${host}:${address.port}`,
+        requests,
+
+        /**
+         * Every span received so far, in arrival order
+         * @returns {Object[]}
+         */
+        spans() {
+          return requests.flatMap((payload) => (payload.resourceSpans || [])
+            .flatMap((resourceSpans) => (resourceSpans.scopeSpans || [])
+              .flatMap((scopeSpans) => scopeSpans.spans || [])));
+        },
+
+        /**
+         * Answer the next requests with an error status (simulates an unreachable collector)
+         * @param {number} [status=503]
+         * @param {number} [times=1]
+         */
+        failNext(status = 503, times = 1) {
+          failures = failures.concat(new Array(times).fill(status));
+        },
+
+        close() {
+          return new Promise((done) => server.close(() => done()));
+        }
+      });
+    });
+  });
+}
+
+/**
+ * @param {Object} span - OTLP span
+ * @returns {Object} Attributes as a plain object
+ */
+function spanAttributes(span) {
+  const attributes = {};
+  (span.attributes || []).forEach(({ key, value }) => {
+    attributes[key] = value.stringValue ?? (value.intValue !== undefined ? Number(value.intValue) : value.boolValue ?? value.doubleValue);
+  });
+  return attributes;
+}
+
+module.exports = { startCollector, spanAttributes };
+
+// node --test also runs harness files - only listen when started by hand
+if (require.main === module && !process.env.NODE_TEST_CONTEXT) {
+  const port = Number(process.argv[2]) || 4318;
+  startCollector({
+    port,
+    host: '0.0.0.0',
+    onSpan: (span) => {
+      const durationMs = (Number(BigInt(span.endTimeUnixNano) - BigInt(span.startTimeUnixNano)) / 1e6).toFixed(1);
+      const status = ['UNSET', 'OK', 'ERROR'][span.status?.code || 0];
+      console.log(`${span.traceId.slice(0, 8)} ${span.name} ${durationMs}ms ${status}`, JSON.stringify(spanAttributes(span)));
+    }
+  }).then(() => console.log(`OTLP collector stand-in listening on http://0.0.0.0:${port}/v1/traces`));
+}
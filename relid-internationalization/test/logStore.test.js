@@ -0,0 +1,107 @@
+/**
+ * LogStore and Logs screen - SDK and app log capture, filtering, pause and export
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('./harness/createApp');
+
+test.describe('LogStore', () => {
+  let app;
+  let store;
+
+  test.beforeEach(async () => {
+    app = await createApp();
+    store = app.get('LogStore');
+  });
+
+  test.afterEach(() => app.close());
+
+  const messages = (filter) => Array.from(store.getEntries(filter)).map((entry) => entry.message);
+
+  test('keeps SDK lines and RdnaService/SDKEventProvider Logger output with level and source', () => {
+    store.clear();
+
+    app.emit('onSdkLogPrintRequest', '2026-10-19 ERROR RDNA: gateway unreachable');
+    app.get('Logger').warn('SDKEventProvider - Something odd', { code: 7 });
+    app.get('Logger').debug('DashboardScreen - Not captured');
+
+    const entries = Array.from(store.getEntries()).map(({ level, source, message }) => ({ level, source, message }));
+    assert.deepEqual(entries.filter((entry) => entry.source !== 'RdnaService'), [
+      { level: 'error', source: 'sdk', message: '2026-10-19 ERROR RDNA: gateway unreachable' },
+      { level: 'warn', source: 'SDKEventProvider', message: 'SDKEventProvider - Something odd {"code":7}' }
+    ]);
+  });
+
+  test('drops the oldest entries beyond capacity', () => {
+    store.clear();
+    const capacity = app.get('LOG_STORE_CAPACITY');
+
+    for (let i = 0; i < capacity + 5; i++) {
+      store.add('info', 'test', 'line ' + i);
+    }
+
+    const kept = messages();
+    assert.equal(kept.length, capacity);
+    assert.equal(kept[0], 'line 5');
+    assert.equal(kept[kept.length - 1], 'line ' + (capacity + 4));
+  });
+
+  test('filters by level, source and text', () => {
+    store.clear();
+    store.add('debug', 'sdk', 'handshake started');
+    store.add('error', 'sdk', 'Handshake failed');
+    store.add('error', 'RdnaService', 'RdnaService - initialize failed');
+
+    assert.deepEqual(messages({ levels: ['error'], search: 'handshake' }), ['Handshake failed']);
+    assert.deepEqual(messages({ source: 'RdnaService' }), ['RdnaService - initialize failed']);
+    assert.match(store.toText().split('\n')[1], /ERROR \[sdk\] Handshake failed$/);
+  });
+
+  test('Logs screen searches, pauses and exports', async () => {
+    store.clear();
+    store.add('info', 'sdk', 'first line');
+    store.add('error', 'sdk', 'second line');
+
+    const nav = app.get('NavigationService');
+    nav.initializeDrawer();
+    app.document.getElementById('drawer-logs-link').click();
+    assert.equal(nav.getCurrentRoute(), 'Logs');
+
+    const $ = (id) => app.document.getElementById(id);
+    assert.equal($('logs-list').children.length, 2);
+    assert.match($('logs-list').children[0].textContent, /second line$/);
+
+    $('logs-search').value = 'first';
+    $('logs-search').dispatchEvent(new app.window.Event('input'));
+    assert.equal($('logs-list').children.length, 1);
+
+    $('logs-search').value = '';
+    $('logs-search').dispatchEvent(new app.window.Event('input'));
+    $('logs-pause-button').click();
+    store.add('info', 'sdk', 'while paused');
+    await app.flush(500);
+    assert.equal($('logs-list').children.length, 2);
+    assert.match($('logs-status').textContent, /^Paused - 1 new/);
+
+    $('logs-pause-button').click();
+    assert.equal($('logs-list').children.length, 3);
+
+    store.add('warn', 'sdk', 'live line');
+    await app.flush(500);
+    assert.match($('logs-list').children[0].textContent, /live line$/);
+
+    $('logs-export-json-btn').click();
+    for (let i = 0; i < 10 && app.alerts.length === 0; i++) {
+      await app.flush(10);
+    }
+    assert.match(app.alerts[0], /^Logs Exported\n\n4 entries saved to:\nmock:\/\/data\/relid-logs-.*\.json$/);
+
+    const key = Object.keys(app.window.localStorage).find((name) => name.includes('relid-logs-'));
+    const exported = JSON.parse(app.window.localStorage.getItem(key));
+    assert.deepEqual(exported.entries.map((entry) => entry.message), ['first line', 'second line', 'while paused', 'live line']);
+
+    nav.navigate('TutorialHome');
+    assert.equal(store._listeners.size, 0);
+  });
+});
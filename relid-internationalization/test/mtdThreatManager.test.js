@@ -0,0 +1,77 @@
+/**
+ * MTDThreatManager - self-triggered vs genuine onTerminateWithThreats
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('./harness/createApp');
+
+const threat = (threatId, threatName) => ({
+  threatId,
+  threatName,
+  threatMsg: `${threatName} detected`,
+  threatCategory: 'SYSTEM',
+  threatSeverity: 'HIGH',
+  threatReason: ['reason'],
+  shouldProceedWithThreats: false,
+  rememberActionForSession: false
+});
+
+test.describe('MTDThreatManager terminate detection', () => {
+  let app;
+  let manager;
+  let exits;
+
+  test.beforeEach(async () => {
+    app = await createApp({ platform: 'android' });
+    manager = app.get('MTDThreatManager');
+    exits = [];
+    manager.handlePlatformSpecificExit = (exitType) => exits.push(exitType);
+  });
+
+  test.afterEach(() => app.close());
+
+  test('exiting from consent mode treats the follow-up terminate event as self-triggered', async () => {
+    const threats = [threat(101, 'Rooted device'), threat(202, 'Debugger attached')];
+
+    app.emit('onUserConsentThreats', { threats });
+    assert.equal(manager.isConsentMode, true);
+
+    manager.handleExit();
+    assert.deepEqual([...manager.pendingExitThreats], [101, 202]);
+    await app.flush();
+
+    app.emit('onTerminateWithThreats', { threats });
+
+    assert.deepEqual(exits, ['self-triggered']);
+    assert.deepEqual([...manager.pendingExitThreats], []);
+    assert.equal(manager.isConsentMode, false);
+  });
+
+  test('a terminate event with different threat IDs is genuine and shows the modal', async () => {
+    app.emit('onUserConsentThreats', { threats: [threat(101, 'Rooted device')] });
+    manager.handleExit();
+    await app.flush();
+
+    app.emit('onTerminateWithThreats', { threats: [threat(101, 'Rooted device'), threat(303, 'Malware')] });
+
+    assert.deepEqual(exits, []);
+    assert.equal(manager.isConsentMode, false);
+    assert.equal(manager.threats.length, 2);
+  });
+
+  test('a terminate event without a pending exit is genuine', () => {
+    app.emit('onTerminateWithThreats', { threats: [threat(101, 'Rooted device')] });
+
+    assert.deepEqual(exits, []);
+    assert.equal(manager.threats.length, 1);
+    assert.equal(manager.isConsentMode, false);
+  });
+
+  test('threats delivered as a bare array are accepted', () => {
+    app.emit('onTerminateWithThreats', [threat(404, 'Hooking framework')]);
+
+    assert.equal(manager.threats.length, 1);
+    assert.equal(manager.threats[0].threatId, 404);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * NavigationService - history stack and Android back button
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('./harness/createApp');
+
+const SESSION = { userID: 'alice', sessionID: 'session-1' };
+
+test.describe('NavigationService history', () => {
+  let app;
+  let nav;
+
+  test.beforeEach(async () => {
+    app = await createApp();
+    nav = app.get('NavigationService');
+    app.get('SDKEventProvider').setSessionParams(SESSION);
+  });
+
+  test.afterEach(() => app.close());
+
+  const routes = () => Array.from(nav.getHistory()).map((entry) => entry.routeName);
+
+  test('goBack restores the previous screen with its params', () => {
+    nav.navigate('Dashboard', SESSION);
+    nav.navigate('DeviceManagement', SESSION);
+
+    const screen = app.get('DashboardScreen');
+    let restored = null;
+    screen.onContentLoaded = (params) => { restored = params; };
+
+    assert.equal(nav.goBack(), true);
+    assert.equal(nav.getCurrentRoute(), 'Dashboard');
+    assert.equal(restored.sessionID, 'session-1');
+    assert.equal(nav.goBack(), false);
+  });
+
+  test('navigating to a route already in the history pops back to it', () => {
+    nav.navigate('Dashboard', SESSION);
+    nav.navigate('GetNotifications', SESSION);
+    nav.navigate('DeviceManagement', SESSION);
+    nav.navigate('Dashboard', SESSION);
+
+    assert.deepEqual(routes(), ['Dashboard']);
+  });
+
+  test('replace, popToRoot and reset', () => {
+    nav.navigate('TutorialHome');
+    nav.navigate('CheckUser');
+    nav.replace('ActivationCode', { userID: 'alice' });
+    assert.deepEqual(routes(), ['TutorialHome', 'ActivationCode']);
+
+    nav.popToRoot();
+    assert.deepEqual(routes(), ['TutorialHome']);
+
+    nav.navigate('CheckUser');
+    nav.reset('Dashboard', SESSION);
+    assert.deepEqual(routes(), ['Dashboard']);
+  });
+});
+
+test.describe('NavigationService back button', () => {
+  let app;
+  let nav;
+
+  test.beforeEach(async () => {
+    app = await createApp();
+    nav = app.get('NavigationService');
+    nav.initializeBackButton();
+    app.get('SDKEventProvider').setSessionParams(SESSION);
+  });
+
+  test.afterEach(() => app.close());
+
+  const pressBack = () => app.document.dispatchEvent(new app.window.Event('backbutton'));
+
+  test('back from DeviceDetail returns to DeviceManagement', () => {
+    nav.navigate('Dashboard', SESSION);
+    nav.navigate('DeviceManagement', SESSION);
+    nav.navigate('DeviceDetail', { ...SESSION, device: { devUUID: 'dev-1', devName: 'Pixel' } });
+
+    pressBack();
+
+    assert.equal(nav.getCurrentRoute(), 'DeviceManagement');
+    assert.deepEqual(Array.from(nav.getHistory()).map((entry) => entry.routeName), ['Dashboard', 'DeviceManagement']);
+  });
+
+  test('back during VerifyPassword resets the auth state', async () => {
+    const calls = [];
+    app.get('rdnaService').resetAuthState = async () => { calls.push('resetAuthState'); };
+
+    app.emit('getPassword', { userID: 'alice', challengeMode: 0, attemptsLeft: 3 });
+    assert.equal(nav.getCurrentRoute(), 'VerifyPassword');
+
+    pressBack();
+    await app.flush(0);
+
+    assert.deepEqual(calls, ['resetAuthState']);
+  });
+
+  test('back on Dashboard asks to log out', () => {
+    const loggedOff = [];
+    app.get('rdnaService').logOff = async (userID) => { loggedOff.push(userID); return { error: { longErrorCode: 0 } }; };
+
+    nav.navigate('Dashboard', SESSION);
+    pressBack();
+
+    assert.equal(app.confirms.length, 1);
+    assert.deepEqual(loggedOff, ['alice']);
+    assert.equal(nav.getCurrentRoute(), 'Dashboard');
+  });
+
+  test('open drawer and modal interceptors take precedence over navigation', () => {
+    nav.navigate('TutorialHome');
+    nav.navigate('CheckUser');
+
+    const remove = nav.addBackInterceptor(() => true);
+    pressBack();
+    assert.equal(nav.getCurrentRoute(), 'CheckUser');
+    remove();
+
+    nav.openDrawer();
+    pressBack();
+    assert.equal(nav.getCurrentRoute(), 'CheckUser');
+    assert.equal(app.document.getElementById('drawer-menu').classList.contains('open'), false);
+
+    pressBack();
+    assert.equal(nav.getCurrentRoute(), 'TutorialHome');
+  });
+
+  test('step-up dialog cancels on back and releases its interceptor', () => {
+    const dialog = app.get('StepUpPasswordDialog');
+    let cancelled = 0;
+    nav.navigate('GetNotifications', SESSION);
+    dialog.show({ userID: 'alice', attemptsLeft: 3, onSubmitPassword: () => {}, onCancel: () => { cancelled++; } });
+
+    pressBack();
+
+    assert.equal(cancelled, 1);
+    assert.equal(dialog.visible, false);
+    assert.equal(nav.getCurrentRoute(), 'GetNotifications');
+    assert.equal(nav.handleBackButton(), 'exit');
+  });
+});
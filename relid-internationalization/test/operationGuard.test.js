@@ -0,0 +1,172 @@
+/**
+ * rdnaService operation guard - conflicting calls are rejected or queued until the
+ * correlating event arrives or the call times out
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('./harness/createApp');
+const { track } = require('./harness/flows');
+
+/**
+ * Makes a call and lets the mock answer its sync callback (events follow 300ms later)
+ */
+async function syncResponse(app, promise) {
+  const outcome = track(promise);
+  await app.flush(0);
+  if (outcome.error) throw outcome.error;
+  return outcome.value;
+}
+
+test.describe('Operation guard', () => {
+  let app;
+  let rdnaService;
+
+  test.beforeEach(async () => {
+    app = await createApp();
+    rdnaService = app.get('rdnaService');
+  });
+
+  test.afterEach(() => app.close());
+
+  test('a second step is rejected until the event that answers the first arrives', async () => {
+    const changes = [];
+    app.document.addEventListener('rdnaOperationChanged', (event) => changes.push(`${event.detail.change} ${event.detail.operation.method}`));
+
+    const first = track(rdnaService.setPassword('Demo@1234', 0));
+    const second = track(rdnaService.setPassword('Demo@1234', 0));
+    await app.flush(0);
+
+    assert.equal(first.value.error.longErrorCode, 0);
+    assert.equal(second.error.type, 'busy');
+    assert.equal(second.error.operation.method, 'setPassword');
+    assert.equal(second.error.getUserMessage('en'), 'Another operation is still in progress. Please wait for it to finish and try again.');
+    assert.equal(rdnaService.getInFlightOperation().method, 'setPassword');
+    assert.equal(rdnaService.canStartOperation('performVerifyAuth'), false);
+    assert.equal(rdnaService.canStartOperation('getNotifications'), true);
+
+    // onUserLoggedIn answers setPassword
+    await app.flush(400);
+    assert.equal(rdnaService.getInFlightOperation(), null);
+    assert.deepEqual(changes.slice(0, 2), ['started setPassword', 'released setPassword']);
+
+    const third = track(rdnaService.setPassword('Demo@1234', 0));
+    await app.flush(0);
+    assert.equal(third.value.error.longErrorCode, 0);
+    await app.flush(400);
+  });
+
+  test('steps answer a flow, but a second flow or a cancel during a step is refused', async () => {
+    const manage = track(rdnaService.manageDeviceAuthenticationModes(true, 1));
+    await app.flush(0);
+    assert.equal(manage.value.error.longErrorCode, 0);
+
+    const toggle = track(rdnaService.manageDeviceAuthenticationModes(false, 2));
+    const signing = track(rdnaService.authenticateUserAndSignData('payload', 4, 2, 'reason'));
+    await app.flush(0);
+    assert.equal(toggle.error.type, 'busy');
+    assert.equal(signing.error.operation.method, 'manageDeviceAuthenticationModes');
+
+    // The mock answers manageDeviceAuthenticationModes 300ms later - hold it with a verify-auth step first
+    const step = track(rdnaService.performVerifyAuth(true));
+    const reset = track(rdnaService.resetAuthState());
+    await app.flush(0);
+    assert.equal(step.value.error.longErrorCode, 0);
+    assert.equal(reset.error.type, 'busy');
+    assert.equal(reset.error.operation.method, 'performVerifyAuth');
+    assert.deepEqual(Array.from(rdnaService.getInFlightOperations(), (operation) => operation.method),
+      ['manageDeviceAuthenticationModes', 'performVerifyAuth']);
+
+    await app.flush(400);
+    assert.equal(rdnaService.getInFlightOperations().length, 0);
+  });
+
+  test('a cancel ends the flow the SDK is waiting in', async () => {
+    await syncResponse(app, rdnaService.authenticateUserAndSignData('payload', 4, 2, 'reason'));
+    assert.equal(rdnaService.getInFlightOperation().method, 'authenticateUserAndSignData');
+
+    await syncResponse(app, rdnaService.resetAuthenticateUserAndSignDataState());
+    assert.equal(rdnaService.getInFlightOperation(), null);
+
+    await syncResponse(app, rdnaService.manageDeviceAuthenticationModes(true, 1));
+    rdnaService.releaseOperation('manageDeviceAuthenticationModes', 'step-up cancelled');
+    assert.equal(rdnaService.canStartOperation('manageDeviceAuthenticationModes'), true);
+    await app.flush(1000);
+  });
+
+  test('queued calls run one after another and each awaits its own event', async () => {
+    const client = app.get('com.uniken.rdnaplugin.RdnaClient');
+    const original = client.getNotifications;
+    const startedAt = [];
+    client.getNotifications = (success, failure, args) => {
+      startedAt.push(app.get('Date.now()'));
+      return original(success, failure, args);
+    };
+
+    const first = track(rdnaService.fetchNotifications());
+    const second = track(rdnaService.fetchNotifications({ recordCount: 5 }));
+    const direct = track(rdnaService.getNotifications(1));
+    await app.flush(0);
+    assert.equal(startedAt.length, 1);
+
+    await app.flush(300);
+    assert.ok(Array.isArray(first.value));
+    assert.equal(second.settled, false);
+    assert.equal(startedAt.length, 2);
+
+    await app.flush(300);
+    assert.ok(Array.isArray(second.value));
+    assert.equal(startedAt.length, 3);
+    // A plain call resolves with the sync response and stays in flight until its event
+    assert.equal(direct.value.error.longErrorCode, 0);
+    assert.equal(rdnaService.getInFlightOperation('notifications').method, 'getNotifications');
+
+    await app.flush(300);
+    assert.equal(rdnaService.getInFlightOperations().length, 0);
+  });
+
+  test('a call whose event never arrives is released after the timeout, a failed sync response at once', async () => {
+    const client = app.get('com.uniken.rdnaplugin.RdnaClient');
+    client.setUser = (success) => success(JSON.stringify({ error: { longErrorCode: 0, shortErrorCode: 0, errorString: 'Success' } }));
+    client.setActivationCode = (success, failure) => failure(JSON.stringify({ error: { longErrorCode: 56, shortErrorCode: 0, errorString: 'No network' } }));
+
+    await syncResponse(app, rdnaService.setUser('alice'));
+    await app.flush(app.get('RdnaService.OPERATION_TIMEOUT_MS') - 1);
+    assert.equal(rdnaService.getInFlightOperation().method, 'setUser');
+
+    await app.flush(1);
+    assert.equal(rdnaService.getInFlightOperation(), null);
+
+    await assert.rejects(syncResponse(app, rdnaService.setActivationCode('1234')), (error) => error.type === 'sync');
+    assert.equal(rdnaService.getInFlightOperation(), null);
+  });
+
+  test('an error in the operation tracker does not swallow the event', async () => {
+    const eventManager = rdnaService.getEventManager();
+    const received = [];
+    eventManager.setOperationTracker(() => {
+      throw new Error('queue broken');
+    });
+    eventManager.on('getUser', () => received.push('getUser'));
+
+    app.emit('getUser', {});
+    await app.flush(0);
+
+    assert.deepEqual(received, ['getUser']);
+    assert.equal(app.get('NavigationService').getCurrentRoute(), 'CheckUser');
+  });
+
+  test('an event that restarts the SDK flow ends every auth call', async () => {
+    await syncResponse(app, rdnaService.manageDeviceAuthenticationModes(true, 1));
+    const queued = track(rdnaService.fetchNotifications());
+    await app.flush(0);
+
+    app.emit('onSessionTimeout');
+    assert.deepEqual(Array.from(rdnaService.getInFlightOperations(), (operation) => operation.method), ['getNotifications']);
+
+    rdnaService.releaseAllOperations('terminated');
+    assert.equal(rdnaService.getInFlightOperations().length, 0);
+    await app.flush(1000);
+    assert.ok(queued.settled);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Connection profile import - validation, storage in the data directory and use by initialize()
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('./harness/createApp');
+
+const BUNDLED = {
+  RelIds: [{ Name: 'dev', RelId: 'RELID-DEV' }],
+  Profiles: [{ Name: 'dev', Host: 'dev.example.com', Port: 4443 }]
+};
+
+const STAGING = JSON.stringify({
+  RelIds: [
+    { Name: 'gw1', RelId: 'RELID-STAGING' },
+    { Name: 'orphan', RelId: 'RELID-ORPHAN' }
+  ],
+  Profiles: [{ Name: 'gw1', Host: 'staging.example.com', Port: '8443' }]
+});
+
+test.describe('Connection profile import', () => {
+  let app;
+  let manager;
+
+  test.beforeEach(async () => {
+    app = await createApp();
+    app.window.loadAgentInfo = async () => app.get('parseAgentInfo')(BUNDLED);
+    manager = app.get('ConnectionProfileManager');
+  });
+
+  test.afterEach(() => app.close());
+
+  // File API callbacks run on mock timers, one step per flush
+  const settle = async (promise) => {
+    let outcome = null;
+    promise.then((value) => { outcome = { value }; }, (error) => { outcome = { error }; });
+    for (let i = 0; i < 50 && !outcome; i++) {
+      await app.flush(10);
+    }
+    assert.ok(outcome, 'operation did not settle');
+    const { value, error } = outcome;
+    if (error) throw error;
+    return value;
+  };
+
+  const names = () => Array.from(manager.getProfiles()).map((profile) => profile.name);
+
+  test('rejects input that is not valid agent info', async () => {
+    await assert.rejects(settle(manager.importAgentInfo(STAGING, { label: '' })), /Enter a label/);
+    await assert.rejects(settle(manager.importAgentInfo(STAGING, { label: 'a/b' })), /must not contain/);
+    await assert.rejects(settle(manager.importAgentInfo('{ not json', { label: 'x' })), /Not valid JSON/);
+    await assert.rejects(settle(manager.importAgentInfo('[]', { label: 'x' })), /JSON object with RelIds/);
+    await assert.rejects(settle(manager.importAgentInfo('{"RelIds": [], "Profiles": []}', { label: 'x' })), /No RelIds/);
+    await assert.rejects(settle(manager.importAgentInfo('x'.repeat(70 * 1024), { label: 'x' })), /too large/);
+
+    assert.equal(app.window.localStorage.getItem('rdnaMockDataDirectory:imported_connection_profiles.json'), null);
+  });
+
+  test('imports are stored, survive a reload and are used by initialize()', async () => {
+    const result = await settle(manager.importAgentInfo(STAGING, { label: 'staging', source: 'paste' }));
+
+    assert.deepEqual(Array.from(result.profiles).map((profile) => profile.name), ['staging/gw1']);
+    assert.match(result.skipped[0], /orphan/);
+    assert.deepEqual(names(), ['dev', 'staging/gw1']);
+
+    const stored = JSON.parse(app.window.localStorage.getItem('rdnaMockDataDirectory:imported_connection_profiles.json'));
+    assert.equal(stored.length, 1);
+    assert.equal(stored[0].label, 'staging');
+    assert.equal(stored[0].source, 'paste');
+
+    manager.profiles = [];
+    await settle(manager.load(true));
+    assert.deepEqual(names(), ['dev', 'staging/gw1']);
+
+    await settle(manager.selectProfile('staging/gw1'));
+
+    const calls = [];
+    const client = app.get('com.uniken.rdnaplugin.RdnaClient');
+    const originalInitialize = client.initialize;
+    client.initialize = (success, failure, args) => {
+      calls.push([args[0], args[1], args[2]]);
+      return originalInitialize(success, failure, args);
+    };
+
+    await settle(app.get('rdnaService').initialize());
+    assert.deepEqual(calls, [['RELID-STAGING', 'staging.example.com', 8443]]);
+  });
+
+  test('re-importing a label replaces it and removing falls back to a bundled profile', async () => {
+    await settle(manager.importAgentInfo(STAGING, { label: 'staging' }));
+    await settle(manager.selectProfile('staging/gw1'));
+
+    const replacement = JSON.stringify({
+      RelIds: [{ Name: 'gw2', RelId: 'RELID-2' }],
+      Profiles: [{ Name: 'gw2', Host: 'gw2.example.com', Port: 443 }]
+    });
+    await settle(manager.importAgentInfo(replacement, { label: 'staging', source: 'qr' }));
+    assert.deepEqual(names(), ['dev', 'staging/gw2']);
+    assert.equal(manager.getSelectedProfile().name, 'dev');
+
+    await settle(manager.removeImport('staging'));
+    assert.deepEqual(names(), ['dev']);
+    assert.equal(manager.getImports().length, 0);
+  });
+
+  test('imports still load when agent_info.json is broken', async () => {
+    await settle(manager.importAgentInfo(STAGING, { label: 'staging' }));
+
+    app.window.loadAgentInfo = async () => { throw new Error('No RelIds found in agent info'); };
+    await settle(manager.load(true));
+    assert.deepEqual(names(), ['staging/gw1']);
+
+    // Removing the last import leaves nothing to connect to
+    await assert.rejects(settle(manager.removeImport('staging')), /No RelIds/);
+    await assert.rejects(settle(manager.load(true)), /No RelIds/);
+  });
+
+  test('import screen imports pasted JSON and lists it', async () => {
+    const nav = app.get('NavigationService');
+    nav.navigate('TutorialHome');
+    await app.flush();
+
+    app.document.getElementById('connection-profile-import-btn').click();
+    assert.equal(nav.getCurrentRoute(), 'ConnectionProfileImport');
+    await app.flush();
+
+    app.document.getElementById('profile-import-label').value = 'staging';
+    app.document.getElementById('profile-import-text').value = STAGING;
+    app.document.getElementById('profile-import-paste-btn').click();
+    for (let i = 0; i < 20 && app.alerts.length === 0; i++) {
+      await app.flush(10);
+    }
+
+    assert.match(app.alerts[0], /^Profiles Imported/);
+    assert.match(app.alerts[0], /staging\/gw1 \(staging\.example\.com:8443\)/);
+    assert.equal(app.document.getElementById('profile-import-text').value, '');
+    assert.match(app.document.getElementById('profile-import-list').textContent, /staging \(paste\): staging\/gw1/);
+
+    app.document.getElementById('profile-import-back-btn').click();
+    await app.flush();
+    const select = app.document.getElementById('connection-profile-select');
+    assert.deepEqual(Array.from(select.options).map((option) => option.value), ['dev', 'staging/gw1']);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * RdnaError - catalog lookup, localization and consistent rejection from rdnaService
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('./harness/createApp');
+
+test.describe('RdnaError catalog', () => {
+  let app;
+  let RdnaError;
+
+  test.beforeEach(async () => {
+    app = await createApp();
+    RdnaError = app.get('RdnaError');
+  });
+
+  test.afterEach(() => app.close());
+
+  test('maps long error codes and status codes from separate code spaces', () => {
+    const network = new RdnaError('api', 'No network', { longErrorCode: 56 });
+    assert.equal(network.category, 'network');
+    assert.equal(network.retryable, true);
+
+    const cooling = RdnaError.fromEvent('onUpdateDeviceDetails', {
+      error: { longErrorCode: 0 },
+      pArgs: { response: { StatusCode: 146, StatusMsg: 'Cooling period' } }
+    });
+    assert.equal(cooling.type, 'status');
+    assert.equal(cooling.category, 'cooling-period');
+    assert.equal(cooling.statusCode, 146);
+
+    // 153 means "already in desired state" as a long code but "attempts exhausted" as a status
+    assert.equal(new RdnaError('api', '', { longErrorCode: 153 }).category, 'policy');
+    assert.equal(new RdnaError('status', '', { statusCode: 153 }).category, 'auth');
+  });
+
+  test('returns null for a successful event payload', () => {
+    const data = { error: { longErrorCode: 0 }, status: { statusCode: 100 } };
+    assert.equal(RdnaError.fromEvent('onDeviceAuthManagementStatus', data), null);
+  });
+
+  test('localizes cataloged messages and keeps the SDK message for unknown codes', () => {
+    const error = new RdnaError('api', 'Device not secure', { longErrorCode: 145 });
+    assert.match(error.getUserMessage('es-ES'), /no es seguro/);
+    assert.equal(error.getUserMessage('fr-FR').startsWith('Votre appareil'), true);
+
+    app.get('LanguageManager').currentLanguage = { lang: 'hi-IN' };
+    assert.match(error.getUserMessage(), /सुरक्षित नहीं/);
+
+    const unknown = new RdnaError('api', 'Server said no', { longErrorCode: 9999 });
+    assert.equal(unknown.category, 'unknown');
+    assert.equal(unknown.getUserMessage('es-ES'), 'Server said no');
+  });
+
+  test('every configured language has a message for every catalog entry', () => {
+    const { DEFAULT_SUPPORTED_LANGUAGES } = app.get('languageConfig');
+    const bundles = app.get('ERROR_MESSAGES');
+    const catalog = app.get('RDNA_ERROR_CATALOG');
+    const messageIds = new Set(Object.keys(bundles['en-US']));
+    Object.values(catalog).forEach((codes) => Object.values(codes).forEach((entry) => messageIds.add(entry.messageId)));
+
+    assert.deepEqual(Object.keys(bundles), Array.from(DEFAULT_SUPPORTED_LANGUAGES, (language) => language.lang));
+    DEFAULT_SUPPORTED_LANGUAGES.forEach(({ lang }) => {
+      messageIds.forEach((id) => assert.ok(bundles[lang][id], `${lang} is missing ${id}`));
+    });
+  });
+
+  test('locales resolve through the configured languages and fall back to English', () => {
+    const getMessage = app.get('getRdnaErrorMessage');
+    assert.equal(getMessage('operationCancelled', 'es-MX'), 'La operación fue cancelada.');
+    assert.equal(getMessage('operationCancelled', 'fr'), app.get('ERROR_MESSAGES')['fr-FR'].operationCancelled);
+    assert.equal(getMessage('operationCancelled', 'de-DE'), 'The operation was cancelled.');
+    assert.equal(getMessage('noSuchMessage', 'hi-IN'), app.get('ERROR_MESSAGES')['hi-IN'].unknown);
+  });
+
+  test('sync rejections from rdnaService are RdnaError and keep the raw error block', async () => {
+    const mock = app.get('RdnaClientMock');
+    mock.registerScenario({
+      name: 'test-threat-action-fails',
+      reactions: {
+        takeActionOnThreats: [{ error: { longErrorCode: 145, errorString: 'Device not secure' } }]
+      }
+    });
+    mock.activate('test-threat-action-fails');
+
+    const pending = app.get('rdnaService').takeActionOnThreats('[]');
+    const settled = pending.then(() => null, (error) => error);
+    await app.flush();
+    const error = await settled;
+
+    assert.ok(error instanceof RdnaError);
+    assert.equal(error.type, 'sync');
+    assert.equal(error.category, 'threat');
+    assert.equal(error.retryable, false);
+    assert.equal(error.error.errorString, 'Device not secure');
+    assert.equal(error.longErrorCode, 145);
+  });
+
+  test('MTDThreatManager shows the catalog message when proceeding fails', async () => {
+    const mock = app.get('RdnaClientMock');
+    mock.registerScenario({
+      name: 'test-threat-proceed-fails',
+      reactions: {
+        takeActionOnThreats: [{ error: { longErrorCode: 218, errorString: 'raw sdk text' } }]
+      }
+    });
+    mock.activate('test-threat-proceed-fails');
+
+    const manager = app.get('MTDThreatManager');
+    manager.threats = [{ threatId: 1, threatName: 'Rooted device', threatReason: ['root'] }];
+    manager.handleProceed();
+    await app.flush();
+    await app.flush();
+
+    assert.equal(app.alerts.length, 1);
+    assert.match(app.alerts[0], /^Failed to proceed with threats/);
+    assert.match(app.alerts[0], /Your device is not secure/);
+    assert.match(app.alerts[0], /Long: 218/);
+    assert.equal(manager.isProcessing, false);
+  });
+
+  test('DeviceDetailScreen reports the cooling period through the catalog', () => {
+    const screen = app.get('DeviceDetailScreen');
+    const shown = [];
+    screen.showError = (message) => shown.push(message);
+    screen.hideRenameModal = () => {};
+
+    screen.handleUpdateDeviceResponse({
+      error: { longErrorCode: 0 },
+      pArgs: { response: { StatusCode: 146, StatusMsg: 'Cooling period' } }
+    });
+
+    assert.deepEqual(shown, ['Device management operations are temporarily disabled. Please try again later.']);
+  });
+});
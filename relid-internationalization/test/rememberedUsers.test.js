@@ -0,0 +1,141 @@
+/**
+ * RememberedUsersManager - users remembered on login, one-tap choices and
+ * "forget" on CheckUser, and the Dashboard drawer "Switch Account"
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('./harness/createApp');
+const { track, logIn } = require('./harness/flows');
+
+test.describe('RememberedUsersManager', () => {
+  let app;
+  let rdnaService;
+  let manager;
+
+  const entries = () => Array.from(app.document.querySelectorAll('#remembered-users-list .remembered-user-item'));
+
+  test.beforeEach(async () => {
+    app = await createApp();
+    // Served without file I/O so initialize() runs on the fake clock
+    app.window.loadAgentInfo = async () => app.get('parseAgentInfo')(app.get('MOCK_AGENT_INFO'));
+    rdnaService = app.get('rdnaService');
+    manager = app.get('RememberedUsersManager');
+  });
+
+  test.afterEach(() => app.close());
+
+  test('login remembers the user with the LDA flag', async () => {
+    const changes = [];
+    app.document.addEventListener('rememberedUsersChanged', (event) => changes.push(event.detail.count));
+
+    const startedAt = app.get('Date.now()');
+    await logIn(app, rdnaService);
+
+    const users = manager.getUsers();
+    assert.equal(users.length, 1);
+    assert.equal(users[0].userID, 'alice');
+    assert.equal(users[0].displayName, 'alice');
+    assert.ok(users[0].lastLoginAt > startedAt && users[0].lastLoginAt <= app.get('Date.now()'));
+    // The default fixture has one configured LDA (authenticationType 9)
+    assert.equal(users[0].ldaEnabled, true);
+    assert.ok(changes.length >= 1);
+
+    const stored = JSON.parse(app.window.localStorage.getItem('tutorial_app_remembered_users'));
+    assert.equal(stored[0].userID, 'alice');
+  });
+
+  test('CheckUser lists remembered users and one tap continues as that user', async () => {
+    await logIn(app, rdnaService);
+    track(rdnaService.logOff('alice'));
+    await app.flush(1000);
+
+    assert.equal(app.get('NavigationService').getCurrentRoute(), 'CheckUser');
+    assert.equal(app.document.getElementById('remembered-users-card').style.display, 'block');
+    const [alice] = entries();
+    assert.equal(alice.dataset.userId, 'alice');
+    assert.equal(alice.querySelector('.remembered-user-name').textContent, 'alice');
+    assert.match(alice.querySelector('.remembered-user-meta').textContent, /^Last login /);
+    assert.ok(alice.querySelector('.remembered-user-lda'));
+
+    alice.querySelector('.remembered-user-select').click();
+    assert.equal(app.document.getElementById('username-input').value, 'alice');
+    assert.equal(alice.querySelector('.remembered-user-forget').disabled, true);
+
+    await app.flush(400);
+    assert.deepEqual(Array.from(app.get('RdnaClientMock').state.lastArgs.setUser), ['alice']);
+    assert.equal(app.get('NavigationService').getCurrentRoute(), 'VerifyPassword');
+  });
+
+  test('forget removes the user from the list after confirmation', async () => {
+    manager.remember('bob', { displayName: 'Bob Builder', lastLoginAt: 1000 });
+    manager.remember('alice', { lastLoginAt: 2000 });
+    app.get('NavigationService').navigate('CheckUser', {});
+
+    assert.deepEqual(entries().map((item) => item.dataset.userId), ['alice', 'bob']);
+    const bob = entries()[1];
+    assert.equal(bob.querySelector('.remembered-user-name').textContent, 'Bob Builder');
+    assert.match(bob.querySelector('.remembered-user-meta').textContent, /^bob · Last login /);
+
+    bob.querySelector('.remembered-user-forget').click();
+    assert.equal(app.confirms.length, 1);
+    assert.match(app.confirms[0], /^Forget Bob Builder on this device\?/);
+    assert.deepEqual(entries().map((item) => item.dataset.userId), ['alice']);
+    assert.equal(manager.getUser('bob'), null);
+
+    entries()[0].querySelector('.remembered-user-forget').click();
+    assert.equal(app.document.getElementById('remembered-users-card').style.display, 'none');
+    assert.equal(manager.forget('alice'), false);
+  });
+
+  test('Switch Account logs off and pre-selects the most recent other user', async () => {
+    manager.remember('bob', { displayName: 'Bob Builder', lastLoginAt: 1000 });
+    await logIn(app, rdnaService);
+    assert.equal(app.get('NavigationService').getCurrentRoute(), 'Dashboard');
+
+    app.document.getElementById('drawer-switch-account-link').click();
+    assert.equal(app.confirms.at(-1), 'Log out and switch to Bob Builder?');
+    await app.flush(1000);
+
+    assert.equal(app.get('NavigationService').getCurrentRoute(), 'CheckUser');
+    assert.equal(app.document.getElementById('username-input').value, 'bob');
+    assert.match(app.document.getElementById('checkuser-status-banner').textContent, /sign in as Bob Builder/);
+    const preselected = app.document.querySelector('.remembered-user-item.preselected');
+    assert.equal(preselected.dataset.userId, 'bob');
+
+    // Pre-selection is used once
+    assert.equal(manager.takePreselectedUser(), null);
+  });
+
+  test('a failed logOff keeps the session and pre-selects nobody', async () => {
+    manager.remember('bob', { lastLoginAt: 1000 });
+    await logIn(app, rdnaService);
+    rdnaService.logOff = async () => {
+      throw { error: { longErrorCode: 50, errorString: 'Logoff failed' } };
+    };
+
+    await app.get('DashboardScreen').handleSwitchAccount();
+
+    assert.deepEqual(app.alerts, ['Switch Account Error\n\nLogoff failed']);
+    assert.equal(manager.takePreselectedUser(), null);
+    assert.equal(app.document.getElementById('drawer-switch-account-link').style.pointerEvents, 'auto');
+    assert.equal(app.get('NavigationService').getCurrentRoute(), 'Dashboard');
+  });
+
+  test('the list is capped, newest first, and a corrupt registry is ignored', () => {
+    const max = app.get('MAX_REMEMBERED_USERS');
+    for (let i = 0; i <= max; i++) {
+      manager.remember(`user${i}`, { lastLoginAt: 1000 + i });
+    }
+    manager.remember('user2', { ldaEnabled: true });
+
+    const users = manager.getUsers();
+    assert.equal(users.length, max);
+    assert.equal(users[0].userID, 'user2');
+    assert.equal(users[0].ldaEnabled, true);
+    assert.equal(manager.getUser('user0'), null);
+
+    app.window.localStorage.setItem('tutorial_app_remembered_users', '{not json');
+    assert.deepEqual(Array.from(manager.getUsers()), []);
+  });
+});
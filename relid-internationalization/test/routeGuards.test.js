@@ -0,0 +1,77 @@
+/**
+ * NavigationService route guards - requiresSession, requiresCredential and the drawer
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('./harness/createApp');
+
+const SESSION = { userID: 'alice', sessionID: 'session-1' };
+
+test.describe('NavigationService route guards', () => {
+  let app;
+  let nav;
+
+  test.beforeEach(async () => {
+    app = await createApp();
+    nav = app.get('NavigationService');
+  });
+
+  test.afterEach(() => app.close());
+
+  const drawerItem = (route) => app.document.querySelector(`#drawer-menu [data-route="${route}"]`);
+
+  test('authenticated-only routes redirect to TutorialHome without a session', () => {
+    nav.navigate('CheckUser');
+    nav.navigate('DeviceManagement', { userID: 'alice' });
+
+    assert.equal(nav.getCurrentRoute(), 'TutorialHome');
+    assert.deepEqual(Array.from(nav.getHistory()).map((entry) => entry.routeName), ['TutorialHome']);
+  });
+
+  test('UpdatePassword needs the Password credential', () => {
+    app.get('SDKEventProvider').setSessionParams(SESSION);
+
+    nav.navigate('UpdatePassword', SESSION);
+    assert.equal(nav.getCurrentRoute(), 'Dashboard');
+
+    app.emit('onCredentialsAvailableForUpdate', { userID: 'alice', options: ['Password'] });
+    assert.equal(nav.canAccess('UpdatePassword'), true);
+  });
+
+  test('login stores the session before Dashboard is shown and logoff clears it', () => {
+    app.emit('onUserLoggedIn', { userID: 'alice' });
+    assert.equal(nav.getCurrentRoute(), 'Dashboard');
+    assert.equal(app.get('SDKEventProvider').getSessionParams().userID, 'alice');
+
+    app.emit('onUserLoggedOff', { userID: 'alice' });
+    assert.equal(nav.canAccess('Dashboard'), false);
+  });
+
+  test('the drawer hides items the user cannot reach', () => {
+    nav.openDrawer();
+    assert.equal(drawerItem('Dashboard').style.display, 'none');
+    assert.equal(drawerItem('UpdatePassword').style.display, 'none');
+
+    app.get('SDKEventProvider').setSessionParams(SESSION);
+    nav.openDrawer();
+    assert.equal(drawerItem('DeviceManagement').style.display, '');
+    assert.equal(drawerItem('UpdatePassword').style.display, 'none');
+
+    app.emit('onCredentialsAvailableForUpdate', { userID: 'alice', options: ['Password'] });
+    assert.equal(drawerItem('UpdatePassword').style.display, '');
+  });
+
+  test('custom guards can block or redirect', () => {
+    app.get('SDKEventProvider').setSessionParams(SESSION);
+    nav.navigate('Dashboard', SESSION);
+
+    const remove = nav.addRouteGuard((routeName) => (routeName === 'DataSigningInput' ? false : true));
+    nav.navigate('DataSigningInput', SESSION);
+    assert.equal(nav.getCurrentRoute(), 'Dashboard');
+
+    remove();
+    nav.navigate('DataSigningInput', SESSION);
+    assert.equal(nav.getCurrentRoute(), 'DataSigningInput');
+  });
+});
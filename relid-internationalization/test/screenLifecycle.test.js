@@ -0,0 +1,116 @@
+/**
+ * Screen lifecycle - onBeforeLeave veto, onContentUnloaded and ScreenScope releases
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('./harness/createApp');
+
+const SESSION = { userID: 'alice', sessionID: 'session-1' };
+
+test.describe('Screen lifecycle', () => {
+  let app;
+  let nav;
+
+  test.beforeEach(async () => {
+    app = await createApp();
+    nav = app.get('NavigationService');
+    app.get('SDKEventProvider').setSessionParams(SESSION);
+    app.emit('onCredentialsAvailableForUpdate', { userID: 'alice', options: ['Password'] });
+  });
+
+  test.afterEach(() => app.close());
+
+  const routes = () => Array.from(nav.getHistory()).map((entry) => entry.routeName);
+
+  test('a submitting screen vetoes navigation until it is done', () => {
+    nav.navigate('Dashboard', SESSION);
+    nav.navigate('UpdatePassword', SESSION);
+
+    const screen = app.get('UpdatePasswordScreen');
+    screen.isSubmitting = true;
+
+    assert.equal(nav.navigate('DeviceManagement', SESSION), false);
+    assert.equal(nav.goBack(), false);
+    assert.equal(nav.handleBackButton(), 'history');
+    assert.equal(nav.getCurrentRoute(), 'UpdatePassword');
+    assert.deepEqual(routes(), ['Dashboard', 'UpdatePassword']);
+
+    screen.isSubmitting = false;
+    assert.equal(nav.goBack(), true);
+    assert.equal(nav.getCurrentRoute(), 'Dashboard');
+  });
+
+  test('SDK-driven navigation and reset ignore the veto', () => {
+    nav.navigate('Dashboard', SESSION);
+    nav.navigate('UpdatePassword', SESSION);
+    app.get('UpdatePasswordScreen').isSubmitting = true;
+
+    app.emit('getPassword', { userID: 'alice', challengeMode: 0, attemptsLeft: 3 });
+    assert.equal(nav.getCurrentRoute(), 'VerifyPassword');
+    assert.equal(app.get('UpdatePasswordScreen').isSubmitting, false);
+
+    nav.navigate('DataSigningInput', SESSION);
+    app.get('DataSigningInputScreen').isLoading = true;
+    assert.equal(nav.navigate('Dashboard', SESSION), false);
+
+    nav.reset('TutorialHome');
+    assert.deepEqual(routes(), ['TutorialHome']);
+  });
+
+  test('onContentUnloaded runs before the next screen loads', () => {
+    const calls = [];
+    const deviceManagement = app.get('DeviceManagementScreen');
+    deviceManagement.onContentUnloaded = () => {
+      calls.push('unloaded:' + !!app.document.getElementById('device-management-menu-button'));
+    };
+    const dashboard = app.get('DashboardScreen');
+    const originalLoaded = dashboard.onContentLoaded;
+    dashboard.onContentLoaded = function (params, scope) {
+      calls.push('loaded');
+      return originalLoaded.call(this, params, scope);
+    };
+
+    nav.navigate('DeviceManagement', SESSION);
+    nav.navigate('Dashboard', SESSION);
+
+    assert.equal(calls[0].startsWith('unloaded'), true);
+    assert.equal(calls[1], 'loaded');
+  });
+
+  test('scope subscriptions, timers and listeners are released on leave', async () => {
+    nav.navigate('Dashboard', SESSION);
+    const scope = nav.getCurrentScope();
+
+    const seen = [];
+    scope.on('onGetNotifications', () => seen.push('event'));
+    scope.setTimeout(() => seen.push('timer'), 1000);
+    scope.setInterval(() => seen.push('interval'), 100);
+    scope.listen(app.document, 'languageChanged', () => seen.push('listener'));
+
+    nav.navigate('DeviceManagement', SESSION);
+    assert.equal(scope.disposed, true);
+    assert.notEqual(nav.getCurrentScope(), scope);
+
+    app.emit('onGetNotifications', {});
+    app.document.dispatchEvent(new app.window.CustomEvent('languageChanged'));
+    await app.flush(2000);
+
+    assert.deepEqual(seen, []);
+  });
+
+  test('notification handlers do not run after leaving GetNotifications', async () => {
+    nav.navigate('Dashboard', SESSION);
+    nav.navigate('GetNotifications', SESSION);
+    await app.flush(1000);
+
+    const screen = app.get('GetNotificationsScreen');
+    let handled = 0;
+    screen.handleGetNotificationsResponse = () => { handled++; };
+
+    nav.navigate('Dashboard', SESSION);
+    app.emit('onGetNotifications', {});
+
+    assert.equal(handled, 0);
+  });
+});
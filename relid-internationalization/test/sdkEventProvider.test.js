@@ -0,0 +1,144 @@
+/**
+ * SDKEventProvider - getPassword / getUserConsentForLDA challengeMode routing
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('./harness/createApp');
+
+/**
+ * In-session challenge modes are rejected outside a session (AuthFlowStateMachine),
+ * so move the flow to logged-in without running the Dashboard navigation.
+ * UpdatePassword also requires the Password credential (NavigationService route guard).
+ */
+function startSession(app) {
+  app.get('AuthFlowStateMachine').dispatch('onUserLoggedIn', { userID: 'alice' });
+  app.emit('onCredentialsAvailableForUpdate', { userID: 'alice', options: ['Password'] });
+}
+
+test.describe('SDKEventProvider.handleGetPassword', () => {
+  let app;
+
+  test.beforeEach(async () => {
+    app = await createApp();
+    app.get('SDKEventProvider').setSessionParams({ userID: 'alice', sessionID: 'session-1' });
+  });
+
+  test.afterEach(() => app.close());
+
+  const screenRoutes = [
+    { challengeMode: 0, route: 'VerifyPassword' },
+    { challengeMode: 1, route: 'SetPassword' },
+    { challengeMode: 2, route: 'UpdatePassword' },
+    { challengeMode: 4, route: 'UpdateExpiryPassword' }
+  ];
+
+  screenRoutes.forEach(({ challengeMode, route }) => {
+    test(`challengeMode ${challengeMode} navigates to ${route}`, () => {
+      if (challengeMode === 2) startSession(app);
+      app.emit('getPassword', { userID: 'alice', challengeMode, attemptsLeft: 3 });
+
+      assert.equal(app.get('NavigationService').getCurrentRoute(), route);
+    });
+  });
+
+  test('challengeMode 4 shows UpdateExpiryPassword with the server status message', () => {
+    const statusMessage = 'Password has expired. Please contact the admin.';
+
+    app.emit('getPassword', {
+      userID: 'alice',
+      challengeMode: 4,
+      attemptsLeft: 3,
+      challengeResponse: { status: { statusCode: 118, statusMessage } }
+    });
+
+    assert.equal(app.get('NavigationService').getCurrentRoute(), 'UpdateExpiryPassword');
+    assert.equal(app.document.getElementById('update-expiry-subtitle').textContent, statusMessage);
+  });
+
+  test('challengeMode 2 keeps the session params for navigating back to Dashboard', () => {
+    const screen = app.get('UpdatePasswordScreen');
+    let receivedParams = null;
+    screen.onContentLoaded = (params) => { receivedParams = params; };
+    startSession(app);
+
+    app.emit('getPassword', { userID: 'alice', challengeMode: 2, attemptsLeft: 3 });
+
+    assert.equal(receivedParams.sessionID, 'session-1');
+    assert.equal(receivedParams.challengeMode, 2);
+  });
+
+  test('challengeMode 3 opens the step-up dialog without navigating', () => {
+    const stepUp = app.get('StepUpAuthManager');
+    const shown = [];
+    stepUp.showPasswordDialog = (data) => shown.push(data.challengeMode);
+    startSession(app);
+
+    app.emit('getPassword', { userID: 'alice', challengeMode: 3, attemptsLeft: 3 });
+
+    assert.deepEqual(shown, [3]);
+    assert.equal(app.get('NavigationService').getCurrentRoute(), null);
+  });
+
+  [5, 14, 15].forEach((challengeMode) => {
+    test(`challengeMode ${challengeMode} shows the LDA toggle dialog`, () => {
+      const dialog = app.get('LDAToggleAuthDialog');
+      const shown = [];
+      dialog.show = (data) => shown.push(data.challengeMode);
+      startSession(app);
+
+      app.emit('getPassword', { userID: 'alice', challengeMode, attemptsLeft: 3 });
+
+      assert.deepEqual(shown, [challengeMode]);
+    });
+  });
+
+  test('challengeMode 12 goes to DataSigningSetupAuthManager only while it is active', () => {
+    const manager = app.get('DataSigningSetupAuthManager');
+    const shown = [];
+    manager.showPasswordDialog = (data) => shown.push(data.challengeMode);
+    startSession(app);
+
+    manager.isActive = () => false;
+    app.emit('getPassword', { userID: 'alice', challengeMode: 12, attemptsLeft: 3 });
+    assert.deepEqual(shown, []);
+
+    manager.isActive = () => true;
+    app.emit('getPassword', { userID: 'alice', challengeMode: 12, attemptsLeft: 3 });
+    assert.deepEqual(shown, [12]);
+  });
+
+  test('unknown challengeMode navigates to UnsupportedChallenge', () => {
+    app.get('NavigationService').navigate('TutorialHome');
+
+    app.emit('getPassword', { userID: 'alice', challengeMode: 99, attemptsLeft: 3 });
+
+    assert.equal(app.get('NavigationService').getCurrentRoute(), 'UnsupportedChallenge');
+    assert.equal(app.document.getElementById('unsupported-challenge-mode').textContent, '99');
+  });
+});
+
+test.describe('SDKEventProvider.handleGetUserConsentForLDA', () => {
+  let app;
+
+  test.beforeEach(async () => { app = await createApp(); });
+  test.afterEach(() => app.close());
+
+  test('challengeMode 16 shows the LDA toggle dialog', () => {
+    const dialog = app.get('LDAToggleAuthDialog');
+    const shown = [];
+    dialog.show = (data) => shown.push(data.challengeMode);
+    startSession(app);
+
+    app.emit('getUserConsentForLDA', { userID: 'alice', challengeMode: 16, authenticationType: 1 });
+
+    assert.deepEqual(shown, [16]);
+    assert.equal(app.get('NavigationService').getCurrentRoute(), null);
+  });
+
+  test('other challengeModes navigate to UserLDAConsent', () => {
+    app.emit('getUserConsentForLDA', { userID: 'alice', challengeMode: 0, authenticationType: 1 });
+
+    assert.equal(app.get('NavigationService').getCurrentRoute(), 'UserLDAConsent');
+  });
+});
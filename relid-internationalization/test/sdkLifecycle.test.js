@@ -0,0 +1,139 @@
+/**
+ * rdnaService terminate() / reinitialize() - tearing the SDK down and starting it
+ * again without restarting the app
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('./harness/createApp');
+const { track, logIn } = require('./harness/flows');
+
+/**
+ * Advances the clock in steps so async chains spanning several events make progress
+ */
+async function flushSteps(app, ms) {
+  for (let elapsed = 0; elapsed < ms; elapsed += 100) {
+    await app.flush(100);
+  }
+}
+
+/**
+ * Records the order in which the app calls the plugin
+ */
+function recordCalls(app, methods) {
+  const client = app.get('com.uniken.rdnaplugin.RdnaClient');
+  const calls = [];
+  methods.forEach((method) => {
+    const original = client[method];
+    client[method] = (success, failure, args) => {
+      calls.push(method);
+      return original(success, failure, args);
+    };
+  });
+  return calls;
+}
+
+test.describe('SDK lifecycle', () => {
+  let app;
+  let rdnaService;
+
+  test.beforeEach(async () => {
+    app = await createApp();
+    // Served without file I/O so initialize() runs on the fake clock
+    app.window.loadAgentInfo = async () => app.get('parseAgentInfo')(app.get('MOCK_AGENT_INFO'));
+    rdnaService = app.get('rdnaService');
+  });
+
+  test.afterEach(() => app.close());
+
+  test('reinitialize logs off, terminates, resets state and initializes again', async () => {
+    await logIn(app, rdnaService);
+    const provider = app.get('SDKEventProvider');
+    assert.equal(provider.getSessionParams().userID, 'alice');
+    assert.equal(app.get('AuthFlowStateMachine').getState(), 'logged-in');
+
+    app.get('StepUpAuthManager').setContext({ notificationUUID: 'n-1', userID: 'alice' });
+    const calls = recordCalls(app, ['logOff', 'terminate', 'initialize']);
+    const progress = [];
+    const states = [];
+    app.document.addEventListener('authFlowStateChanged', (event) => states.push(event.detail.to));
+
+    const result = track(rdnaService.reinitialize({ onProgress: (message) => progress.push(message.split('\n')[0]) }));
+    await flushSteps(app, 2000);
+
+    assert.equal(result.value.status.statusCode, 100);
+    assert.deepEqual(calls, ['logOff', 'terminate', 'initialize']);
+    assert.deepEqual(progress, [
+      'Logging off the current user...',
+      'Closing the current SDK session...',
+      'Clearing session state...',
+      'Starting RDNA initialization...',
+      'RDNA initialization started...',
+      'RDNA initialization completed!'
+    ]);
+    assert.equal(Object.keys(provider.getSessionParams()).length, 0);
+    assert.equal(app.get('StepUpAuthManager').hasContext(), false);
+    assert.equal(app.get('DataSigningSetupAuthManager').isActive(), false);
+    assert.deepEqual(states.slice(0, 3), ['awaiting-user', 'uninitialized', 'initializing']);
+    assert.equal(rdnaService.isInitialized(), true);
+    assert.equal(app.get('NavigationService').getCurrentRoute(), 'CheckUser');
+  });
+
+  test('terminate releases calls in flight and stops events from the old session', async () => {
+    track(rdnaService.initialize());
+    await app.flush(1300);
+    track(rdnaService.setUser('alice'));
+    await app.flush(0);
+    assert.equal(rdnaService.getInFlightOperation().method, 'setUser');
+
+    const terminated = track(rdnaService.terminate());
+    await app.flush(0);
+    assert.equal(terminated.value.error.longErrorCode, 0);
+    assert.equal(rdnaService.getInFlightOperation(), null);
+    assert.equal(rdnaService.isInitialized(), false);
+    assert.equal(app.get('AuthFlowStateMachine').getState(), 'uninitialized');
+
+    // getPassword for setUser was scheduled before terminate
+    const route = app.get('NavigationService').getCurrentRoute();
+    await app.flush(1000);
+    assert.equal(app.get('NavigationService').getCurrentRoute(), route);
+  });
+
+  test('reinitialize skips log off and terminate before the first initialize', async () => {
+    const calls = recordCalls(app, ['logOff', 'terminate', 'initialize']);
+    const result = track(rdnaService.reinitialize());
+    await flushSteps(app, 1000);
+
+    assert.deepEqual(calls, ['initialize']);
+    assert.ok(result.value);
+  });
+
+  test('reinitialize rejects with onInitializeError and the error screen retries', async () => {
+    await app.boot();
+    const mock = app.get('RdnaClientMock');
+    mock.registerScenario({
+      name: 'initialize-error-once',
+      reactions: {
+        initialize: [{ times: 1, emit: [{ event: 'onInitializeError' }] }]
+      }
+    });
+    mock.activate('initialize-error-once');
+
+    const result = track(rdnaService.reinitialize());
+    await flushSteps(app, 1000);
+    assert.equal(result.error.eventName, 'onInitializeError');
+    assert.equal(result.error.longErrorCode, 88);
+    assert.equal(rdnaService.getInFlightOperation(), null);
+
+    app.get('NavigationService').navigate('TutorialError', result.error.response);
+    await app.flush(0);
+    assert.equal(app.document.getElementById('long-error-code').textContent, '88');
+
+    app.document.getElementById('retry-initialize-btn').click();
+    await app.flush(0);
+    assert.equal(app.document.getElementById('retry-initialize-btn').disabled, true);
+
+    await flushSteps(app, 2000);
+    assert.equal(app.get('NavigationService').getCurrentRoute(), 'CheckUser');
+  });
+});
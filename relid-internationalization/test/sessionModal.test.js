@@ -0,0 +1,91 @@
+/**
+ * SessionModal - idle timeout countdown math
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('./harness/createApp');
+
+test.describe('SessionModal countdown', () => {
+  let app;
+  let modal;
+
+  const showIdleTimeout = (timeLeftInSeconds) => modal.show({
+    type: 'idle-timeout',
+    data: { userID: 'alice', timeLeftInSeconds, sessionCanBeExtended: 1, message: 'Session expiring' },
+    onExtendSession: () => {},
+    onDismiss: () => {}
+  });
+
+  const setHidden = (hidden) => {
+    Object.defineProperty(app.document, 'hidden', { value: hidden, configurable: true });
+    modal.handleVisibilityChange();
+  };
+
+  test.beforeEach(async () => {
+    app = await createApp({ initialize: false });
+    modal = app.get('SessionModal');
+  });
+
+  test.afterEach(() => {
+    modal.hide();
+    app.close();
+  });
+
+  test('formats the countdown as M:SS', () => {
+    [[0, '0:00'], [5, '0:05'], [60, '1:00'], [125, '2:05'], [600, '10:00']].forEach(([seconds, expected]) => {
+      modal.countdown = seconds;
+      assert.equal(modal.formatCountdown(), expected);
+    });
+  });
+
+  test('starts from timeLeftInSeconds and ticks down once per second', () => {
+    showIdleTimeout(90);
+    assert.equal(app.document.getElementById('session-modal-countdown').textContent, '1:30');
+
+    app.clock.tick(1000);
+    assert.equal(modal.countdown, 89);
+    assert.equal(app.document.getElementById('session-modal-countdown').textContent, '1:29');
+
+    app.clock.tick(29000);
+    assert.equal(modal.countdown, 60);
+    assert.equal(app.document.getElementById('session-modal-countdown').textContent, '1:00');
+  });
+
+  test('stops at zero and clears its timer', () => {
+    showIdleTimeout(3);
+
+    app.clock.tick(10000);
+
+    assert.equal(modal.countdown, 0);
+    assert.equal(modal.countdownTimer, null);
+  });
+
+  test('subtracts time spent in the background when returning to the foreground', () => {
+    showIdleTimeout(120);
+
+    setHidden(true);
+    app.clock.now += 45500; // background time passes without timers firing
+    setHidden(false);
+
+    assert.equal(modal.countdown, 75);
+    assert.equal(app.document.getElementById('session-modal-countdown').textContent, '1:15');
+  });
+
+  test('never goes below zero after a long background period', () => {
+    showIdleTimeout(30);
+
+    setHidden(true);
+    app.clock.now += 5 * 60 * 1000;
+    setHidden(false);
+
+    assert.equal(modal.countdown, 0);
+  });
+
+  test('hard timeout shows no countdown', () => {
+    modal.show({ type: 'hard-timeout', data: { message: 'Session expired' }, onDismiss: () => {} });
+
+    assert.equal(app.document.getElementById('session-modal-countdown'), null);
+    assert.equal(modal.countdownTimer, null);
+  });
+});
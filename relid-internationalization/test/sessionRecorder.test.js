@@ -0,0 +1,159 @@
+/**
+ * SessionRecorder - recording calls and events, replaying a trace without the plugin
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('./harness/createApp');
+
+/**
+ * Runs an SDK call and lets the mock answer it (events follow the sync response after 300ms)
+ */
+async function settle(app, call) {
+  let outcome = null;
+  call.then((value) => { outcome = { value }; }, (error) => { outcome = { error }; });
+  for (let i = 0; i < 50 && !outcome; i++) await app.flush(10);
+  await app.flush(400);
+  return outcome;
+}
+
+/**
+ * Records getUser → setUser → getPassword → setPassword → onUserLoggedIn
+ * (SDKEventProvider then calls getAllChallenges → onCredentialsAvailableForUpdate)
+ * @returns {Promise<string>} Trace as exported JSON
+ */
+async function recordLogin() {
+  const app = await createApp();
+  const recorder = app.get('SessionRecorder');
+  const rdnaService = app.get('rdnaService');
+
+  recorder.startRecording();
+  app.emit('getUser');
+  await settle(app, rdnaService.setUser('alice'));
+  await settle(app, rdnaService.setPassword('Demo@1234', 0));
+  await app.flush(400);
+  const trace = recorder.stopRecording();
+
+  app.close();
+  return JSON.stringify(trace);
+}
+
+test.describe('SessionRecorder', () => {
+  let trace;
+
+  test.before(async () => {
+    trace = await recordLogin();
+  });
+
+  test('records calls and events in order, redacted, with timestamps', () => {
+    const parsed = JSON.parse(trace);
+
+    assert.equal(parsed.format, 'relid-session-trace');
+    assert.deepEqual(
+      parsed.entries.map((entry) => entry.method || entry.name),
+      // getDeviceAuthenticationDetails: RememberedUsersManager reads the LDA flag after login
+      ['getUser', 'setUser', 'getPassword', 'setPassword', 'onUserLoggedIn', 'getAllChallenges', 'getDeviceAuthenticationDetails',
+        'onCredentialsAvailableForUpdate']
+    );
+
+    const setPassword = parsed.entries[3];
+    assert.deepEqual(setPassword.args, ['[REDACTED]', 0]);
+    assert.equal(setPassword.outcome, 'resolved');
+    assert.equal(setPassword.response.error.longErrorCode, 0);
+    assert.equal(parsed.entries[4].data.userID, '[REDACTED]');
+
+    const times = parsed.entries.map((entry) => entry.t);
+    assert.deepEqual(times, [...times].sort((a, b) => a - b));
+    assert.ok(parsed.entries[2].t - parsed.entries[1].t >= 300);
+    assert.doesNotMatch(trace, /alice|Demo@1234|eyJ/);
+  });
+
+  test('replays a trace into the UI without calling the plugin', async () => {
+    const app = await createApp();
+    const recorder = app.get('SessionRecorder');
+    const nav = app.get('NavigationService');
+    const routes = [];
+    app.document.addEventListener('authFlowStateChanged', () => routes.push(nav.getCurrentRoute()));
+
+    let summary = null;
+    recorder.replay(recorder.parseTrace(trace)).then((result) => { summary = result; });
+    await app.flush(2000);
+
+    assert.equal(summary.state, 'completed');
+    assert.equal(summary.events, 4);
+    assert.equal(summary.calls, 4);
+    assert.deepEqual(Array.from(routes), ['CheckUser', 'VerifyPassword', 'Dashboard']);
+    assert.equal(nav.getCurrentRoute(), 'Dashboard');
+    assert.deepEqual(Object.keys(app.get('RdnaClientMock').state.lastArgs), []);
+    app.close();
+  });
+
+  test('waits for the app to make recorded calls and ignores plugin events meanwhile', async () => {
+    const app = await createApp();
+    const recorder = app.get('SessionRecorder');
+    const rdnaService = app.get('rdnaService');
+    const nav = app.get('NavigationService');
+
+    let summary = null;
+    recorder.replay(recorder.parseTrace(trace), { timeScale: 0, waitForCalls: true }).then((result) => { summary = result; });
+    await app.flush(10);
+
+    assert.equal(nav.getCurrentRoute(), 'CheckUser');
+    assert.equal(recorder.getReplayStatus().waitingFor, 'setUser');
+
+    app.emit('onUserLoggedIn');
+    await app.flush(10);
+    assert.equal(nav.getCurrentRoute(), 'CheckUser');
+
+    const version = await rdnaService.getSDKVersion();
+    assert.equal(version.error.longErrorCode, 0);
+
+    const response = await rdnaService.setUser('bob');
+    assert.equal(response.error.longErrorCode, 0);
+    await app.flush(10);
+    assert.equal(nav.getCurrentRoute(), 'VerifyPassword');
+
+    recorder.stopReplay();
+    await app.flush(0);
+    assert.equal(summary.state, 'stopped');
+    assert.deepEqual(Array.from(summary.unexpectedCalls), ['getSDKVersion']);
+    assert.equal(recorder.isReplaying(), false);
+
+    // Plugin events reach the app again (the mock never saw setUser, so name the user)
+    app.emit('onUserLoggedIn', { userID: 'bob' });
+    await app.flush(10);
+    assert.equal(nav.getCurrentRoute(), 'Dashboard');
+    app.close();
+  });
+
+  test('a failing recorder does not keep the event from the app', async () => {
+    const app = await createApp();
+    const received = [];
+    const eventManager = app.get('rdnaService').getEventManager();
+    eventManager.setEventRecorder(() => {
+      throw new TypeError('Converting circular structure to JSON');
+    });
+    eventManager.on('onUserLoggedIn', (data) => received.push(data.userID));
+
+    app.emit('getUser', {});
+    app.emit('onUserLoggedIn', { userID: 'alice' });
+    await app.flush(10);
+
+    assert.deepEqual(received, ['alice']);
+    assert.equal(app.get('NavigationService').getCurrentRoute(), 'Dashboard');
+    app.close();
+  });
+
+  test('rejects files that are not session traces', async () => {
+    const app = await createApp();
+    const recorder = app.get('SessionRecorder');
+
+    assert.throws(() => recorder.parseTrace('not json'), /not valid JSON/);
+    assert.throws(() => recorder.parseTrace('{"entries": []}'), /not a REL-ID session trace/);
+    assert.throws(
+      () => recorder.parseTrace({ format: 'relid-session-trace', version: 1, entries: [{ t: 0, type: 'event' }] }),
+      /entry 0 is malformed/
+    );
+    app.close();
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * TelemetryService - call/event spans, flow spans and OTLP/HTTP export to a local collector
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('./harness/createApp');
+const { startCollector, spanAttributes } = require('./harness/otlpCollector');
+
+test.describe('TelemetryService', () => {
+  let app;
+  let collector;
+  let telemetry;
+
+  test.beforeEach(async () => {
+    collector = await startCollector();
+    app = await createApp();
+    telemetry = app.get('TelemetryService');
+    telemetry.configure({ otelHTTPEndpointURL: collector.url });
+  });
+
+  test.afterEach(async () => {
+    app.close();
+    await collector.close();
+  });
+
+  /**
+   * Runs an SDK call and lets the mock answer it (events follow the sync response after 300ms)
+   */
+  const settle = async (call) => {
+    let outcome = null;
+    call.then((value) => { outcome = { value }; }, (error) => { outcome = { error }; });
+    for (let i = 0; i < 50 && !outcome; i++) await app.flush(10);
+    await app.flush(400);
+    return outcome;
+  };
+
+  test('traces a login with call spans inside a flow span and exports them', async () => {
+    const rdnaService = app.get('rdnaService');
+
+    app.emit('getUser');
+    await settle(rdnaService.setUser('alice'));
+    await settle(rdnaService.setPassword('Demo@1234', 0));
+    await telemetry.flush();
+
+    const spans = collector.spans();
+    const byName = (name) => spans.find((span) => span.name === name);
+    const login = byName('login');
+    const setUser = byName('rdna.setUser');
+    const setPassword = byName('rdna.setPassword');
+
+    assert.ok(login && setUser && setPassword, `got ${spans.map((span) => span.name).join(', ')}`);
+    assert.equal(spanAttributes(login)['flow.outcome'], 'completed');
+    assert.equal(login.status.code, 1);
+
+    assert.equal(setPassword.traceId, login.traceId);
+    assert.equal(setPassword.parentSpanId, login.spanId);
+    assert.equal(setPassword.kind, 3);
+    const attributes = spanAttributes(setPassword);
+    assert.equal(attributes['rdna.method'], 'setPassword');
+    assert.equal(attributes['rdna.challenge_mode'], 0);
+    assert.equal(attributes['rdna.event'], 'onUserLoggedIn');
+    assert.equal(attributes['rdna.error.long_code'], 0);
+    assert.equal(setPassword.status.code, 1);
+    assert.deepEqual(setPassword.events.map((event) => event.name), ['sync.response', 'onUserLoggedIn']);
+    assert.equal(spanAttributes(setUser)['rdna.event'], 'getPassword');
+    assert.ok(BigInt(setPassword.endTimeUnixNano) > BigInt(setPassword.startTimeUnixNano));
+
+    const resource = spanAttributes(collector.requests[0].resourceSpans[0].resource);
+    assert.equal(resource['service.name'], 'relid-cordova-tutorial');
+    assert.doesNotMatch(JSON.stringify(collector.requests), /alice|Demo@1234/);
+  });
+
+  test('keeps spans while the collector is unreachable or the device is offline', async () => {
+    const navigator = app.window.navigator;
+
+    collector.failNext(503);
+    telemetry.startSpan('offline.first').end();
+    await telemetry.flush();
+
+    assert.equal(collector.requests.length, 0);
+    assert.equal(telemetry.getQueueLength(), 1);
+    assert.match(app.window.localStorage.getItem('tutorial_app_telemetry_queue'), /offline\.first/);
+
+    Object.defineProperty(navigator, 'onLine', { value: false, configurable: true });
+    telemetry.startSpan('offline.second').end();
+    await telemetry.flush();
+    assert.equal(telemetry.getQueueLength(), 2);
+
+    Object.defineProperty(navigator, 'onLine', { value: true, configurable: true });
+    app.window.dispatchEvent(new app.window.Event('online'));
+    await telemetry.flush();
+
+    assert.deepEqual(collector.spans().map((span) => span.name), ['offline.first', 'offline.second']);
+    assert.equal(telemetry.getQueueLength(), 0);
+    assert.equal(app.window.localStorage.getItem('tutorial_app_telemetry_queue'), null);
+  });
+
+  test('exports spans persisted by an earlier run and batches large queues', async () => {
+    telemetry.configure({ otelHTTPEndpointURL: '' });
+    const leftover = { traceId: 'a'.repeat(32), spanId: 'b'.repeat(16), name: 'previous.run', kind: 1, attributes: [], events: [], status: { code: 0 } };
+    app.window.localStorage.setItem('tutorial_app_telemetry_queue', JSON.stringify([leftover]));
+
+    telemetry.configure({ otelHTTPEndpointURL: `${collector.url}/v1/traces/` });
+    const batchSize = app.get('TELEMETRY_MAX_BATCH_SIZE');
+    for (let i = 0; i < batchSize * 2 + 10; i++) {
+      telemetry.startSpan(`batch.${i}`).end();
+    }
+    await telemetry.flush();
+    await telemetry.flush();
+
+    const sizes = collector.requests.map((payload) => payload.resourceSpans[0].scopeSpans[0].spans.length);
+    assert.deepEqual(sizes, [batchSize, batchSize, 11]);
+    assert.equal(collector.spans()[0].name, 'previous.run');
+    assert.equal(telemetry.getQueueLength(), 0);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * TokenService - access token decoding, expiry events and the Dashboard countdown
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('./harness/createApp');
+const { track, logIn } = require('./harness/flows');
+
+/**
+ * Base64url JWT with the given claims
+ */
+function buildJwt(claims) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode(claims)}.signature`;
+}
+
+test.describe('TokenService', () => {
+  let app;
+  let rdnaService;
+  let tokenService;
+
+  test.beforeEach(async () => {
+    app = await createApp();
+    // Served without file I/O so initialize() runs on the fake clock
+    app.window.loadAgentInfo = async () => app.get('parseAgentInfo')(app.get('MOCK_AGENT_INFO'));
+    rdnaService = app.get('rdnaService');
+    tokenService = app.get('TokenService');
+  });
+
+  test.afterEach(() => app.close());
+
+  test('login decodes the access token and the Dashboard shows its claims', async () => {
+    await logIn(app, rdnaService);
+    const info = tokenService.getTokenInfo();
+
+    assert.equal(info.tokenType, 'Bearer');
+    assert.equal(info.header.alg, 'none');
+    assert.equal(info.claims.sub, 'alice');
+    assert.equal(info.claims.exp - info.claims.iat, 3600);
+    assert.deepEqual(Array.from(info.scopes), ['openid', 'profile', 'notifications']);
+    assert.equal(info.expiresAt - info.receivedAt, 3600 * 1000);
+    assert.equal(tokenService.getAccessToken().split('.').length, 3);
+
+    const text = (id) => app.document.getElementById(id).textContent;
+    assert.equal(app.get('NavigationService').getCurrentRoute(), 'Dashboard');
+    assert.equal(text('jwt-subject'), 'alice');
+    assert.equal(text('jwt-issuer'), 'rdna-client-mock');
+    assert.equal(text('jwt-audience'), 'relid-tutorial-app');
+    assert.equal(text('jwt-scopes'), 'openid, profile, notifications');
+
+    await app.flush(2000);
+    assert.match(text('jwt-countdown'), /^59:5\d$/);
+  });
+
+  test('tokenExpiring and tokenExpired fire, then the token is withheld', async () => {
+    await logIn(app, rdnaService);
+    const events = [];
+    app.document.addEventListener('tokenExpiring', (event) => events.push(['tokenExpiring', event.detail.secondsRemaining]));
+    app.document.addEventListener('tokenExpired', (event) => events.push(['tokenExpired', event.detail.secondsRemaining]));
+
+    const { expiresAt } = tokenService.getTokenInfo();
+    const threshold = app.get('TOKEN_EXPIRING_THRESHOLD_MS');
+    await app.flush(expiresAt - threshold - app.get('Date.now()'));
+    assert.deepEqual(events, [['tokenExpiring', 60]]);
+    assert.ok(tokenService.getAccessToken());
+    assert.equal(app.document.getElementById('jwt-countdown').classList.contains('token-countdown-expiring'), true);
+
+    await app.flush(threshold);
+    assert.deepEqual(events[1], ['tokenExpired', 0]);
+    assert.equal(tokenService.getAccessToken(), null);
+    assert.equal(tokenService.isExpired(), true);
+    assert.equal(app.document.getElementById('jwt-countdown').textContent, 'Expired');
+  });
+
+  test('the token is forgotten when the session ends', async () => {
+    await logIn(app, rdnaService);
+    const expired = [];
+    app.document.addEventListener('tokenExpired', () => expired.push(true));
+
+    track(rdnaService.logOff('alice'));
+    await app.flush(1000);
+
+    assert.equal(tokenService.getTokenInfo(), null);
+    assert.equal(tokenService.getAccessToken(), null);
+    await app.flush(3600 * 1000);
+    assert.equal(expired.length, 0);
+  });
+
+  test('without expires_in the exp claim sets the expiry', () => {
+    const now = app.get('Date.now()');
+    const exp = Math.floor(now / 1000) + 120;
+    const info = tokenService.setTokenInfo(JSON.stringify({
+      access_token: buildJwt({ sub: 'bob', name: 'Zoë Ñúñez', aud: ['api', 'web'], scp: ['read', 'write'], exp }),
+      token_type: 'Bearer'
+    }));
+
+    assert.equal(info.expiresAt, exp * 1000);
+    assert.equal(info.claims.name, 'Zoë Ñúñez');
+    assert.deepEqual(Array.from(info.claims.aud), ['api', 'web']);
+    assert.deepEqual(Array.from(info.scopes), ['read', 'write']);
+    assert.equal(tokenService.getSecondsRemaining(), exp - now / 1000);
+  });
+
+  test('expiry beyond the setTimeout limit is reached in capped steps', async () => {
+    const delays = [];
+    const setTimeout = app.window.setTimeout;
+    app.window.setTimeout = (callback, delay, ...args) => {
+      delays.push(delay);
+      return setTimeout(callback, delay, ...args);
+    };
+    const events = [];
+    app.document.addEventListener('tokenExpiring', () => events.push('tokenExpiring'));
+    app.document.addEventListener('tokenExpired', () => events.push('tokenExpired'));
+
+    const thirtyDays = 30 * 24 * 3600;
+    tokenService.setTokenInfo(JSON.stringify({ access_token: 'opaque-token', expires_in: thirtyDays }));
+    const maxDelay = app.get('TOKEN_MAX_TIMER_DELAY_MS');
+    assert.ok(delays.length > 0 && delays.every((delay) => delay <= maxDelay));
+
+    await app.flush(maxDelay);
+    assert.deepEqual(events, []);
+    await app.flush(thirtyDays * 1000 - maxDelay - app.get('TOKEN_EXPIRING_THRESHOLD_MS'));
+    assert.deepEqual(events, ['tokenExpiring']);
+    await app.flush(app.get('TOKEN_EXPIRING_THRESHOLD_MS'));
+    assert.deepEqual(events, ['tokenExpiring', 'tokenExpired']);
+    assert.ok(delays.every((delay) => delay <= maxDelay));
+  });
+
+  test('the token is no longer masked in logs once cleared', () => {
+    const logger = app.get('Logger');
+    tokenService.setTokenInfo(JSON.stringify({ access_token: 'opaque-token-1', expires_in: 600 }));
+    tokenService.setTokenInfo(JSON.stringify({ access_token: 'opaque-token-2', expires_in: 600 }));
+    assert.equal(logger._sensitiveValues.has('opaque-token-1'), false);
+    assert.equal(logger._sensitiveValues.has('opaque-token-2'), true);
+
+    tokenService.clear();
+    assert.equal(logger._sensitiveValues.has('opaque-token-2'), false);
+  });
+
+  test('an opaque token is kept but has no claims, and bad JSON is ignored', () => {
+    const info = tokenService.setTokenInfo(JSON.stringify({ access_token: 'opaque-token', expires_in: 600 }));
+    assert.equal(info.claims, null);
+    assert.equal(info.scopes.length, 0);
+    assert.equal(tokenService.getAccessToken(), 'opaque-token');
+    assert.equal(tokenService.getSecondsRemaining(), 600);
+
+    assert.equal(tokenService.setTokenInfo('{not json'), null);
+    assert.equal(tokenService.getAccessToken(), null);
+    assert.equal(tokenService.decodeJwt('a.b'), null);
+  });
+});
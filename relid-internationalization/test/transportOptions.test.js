@@ -0,0 +1,142 @@
+/**
+ * initialize() transport options - validation, per-profile sources and the Advanced settings screen
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('./harness/createApp');
+
+const CERTIFICATE = { data: 'TUlJQ2R6Q0NBZUNn', password: 'p12-secret' };
+
+const AGENT_INFO = {
+  RelIds: [
+    { Name: 'dev', RelId: 'RELID-DEV' },
+    { Name: 'corp', RelId: 'RELID-CORP' },
+    { Name: 'bad-proxy', RelId: 'RELID-BAD' }
+  ],
+  Profiles: [
+    { Name: 'dev', Host: 'dev.example.com', Port: 443 },
+    {
+      Name: 'corp',
+      Host: 'corp.example.com',
+      Port: 443,
+      ProxySettings: '{"host": "proxy.corp", "port": "3128"}',
+      SSLCertificate: CERTIFICATE,
+      LogLevel: 'RDNA_LOG_WARN'
+    },
+    { Name: 'bad-proxy', Host: 'bad.example.com', Port: 443, ProxySettings: '{"host": "proxy"' }
+  ]
+};
+
+test.describe('Transport options', () => {
+  let app;
+  let calls;
+
+  test.beforeEach(async () => {
+    app = await createApp();
+    app.window.loadAgentInfo = async () => app.get('parseAgentInfo')(AGENT_INFO);
+
+    calls = [];
+    const client = app.get('com.uniken.rdnaplugin.RdnaClient');
+    const originalInitialize = client.initialize;
+    client.initialize = (success, failure, args) => {
+      calls.push(Array.from(args).slice(3, 8));
+      return originalInitialize(success, failure, args);
+    };
+  });
+
+  test.afterEach(() => app.close());
+
+  // Waits for onInitialized too, so the next initialize() is not refused as overlapping
+  const initialize = async (...args) => {
+    const pending = app.get('rdnaService').initialize(...args);
+    await app.flush(1000);
+    return pending;
+  };
+
+  test('validation names the invalid field', () => {
+    const validate = app.get('validateTransportOptions');
+
+    assert.equal(validate({}).logLevel, 'RDNA_NO_LOGS');
+    assert.throws(() => validate({ proxySettings: '{host' }), /Proxy settings are not valid JSON/);
+    assert.throws(() => validate({ proxySettings: { host: 'http://proxy', port: 80 } }), /without scheme/);
+    assert.throws(() => validate({ proxySettings: { host: 'proxy', port: 70000 } }), /between 1 and 65535/);
+    assert.throws(() => validate({ proxySettings: { host: 'proxy', port: 80, password: 'x' } }), /requires a username/);
+    assert.throws(() => validate({ sslCertificate: { data: 'not base64!', password: 'x' } }), /base64/);
+    assert.throws(() => validate({ sslCertificate: { data: CERTIFICATE.data } }), /password is required/);
+    assert.throws(() => validate({ logLevel: 'LOUD' }), /Unknown log level: LOUD/);
+
+    const proxy = validate({ proxySettings: { host: ' proxy ', port: '8080' } }).proxySettings;
+    assert.deepEqual({ ...proxy }, { host: 'proxy', port: 8080, username: '', password: '' });
+  });
+
+  test('defaults keep the previous initialize() arguments', async () => {
+    await initialize();
+    assert.deepEqual(calls, [['', '', '', '', 0]]);
+  });
+
+  test('agent_info.json values apply per profile and invalid ones skip the profile', async () => {
+    const manager = app.get('ConnectionProfileManager');
+    await manager.load();
+    assert.deepEqual(Array.from(manager.getProfiles()).map((profile) => profile.name), ['dev', 'corp']);
+
+    await manager.selectProfile('corp');
+    await initialize();
+
+    const [cipherSpecs, cipherSalt, proxy, certificate, logLevel] = calls[0];
+    assert.equal(cipherSpecs, '');
+    assert.equal(cipherSalt, '');
+    assert.deepEqual(JSON.parse(proxy), { host: 'proxy.corp', port: 3128, username: '', password: '' });
+    assert.deepEqual(JSON.parse(certificate), CERTIFICATE);
+    assert.equal(logLevel, 4);
+  });
+
+  test('saved settings override the profile and the argument overrides both', async () => {
+    const settings = app.get('TransportSettingsManager');
+    assert.throws(() => settings.save('dev', { logLevel: 'LOUD' }), /Unknown log level/);
+    assert.equal(app.window.localStorage.getItem('tutorial_app_transport_settings'), null);
+
+    settings.save('dev', { cipherSpecs: 'AES/256/CFB/NoPadding', logLevel: 'RDNA_LOG_DEBUG' });
+    await initialize(undefined, { logLevel: 'RDNA_LOG_ERROR' });
+    assert.deepEqual(calls[0], ['AES/256/CFB/NoPadding', '', '', '', 5]);
+
+    // Rejected before the SDK is called
+    await assert.rejects(app.get('rdnaService').initialize(undefined, { proxySettings: { host: 'proxy' } }), /Proxy port/);
+    assert.equal(calls.length, 1);
+  });
+
+  test('Advanced settings screen edits and persists the selected profile', async () => {
+    const nav = app.get('NavigationService');
+    nav.navigate('TutorialHome');
+    await app.flush();
+
+    app.document.getElementById('advanced-settings-btn').click();
+    assert.equal(nav.getCurrentRoute(), 'AdvancedSettings');
+    await app.flush();
+
+    const $ = (id) => app.document.getElementById(id);
+    assert.match($('advanced-settings-profile').textContent, /^dev/);
+    assert.equal($('advanced-proxy-enabled').checked, false);
+    assert.equal($('advanced-proxy-host').disabled, true);
+
+    $('advanced-proxy-enabled').checked = true;
+    $('advanced-proxy-enabled').dispatchEvent(new app.window.Event('change'));
+    $('advanced-proxy-host').value = 'proxy.corp';
+    $('advanced-proxy-port').value = 'abc';
+    $('advanced-log-level').value = 'RDNA_LOG_INFO';
+    $('advanced-save-btn').click();
+    assert.match(app.alerts[0], /^Invalid Settings\n\nProxy port/);
+
+    $('advanced-proxy-port').value = '8080';
+    $('advanced-save-btn').click();
+    assert.match(app.alerts[1], /^Settings Saved/);
+
+    const saved = app.get('TransportSettingsManager').getSaved('dev');
+    assert.equal(saved.proxySettings.port, 8080);
+    assert.equal(saved.logLevel, 'RDNA_LOG_INFO');
+
+    $('advanced-reset-btn').click();
+    assert.equal($('advanced-proxy-enabled').checked, false);
+    assert.equal($('advanced-log-level').value, 'RDNA_NO_LOGS');
+  });
+});
@@ -28,7 +28,7 @@ const App = {
    * Sets up deviceready listener
    */
   initialize() {
-    console.log('App - Initializing application');
+    Logger.debug('App - Initializing application');
     document.addEventListener('deviceready', this.onDeviceReady.bind(this), false);
   },
 
@@ -42,35 +42,43 @@ const App = {
    * 3. That's it! Everything else handled by screens.
    */
   async onDeviceReady() {
-    console.log('App - Device ready');
-    console.log('App - Platform:', this.getPlatformInfo());
+    Logger.debug('App - Device ready');
+    Logger.debug('App - Platform:', this.getPlatformInfo());
 
     try {
       // Initialize Language Manager FIRST (loads persisted language from localStorage)
-      console.log('App - Initializing LanguageManager');
+      Logger.debug('App - Initializing LanguageManager');
       if (typeof LanguageManager !== 'undefined') {
         await LanguageManager.initialize();
-        console.log('App - LanguageManager initialized with language:', LanguageManager.getCurrentLanguage().display_text);
+        Logger.debug('App - LanguageManager initialized with language:', LanguageManager.getCurrentLanguage().display_text);
       } else {
-        console.warn('App - LanguageManager not available');
+        Logger.warn('App - LanguageManager not available');
       }
 
       // Initialize SDK handlers ONCE (SPA magic!)
-      console.log('App - Calling AppInitializer.initialize()');
+      Logger.debug('App - Calling AppInitializer.initialize()');
       AppInitializer.initialize();
 
       // Initialize drawer menu (persistent UI element)
-      console.log('App - Initializing drawer menu');
+      Logger.debug('App - Initializing drawer menu');
       NavigationService.initializeDrawer();
 
+      // Global Android back button handler (history + per-screen behavior)
+      Logger.debug('App - Initializing back button handler');
+      NavigationService.initializeBackButton();
+
+      // Open links that arrived before deviceready once the flow allows it
+      Logger.debug('App - Initializing deep link router');
+      DeepLinkRouter.initialize();
+
       // Navigate to home screen (SPA first screen)
-      console.log('App - Navigating to TutorialHome');
+      Logger.debug('App - Navigating to TutorialHome');
       NavigationService.navigate('TutorialHome');
 
-      console.log('App - Initialization complete');
-      console.log('App - SDK handlers will persist for entire app lifecycle');
+      Logger.debug('App - Initialization complete');
+      Logger.debug('App - SDK handlers will persist for entire app lifecycle');
     } catch (error) {
-      console.error('App - Critical initialization error:', error);
+      Logger.error('App - Critical initialization error:', error);
       alert(`App Initialization Failed\n\n${error.message}\n\nPlease restart the app.`);
     }
   },
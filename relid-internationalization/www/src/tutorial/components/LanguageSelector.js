@@ -34,7 +34,7 @@ const LanguageSelector = {
    * @param {Function} options.onClose - Callback when modal is closed
    */
   show(options = {}) {
-    console.log('LanguageSelector - Showing modal');
+    Logger.debug('LanguageSelector - Showing modal');
 
     this.onSelectCallback = options.onSelect || null;
     this.onCloseCallback = options.onClose || null;
@@ -45,7 +45,7 @@ const LanguageSelector = {
     const overlay = document.getElementById('language-selector-overlay');
 
     if (!modal || !overlay) {
-      console.error('LanguageSelector - Modal elements not found');
+      Logger.error('LanguageSelector - Modal elements not found');
       return;
     }
 
@@ -70,7 +70,7 @@ const LanguageSelector = {
    * Hide language selector modal
    */
   hide() {
-    console.log('LanguageSelector - Hiding modal');
+    Logger.debug('LanguageSelector - Hiding modal');
 
     const modal = document.getElementById('language-selector-modal');
     const overlay = document.getElementById('language-selector-overlay');
@@ -106,7 +106,7 @@ const LanguageSelector = {
   renderLanguageOptions() {
     const languageManager = window.LanguageManager;
     if (!languageManager) {
-      console.error('LanguageSelector - LanguageManager not available');
+      Logger.error('LanguageSelector - LanguageManager not available');
       return;
     }
 
@@ -115,7 +115,7 @@ const LanguageSelector = {
 
     const listContainer = document.getElementById('language-selector-list');
     if (!listContainer) {
-      console.error('LanguageSelector - List container not found');
+      Logger.error('LanguageSelector - List container not found');
       return;
     }
 
@@ -157,7 +157,7 @@ const LanguageSelector = {
    * @param {Language} language - Selected language
    */
   handleLanguageSelect(language) {
-    console.log('LanguageSelector - Language selected:', language.display_text);
+    Logger.debug('LanguageSelector - Language selected:', language.display_text);
 
     // Call selection callback
     if (this.onSelectCallback) {
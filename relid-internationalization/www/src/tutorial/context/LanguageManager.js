@@ -57,17 +57,17 @@ const LanguageManager = {
    */
   async initialize() {
     if (this._initialized) {
-      console.log('LanguageManager - Already initialized, skipping');
+      Logger.debug('LanguageManager - Already initialized, skipping');
       return;
     }
 
-    console.log('LanguageManager - Initializing');
+    Logger.debug('LanguageManager - Initializing');
 
     try {
       // Get language config
       const config = window.languageConfig;
       if (!config) {
-        console.error('LanguageManager - languageConfig not loaded');
+        Logger.error('LanguageManager - languageConfig not loaded');
         this.supportedLanguages = [];
         this.currentLanguage = {
           lang: 'en-US',
@@ -91,14 +91,14 @@ const LanguageManager = {
       this.isLoading = false;
       this._initialized = true;
 
-      console.log('LanguageManager - Initialization complete');
-      console.log('LanguageManager - Current language:', this.currentLanguage.display_text);
-      console.log('LanguageManager - Supported languages:', this.supportedLanguages.length);
+      Logger.debug('LanguageManager - Initialization complete');
+      Logger.debug('LanguageManager - Current language:', this.currentLanguage.display_text);
+      Logger.debug('LanguageManager - Supported languages:', this.supportedLanguages.length);
 
       // Notify listeners
       this.notifyListeners();
     } catch (error) {
-      console.error('LanguageManager - Initialization failed:', error);
+      Logger.error('LanguageManager - Initialization failed:', error);
       this.isLoading = false;
       this._initialized = true;
     }
@@ -112,7 +112,7 @@ const LanguageManager = {
     try {
       const storage = window.languageStorage;
       if (!storage) {
-        console.warn('LanguageManager - languageStorage not loaded');
+        Logger.warn('LanguageManager - languageStorage not loaded');
         return;
       }
 
@@ -122,12 +122,12 @@ const LanguageManager = {
         const config = window.languageConfig;
         const language = config.getLanguageByCode(savedCode, this.supportedLanguages);
         this.currentLanguage = language;
-        console.log('LanguageManager - Loaded persisted language:', language.display_text);
+        Logger.debug('LanguageManager - Loaded persisted language:', language.display_text);
       } else {
-        console.log('LanguageManager - No persisted language, using default:', this.currentLanguage.display_text);
+        Logger.debug('LanguageManager - No persisted language, using default:', this.currentLanguage.display_text);
       }
     } catch (error) {
-      console.error('LanguageManager - Error loading persisted language:', error);
+      Logger.error('LanguageManager - Error loading persisted language:', error);
     }
   },
 
@@ -139,7 +139,7 @@ const LanguageManager = {
    */
   async changeLanguage(language) {
     try {
-      console.log('LanguageManager - Changing language to:', language.display_text);
+      Logger.debug('LanguageManager - Changing language to:', language.display_text);
 
       // Update current language
       this.currentLanguage = language;
@@ -150,12 +150,12 @@ const LanguageManager = {
         await storage.save(language.lang);
       }
 
-      console.log('LanguageManager - Language changed successfully to:', language.display_text);
+      Logger.debug('LanguageManager - Language changed successfully to:', language.display_text);
 
       // Notify listeners
       this.notifyListeners();
     } catch (error) {
-      console.error('LanguageManager - Error changing language:', error);
+      Logger.error('LanguageManager - Error changing language:', error);
       throw error;
     }
   },
@@ -169,14 +169,14 @@ const LanguageManager = {
    */
   updateFromSDK(sdkLanguages, sdkSelectedLanguage) {
     try {
-      console.log('LanguageManager - Updating from SDK:', JSON.stringify({
+      Logger.debug('LanguageManager - Updating from SDK:', JSON.stringify({
         sdkLanguagesCount: sdkLanguages.length,
         sdkSelectedLanguage: sdkSelectedLanguage
       }, null, 2));
 
       const config = window.languageConfig;
       if (!config) {
-        console.error('LanguageManager - languageConfig not loaded');
+        Logger.error('LanguageManager - languageConfig not loaded');
         return;
       }
 
@@ -185,25 +185,25 @@ const LanguageManager = {
 
       // Update supported languages
       this.supportedLanguages = convertedLanguages;
-      console.log('LanguageManager - Updated supported languages:', convertedLanguages.map(l => l.lang));
+      Logger.debug('LanguageManager - Updated supported languages:', convertedLanguages.map(l => l.lang));
 
       // Update current language based on SDK's selected language
       const sdkCurrentLanguage = config.getLanguageByCode(sdkSelectedLanguage, convertedLanguages);
       this.currentLanguage = sdkCurrentLanguage;
-      console.log('LanguageManager - SDK selected language:', sdkCurrentLanguage.display_text);
+      Logger.debug('LanguageManager - SDK selected language:', sdkCurrentLanguage.display_text);
 
       // Persist SDK's selected language
       const storage = window.languageStorage;
       if (storage) {
         storage.save(sdkCurrentLanguage.lang).catch(error => {
-          console.error('LanguageManager - Failed to persist SDK language:', error);
+          Logger.error('LanguageManager - Failed to persist SDK language:', error);
         });
       }
 
       // Notify listeners
       this.notifyListeners();
     } catch (error) {
-      console.error('LanguageManager - Error updating from SDK:', error);
+      Logger.error('LanguageManager - Error updating from SDK:', error);
     }
   },
 
@@ -221,9 +221,9 @@ const LanguageManager = {
         }
       });
       document.dispatchEvent(event);
-      console.log('LanguageManager - Notified listeners of language change');
+      Logger.debug('LanguageManager - Notified listeners of language change');
     } catch (error) {
-      console.error('LanguageManager - Error notifying listeners:', error);
+      Logger.error('LanguageManager - Error notifying listeners:', error);
     }
   },
 
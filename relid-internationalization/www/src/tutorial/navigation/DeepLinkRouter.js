@@ -0,0 +1,273 @@
+/**
+ * Deep Link Router
+ *
+ * Maps relidcodelab:// URLs (email / SMS links) to app screens.
+ * cordova-plugin-customurlscheme calls window.handleOpenURL(url) on launch and
+ * whenever the app is brought back by a link.
+ *
+ * Supported links:
+ * - relidcodelab://notifications/<uuid>            → GetNotifications, opens the action modal
+ * - relidcodelab://activate?user=<id>&code=<code>  → submits the user, prefills ActivationCode
+ * - relidcodelab://sign?payload=<text>             → DataSigningInput with the payload filled in
+ *
+ * Links are parsed and validated immediately; invalid ones are reported and dropped.
+ * Valid links wait until the flow can take them (AuthFlowStateMachine):
+ * - 'session' links (notifications, sign) until the user is logged in
+ * - 'user' links (activate) until the SDK is initialized and asking for a user
+ * Only the most recent link is kept while waiting.
+ *
+ * Usage:
+ * ```javascript
+ * DeepLinkRouter.initialize();                                  // app.js, after deviceready
+ * DeepLinkRouter.handleUrl('relidcodelab://notifications/...'); // 'opened' | 'deferred' | 'invalid'
+ * ```
+ */
+
+const DEEP_LINK_SCHEME = 'relidcodelab:';
+
+const DEEP_LINK_UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DEEP_LINK_USER_PATTERN = /^[A-Za-z0-9._@-]{1,64}$/;
+const DEEP_LINK_CODE_PATTERN = /^[A-Za-z0-9]{1,32}$/;
+const DEEP_LINK_MAX_PAYLOAD_LENGTH = 500;
+
+const DeepLinkRouter = {
+  /**
+   * Link definitions, keyed by URL host
+   * - requires: 'session' | 'user' - flow state the link waits for
+   * - parse(segments, query): returns params or throws with a user-facing reason
+   * - open(params): lands on the target screen
+   */
+  links: {
+    notifications: {
+      requires: 'session',
+      parse(segments) {
+        const notificationUUID = segments[0] || '';
+        if (!DEEP_LINK_UUID_PATTERN.test(notificationUUID)) {
+          throw new Error('The notification ID in the link is not valid.');
+        }
+        return { notificationUUID };
+      },
+      open(params) {
+        NavigationService.navigate('GetNotifications', {
+          ...SDKEventProvider.getSessionParams(),
+          notificationUUID: params.notificationUUID
+        });
+      }
+    },
+
+    activate: {
+      requires: 'user',
+      parse(segments, query) {
+        const userID = query.get('user') || '';
+        const activationCode = query.get('code') || '';
+        if (!DEEP_LINK_USER_PATTERN.test(userID)) {
+          throw new Error('The user ID in the link is not valid.');
+        }
+        if (!DEEP_LINK_CODE_PATTERN.test(activationCode)) {
+          throw new Error('The activation code in the link is not valid.');
+        }
+        return { userID, activationCode };
+      },
+      async open(params) {
+        DeepLinkRouter._pendingActivation = params;
+        try {
+          await rdnaService.setUser(params.userID);
+          Logger.debug('DeepLinkRouter - setUser submitted for activation link, waiting for getActivationCode');
+        } catch (error) {
+          Logger.error('DeepLinkRouter - setUser error:', error);
+          DeepLinkRouter._pendingActivation = null;
+          alert('Activation Link Error\n\n' + (error.error?.errorString || 'Failed to start activation'));
+        }
+      }
+    },
+
+    sign: {
+      requires: 'session',
+      parse(segments, query) {
+        const payload = query.get('payload') || '';
+        if (!payload.trim()) {
+          throw new Error('The link does not contain anything to sign.');
+        }
+        if (payload.length > DEEP_LINK_MAX_PAYLOAD_LENGTH) {
+          throw new Error(`The payload in the link is longer than ${DEEP_LINK_MAX_PAYLOAD_LENGTH} characters.`);
+        }
+        return { payload };
+      },
+      open(params) {
+        NavigationService.navigate('DataSigningInput', {
+          ...SDKEventProvider.getSessionParams(),
+          payload: params.payload
+        });
+      }
+    }
+  },
+
+  _initialized: false,
+
+  /**
+   * Link waiting for the flow to reach its required state
+   * @type {{name: string, params: Object, url: string}|null}
+   */
+  _pending: null,
+
+  /**
+   * Activation code from an activate link, handed to ActivationCodeScreen
+   * @type {{userID: string, activationCode: string}|null}
+   */
+  _pendingActivation: null,
+
+  /**
+   * Opens the pending link once the flow state allows it
+   * Idempotent - safe to call multiple times (SPA pattern)
+   */
+  initialize() {
+    if (this._initialized) {
+      Logger.debug('DeepLinkRouter - Already initialized, skipping');
+      return;
+    }
+
+    document.addEventListener('authFlowStateChanged', () => this.openPendingLink());
+    this._initialized = true;
+    Logger.debug('DeepLinkRouter - Initialized');
+
+    this.openPendingLink();
+  },
+
+  /**
+   * Parse a deep link URL
+   *
+   * Parsed by hand rather than with new URL(): Android System WebViews before
+   * Chromium ~130 treat everything after a non-web scheme as an opaque path
+   * (hostname '', pathname '//notifications/<uuid>').
+   *
+   * @param {string} url
+   * @returns {{name: string, params: Object}}
+   * @throws {Error} When the URL is not a supported, valid link
+   */
+  parse(url) {
+    const text = String(url || '').trim();
+    const schemeEnd = text.indexOf(':');
+    if (schemeEnd <= 0) {
+      throw new Error('The link is not a valid URL.');
+    }
+
+    // relidcodelab://<name>/<segment>...?<query>#<fragment> - exactly two slashes, then the name
+    const afterScheme = text.slice(schemeEnd + 1);
+    if (text.slice(0, schemeEnd + 1).toLowerCase() !== DEEP_LINK_SCHEME ||
+        !afterScheme.startsWith('//') || afterScheme.charAt(2) === '/') {
+      throw new Error(`Only ${DEEP_LINK_SCHEME}// links are supported.`);
+    }
+
+    const rest = afterScheme.slice(2).split('#')[0];
+    const queryStart = rest.indexOf('?');
+    const path = queryStart === -1 ? rest : rest.slice(0, queryStart);
+    const query = new URLSearchParams(queryStart === -1 ? '' : rest.slice(queryStart + 1));
+
+    let segments;
+    try {
+      segments = path.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+      throw new Error('The link is not a valid URL.');
+    }
+
+    const name = (segments.shift() || '').toLowerCase();
+    const link = Object.prototype.hasOwnProperty.call(this.links, name) ? this.links[name] : null;
+    if (!link) {
+      throw new Error(`Unknown link "${name}".`);
+    }
+
+    return { name, params: link.parse(segments, query) };
+  },
+
+  /**
+   * Handle an incoming deep link
+   *
+   * @param {string} url
+   * @returns {string} 'opened', 'deferred' or 'invalid'
+   */
+  handleUrl(url) {
+    Logger.debug('DeepLinkRouter - Received link:', url);
+
+    let link;
+    try {
+      link = this.parse(url);
+    } catch (error) {
+      Logger.warn('DeepLinkRouter - Invalid link:', error.message);
+      alert('Invalid Link\n\n' + error.message);
+      return 'invalid';
+    }
+
+    this._pending = { ...link, url };
+    return this.openPendingLink() ? 'opened' : 'deferred';
+  },
+
+  /**
+   * Open the pending link if the flow state allows it
+   * @returns {boolean} True when a link was opened
+   */
+  openPendingLink() {
+    if (!this._pending) return false;
+
+    const { name, params } = this._pending;
+    const link = this.links[name];
+
+    if (!this.isReady(link.requires)) {
+      Logger.debug('DeepLinkRouter - Deferring', name, 'link until', link.requires === 'session' ? 'login' : 'the SDK asks for a user',
+        '(state:', AuthFlowStateMachine.getState() + ')');
+      return false;
+    }
+
+    this._pending = null;
+    Logger.debug('DeepLinkRouter - Opening', name, 'link');
+    link.open(params);
+    return true;
+  },
+
+  /**
+   * @param {string} requires - 'session' | 'user'
+   * @returns {boolean}
+   */
+  isReady(requires) {
+    if (requires === 'session') {
+      return AuthFlowStateMachine.isInSession() && !!SDKEventProvider.getSessionParams().userID;
+    }
+    return AuthFlowStateMachine.getState() === AUTH_FLOW_STATES.AWAITING_USER;
+  },
+
+  /**
+   * Link waiting to be opened, if any
+   * @returns {{name: string, params: Object, url: string}|null}
+   */
+  getPendingLink() {
+    return this._pending;
+  },
+
+  clearPendingLink() {
+    this._pending = null;
+    this._pendingActivation = null;
+  },
+
+  /**
+   * Activation code from an activate link for this user (returned once)
+   *
+   * @param {string} userID - User the SDK asks the activation code for
+   * @returns {string|null}
+   */
+  takeActivationCode(userID) {
+    const pending = this._pendingActivation;
+    if (!pending || pending.userID !== userID) {
+      return null;
+    }
+
+    this._pendingActivation = null;
+    return pending.activationCode;
+  }
+};
+
+/**
+ * Entry point for cordova-plugin-customurlscheme
+ * Called outside the WebView's event loop on iOS, hence the setTimeout.
+ */
+window.handleOpenURL = (url) => {
+  setTimeout(() => DeepLinkRouter.handleUrl(url), 0);
+};
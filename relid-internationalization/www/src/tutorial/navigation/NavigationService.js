@@ -7,15 +7,46 @@
  * SPA Architecture Features:
  * - Template-based content swapping (no page reloads)
  * - Parameter passing to screen modules
- * - Current route tracking
- * - Screen lifecycle management (onContentLoaded)
- * - Persistent event handlers across navigation
+ * - History stack with push/replace/goBack/popToRoot
+ * - Android hardware back button handling
+ * - Screen lifecycle management (onBeforeLeave, onContentUnloaded, onContentLoaded)
+ * - Per-screen ScreenScope for subscriptions, timers and DOM listeners
  *
  * Key Difference from Multi-Page:
  * - Uses template.content.cloneNode() instead of window.location.href
- * - Calls screenObj.onContentLoaded(params) instead of page load
+ * - Calls screenObj.onContentLoaded(params, scope) instead of page load
  * - No white flash between screens
- * - Event handlers registered once, persist forever
+ * - Global event handlers registered once, persist forever; screen handlers live
+ *   in the screen's scope
+ *
+ * History:
+ * - Every entry keeps the params it was opened with, so goBack() restores the
+ *   previous screen exactly as it was shown
+ * - Navigating to a route that is already in the history pops back to that entry
+ *   (Dashboard → Notifications → Dashboard leaves a single Dashboard entry)
+ *
+ * Back Button (Android `backbutton`, handled in handleBackButton):
+ * 1. Back interceptors (open modals, see addBackInterceptor) - newest first
+ * 2. Open drawer - closes it
+ * 3. Current screen's onBackPressed() - per-route behavior, e.g. VerifyPassword
+ *    resets the auth state and Dashboard asks to log out
+ * 4. goBack() through the history
+ * 5. Nothing to go back to - exits the app
+ *
+ * Screen Lifecycle:
+ * - onBeforeLeave(nextRouteName) - return false to stay on the screen, e.g. while
+ *   a request is being submitted. Checked by navigate/replace/goBack/popTo/popToRoot;
+ *   reset() and navigations with { force: true } (SDK-driven) skip it
+ * - onContentUnloaded() - the outgoing screen's DOM is still attached
+ * - The outgoing ScreenScope is disposed, then onContentLoaded(params, scope)
+ *   runs with a fresh scope
+ *
+ * Route Guards:
+ * - `routes` holds per-route metadata: requiresSession, requiresCredential
+ * - navigate() and goBack() check it before showing a screen; without a session
+ *   the app goes back to TutorialHome, without the credential to Dashboard
+ * - addRouteGuard() adds app-specific checks on top of the metadata
+ * - Drawer items carry data-route and are hidden when canAccess() is false
  */
 
 const NavigationService = {
@@ -25,34 +56,335 @@ const NavigationService = {
    */
   currentRoute: null,
 
+  /**
+   * Navigation history, oldest first - the last entry is the current screen
+   * @type {Array<{routeName: string, params: Object}>}
+   */
+  history: [],
+
+  /**
+   * Route metadata used by the guards (routes not listed have no requirements)
+   * - requiresSession: needs SDKEventProvider.getSessionParams().userID
+   * - requiresCredential: needs the credential in SDKEventProvider.getAvailableCredentials()
+   * @type {Object<string, {requiresSession?: boolean, requiresCredential?: string}>}
+   */
+  routes: {
+    Dashboard: { requiresSession: true },
+    GetNotifications: { requiresSession: true },
+    NotificationHistory: { requiresSession: true },
+    DeviceManagement: { requiresSession: true },
+    DeviceDetail: { requiresSession: true },
+    LDAToggling: { requiresSession: true },
+    DataSigningInput: { requiresSession: true },
+    DataSigningResult: { requiresSession: true },
+    UpdatePassword: { requiresSession: true, requiresCredential: 'Password' }
+  },
+
+  /**
+   * Additional route guards (see addRouteGuard)
+   * @type {Function[]}
+   */
+  _routeGuards: [],
+
+  /**
+   * Back button interceptors, checked newest first
+   * @type {Function[]}
+   */
+  _backInterceptors: [],
+
+  /**
+   * Whether the global backbutton listener is registered
+   */
+  _backButtonInitialized: false,
+
+  /**
+   * Screen currently displayed, with its scope
+   * @type {{routeName: string, screenObj: Object|null, scope: ScreenScope}|null}
+   */
+  _loadedScreen: null,
+
   /**
    * Navigate to a screen with optional parameters (SPA template swapping)
+   * Pushes a history entry, or pops back to the route if it is already in the history.
+   *
    * @param {string} routeName - Name of the route (e.g., 'TutorialHome', 'TutorialSuccess')
    * @param {Object} [params] - Optional parameters to pass to the screen
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Skip the current screen's onBeforeLeave (SDK-driven navigation)
+   * @returns {boolean} False when a guard or the current screen kept it from happening
+   */
+  navigate(routeName, params, options = {}) {
+    Logger.debug('NavigationService - Navigating to:', routeName, 'with params:', JSON.stringify(params || {}, null, 2));
+
+    const verdict = this.checkRouteGuards(routeName, params || {});
+    if (verdict !== true) {
+      return this.applyGuardVerdict(routeName, verdict, options);
+    }
+
+    if (!options.force && !this.canLeave(routeName)) {
+      return false;
+    }
+
+    const existingIndex = this.history.findIndex((entry) => entry.routeName === routeName);
+    if (existingIndex !== -1) {
+      this.history.splice(existingIndex);
+    }
+
+    this.history.push({ routeName, params: params || {} });
+    this.showEntry(this.history[this.history.length - 1]);
+    return true;
+  },
+
+  /**
+   * Same as navigate() - reads better next to replace/goBack
+   * @param {string} routeName
+   * @param {Object} [params]
+   * @param {Object} [options] - See navigate()
+   * @returns {boolean}
+   */
+  push(routeName, params, options) {
+    return this.navigate(routeName, params, options);
+  },
+
+  /**
+   * Navigate without keeping the current screen in the history
+   * @param {string} routeName
+   * @param {Object} [params]
+   * @param {Object} [options] - See navigate()
+   * @returns {boolean}
    */
-  navigate(routeName, params) {
-    console.log('NavigationService - Navigating to:', routeName, 'with params:', JSON.stringify(params || {}, null, 2));
+  replace(routeName, params, options = {}) {
+    Logger.debug('NavigationService - Replacing', this.currentRoute, 'with:', routeName);
 
-    // Update current route
-    this.currentRoute = routeName;
+    if (!options.force && !this.canLeave(routeName)) {
+      return false;
+    }
 
-    // Load screen content via template swapping
-    this.loadScreenContent(routeName, params || {});
+    const replaced = this.history.pop();
+    if (this.navigate(routeName, params, { ...options, force: true })) {
+      return true;
+    }
+
+    // Blocked by a guard - keep the entry that is still on screen
+    if (replaced && this.currentRoute === replaced.routeName) {
+      this.history.push(replaced);
+    }
+    return false;
+  },
+
+  /**
+   * Return to the previous screen with the params it was opened with
+   * @returns {boolean} False when there is no previous screen or the current screen vetoed
+   */
+  goBack() {
+    if (!this.canGoBack()) {
+      Logger.debug('NavigationService - Nothing to go back to');
+      return false;
+    }
+
+    const previous = this.history[this.history.length - 2];
+    if (!this.canLeave(previous.routeName)) {
+      return false;
+    }
+
+    this.history.pop();
+    Logger.debug('NavigationService - Going back to:', previous.routeName);
+
+    this.showEntry(previous);
+    return true;
+  },
+
+  /**
+   * Return to the most recent history entry of a route
+   * @param {string} routeName
+   * @returns {boolean} False when the route is not in the history or the current screen vetoed
+   */
+  popTo(routeName) {
+    const index = this.history.map((entry) => entry.routeName).lastIndexOf(routeName);
+    if (index === -1 || !this.canLeave(routeName)) {
+      return false;
+    }
+
+    Logger.debug('NavigationService - Popping back to:', routeName);
+    this.history.splice(index + 1);
+    this.showEntry(this.history[index]);
+    return true;
+  },
+
+  /**
+   * Return to the first screen in the history
+   * @returns {boolean} False when the history is empty or the current screen vetoed
+   */
+  popToRoot() {
+    if (this.history.length === 0 || !this.canLeave(this.history[0].routeName)) {
+      return false;
+    }
+
+    Logger.debug('NavigationService - Popping to root:', this.history[0].routeName);
+    this.history.splice(1);
+    this.showEntry(this.history[0]);
+    return true;
   },
 
   /**
    * Reset navigation stack and navigate to a route
+   * Not vetoable - used for logout, session expiry and errors.
+   *
    * @param {string} routeName - Route name to navigate to
    * @param {Object} [params] - Optional parameters
    */
   reset(routeName, params) {
-    console.log('NavigationService - Resetting to:', routeName);
+    Logger.debug('NavigationService - Resetting to:', routeName);
 
     // Clear navigation history
     this.currentRoute = null;
+    this.history = [];
 
     // Navigate to new route
-    this.navigate(routeName, params);
+    this.navigate(routeName, params, { force: true });
+  },
+
+  /**
+   * @returns {boolean} Whether goBack() has a screen to return to
+   */
+  canGoBack() {
+    return this.history.length > 1;
+  },
+
+  /**
+   * Copy of the history, oldest first
+   * @returns {Array<{routeName: string, params: Object}>}
+   */
+  getHistory() {
+    return this.history.map((entry) => ({ routeName: entry.routeName, params: entry.params }));
+  },
+
+  /**
+   * Makes a history entry the current screen
+   * @param {{routeName: string, params: Object}} entry
+   */
+  showEntry(entry) {
+    const verdict = this.checkRouteGuards(entry.routeName, entry.params);
+    if (verdict !== true) {
+      // The current screen already agreed to leave
+      this.applyGuardVerdict(entry.routeName, verdict, { force: true });
+      return;
+    }
+
+    this.currentRoute = entry.routeName;
+    this.loadScreenContent(entry.routeName, entry.params);
+  },
+
+  /**
+   * Ask the displayed screen whether it can be left (onBeforeLeave)
+   *
+   * @param {string} nextRouteName - Route about to be shown
+   * @returns {boolean} False when the screen vetoed
+   */
+  canLeave(nextRouteName) {
+    const loaded = this._loadedScreen;
+    if (!loaded || !loaded.screenObj || typeof loaded.screenObj.onBeforeLeave !== 'function') {
+      return true;
+    }
+
+    try {
+      if (loaded.screenObj.onBeforeLeave(nextRouteName) === false) {
+        Logger.debug('NavigationService -', loaded.routeName, 'vetoed navigation to', nextRouteName);
+        return false;
+      }
+    } catch (error) {
+      Logger.error(`NavigationService - ${loaded.routeName}Screen.onBeforeLeave() failed:`, error);
+    }
+    return true;
+  },
+
+  // ===================================================================
+  // ROUTE GUARDS
+  // ===================================================================
+
+  /**
+   * Add a guard that runs after the route metadata checks
+   *
+   * @param {Function} guard - (routeName, params, meta) => true | false | {routeName, params, reset}
+   *   true (or undefined) allows, false keeps the current screen, an object redirects
+   * @returns {Function} Removes the guard
+   */
+  addRouteGuard(guard) {
+    this._routeGuards.push(guard);
+    return () => {
+      this._routeGuards = this._routeGuards.filter((fn) => fn !== guard);
+    };
+  },
+
+  /**
+   * Evaluate route metadata and guards
+   *
+   * @param {string} routeName
+   * @param {Object} params
+   * @returns {boolean|{routeName: string, params?: Object, reset?: boolean}} true when allowed
+   */
+  checkRouteGuards(routeName, params) {
+    const meta = this.routes[routeName] || {};
+    const session = SDKEventProvider.getSessionParams();
+
+    if (meta.requiresSession && !session.userID) {
+      Logger.warn('NavigationService - No active session for', routeName);
+      return { routeName: 'TutorialHome', reset: true };
+    }
+
+    if (meta.requiresCredential && !SDKEventProvider.getAvailableCredentials().includes(meta.requiresCredential)) {
+      Logger.warn('NavigationService -', meta.requiresCredential, 'credential not available for', routeName);
+      return { routeName: 'Dashboard', params: session };
+    }
+
+    for (const guard of this._routeGuards) {
+      const verdict = guard(routeName, params, meta);
+      if (verdict !== undefined && verdict !== true) {
+        return verdict;
+      }
+    }
+
+    return true;
+  },
+
+  /**
+   * Follow a guard's redirect (or stay put when it blocked)
+   * @param {string} routeName - Route that was refused
+   * @param {boolean|Object} verdict - Result of checkRouteGuards
+   * @param {Object} [options] - Options of the refused navigation, passed on to the redirect
+   * @returns {boolean} False - the requested route was not shown
+   */
+  applyGuardVerdict(routeName, verdict, options = {}) {
+    if (!verdict) {
+      Logger.debug('NavigationService - Navigation to', routeName, 'blocked by guard');
+      return false;
+    }
+
+    Logger.debug('NavigationService - Redirecting', routeName, '→', verdict.routeName);
+    if (verdict.reset) {
+      this.reset(verdict.routeName, verdict.params);
+    } else {
+      this.navigate(verdict.routeName, verdict.params, options);
+    }
+    return false;
+  },
+
+  /**
+   * Whether a route can be shown right now (used to filter the drawer)
+   * @param {string} routeName
+   * @returns {boolean}
+   */
+  canAccess(routeName) {
+    return this.checkRouteGuards(routeName, SDKEventProvider.getSessionParams()) === true;
+  },
+
+  /**
+   * Hide drawer items (li[data-route]) whose route cannot be reached
+   */
+  updateDrawerAccess() {
+    document.querySelectorAll('#drawer-menu [data-route]').forEach((item) => {
+      item.style.display = this.canAccess(item.dataset.route) ? '' : 'none';
+    });
   },
 
   /**
@@ -61,15 +393,15 @@ const NavigationService = {
    * @param {Object} params - Parameters to pass to screen
    */
   loadScreenContent(routeName, params) {
-    console.log('NavigationService - Loading screen content for:', routeName);
+    Logger.debug('NavigationService - Loading screen content for:', routeName);
 
     // Get template element (ID format: "TutorialHome-template")
     const templateId = `${routeName}-template`;
     const template = document.getElementById(templateId);
 
     if (!template) {
-      console.error('NavigationService - Template not found:', templateId);
-      console.error('Available templates:', this.getAvailableTemplates());
+      Logger.error('NavigationService - Template not found:', templateId);
+      Logger.error('Available templates:', this.getAvailableTemplates());
       return;
     }
 
@@ -79,26 +411,51 @@ const NavigationService = {
     // Get app content container
     const container = document.getElementById('app-content');
     if (!container) {
-      console.error('NavigationService - App content container not found');
+      Logger.error('NavigationService - App content container not found');
       return;
     }
 
+    // Let the outgoing screen clean up while its DOM is still attached
+    this.unloadCurrentScreen();
+
     // Replace container content (SPA magic - no page reload!)
     container.innerHTML = '';
     container.appendChild(content);
 
-    console.log('NavigationService - Content loaded, initializing screen');
+    Logger.debug('NavigationService - Content loaded, initializing screen');
 
     // Initialize screen with params (calls screen's onContentLoaded method)
     const screenObjName = `${routeName}Screen`;
     const screenObj = window[screenObjName];
+    const scope = new ScreenScope(routeName);
+    this._loadedScreen = { routeName, screenObj: screenObj || null, scope };
 
     if (screenObj && typeof screenObj.onContentLoaded === 'function') {
-      console.log(`NavigationService - Calling ${screenObjName}.onContentLoaded()`);
-      screenObj.onContentLoaded(params);
+      Logger.debug(`NavigationService - Calling ${screenObjName}.onContentLoaded()`);
+      screenObj.onContentLoaded(params, scope);
     } else {
-      console.warn(`NavigationService - Screen object not found or missing onContentLoaded(): ${screenObjName}`);
+      Logger.warn(`NavigationService - Screen object not found or missing onContentLoaded(): ${screenObjName}`);
+    }
+  },
+
+  /**
+   * Call the displayed screen's onContentUnloaded() and dispose its scope
+   */
+  unloadCurrentScreen() {
+    const loaded = this._loadedScreen;
+    if (!loaded) return;
+    this._loadedScreen = null;
+
+    if (loaded.screenObj && typeof loaded.screenObj.onContentUnloaded === 'function') {
+      Logger.debug(`NavigationService - Calling ${loaded.routeName}Screen.onContentUnloaded()`);
+      try {
+        loaded.screenObj.onContentUnloaded();
+      } catch (error) {
+        Logger.error(`NavigationService - ${loaded.routeName}Screen.onContentUnloaded() failed:`, error);
+      }
     }
+
+    loaded.scope.dispose();
   },
 
   /**
@@ -109,6 +466,14 @@ const NavigationService = {
     return this.currentRoute;
   },
 
+  /**
+   * Scope of the displayed screen
+   * @returns {ScreenScope|null}
+   */
+  getCurrentScope() {
+    return this._loadedScreen ? this._loadedScreen.scope : null;
+  },
+
   /**
    * Get list of available templates for debugging
    * @returns {string[]} Array of template IDs
@@ -118,11 +483,81 @@ const NavigationService = {
     return Array.from(templates).map(t => t.id);
   },
 
+  /**
+   * Register the global Android back button handler (called once in app.js)
+   */
+  initializeBackButton() {
+    if (this._backButtonInitialized) {
+      return;
+    }
+
+    document.addEventListener('backbutton', (e) => {
+      e.preventDefault();
+      this.handleBackButton();
+    }, false);
+
+    this._backButtonInitialized = true;
+    Logger.debug('NavigationService - Back button handler registered');
+  },
+
+  /**
+   * Let a modal handle the back button while it is open
+   * The interceptor returns true when it consumed the press.
+   *
+   * @param {Function} interceptor - () => boolean
+   * @returns {Function} Removes the interceptor
+   */
+  addBackInterceptor(interceptor) {
+    this._backInterceptors.unshift(interceptor);
+    return () => {
+      this._backInterceptors = this._backInterceptors.filter((fn) => fn !== interceptor);
+    };
+  },
+
+  /**
+   * Handle a back press (see file header for the order)
+   * @returns {string} What handled it: 'interceptor', 'drawer', 'screen', 'history' or 'exit'
+   */
+  handleBackButton() {
+    Logger.debug('NavigationService - Back pressed on:', this.currentRoute);
+
+    if (this._backInterceptors.some((interceptor) => interceptor() === true)) {
+      return 'interceptor';
+    }
+
+    const drawer = document.getElementById('drawer-menu');
+    if (drawer && drawer.classList.contains('open')) {
+      this.closeDrawer();
+      return 'drawer';
+    }
+
+    const screenObj = window[`${this.currentRoute}Screen`];
+    if (screenObj && typeof screenObj.onBackPressed === 'function') {
+      Logger.debug(`NavigationService - Calling ${this.currentRoute}Screen.onBackPressed()`);
+      screenObj.onBackPressed();
+      return 'screen';
+    }
+
+    if (this.canGoBack()) {
+      // goBack() may be vetoed by the screen - still never exit from here
+      this.goBack();
+      return 'history';
+    }
+
+    Logger.debug('NavigationService - At the root screen, exiting app');
+    if (navigator.app && typeof navigator.app.exitApp === 'function') {
+      navigator.app.exitApp();
+    }
+    return 'exit';
+  },
+
   /**
    * Open drawer menu
    */
   openDrawer() {
-    console.log('NavigationService - Opening drawer');
+    Logger.debug('NavigationService - Opening drawer');
+    this.updateDrawerAccess();
+
     const drawer = document.getElementById('drawer-menu');
     const overlay = document.getElementById('drawer-overlay');
 
@@ -134,7 +569,7 @@ const NavigationService = {
    * Close drawer menu
    */
   closeDrawer() {
-    console.log('NavigationService - Closing drawer');
+    Logger.debug('NavigationService - Closing drawer');
     const drawer = document.getElementById('drawer-menu');
     const overlay = document.getElementById('drawer-overlay');
 
@@ -175,7 +610,21 @@ const NavigationService = {
     // Listen for language changes to update drawer display
     document.addEventListener('languageChanged', this.updateDrawerLanguageDisplay.bind(this));
 
-    console.log('NavigationService - Drawer initialized with language support');
+    // Show the selected connection profile (environment)
+    document.addEventListener('connectionProfileChanged', this.updateDrawerProfileDisplay.bind(this));
+    this.updateDrawerProfileDisplay();
+
+    // Logs screen is reachable from every screen with a drawer
+    const logsLink = document.getElementById('drawer-logs-link');
+    if (logsLink) {
+      logsLink.onclick = (e) => {
+        e.preventDefault();
+        this.closeDrawer();
+        this.navigate('Logs');
+      };
+    }
+
+    Logger.debug('NavigationService - Drawer initialized with language support');
   },
 
   /**
@@ -188,7 +637,7 @@ const NavigationService = {
         e.preventDefault();
         this.handleDrawerLanguageClick();
       };
-      console.log('NavigationService - Drawer language link initialized');
+      Logger.debug('NavigationService - Drawer language link initialized');
     }
 
     // Update initial display
@@ -200,11 +649,11 @@ const NavigationService = {
    * Shows language selector modal and calls setSDKLanguage API
    */
   handleDrawerLanguageClick() {
-    console.log('NavigationService - Drawer language link clicked');
+    Logger.debug('NavigationService - Drawer language link clicked');
 
     const languageSelector = window.LanguageSelector;
     if (!languageSelector) {
-      console.error('NavigationService - LanguageSelector not available');
+      Logger.error('NavigationService - LanguageSelector not available');
       return;
     }
 
@@ -213,7 +662,7 @@ const NavigationService = {
     // Show language selector modal
     languageSelector.show({
       onSelect: async (language) => {
-        console.log('NavigationService - Language selected from drawer:', language.display_text);
+        Logger.debug('NavigationService - Language selected from drawer:', language.display_text);
 
         // Close drawer
         this.closeDrawer();
@@ -221,13 +670,13 @@ const NavigationService = {
         // Check if the selected language is the same as current
         const languageManager = window.LanguageManager;
         if (!languageManager) {
-          console.error('NavigationService - LanguageManager not available');
+          Logger.error('NavigationService - LanguageManager not available');
           return;
         }
 
         const currentLanguage = languageManager.getCurrentLanguage();
         if (language.lang === currentLanguage.lang) {
-          console.log('NavigationService - Selected language is same as current, skipping API call');
+          Logger.debug('NavigationService - Selected language is same as current, skipping API call');
           return;
         }
 
@@ -237,7 +686,7 @@ const NavigationService = {
         }
 
         try {
-          console.log('NavigationService - Calling setSDKLanguage API:', JSON.stringify({
+          Logger.debug('NavigationService - Calling setSDKLanguage API:', JSON.stringify({
             localeCode: language.lang,
             languageDirection: language.direction
           }, null, 2));
@@ -248,7 +697,7 @@ const NavigationService = {
             language.direction
           );
 
-          console.log('NavigationService - SetSDKLanguage sync response received:', JSON.stringify({
+          Logger.debug('NavigationService - SetSDKLanguage sync response received:', JSON.stringify({
             longErrorCode: syncResponse.error.longErrorCode,
             shortErrorCode: syncResponse.error.shortErrorCode,
             errorString: syncResponse.error.errorString
@@ -260,10 +709,10 @@ const NavigationService = {
           // - Update the LanguageManager if successful
           // - Show success/error alert to the user
 
-          console.log('NavigationService - Language change request submitted, waiting for onSetLanguageResponse event');
+          Logger.debug('NavigationService - Language change request submitted, waiting for onSetLanguageResponse event');
 
         } catch (error) {
-          console.error('NavigationService - SetSDKLanguage sync error:', error);
+          Logger.error('NavigationService - SetSDKLanguage sync error:', error);
 
           const errorMessage = error.error
             ? `${error.error.errorString} (${error.error.longErrorCode})`
@@ -278,11 +727,25 @@ const NavigationService = {
         }
       },
       onClose: () => {
-        console.log('NavigationService - Language selector closed from drawer');
+        Logger.debug('NavigationService - Language selector closed from drawer');
       }
     });
   },
 
+  /**
+   * Update drawer environment line with the selected connection profile
+   */
+  updateDrawerProfileDisplay() {
+    const container = document.getElementById('drawer-connection-profile');
+    const nameEl = document.getElementById('drawer-connection-profile-name');
+    const profile = ConnectionProfileManager.getSelectedProfile();
+
+    if (container && nameEl) {
+      nameEl.textContent = ConnectionProfileManager.describe(profile);
+      container.style.display = profile ? 'flex' : 'none';
+    }
+  },
+
   /**
    * Update drawer language display with current language
    */
@@ -300,7 +763,7 @@ const NavigationService = {
     const displayEl = document.getElementById('drawer-current-language');
     if (displayEl) {
       displayEl.textContent = currentLanguage.nativeName;
-      console.log('NavigationService - Drawer language display updated:', currentLanguage.display_text);
+      Logger.debug('NavigationService - Drawer language display updated:', currentLanguage.display_text);
     }
   }
 };
@@ -0,0 +1,175 @@
+/**
+ * Screen Scope
+ *
+ * Owns what a screen registers while it is displayed - SDK event subscriptions,
+ * timers and DOM listeners - and releases all of it when NavigationService
+ * navigates away. Handlers registered through a scope never run against the
+ * detached DOM of a screen that is no longer shown.
+ *
+ * NavigationService creates one scope per screen visit and passes it as the
+ * second argument of onContentLoaded(params, scope).
+ *
+ * Usage:
+ * ```javascript
+ * onContentLoaded(params, scope) {
+ *   scope.on('onGetNotifications', (data) => this.handleGetNotificationsResponse(data));
+ *   scope.setTimeout(() => this.navigateBack(), 500);
+ *   scope.listen(document, 'languageChanged', () => this.updateLanguageDisplay());
+ * }
+ * ```
+ */
+
+class ScreenScope {
+  /**
+   * @param {string} routeName - Route the scope belongs to (for logging)
+   */
+  constructor(routeName) {
+    this.routeName = routeName;
+    this.disposed = false;
+
+    this._subscriptions = [];
+    this._timeouts = new Set();
+    this._intervals = new Set();
+    this._listeners = [];
+    this._disposers = [];
+  }
+
+  /**
+   * Subscribe to an SDK event for as long as the screen is displayed
+   *
+   * @param {string} eventName - RdnaEventManager event name
+   * @param {Function} callback - (data, eventName) => void
+   * @returns {number} Subscription token (for scope.off)
+   */
+  on(eventName, callback) {
+    const token = rdnaService.getEventManager().on(eventName, this._guard(callback));
+    this._subscriptions.push(token);
+    return token;
+  }
+
+  /**
+   * Like on(), removed after the first event
+   * @returns {number} Subscription token
+   */
+  once(eventName, callback) {
+    const token = rdnaService.getEventManager().once(eventName, this._guard(callback));
+    this._subscriptions.push(token);
+    return token;
+  }
+
+  /**
+   * Unsubscribe early
+   * @param {number} token - Token from on()/once()
+   */
+  off(token) {
+    rdnaService.getEventManager().off(token);
+    this._subscriptions = this._subscriptions.filter((candidate) => candidate !== token);
+  }
+
+  /**
+   * setTimeout that is cleared when the screen is left
+   * @returns {number} Timer id
+   */
+  setTimeout(callback, delayMs) {
+    const id = setTimeout(() => {
+      this._timeouts.delete(id);
+      if (!this.disposed) callback();
+    }, delayMs);
+    this._timeouts.add(id);
+    return id;
+  }
+
+  clearTimeout(id) {
+    clearTimeout(id);
+    this._timeouts.delete(id);
+  }
+
+  /**
+   * setInterval that is cleared when the screen is left
+   * @returns {number} Timer id
+   */
+  setInterval(callback, intervalMs) {
+    const id = setInterval(this._guard(callback), intervalMs);
+    this._intervals.add(id);
+    return id;
+  }
+
+  clearInterval(id) {
+    clearInterval(id);
+    this._intervals.delete(id);
+  }
+
+  /**
+   * addEventListener that is removed when the screen is left
+   * Use for targets that outlive the screen (document, window, drawer elements).
+   *
+   * @param {EventTarget} target
+   * @param {string} type
+   * @param {Function} handler
+   * @param {Object|boolean} [options]
+   * @returns {Function} Removes the listener early
+   */
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    const entry = { target, type, handler, options };
+    this._listeners.push(entry);
+
+    return () => {
+      target.removeEventListener(type, handler, options);
+      this._listeners = this._listeners.filter((candidate) => candidate !== entry);
+    };
+  }
+
+  /**
+   * Run a function when the screen is left (after the built-in releases)
+   * @param {Function} disposer
+   */
+  onDispose(disposer) {
+    this._disposers.push(disposer);
+  }
+
+  /**
+   * Release everything - called by NavigationService; idempotent
+   */
+  dispose() {
+    if (this.disposed) return;
+    this.disposed = true;
+
+    const eventManager = rdnaService.getEventManager();
+    this._subscriptions.forEach((token) => eventManager.off(token));
+    this._timeouts.forEach((id) => clearTimeout(id));
+    this._intervals.forEach((id) => clearInterval(id));
+    this._listeners.forEach(({ target, type, handler, options }) => target.removeEventListener(type, handler, options));
+
+    Logger.debug('ScreenScope - Released', this.routeName + ':', JSON.stringify({
+      subscriptions: this._subscriptions.length,
+      timers: this._timeouts.size + this._intervals.size,
+      listeners: this._listeners.length
+    }));
+
+    this._subscriptions = [];
+    this._timeouts.clear();
+    this._intervals.clear();
+    this._listeners = [];
+
+    this._disposers.forEach((disposer) => {
+      try {
+        disposer();
+      } catch (error) {
+        Logger.error('ScreenScope - Disposer failed for', this.routeName + ':', error);
+      }
+    });
+    this._disposers = [];
+  }
+
+  /**
+   * Drops calls that arrive after dispose (e.g. later subscribers of the event
+   * round that navigated away)
+   * @private
+   */
+  _guard(callback) {
+    return (...args) => {
+      if (!this.disposed) callback(...args);
+    };
+  }
+}
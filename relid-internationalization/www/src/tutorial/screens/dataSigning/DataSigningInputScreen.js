@@ -14,10 +14,10 @@
  * 9. Navigate to DataSigningResultScreen with results
  *
  * SPA Lifecycle:
- * - onContentLoaded(params) - Called when template loaded
+ * - onContentLoaded(params, scope) - Called when template loaded
  * - setupEventListeners() - Attach form handlers
- * - registerSDKEventHandlers() - Register data signing response handler
- * - cleanup() - Clean up when navigating away
+ * - registerSDKEventHandlers(scope) - Register data signing response handler
+ * - onBeforeLeave() - Keeps the screen while a signing request is in flight
  */
 
 const DataSigningInputScreen = {
@@ -36,24 +36,22 @@ const DataSigningInputScreen = {
   // Signing response data
   signingResponse: null,
 
-  // Original handlers (for preservation pattern)
-  originalGetPasswordHandler: null,
-  originalDataSigningHandler: null,
-
   /**
    * Called when screen content is loaded (SPA lifecycle)
    * @param {Object} params - Navigation parameters
+   * @param {ScreenScope} scope - Released when the screen is left
    */
-  onContentLoaded(params) {
-    console.log('DataSigningInputScreen - Content loaded', JSON.stringify(params, null, 2));
+  onContentLoaded(params, scope) {
+    Logger.debug('DataSigningInputScreen - Content loaded', JSON.stringify(params, null, 2));
 
     // Store session info from params for drawer navigation
     this.userID = params.userID || '';
     this.sessionID = params.sessionID || '';
 
     // Store session params globally for use across screens (e.g., UpdatePassword)
+    const { payload, ...sessionParams } = params || {};
     if (typeof SDKEventProvider !== 'undefined') {
-      SDKEventProvider.setSessionParams(params || {});
+      SDKEventProvider.setSessionParams(sessionParams);
     }
 
     // Reset form state
@@ -67,10 +65,18 @@ const DataSigningInputScreen = {
 
     // Setup UI
     this.setupEventListeners();
-    this.registerSDKEventHandlers();
+    this.registerSDKEventHandlers(scope);
     this.populateDropdowns();
     this.clearForm();
     this.hideError();
+
+    // Payload from a relidcodelab://sign deep link
+    if (payload) {
+      const payloadInput = document.getElementById('data-signing-payload');
+      if (payloadInput) payloadInput.value = payload;
+      this.payload = payload;
+    }
+
     this.updateCharCounts();
   },
 
@@ -78,13 +84,13 @@ const DataSigningInputScreen = {
    * Setup event listeners for form elements
    */
   setupEventListeners() {
-    console.log('DataSigningInputScreen - Setting up event listeners');
+    Logger.debug('DataSigningInputScreen - Setting up event listeners');
 
     // Menu button for opening drawer
     const menuButton = document.getElementById('data-signing-menu-button');
     if (menuButton) {
       menuButton.onclick = () => {
-        console.log('DataSigningInputScreen - Opening drawer');
+        Logger.debug('DataSigningInputScreen - Opening drawer');
         NavigationService.openDrawer();
       };
     }
@@ -103,7 +109,7 @@ const DataSigningInputScreen = {
       drawerDashboardLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('DataSigningInputScreen - Navigating to Dashboard');
+        Logger.debug('DataSigningInputScreen - Navigating to Dashboard');
         NavigationService.navigate('Dashboard', {
           userID: this.userID,
           sessionID: this.sessionID
@@ -115,7 +121,7 @@ const DataSigningInputScreen = {
       drawerNotificationsLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('DataSigningInputScreen - Navigating to GetNotifications');
+        Logger.debug('DataSigningInputScreen - Navigating to GetNotifications');
         NavigationService.navigate('GetNotifications', {
           userID: this.userID,
           sessionID: this.sessionID
@@ -127,7 +133,7 @@ const DataSigningInputScreen = {
       drawerNotificationHistoryLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('DataSigningInputScreen - Navigating to NotificationHistory');
+        Logger.debug('DataSigningInputScreen - Navigating to NotificationHistory');
         NavigationService.navigate('NotificationHistory', {
           userID: this.userID,
           sessionID: this.sessionID
@@ -139,7 +145,7 @@ const DataSigningInputScreen = {
       drawerDeviceMgmtLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('DataSigningInputScreen - Navigating to DeviceManagement');
+        Logger.debug('DataSigningInputScreen - Navigating to DeviceManagement');
         NavigationService.navigate('DeviceManagement', {
           userID: this.userID,
           sessionID: this.sessionID
@@ -151,7 +157,7 @@ const DataSigningInputScreen = {
       drawerLdaTogglingLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('DataSigningInputScreen - Navigating to LDAToggling');
+        Logger.debug('DataSigningInputScreen - Navigating to LDAToggling');
         NavigationService.navigate('LDAToggling', {
           userID: this.userID,
           sessionID: this.sessionID
@@ -171,7 +177,7 @@ const DataSigningInputScreen = {
       drawerUpdatePasswordLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('DataSigningInputScreen - Navigating to UpdatePassword');
+        Logger.debug('DataSigningInputScreen - Navigating to UpdatePassword');
         NavigationService.navigate('UpdatePassword', {
           userID: this.userID,
           sessionID: this.sessionID
@@ -183,7 +189,7 @@ const DataSigningInputScreen = {
       drawerLogoutLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('DataSigningInputScreen - Logging out');
+        Logger.debug('DataSigningInputScreen - Logging out');
         this.handleLogout();
       };
     }
@@ -208,7 +214,7 @@ const DataSigningInputScreen = {
     if (authLevelSelect) {
       authLevelSelect.onchange = () => {
         this.selectedAuthLevel = authLevelSelect.value;
-        console.log('DataSigningInputScreen - Auth level selected:', this.selectedAuthLevel);
+        Logger.debug('DataSigningInputScreen - Auth level selected:', this.selectedAuthLevel);
       };
     }
 
@@ -217,7 +223,7 @@ const DataSigningInputScreen = {
     if (authenticatorTypeSelect) {
       authenticatorTypeSelect.onchange = () => {
         this.selectedAuthenticatorType = authenticatorTypeSelect.value;
-        console.log('DataSigningInputScreen - Authenticator type selected:', this.selectedAuthenticatorType);
+        Logger.debug('DataSigningInputScreen - Authenticator type selected:', this.selectedAuthenticatorType);
       };
     }
 
@@ -230,27 +236,23 @@ const DataSigningInputScreen = {
       };
     }
 
-    console.log('DataSigningInputScreen - Event listeners attached');
+    Logger.debug('DataSigningInputScreen - Event listeners attached');
   },
 
   /**
    * Register SDK event handlers for data signing
+   * @param {ScreenScope} scope - Drops the subscription when the screen is left
    */
-  registerSDKEventHandlers() {
-    console.log('DataSigningInputScreen - Registering SDK event handlers');
-
-    const eventManager = rdnaService.getEventManager();
-
-    // Preserve original data signing handler
-    this.originalDataSigningHandler = eventManager.dataSigningResponseHandler;
+  registerSDKEventHandlers(scope) {
+    Logger.debug('DataSigningInputScreen - Registering SDK event handlers');
 
-    // Register data signing response handler
-    eventManager.setDataSigningResponseHandler((data) => {
-      console.log('DataSigningInputScreen - onAuthenticateUserAndSignData event received');
+    // Subscribe to data signing responses (other subscribers keep receiving them too)
+    scope.on('onAuthenticateUserAndSignData', (data) => {
+      Logger.debug('DataSigningInputScreen - onAuthenticateUserAndSignData event received');
       this.handleDataSigningResponse(data);
     });
 
-    console.log('DataSigningInputScreen - SDK event handlers registered');
+    Logger.debug('DataSigningInputScreen - SDK event handlers registered');
   },
 
   /**
@@ -288,7 +290,7 @@ const DataSigningInputScreen = {
    * Handle form submission
    */
   async handleSubmit() {
-    console.log('DataSigningInputScreen - Submit button clicked');
+    Logger.debug('DataSigningInputScreen - Submit button clicked');
 
     // Get current form values
     const payloadInput = document.getElementById('data-signing-payload');
@@ -311,7 +313,7 @@ const DataSigningInputScreen = {
 
     if (!validation.isValid) {
       const errorMessage = validation.errors.join(', ');
-      console.log('DataSigningInputScreen - Validation failed:', errorMessage);
+      Logger.debug('DataSigningInputScreen - Validation failed:', errorMessage);
       this.showError(errorMessage);
       return;
     }
@@ -321,7 +323,7 @@ const DataSigningInputScreen = {
     this.setLoading(true);
 
     try {
-      console.log('DataSigningInputScreen - Calling signData()');
+      Logger.debug('DataSigningInputScreen - Calling signData()');
 
       // Convert display values to numeric enums for context
       const authLevel = DropdownDataService.convertAuthLevelToNumber(this.selectedAuthLevel);
@@ -344,11 +346,11 @@ const DataSigningInputScreen = {
         this.reason
       );
 
-      console.log('DataSigningInputScreen - SignData API call successful, waiting for authentication and signing');
+      Logger.debug('DataSigningInputScreen - SignData API call successful, waiting for authentication and signing');
       // Note: Result will come via onAuthenticateUserAndSignData event
 
     } catch (error) {
-      console.error('DataSigningInputScreen - Submit error:', error);
+      Logger.error('DataSigningInputScreen - Submit error:', error);
       this.setLoading(false);
 
       const errorMessage = error?.error?.errorString || 'Failed to submit data signing request. Please try again.';
@@ -364,7 +366,7 @@ const DataSigningInputScreen = {
    * @param {Object} data - Signing response data from SDK
    */
   handleDataSigningResponse(data) {
-    console.log('DataSigningInputScreen - Processing data signing response:', JSON.stringify({
+    Logger.debug('DataSigningInputScreen - Processing data signing response:', JSON.stringify({
       statusCode: data.status?.statusCode,
       errorCode: data.error?.longErrorCode,
       signatureLength: data.payloadSignature?.length
@@ -380,7 +382,7 @@ const DataSigningInputScreen = {
     // Check for errors
     if (data.error && data.error.longErrorCode !== 0) {
       const errorMessage = DataSigningService.getErrorMessage(data.error.longErrorCode);
-      console.error('DataSigningInputScreen - Data signing failed:', errorMessage);
+      Logger.error('DataSigningInputScreen - Data signing failed:', errorMessage);
       this.showError(errorMessage);
 
       // Notify manager of error
@@ -390,7 +392,7 @@ const DataSigningInputScreen = {
 
     // Check status code (100 = success)
     if (data.status && data.status.statusCode !== 100) {
-      console.error('DataSigningInputScreen - Data signing status error:', data.status.statusMessage);
+      Logger.error('DataSigningInputScreen - Data signing status error:', data.status.statusMessage);
       this.showError(`Signing failed: ${data.status.statusMessage}`);
 
       // Notify manager of error
@@ -399,7 +401,7 @@ const DataSigningInputScreen = {
     }
 
     // Success! Store response and navigate to result screen
-    console.log('DataSigningInputScreen - Data signing successful, navigating to results');
+    Logger.debug('DataSigningInputScreen - Data signing successful, navigating to results');
     this.signingResponse = data;
 
     // Notify manager of success
@@ -504,41 +506,32 @@ const DataSigningInputScreen = {
    * Handle logout from drawer
    */
   async handleLogout() {
-    console.log('DataSigningInputScreen - Logging out user:', this.userID);
+    Logger.debug('DataSigningInputScreen - Logging out user:', this.userID);
 
     try {
       // Call rdnaService.logOff
       const syncResponse = await rdnaService.logOff(this.userID);
-      console.log('DataSigningInputScreen - LogOff sync response:', JSON.stringify({
+      Logger.debug('DataSigningInputScreen - LogOff sync response:', JSON.stringify({
         longErrorCode: syncResponse.error?.longErrorCode,
         errorString: syncResponse.error?.errorString
       }, null, 2));
 
       // Note: SDK will trigger onUserLoggedOff event, which SDKEventProvider handles
       // SDKEventProvider will navigate to CheckUserScreen
-      console.log('DataSigningInputScreen - Waiting for onUserLoggedOff event from SDK');
+      Logger.debug('DataSigningInputScreen - Waiting for onUserLoggedOff event from SDK');
     } catch (error) {
-      console.error('DataSigningInputScreen - LogOff error:', error);
+      Logger.error('DataSigningInputScreen - LogOff error:', error);
       alert('Failed to log out. Please try again.');
     }
   },
 
   /**
-   * Cleanup when navigating away from screen
+   * Stay on the screen while the signing request is in flight
+   * (cancelling the step-up navigates with { force: true })
+   * @returns {boolean}
    */
-  cleanup() {
-    console.log('DataSigningInputScreen - Cleaning up');
-
-    // Restore original handlers
-    const eventManager = rdnaService.getEventManager();
-
-    if (this.originalGetPasswordHandler) {
-      eventManager.setGetPasswordHandler(this.originalGetPasswordHandler);
-    }
-
-    if (this.originalDataSigningHandler) {
-      eventManager.setDataSigningResponseHandler(this.originalDataSigningHandler);
-    }
+  onBeforeLeave() {
+    return !this.isLoading;
   }
 };
 
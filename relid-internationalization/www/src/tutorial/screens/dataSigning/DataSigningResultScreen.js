@@ -27,7 +27,7 @@ const DataSigningResultScreen = {
    * @param {Object} params - Navigation parameters with resultData
    */
   onContentLoaded(params) {
-    console.log('DataSigningResultScreen - Content loaded with params:', JSON.stringify({
+    Logger.debug('DataSigningResultScreen - Content loaded with params:', JSON.stringify({
       hasResultData: !!params?.resultData
     }, null, 2));
 
@@ -35,7 +35,7 @@ const DataSigningResultScreen = {
     this.resultData = params?.resultData;
 
     if (!this.resultData) {
-      console.error('DataSigningResultScreen - No result data provided');
+      Logger.error('DataSigningResultScreen - No result data provided');
       this.showError('No signing results available');
       return;
     }
@@ -52,7 +52,7 @@ const DataSigningResultScreen = {
    * Setup event listeners
    */
   setupEventListeners() {
-    console.log('DataSigningResultScreen - Setting up event listeners');
+    Logger.debug('DataSigningResultScreen - Setting up event listeners');
 
     // "Sign Another Document" button
     const signAnotherBtn = document.getElementById('data-signing-sign-another-btn');
@@ -60,18 +60,18 @@ const DataSigningResultScreen = {
       signAnotherBtn.onclick = this.handleSignAnother.bind(this);
     }
 
-    console.log('DataSigningResultScreen - Event listeners attached');
+    Logger.debug('DataSigningResultScreen - Event listeners attached');
   },
 
   /**
    * Render results dynamically
    */
   renderResults() {
-    console.log('DataSigningResultScreen - Rendering results');
+    Logger.debug('DataSigningResultScreen - Rendering results');
 
     const resultsContainer = document.getElementById('data-signing-results-container');
     if (!resultsContainer) {
-      console.error('DataSigningResultScreen - Results container not found');
+      Logger.error('DataSigningResultScreen - Results container not found');
       return;
     }
 
@@ -110,7 +110,7 @@ const DataSigningResultScreen = {
       };
     });
 
-    console.log('DataSigningResultScreen - Results rendered');
+    Logger.debug('DataSigningResultScreen - Results rendered');
   },
 
   /**
@@ -120,7 +120,7 @@ const DataSigningResultScreen = {
    * @param {HTMLElement} button - Button element to update
    */
   async handleCopyToClipboard(value, fieldName, button) {
-    console.log('DataSigningResultScreen - Copying to clipboard:', fieldName);
+    Logger.debug('DataSigningResultScreen - Copying to clipboard:', fieldName);
 
     try {
       // Try modern Clipboard API first
@@ -150,10 +150,10 @@ const DataSigningResultScreen = {
         button.classList.remove('copied');
       }, 2000);
 
-      console.log('DataSigningResultScreen - Copied successfully:', fieldName);
+      Logger.debug('DataSigningResultScreen - Copied successfully:', fieldName);
 
     } catch (error) {
-      console.error('DataSigningResultScreen - Copy failed:', error);
+      Logger.error('DataSigningResultScreen - Copy failed:', error);
       alert('Failed to copy to clipboard. Please copy manually.');
     }
   },
@@ -164,7 +164,7 @@ const DataSigningResultScreen = {
    * @param {string} value - Full value
    */
   handleViewFullValue(fieldName, value) {
-    console.log('DataSigningResultScreen - Viewing full value:', fieldName);
+    Logger.debug('DataSigningResultScreen - Viewing full value:', fieldName);
 
     // Use alert for simplicity (could be a modal in production)
     alert(`${fieldName}\n\n${value}`);
@@ -174,7 +174,7 @@ const DataSigningResultScreen = {
    * Handle "Sign Another Document" button
    */
   async handleSignAnother() {
-    console.log('DataSigningResultScreen - Sign another button clicked');
+    Logger.debug('DataSigningResultScreen - Sign another button clicked');
 
     try {
       // Reset data signing state
@@ -184,7 +184,7 @@ const DataSigningResultScreen = {
       NavigationService.navigate('DataSigningInput');
 
     } catch (error) {
-      console.error('DataSigningResultScreen - Failed to reset state:', error);
+      Logger.error('DataSigningResultScreen - Failed to reset state:', error);
       // Navigate anyway - state reset is not critical
       NavigationService.navigate('DataSigningInput');
     }
@@ -61,8 +61,8 @@ class DataSigningServiceClass {
    * @returns {Promise<Object>} Promise resolving with sync response
    */
   async signData(payload, authLevelDisplay, authenticatorTypeDisplay, reason) {
-    console.log('DataSigningService - Starting data signing process');
-    console.log('DataSigningService - Input:', JSON.stringify({
+    Logger.debug('DataSigningService - Starting data signing process');
+    Logger.debug('DataSigningService - Input:', JSON.stringify({
       payloadLength: payload.length,
       authLevelDisplay,
       authenticatorTypeDisplay,
@@ -74,7 +74,7 @@ class DataSigningServiceClass {
       const authLevel = this.dropdownService.convertAuthLevelToNumber(authLevelDisplay);
       const authenticatorType = this.dropdownService.convertAuthenticatorTypeToNumber(authenticatorTypeDisplay);
 
-      console.log('DataSigningService - Converted enums:', JSON.stringify({
+      Logger.debug('DataSigningService - Converted enums:', JSON.stringify({
         authLevel,
         authenticatorType
       }, null, 2));
@@ -87,10 +87,10 @@ class DataSigningServiceClass {
         reason
       );
 
-      console.log('DataSigningService - Data signing initiated successfully');
+      Logger.debug('DataSigningService - Data signing initiated successfully');
       return response;
     } catch (error) {
-      console.error('DataSigningService - Data signing failed:', error);
+      Logger.error('DataSigningService - Data signing failed:', error);
       throw error;
     }
   }
@@ -103,14 +103,14 @@ class DataSigningServiceClass {
    * @returns {Promise<Object>} Promise resolving with sync response
    */
   async submitPassword(password, challengeMode) {
-    console.log('DataSigningService - Submitting password for data signing');
+    Logger.debug('DataSigningService - Submitting password for data signing');
 
     try {
       const response = await this.rdnaService.setPassword(password, challengeMode);
-      console.log('DataSigningService - Password submitted successfully');
+      Logger.debug('DataSigningService - Password submitted successfully');
       return response;
     } catch (error) {
-      console.error('DataSigningService - Password submission failed:', error);
+      Logger.error('DataSigningService - Password submission failed:', error);
       throw error;
     }
   }
@@ -127,13 +127,13 @@ class DataSigningServiceClass {
    * @returns {Promise<Object>} Promise resolving with sync response
    */
   async resetState() {
-    console.log('DataSigningService - Resetting data signing state');
+    Logger.debug('DataSigningService - Resetting data signing state');
 
     try {
       await this.rdnaService.resetAuthenticateUserAndSignDataState();
-      console.log('DataSigningService - State reset successfully');
+      Logger.debug('DataSigningService - State reset successfully');
     } catch (error) {
-      console.error('DataSigningService - State reset failed:', error);
+      Logger.error('DataSigningService - State reset failed:', error);
       // Don't throw - cleanup should not fail the operation
     }
   }
@@ -110,7 +110,7 @@ class DropdownDataServiceClass {
       case "RDNA_AUTH_LEVEL_4 (4)":
         return 4;
       default:
-        console.warn('DropdownDataService - Unknown auth level:', displayValue, ', defaulting to 0');
+        Logger.warn('DropdownDataService - Unknown auth level:', displayValue, ', defaulting to 0');
         return 0;
     }
   }
@@ -133,7 +133,7 @@ class DropdownDataServiceClass {
       case "RDNA_AUTH_LDA (3)":
         return 3;
       default:
-        console.warn('DropdownDataService - Unknown authenticator type:', displayValue, ', defaulting to 0');
+        Logger.warn('DropdownDataService - Unknown authenticator type:', displayValue, ', defaulting to 0');
         return 0;
     }
   }
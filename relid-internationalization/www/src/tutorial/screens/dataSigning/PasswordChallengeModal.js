@@ -37,7 +37,7 @@ const PasswordChallengeModal = {
    * Called each time the modal is shown to ensure handlers are properly attached
    */
   attachEventListeners() {
-    console.log('PasswordChallengeModal - Attaching event listeners');
+    Logger.debug('PasswordChallengeModal - Attaching event listeners');
 
     // Password input
     const passwordInput = document.getElementById('data-signing-password-input');
@@ -87,7 +87,7 @@ const PasswordChallengeModal = {
       }
     });
 
-    console.log('PasswordChallengeModal - Event listeners attached');
+    Logger.debug('PasswordChallengeModal - Event listeners attached');
   },
 
   /**
@@ -96,7 +96,7 @@ const PasswordChallengeModal = {
   render() {
     const contentElement = document.getElementById('data-signing-modal-content');
     if (!contentElement) {
-      console.error('PasswordChallengeModal - Content element not found');
+      Logger.error('PasswordChallengeModal - Content element not found');
       return;
     }
 
@@ -203,7 +203,7 @@ const PasswordChallengeModal = {
    * @param {Object} context - Optional context information
    */
   show(challengeMode, attemptsLeft, context = {}) {
-    console.log('PasswordChallengeModal - Showing modal:', JSON.stringify({
+    Logger.debug('PasswordChallengeModal - Showing modal:', JSON.stringify({
       challengeMode,
       attemptsLeft,
       hasContext: !!context.payload
@@ -242,7 +242,7 @@ const PasswordChallengeModal = {
    * @param {Object} updates - State updates
    */
   update(updates) {
-    console.log('PasswordChallengeModal - Updating modal state:', JSON.stringify(updates, null, 2));
+    Logger.debug('PasswordChallengeModal - Updating modal state:', JSON.stringify(updates, null, 2));
 
     if (updates.attemptsLeft !== undefined) {
       this.attemptsLeft = updates.attemptsLeft;
@@ -273,7 +273,7 @@ const PasswordChallengeModal = {
    * Hide modal
    */
   hide() {
-    console.log('PasswordChallengeModal - Hiding modal');
+    Logger.debug('PasswordChallengeModal - Hiding modal');
 
     const modal = document.getElementById('data-signing-password-modal');
     if (modal) {
@@ -295,7 +295,7 @@ const PasswordChallengeModal = {
    * Handle submit button
    */
   async handleSubmit() {
-    console.log('PasswordChallengeModal - Submit button clicked');
+    Logger.debug('PasswordChallengeModal - Submit button clicked');
 
     // Get current password value
     const passwordInput = document.getElementById('data-signing-password-input');
@@ -319,7 +319,7 @@ const PasswordChallengeModal = {
     this.render();
 
     try {
-      console.log('PasswordChallengeModal - Submitting password');
+      Logger.debug('PasswordChallengeModal - Submitting password');
 
       // Use DataSigningSetupAuthManager if challengeMode is 12
       if (this.challengeMode === 12) {
@@ -329,13 +329,13 @@ const PasswordChallengeModal = {
         await DataSigningService.submitPassword(this.password, this.challengeMode);
       }
 
-      console.log('PasswordChallengeModal - Password submitted successfully');
+      Logger.debug('PasswordChallengeModal - Password submitted successfully');
 
       // Note: Modal will be hidden by InputScreen when signing completes
       // or re-shown with updated attempts if password was wrong
 
     } catch (error) {
-      console.error('PasswordChallengeModal - Submit error:', error);
+      Logger.error('PasswordChallengeModal - Submit error:', error);
       this.isSubmitting = false;
 
       const errorMessage = error?.error?.errorString || 'Failed to authenticate. Please try again.';
@@ -348,10 +348,10 @@ const PasswordChallengeModal = {
    * Handle cancel button
    */
   async handleCancel() {
-    console.log('PasswordChallengeModal - Cancel button clicked');
+    Logger.debug('PasswordChallengeModal - Cancel button clicked');
 
     if (this.isSubmitting) {
-      console.log('PasswordChallengeModal - Cannot cancel while submitting');
+      Logger.debug('PasswordChallengeModal - Cannot cancel while submitting');
       return;
     }
 
@@ -363,14 +363,14 @@ const PasswordChallengeModal = {
       try {
         await DataSigningService.resetState();
       } catch (error) {
-        console.error('PasswordChallengeModal - Reset state failed:', error);
+        Logger.error('PasswordChallengeModal - Reset state failed:', error);
       }
 
       // Hide modal
       this.hide();
 
       // Navigate back to input screen
-      NavigationService.navigate('DataSigningInput');
+      NavigationService.navigate('DataSigningInput', SDKEventProvider.getSessionParams(), { force: true });
     }
   }
 };
@@ -22,7 +22,8 @@
  * 7. Error → Alert with error message → Stay on screen
  *
  * SPA Lifecycle:
- * - onContentLoaded(params) - Called when template loaded, displays device info
+ * - onContentLoaded(params, scope) - Called when template loaded, displays device info
+ * - onBeforeLeave() - Keeps the screen while a rename/delete is in flight
  * - setupEventListeners() - Attach rename/delete button handlers
  * - handleRename() - Process rename operation
  * - handleDelete() - Process delete operation
@@ -40,15 +41,24 @@ const DeviceDetailScreen = {
   sessionParams: {},
   isSubmitting: false,
 
+  /**
+   * Scope of the current visit (SDK handler and timers)
+   * @type {ScreenScope|null}
+   */
+  scope: null,
+
   /**
    * Called when screen content is loaded (SPA lifecycle)
    *
    * @param {Object} params - Navigation parameters (must include device, userID, cooling period info)
+   * @param {ScreenScope} scope - Released when the screen is left
    */
-  onContentLoaded(params) {
-    console.log('DeviceDetailScreen - Content loaded with params:', JSON.stringify(params, null, 2));
+  onContentLoaded(params, scope) {
+    Logger.debug('DeviceDetailScreen - Content loaded with params:', JSON.stringify(params, null, 2));
 
     // Store all params
+    this.scope = scope;
+    this.isSubmitting = false;
     this.sessionParams = params || {};
     this.device = params.device || null;
     this.isCoolingPeriodActive = params.isCoolingPeriodActive || false;
@@ -57,9 +67,9 @@ const DeviceDetailScreen = {
 
     // Validate required device parameter
     if (!this.device) {
-      console.error('DeviceDetailScreen - device is required in params');
+      Logger.error('DeviceDetailScreen - device is required in params');
       this.showError('Device information not available');
-      setTimeout(() => {
+      scope.setTimeout(() => {
         this.navigateBack();
       }, 2000);
       return;
@@ -67,7 +77,7 @@ const DeviceDetailScreen = {
 
     // Validate required userID parameter
     if (!this.sessionParams.userID) {
-      console.error('DeviceDetailScreen - userID is required in params');
+      Logger.error('DeviceDetailScreen - userID is required in params');
       this.showError('Session expired. Please log in again.');
       return;
     }
@@ -98,7 +108,7 @@ const DeviceDetailScreen = {
     const backBtn = document.getElementById('device-detail-back-btn');
     if (backBtn) {
       backBtn.onclick = () => {
-        console.log('DeviceDetailScreen - Back button tapped');
+        Logger.debug('DeviceDetailScreen - Back button tapped');
         this.navigateBack();
       };
     }
@@ -107,7 +117,7 @@ const DeviceDetailScreen = {
     const renameBtn = document.getElementById('rename-device-btn');
     if (renameBtn) {
       renameBtn.onclick = () => {
-        console.log('DeviceDetailScreen - Rename button tapped');
+        Logger.debug('DeviceDetailScreen - Rename button tapped');
         if (!this.isCoolingPeriodActive) {
           this.showRenameModal();
         }
@@ -118,7 +128,7 @@ const DeviceDetailScreen = {
     const deleteBtn = document.getElementById('delete-device-btn');
     if (deleteBtn) {
       deleteBtn.onclick = () => {
-        console.log('DeviceDetailScreen - Delete button tapped');
+        Logger.debug('DeviceDetailScreen - Delete button tapped');
         if (!this.isCoolingPeriodActive && !this.device.currentDevice) {
           this.showDeleteConfirmation();
         }
@@ -160,22 +170,20 @@ const DeviceDetailScreen = {
       };
     }
 
-    console.log('DeviceDetailScreen - Event listeners setup complete');
+    Logger.debug('DeviceDetailScreen - Event listeners setup complete');
   },
 
   /**
    * Register SDK event handlers
    */
   registerSDKEventHandlers() {
-    const eventManager = rdnaService.getEventManager();
-
     // Handle updateDeviceDetails response
-    eventManager.setUpdateDeviceDetailsHandler((data) => {
-      console.log('DeviceDetailScreen - onUpdateDeviceDetails event received');
+    this.scope.on('onUpdateDeviceDetails', (data) => {
+      Logger.debug('DeviceDetailScreen - onUpdateDeviceDetails event received');
       this.handleUpdateDeviceResponse(data);
     });
 
-    console.log('DeviceDetailScreen - SDK event handlers registered');
+    Logger.debug('DeviceDetailScreen - SDK event handlers registered');
   },
 
   /**
@@ -314,7 +322,7 @@ const DeviceDetailScreen = {
       const date = new Date(timestamp);
       // Check if date is valid
       if (isNaN(date.getTime())) {
-        console.error('DeviceDetailScreen - Invalid timestamp:', timestamp);
+        Logger.error('DeviceDetailScreen - Invalid timestamp:', timestamp);
         return 'Invalid Date';
       }
       // Format: "Thu, October 16, 2025 at 12:40:44 PM"
@@ -329,7 +337,7 @@ const DeviceDetailScreen = {
         hour12: true
       }).replace(',', '').replace(',', ' at');
     } catch (error) {
-      console.error('DeviceDetailScreen - Error formatting timestamp:', error);
+      Logger.error('DeviceDetailScreen - Error formatting timestamp:', error);
       return 'Unknown';
     }
   },
@@ -345,7 +353,7 @@ const DeviceDetailScreen = {
       const date = new Date(timestamp);
       // Check if date is valid
       if (isNaN(date.getTime())) {
-        console.error('DeviceDetailScreen - Invalid timestamp for relative time:', timestamp);
+        Logger.error('DeviceDetailScreen - Invalid timestamp for relative time:', timestamp);
         return '';
       }
 
@@ -368,7 +376,7 @@ const DeviceDetailScreen = {
         return '';
       }
     } catch (error) {
-      console.error('DeviceDetailScreen - Error calculating relative time:', error);
+      Logger.error('DeviceDetailScreen - Error calculating relative time:', error);
       return '';
     }
   },
@@ -469,12 +477,12 @@ const DeviceDetailScreen = {
    */
   performRename(newName) {
     if (this.isSubmitting) {
-      console.log('DeviceDetailScreen - Already submitting');
+      Logger.debug('DeviceDetailScreen - Already submitting');
       return;
     }
 
     this.isSubmitting = true;
-    console.log('DeviceDetailScreen - Renaming device to:', newName);
+    Logger.debug('DeviceDetailScreen - Renaming device to:', newName);
 
     // Show loading in submit button
     const submitBtn = document.getElementById('rename-modal-submit');
@@ -502,11 +510,11 @@ const DeviceDetailScreen = {
     // Call SDK updateDeviceDetails API
     rdnaService.updateDeviceDetails(this.sessionParams.userID, JSON.stringify(devicePayload))
       .then((syncResponse) => {
-        console.log('DeviceDetailScreen - UpdateDeviceDetails sync response:', JSON.stringify(syncResponse, null, 2));
+        Logger.debug('DeviceDetailScreen - UpdateDeviceDetails sync response:', JSON.stringify(syncResponse, null, 2));
         // Waiting for onUpdateDeviceDetails event
       })
       .catch((error) => {
-        console.error('DeviceDetailScreen - UpdateDeviceDetails error:', JSON.stringify(error, null, 2));
+        Logger.error('DeviceDetailScreen - UpdateDeviceDetails error:', JSON.stringify(error, null, 2));
         this.isSubmitting = false;
 
         // Reset submit button
@@ -536,12 +544,12 @@ const DeviceDetailScreen = {
    */
   performDelete() {
     if (this.isSubmitting) {
-      console.log('DeviceDetailScreen - Already submitting');
+      Logger.debug('DeviceDetailScreen - Already submitting');
       return;
     }
 
     this.isSubmitting = true;
-    console.log('DeviceDetailScreen - Deleting device:', this.device.devUUID);
+    Logger.debug('DeviceDetailScreen - Deleting device:', this.device.devUUID);
 
     // Disable buttons
     const renameBtn = document.getElementById('rename-device-btn');
@@ -571,11 +579,11 @@ const DeviceDetailScreen = {
     // Call SDK updateDeviceDetails API
     rdnaService.updateDeviceDetails(this.sessionParams.userID, JSON.stringify(devicePayload))
       .then((syncResponse) => {
-        console.log('DeviceDetailScreen - UpdateDeviceDetails (delete) sync response:', JSON.stringify(syncResponse, null, 2));
+        Logger.debug('DeviceDetailScreen - UpdateDeviceDetails (delete) sync response:', JSON.stringify(syncResponse, null, 2));
         // Waiting for onUpdateDeviceDetails event
       })
       .catch((error) => {
-        console.error('DeviceDetailScreen - UpdateDeviceDetails (delete) error:', JSON.stringify(error, null, 2));
+        Logger.error('DeviceDetailScreen - UpdateDeviceDetails (delete) error:', JSON.stringify(error, null, 2));
         this.isSubmitting = false;
 
         // Reset buttons
@@ -593,7 +601,7 @@ const DeviceDetailScreen = {
    * Handle updateDeviceDetails response event
    */
   handleUpdateDeviceResponse(data) {
-    console.log('DeviceDetailScreen - Processing update device response');
+    Logger.debug('DeviceDetailScreen - Processing update device response');
 
     this.isSubmitting = false;
 
@@ -614,49 +622,60 @@ const DeviceDetailScreen = {
       renameBtn.disabled = false;
     }
 
-    // Layer 1: Check API-level error (error.longErrorCode)
-    if (data.error && data.error.longErrorCode !== 0) {
-      const errorMsg = data.error.errorString || 'API error occurred';
-      console.error('DeviceDetailScreen - API error:', errorMsg, 'Code:', data.error.longErrorCode);
-      this.hideRenameModal();
-      this.showError(errorMsg);
-      return;
-    }
-
-    // Layer 2: Check status code (pArgs.response.StatusCode)
-    const statusCode = data.pArgs?.response?.StatusCode;
-    if (statusCode === 146) {
-      // Cooling period active
-      console.log('DeviceDetailScreen - Cooling period detected');
-      this.hideRenameModal();
-      this.showError('Device management operations are temporarily disabled. Please try again later.');
-      return;
-    } else if (statusCode !== 100) {
-      const statusMsg = data.pArgs?.response?.StatusMsg || 'Operation failed';
-      console.error('DeviceDetailScreen - Status error:', statusCode, 'Message:', statusMsg);
+    // Layer 1 (error.longErrorCode) and Layer 2 (pArgs.response.StatusCode)
+    const error = RdnaError.fromEvent('onUpdateDeviceDetails', data);
+    if (error) {
+      if (error.category === RDNA_ERROR_CATEGORY.COOLING_PERIOD) {
+        Logger.debug('DeviceDetailScreen - Cooling period detected');
+      } else {
+        Logger.error('DeviceDetailScreen - Update failed:', JSON.stringify({
+          type: error.type,
+          longErrorCode: error.longErrorCode,
+          statusCode: error.statusCode,
+          message: error.message
+        }, null, 2));
+      }
       this.hideRenameModal();
-      this.showError(statusMsg);
+      this.showError(error.getUserMessage());
       return;
     }
 
     // Success
     const message = data.pArgs?.response?.StatusMsg || 'Device updated successfully';
-    console.log('DeviceDetailScreen - Operation successful:', message);
+    Logger.debug('DeviceDetailScreen - Operation successful:', message);
 
     this.hideRenameModal();
     alert(message);
 
     // Navigate back to device list
-    setTimeout(() => {
+    this.scope.setTimeout(() => {
       this.navigateBack();
     }, 500);
   },
 
+  /**
+   * Hardware back button
+   */
+  onBackPressed() {
+    this.navigateBack();
+  },
+
+  /**
+   * Stay on the screen until the rename/delete response arrives
+   * @returns {boolean}
+   */
+  onBeforeLeave() {
+    return !this.isSubmitting;
+  },
+
   /**
    * Navigate back to device management screen
+   * Restores the history entry (and its params) when there is one.
    */
   navigateBack() {
-    NavigationService.navigate('DeviceManagement', this.sessionParams);
+    if (!NavigationService.popTo('DeviceManagement')) {
+      NavigationService.replace('DeviceManagement', this.sessionParams);
+    }
   },
 
   /**
@@ -669,7 +688,7 @@ const DeviceDetailScreen = {
       errorElement.style.display = 'block';
 
       // Auto-hide after 5 seconds
-      setTimeout(() => {
+      this.scope.setTimeout(() => {
         errorElement.style.display = 'none';
       }, 5000);
     } else {
@@ -23,7 +23,7 @@
  * SPA Lifecycle:
  * - onContentLoaded(params) - Called when template loaded, auto-loads devices
  * - setupEventListeners() - Attach button and navigation handlers
- * - loadDevices() - Fetch devices from server
+ * - loadDevices() - Fetch devices from server via rdnaService.fetchRegisteredDevices()
  * - renderDeviceList() - Display devices with formatting
  */
 
@@ -44,14 +44,14 @@ const DeviceManagementScreen = {
    * @param {Object} params - Navigation parameters (must include userID)
    */
   onContentLoaded(params) {
-    console.log('DeviceManagementScreen - Content loaded with params:', JSON.stringify(params, null, 2));
+    Logger.debug('DeviceManagementScreen - Content loaded with params:', JSON.stringify(params, null, 2));
 
     // Store session params for API calls and navigation
     this.sessionParams = params || {};
 
     // Validate required userID parameter
     if (!this.sessionParams.userID) {
-      console.error('DeviceManagementScreen - userID is required in params');
+      Logger.error('DeviceManagementScreen - userID is required in params');
       this.showError('Session expired. Please log in again.');
       return;
     }
@@ -63,7 +63,6 @@ const DeviceManagementScreen = {
 
     // Setup UI
     this.setupEventListeners();
-    this.registerSDKEventHandlers();
 
     // Auto-load devices
     this.loadDevices();
@@ -92,7 +91,7 @@ const DeviceManagementScreen = {
     // Setup drawer menu link handlers to pass session params
     this.setupDrawerLinks();
 
-    console.log('DeviceManagementScreen - Event listeners setup complete');
+    Logger.debug('DeviceManagementScreen - Event listeners setup complete');
   },
 
   /**
@@ -110,7 +109,7 @@ const DeviceManagementScreen = {
       drawerDashboardLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('DeviceManagementScreen - Navigating to Dashboard');
+        Logger.debug('DeviceManagementScreen - Navigating to Dashboard');
         NavigationService.navigate('Dashboard', this.sessionParams);
       };
     }
@@ -119,7 +118,7 @@ const DeviceManagementScreen = {
       drawerNotificationsLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('DeviceManagementScreen - Navigating to GetNotifications');
+        Logger.debug('DeviceManagementScreen - Navigating to GetNotifications');
         NavigationService.navigate('GetNotifications', this.sessionParams);
       };
     }
@@ -128,7 +127,7 @@ const DeviceManagementScreen = {
       drawerNotificationHistoryLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('DeviceManagementScreen - Navigating to NotificationHistory');
+        Logger.debug('DeviceManagementScreen - Navigating to NotificationHistory');
         NavigationService.navigate('NotificationHistory', this.sessionParams);
       };
     }
@@ -146,7 +145,7 @@ const DeviceManagementScreen = {
       drawerLdaTogglingLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('DeviceManagementScreen - Navigating to LDAToggling');
+        Logger.debug('DeviceManagementScreen - Navigating to LDAToggling');
         NavigationService.navigate('LDAToggling', this.sessionParams);
       };
     }
@@ -155,105 +154,67 @@ const DeviceManagementScreen = {
       drawerDataSigningLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('DeviceManagementScreen - Navigating to DataSigningInput');
+        Logger.debug('DeviceManagementScreen - Navigating to DataSigningInput');
         NavigationService.navigate('DataSigningInput', this.sessionParams);
       };
     }
   },
 
-  /**
-   * Register SDK event handlers
-   */
-  registerSDKEventHandlers() {
-    const eventManager = rdnaService.getEventManager();
-
-    // Handle getRegisteredDeviceDetails response
-    eventManager.setGetRegisteredDeviceDetailsHandler((data) => {
-      console.log('DeviceManagementScreen - onGetRegistredDeviceDetails event received');
-      this.handleGetDevicesResponse(data);
-    });
-
-    console.log('DeviceManagementScreen - SDK event handlers registered');
-  },
-
   /**
    * Load devices from server (auto-triggered on screen load)
+   *
+   * Awaits rdnaService.fetchRegisteredDevices(), which resolves with the parsed
+   * onGetRegistredDeviceDetails payload (StatusCode 146 resolves with cooling period set).
    */
-  loadDevices() {
+  async loadDevices() {
     if (this.isLoading) {
-      console.log('DeviceManagementScreen - Already loading devices');
+      Logger.debug('DeviceManagementScreen - Already loading devices');
       return;
     }
 
     if (!this.sessionParams.userID) {
-      console.error('DeviceManagementScreen - userID not available');
+      Logger.error('DeviceManagementScreen - userID not available');
       this.showError('Session expired. Please log in again.');
       return;
     }
 
     this.isLoading = true;
     this.showLoading(true);
-    console.log('DeviceManagementScreen - Loading devices for userID:', this.sessionParams.userID);
-
-    // Call SDK getRegisteredDeviceDetails API
-    rdnaService.getRegisteredDeviceDetails(this.sessionParams.userID)
-      .then((syncResponse) => {
-        console.log('DeviceManagementScreen - GetRegisteredDeviceDetails sync response:', JSON.stringify(syncResponse, null, 2));
-        // Waiting for onGetRegistredDeviceDetails event with device list
-      })
-      .catch((error) => {
-        console.error('DeviceManagementScreen - GetRegisteredDeviceDetails error:', JSON.stringify(error, null, 2));
-        this.isLoading = false;
-        this.showLoading(false);
-        this.showError('Failed to load devices. Please try again.');
-      });
-  },
-
-  /**
-   * Handle getRegisteredDeviceDetails response event
-   */
-  handleGetDevicesResponse(data) {
-    console.log('DeviceManagementScreen - Processing device details response');
+    Logger.debug('DeviceManagementScreen - Loading devices for userID:', this.sessionParams.userID);
 
-    this.isLoading = false;
-    this.showLoading(false);
+    try {
+      const result = await rdnaService.fetchRegisteredDevices(this.sessionParams.userID);
+
+      this.isCoolingPeriodActive = result.isCoolingPeriodActive;
+      this.coolingPeriodEndTimestamp = result.coolingPeriodEndTimestamp;
+      if (result.isCoolingPeriodActive) {
+        this.coolingPeriodMessage = result.coolingPeriodMessage || 'Device management operations are temporarily disabled. Please try again later.';
+        Logger.debug('DeviceManagementScreen - Cooling period detected. End timestamp:', this.coolingPeriodEndTimestamp);
+        this.showCoolingPeriodWarning();
+      } else {
+        this.coolingPeriodMessage = '';
+        this.hideCoolingPeriodWarning();
+      }
 
-    // Layer 1: Check API-level error (error.longErrorCode)
-    if (data.error && data.error.longErrorCode !== 0) {
-      const errorMsg = data.error.errorString || 'API error occurred';
-      console.error('DeviceManagementScreen - API error:', errorMsg, 'Code:', data.error.longErrorCode);
-      this.showError(errorMsg);
-      return;
-    }
+      this.devices = result.devices;
+      Logger.debug('DeviceManagementScreen - Received', this.devices.length, 'devices');
 
-    // Layer 2: Check status code (pArgs.response.StatusCode)
-    const statusCode = data.pArgs?.response?.StatusCode;
-    if (statusCode === 146) {
-      // Cooling period active
-      this.isCoolingPeriodActive = true;
-      this.coolingPeriodEndTimestamp = data.pArgs?.response?.ResponseData?.deviceManagementCoolingPeriodEndTimestamp;
-      this.coolingPeriodMessage = data.pArgs?.response?.StatusMsg || 'Device management operations are temporarily disabled. Please try again later.';
-      console.log('DeviceManagementScreen - Cooling period detected. End timestamp:', this.coolingPeriodEndTimestamp);
-      this.showCoolingPeriodWarning();
-    } else if (statusCode !== 100) {
-      const statusMsg = data.pArgs?.response?.StatusMsg || 'Failed to retrieve devices';
-      console.error('DeviceManagementScreen - Status error:', statusCode, 'Message:', statusMsg);
-      this.showError(statusMsg);
-      return;
-    } else {
-      // Success - clear cooling period state
-      this.isCoolingPeriodActive = false;
-      this.coolingPeriodEndTimestamp = null;
-      this.coolingPeriodMessage = '';
-      this.hideCoolingPeriodWarning();
+      this.renderDeviceList();
+    } catch (error) {
+      Logger.error('DeviceManagementScreen - Failed to load devices:', JSON.stringify({
+        type: error.type,
+        longErrorCode: error.longErrorCode,
+        statusCode: error.statusCode,
+        message: error.message
+      }, null, 2));
+      const useCatalogMessage = error instanceof RdnaError && (error.type !== 'sync' || error.isCataloged);
+      this.showError(useCatalogMessage
+        ? error.getUserMessage()
+        : 'Failed to load devices. Please try again.');
+    } finally {
+      this.isLoading = false;
+      this.showLoading(false);
     }
-
-    // Process devices data
-    this.devices = data.pArgs?.response?.ResponseData?.device || [];
-    console.log('DeviceManagementScreen - Received', this.devices.length, 'devices');
-
-    // Display devices
-    this.renderDeviceList();
   },
 
   /**
@@ -299,7 +260,7 @@ const DeviceManagementScreen = {
 
     // Add click handler to navigate to detail screen
     card.onclick = () => {
-      console.log('DeviceManagementScreen - Device tapped:', device.devUUID);
+      Logger.debug('DeviceManagementScreen - Device tapped:', device.devUUID);
       this.navigateToDeviceDetail(device);
     };
 
@@ -356,7 +317,7 @@ const DeviceManagementScreen = {
         minute: '2-digit'
       });
     } catch (error) {
-      console.error('DeviceManagementScreen - Error formatting timestamp:', error);
+      Logger.error('DeviceManagementScreen - Error formatting timestamp:', error);
       return 'Unknown';
     }
   },
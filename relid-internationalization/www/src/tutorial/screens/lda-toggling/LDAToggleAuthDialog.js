@@ -59,14 +59,38 @@ window.LDAToggleAuthDialog = {
   ldaAuthTypeName: '',
   customMessage: '',
 
+  /**
+   * Handles getPassword with challengeMode 5, 14 or 15 (routed by ChallengeRouter)
+   * Updates the open dialog when the SDK re-triggers the same challenge, shows a new one otherwise
+   *
+   * @param {Object} data - Event data from SDK
+   */
+  handlePasswordChallenge(data) {
+    Logger.debug('LDAToggleAuthDialog - LDA toggling password verification required');
+
+    // Check if dialog already visible with same challengeMode (re-trigger scenario)
+    if (this.visible && this.challengeMode === data.challengeMode) {
+      // SDK re-triggered getPassword - process errors (same pattern as SetPasswordScreen)
+      const errorResult = this.processResponseData(data);
+
+      // Update existing dialog with error message from SDK response
+      this.update({
+        attemptsLeft: data.attemptsLeft,
+        errorMessage: errorResult.hasError ? errorResult.errorMessage : 'Incorrect password. Please try again.'
+      });
+    } else {
+      this.show(data);
+    }
+  },
+
   /**
    * Shows the dialog with appropriate UI based on challengeMode
    *
    * @param {Object} data - Event data from SDK
    */
   show(data) {
-    console.log('LDAToggleAuthDialog - Showing dialog for challengeMode:', data.challengeMode);
-    console.log('LDAToggleAuthDialog - Full event data:', JSON.stringify(data, null, 2));
+    Logger.debug('LDAToggleAuthDialog - Showing dialog for challengeMode:', data.challengeMode);
+    Logger.debug('LDAToggleAuthDialog - Full event data:', JSON.stringify(data, null, 2));
 
     this.visible = true;
     this.challengeMode = data.challengeMode;
@@ -78,7 +102,7 @@ window.LDAToggleAuthDialog = {
     const errorResult = this.processResponseData(data);
     if (errorResult.hasError) {
       this.errorMessage = errorResult.errorMessage;
-      console.log('LDAToggleAuthDialog - Error detected on show:', errorResult.errorMessage);
+      Logger.debug('LDAToggleAuthDialog - Error detected on show:', errorResult.errorMessage);
     }
 
     // Determine mode based on challengeMode
@@ -91,7 +115,7 @@ window.LDAToggleAuthDialog = {
       this.customMessage = data.customMessage || '';
       this.attemptsLeft = 1; // Consent doesn't have multiple attempts
 
-      console.log('LDAToggleAuthDialog - Consent mode initialized:', JSON.stringify({
+      Logger.debug('LDAToggleAuthDialog - Consent mode initialized:', JSON.stringify({
         challengeMode: this.challengeMode,
         ldaAuthType: this.ldaAuthType,
         ldaAuthTypeName: this.ldaAuthTypeName
@@ -104,7 +128,7 @@ window.LDAToggleAuthDialog = {
       // Parse password policy from challengeResponse
       this.parsePasswordPolicy(data);
 
-      console.log('LDAToggleAuthDialog - Password creation mode initialized:', JSON.stringify({
+      Logger.debug('LDAToggleAuthDialog - Password creation mode initialized:', JSON.stringify({
         challengeMode: this.challengeMode,
         passwordPolicy: this.passwordPolicy,
         passwordPolicyMessage: this.passwordPolicyMessage
@@ -150,7 +174,7 @@ window.LDAToggleAuthDialog = {
    * @param {Object} updates - State updates
    */
   update(updates) {
-    console.log('LDAToggleAuthDialog - Updating state:', JSON.stringify(updates, null, 2));
+    Logger.debug('LDAToggleAuthDialog - Updating state:', JSON.stringify(updates, null, 2));
 
     if (updates.attemptsLeft !== undefined) {
       this.attemptsLeft = updates.attemptsLeft;
@@ -196,7 +220,7 @@ window.LDAToggleAuthDialog = {
    * Hides the dialog and cleans up
    */
   hide() {
-    console.log('LDAToggleAuthDialog - Hiding dialog');
+    Logger.debug('LDAToggleAuthDialog - Hiding dialog');
 
     this.visible = false;
     this.mode = 'password';
@@ -224,7 +248,7 @@ window.LDAToggleAuthDialog = {
   render() {
     const container = document.getElementById('lda-toggle-auth-content');
     if (!container) {
-      console.error('LDAToggleAuthDialog - Modal content container not found');
+      Logger.error('LDAToggleAuthDialog - Modal content container not found');
       return;
     }
 
@@ -457,19 +481,19 @@ window.LDAToggleAuthDialog = {
           this.passwordPolicyMessage = parseAndGeneratePolicyMessage(policyItem.value);
           this.passwordPolicy = JSON.parse(policyItem.value);
 
-          console.log('LDAToggleAuthDialog - Password policy parsed:', this.passwordPolicyMessage);
+          Logger.debug('LDAToggleAuthDialog - Password policy parsed:', this.passwordPolicyMessage);
         } else {
-          console.warn('LDAToggleAuthDialog - RELID_PASSWORD_POLICY not found in challengeInfo');
+          Logger.warn('LDAToggleAuthDialog - RELID_PASSWORD_POLICY not found in challengeInfo');
           this.passwordPolicy = null;
           this.passwordPolicyMessage = 'Please create a strong password';
         }
       } else {
-        console.warn('LDAToggleAuthDialog - challengeResponse or challengeInfo not found');
+        Logger.warn('LDAToggleAuthDialog - challengeResponse or challengeInfo not found');
         this.passwordPolicy = null;
         this.passwordPolicyMessage = 'Please create a strong password';
       }
     } catch (error) {
-      console.error('LDAToggleAuthDialog - Error parsing password policy:', error);
+      Logger.error('LDAToggleAuthDialog - Error parsing password policy:', error);
       this.passwordPolicy = null;
       this.passwordPolicyMessage = 'Please create a strong password';
     }
@@ -488,7 +512,7 @@ window.LDAToggleAuthDialog = {
     // Check for API errors FIRST (error.longErrorCode !== 0)
     if (data.error && data.error.longErrorCode !== 0) {
       const errorMessage = data.error.errorString || 'An error occurred';
-      console.log('LDAToggleAuthDialog - API error detected:', errorMessage);
+      Logger.debug('LDAToggleAuthDialog - API error detected:', errorMessage);
       return { hasError: true, errorMessage };
     }
 
@@ -498,7 +522,7 @@ window.LDAToggleAuthDialog = {
         data.challengeResponse.status.statusCode !== 100 &&
         data.challengeResponse.status.statusCode !== 0) {
       const errorMessage = data.challengeResponse.status.statusMessage || 'Verification failed';
-      console.log('LDAToggleAuthDialog - Status error detected:', errorMessage);
+      Logger.debug('LDAToggleAuthDialog - Status error detected:', errorMessage);
       return { hasError: true, errorMessage };
     }
 
@@ -612,7 +636,7 @@ window.LDAToggleAuthDialog = {
       return;
     }
 
-    console.log('LDAToggleAuthDialog - Submitting password for challengeMode:', this.challengeMode);
+    Logger.debug('LDAToggleAuthDialog - Submitting password for challengeMode:', this.challengeMode);
 
     this.isSubmitting = true;
     this.errorMessage = '';
@@ -620,14 +644,14 @@ window.LDAToggleAuthDialog = {
 
     try {
       await rdnaService.setPassword(password, this.challengeMode);
-      console.log('LDAToggleAuthDialog - Password submitted successfully');
+      Logger.debug('LDAToggleAuthDialog - Password submitted successfully');
 
       // SDK will trigger response:
       // - Success → onDeviceAuthManagementStatus
       // - Wrong password → re-trigger getPassword with decremented attempts
       // - Exhausted → critical error
     } catch (error) {
-      console.error('LDAToggleAuthDialog - Password submission error:', error);
+      Logger.error('LDAToggleAuthDialog - Password submission error:', error);
       this.isSubmitting = false;
       this.errorMessage = error?.error?.errorString || 'Failed to verify password';
       this.render();
@@ -664,7 +688,7 @@ window.LDAToggleAuthDialog = {
       return;
     }
 
-    console.log('LDAToggleAuthDialog - Submitting new password for challengeMode:', this.challengeMode);
+    Logger.debug('LDAToggleAuthDialog - Submitting new password for challengeMode:', this.challengeMode);
 
     this.isSubmitting = true;
     this.errorMessage = '';
@@ -672,14 +696,14 @@ window.LDAToggleAuthDialog = {
 
     try {
       await rdnaService.setPassword(password, this.challengeMode);
-      console.log('LDAToggleAuthDialog - Password created successfully');
+      Logger.debug('LDAToggleAuthDialog - Password created successfully');
 
       // SDK will trigger response:
       // - Success → onDeviceAuthManagementStatus or next step (e.g., LDA consent)
       // - Policy violation → re-trigger getPassword with error message
       // - Exhausted → critical error
     } catch (error) {
-      console.error('LDAToggleAuthDialog - Password creation error:', error);
+      Logger.error('LDAToggleAuthDialog - Password creation error:', error);
       this.isSubmitting = false;
       this.errorMessage = error?.error?.errorString || 'Failed to create password';
       this.render();
@@ -690,7 +714,7 @@ window.LDAToggleAuthDialog = {
    * Handles LDA consent submission (challengeMode 16)
    */
   async handleConsentSubmit() {
-    console.log('LDAToggleAuthDialog - Submitting LDA consent for challengeMode:', this.challengeMode);
+    Logger.debug('LDAToggleAuthDialog - Submitting LDA consent for challengeMode:', this.challengeMode);
 
     this.isSubmitting = true;
     this.errorMessage = '';
@@ -699,11 +723,11 @@ window.LDAToggleAuthDialog = {
     try {
       // User clicked "Enable LDA" - consent is true
       await rdnaService.setUserConsentForLDA(true, this.challengeMode, this.ldaAuthType);
-      console.log('LDAToggleAuthDialog - LDA consent submitted successfully');
+      Logger.debug('LDAToggleAuthDialog - LDA consent submitted successfully');
 
       // SDK will trigger onDeviceAuthManagementStatus with result
     } catch (error) {
-      console.error('LDAToggleAuthDialog - LDA consent submission error:', error);
+      Logger.error('LDAToggleAuthDialog - LDA consent submission error:', error);
       this.isSubmitting = false;
       this.errorMessage = error?.error?.errorString || 'Failed to enable LDA';
       this.render();
@@ -714,32 +738,36 @@ window.LDAToggleAuthDialog = {
    * Handles cancel button click
    */
   async handleCancel() {
-    console.log('LDAToggleAuthDialog - User cancelled');
+    Logger.debug('LDAToggleAuthDialog - User cancelled');
 
     // For LDA consent mode, send rejection to SDK
     if (this.mode === 'consent') {
-      console.log('LDAToggleAuthDialog - Sending LDA consent rejection to SDK');
+      Logger.debug('LDAToggleAuthDialog - Sending LDA consent rejection to SDK');
       try {
         await rdnaService.setUserConsentForLDA(false, this.challengeMode, this.ldaAuthType);
-        console.log('LDAToggleAuthDialog - LDA consent rejection sent successfully');
+        Logger.debug('LDAToggleAuthDialog - LDA consent rejection sent successfully');
       } catch (error) {
-        console.error('LDAToggleAuthDialog - LDA consent rejection error:', error);
+        Logger.error('LDAToggleAuthDialog - LDA consent rejection error:', error);
       }
     }
 
     this.hide();
 
+    // No SDK event follows a cancelled step-up
+    rdnaService.releaseOperation('manageDeviceAuthenticationModes', 'step-up cancelled');
+    AuthFlowStateMachine.dispatch('stepUpCancelled');
+
     // Reset processing state and reload authentication details
     if (typeof window.LDATogglingScreen !== 'undefined') {
       // Reset processing state first (clears processingAuthType flag and hides spinners)
       if (window.LDATogglingScreen.resetProcessingState) {
-        console.log('LDAToggleAuthDialog - Resetting processing state after cancel');
+        Logger.debug('LDAToggleAuthDialog - Resetting processing state after cancel');
         window.LDATogglingScreen.resetProcessingState();
       }
 
       // Then reload authentication details to reset toggle switches
       if (window.LDATogglingScreen.loadAuthenticationDetails) {
-        console.log('LDAToggleAuthDialog - Reloading authentication details after cancel');
+        Logger.debug('LDAToggleAuthDialog - Reloading authentication details after cancel');
         window.LDATogglingScreen.loadAuthenticationDetails();
       }
     }
@@ -800,4 +828,16 @@ window.LDAToggleAuthDialog = {
   }
 };
 
-// No initialization needed - dialog is shown on demand
+// challengeMode = 5, 14, 15: Password verification / creation for LDA toggling
+ChallengeRouter.register('getPassword', [5, 14, 15], {
+  source: 'LDAToggleAuthDialog',
+  dialog: LDAToggleAuthDialog,
+  method: 'handlePasswordChallenge'
+});
+
+// challengeMode = 16: LDA consent for LDA toggling (enabling LDA)
+ChallengeRouter.register('getUserConsentForLDA', 16, {
+  source: 'LDAToggleAuthDialog',
+  dialog: LDAToggleAuthDialog,
+  method: 'show'
+});
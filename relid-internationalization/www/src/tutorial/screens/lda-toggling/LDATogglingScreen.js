@@ -20,9 +20,9 @@
  * - manageDeviceAuthenticationModes: Async event (onDeviceAuthManagementStatus)
  *
  * SPA Pattern:
- * - Uses onContentLoaded(params) instead of React useEffect
+ * - Uses onContentLoaded(params, scope) instead of React useEffect
  * - DOM manipulation instead of React state
- * - Manual event listener cleanup when navigating away
+ * - Event handler lives in the screen scope, released when navigating away
  * - Dynamic HTML generation for authentication list
  */
 
@@ -55,9 +55,10 @@ window.LDATogglingScreen = {
    * Replaces React's useEffect/componentDidMount
    *
    * @param {Object} params - Navigation parameters
+   * @param {ScreenScope} scope - Released when the screen is left
    */
-  onContentLoaded(params) {
-    console.log('LDATogglingScreen - Content loaded', JSON.stringify(params, null, 2));
+  onContentLoaded(params, scope) {
+    Logger.debug('LDATogglingScreen - Content loaded', JSON.stringify(params, null, 2));
 
     // Store session info from params for drawer navigation
     this.userID = params.userID || '';
@@ -75,10 +76,9 @@ window.LDATogglingScreen = {
     this.loadAuthenticationDetails();
 
     // Set up event handler for auth management status (specific to LDA toggling only)
-    const eventManager = rdnaService.getEventManager();
-    eventManager.setDeviceAuthManagementStatusHandler(this.handleAuthManagementStatusReceived.bind(this));
+    scope.on('onDeviceAuthManagementStatus', this.handleAuthManagementStatusReceived.bind(this));
 
-    console.log('LDATogglingScreen - Event handler registered');
+    Logger.debug('LDATogglingScreen - Event handler registered');
   },
 
   /**
@@ -110,7 +110,7 @@ window.LDATogglingScreen = {
       drawerDashboardLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('LDATogglingScreen - Navigating to Dashboard');
+        Logger.debug('LDATogglingScreen - Navigating to Dashboard');
         NavigationService.navigate('Dashboard', {
           userID: this.userID,
           sessionID: this.sessionID
@@ -122,7 +122,7 @@ window.LDATogglingScreen = {
       drawerNotificationsLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('LDATogglingScreen - Navigating to GetNotifications');
+        Logger.debug('LDATogglingScreen - Navigating to GetNotifications');
         NavigationService.navigate('GetNotifications', {
           userID: this.userID,
           sessionID: this.sessionID
@@ -134,7 +134,7 @@ window.LDATogglingScreen = {
       drawerNotificationHistoryLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('LDATogglingScreen - Navigating to NotificationHistory');
+        Logger.debug('LDATogglingScreen - Navigating to NotificationHistory');
         NavigationService.navigate('NotificationHistory', {
           userID: this.userID,
           sessionID: this.sessionID
@@ -146,7 +146,7 @@ window.LDATogglingScreen = {
       drawerDeviceMgmtLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('LDATogglingScreen - Navigating to DeviceManagement');
+        Logger.debug('LDATogglingScreen - Navigating to DeviceManagement');
         NavigationService.navigate('DeviceManagement', {
           userID: this.userID,
           sessionID: this.sessionID
@@ -166,7 +166,7 @@ window.LDATogglingScreen = {
       drawerDataSigningLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('LDATogglingScreen - Navigating to DataSigningInput');
+        Logger.debug('LDATogglingScreen - Navigating to DataSigningInput');
         NavigationService.navigate('DataSigningInput', {
           userID: this.userID,
           sessionID: this.sessionID
@@ -178,7 +178,7 @@ window.LDATogglingScreen = {
       drawerLogoutLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('LDATogglingScreen - Logging out');
+        Logger.debug('LDATogglingScreen - Logging out');
         this.handleLogout();
       };
     }
@@ -188,19 +188,19 @@ window.LDATogglingScreen = {
    * Handle logout from drawer
    */
   async handleLogout() {
-    console.log('LDATogglingScreen - Logging out user:', this.userID);
+    Logger.debug('LDATogglingScreen - Logging out user:', this.userID);
 
     try {
       const syncResponse = await rdnaService.logOff(this.userID);
-      console.log('LDATogglingScreen - logOff sync response received:', JSON.stringify({
+      Logger.debug('LDATogglingScreen - logOff sync response received:', JSON.stringify({
         longErrorCode: syncResponse.error?.longErrorCode,
         errorString: syncResponse.error?.errorString
       }, null, 2));
 
       // Sync response successful - SDK will trigger onUserLoggedOff and getUser events
-      console.log('LDATogglingScreen - LogOff successful, waiting for SDK events');
+      Logger.debug('LDATogglingScreen - LogOff successful, waiting for SDK events');
     } catch (error) {
-      console.error('LDATogglingScreen - logOff error:', error);
+      Logger.error('LDATogglingScreen - logOff error:', error);
       const errorMessage = error.error?.errorString || 'Failed to log out';
       alert('Logout Error\n\n' + errorMessage);
     }
@@ -215,28 +215,30 @@ window.LDATogglingScreen = {
     this.hideError();
 
     try {
-      console.log('LDATogglingScreen - Calling getDeviceAuthenticationDetails API');
+      Logger.debug('LDATogglingScreen - Calling getDeviceAuthenticationDetails API');
       const data = await rdnaService.getDeviceAuthenticationDetails();
-      console.log('LDATogglingScreen - getDeviceAuthenticationDetails API call successful');
-      console.log('LDATogglingScreen - Full response:', JSON.stringify(data, null, 2));
+      Logger.debug('LDATogglingScreen - getDeviceAuthenticationDetails API call successful');
+      Logger.debug('LDATogglingScreen - Full response:', JSON.stringify(data, null, 2));
 
       // Check for errors
       if (data.error.longErrorCode !== 0) {
-        const errorMessage = data.error.errorString || 'Failed to load authentication details';
-        console.error('LDATogglingScreen - Authentication details error:', JSON.stringify(data.error, null, 2));
-        this.showError(errorMessage);
+        const error = RdnaError.fromSyncResponse(data);
+        Logger.error('LDATogglingScreen - Authentication details error:', JSON.stringify(data.error, null, 2));
+        this.showError(error.getUserMessage());
         return;
       }
 
       const capabilities = data.response.authenticationCapabilities || [];
-      console.log('LDATogglingScreen - Received capabilities:', capabilities.length);
+      Logger.debug('LDATogglingScreen - Received capabilities:', capabilities.length);
 
       this.authCapabilities = capabilities;
       this.hideLoading();
       this.renderAuthCapabilities();
     } catch (error) {
-      console.error('LDATogglingScreen - getDeviceAuthenticationDetails error:', error);
-      const errorMessage = error?.error?.errorString || 'Failed to load authentication details';
+      Logger.error('LDATogglingScreen - getDeviceAuthenticationDetails error:', error);
+      const errorMessage = error instanceof RdnaError
+        ? error.getUserMessage()
+        : 'Failed to load authentication details';
       this.showError(errorMessage);
     }
   },
@@ -245,7 +247,7 @@ window.LDATogglingScreen = {
    * Handle auth management status received from onDeviceAuthManagementStatus event
    */
   handleAuthManagementStatusReceived(data) {
-    console.log('LDATogglingScreen - Received auth management status event');
+    Logger.debug('LDATogglingScreen - Received auth management status event');
     this.processingAuthType = null;
 
     // Hide LDA auth dialog if visible
@@ -253,38 +255,33 @@ window.LDATogglingScreen = {
       LDAToggleAuthDialog.hide();
     }
 
-    // Check for errors
-    if (data.error.longErrorCode !== 0) {
-      const errorMessage = data.error.errorString || 'Failed to update authentication mode';
-      console.error('LDATogglingScreen - Auth management status error:', JSON.stringify(data.error, null, 2));
+    // Check error.longErrorCode, then status.statusCode
+    const error = RdnaError.fromEvent('onDeviceAuthManagementStatus', data);
+    if (error) {
+      Logger.error('LDATogglingScreen - Auth management status error:', JSON.stringify({
+        type: error.type,
+        category: error.category,
+        longErrorCode: error.longErrorCode,
+        statusCode: error.statusCode,
+        message: error.message
+      }, null, 2));
 
-      alert('Update Failed: ' + errorMessage);
+      alert('Update Failed: ' + error.getUserMessage());
 
       // Refresh to show current state
       this.loadAuthenticationDetails();
       return;
     }
 
-    // Check status
-    if (data.status.statusCode === 100) {
-      const opMode = data.OpMode === 1 ? 'enabled' : 'disabled';
-      const authTypeName = AUTH_TYPE_NAMES[data.ldaType] || `Authentication Type ${data.ldaType}`;
+    const opMode = data.OpMode === 1 ? 'enabled' : 'disabled';
+    const authTypeName = AUTH_TYPE_NAMES[data.ldaType] || `Authentication Type ${data.ldaType}`;
 
-      console.log('LDATogglingScreen - Auth management status success:', data.status.statusMessage);
+    Logger.debug('LDATogglingScreen - Auth management status success:', data.status.statusMessage);
 
-      alert('Success: ' + authTypeName + ' has been ' + opMode + ' successfully.');
-
-      // Refresh authentication details to get updated status
-      this.loadAuthenticationDetails();
-    } else {
-      const statusMessage = data.status.statusMessage || 'Unknown error occurred';
-      console.error('LDATogglingScreen - Auth management status error:', statusMessage);
+    alert('Success: ' + authTypeName + ' has been ' + opMode + ' successfully.');
 
-      alert('Update Failed: ' + statusMessage);
-
-      // Refresh authentication details to get updated status
-      this.loadAuthenticationDetails();
-    }
+    // Refresh authentication details to get updated status
+    this.loadAuthenticationDetails();
   },
 
   /**
@@ -293,7 +290,7 @@ window.LDATogglingScreen = {
   async handleToggleChange(capability, newValue) {
     const authTypeName = AUTH_TYPE_NAMES[capability.authenticationType] || `Authentication Type ${capability.authenticationType}`;
 
-    console.log('LDATogglingScreen - Toggle change:', JSON.stringify({
+    Logger.debug('LDATogglingScreen - Toggle change:', JSON.stringify({
       authenticationType: capability.authenticationType,
       authTypeName,
       currentValue: capability.isConfigured,
@@ -301,7 +298,7 @@ window.LDATogglingScreen = {
     }, null, 2));
 
     if (this.processingAuthType !== null) {
-      console.log('LDATogglingScreen - Another operation is in progress, ignoring toggle');
+      Logger.debug('LDATogglingScreen - Another operation is in progress, ignoring toggle');
       return;
     }
 
@@ -309,16 +306,19 @@ window.LDATogglingScreen = {
     this.showProcessingForAuthType(capability.authenticationType);
 
     try {
-      console.log('LDATogglingScreen - Calling manageDeviceAuthenticationModes API');
+      Logger.debug('LDATogglingScreen - Calling manageDeviceAuthenticationModes API');
       await rdnaService.manageDeviceAuthenticationModes(newValue, capability.authenticationType);
-      console.log('LDATogglingScreen - manageDeviceAuthenticationModes API call successful');
+      Logger.debug('LDATogglingScreen - manageDeviceAuthenticationModes API call successful');
       // Response will be handled by handleAuthManagementStatusReceived
     } catch (error) {
-      console.error('LDATogglingScreen - manageDeviceAuthenticationModes API error:', error);
+      Logger.error('LDATogglingScreen - manageDeviceAuthenticationModes API error:', error);
       this.processingAuthType = null;
       this.hideProcessingForAuthType(capability.authenticationType);
 
-      alert('Update Failed: Failed to update authentication mode. Please try again.');
+      const errorMessage = error instanceof RdnaError && error.isCataloged
+        ? error.getUserMessage()
+        : 'Failed to update authentication mode. Please try again.';
+      alert('Update Failed: ' + errorMessage);
     }
   },
 
@@ -505,7 +505,7 @@ window.LDATogglingScreen = {
    * Called when user cancels authentication dialog
    */
   resetProcessingState() {
-    console.log('LDATogglingScreen - Resetting processing state');
+    Logger.debug('LDATogglingScreen - Resetting processing state');
     this.processingAuthType = null;
 
     // Hide all processing spinners and re-enable all toggles
@@ -521,21 +521,25 @@ window.LDATogglingScreen = {
   },
 
   /**
-   * Cleanup when navigating away from screen
-   * Called by NavigationService before loading new screen
+   * Stay on the screen while a toggle is being applied
+   * @returns {boolean}
    */
-  cleanup() {
-    console.log('LDATogglingScreen - Cleaning up event handlers');
+  onBeforeLeave() {
+    return this.processingAuthType === null;
+  },
 
-    // Clear event handler (no preservation needed - handler is specific to LDA toggling only)
-    const eventManager = rdnaService.getEventManager();
-    eventManager.setDeviceAuthManagementStatusHandler(null);
+  /**
+   * Cleanup when navigating away from screen
+   * Called by NavigationService before loading new screen (the scope releases the event handler)
+   */
+  onContentUnloaded() {
+    Logger.debug('LDATogglingScreen - Cleaning up');
 
     // Reset state
     this.authCapabilities = [];
     this.processingAuthType = null;
 
-    console.log('LDATogglingScreen - Cleanup completed');
+    Logger.debug('LDATogglingScreen - Cleanup completed');
   }
 };
 
@@ -34,7 +34,7 @@ const ActivationCodeScreen = {
   },
 
   onContentLoaded(params) {
-    console.log('ActivationCodeScreen - Content loaded:', JSON.stringify(params, null, 2));
+    Logger.debug('ActivationCodeScreen - Content loaded:', JSON.stringify(params, null, 2));
 
     this.state = {
       activationCode: '',
@@ -49,6 +49,14 @@ const ActivationCodeScreen = {
     this.updateSubtitle();
     this.updateAttemptsDisplay();
 
+    // Code from a relidcodelab://activate deep link - user still taps Verify
+    const linkedCode = DeepLinkRouter.takeActivationCode(this.state.userID);
+    if (linkedCode) {
+      const codeInput = document.getElementById('activation-code-input');
+      if (codeInput) codeInput.value = linkedCode;
+      this.state.activationCode = linkedCode;
+    }
+
     // Process response data for errors (status code 106 = invalid code)
     if (params.responseData) {
       this.processResponseData(params.responseData);
@@ -62,7 +70,7 @@ const ActivationCodeScreen = {
     // Check for API errors FIRST (error.longErrorCode !== 0)
     if (responseData.error && responseData.error.longErrorCode !== 0) {
       const errorMessage = responseData.error.errorString;
-      console.log('ActivationCodeScreen - API error:', errorMessage);
+      Logger.debug('ActivationCodeScreen - API error:', errorMessage);
       this.showError(errorMessage);
       this.showStatusBanner(errorMessage, 'error');
       this.clearCodeField();
@@ -74,14 +82,14 @@ const ActivationCodeScreen = {
         responseData.challengeResponse.status.statusCode !== 100 &&
         responseData.challengeResponse.status.statusCode !== 0) {
       const errorMessage = responseData.challengeResponse.status.statusMessage;
-      console.log('ActivationCodeScreen - Status error:', errorMessage);
+      Logger.debug('ActivationCodeScreen - Status error:', errorMessage);
       this.showError(errorMessage);
       this.showStatusBanner(errorMessage, 'error');
       this.clearCodeField();
       return;
     }
 
-    console.log('ActivationCodeScreen - Ready for activation code input');
+    Logger.debug('ActivationCodeScreen - Ready for activation code input');
   },
 
   setupEventListeners() {
@@ -124,15 +132,15 @@ const ActivationCodeScreen = {
       return;
     }
 
-    console.log('ActivationCodeScreen - Verifying code for user:', this.state.userID);
+    Logger.debug('ActivationCodeScreen - Verifying code for user:', this.state.userID);
     this.setVerifying(true);
     this.hideError();
 
     try {
       await rdnaService.setActivationCode(code);
-      console.log('ActivationCodeScreen - Code verification submitted, waiting for SDK events');
+      Logger.debug('ActivationCodeScreen - Code verification submitted, waiting for SDK events');
     } catch (error) {
-      console.error('ActivationCodeScreen - Verification error:', error);
+      Logger.error('ActivationCodeScreen - Verification error:', error);
       this.setVerifying(false);
 
       const errorMessage = error.error?.errorString || 'Verification failed';
@@ -142,15 +150,15 @@ const ActivationCodeScreen = {
   },
 
   async handleResendCode() {
-    console.log('ActivationCodeScreen - Resending activation code');
+    Logger.debug('ActivationCodeScreen - Resending activation code');
     this.setResending(true);
 
     try {
       await rdnaService.resendActivationCode();
-      console.log('ActivationCodeScreen - Resend requested, waiting for new getActivationCode event');
+      Logger.debug('ActivationCodeScreen - Resend requested, waiting for new getActivationCode event');
       // SDK will trigger new getActivationCode with updated data
     } catch (error) {
-      console.error('ActivationCodeScreen - Resend error:', error);
+      Logger.error('ActivationCodeScreen - Resend error:', error);
       this.setResending(false);
 
       const errorMessage = error.error?.errorString || 'Failed to resend code';
@@ -158,18 +166,25 @@ const ActivationCodeScreen = {
     }
   },
 
+  /**
+   * Hardware back button - same as the close button
+   */
+  onBackPressed() {
+    this.handleClose();
+  },
+
   /**
    * Handle close button (reset auth state)
    */
   async handleClose() {
-    console.log('ActivationCodeScreen - Close button clicked, calling resetAuthState');
+    Logger.debug('ActivationCodeScreen - Close button clicked, calling resetAuthState');
 
     try {
       await rdnaService.resetAuthState();
-      console.log('ActivationCodeScreen - ResetAuthState successful');
+      Logger.debug('ActivationCodeScreen - ResetAuthState successful');
       // SDK will trigger getUser event automatically
     } catch (error) {
-      console.error('ActivationCodeScreen - ResetAuthState error:', error);
+      Logger.error('ActivationCodeScreen - ResetAuthState error:', error);
       const errorMessage = error.error?.errorString || 'Failed to reset authentication';
       alert('Reset Error\n\n' + errorMessage);
     }
@@ -10,6 +10,8 @@
  * - Loading states during API call
  * - Success/error feedback via status banner
  * - Clear and retry functionality
+ * - One-tap choices for users remembered on this device, with "forget"
+ *   (RememberedUsersManager); the user picked by "Switch Account" is pre-selected
  *
  * SDK Integration:
  * - Receives getUser event data via params
@@ -42,7 +44,7 @@ const CheckUserScreen = {
    * @param {Object} params.responseData - SDK event data from getUser
    */
   onContentLoaded(params) {
-    console.log('CheckUserScreen - Content loaded with params:', JSON.stringify(params, null, 2));
+    Logger.debug('CheckUserScreen - Content loaded with params:', JSON.stringify(params, null, 2));
 
     // Reset state
     this.state = {
@@ -55,6 +57,13 @@ const CheckUserScreen = {
     // Setup DOM event listeners
     this.setupEventListeners();
 
+    // Remembered users, with the "Switch Account" choice pre-filled
+    const preselectedUserID = RememberedUsersManager.takePreselectedUser();
+    this.renderRememberedUsers(preselectedUserID);
+    if (preselectedUserID) {
+      this.prefillUsername(preselectedUserID);
+    }
+
     // Process response data if available
     if (params.responseData) {
       this.processResponseData(params.responseData);
@@ -92,17 +101,119 @@ const CheckUserScreen = {
     }
   },
 
+  /**
+   * Render the remembered users as one-tap choices (card hidden when there are none)
+   * @param {string|null} [highlightUserID] - Entry to mark as pre-selected
+   */
+  renderRememberedUsers(highlightUserID = null) {
+    const card = document.getElementById('remembered-users-card');
+    const list = document.getElementById('remembered-users-list');
+    if (!card || !list) return;
+
+    const users = RememberedUsersManager.getUsers();
+    list.replaceChildren();
+    card.style.display = users.length > 0 ? 'block' : 'none';
+
+    users.forEach((user) => {
+      const item = document.createElement('li');
+      item.className = 'remembered-user-item';
+      item.dataset.userId = user.userID;
+      if (user.userID === highlightUserID) {
+        item.classList.add('preselected');
+      }
+
+      const selectBtn = document.createElement('button');
+      selectBtn.className = 'remembered-user-select';
+      selectBtn.disabled = this.state.isValidating;
+      selectBtn.onclick = () => this.handleSelectRememberedUser(user.userID);
+
+      const name = document.createElement('span');
+      name.className = 'remembered-user-name';
+      name.textContent = user.displayName;
+      selectBtn.appendChild(name);
+
+      const meta = document.createElement('span');
+      meta.className = 'remembered-user-meta';
+      const lastLogin = `Last login ${new Date(user.lastLoginAt).toLocaleString()}`;
+      meta.textContent = user.displayName === user.userID ? lastLogin : `${user.userID} · ${lastLogin}`;
+      selectBtn.appendChild(meta);
+
+      if (user.ldaEnabled) {
+        const lda = document.createElement('span');
+        lda.className = 'remembered-user-lda';
+        lda.textContent = '🔐 Biometric login enabled';
+        selectBtn.appendChild(lda);
+      }
+
+      const forgetBtn = document.createElement('button');
+      forgetBtn.className = 'remembered-user-forget';
+      forgetBtn.title = 'Forget this user';
+      forgetBtn.setAttribute('aria-label', `Forget ${user.displayName}`);
+      forgetBtn.textContent = '✕';
+      forgetBtn.disabled = this.state.isValidating;
+      forgetBtn.onclick = () => this.handleForgetRememberedUser(user);
+
+      item.appendChild(selectBtn);
+      item.appendChild(forgetBtn);
+      list.appendChild(item);
+    });
+  },
+
+  /**
+   * Fill the username field and say why (Switch Account pre-selection)
+   * @param {string} userID
+   */
+  prefillUsername(userID) {
+    const usernameInput = document.getElementById('username-input');
+    if (usernameInput) {
+      usernameInput.value = userID;
+    }
+    this.state.username = userID;
+
+    const user = RememberedUsersManager.getUser(userID);
+    this.showStatusBanner(`Switching account - tap Continue to sign in as ${user ? user.displayName : userID}`, 'info');
+  },
+
+  /**
+   * One tap on a remembered user - submit it right away
+   * @param {string} userID
+   */
+  handleSelectRememberedUser(userID) {
+    if (this.state.isValidating) return;
+
+    const usernameInput = document.getElementById('username-input');
+    if (usernameInput) {
+      usernameInput.value = userID;
+    }
+    this.state.username = userID;
+    this.handleSetUser();
+  },
+
+  /**
+   * Remove a user from this device's list after confirmation
+   * @param {RememberedUser} user
+   */
+  handleForgetRememberedUser(user) {
+    if (this.state.isValidating) return;
+
+    const confirmed = confirm(`Forget ${user.displayName} on this device?\n\nThe account itself is not affected.`);
+    if (!confirmed) return;
+
+    RememberedUsersManager.forget(user.userID);
+    this.renderRememberedUsers();
+  },
+
   /**
    * Process SDK response data (from getUser event)
    * @param {Object} responseData - Event data from SDK
    */
   processResponseData(responseData) {
-    console.log('CheckUserScreen - Processing response data');
+    Logger.debug('CheckUserScreen - Processing response data');
 
     // Check for API errors
     if (responseData.error && responseData.error.longErrorCode !== 0) {
       const errorMessage = responseData.error.errorString;
-      console.log('CheckUserScreen - API error:', errorMessage);
+      Logger.debug('CheckUserScreen - API error:', errorMessage);
       this.showError(errorMessage);
       this.showStatusBanner(errorMessage, 'error');
       return;
@@ -113,14 +224,14 @@ const CheckUserScreen = {
         responseData.challengeResponse.status.statusCode !== 100 &&
         responseData.challengeResponse.status.statusCode !== 0) {
       const errorMessage = responseData.challengeResponse.status.statusMessage;
-      console.log('CheckUserScreen - Status error:', errorMessage);
+      Logger.debug('CheckUserScreen - Status error:', errorMessage);
       this.showError(errorMessage);
       this.showStatusBanner(errorMessage, 'error');
       return;
     }
 
     // Success case
-    console.log('CheckUserScreen - Ready for username input');
+    Logger.debug('CheckUserScreen - Ready for username input');
   },
 
   /**
@@ -134,23 +245,23 @@ const CheckUserScreen = {
       return;
     }
 
-    console.log('CheckUserScreen - Setting user:', username);
+    Logger.debug('CheckUserScreen - Setting user:', username);
     this.setValidating(true);
     this.hideError();
     this.hideStatusBanner();
 
     try {
       const syncResponse = await rdnaService.setUser(username);
-      console.log('CheckUserScreen - setUser sync response received:', JSON.stringify({
+      Logger.debug('CheckUserScreen - setUser sync response received:', JSON.stringify({
         longErrorCode: syncResponse.error?.longErrorCode,
         errorString: syncResponse.error?.errorString
       }, null, 2));
 
       // Sync response successful - waiting for async events
-      console.log('CheckUserScreen - Waiting for SDK async events (getUser, getActivationCode, or getPassword)');
+      Logger.debug('CheckUserScreen - Waiting for SDK async events (getUser, getActivationCode, or getPassword)');
 
     } catch (error) {
-      console.error('CheckUserScreen - setUser error:', error);
+      Logger.error('CheckUserScreen - setUser error:', error);
       this.setValidating(false);
 
       const errorMessage = error.error?.errorString || 'Failed to set user';
@@ -172,6 +283,10 @@ const CheckUserScreen = {
     if (btn) btn.disabled = isValidating;
     if (btnText) btnText.style.display = isValidating ? 'none' : 'inline';
     if (btnLoader) btnLoader.style.display = isValidating ? 'inline-flex' : 'none';
+
+    document.querySelectorAll('#remembered-users-list button').forEach((button) => {
+      button.disabled = isValidating;
+    });
   },
 
   /**
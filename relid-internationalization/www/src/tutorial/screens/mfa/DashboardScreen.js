@@ -8,13 +8,16 @@
  * - Welcome message with user information
  * - Session details display (ID, type, login time)
  * - JWT token information parsing and display
+ * - Access token claims and a live expiry countdown (TokenService)
  * - Logout functionality with confirmation
+ * - "Switch Account" drawer link (RememberedUsersManager)
  * - Menu button for drawer (future enhancement)
  *
  * SDK Integration:
  * - Receives session data from onUserLoggedIn event
  * - Calls rdnaService.logOff(userID) for logout
  * - Displays JWT token details
+ * - Listens for tokenExpiring / tokenExpired (TokenService document events)
  *
  * SPA Pattern:
  * - onContentLoaded(params) called when navigated to
@@ -45,9 +48,10 @@ const DashboardScreen = {
    * @param {number} params.sessionType - Session type
    * @param {string} params.jwtToken - JWT token JSON string
    * @param {string} params.loginTime - Login timestamp
+   * @param {ScreenScope} scope - Released when the screen is left
    */
-  onContentLoaded(params) {
-    console.log('DashboardScreen - Content loaded with params:', JSON.stringify(params, null, 2));
+  onContentLoaded(params, scope) {
+    Logger.debug('DashboardScreen - Content loaded with params:', JSON.stringify(params, null, 2));
 
     // Store state from params
     this.state = {
@@ -69,6 +73,13 @@ const DashboardScreen = {
 
     // Populate session data in UI
     this.populateSessionData();
+
+    // Live countdown until the access token expires
+    if (TokenService.getTokenInfo()) {
+      scope.setInterval(() => this.updateTokenCountdown(), 1000);
+      scope.listen(document, 'tokenExpiring', () => this.updateTokenCountdown());
+      scope.listen(document, 'tokenExpired', () => this.updateTokenCountdown());
+    }
   },
 
   /**
@@ -77,6 +88,7 @@ const DashboardScreen = {
   setupEventListeners() {
     const menuBtn = document.getElementById('dashboard-menu-btn');
     const drawerLogoutLink = document.getElementById('drawer-logout-link');
+    const drawerSwitchAccountLink = document.getElementById('drawer-switch-account-link');
     const drawerDashboardLink = document.getElementById('drawer-dashboard-link');
     const drawerNotificationsLink = document.getElementById('drawer-notifications-link');
     const drawerNotificationHistoryLink = document.getElementById('drawer-notification-history-link');
@@ -86,7 +98,7 @@ const DashboardScreen = {
 
     if (menuBtn) {
       menuBtn.onclick = () => {
-        console.log('DashboardScreen - Menu button clicked, opening drawer');
+        Logger.debug('DashboardScreen - Menu button clicked, opening drawer');
         NavigationService.openDrawer();
       };
     }
@@ -104,6 +116,14 @@ const DashboardScreen = {
       };
     }
 
+    if (drawerSwitchAccountLink) {
+      drawerSwitchAccountLink.onclick = (e) => {
+        e.preventDefault();
+        NavigationService.closeDrawer();
+        this.handleSwitchAccount();
+      };
+    }
+
     if (drawerDashboardLink) {
       drawerDashboardLink.onclick = (e) => {
         e.preventDefault();
@@ -116,7 +136,7 @@ const DashboardScreen = {
       drawerNotificationsLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('DashboardScreen - Navigating to GetNotifications');
+        Logger.debug('DashboardScreen - Navigating to GetNotifications');
         // Pass session params so GetNotifications can navigate back
         NavigationService.navigate('GetNotifications', this.state);
       };
@@ -126,7 +146,7 @@ const DashboardScreen = {
       drawerNotificationHistoryLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('DashboardScreen - Navigating to NotificationHistory');
+        Logger.debug('DashboardScreen - Navigating to NotificationHistory');
         // Pass session params so NotificationHistory can navigate back
         NavigationService.navigate('NotificationHistory', this.state);
       };
@@ -136,7 +156,7 @@ const DashboardScreen = {
       drawerDeviceMgmtLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('DashboardScreen - Navigating to DeviceManagement');
+        Logger.debug('DashboardScreen - Navigating to DeviceManagement');
         // Pass session params (userID required for device management API)
         NavigationService.navigate('DeviceManagement', this.state);
       };
@@ -146,7 +166,7 @@ const DashboardScreen = {
       drawerLdaTogglingLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('DashboardScreen - Navigating to LDAToggling');
+        Logger.debug('DashboardScreen - Navigating to LDAToggling');
         // Pass session params so LDA Toggling can navigate back
         NavigationService.navigate('LDAToggling', this.state);
       };
@@ -156,7 +176,7 @@ const DashboardScreen = {
       drawerDataSigningLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('DashboardScreen - Navigating to DataSigningInput');
+        Logger.debug('DashboardScreen - Navigating to DataSigningInput');
         // Pass session params so Data Signing can use userID for logout
         NavigationService.navigate('DataSigningInput', this.state);
       };
@@ -194,6 +214,12 @@ const DashboardScreen = {
       loginTimeEl.textContent = this.state.loginTime;
     }
 
+    // Connection profile the SDK was initialized with
+    const profileEl = document.getElementById('dashboard-connection-profile');
+    if (profileEl) {
+      profileEl.textContent = ConnectionProfileManager.describe();
+    }
+
     // Parse and display JWT info if available
     if (this.state.jwtToken) {
       this.displayJWTInfo();
@@ -231,10 +257,80 @@ const DashboardScreen = {
         expiresInEl.textContent = expiresIn !== 'Unknown' ? `${expiresIn} seconds` : expiresIn;
       }
 
-      console.log('DashboardScreen - JWT info displayed successfully');
+      this.displayTokenClaims();
+
+      Logger.debug('DashboardScreen - JWT info displayed successfully');
     } catch (error) {
-      console.error('DashboardScreen - Failed to parse JWT token:', error);
+      Logger.error('DashboardScreen - Failed to parse JWT token:', error);
+    }
+  },
+
+  /**
+   * Display the decoded access token claims (TokenService)
+   */
+  displayTokenClaims() {
+    const tokenInfo = TokenService.getTokenInfo();
+    if (!tokenInfo) {
+      return;
     }
+
+    const claims = tokenInfo.claims || {};
+    const formatTime = (seconds) => (typeof seconds === 'number' ? new Date(seconds * 1000).toLocaleString() : 'N/A');
+    const values = {
+      'jwt-expires-at': tokenInfo.expiresAt ? new Date(tokenInfo.expiresAt).toLocaleString() : 'Unknown',
+      'jwt-subject': claims.sub || 'N/A',
+      'jwt-issuer': claims.iss || 'N/A',
+      'jwt-audience': Array.isArray(claims.aud) ? claims.aud.join(', ') : (claims.aud || 'N/A'),
+      'jwt-issued-at': formatTime(claims.iat),
+      'jwt-scopes': tokenInfo.scopes.length > 0 ? tokenInfo.scopes.join(', ') : 'N/A',
+      'jwt-algorithm': tokenInfo.header?.alg || 'N/A'
+    };
+
+    Object.keys(values).forEach((id) => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.textContent = values[id];
+      }
+    });
+
+    this.updateTokenCountdown();
+  },
+
+  /**
+   * Show the time left until the access token expires (mm:ss, h:mm:ss over an hour)
+   */
+  updateTokenCountdown() {
+    const countdownEl = document.getElementById('jwt-countdown');
+    if (!countdownEl) {
+      return;
+    }
+
+    const secondsRemaining = TokenService.getSecondsRemaining();
+    countdownEl.classList.toggle('token-countdown-expiring',
+      secondsRemaining !== null && secondsRemaining * 1000 <= TOKEN_EXPIRING_THRESHOLD_MS);
+
+    if (secondsRemaining === null) {
+      countdownEl.textContent = 'Unknown';
+      return;
+    }
+    if (secondsRemaining === 0) {
+      countdownEl.textContent = 'Expired';
+      return;
+    }
+
+    const hours = Math.floor(secondsRemaining / 3600);
+    const minutes = Math.floor((secondsRemaining % 3600) / 60);
+    const seconds = String(secondsRemaining % 60).padStart(2, '0');
+    countdownEl.textContent = hours > 0
+      ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+      : `${minutes}:${seconds}`;
+  },
+
+  /**
+   * Hardware back button - Dashboard is the root of the session, so ask to log out
+   */
+  onBackPressed() {
+    this.handleLogOut();
   },
 
   /**
@@ -255,21 +351,21 @@ const DashboardScreen = {
   async performLogOut() {
     if (this.state.isLoggingOut) return;
 
-    console.log('DashboardScreen - Initiating logOff for user:', this.state.userID);
+    Logger.debug('DashboardScreen - Initiating logOff for user:', this.state.userID);
     this.setLoggingOut(true);
 
     try {
       const syncResponse = await rdnaService.logOff(this.state.userID);
-      console.log('DashboardScreen - logOff sync response received:', JSON.stringify({
+      Logger.debug('DashboardScreen - logOff sync response received:', JSON.stringify({
         longErrorCode: syncResponse.error?.longErrorCode,
         errorString: syncResponse.error?.errorString
       }, null, 2));
 
       // Sync response successful - SDK will trigger onUserLoggedOff and getUser events
-      console.log('DashboardScreen - LogOff successful, waiting for SDK events');
+      Logger.debug('DashboardScreen - LogOff successful, waiting for SDK events');
 
     } catch (error) {
-      console.error('DashboardScreen - logOff error:', error);
+      Logger.error('DashboardScreen - logOff error:', error);
       this.setLoggingOut(false);
 
       const errorMessage = error.error?.errorString || 'Failed to log out';
@@ -277,18 +373,46 @@ const DashboardScreen = {
     }
   },
 
+  /**
+   * Handle "Switch Account" drawer link - log off and pre-select the last other
+   * remembered user on CheckUser (empty username field when there is none)
+   */
+  async handleSwitchAccount() {
+    if (this.state.isLoggingOut) return;
+
+    const next = RememberedUsersManager.getSwitchCandidate(this.state.userID);
+    const confirmed = confirm(next
+      ? `Log out and switch to ${next.displayName}?`
+      : 'Log out and sign in with another account?');
+    if (!confirmed) return;
+
+    this.setLoggingOut(true);
+    try {
+      await RememberedUsersManager.switchAccount();
+      Logger.debug('DashboardScreen - Switch account logOff successful, waiting for SDK events');
+    } catch (error) {
+      Logger.error('DashboardScreen - Switch account error:', error);
+      this.setLoggingOut(false);
+
+      const errorMessage = error.error?.errorString || error.message || 'Failed to log out';
+      alert('Switch Account Error\n\n' + errorMessage);
+    }
+  },
+
   /**
    * Set logging out state
    */
   setLoggingOut(isLoggingOut) {
     this.state.isLoggingOut = isLoggingOut;
 
-    // Disable drawer logout link during logout
-    const drawerLogoutLink = document.getElementById('drawer-logout-link');
-    if (drawerLogoutLink) {
-      drawerLogoutLink.style.opacity = isLoggingOut ? '0.5' : '1';
-      drawerLogoutLink.style.pointerEvents = isLoggingOut ? 'none' : 'auto';
-    }
+    // Disable drawer logout and switch account links during logout
+    ['drawer-logout-link', 'drawer-switch-account-link'].forEach((id) => {
+      const link = document.getElementById(id);
+      if (link) {
+        link.style.opacity = isLoggingOut ? '0.5' : '1';
+        link.style.pointerEvents = isLoggingOut ? 'none' : 'auto';
+      }
+    });
   },
 
   /**
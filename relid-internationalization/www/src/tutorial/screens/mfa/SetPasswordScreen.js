@@ -46,7 +46,7 @@ const SetPasswordScreen = {
    * @param {Object} params.responseData - SDK event data from getPassword
    */
   onContentLoaded(params) {
-    console.log('SetPasswordScreen - Content loaded with params:', JSON.stringify(params, null, 2));
+    Logger.debug('SetPasswordScreen - Content loaded with params:', JSON.stringify(params, null, 2));
 
     // Reset state
     this.state = {
@@ -82,7 +82,7 @@ const SetPasswordScreen = {
     // Check for API errors FIRST (error.longErrorCode !== 0)
     if (responseData.error && responseData.error.longErrorCode !== 0) {
       const errorMessage = responseData.error.errorString;
-      console.log('SetPasswordScreen - API error:', errorMessage);
+      Logger.debug('SetPasswordScreen - API error:', errorMessage);
       this.showError(errorMessage);
       this.showStatusBanner(errorMessage, 'error');
       this.clearPasswordFields();
@@ -94,14 +94,14 @@ const SetPasswordScreen = {
         responseData.challengeResponse.status.statusCode !== 100 &&
         responseData.challengeResponse.status.statusCode !== 0) {
       const errorMessage = responseData.challengeResponse.status.statusMessage;
-      console.log('SetPasswordScreen - Status error:', errorMessage);
+      Logger.debug('SetPasswordScreen - Status error:', errorMessage);
       this.showError(errorMessage);
       this.showStatusBanner(errorMessage, 'error');
       this.clearPasswordFields();
       return;
     }
 
-    console.log('SetPasswordScreen - Ready for password input');
+    Logger.debug('SetPasswordScreen - Ready for password input');
   },
 
   /**
@@ -169,7 +169,7 @@ const SetPasswordScreen = {
    */
   extractPasswordPolicy(responseData) {
     if (!responseData.challengeResponse || !responseData.challengeResponse.challengeInfo) {
-      console.log('SetPasswordScreen - No challenge info available');
+      Logger.debug('SetPasswordScreen - No challenge info available');
       return;
     }
 
@@ -179,7 +179,7 @@ const SetPasswordScreen = {
     );
 
     if (policyInfo && policyInfo.value) {
-      console.log('SetPasswordScreen - Password policy found, parsing...');
+      Logger.debug('SetPasswordScreen - Password policy found, parsing...');
 
       // Parse and generate user-friendly message
       const policyMessage = parseAndGeneratePolicyMessage(policyInfo.value);
@@ -194,9 +194,9 @@ const SetPasswordScreen = {
         policyCard.style.display = 'block';
       }
 
-      console.log('SetPasswordScreen - Password policy:', policyMessage);
+      Logger.debug('SetPasswordScreen - Password policy:', policyMessage);
     } else {
-      console.log('SetPasswordScreen - No password policy in challenge info');
+      Logger.debug('SetPasswordScreen - No password policy in challenge info');
     }
   },
 
@@ -223,22 +223,22 @@ const SetPasswordScreen = {
       return;
     }
 
-    console.log('SetPasswordScreen - Setting password (challengeMode:', this.state.challengeMode + ')');
+    Logger.debug('SetPasswordScreen - Setting password (challengeMode:', this.state.challengeMode + ')');
     this.setSubmitting(true);
     this.hideError();
 
     try {
       const syncResponse = await rdnaService.setPassword(password, this.state.challengeMode);
-      console.log('SetPasswordScreen - setPassword sync response received:', JSON.stringify({
+      Logger.debug('SetPasswordScreen - setPassword sync response received:', JSON.stringify({
         longErrorCode: syncResponse.error?.longErrorCode,
         errorString: syncResponse.error?.errorString
       }, null, 2));
 
       // Sync response successful - waiting for async events
-      console.log('SetPasswordScreen - Waiting for SDK async events');
+      Logger.debug('SetPasswordScreen - Waiting for SDK async events');
 
     } catch (error) {
-      console.error('SetPasswordScreen - setPassword error:', error);
+      Logger.error('SetPasswordScreen - setPassword error:', error);
       this.setSubmitting(false);
 
       const errorMessage = error.error?.errorString || 'Failed to set password';
@@ -247,18 +247,25 @@ const SetPasswordScreen = {
     }
   },
 
+  /**
+   * Hardware back button - same as the close button
+   */
+  onBackPressed() {
+    this.handleClose();
+  },
+
   /**
    * Handle close button (reset auth state)
    */
   async handleClose() {
-    console.log('SetPasswordScreen - Close button clicked, calling resetAuthState');
+    Logger.debug('SetPasswordScreen - Close button clicked, calling resetAuthState');
 
     try {
       await rdnaService.resetAuthState();
-      console.log('SetPasswordScreen - ResetAuthState successful');
+      Logger.debug('SetPasswordScreen - ResetAuthState successful');
       // SDK will trigger getUser event automatically
     } catch (error) {
-      console.error('SetPasswordScreen - ResetAuthState error:', error);
+      Logger.error('SetPasswordScreen - ResetAuthState error:', error);
       const errorMessage = error.error?.errorString || 'Failed to reset authentication';
       alert('Reset Error\n\n' + errorMessage);
     }
@@ -42,7 +42,7 @@ const UpdateExpiryPasswordScreen = {
    * @param {Object} params - Navigation parameters
    */
   onContentLoaded(params) {
-    console.log('UpdateExpiryPasswordScreen - Content loaded', JSON.stringify(params, null, 2));
+    Logger.debug('UpdateExpiryPasswordScreen - Content loaded', JSON.stringify(params, null, 2));
 
     // Initialize state
     this.state = {
@@ -194,7 +194,7 @@ const UpdateExpiryPasswordScreen = {
    * Process response data from SDK event
    */
   processResponseData(data) {
-    console.log('UpdateExpiryPasswordScreen - Processing response data');
+    Logger.debug('UpdateExpiryPasswordScreen - Processing response data');
 
     // Extract user ID
     if (data.userID) {
@@ -224,7 +224,7 @@ const UpdateExpiryPasswordScreen = {
     // Check for API errors FIRST (error.longErrorCode !== 0)
     if (data.error && data.error.longErrorCode !== 0) {
       const errorMessage = data.error.errorString || 'An error occurred';
-      console.error('UpdateExpiryPasswordScreen - API error:', errorMessage);
+      Logger.error('UpdateExpiryPasswordScreen - API error:', errorMessage);
       this.showStatusBanner(errorMessage, 'error');
       this.clearPasswordFields();
       return;
@@ -237,7 +237,7 @@ const UpdateExpiryPasswordScreen = {
 
       // StatusCode 118 = Password expired (informational banner)
       if (statusCode === 118) {
-        console.log('UpdateExpiryPasswordScreen - Password expired (statusCode 118), ready for password update');
+        Logger.debug('UpdateExpiryPasswordScreen - Password expired (statusCode 118), ready for password update');
         this.showStatusBanner(statusMessage || 'Your password has expired. Please update it to continue.', 'warning');
         return;
       }
@@ -245,7 +245,7 @@ const UpdateExpiryPasswordScreen = {
       // StatusCode 100 or 0 = Success (no banner needed)
       // Other codes = Errors (e.g., 164 = password reuse)
       if (statusCode !== 100 && statusCode !== 0) {
-        console.error('UpdateExpiryPasswordScreen - Status error:', statusCode, statusMessage);
+        Logger.error('UpdateExpiryPasswordScreen - Status error:', statusCode, statusMessage);
         this.showStatusBanner(statusMessage || `Error: Status code ${statusCode}`, 'error');
         this.clearPasswordFields();
         return;
@@ -258,7 +258,7 @@ const UpdateExpiryPasswordScreen = {
    */
   extractPasswordPolicy(responseData) {
     if (!responseData.challengeResponse || !responseData.challengeResponse.challengeInfo) {
-      console.log('UpdateExpiryPasswordScreen - No challenge info available');
+      Logger.debug('UpdateExpiryPasswordScreen - No challenge info available');
       return;
     }
 
@@ -268,7 +268,7 @@ const UpdateExpiryPasswordScreen = {
     );
 
     if (policyInfo && policyInfo.value) {
-      console.log('UpdateExpiryPasswordScreen - Password policy found, parsing...');
+      Logger.debug('UpdateExpiryPasswordScreen - Password policy found, parsing...');
 
       // Parse and generate user-friendly message
       const policyMessage = parseAndGeneratePolicyMessage(policyInfo.value);
@@ -283,9 +283,9 @@ const UpdateExpiryPasswordScreen = {
         policyCard.style.display = 'block';
       }
 
-      console.log('UpdateExpiryPasswordScreen - Password policy:', policyMessage);
+      Logger.debug('UpdateExpiryPasswordScreen - Password policy:', policyMessage);
     } else {
-      console.log('UpdateExpiryPasswordScreen - No password policy in challenge info');
+      Logger.debug('UpdateExpiryPasswordScreen - No password policy in challenge info');
     }
   },
 
@@ -361,7 +361,7 @@ const UpdateExpiryPasswordScreen = {
     this.hideError();
 
     try {
-      console.log('UpdateExpiryPasswordScreen - Updating password with challengeMode:', this.state.challengeMode);
+      Logger.debug('UpdateExpiryPasswordScreen - Updating password with challengeMode:', this.state.challengeMode);
 
       const syncResponse = await rdnaService.updatePassword(
         currentPassword,
@@ -369,8 +369,8 @@ const UpdateExpiryPasswordScreen = {
         this.state.challengeMode
       );
 
-      console.log('UpdateExpiryPasswordScreen - UpdatePassword sync response successful, waiting for async events');
-      console.log('UpdateExpiryPasswordScreen - Sync response received:', JSON.stringify({
+      Logger.debug('UpdateExpiryPasswordScreen - UpdatePassword sync response successful, waiting for async events');
+      Logger.debug('UpdateExpiryPasswordScreen - Sync response received:', JSON.stringify({
         longErrorCode: syncResponse.error?.longErrorCode,
         shortErrorCode: syncResponse.error?.shortErrorCode,
         errorString: syncResponse.error?.errorString
@@ -380,7 +380,7 @@ const UpdateExpiryPasswordScreen = {
       // SDKEventProvider will handle navigation to Dashboard
     } catch (error) {
       // This catch block handles sync response errors (rejected promises)
-      console.error('UpdateExpiryPasswordScreen - UpdatePassword sync error:', error);
+      Logger.error('UpdateExpiryPasswordScreen - UpdatePassword sync error:', error);
 
       const errorMessage = error.error?.errorString || 'Failed to update password';
       this.showStatusBanner(errorMessage, 'error');
@@ -389,16 +389,23 @@ const UpdateExpiryPasswordScreen = {
     }
   },
 
+  /**
+   * Hardware back button - same as the close button
+   */
+  onBackPressed() {
+    this.handleClose();
+  },
+
   /**
    * Handle close button
    */
   async handleClose() {
     try {
-      console.log('UpdateExpiryPasswordScreen - Calling resetAuthState');
+      Logger.debug('UpdateExpiryPasswordScreen - Calling resetAuthState');
       await rdnaService.resetAuthState();
-      console.log('UpdateExpiryPasswordScreen - ResetAuthState successful');
+      Logger.debug('UpdateExpiryPasswordScreen - ResetAuthState successful');
     } catch (error) {
-      console.error('UpdateExpiryPasswordScreen - ResetAuthState error:', error);
+      Logger.error('UpdateExpiryPasswordScreen - ResetAuthState error:', error);
     }
   },
 
@@ -32,7 +32,7 @@ const UserLDAConsentScreen = {
   },
 
   onContentLoaded(params) {
-    console.log('UserLDAConsentScreen - Content loaded:', JSON.stringify(params, null, 2));
+    Logger.debug('UserLDAConsentScreen - Content loaded:', JSON.stringify(params, null, 2));
 
     this.state = {
       userID: params.userID || params.responseData?.userID || '',
@@ -59,7 +59,7 @@ const UserLDAConsentScreen = {
     // Check for API errors FIRST (error.longErrorCode !== 0)
     if (responseData.error && responseData.error.longErrorCode !== 0) {
       const errorMessage = responseData.error.errorString;
-      console.log('UserLDAConsentScreen - API error:', errorMessage);
+      Logger.debug('UserLDAConsentScreen - API error:', errorMessage);
       this.showStatusBanner(errorMessage, 'error');
       return;
     }
@@ -69,12 +69,12 @@ const UserLDAConsentScreen = {
         responseData.challengeResponse.status.statusCode !== 100 &&
         responseData.challengeResponse.status.statusCode !== 0) {
       const errorMessage = responseData.challengeResponse.status.statusMessage;
-      console.log('UserLDAConsentScreen - Status error:', errorMessage);
+      Logger.debug('UserLDAConsentScreen - Status error:', errorMessage);
       this.showStatusBanner(errorMessage, 'error');
       return;
     }
 
-    console.log('UserLDAConsentScreen - Ready for consent input');
+    Logger.debug('UserLDAConsentScreen - Ready for consent input');
   },
 
   setupEventListeners() {
@@ -96,14 +96,14 @@ const UserLDAConsentScreen = {
   },
 
   async handleApprove() {
-    console.log('UserLDAConsentScreen - User approved LDA consent');
+    Logger.debug('UserLDAConsentScreen - User approved LDA consent');
     this.setProcessing(true, true);
 
     try {
       await rdnaService.setUserConsentForLDA(true, this.state.challengeMode, this.state.authenticationType);
-      console.log('UserLDAConsentScreen - LDA consent approved, waiting for SDK events');
+      Logger.debug('UserLDAConsentScreen - LDA consent approved, waiting for SDK events');
     } catch (error) {
-      console.error('UserLDAConsentScreen - Approve error:', error);
+      Logger.error('UserLDAConsentScreen - Approve error:', error);
       this.setProcessing(false, true);
 
       const errorMessage = error.error?.errorString || 'Failed to approve consent';
@@ -112,14 +112,14 @@ const UserLDAConsentScreen = {
   },
 
   async handleReject() {
-    console.log('UserLDAConsentScreen - User rejected LDA consent');
+    Logger.debug('UserLDAConsentScreen - User rejected LDA consent');
     this.setProcessing(true, false);
 
     try {
       await rdnaService.setUserConsentForLDA(false, this.state.challengeMode, this.state.authenticationType);
-      console.log('UserLDAConsentScreen - LDA consent rejected, waiting for SDK events');
+      Logger.debug('UserLDAConsentScreen - LDA consent rejected, waiting for SDK events');
     } catch (error) {
-      console.error('UserLDAConsentScreen - Reject error:', error);
+      Logger.error('UserLDAConsentScreen - Reject error:', error);
       this.setProcessing(false, false);
 
       const errorMessage = error.error?.errorString || 'Failed to reject consent';
@@ -127,18 +127,25 @@ const UserLDAConsentScreen = {
     }
   },
 
+  /**
+   * Hardware back button - same as the close button
+   */
+  onBackPressed() {
+    this.handleClose();
+  },
+
   /**
    * Handle close button (reset auth state)
    */
   async handleClose() {
-    console.log('UserLDAConsentScreen - Close button clicked, calling resetAuthState');
+    Logger.debug('UserLDAConsentScreen - Close button clicked, calling resetAuthState');
 
     try {
       await rdnaService.resetAuthState();
-      console.log('UserLDAConsentScreen - ResetAuthState successful');
+      Logger.debug('UserLDAConsentScreen - ResetAuthState successful');
       // SDK will trigger getUser event automatically
     } catch (error) {
-      console.error('UserLDAConsentScreen - ResetAuthState error:', error);
+      Logger.error('UserLDAConsentScreen - ResetAuthState error:', error);
       const errorMessage = error.error?.errorString || 'Failed to reset authentication';
       alert('Reset Error\n\n' + errorMessage);
     }
@@ -41,7 +41,7 @@ const VerifyAuthScreen = {
    * @param {Object} params - Navigation parameters from SDKEventProvider
    */
   onContentLoaded(params) {
-    console.log('VerifyAuthScreen - Content loaded with params:', JSON.stringify(params, null, 2));
+    Logger.debug('VerifyAuthScreen - Content loaded with params:', JSON.stringify(params, null, 2));
 
     // Store device options from SDK event
     this.deviceOptions = params.deviceOptions || [];
@@ -69,21 +69,28 @@ const VerifyAuthScreen = {
       fallbackBtn.onclick = this.handleFallbackPress.bind(this);
     }
 
-    console.log('VerifyAuthScreen - Event listeners attached');
+    Logger.debug('VerifyAuthScreen - Event listeners attached');
+  },
+
+  /**
+   * Hardware back button - same as the close button
+   */
+  onBackPressed() {
+    this.handleClose();
   },
 
   /**
    * Handle close button - resets auth state
    */
   handleClose() {
-    console.log('VerifyAuthScreen - Close button pressed, calling resetAuthState');
+    Logger.debug('VerifyAuthScreen - Close button pressed, calling resetAuthState');
 
     rdnaService.resetAuthState()
       .then(() => {
-        console.log('VerifyAuthScreen - ResetAuthState successful');
+        Logger.debug('VerifyAuthScreen - ResetAuthState successful');
       })
       .catch((error) => {
-        console.error('VerifyAuthScreen - ResetAuthState error:', error);
+        Logger.error('VerifyAuthScreen - ResetAuthState error:', error);
       });
   },
 
@@ -114,7 +121,7 @@ const VerifyAuthScreen = {
    */
   startDeviceActivation() {
     if (this.isProcessing) {
-      console.log('VerifyAuthScreen - Already processing, skipping');
+      Logger.debug('VerifyAuthScreen - Already processing, skipping');
       return;
     }
 
@@ -122,12 +129,12 @@ const VerifyAuthScreen = {
     this.showProcessing(true);
     this.updateButtonState(true);
     this.updateCloseButtonState(true);
-    console.log('VerifyAuthScreen - Starting REL-ID Verify activation (automatic)');
+    Logger.debug('VerifyAuthScreen - Starting REL-ID Verify activation (automatic)');
 
     // Call SDK performVerifyAuth API with true (send notifications)
     rdnaService.performVerifyAuth(true)
       .then((syncResponse) => {
-        console.log('VerifyAuthScreen - PerformVerifyAuth sync response:', JSON.stringify(syncResponse, null, 2));
+        Logger.debug('VerifyAuthScreen - PerformVerifyAuth sync response:', JSON.stringify(syncResponse, null, 2));
 
         // Success - reset processing state
         this.isProcessing = false;
@@ -135,15 +142,15 @@ const VerifyAuthScreen = {
         this.updateButtonState(false);
         this.updateCloseButtonState(false);
 
-        console.log('VerifyAuthScreen - Verification notification sent successfully');
-        console.log('VerifyAuthScreen - Waiting for user approval on registered device');
-        console.log('VerifyAuthScreen - Fallback button now enabled if needed');
+        Logger.debug('VerifyAuthScreen - Verification notification sent successfully');
+        Logger.debug('VerifyAuthScreen - Waiting for user approval on registered device');
+        Logger.debug('VerifyAuthScreen - Fallback button now enabled if needed');
 
         // SDK will trigger subsequent events (getPassword, getUserConsentForLDA, etc.) after approval
         // SDKEventProvider will handle automatic navigation
       })
       .catch((error) => {
-        console.error('VerifyAuthScreen - PerformVerifyAuth error:', JSON.stringify(error, null, 2));
+        Logger.error('VerifyAuthScreen - PerformVerifyAuth error:', JSON.stringify(error, null, 2));
 
         this.isProcessing = false;
         this.showProcessing(false);
@@ -160,11 +167,11 @@ const VerifyAuthScreen = {
    */
   handleFallbackPress() {
     if (this.isProcessing) {
-      console.log('VerifyAuthScreen - Already processing, ignoring fallback press');
+      Logger.debug('VerifyAuthScreen - Already processing, ignoring fallback press');
       return;
     }
 
-    console.log('VerifyAuthScreen - Fallback activation requested');
+    Logger.debug('VerifyAuthScreen - Fallback activation requested');
 
     this.isProcessing = true;
     this.updateButtonState(true);
@@ -173,7 +180,7 @@ const VerifyAuthScreen = {
     // Call SDK fallback API
     rdnaService.fallbackNewDeviceActivationFlow()
       .then((syncResponse) => {
-        console.log('VerifyAuthScreen - Fallback activation sync response:', JSON.stringify(syncResponse, null, 2));
+        Logger.debug('VerifyAuthScreen - Fallback activation sync response:', JSON.stringify(syncResponse, null, 2));
 
         // Reset processing state (SDK will handle the rest via events)
         this.isProcessing = false;
@@ -182,10 +189,10 @@ const VerifyAuthScreen = {
 
         // Success - SDK will trigger getActivationCode or other challenge events
         this.showStatus('Alternative activation initiated. Please complete the verification.');
-        console.log('VerifyAuthScreen - Waiting for SDK to trigger fallback challenge event');
+        Logger.debug('VerifyAuthScreen - Waiting for SDK to trigger fallback challenge event');
       })
       .catch((error) => {
-        console.error('VerifyAuthScreen - Fallback activation error:', JSON.stringify(error, null, 2));
+        Logger.error('VerifyAuthScreen - Fallback activation error:', JSON.stringify(error, null, 2));
 
         this.isProcessing = false;
         this.updateButtonState(false);
@@ -241,7 +248,7 @@ const VerifyAuthScreen = {
       bannerText.textContent = message;
       statusEl.style.display = 'block';
     }
-    console.log('VerifyAuthScreen - Status:', message);
+    Logger.debug('VerifyAuthScreen - Status:', message);
   },
 
   /**
@@ -253,7 +260,7 @@ const VerifyAuthScreen = {
       errorEl.textContent = message;
       errorEl.style.display = 'block';
     }
-    console.error('VerifyAuthScreen - Error:', message);
+    Logger.error('VerifyAuthScreen - Error:', message);
   }
 };
 
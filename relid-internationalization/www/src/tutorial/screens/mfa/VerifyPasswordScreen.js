@@ -41,7 +41,7 @@ const VerifyPasswordScreen = {
   },
 
   onContentLoaded(params) {
-    console.log('VerifyPasswordScreen - Content loaded:', JSON.stringify(params, null, 2));
+    Logger.debug('VerifyPasswordScreen - Content loaded:', JSON.stringify(params, null, 2));
 
     this.state = {
       password: '',
@@ -72,7 +72,7 @@ const VerifyPasswordScreen = {
     // Check for API errors FIRST (error.longErrorCode !== 0)
     if (responseData.error && responseData.error.longErrorCode !== 0) {
       const errorMessage = responseData.error.errorString;
-      console.log('VerifyPasswordScreen - API error:', errorMessage);
+      Logger.debug('VerifyPasswordScreen - API error:', errorMessage);
       this.showError(errorMessage);
       this.showStatusBanner(errorMessage, 'error');
       this.clearPasswordField();
@@ -84,14 +84,14 @@ const VerifyPasswordScreen = {
         responseData.challengeResponse.status.statusCode !== 100 &&
         responseData.challengeResponse.status.statusCode !== 0) {
       const errorMessage = responseData.challengeResponse.status.statusMessage;
-      console.log('VerifyPasswordScreen - Status error:', errorMessage);
+      Logger.debug('VerifyPasswordScreen - Status error:', errorMessage);
       this.showError(errorMessage);
       this.showStatusBanner(errorMessage, 'error');
       this.clearPasswordField();
       return;
     }
 
-    console.log('VerifyPasswordScreen - Ready for password input');
+    Logger.debug('VerifyPasswordScreen - Ready for password input');
   },
 
   setupEventListeners() {
@@ -145,15 +145,15 @@ const VerifyPasswordScreen = {
       return;
     }
 
-    console.log('VerifyPasswordScreen - Verifying password for user:', this.state.userID);
+    Logger.debug('VerifyPasswordScreen - Verifying password for user:', this.state.userID);
     this.setSubmitting(true);
     this.hideError();
 
     try {
       await rdnaService.setPassword(password, this.state.challengeMode);
-      console.log('VerifyPasswordScreen - Password verification submitted, waiting for SDK events');
+      Logger.debug('VerifyPasswordScreen - Password verification submitted, waiting for SDK events');
     } catch (error) {
-      console.error('VerifyPasswordScreen - Verification error:', error);
+      Logger.error('VerifyPasswordScreen - Verification error:', error);
       this.setSubmitting(false);
 
       const errorMessage = error.error?.errorString || 'Verification failed';
@@ -162,18 +162,25 @@ const VerifyPasswordScreen = {
     }
   },
 
+  /**
+   * Hardware back button - same as the close button
+   */
+  onBackPressed() {
+    this.handleClose();
+  },
+
   /**
    * Handle close button (reset auth state)
    */
   async handleClose() {
-    console.log('VerifyPasswordScreen - Close button clicked, calling resetAuthState');
+    Logger.debug('VerifyPasswordScreen - Close button clicked, calling resetAuthState');
 
     try {
       await rdnaService.resetAuthState();
-      console.log('VerifyPasswordScreen - ResetAuthState successful');
+      Logger.debug('VerifyPasswordScreen - ResetAuthState successful');
       // SDK will trigger getUser event automatically
     } catch (error) {
-      console.error('VerifyPasswordScreen - ResetAuthState error:', error);
+      Logger.error('VerifyPasswordScreen - ResetAuthState error:', error);
       const errorMessage = error.error?.errorString || 'Failed to reset authentication';
       alert('Reset Error\n\n' + errorMessage);
     }
@@ -272,7 +279,7 @@ const VerifyPasswordScreen = {
           const item = challengeInfo.challengeData[i];
           if (item.Key === 'ENABLE_FORGOT_PASSWORD') {
             const enabled = item.Value === 'true';
-            console.log('VerifyPasswordScreen - ENABLE_FORGOT_PASSWORD found:', enabled);
+            Logger.debug('VerifyPasswordScreen - ENABLE_FORGOT_PASSWORD found:', enabled);
             return enabled;
           }
         }
@@ -281,7 +288,7 @@ const VerifyPasswordScreen = {
 
     // Default to true for challengeMode 0 if configuration is not available
     // This maintains backward compatibility
-    console.log('VerifyPasswordScreen - ENABLE_FORGOT_PASSWORD not found in config, defaulting to true for challengeMode 0');
+    Logger.debug('VerifyPasswordScreen - ENABLE_FORGOT_PASSWORD not found in config, defaulting to true for challengeMode 0');
     return true;
   },
 
@@ -293,10 +300,10 @@ const VerifyPasswordScreen = {
 
     if (forgotPasswordContainer) {
       if (this.isForgotPasswordEnabled()) {
-        console.log('VerifyPasswordScreen - Showing forgot password link');
+        Logger.debug('VerifyPasswordScreen - Showing forgot password link');
         forgotPasswordContainer.style.display = 'block';
       } else {
-        console.log('VerifyPasswordScreen - Hiding forgot password link');
+        Logger.debug('VerifyPasswordScreen - Hiding forgot password link');
         forgotPasswordContainer.style.display = 'none';
       }
     }
@@ -317,7 +324,7 @@ const VerifyPasswordScreen = {
       return;
     }
 
-    console.log('VerifyPasswordScreen - Initiating forgot password flow for userID:', this.state.userID);
+    Logger.debug('VerifyPasswordScreen - Initiating forgot password flow for userID:', this.state.userID);
 
     this.state.isForgotPasswordLoading = true;
     this.updateForgotPasswordLoadingState();
@@ -325,11 +332,11 @@ const VerifyPasswordScreen = {
 
     try {
       await rdnaService.forgotPassword(this.state.userID);
-      console.log('VerifyPasswordScreen - ForgotPassword sync response successful');
-      console.log('VerifyPasswordScreen - SDK will now trigger verification challenge (e.g., activation code)');
+      Logger.debug('VerifyPasswordScreen - ForgotPassword sync response successful');
+      Logger.debug('VerifyPasswordScreen - SDK will now trigger verification challenge (e.g., activation code)');
       // SDK will handle the rest - verification challenge → reset flow → auto login
     } catch (error) {
-      console.error('VerifyPasswordScreen - ForgotPassword sync error:', error);
+      Logger.error('VerifyPasswordScreen - ForgotPassword sync error:', error);
 
       this.state.isForgotPasswordLoading = false;
       this.updateForgotPasswordLoadingState();
@@ -22,7 +22,7 @@
  * 8. Real-time UI update on success
  *
  * SPA Lifecycle:
- * - onContentLoaded(params) - Called when template loaded, auto-loads notifications
+ * - onContentLoaded(params, scope) - Called when template loaded, auto-loads notifications
  * - setupEventListeners() - Attach button handlers
  * - loadNotifications() - Fetch notifications from server
  * - showActionModal() - Display action selection modal
@@ -38,17 +38,27 @@ const GetNotificationsScreen = {
   selectedAction: null,
   sessionParams: {},
 
+  // Notification to open once the list is loaded (deep link)
+  pendingNotificationUUID: null,
+
+  // Scope of the current visit (SDK handlers and timers)
+  scope: null,
 
   /**
    * Called when screen content is loaded (SPA lifecycle)
    *
    * @param {Object} params - Navigation parameters
+   * @param {ScreenScope} scope - Released when the screen is left
    */
-  onContentLoaded(params) {
-    console.log('GetNotificationsScreen - Content loaded');
+  onContentLoaded(params, scope) {
+    Logger.debug('GetNotificationsScreen - Content loaded');
+    this.scope = scope;
+    this.isLoading = false;
 
     // Store session params for navigation back to Dashboard
-    this.sessionParams = params || {};
+    const { notificationUUID, ...sessionParams } = params || {};
+    this.sessionParams = sessionParams;
+    this.pendingNotificationUUID = notificationUUID || null;
 
     // Store session params globally for use across screens (e.g., UpdatePassword)
     if (typeof SDKEventProvider !== 'undefined') {
@@ -59,6 +69,13 @@ const GetNotificationsScreen = {
     this.setupEventListeners();
     this.registerSDKEventHandlers();
 
+    // Notifications may have arrived while the app was in the background
+    scope.listen(document, 'appResumed', (event) => {
+      if (event.detail.action === 'none') {
+        this.loadNotifications();
+      }
+    });
+
     // Auto-load notifications
     this.loadNotifications();
   },
@@ -73,14 +90,14 @@ const GetNotificationsScreen = {
 
     if (refreshBtn) {
       refreshBtn.onclick = () => {
-        console.log('GetNotificationsScreen - Refresh requested');
+        Logger.debug('GetNotificationsScreen - Refresh requested');
         this.loadNotifications();
       };
     }
 
     if (menuBtn) {
       menuBtn.onclick = () => {
-        console.log('GetNotificationsScreen - Opening drawer');
+        Logger.debug('GetNotificationsScreen - Opening drawer');
         NavigationService.openDrawer();
       };
     }
@@ -115,7 +132,7 @@ const GetNotificationsScreen = {
       drawerNotificationHistoryLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('GetNotificationsScreen - Navigating to NotificationHistory');
+        Logger.debug('GetNotificationsScreen - Navigating to NotificationHistory');
         NavigationService.navigate('NotificationHistory', this.sessionParams);
       };
     }
@@ -124,7 +141,7 @@ const GetNotificationsScreen = {
       drawerDeviceMgmtLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('GetNotificationsScreen - Navigating to DeviceManagement');
+        Logger.debug('GetNotificationsScreen - Navigating to DeviceManagement');
         NavigationService.navigate('DeviceManagement', this.sessionParams);
       };
     }
@@ -133,7 +150,7 @@ const GetNotificationsScreen = {
       drawerLdaTogglingLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('GetNotificationsScreen - Navigating to LDAToggling');
+        Logger.debug('GetNotificationsScreen - Navigating to LDAToggling');
         // Navigate to LDA Toggling with current session params
         NavigationService.navigate('LDAToggling', this.sessionParams);
       };
@@ -143,7 +160,7 @@ const GetNotificationsScreen = {
       drawerDataSigningLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('GetNotificationsScreen - Navigating to DataSigningInput');
+        Logger.debug('GetNotificationsScreen - Navigating to DataSigningInput');
         // Navigate to Data Signing with current session params
         NavigationService.navigate('DataSigningInput', this.sessionParams);
       };
@@ -161,31 +178,29 @@ const GetNotificationsScreen = {
     const modalCloseBtn = document.getElementById('notification-modal-close');
     if (modalCloseBtn) modalCloseBtn.onclick = this.closeActionModal.bind(this);
 
-    console.log('GetNotificationsScreen - Event listeners attached (including drawer links)');
+    Logger.debug('GetNotificationsScreen - Event listeners attached (including drawer links)');
   },
 
   /**
-   * Register SDK event handlers for notifications
+   * Register SDK event handlers for notifications (released with the screen scope)
    */
   registerSDKEventHandlers() {
-    const eventManager = rdnaService.getEventManager();
-
     // Handle getNotifications response
-    eventManager.setGetNotificationsHandler((data) => {
-      console.log('GetNotificationsScreen - onGetNotifications event received');
+    this.scope.on('onGetNotifications', (data) => {
+      Logger.debug('GetNotificationsScreen - onGetNotifications event received');
       this.handleGetNotificationsResponse(data);
     });
 
     // Handle updateNotification response
-    eventManager.setUpdateNotificationHandler((data) => {
-      console.log('GetNotificationsScreen - onUpdateNotification event received');
+    this.scope.on('onUpdateNotification', (data) => {
+      Logger.debug('GetNotificationsScreen - onUpdateNotification event received');
       this.handleUpdateNotificationResponse(data);
     });
 
     // Note: getPassword (challengeMode 3) is handled centrally by SDKEventProvider
     // We just need to set context before calling updateNotification
 
-    console.log('GetNotificationsScreen - SDK event handlers registered');
+    Logger.debug('GetNotificationsScreen - SDK event handlers registered');
   },
 
   /**
@@ -193,22 +208,22 @@ const GetNotificationsScreen = {
    */
   loadNotifications() {
     if (this.isLoading) {
-      console.log('GetNotificationsScreen - Already loading notifications');
+      Logger.debug('GetNotificationsScreen - Already loading notifications');
       return;
     }
 
     this.isLoading = true;
     this.showLoading(true);
-    console.log('GetNotificationsScreen - Loading notifications from server');
+    Logger.debug('GetNotificationsScreen - Loading notifications from server');
 
     // Call SDK getNotifications API
     rdnaService.getNotifications(0, 1, '', '')
       .then((syncResponse) => {
-        console.log('GetNotificationsScreen - GetNotifications sync response:', JSON.stringify(syncResponse, null, 2));
+        Logger.debug('GetNotificationsScreen - GetNotifications sync response:', JSON.stringify(syncResponse, null, 2));
         // Waiting for onGetNotifications event with notification list
       })
       .catch((error) => {
-        console.error('GetNotificationsScreen - GetNotifications error:', JSON.stringify(error, null, 2));
+        Logger.error('GetNotificationsScreen - GetNotifications error:', JSON.stringify(error, null, 2));
         this.isLoading = false;
         this.showLoading(false);
         this.showError('Failed to load notifications. Please try again.');
@@ -219,7 +234,7 @@ const GetNotificationsScreen = {
    * Handle getNotifications response event
    */
   handleGetNotificationsResponse(data) {
-    console.log('GetNotificationsScreen - Processing notifications response');
+    Logger.debug('GetNotificationsScreen - Processing notifications response');
 
     this.isLoading = false;
     this.showLoading(false);
@@ -227,7 +242,7 @@ const GetNotificationsScreen = {
     // Layer 1: Check API-level error (error.longErrorCode)
     if (data.error && data.error.longErrorCode !== 0) {
       const errorMsg = data.error.errorString || 'API error occurred';
-      console.error('GetNotificationsScreen - API error:', errorMsg, 'Code:', data.error.longErrorCode);
+      Logger.error('GetNotificationsScreen - API error:', errorMsg, 'Code:', data.error.longErrorCode);
       this.showError(errorMsg);
       return;
     }
@@ -236,14 +251,14 @@ const GetNotificationsScreen = {
     const statusCode = data.pArgs?.response?.StatusCode;
     if (statusCode !== 100) {
       const statusMsg = data.pArgs?.response?.StatusMsg || 'Failed to retrieve notifications';
-      console.error('GetNotificationsScreen - Status error:', statusCode, 'Message:', statusMsg);
+      Logger.error('GetNotificationsScreen - Status error:', statusCode, 'Message:', statusMsg);
       this.showError(statusMsg);
       return;
     }
 
     // Success: Process notifications data
     this.notifications = data.pArgs?.response?.ResponseData?.notifications || [];
-    console.log('GetNotificationsScreen - Received', this.notifications.length, 'notifications');
+    Logger.debug('GetNotificationsScreen - Received', this.notifications.length, 'notifications');
 
     // Sort by timestamp (newest first)
     this.notifications.sort((a, b) => {
@@ -254,6 +269,28 @@ const GetNotificationsScreen = {
 
     // Display notifications
     this.renderNotifications();
+
+    // Open the notification a deep link pointed at
+    if (this.pendingNotificationUUID) {
+      this.openLinkedNotification();
+    }
+  },
+
+  /**
+   * Open the action modal for the notification from a deep link
+   */
+  openLinkedNotification() {
+    const uuid = this.pendingNotificationUUID;
+    this.pendingNotificationUUID = null;
+
+    const notification = this.notifications.find((item) => item.notification_uuid === uuid);
+    if (!notification) {
+      Logger.warn('GetNotificationsScreen - Linked notification not found:', uuid);
+      this.showError('The notification from the link was not found. It may have expired or already been answered.');
+      return;
+    }
+
+    this.showActionModal(notification);
   },
 
   /**
@@ -277,7 +314,7 @@ const GetNotificationsScreen = {
       container.appendChild(notifEl);
     });
 
-    console.log('GetNotificationsScreen - Rendered', this.notifications.length, 'notifications');
+    Logger.debug('GetNotificationsScreen - Rendered', this.notifications.length, 'notifications');
   },
 
   /**
@@ -331,7 +368,7 @@ const GetNotificationsScreen = {
    * Show action modal for notification (matches React Native UI)
    */
   showActionModal(notification) {
-    console.log('GetNotificationsScreen - Opening action modal for notification:', notification.notification_uuid);
+    Logger.debug('GetNotificationsScreen - Opening action modal for notification:', notification.notification_uuid);
 
     this.currentNotification = notification;
 
@@ -385,7 +422,7 @@ const GetNotificationsScreen = {
    * Close action modal
    */
   closeActionModal() {
-    console.log('GetNotificationsScreen - Closing action modal');
+    Logger.debug('GetNotificationsScreen - Closing action modal');
 
     const modal = document.getElementById('notification-action-modal');
     if (modal) modal.style.display = 'none';
@@ -398,7 +435,7 @@ const GetNotificationsScreen = {
    */
   handleActionButtonClick(actionValue) {
     if (!this.currentNotification || !actionValue) {
-      console.error('GetNotificationsScreen - Invalid action or notification');
+      Logger.error('GetNotificationsScreen - Invalid action or notification');
       return;
     }
 
@@ -407,8 +444,8 @@ const GetNotificationsScreen = {
     const title = this.currentNotification.body?.[0]?.subject || 'Notification Action';
     const message = this.currentNotification.body?.[0]?.message || '';
 
-    console.log('GetNotificationsScreen - Action button clicked:', actionValue);
-    console.log('GetNotificationsScreen - Notification UUID:', notificationUUID);
+    Logger.debug('GetNotificationsScreen - Action button clicked:', actionValue);
+    Logger.debug('GetNotificationsScreen - Notification UUID:', notificationUUID);
 
     // Set step-up context in StepUpAuthManager (modular state management)
     // SDKEventProvider will delegate to StepUpAuthManager when challengeMode 3 is triggered
@@ -432,13 +469,13 @@ const GetNotificationsScreen = {
     // Call SDK updateNotification API
     rdnaService.updateNotification(notificationUUID, actionValue)
       .then((syncResponse) => {
-        console.log('GetNotificationsScreen - UpdateNotification sync response:', JSON.stringify(syncResponse, null, 2));
+        Logger.debug('GetNotificationsScreen - UpdateNotification sync response:', JSON.stringify(syncResponse, null, 2));
         // Waiting for onUpdateNotification event
         // If step-up auth is required, SDK will trigger getPassword with challengeMode 3
         // SDKEventProvider will handle it and show StepUpPasswordDialog
       })
       .catch((error) => {
-        console.error('GetNotificationsScreen - UpdateNotification error:', JSON.stringify(error, null, 2));
+        Logger.error('GetNotificationsScreen - UpdateNotification error:', JSON.stringify(error, null, 2));
         this.showLoading(false);
         this.showError('Failed to update notification. Please try again.');
 
@@ -453,7 +490,7 @@ const GetNotificationsScreen = {
    * Handle updateNotification response event (Cordova reference app pattern)
    */
   handleUpdateNotificationResponse(data) {
-    console.log('GetNotificationsScreen - Processing update notification response');
+    Logger.debug('GetNotificationsScreen - Processing update notification response');
 
     this.showLoading(false);
 
@@ -467,7 +504,7 @@ const GetNotificationsScreen = {
     if (data.error.longErrorCode !== 0) {
       const errorCode = data.error.longErrorCode;
       const errorString = data.error.errorString || 'Failed to update notification';
-      console.error('GetNotificationsScreen - API error:', data.errCode, errorString);
+      Logger.error('GetNotificationsScreen - API error:', data.errCode, errorString);
 
       // Handle LDA cancelled (errorCode 131)
       if (errorCode === 131) {
@@ -487,7 +524,7 @@ const GetNotificationsScreen = {
 
     if (statusCode === 100) {
       // Success case
-      console.log('GetNotificationsScreen - Notification updated successfully:', statusMsg);
+      Logger.debug('GetNotificationsScreen - Notification updated successfully:', statusMsg);
 
       // Show success message
       alert(statusMsg);
@@ -496,7 +533,7 @@ const GetNotificationsScreen = {
       this.loadNotifications();
     } else if (statusCode === 110 || statusCode === 153) {
       // Critical errors: Password expired (110) or Attempts exhausted (153)
-      console.warn('GetNotificationsScreen - Critical error, user will be logged out:', statusCode);
+      Logger.warn('GetNotificationsScreen - Critical error, user will be logged out:', statusCode);
 
       // Hide step-up auth modal if visible
       if (typeof StepUpPasswordDialog !== 'undefined') {
@@ -506,7 +543,7 @@ const GetNotificationsScreen = {
       alert('Authentication Failed\n\n' + statusMsg);
       // SDK will automatically trigger onUserLoggedOff → getUser
     } else {
-      console.error('GetNotificationsScreen - StatusCode error:', statusCode, statusMsg);
+      Logger.error('GetNotificationsScreen - StatusCode error:', statusCode, statusMsg);
 
       // Hide step-up auth modal if visible
       if (typeof StepUpPasswordDialog !== 'undefined') {
@@ -523,19 +560,19 @@ const GetNotificationsScreen = {
    * Handle logout from drawer
    */
   async handleLogOut() {
-    console.log('GetNotificationsScreen - Logging out user:', this.sessionParams.userID);
+    Logger.debug('GetNotificationsScreen - Logging out user:', this.sessionParams.userID);
 
     try {
       const syncResponse = await rdnaService.logOff(this.sessionParams.userID);
-      console.log('GetNotificationsScreen - logOff sync response received:', JSON.stringify({
+      Logger.debug('GetNotificationsScreen - logOff sync response received:', JSON.stringify({
         longErrorCode: syncResponse.error?.longErrorCode,
         errorString: syncResponse.error?.errorString
       }, null, 2));
 
       // Sync response successful - SDK will trigger onUserLoggedOff and getUser events
-      console.log('GetNotificationsScreen - LogOff successful, waiting for SDK events');
+      Logger.debug('GetNotificationsScreen - LogOff successful, waiting for SDK events');
     } catch (error) {
-      console.error('GetNotificationsScreen - logOff error:', error);
+      Logger.error('GetNotificationsScreen - logOff error:', error);
       const errorMessage = error.error?.errorString || 'Failed to log out';
       alert('Logout Error\n\n' + errorMessage);
     }
@@ -545,7 +582,7 @@ const GetNotificationsScreen = {
    * Handle refresh button press
    */
   handleRefresh() {
-    console.log('GetNotificationsScreen - Refresh requested');
+    Logger.debug('GetNotificationsScreen - Refresh requested');
     this.loadNotifications();
   },
 
@@ -567,7 +604,7 @@ const GetNotificationsScreen = {
       errorEl.style.display = 'block';
 
       // Auto-hide after 5 seconds
-      setTimeout(() => {
+      this.scope.setTimeout(() => {
         errorEl.style.display = 'none';
       }, 5000);
     }
@@ -35,12 +35,10 @@ const NotificationHistoryScreen = {
    * Replaces React's componentDidMount / useEffect
    *
    * @param {Object} params - Navigation parameters (userParams from Dashboard)
+   * @param {ScreenScope} scope - Released when the screen is left
    */
-  onContentLoaded(params) {
-    console.log('NotificationHistoryScreen - Content loaded with params:', JSON.stringify(params, null, 2));
-
-    // Cleanup any existing handlers from previous visits to prevent accumulation
-    this.cleanup();
+  onContentLoaded(params, scope) {
+    Logger.debug('NotificationHistoryScreen - Content loaded with params:', JSON.stringify(params, null, 2));
 
     // Store user params
     this.userParams = params;
@@ -49,7 +47,7 @@ const NotificationHistoryScreen = {
     this.setupEventListeners();
 
     // Setup event handler for notification history response
-    this.setupEventHandlers();
+    this.setupEventHandlers(scope);
 
     // Load notification history automatically
     this.loadNotificationHistory();
@@ -120,7 +118,7 @@ const NotificationHistoryScreen = {
       drawerDashboardLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('NotificationHistoryScreen - Navigating to Dashboard');
+        Logger.debug('NotificationHistoryScreen - Navigating to Dashboard');
         NavigationService.navigate('Dashboard', this.userParams);
       };
     }
@@ -129,7 +127,7 @@ const NotificationHistoryScreen = {
       drawerNotificationsLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('NotificationHistoryScreen - Navigating to GetNotifications');
+        Logger.debug('NotificationHistoryScreen - Navigating to GetNotifications');
         NavigationService.navigate('GetNotifications', this.userParams);
       };
     }
@@ -146,7 +144,7 @@ const NotificationHistoryScreen = {
       drawerDeviceMgmtLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('NotificationHistoryScreen - Navigating to DeviceManagement');
+        Logger.debug('NotificationHistoryScreen - Navigating to DeviceManagement');
         NavigationService.navigate('DeviceManagement', this.userParams);
       };
     }
@@ -158,7 +156,7 @@ const NotificationHistoryScreen = {
       drawerLdaTogglingLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('NotificationHistoryScreen - Navigating to LDAToggling');
+        Logger.debug('NotificationHistoryScreen - Navigating to LDAToggling');
         NavigationService.navigate('LDAToggling', this.userParams);
       };
     }
@@ -167,34 +165,23 @@ const NotificationHistoryScreen = {
       drawerDataSigningLink.onclick = (e) => {
         e.preventDefault();
         NavigationService.closeDrawer();
-        console.log('NotificationHistoryScreen - Navigating to DataSigningInput');
+        Logger.debug('NotificationHistoryScreen - Navigating to DataSigningInput');
         NavigationService.navigate('DataSigningInput', this.userParams);
       };
     }
   },
 
   /**
-   * Setup SDK event handlers
+   * Setup SDK event handlers (released with the screen scope, no cleanup needed)
+   *
+   * @param {ScreenScope} scope
    */
-  setupEventHandlers() {
-    const eventManager = rdnaService.getEventManager();
-
-    // Set our handler directly (no preservation needed - only NotificationHistoryScreen uses this event)
-    eventManager.setGetNotificationHistoryHandler((data) => {
+  setupEventHandlers(scope) {
+    scope.on('onGetNotificationHistory', (data) => {
       this.handleNotificationHistoryResponse(data);
     });
   },
 
-  /**
-   * Cleanup event handlers when leaving screen
-   */
-  cleanup() {
-    const eventManager = rdnaService.getEventManager();
-
-    // Clear the handler
-    eventManager.setGetNotificationHistoryHandler(undefined);
-  },
-
   /**
    * Load notification history from the server
    */
@@ -203,7 +190,7 @@ const NotificationHistoryScreen = {
     this.showLoadingState();
 
     try {
-      console.log('NotificationHistoryScreen - Loading notification history');
+      Logger.debug('NotificationHistoryScreen - Loading notification history');
 
       // Call getNotificationHistory API
       await rdnaService.getNotificationHistory(
@@ -218,9 +205,9 @@ const NotificationHistoryScreen = {
         ''     // deviceId
       );
 
-      console.log('NotificationHistoryScreen - getNotificationHistory API call successful');
+      Logger.debug('NotificationHistoryScreen - getNotificationHistory API call successful');
     } catch (error) {
-      console.error('NotificationHistoryScreen - Error loading notification history:', error);
+      Logger.error('NotificationHistoryScreen - Error loading notification history:', error);
       this.state.loading = false;
       this.showErrorState(error.errorMessage);
     }
@@ -232,13 +219,13 @@ const NotificationHistoryScreen = {
    * @param {Object} data - Response data from onGetNotificationHistory event
    */
   handleNotificationHistoryResponse(data) {
-    console.log('NotificationHistoryScreen - Received notification history response');
+    Logger.debug('NotificationHistoryScreen - Received notification history response');
     this.state.loading = false;
 
     // Layer 1: Check API-level error (error.longErrorCode)
     if (data.error && data.error.longErrorCode !== 0) {
       const errorMsg = data.error.errorString || 'API error occurred';
-      console.error('NotificationHistoryScreen - API error:', errorMsg, 'Code:', data.error.longErrorCode);
+      Logger.error('NotificationHistoryScreen - API error:', errorMsg, 'Code:', data.error.longErrorCode);
       this.showErrorState(errorMsg);
       return;
     }
@@ -247,7 +234,7 @@ const NotificationHistoryScreen = {
     const statusCode = data.pArgs?.response?.StatusCode;
     if (statusCode !== 100) {
       const statusMsg = data.pArgs?.response?.StatusMsg || 'Failed to retrieve notification history';
-      console.error('NotificationHistoryScreen - Status error:', statusCode, 'Message:', statusMsg);
+      Logger.error('NotificationHistoryScreen - Status error:', statusCode, 'Message:', statusMsg);
       this.showErrorState(statusMsg);
       return;
     }
@@ -255,7 +242,7 @@ const NotificationHistoryScreen = {
     // Success: Process history data
     try {
       const history = data.pArgs?.response?.ResponseData?.history || [];
-      console.log(`NotificationHistoryScreen - Loaded ${history.length} history items`);
+      Logger.debug(`NotificationHistoryScreen - Loaded ${history.length} history items`);
 
       // Sort by update timestamp (most recent first)
       const sortedHistory = history.sort((a, b) =>
@@ -265,7 +252,7 @@ const NotificationHistoryScreen = {
       this.state.historyItems = sortedHistory;
       this.renderHistoryList();
     } catch (error) {
-      console.error('NotificationHistoryScreen - Error parsing response:', error);
+      Logger.error('NotificationHistoryScreen - Error parsing response:', error);
       this.showErrorState('Failed to parse notification history response');
     }
   },
@@ -319,7 +306,7 @@ const NotificationHistoryScreen = {
     const contentDiv = document.getElementById('notification-history-content');
 
     if (!contentDiv) {
-      console.error('NotificationHistoryScreen - Content container not found');
+      Logger.error('NotificationHistoryScreen - Content container not found');
       return;
     }
 
@@ -484,7 +471,7 @@ const NotificationHistoryScreen = {
 
       // Check if date is valid
       if (isNaN(date.getTime())) {
-        console.log('formatTimestamp - Invalid date for timestamp:', timestamp);
+        Logger.debug('formatTimestamp - Invalid date for timestamp:', timestamp);
         return timestamp;
       }
 
@@ -502,7 +489,7 @@ const NotificationHistoryScreen = {
         return date.toLocaleDateString();
       }
     } catch (error) {
-      console.log('formatTimestamp - Error:', error);
+      Logger.debug('formatTimestamp - Error:', error);
       return timestamp;
     }
   },
@@ -530,7 +517,7 @@ const NotificationHistoryScreen = {
 
       // Check if date is valid
       if (isNaN(utcDate.getTime())) {
-        console.log('convertUTCToLocal - Invalid date for timestamp:', utcTimestamp);
+        Logger.debug('convertUTCToLocal - Invalid date for timestamp:', utcTimestamp);
         return utcTimestamp; // Return original if can't parse
       }
 
@@ -538,7 +525,7 @@ const NotificationHistoryScreen = {
       const localTime = utcDate.toLocaleString();
       return localTime;
     } catch (error) {
-      console.log('convertUTCToLocal - Error:', error);
+      Logger.debug('convertUTCToLocal - Error:', error);
       return utcTimestamp; // Return original on error
     }
   },
@@ -0,0 +1,209 @@
+/**
+ * Advanced Settings Screen
+ *
+ * Edits the initialize() transport options of the selected connection profile:
+ * cipher specs and salt, proxy, client SSL certificate and SDK log level.
+ * The form opens with the values the next Initialize would send (agent_info.json
+ * merged with what was saved before) and saves through TransportSettingsManager,
+ * which validates every field first.
+ *
+ * SPA Pattern:
+ * - onContentLoaded(params, scope) called by NavigationService when screen loads
+ * - No deviceready listener (called by NavigationService)
+ */
+
+const AdvancedSettingsScreen = {
+  /**
+   * Profile the form edits
+   * @type {ParsedAgentInfo|null}
+   */
+  profile: null,
+
+  /**
+   * Called when screen content is loaded into DOM (SPA lifecycle)
+   * @param {Object} params - Navigation parameters (unused)
+   * @param {ScreenScope} scope - Released when the screen is left
+   */
+  async onContentLoaded(params, scope) {
+    Logger.debug('AdvancedSettingsScreen - Content loaded');
+
+    this.profile = null;
+    this.setupEventListeners();
+
+    try {
+      this.profile = await ConnectionProfileManager.getActiveProfile();
+    } catch (error) {
+      Logger.error('AdvancedSettingsScreen - No connection profile:', error);
+      alert(`Advanced Settings\n\n${error.message}`);
+      return;
+    }
+
+    if (scope.disposed) return;
+
+    const profileLabel = document.getElementById('advanced-settings-profile');
+    if (profileLabel) {
+      profileLabel.textContent = ConnectionProfileManager.describe(this.profile);
+    }
+    this.populateForm(this.currentOptions());
+  },
+
+  /**
+   * Options the next Initialize would send
+   * Falls back to defaults when saved settings no longer validate.
+   * @returns {TransportOptions}
+   */
+  currentOptions() {
+    try {
+      return TransportSettingsManager.resolve(this.profile);
+    } catch (error) {
+      Logger.warn('AdvancedSettingsScreen - Stored settings are invalid, showing defaults:', error.message);
+      return { ...DEFAULT_TRANSPORT_OPTIONS };
+    }
+  },
+
+  setupEventListeners() {
+    const proxyEnabled = document.getElementById('advanced-proxy-enabled');
+    if (proxyEnabled) {
+      proxyEnabled.onchange = () => this.updateProxyFields();
+    }
+
+    const sslFile = document.getElementById('advanced-ssl-file');
+    if (sslFile) {
+      sslFile.onchange = () => this.handleCertificateFile(sslFile);
+    }
+
+    const saveBtn = document.getElementById('advanced-save-btn');
+    if (saveBtn) {
+      saveBtn.onclick = () => this.handleSave();
+    }
+
+    const resetBtn = document.getElementById('advanced-reset-btn');
+    if (resetBtn) {
+      resetBtn.onclick = () => this.handleReset();
+    }
+
+    const backBtn = document.getElementById('advanced-back-btn');
+    if (backBtn) {
+      backBtn.onclick = () => NavigationService.goBack();
+    }
+  },
+
+  /**
+   * @param {TransportOptions} options
+   */
+  populateForm(options) {
+    const setValue = (id, value) => {
+      const element = document.getElementById(id);
+      if (element) element.value = value;
+    };
+
+    setValue('advanced-cipher-specs', options.cipherSpecs);
+    setValue('advanced-cipher-salt', options.cipherSalt);
+
+    const proxy = options.proxySettings;
+    const proxyEnabled = document.getElementById('advanced-proxy-enabled');
+    if (proxyEnabled) proxyEnabled.checked = !!proxy;
+    setValue('advanced-proxy-host', proxy ? proxy.host : '');
+    setValue('advanced-proxy-port', proxy ? proxy.port : '');
+    setValue('advanced-proxy-username', proxy ? proxy.username : '');
+    setValue('advanced-proxy-password', proxy ? proxy.password : '');
+
+    const certificate = options.sslCertificate;
+    setValue('advanced-ssl-data', certificate ? certificate.data : '');
+    setValue('advanced-ssl-password', certificate ? certificate.password : '');
+
+    setValue('advanced-log-level', options.logLevel);
+    this.updateProxyFields();
+  },
+
+  /**
+   * Read the form into transport options (validated on save)
+   * @returns {Partial<TransportOptions>}
+   */
+  readForm() {
+    const value = (id) => {
+      const element = document.getElementById(id);
+      return element ? element.value.trim() : '';
+    };
+    const proxyEnabled = document.getElementById('advanced-proxy-enabled');
+    const certificateData = value('advanced-ssl-data');
+
+    return {
+      cipherSpecs: value('advanced-cipher-specs'),
+      cipherSalt: value('advanced-cipher-salt'),
+      proxySettings: proxyEnabled && proxyEnabled.checked
+        ? {
+          host: value('advanced-proxy-host'),
+          port: value('advanced-proxy-port'),
+          username: value('advanced-proxy-username'),
+          password: value('advanced-proxy-password')
+        }
+        : null,
+      sslCertificate: certificateData
+        ? { data: certificateData, password: value('advanced-ssl-password') }
+        : null,
+      logLevel: value('advanced-log-level')
+    };
+  },
+
+  handleSave() {
+    if (!this.profile) return;
+
+    try {
+      const saved = TransportSettingsManager.save(this.profile.name, this.readForm());
+      this.populateForm(saved);
+      alert(`Settings Saved\n\nThey apply the next time you Initialize with ${this.profile.name}.`);
+    } catch (error) {
+      Logger.error('AdvancedSettingsScreen - Invalid settings:', error);
+      alert(`Invalid Settings\n\n${error.message}`);
+    }
+  },
+
+  handleReset() {
+    if (!this.profile) return;
+
+    if (!confirm('Reset Settings\n\nDiscard the saved settings and use the values from agent_info.json?')) {
+      return;
+    }
+
+    TransportSettingsManager.clear(this.profile.name);
+    this.populateForm(this.currentOptions());
+  },
+
+  /**
+   * Load a .p12 file as base64 into the certificate field
+   * @param {HTMLInputElement} input
+   */
+  handleCertificateFile(input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      // data:application/x-pkcs12;base64,XXXX
+      const base64 = String(reader.result).split(',')[1] || '';
+      const dataField = document.getElementById('advanced-ssl-data');
+      if (dataField) dataField.value = base64;
+      Logger.debug('AdvancedSettingsScreen - Loaded certificate file:', file.name);
+    };
+    reader.onerror = () => {
+      alert(`Certificate Error\n\nCould not read ${file.name}`);
+    };
+    reader.readAsDataURL(file);
+    input.value = '';
+  },
+
+  updateProxyFields() {
+    const proxyEnabled = document.getElementById('advanced-proxy-enabled');
+    const fields = document.getElementById('advanced-proxy-fields');
+    if (!proxyEnabled || !fields) return;
+
+    fields.classList.toggle('disabled', !proxyEnabled.checked);
+    fields.querySelectorAll('input').forEach((input) => {
+      input.disabled = !proxyEnabled.checked;
+    });
+  }
+};
+
+// Expose to global scope for NavigationService
+window.AdvancedSettingsScreen = AdvancedSettingsScreen;
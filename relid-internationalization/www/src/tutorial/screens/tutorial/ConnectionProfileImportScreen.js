@@ -0,0 +1,235 @@
+/**
+ * Connection Profile Import Screen
+ *
+ * Adds connection profiles at runtime without rebuilding the app. Agent info
+ * JSON can come from a file picked from storage, pasted text or a photo of a
+ * QR code. ConnectionProfileManager validates it like agent_info.json and
+ * stores it under a label in the app's data directory; the profiles then show
+ * up in the TutorialHome picker.
+ *
+ * SPA Pattern:
+ * - onContentLoaded(params, scope) called by NavigationService when screen loads
+ * - No deviceready listener (called by NavigationService)
+ *
+ * QR codes are decoded with the platform BarcodeDetector (Android System
+ * WebView); where it is missing the user is asked to paste the JSON instead.
+ */
+
+const ConnectionProfileImportScreen = {
+  /**
+   * Guards against double submits while an import is being validated and saved
+   */
+  isImporting: false,
+
+  /**
+   * Called when screen content is loaded into DOM (SPA lifecycle)
+   * @param {Object} params - Navigation parameters (unused)
+   * @param {ScreenScope} scope - Released when the screen is left
+   */
+  onContentLoaded(params, scope) {
+    Logger.debug('ConnectionProfileImportScreen - Content loaded');
+
+    this.isImporting = false;
+    this.setupEventListeners();
+
+    scope.listen(document, 'connectionProfileChanged', () => this.renderImports());
+    ConnectionProfileManager.load()
+      .catch((error) => Logger.warn('ConnectionProfileImportScreen - Bundled profiles unavailable:', error.message))
+      .then(() => this.renderImports());
+  },
+
+  /**
+   * Keep the user here while an import is being saved
+   * @returns {boolean}
+   */
+  onBeforeLeave() {
+    return !this.isImporting;
+  },
+
+  setupEventListeners() {
+    const fileInput = document.getElementById('profile-import-file');
+    if (fileInput) {
+      fileInput.onchange = () => this.handleFileSelected(fileInput, 'file');
+    }
+
+    const qrInput = document.getElementById('profile-import-qr');
+    if (qrInput) {
+      qrInput.onchange = () => this.handleFileSelected(qrInput, 'qr');
+    }
+
+    const pasteBtn = document.getElementById('profile-import-paste-btn');
+    if (pasteBtn) {
+      pasteBtn.onclick = () => {
+        const textArea = document.getElementById('profile-import-text');
+        this.importText(textArea ? textArea.value : '', 'paste');
+      };
+    }
+
+    const backBtn = document.getElementById('profile-import-back-btn');
+    if (backBtn) {
+      backBtn.onclick = () => NavigationService.goBack();
+    }
+  },
+
+  /**
+   * Read the picked file (agent info JSON or QR image) and import it
+   * @param {HTMLInputElement} input
+   * @param {string} source - 'file' | 'qr'
+   */
+  async handleFileSelected(input, source) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    Logger.debug('ConnectionProfileImportScreen - File selected:', JSON.stringify({ name: file.name, size: file.size, source }, null, 2));
+
+    try {
+      const text = source === 'qr' ? await this.decodeQrImage(file) : await this.readFileAsText(file);
+      await this.importText(text, source);
+    } catch (error) {
+      Logger.error('ConnectionProfileImportScreen - Could not read', source + ':', error);
+      alert(`Import Failed\n\n${error.message}`);
+    } finally {
+      // Allow picking the same file again
+      input.value = '';
+    }
+  },
+
+  /**
+   * Validate and store agent info JSON under the entered label
+   * @param {string} text - Agent info JSON
+   * @param {string} source - 'file' | 'paste' | 'qr'
+   */
+  async importText(text, source) {
+    if (this.isImporting) return;
+
+    const labelInput = document.getElementById('profile-import-label');
+    const label = labelInput ? labelInput.value : '';
+
+    this.setImporting(true);
+    try {
+      const result = await ConnectionProfileManager.importAgentInfo(text, { label, source });
+
+      let message = `Imported ${result.profiles.length} profile(s) as "${result.label}":\n` +
+        result.profiles.map((profile) => `• ${profile.name} (${profile.host}:${profile.port})`).join('\n');
+      if (result.skipped.length > 0) {
+        message += `\n\nSkipped:\n${result.skipped.map((reason) => `• ${reason}`).join('\n')}`;
+      }
+      alert(`Profiles Imported\n\n${message}`);
+
+      const textArea = document.getElementById('profile-import-text');
+      if (textArea && source === 'paste') {
+        textArea.value = '';
+      }
+    } catch (error) {
+      Logger.error('ConnectionProfileImportScreen - Import failed:', error);
+      alert(`Import Failed\n\n${error.message}`);
+    } finally {
+      this.setImporting(false);
+    }
+  },
+
+  /**
+   * @param {File} file
+   * @returns {Promise<string>}
+   */
+  readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+      reader.readAsText(file);
+    });
+  },
+
+  /**
+   * Decode the first QR code in an image
+   * @param {File} file - Photo or screenshot
+   * @returns {Promise<string>} Encoded text
+   */
+  async decodeQrImage(file) {
+    if (typeof window.BarcodeDetector === 'undefined') {
+      throw new Error('QR codes cannot be decoded on this device. Paste the JSON or pick the file instead.');
+    }
+
+    const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+    const image = await createImageBitmap(file);
+    const codes = await detector.detect(image);
+
+    if (!codes || codes.length === 0) {
+      throw new Error('No QR code found in the image');
+    }
+    return codes[0].rawValue;
+  },
+
+  /**
+   * Remove an import after confirmation
+   * @param {string} label
+   */
+  async handleRemove(label) {
+    if (!confirm(`Remove Imported Profiles\n\nRemove the profiles imported as "${label}"?`)) {
+      return;
+    }
+
+    try {
+      await ConnectionProfileManager.removeImport(label);
+    } catch (error) {
+      Logger.error('ConnectionProfileImportScreen - Remove failed:', error);
+      alert(`Remove Failed\n\n${error.message}`);
+    }
+  },
+
+  /**
+   * List stored imports with their profiles and a Remove button
+   */
+  renderImports() {
+    const list = document.getElementById('profile-import-list');
+    if (!list) return;
+
+    const imports = ConnectionProfileManager.getImports();
+    list.innerHTML = '';
+
+    if (imports.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'profile-import-empty';
+      empty.textContent = 'Nothing imported yet';
+      list.appendChild(empty);
+      return;
+    }
+
+    imports.forEach((record) => {
+      const names = ConnectionProfileManager.getProfiles()
+        .filter((profile) => profile.label === record.label)
+        .map((profile) => profile.name);
+
+      const item = document.createElement('div');
+      item.className = 'profile-import-item';
+
+      const text = document.createElement('span');
+      text.className = 'profile-import-item-names';
+      text.textContent = `${record.label} (${record.source}): ${names.join(', ') || 'invalid'}`;
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'secondary-button';
+      removeBtn.textContent = 'Remove';
+      removeBtn.dataset.label = record.label;
+      removeBtn.disabled = this.isImporting;
+      removeBtn.onclick = () => this.handleRemove(record.label);
+
+      item.appendChild(text);
+      item.appendChild(removeBtn);
+      list.appendChild(item);
+    });
+  },
+
+  setImporting(isImporting) {
+    this.isImporting = isImporting;
+
+    ['profile-import-paste-btn', 'profile-import-file', 'profile-import-qr', 'profile-import-back-btn'].forEach((id) => {
+      const element = document.getElementById(id);
+      if (element) element.disabled = isImporting;
+    });
+  }
+};
+
+// Expose to global scope for NavigationService
+window.ConnectionProfileImportScreen = ConnectionProfileImportScreen;
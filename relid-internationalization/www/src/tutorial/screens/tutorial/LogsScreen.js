@@ -0,0 +1,393 @@
+/**
+ * Logs Screen
+ *
+ * Live view of LogStore: native SDK log lines and RdnaService/SDKEventProvider
+ * output. Field testers can search, filter by level and source, pause the live
+ * view while reading, and export the logs as a text or JSON file.
+ *
+ * SPA Pattern:
+ * - onContentLoaded(params, scope) called by NavigationService when screen loads
+ * - LogStore listener is removed through the scope when the screen is left
+ *
+ * Pausing only freezes the list - LogStore keeps recording. The app log level
+ * select changes Logger's level (persisted; production builds stay at warn or above).
+ *
+ * Session traces (SessionRecorder): Record Session starts recording SDK calls and
+ * events, the same button stops it and exports the trace. Replay Trace loads a
+ * trace file and replays it - the replayed events navigate away from this screen.
+ */
+
+/**
+ * Newest entries rendered at once (the store keeps more)
+ */
+const LOGS_SCREEN_MAX_ROWS = 500;
+
+/**
+ * Coalesce bursts of log lines into one render
+ */
+const LOGS_SCREEN_RENDER_DELAY_MS = 250;
+
+const LogsScreen = {
+  /**
+   * Live view frozen by the pause button
+   */
+  isPaused: false,
+
+  /**
+   * Entries added since the view was paused
+   */
+  missedCount: 0,
+
+  /**
+   * Entries matching the filter at the last render
+   */
+  shownCount: 0,
+
+  /**
+   * Pending batched render
+   * @type {number|null}
+   */
+  renderTimer: null,
+
+  /**
+   * @type {ScreenScope|null}
+   */
+  scope: null,
+
+  /**
+   * Called when screen content is loaded into DOM (SPA lifecycle)
+   * @param {Object} params - Navigation parameters (unused)
+   * @param {ScreenScope} scope - Released when the screen is left
+   */
+  onContentLoaded(params, scope) {
+    Logger.debug('LogsScreen - Content loaded');
+
+    this.scope = scope;
+    this.isPaused = false;
+    this.missedCount = 0;
+    this.renderTimer = null;
+
+    this.setupEventListeners();
+    scope.onDispose(LogStore.onEntry(() => this.handleNewEntry()));
+
+    this.renderSourceOptions();
+    this.render();
+  },
+
+  setupEventListeners() {
+    const menuButton = document.getElementById('logs-menu-button');
+    if (menuButton) {
+      menuButton.onclick = () => NavigationService.openDrawer();
+    }
+
+    const pauseButton = document.getElementById('logs-pause-button');
+    if (pauseButton) {
+      pauseButton.onclick = () => this.togglePause();
+    }
+
+    const search = document.getElementById('logs-search');
+    if (search) {
+      search.oninput = () => this.render();
+    }
+
+    document.querySelectorAll('#logs-level-filters input').forEach((checkbox) => {
+      checkbox.onchange = () => this.render();
+    });
+
+    const sourceFilter = document.getElementById('logs-source-filter');
+    if (sourceFilter) {
+      sourceFilter.onchange = () => this.render();
+    }
+
+    const appLevel = document.getElementById('logs-app-level');
+    if (appLevel) {
+      appLevel.value = Logger.getLevel();
+      appLevel.onchange = () => this.handleAppLevelChange(appLevel);
+    }
+
+    const exportText = document.getElementById('logs-export-text-btn');
+    if (exportText) {
+      exportText.onclick = () => this.handleExport('text');
+    }
+
+    const exportJSON = document.getElementById('logs-export-json-btn');
+    if (exportJSON) {
+      exportJSON.onclick = () => this.handleExport('json');
+    }
+
+    const clearButton = document.getElementById('logs-clear-btn');
+    if (clearButton) {
+      clearButton.onclick = () => this.handleClear();
+    }
+
+    const recordButton = document.getElementById('logs-record-btn');
+    if (recordButton) {
+      recordButton.onclick = () => this.handleRecordToggle();
+    }
+
+    const replayButton = document.getElementById('logs-replay-btn');
+    const replayFile = document.getElementById('logs-replay-file');
+    if (replayButton && replayFile) {
+      replayButton.onclick = () => {
+        if (SessionRecorder.isReplaying()) {
+          SessionRecorder.stopReplay();
+          this.renderTraceButtons();
+          return;
+        }
+        replayFile.click();
+      };
+      replayFile.onchange = () => {
+        const file = replayFile.files && replayFile.files[0];
+        replayFile.value = '';
+        if (file) this.handleReplayFile(file);
+      };
+    }
+
+    this.renderTraceButtons();
+  },
+
+  /**
+   * Current filter from the toolbar
+   * @returns {{levels: string[], source: string, search: string}}
+   */
+  getFilter() {
+    const levels = Array.from(document.querySelectorAll('#logs-level-filters input'))
+      .filter((checkbox) => checkbox.checked)
+      .map((checkbox) => checkbox.value);
+    const sourceFilter = document.getElementById('logs-source-filter');
+    const search = document.getElementById('logs-search');
+
+    return {
+      levels,
+      source: sourceFilter ? sourceFilter.value : '',
+      search: search ? search.value.trim() : ''
+    };
+  },
+
+  handleNewEntry() {
+    if (this.isPaused) {
+      this.missedCount++;
+      this.renderStatus();
+      return;
+    }
+
+    if (this.renderTimer === null) {
+      this.renderTimer = this.scope.setTimeout(() => {
+        this.renderTimer = null;
+        this.renderSourceOptions();
+        this.render();
+      }, LOGS_SCREEN_RENDER_DELAY_MS);
+    }
+  },
+
+  togglePause() {
+    this.isPaused = !this.isPaused;
+
+    const pauseButton = document.getElementById('logs-pause-button');
+    if (pauseButton) {
+      pauseButton.textContent = this.isPaused ? '▶' : '⏸';
+      pauseButton.title = this.isPaused ? 'Resume' : 'Pause';
+    }
+
+    if (!this.isPaused) {
+      this.missedCount = 0;
+      this.renderSourceOptions();
+      this.render();
+    } else {
+      this.renderStatus();
+    }
+  },
+
+  /**
+   * Keep the source menu in sync with what has been logged
+   */
+  renderSourceOptions() {
+    const sourceFilter = document.getElementById('logs-source-filter');
+    if (!sourceFilter) return;
+
+    const existing = Array.from(sourceFilter.options).map((option) => option.value);
+    LogStore.getSources().forEach((source) => {
+      if (existing.includes(source)) return;
+      const option = document.createElement('option');
+      option.value = source;
+      option.textContent = source === 'sdk' ? 'REL-ID SDK' : source;
+      sourceFilter.appendChild(option);
+    });
+  },
+
+  /**
+   * Render the newest matching entries, newest first
+   */
+  render() {
+    const list = document.getElementById('logs-list');
+    if (!list) return;
+
+    const matching = LogStore.getEntries(this.getFilter());
+    this.shownCount = matching.length;
+    list.innerHTML = '';
+
+    if (matching.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'logs-empty';
+      empty.textContent = 'No log entries';
+      list.appendChild(empty);
+    }
+
+    matching.slice(-LOGS_SCREEN_MAX_ROWS).reverse().forEach((entry) => {
+      const row = document.createElement('div');
+      row.className = `log-entry log-entry-${entry.level}`;
+
+      const meta = document.createElement('span');
+      meta.className = 'log-entry-meta';
+      meta.textContent = `${entry.timestamp.substring(11, 23)} ${entry.level.toUpperCase()} [${entry.source}]`;
+
+      row.appendChild(meta);
+      row.appendChild(document.createTextNode(entry.message));
+      list.appendChild(row);
+    });
+
+    this.renderStatus();
+  },
+
+  renderStatus() {
+    const status = document.getElementById('logs-status');
+    if (!status) return;
+
+    const total = LogStore.getEntries().length;
+    let text = `${this.shownCount || 0} of ${total} entries`;
+    if (this.shownCount > LOGS_SCREEN_MAX_ROWS) {
+      text += ` (newest ${LOGS_SCREEN_MAX_ROWS} shown)`;
+    }
+    if (this.isPaused) {
+      text = `Paused - ${this.missedCount} new. ${text}`;
+    }
+
+    status.textContent = text;
+    status.classList.toggle('paused', this.isPaused);
+  },
+
+  /**
+   * Export the entries that match the filter
+   * @param {string} format - 'text' | 'json'
+   */
+  async handleExport(format) {
+    const entries = LogStore.getEntries(this.getFilter());
+    if (entries.length === 0) {
+      alert('Export Logs\n\nThere are no log entries to export.');
+      return;
+    }
+
+    try {
+      const url = await LogStore.exportToFile(format, entries);
+      alert(`Logs Exported\n\n${entries.length} entries saved to:\n${url}`);
+    } catch (error) {
+      Logger.error('LogsScreen - Export failed:', error);
+      alert(`Export Failed\n\n${error.message}`);
+    }
+  },
+
+  handleClear() {
+    if (!confirm('Clear Logs\n\nDelete every captured log entry?')) {
+      return;
+    }
+
+    LogStore.clear();
+    this.missedCount = 0;
+    this.render();
+  },
+
+  renderTraceButtons() {
+    const recordButton = document.getElementById('logs-record-btn');
+    if (recordButton) {
+      recordButton.textContent = SessionRecorder.isRecording() ? '■ Stop & Export' : '● Record Session';
+      recordButton.disabled = SessionRecorder.isReplaying();
+    }
+
+    const replayButton = document.getElementById('logs-replay-btn');
+    if (replayButton) {
+      replayButton.textContent = SessionRecorder.isReplaying() ? '■ Stop Replay' : '▶ Replay Trace';
+      replayButton.disabled = SessionRecorder.isRecording();
+    }
+  },
+
+  /**
+   * Start recording, or stop and export the trace
+   */
+  async handleRecordToggle() {
+    if (!SessionRecorder.isRecording()) {
+      SessionRecorder.startRecording();
+      this.renderTraceButtons();
+      return;
+    }
+
+    const trace = SessionRecorder.stopRecording();
+    this.renderTraceButtons();
+
+    if (trace.entries.length === 0) {
+      alert('Session Trace\n\nNothing was recorded.');
+      return;
+    }
+
+    try {
+      const url = await SessionRecorder.exportToFile(trace);
+      alert(`Session Trace Exported\n\n${trace.entries.length} calls and events saved to:\n${url}`);
+    } catch (error) {
+      Logger.error('LogsScreen - Trace export failed:', error);
+      alert(`Export Failed\n\n${error.message}`);
+    }
+  },
+
+  /**
+   * Load a trace file and replay it
+   * @param {File} file
+   */
+  async handleReplayFile(file) {
+    let trace;
+    try {
+      trace = SessionRecorder.parseTrace(await this.readFileAsText(file));
+    } catch (error) {
+      Logger.error('LogsScreen - Could not load trace:', error);
+      alert(`Replay Failed\n\n${error.message}`);
+      return;
+    }
+
+    if (!confirm(`Replay Session\n\nReplay ${trace.entries.length} calls and events recorded ${trace.recordedAt}? Events from the SDK are ignored until the replay ends.`)) {
+      return;
+    }
+
+    const replay = SessionRecorder.replay(trace);
+    this.renderTraceButtons();
+
+    const summary = await replay;
+    this.renderTraceButtons();
+    const unexpected = summary.unexpectedCalls.length > 0
+      ? `\n\nCalls not in the trace: ${summary.unexpectedCalls.join(', ')}`
+      : '';
+    alert(`Replay ${summary.state === 'completed' ? 'Finished' : 'Stopped'}\n\n${summary.events} events and ${summary.calls} calls replayed.${unexpected}`);
+  },
+
+  /**
+   * @param {File} file
+   * @returns {Promise<string>}
+   */
+  readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+      reader.readAsText(file);
+    });
+  },
+
+  /**
+   * @param {HTMLSelectElement} select
+   */
+  handleAppLevelChange(select) {
+    Logger.setLevel(select.value);
+    // Production builds floor the level at warn
+    select.value = Logger.getLevel();
+  }
+};
+
+// Expose to global scope for NavigationService
+window.LogsScreen = LogsScreen;
@@ -29,9 +29,9 @@ const SecurityExitScreen = {
    * @param {Object} params - Navigation parameters (unused for this screen)
    */
   onContentLoaded(params) {
-    console.log('SecurityExitScreen - Content loaded', JSON.stringify(params || {}, null, 2));
-    console.log('SecurityExitScreen - Platform:', getPlatformId());
-    console.log('SecurityExitScreen - This is the iOS-specific HIG-compliant exit screen');
+    Logger.debug('SecurityExitScreen - Content loaded', JSON.stringify(params || {}, null, 2));
+    Logger.debug('SecurityExitScreen - Platform:', getPlatformId());
+    Logger.debug('SecurityExitScreen - This is the iOS-specific HIG-compliant exit screen');
 
     // Update platform-specific content if needed
     this.updatePlatformInstructions();
@@ -45,13 +45,13 @@ const SecurityExitScreen = {
     const instructionsContainer = document.getElementById('exit-instructions');
 
     if (!instructionsContainer) {
-      console.warn('SecurityExitScreen - Instructions container not found');
+      Logger.warn('SecurityExitScreen - Instructions container not found');
       return;
     }
 
     // Platform-specific instructions are in the HTML template
     // This method can be used for dynamic platform detection if needed
-    console.log('SecurityExitScreen - Platform instructions displayed for:', platform);
+    Logger.debug('SecurityExitScreen - Platform instructions displayed for:', platform);
   }
 };
 
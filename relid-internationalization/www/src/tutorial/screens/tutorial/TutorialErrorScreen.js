@@ -8,6 +8,7 @@
  * - onContentLoaded(params) receives navigation parameters directly
  * - No deviceready listener (called by NavigationService)
  * - Direct DOM manipulation to populate error details
+ * - "Try Again" re-initializes the SDK (rdnaService.reinitialize) without restarting the app
  *
  * Navigation Parameters:
  * @param {number} params.shortErrorCode - Short error code from SDK
@@ -16,6 +17,11 @@
  */
 
 const TutorialErrorScreen = {
+  /**
+   * Flag to track re-initialization state
+   */
+  isRetrying: false,
+
   /**
    * Called when screen content is loaded into DOM (SPA lifecycle)
    * Replaces deviceready + loadErrorDetails
@@ -23,10 +29,70 @@ const TutorialErrorScreen = {
    * @param {Object} params - Navigation parameters with error details
    */
   onContentLoaded(params) {
-    console.log('TutorialErrorScreen - Content loaded with params:', JSON.stringify(params, null, 2));
+    Logger.debug('TutorialErrorScreen - Content loaded with params:', JSON.stringify(params, null, 2));
+
+    this.isRetrying = false;
 
     // Populate screen with error details
     this.populateErrorDetails(params);
+
+    const retryButton = document.getElementById('retry-initialize-btn');
+    if (retryButton) {
+      retryButton.onclick = this.handleRetryPress.bind(this);
+    }
+  },
+
+  /**
+   * Handle Try Again button press
+   * On success the SDK raises getUser and SDKEventProvider navigates away
+   */
+  async handleRetryPress() {
+    if (this.isRetrying) {
+      Logger.debug('TutorialErrorScreen - Already re-initializing, ignoring click');
+      return;
+    }
+
+    Logger.debug('TutorialErrorScreen - User clicked Try Again');
+    this.setRetrying(true, 'Re-initializing...');
+
+    try {
+      await rdnaService.reinitialize({
+        initOptions: TutorialHomeScreen.buildInitOptions(),
+        onProgress: (message) => this.setRetrying(true, message)
+      });
+      Logger.debug('TutorialErrorScreen - SDK re-initialized, waiting for getUser');
+    } catch (error) {
+      Logger.error('TutorialErrorScreen - Re-initialization failed:', JSON.stringify(error, null, 2));
+      this.setRetrying(false);
+
+      if (error.eventName === 'onInitializeError') {
+        this.populateErrorDetails(error.response || {});
+        return;
+      }
+      alert(`Initialization Failed\n\n${error.message || 'Re-initialization failed'}`);
+    }
+  },
+
+  /**
+   * Update the Try Again button and progress text
+   * @param {boolean} isRetrying
+   * @param {string} [message] - Progress message
+   */
+  setRetrying(isRetrying, message) {
+    this.isRetrying = isRetrying;
+
+    const button = document.getElementById('retry-initialize-btn');
+    if (button) {
+      button.disabled = isRetrying;
+      button.textContent = isRetrying ? 'Initializing...' : 'Try Again';
+    }
+
+    const container = document.getElementById('retry-progress-container');
+    const textElement = document.getElementById('retry-progress-text');
+    if (container && textElement) {
+      textElement.textContent = message || '';
+      container.style.display = isRetrying ? 'block' : 'none';
+    }
   },
 
   /**
@@ -54,7 +120,7 @@ const TutorialErrorScreen = {
       longCodeElement.textContent = longErrorCode !== undefined ? longErrorCode : 'N/A';
     }
 
-    console.log('TutorialErrorScreen - Error details populated');
+    Logger.debug('TutorialErrorScreen - Error details populated');
   }
 };
 
@@ -5,14 +5,15 @@
  * Demonstrates SDK version retrieval and initialization with real-time progress tracking.
  *
  * SPA Pattern:
- * - onContentLoaded(params) called by NavigationService when screen loads
+ * - onContentLoaded(params, scope) called by NavigationService when screen loads
  * - Direct DOM manipulation instead of React state
  * - Event listeners for button clicks
  * - SDK event handlers for progress updates
  *
  * Features:
  * - SDK version display
- * - Initialize button with loading state
+ * - Connection profile picker (environments from agent_info.json and imports)
+ * - Initialize button with loading state (re-initializes when the SDK still holds a session)
  * - Real-time progress tracking
  * - Error handling with user-friendly messages
  */
@@ -23,20 +24,15 @@ const TutorialHomeScreen = {
    */
   isInitializing: false,
 
-  /**
-   * Original event handlers (for cleanup)
-   */
-  originalProgressHandler: null,
-  originalErrorHandler: null,
-
   /**
    * Called when screen content is loaded into DOM (SPA lifecycle)
    * Replaces React's componentDidMount/useEffect
    *
    * @param {Object} params - Navigation parameters (unused for home screen)
+   * @param {ScreenScope} scope - Released when the screen is left
    */
-  onContentLoaded(params) {
-    console.log('TutorialHomeScreen - Content loaded', JSON.stringify(params, null, 2));
+  onContentLoaded(params, scope) {
+    Logger.debug('TutorialHomeScreen - Content loaded', JSON.stringify(params, null, 2));
 
     // Reset state
     this.isInitializing = false;
@@ -48,13 +44,81 @@ const TutorialHomeScreen = {
     this.setupEventListeners();
 
     // Register SDK event handlers for this screen
-    this.registerSDKEventHandlers();
+    this.registerSDKEventHandlers(scope);
 
     // Initialize language display
     this.updateLanguageDisplay();
 
-    // Listen for language changes
-    document.addEventListener('languageChanged', this.handleLanguageChange.bind(this));
+    // Listen for language changes while the screen is displayed
+    scope.listen(document, 'languageChanged', this.handleLanguageChange.bind(this));
+
+    // Connection profile picker
+    this.setupConnectionProfilePicker(scope);
+  },
+
+  /**
+   * Load connection profiles and fill the picker
+   * @param {ScreenScope} scope
+   */
+  setupConnectionProfilePicker(scope) {
+    const select = document.getElementById('connection-profile-select');
+    if (!select) return;
+
+    select.onchange = () => this.handleProfileChange(select.value);
+    scope.listen(document, 'connectionProfileChanged', () => this.renderConnectionProfiles());
+
+    ConnectionProfileManager.load()
+      .then(() => this.renderConnectionProfiles())
+      .catch((error) => {
+        Logger.error('TutorialHomeScreen - Failed to load connection profiles:', error);
+        const details = document.getElementById('connection-profile-details');
+        if (details) {
+          details.textContent = error.message;
+        }
+      });
+  },
+
+  /**
+   * Render profiles and the selected profile's gateway
+   */
+  renderConnectionProfiles() {
+    const select = document.getElementById('connection-profile-select');
+    const details = document.getElementById('connection-profile-details');
+    if (!select) return;
+
+    const profiles = ConnectionProfileManager.getProfiles();
+    const selected = ConnectionProfileManager.getSelectedProfile();
+
+    select.innerHTML = '';
+    profiles.forEach((profile) => {
+      const option = document.createElement('option');
+      option.value = profile.name;
+      option.textContent = profile.name;
+      select.appendChild(option);
+    });
+
+    select.value = selected ? selected.name : '';
+    select.disabled = this.isInitializing || profiles.length === 0;
+
+    if (details) {
+      details.textContent = selected ? `${selected.host}:${selected.port}` : '-';
+    }
+  },
+
+  /**
+   * Handle connection profile selection
+   * @param {string} name - Selected profile name
+   */
+  async handleProfileChange(name) {
+    Logger.debug('TutorialHomeScreen - Connection profile selected:', name);
+
+    try {
+      await ConnectionProfileManager.selectProfile(name);
+    } catch (error) {
+      Logger.error('TutorialHomeScreen - Failed to select connection profile:', error);
+      alert(`Connection Profile Error\n\n${error.message}`);
+      this.renderConnectionProfiles();
+    }
   },
 
   /**
@@ -71,28 +135,36 @@ const TutorialHomeScreen = {
     if (langSelectorBtn) {
       langSelectorBtn.onclick = this.handleLanguageSelectorPress.bind(this);
     }
+
+    const importBtn = document.getElementById('connection-profile-import-btn');
+    if (importBtn) {
+      importBtn.onclick = () => NavigationService.navigate('ConnectionProfileImport');
+    }
+
+    const advancedBtn = document.getElementById('advanced-settings-btn');
+    if (advancedBtn) {
+      advancedBtn.onclick = () => NavigationService.navigate('AdvancedSettings');
+    }
   },
 
   /**
    * Register SDK event handlers for initialize flow
+   * Subscribes alongside other listeners instead of replacing their handlers;
+   * the scope drops them when the screen is left
+   *
+   * @param {ScreenScope} scope
    */
-  registerSDKEventHandlers() {
-    const eventManager = rdnaService.getEventManager();
-
-    // Preserve original handlers
-    this.originalProgressHandler = eventManager.initializeProgressHandler;
-    this.originalErrorHandler = eventManager.initializeErrorHandler;
-
-    // Set progress handler
-    eventManager.setInitializeProgressHandler((data) => {
-      console.log('TutorialHomeScreen - Progress update:', JSON.stringify(data, null, 2));
+  registerSDKEventHandlers(scope) {
+    // Progress subscription
+    scope.on('onInitializeProgress', (data) => {
+      Logger.debug('TutorialHomeScreen - Progress update:', JSON.stringify(data, null, 2));
       const message = getProgressMessage(data);
       this.updateProgress(message);
     });
 
-    // Set error handler for this screen
-    eventManager.setInitializeErrorHandler((errorData) => {
-      console.log('TutorialHomeScreen - Received initialize error:', JSON.stringify(errorData, null, 2));
+    // Error subscription for this screen
+    scope.on('onInitializeError', (errorData) => {
+      Logger.debug('TutorialHomeScreen - Received initialize error:', JSON.stringify(errorData, null, 2));
 
       // Update UI state
       this.isInitializing = false;
@@ -105,25 +177,9 @@ const TutorialHomeScreen = {
         longErrorCode: errorData.longErrorCode,
         errorString: errorData.errorString,
       });
-
-      // Restore original handlers
-      this.restoreOriginalHandlers();
     });
   },
 
-  /**
-   * Restore original event handlers (cleanup)
-   */
-  restoreOriginalHandlers() {
-    const eventManager = rdnaService.getEventManager();
-    if (this.originalProgressHandler) {
-      eventManager.setInitializeProgressHandler(this.originalProgressHandler);
-    }
-    if (this.originalErrorHandler) {
-      eventManager.setInitializeErrorHandler(this.originalErrorHandler);
-    }
-  },
-
   /**
    * Load and display SDK version
    */
@@ -136,7 +192,7 @@ const TutorialHomeScreen = {
       const version = await rdnaService.getSDKVersion();
       versionElement.textContent = version;
     } catch (error) {
-      console.error('TutorialHomeScreen - Failed to load SDK version:', error);
+      Logger.error('TutorialHomeScreen - Failed to load SDK version:', error);
       versionElement.textContent = 'Unknown';
     }
   },
@@ -146,17 +202,89 @@ const TutorialHomeScreen = {
    */
   handleInitializePress() {
     if (this.isInitializing) {
-      console.log('TutorialHomeScreen - Already initializing, ignoring click');
+      Logger.debug('TutorialHomeScreen - Already initializing, ignoring click');
       return;
     }
 
-    console.log('TutorialHomeScreen - User clicked Initialize button');
+    Logger.debug('TutorialHomeScreen - User clicked Initialize button');
 
     // Update state
     this.isInitializing = true;
     this.updateButtonState(true);
     this.showProgress('Starting RDNA initialization...');
 
+    const initOptions = this.buildInitOptions();
+
+    // Back here after a session timeout or with another profile selected:
+    // the native SDK still holds the old session, so tear it down first
+    if (rdnaService.isInitialized()) {
+      this.handleReinitialize(initOptions);
+      return;
+    }
+
+    // Call rdnaService.initialize() with custom configuration
+    // Pass initOptions to customize SDK behavior
+    // Or call without parameters: rdnaService.initialize() to use defaults
+    rdnaService.initialize(initOptions)
+      .then((syncResponse) => {
+        Logger.debug('TutorialHomeScreen - RDNA initialization sync response:', JSON.stringify({
+          longErrorCode: syncResponse.error?.longErrorCode,
+          shortErrorCode: syncResponse.error?.shortErrorCode,
+          errorString: syncResponse.error?.errorString
+        }, null, 2));
+
+        // Sync response success - waiting for async events (onInitialized or onInitializeError)
+      })
+      .catch((error) => this.handleInitializeFailure(error));
+  },
+
+  /**
+   * Re-initialize the SDK (logOff → terminate → reset → initialize)
+   * onInitializeError still navigates to TutorialError through the screen subscription
+   *
+   * @param {InitOptions} initOptions
+   */
+  handleReinitialize(initOptions) {
+    Logger.debug('TutorialHomeScreen - SDK already initialized, re-initializing');
+
+    rdnaService.reinitialize({
+      initOptions,
+      onProgress: (message) => this.updateProgress(message)
+    })
+      .then(() => {
+        Logger.debug('TutorialHomeScreen - SDK re-initialized, waiting for getUser');
+      })
+      .catch((error) => {
+        if (error.eventName === 'onInitializeError') return;
+        this.handleInitializeFailure(error);
+      });
+  },
+
+  /**
+   * Reset the UI and report an initialize() call the SDK refused
+   * @param {RdnaError} error
+   */
+  handleInitializeFailure(error) {
+    Logger.error('TutorialHomeScreen - RDNA initialization promise rejected:', JSON.stringify(error, null, 2));
+
+    // Update UI
+    this.isInitializing = false;
+    this.updateButtonState(false);
+    this.hideProgress();
+
+    // Show error alert
+    const errorMessage = error.error
+      ? `${error.error.errorString}\n\nError Codes:\nLong: ${error.error.longErrorCode}\nShort: ${error.error.shortErrorCode}`
+      : (error.message || 'Initialization failed');
+
+    alert(`Initialization Failed\n\n${errorMessage}`);
+  },
+
+  /**
+   * Build the initOptions sent to rdnaService.initialize()
+   * @returns {InitOptions}
+   */
+  buildInitOptions() {
     // ========================================
     // CONFIGURE SDK INITIALIZATION OPTIONS
     // ========================================
@@ -168,7 +296,7 @@ const TutorialHomeScreen = {
       direction: 0
     };
 
-    console.log('TutorialHomeScreen - Initializing with language:', JSON.stringify({
+    Logger.debug('TutorialHomeScreen - Initializing with language:', JSON.stringify({
       locale: currentLanguage.lang,
       display_text: currentLanguage.display_text,
       nativeName: currentLanguage.nativeName,
@@ -202,39 +330,8 @@ const TutorialHomeScreen = {
       }
     };
 
-    console.log('TutorialHomeScreen - Initializing with custom options:', JSON.stringify(initOptions, null, 2));
-
-    // Call rdnaService.initialize() with custom configuration
-    // Pass initOptions to customize SDK behavior
-    // Or call without parameters: rdnaService.initialize() to use defaults
-    rdnaService.initialize(initOptions)
-      .then((syncResponse) => {
-        console.log('TutorialHomeScreen - RDNA initialization sync response:', JSON.stringify({
-          longErrorCode: syncResponse.error?.longErrorCode,
-          shortErrorCode: syncResponse.error?.shortErrorCode,
-          errorString: syncResponse.error?.errorString
-        }, null, 2));
-
-        // Sync response success - waiting for async events (onInitialized or onInitializeError)
-      })
-      .catch((error) => {
-        console.error('TutorialHomeScreen - RDNA initialization promise rejected:', JSON.stringify(error, null, 2));
-
-        // Update UI
-        this.isInitializing = false;
-        this.updateButtonState(false);
-        this.hideProgress();
-
-        // Show error alert
-        const errorMessage = error.error
-          ? `${error.error.errorString}\n\nError Codes:\nLong: ${error.error.longErrorCode}\nShort: ${error.error.shortErrorCode}`
-          : 'Initialization failed';
-
-        alert(`Initialization Failed\n\n${errorMessage}`);
-
-        // Restore original handlers
-        this.restoreOriginalHandlers();
-      });
+    Logger.debug('TutorialHomeScreen - Initializing with custom options:', JSON.stringify(initOptions, null, 2));
+    return initOptions;
   },
 
   /**
@@ -242,6 +339,18 @@ const TutorialHomeScreen = {
    * @param {boolean} isLoading - Whether button should show loading state
    */
   updateButtonState(isLoading) {
+    // Profile cannot change while the SDK is connecting
+    const profileSelect = document.getElementById('connection-profile-select');
+    if (profileSelect) {
+      profileSelect.disabled = isLoading || ConnectionProfileManager.getProfiles().length === 0;
+    }
+    ['connection-profile-import-btn', 'advanced-settings-btn'].forEach((id) => {
+      const profileButton = document.getElementById(id);
+      if (profileButton) {
+        profileButton.disabled = isLoading;
+      }
+    });
+
     const button = document.getElementById('initialize-btn');
     if (!button) return;
 
@@ -297,13 +406,13 @@ const TutorialHomeScreen = {
   updateLanguageDisplay() {
     const languageManager = window.LanguageManager;
     if (!languageManager) {
-      console.warn('TutorialHomeScreen - LanguageManager not available');
+      Logger.warn('TutorialHomeScreen - LanguageManager not available');
       return;
     }
 
     const currentLanguage = languageManager.getCurrentLanguage();
     if (!currentLanguage) {
-      console.warn('TutorialHomeScreen - No current language');
+      Logger.warn('TutorialHomeScreen - No current language');
       return;
     }
 
@@ -319,7 +428,7 @@ const TutorialHomeScreen = {
       rtlBadge.style.display = currentLanguage.isRTL ? 'block' : 'none';
     }
 
-    console.log('TutorialHomeScreen - Language display updated:', currentLanguage.display_text);
+    Logger.debug('TutorialHomeScreen - Language display updated:', currentLanguage.display_text);
   },
 
   /**
@@ -327,7 +436,7 @@ const TutorialHomeScreen = {
    * @param {CustomEvent} event - Language changed event
    */
   handleLanguageChange(event) {
-    console.log('TutorialHomeScreen - Language changed event received');
+    Logger.debug('TutorialHomeScreen - Language changed event received');
     this.updateLanguageDisplay();
   },
 
@@ -337,15 +446,15 @@ const TutorialHomeScreen = {
    */
   handleLanguageSelectorPress() {
     if (this.isInitializing) {
-      console.log('TutorialHomeScreen - Cannot change language during initialization');
+      Logger.debug('TutorialHomeScreen - Cannot change language during initialization');
       return;
     }
 
-    console.log('TutorialHomeScreen - Language selector button clicked');
+    Logger.debug('TutorialHomeScreen - Language selector button clicked');
 
     const languageSelector = window.LanguageSelector;
     if (!languageSelector) {
-      console.error('TutorialHomeScreen - LanguageSelector not available');
+      Logger.error('TutorialHomeScreen - LanguageSelector not available');
       return;
     }
 
@@ -353,7 +462,7 @@ const TutorialHomeScreen = {
     languageSelector.show({
       onSelect: this.handleLanguageSelect.bind(this),
       onClose: () => {
-        console.log('TutorialHomeScreen - Language selector closed');
+        Logger.debug('TutorialHomeScreen - Language selector closed');
       }
     });
   },
@@ -363,11 +472,11 @@ const TutorialHomeScreen = {
    * @param {Language} language - Selected language
    */
   async handleLanguageSelect(language) {
-    console.log('TutorialHomeScreen - Language selected:', language.display_text);
+    Logger.debug('TutorialHomeScreen - Language selected:', language.display_text);
 
     const languageManager = window.LanguageManager;
     if (!languageManager) {
-      console.error('TutorialHomeScreen - LanguageManager not available');
+      Logger.error('TutorialHomeScreen - LanguageManager not available');
       return;
     }
 
@@ -375,12 +484,12 @@ const TutorialHomeScreen = {
       // Update language in LanguageManager (persists to localStorage)
       await languageManager.changeLanguage(language);
 
-      console.log('TutorialHomeScreen - Language changed successfully to:', language.display_text);
+      Logger.debug('TutorialHomeScreen - Language changed successfully to:', language.display_text);
 
       // Show confirmation alert
       alert(`Language Changed\n\nLanguage changed to ${language.nativeName}. The SDK will use this language when initialized.`);
     } catch (error) {
-      console.error('TutorialHomeScreen - Failed to change language:', error);
+      Logger.error('TutorialHomeScreen - Failed to change language:', error);
       alert('Error\n\nFailed to change language. Please try again.');
     }
   }
@@ -25,7 +25,7 @@ const TutorialSuccessScreen = {
    * @param {Object} params - Navigation parameters with session details
    */
   onContentLoaded(params) {
-    console.log('TutorialSuccessScreen - Content loaded with params:', JSON.stringify(params, null, 2));
+    Logger.debug('TutorialSuccessScreen - Content loaded with params:', JSON.stringify(params, null, 2));
 
     // Populate screen with session details
     this.populateSessionDetails(params);
@@ -58,7 +58,7 @@ const TutorialSuccessScreen = {
       sessionIdElement.textContent = formattedSessionId;
     }
 
-    console.log('TutorialSuccessScreen - Session details populated');
+    Logger.debug('TutorialSuccessScreen - Session details populated');
   },
 
   /**
@@ -0,0 +1,100 @@
+/**
+ * Unsupported Challenge Screen
+ *
+ * Default destination of ChallengeRouter when the SDK asks for a challengeMode
+ * that no module has registered a handler for. Shows the challenge details and
+ * lets the user start over through resetAuthState().
+ *
+ * SPA Pattern:
+ * - onContentLoaded(params) receives navigation parameters directly
+ * - No deviceready listener (called by NavigationService)
+ *
+ * Navigation Parameters:
+ * @param {string} params.eventName - SDK event that carried the challenge (e.g. 'getPassword')
+ * @param {number} params.challengeMode - Challenge mode without a handler
+ * @param {string} [params.userID] - User the challenge was raised for
+ */
+
+const UnsupportedChallengeScreen = {
+  /**
+   * Guards against double taps while resetAuthState is in flight
+   */
+  isResetting: false,
+
+  /**
+   * Called when screen content is loaded into DOM (SPA lifecycle)
+   * @param {Object} params - Navigation parameters with challenge details
+   */
+  onContentLoaded(params) {
+    Logger.debug('UnsupportedChallengeScreen - Content loaded with params:', JSON.stringify(params, null, 2));
+
+    this.isResetting = false;
+    this.populateDetails(params);
+    this.setupEventListeners();
+  },
+
+  /**
+   * Populate screen with challenge details from params
+   * @param {Object} params - Challenge details
+   */
+  populateDetails(params) {
+    const { eventName, challengeMode, userID } = params;
+
+    const eventElement = document.getElementById('unsupported-event-name');
+    if (eventElement) {
+      eventElement.textContent = eventName || 'N/A';
+    }
+
+    const modeElement = document.getElementById('unsupported-challenge-mode');
+    if (modeElement) {
+      modeElement.textContent = challengeMode !== undefined ? challengeMode : 'N/A';
+    }
+
+    const userElement = document.getElementById('unsupported-user-id');
+    if (userElement) {
+      userElement.textContent = userID || 'N/A';
+    }
+  },
+
+  setupEventListeners() {
+    const resetBtn = document.getElementById('unsupported-reset-btn');
+    if (resetBtn) {
+      resetBtn.onclick = () => this.handleReset();
+    }
+  },
+
+  /**
+   * Reset the authentication flow
+   * SDK will trigger getUser event automatically
+   */
+  async handleReset() {
+    if (this.isResetting) return;
+
+    Logger.debug('UnsupportedChallengeScreen - Start over clicked, calling resetAuthState');
+    this.setLoading(true);
+
+    try {
+      await rdnaService.resetAuthState();
+      Logger.debug('UnsupportedChallengeScreen - ResetAuthState successful, waiting for getUser event');
+    } catch (error) {
+      Logger.error('UnsupportedChallengeScreen - ResetAuthState error:', error);
+      this.setLoading(false);
+      alert('Reset Error\n\n' + (error.error?.errorString || 'Failed to reset authentication'));
+    }
+  },
+
+  setLoading(isLoading) {
+    this.isResetting = isLoading;
+
+    const resetBtn = document.getElementById('unsupported-reset-btn');
+    const btnText = document.getElementById('unsupported-reset-btn-text');
+    const btnLoader = document.getElementById('unsupported-reset-btn-loader');
+
+    if (resetBtn) resetBtn.disabled = isLoading;
+    if (btnText) btnText.style.display = isLoading ? 'none' : 'inline';
+    if (btnLoader) btnLoader.style.display = isLoading ? 'inline-flex' : 'none';
+  }
+};
+
+// Expose to global scope for NavigationService
+window.UnsupportedChallengeScreen = UnsupportedChallengeScreen;
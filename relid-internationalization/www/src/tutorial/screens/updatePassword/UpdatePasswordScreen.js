@@ -41,15 +41,16 @@ const UpdatePasswordScreen = {
    * Replaces React's componentDidMount / useEffect + useFocusEffect
    *
    * @param {Object} params - Navigation parameters
+   * @param {ScreenScope} scope - Released when the screen is left
    */
-  onContentLoaded(params) {
-    console.log('UpdatePasswordScreen - Content loaded, params:', JSON.stringify(params, null, 2));
+  onContentLoaded(params, scope) {
+    Logger.debug('UpdatePasswordScreen - Content loaded, params:', JSON.stringify(params, null, 2));
 
     // Store user params for navigation back to Dashboard
     this.userParams = params || {};
 
     // Set up screen-level event handler for onUpdateCredentialResponse
-    this.setupEventHandler();
+    this.setupEventHandler(scope);
 
     // Setup UI event listeners
     this.setupEventListeners();
@@ -66,14 +67,14 @@ const UpdatePasswordScreen = {
 
   /**
    * Set up screen-level event handler for onUpdateCredentialResponse
-   * This handler is specific to this screen and is cleaned up when screen is unloaded
+   * This handler is specific to this screen and is released with the screen scope
+   *
+   * @param {ScreenScope} scope
    */
-  setupEventHandler() {
-    const eventManager = rdnaService.getEventManager();
-
+  setupEventHandler(scope) {
     // Create bound handler function
     this._updateCredentialHandler = (data) => {
-      console.log('UpdatePasswordScreen - Update credential response received:', JSON.stringify({
+      Logger.debug('UpdatePasswordScreen - Update credential response received:', JSON.stringify({
         userID: data.userID,
         credType: data.credType,
         statusCode: data.status.statusCode,
@@ -91,7 +92,7 @@ const UpdatePasswordScreen = {
 
       if(errorCode != 0){
         this.showErrorDialog('Update Failed', errorString, () => {
-          console.log('UpdatePasswordScreen - Critical error:'+errorCode);
+          Logger.debug('UpdatePasswordScreen - Critical error:'+errorCode);
           NavigationService.navigate('Dashboard', this.userParams);
         });
         return;
@@ -114,7 +115,7 @@ const UpdatePasswordScreen = {
         this.showErrorDialog('Update Failed', statusMessage, () => {
           // User will be logged off automatically by SDK
           // getUser event will be triggered and handled
-          console.log('UpdatePasswordScreen - Critical error, waiting for onUserLoggedOff and getUser events');
+          Logger.debug('UpdatePasswordScreen - Critical error, waiting for onUserLoggedOff and getUser events');
         });
       } else {
         // Other status cases
@@ -122,7 +123,7 @@ const UpdatePasswordScreen = {
         this.clearFields();
         this.error = statusMessage || 'Failed to update password';
         this.updateErrorDisplay();
-        console.error('UpdatePasswordScreen - Update credential statusMessage:', statusMessage);
+        Logger.error('UpdatePasswordScreen - Update credential statusMessage:', statusMessage);
         this.showErrorDialog('Update Failed', statusMessage, () => {
           NavigationService.navigate('Dashboard', this.userParams);
         });
@@ -131,18 +132,25 @@ const UpdatePasswordScreen = {
     };
 
     // Register the handler
-    eventManager.setUpdateCredentialResponseHandler(this._updateCredentialHandler);
-    console.log('UpdatePasswordScreen - Screen-level event handler registered');
+    scope.on('onUpdateCredentialResponse', this._updateCredentialHandler);
+    Logger.debug('UpdatePasswordScreen - Screen-level event handler registered');
   },
 
   /**
-   * Clean up event handler when screen is unloaded
+   * Stay on the screen while the update is being submitted
+   * @returns {boolean}
+   */
+  onBeforeLeave() {
+    return !this.isSubmitting;
+  },
+
+  /**
+   * Reset state when screen is unloaded (the scope releases the event handler)
    */
   onContentUnloaded() {
-    console.log('UpdatePasswordScreen - Content unloaded, cleaning up event handler');
-    const eventManager = rdnaService.getEventManager();
-    eventManager.setUpdateCredentialResponseHandler(undefined);
+    Logger.debug('UpdatePasswordScreen - Content unloaded');
     this._updateCredentialHandler = null;
+    this.isSubmitting = false;
   },
 
   /**
@@ -242,11 +250,11 @@ const UpdatePasswordScreen = {
   initializeData(params) {
     const responseData = params?.responseData;
     if (!responseData) {
-      console.warn('UpdatePasswordScreen - No response data provided');
+      Logger.warn('UpdatePasswordScreen - No response data provided');
       return;
     }
 
-    console.log('UpdatePasswordScreen - Processing response data');
+    Logger.debug('UpdatePasswordScreen - Processing response data');
 
     // Extract challenge data
     this.userName = responseData.userID || '';
@@ -266,11 +274,11 @@ const UpdatePasswordScreen = {
     const policyJsonString = this.getChallengeValue(responseData, 'RELID_PASSWORD_POLICY');
     if (policyJsonString) {
       this.passwordPolicyMessage = parseAndGeneratePolicyMessage(policyJsonString);
-      console.log('UpdatePasswordScreen - Password policy extracted:', this.passwordPolicyMessage);
+      Logger.debug('UpdatePasswordScreen - Password policy extracted:', this.passwordPolicyMessage);
       this.updatePolicyDisplay();
     }
 
-    console.log('UpdatePasswordScreen - Processed password data:', JSON.stringify({
+    Logger.debug('UpdatePasswordScreen - Processed password data:', JSON.stringify({
       userID: responseData.userID,
       challengeMode: responseData.challengeMode,
       attemptsLeft: responseData.attemptsLeft,
@@ -280,7 +288,7 @@ const UpdatePasswordScreen = {
     // Check for API errors (error.longErrorCode !== 0)
     if (responseData.error && responseData.error.longErrorCode !== 0) {
       const errorMessage = responseData.error.errorString || 'An error occurred';
-      console.log('UpdatePasswordScreen - API error:', errorMessage);
+      Logger.debug('UpdatePasswordScreen - API error:', errorMessage);
       this.error = errorMessage;
       this.updateErrorDisplay();
       // Clear all password fields on error
@@ -296,7 +304,7 @@ const UpdatePasswordScreen = {
     const statusMessage = responseData.challengeResponse?.status?.statusMessage;
 
     if (statusCode && statusCode !== 100 && statusCode !== 0) {
-      console.log('UpdatePasswordScreen - Status error:', statusCode, statusMessage);
+      Logger.debug('UpdatePasswordScreen - Status error:', statusCode, statusMessage);
       this.error = statusMessage || 'An error occurred';
       this.updateErrorDisplay();
       // Clear all password fields on error
@@ -354,7 +362,7 @@ const UpdatePasswordScreen = {
    */
   async handleSubmit() {
     if (this.isSubmitting) {
-      console.log('UpdatePasswordScreen - Already submitting, ignoring');
+      Logger.debug('UpdatePasswordScreen - Already submitting, ignoring');
       return;
     }
 
@@ -396,11 +404,11 @@ const UpdatePasswordScreen = {
     this.updateSubmitButton();
 
     try {
-      console.log('UpdatePasswordScreen - Calling updatePassword API with challengeMode 2');
+      Logger.debug('UpdatePasswordScreen - Calling updatePassword API with challengeMode 2');
       await rdnaService.updatePassword(this.currentPassword, this.newPassword, 2);
-      console.log('UpdatePasswordScreen - updatePassword sync response success, waiting for onUpdateCredentialResponse event');
+      Logger.debug('UpdatePasswordScreen - updatePassword sync response success, waiting for onUpdateCredentialResponse event');
     } catch (error) {
-      console.error('UpdatePasswordScreen - updatePassword sync error:', error);
+      Logger.error('UpdatePasswordScreen - updatePassword sync error:', error);
       this.isSubmitting = false;
       this.updateSubmitButton();
 
@@ -0,0 +1,153 @@
+/**
+ * Error Messages
+ *
+ * User-facing messages for the REL-ID error catalog (RDNA_ERROR_CATALOG in
+ * rdnaErrors.js), one bundle per language of DEFAULT_SUPPORTED_LANGUAGES and
+ * keyed by the same locale code.
+ *
+ * Adding a language: add it to DEFAULT_SUPPORTED_LANGUAGES (languageConfig.js) and
+ * add its bundle here. Missing messages fall back to the DEFAULT_LANGUAGE bundle.
+ *
+ * @fileoverview Localized error messages for the web layer
+ */
+
+/**
+ * Message id → text, per locale code
+ * @type {Object<string, Object<string, string>>}
+ */
+const ERROR_MESSAGES = {
+  // English
+  'en-US': {
+    networkUnavailable: 'No network connection. Please check your connection and try again.',
+    serverUnreachable: 'Unable to reach the server. Please try again.',
+    serverError: 'The server could not process the request. Please try again later.',
+    requestTimedOut: 'The request timed out. Please try again.',
+    sessionExpired: 'Your session has expired. Please log in again.',
+    authFailed: 'Authentication failed. Please check your credentials and try again.',
+    authCancelled: 'Local device authentication was cancelled. Please try again.',
+    authLockedOut: 'Too many failed attempts. Please wait a while and try again.',
+    attemptsExhausted: 'Attempts exhausted. For security reasons you will be logged out.',
+    passwordExpired: 'Your password has expired. Please update it to continue.',
+    passwordPolicy: 'The password does not meet the password policy. Please choose another one.',
+    authMethodUnsupported: 'This authentication method is not supported. Please try a different one.',
+    alreadyInState: 'Nothing to update - this setting is already in the requested state.',
+    deviceBlocked: 'This device has been blocked. Please contact your administrator.',
+    deviceLimitReached: 'Device limit reached. Remove a device or contact your administrator.',
+    coolingPeriod: 'Device management operations are temporarily disabled. Please try again later.',
+    deviceInsecure: 'Your device is not secure. Please resolve the reported threats and try again.',
+    accessDenied: 'You do not have permission to perform this action.',
+    operationCancelled: 'The operation was cancelled.',
+    operationInProgress: 'Another operation is still in progress. Please wait for it to finish and try again.',
+    unexpectedResponse: 'The app received an unexpected response. Please try again.',
+    unknown: 'Something went wrong. Please try again.'
+  },
+
+  // Hindi
+  'hi-IN': {
+    networkUnavailable: 'कोई नेटवर्क कनेक्शन नहीं है। कृपया अपना कनेक्शन जांचें और पुन: प्रयास करें।',
+    serverUnreachable: 'सर्वर से संपर्क नहीं हो सका। कृपया पुन: प्रयास करें।',
+    serverError: 'सर्वर अनुरोध संसाधित नहीं कर सका। कृपया बाद में पुन: प्रयास करें।',
+    requestTimedOut: 'अनुरोध का समय समाप्त हो गया। कृपया पुन: प्रयास करें।',
+    sessionExpired: 'आपका सत्र समाप्त हो गया है। कृपया फिर से लॉग इन करें।',
+    authFailed: 'प्रमाणीकरण विफल रहा। कृपया अपनी जानकारी जांचें और पुन: प्रयास करें।',
+    authCancelled: 'स्थानीय डिवाइस प्रमाणीकरण रद्द कर दिया गया। कृपया पुन: प्रयास करें।',
+    authLockedOut: 'बहुत अधिक असफल प्रयास। कृपया कुछ देर प्रतीक्षा करें और पुन: प्रयास करें।',
+    attemptsExhausted: 'प्रयास समाप्त हो गए। सुरक्षा कारणों से आपको लॉग आउट कर दिया जाएगा।',
+    passwordExpired: 'आपका पासवर्ड समाप्त हो गया है। जारी रखने के लिए कृपया इसे अपडेट करें।',
+    passwordPolicy: 'पासवर्ड नीति को पूरा नहीं करता। कृपया कोई दूसरा पासवर्ड चुनें।',
+    authMethodUnsupported: 'यह प्रमाणीकरण विधि समर्थित नहीं है। कृपया कोई दूसरी विधि आज़माएं।',
+    alreadyInState: 'अपडेट करने के लिए कुछ नहीं - यह सेटिंग पहले से ही अनुरोधित स्थिति में है।',
+    deviceBlocked: 'यह डिवाइस ब्लॉक कर दिया गया है। कृपया अपने व्यवस्थापक से संपर्क करें।',
+    deviceLimitReached: 'डिवाइस सीमा पूरी हो गई। कोई डिवाइस हटाएं या अपने व्यवस्थापक से संपर्क करें।',
+    coolingPeriod: 'डिवाइस प्रबंधन कार्य अस्थायी रूप से बंद हैं। कृपया बाद में पुन: प्रयास करें।',
+    deviceInsecure: 'आपका डिवाइस सुरक्षित नहीं है। कृपया बताए गए खतरों को ठीक करें और पुन: प्रयास करें।',
+    accessDenied: 'आपको यह कार्य करने की अनुमति नहीं है।',
+    operationCancelled: 'कार्रवाई रद्द कर दी गई।',
+    operationInProgress: 'एक अन्य कार्रवाई अभी जारी है। कृपया उसके पूरा होने की प्रतीक्षा करें और पुन: प्रयास करें।',
+    unexpectedResponse: 'ऐप को एक अप्रत्याशित प्रतिक्रिया मिली। कृपया पुन: प्रयास करें।',
+    unknown: 'कुछ गलत हो गया। कृपया पुन: प्रयास करें।'
+  },
+
+  // Arabic
+  'ar-SA': {
+    networkUnavailable: 'لا يوجد اتصال بالشبكة. يرجى التحقق من الاتصال والمحاولة مرة أخرى.',
+    serverUnreachable: 'تعذر الوصول إلى الخادم. يرجى المحاولة مرة أخرى.',
+    serverError: 'تعذر على الخادم معالجة الطلب. يرجى المحاولة لاحقًا.',
+    requestTimedOut: 'انتهت مهلة الطلب. يرجى المحاولة مرة أخرى.',
+    sessionExpired: 'انتهت صلاحية جلستك. يرجى تسجيل الدخول مرة أخرى.',
+    authFailed: 'فشلت المصادقة. يرجى التحقق من بيانات الاعتماد والمحاولة مرة أخرى.',
+    authCancelled: 'تم إلغاء مصادقة الجهاز المحلية. يرجى المحاولة مرة أخرى.',
+    authLockedOut: 'محاولات فاشلة كثيرة جدًا. يرجى الانتظار قليلًا ثم المحاولة مرة أخرى.',
+    attemptsExhausted: 'تم استنفاد المحاولات. لأسباب أمنية سيتم تسجيل خروجك.',
+    passwordExpired: 'انتهت صلاحية كلمة المرور. يرجى تحديثها للمتابعة.',
+    passwordPolicy: 'كلمة المرور لا تفي بسياسة كلمات المرور. يرجى اختيار كلمة أخرى.',
+    authMethodUnsupported: 'طريقة المصادقة هذه غير مدعومة. يرجى تجربة طريقة أخرى.',
+    alreadyInState: 'لا يوجد ما يتم تحديثه - هذا الإعداد في الحالة المطلوبة بالفعل.',
+    deviceBlocked: 'تم حظر هذا الجهاز. يرجى التواصل مع المسؤول.',
+    deviceLimitReached: 'تم بلوغ الحد الأقصى للأجهزة. أزل جهازًا أو تواصل مع المسؤول.',
+    coolingPeriod: 'عمليات إدارة الأجهزة معطلة مؤقتًا. يرجى المحاولة لاحقًا.',
+    deviceInsecure: 'جهازك غير آمن. يرجى معالجة التهديدات المبلغ عنها والمحاولة مرة أخرى.',
+    accessDenied: 'ليس لديك إذن لتنفيذ هذا الإجراء.',
+    operationCancelled: 'تم إلغاء العملية.',
+    operationInProgress: 'لا تزال عملية أخرى قيد التنفيذ. يرجى الانتظار حتى تنتهي ثم المحاولة مرة أخرى.',
+    unexpectedResponse: 'تلقى التطبيق استجابة غير متوقعة. يرجى المحاولة مرة أخرى.',
+    unknown: 'حدث خطأ ما. يرجى المحاولة مرة أخرى.'
+  },
+
+  // Spanish
+  'es-ES': {
+    networkUnavailable: 'No hay conexión de red. Verifique su conexión e intente de nuevo.',
+    serverUnreachable: 'No se pudo conectar con el servidor. Intente de nuevo.',
+    serverError: 'El servidor no pudo procesar la solicitud. Intente más tarde.',
+    requestTimedOut: 'La solicitud agotó el tiempo de espera. Intente de nuevo.',
+    sessionExpired: 'Su sesión ha expirado. Inicie sesión de nuevo.',
+    authFailed: 'La autenticación falló. Verifique sus credenciales e intente de nuevo.',
+    authCancelled: 'Se canceló la autenticación local del dispositivo. Intente de nuevo.',
+    authLockedOut: 'Demasiados intentos fallidos. Espere un momento e intente de nuevo.',
+    attemptsExhausted: 'Intentos agotados. Por motivos de seguridad se cerrará su sesión.',
+    passwordExpired: 'Su contraseña ha expirado. Actualícela para continuar.',
+    passwordPolicy: 'La contraseña no cumple la política de contraseñas. Elija otra.',
+    authMethodUnsupported: 'Este método de autenticación no es compatible. Pruebe otro.',
+    alreadyInState: 'Nada que actualizar: este ajuste ya está en el estado solicitado.',
+    deviceBlocked: 'Este dispositivo ha sido bloqueado. Contacte a su administrador.',
+    deviceLimitReached: 'Se alcanzó el límite de dispositivos. Elimine uno o contacte a su administrador.',
+    coolingPeriod: 'Las operaciones de gestión de dispositivos están deshabilitadas temporalmente. Intente más tarde.',
+    deviceInsecure: 'Su dispositivo no es seguro. Resuelva las amenazas detectadas e intente de nuevo.',
+    accessDenied: 'No tiene permiso para realizar esta acción.',
+    operationCancelled: 'La operación fue cancelada.',
+    operationInProgress: 'Otra operación sigue en curso. Espere a que termine e intente de nuevo.',
+    unexpectedResponse: 'La aplicación recibió una respuesta inesperada. Intente de nuevo.',
+    unknown: 'Algo salió mal. Intente de nuevo.'
+  },
+
+  // French
+  'fr-FR': {
+    networkUnavailable: 'Aucune connexion réseau. Vérifiez votre connexion et réessayez.',
+    serverUnreachable: 'Impossible de joindre le serveur. Veuillez réessayer.',
+    serverError: 'Le serveur n\'a pas pu traiter la demande. Veuillez réessayer plus tard.',
+    requestTimedOut: 'La demande a expiré. Veuillez réessayer.',
+    sessionExpired: 'Votre session a expiré. Veuillez vous reconnecter.',
+    authFailed: 'L\'authentification a échoué. Vérifiez vos identifiants et réessayez.',
+    authCancelled: 'L\'authentification locale de l\'appareil a été annulée. Veuillez réessayer.',
+    authLockedOut: 'Trop de tentatives échouées. Patientez un moment puis réessayez.',
+    attemptsExhausted: 'Tentatives épuisées. Pour des raisons de sécurité, vous allez être déconnecté.',
+    passwordExpired: 'Votre mot de passe a expiré. Veuillez le mettre à jour pour continuer.',
+    passwordPolicy: 'Le mot de passe ne respecte pas la politique de mot de passe. Veuillez en choisir un autre.',
+    authMethodUnsupported: 'Cette méthode d\'authentification n\'est pas prise en charge. Veuillez en essayer une autre.',
+    alreadyInState: 'Rien à mettre à jour : ce paramètre est déjà dans l\'état demandé.',
+    deviceBlocked: 'Cet appareil a été bloqué. Veuillez contacter votre administrateur.',
+    deviceLimitReached: 'Limite d\'appareils atteinte. Supprimez un appareil ou contactez votre administrateur.',
+    coolingPeriod: 'Les opérations de gestion des appareils sont temporairement désactivées. Veuillez réessayer plus tard.',
+    deviceInsecure: 'Votre appareil n\'est pas sécurisé. Veuillez corriger les menaces signalées et réessayer.',
+    accessDenied: 'Vous n\'avez pas l\'autorisation d\'effectuer cette action.',
+    operationCancelled: 'L\'opération a été annulée.',
+    operationInProgress: 'Une autre opération est encore en cours. Veuillez attendre qu\'elle se termine puis réessayer.',
+    unexpectedResponse: 'L\'application a reçu une réponse inattendue. Veuillez réessayer.',
+    unknown: 'Une erreur s\'est produite. Veuillez réessayer.'
+  }
+};
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.ERROR_MESSAGES = ERROR_MESSAGES;
+}
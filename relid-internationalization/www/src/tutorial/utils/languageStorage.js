@@ -23,10 +23,10 @@ const languageStorage = {
     return new Promise((resolve, reject) => {
       try {
         localStorage.setItem(LANGUAGE_KEY, languageCode);
-        console.log('languageStorage - Language saved to storage:', languageCode);
+        Logger.debug('languageStorage - Language saved to storage:', languageCode);
         resolve();
       } catch (error) {
-        console.error('languageStorage - Failed to save language:', error);
+        Logger.error('languageStorage - Failed to save language:', error);
         reject(error);
       }
     });
@@ -41,10 +41,10 @@ const languageStorage = {
     return new Promise((resolve, reject) => {
       try {
         const code = localStorage.getItem(LANGUAGE_KEY);
-        console.log('languageStorage - Language loaded from storage:', code);
+        Logger.debug('languageStorage - Language loaded from storage:', code);
         resolve(code);
       } catch (error) {
-        console.error('languageStorage - Failed to load language:', error);
+        Logger.error('languageStorage - Failed to load language:', error);
         reject(error);
       }
     });
@@ -59,10 +59,10 @@ const languageStorage = {
     return new Promise((resolve, reject) => {
       try {
         localStorage.removeItem(LANGUAGE_KEY);
-        console.log('languageStorage - Language preference cleared');
+        Logger.debug('languageStorage - Language preference cleared');
         resolve();
       } catch (error) {
-        console.error('languageStorage - Failed to clear language:', error);
+        Logger.error('languageStorage - Failed to clear language:', error);
         reject(error);
       }
     });
@@ -11,11 +11,17 @@
  * - Idempotent (safe to call multiple times)
  *
  * Initialization Order:
+ * 0. LogStore.attachLogger() - Keeps RdnaService/SDKEventProvider logs for the Logs screen
  * 1. RdnaEventManager.initialize() - Registers document.addEventListener for SDK events
  * 2. SDKEventProvider.initialize() - Registers global navigation handlers
- * 3. MTDThreatManager.getInstance().initialize() - Registers MTD threat handlers
- * 4. SessionManager.getInstance().initialize() - Registers session management handlers
- * 5. PushNotificationProvider.initialize() - Initializes FCM and registers device token
+ * 3. AuthFlowStateMachine.initialize() - Tracks the MFA flow state from every SDK event
+ * 4. TelemetryService.initialize() - Traces rdnaService calls, SDK events and auth flows
+ * 5. SessionRecorder.initialize() - Records/replays rdnaService calls and SDK events
+ * 6. MTDThreatManager.getInstance().initialize() - Registers MTD threat handlers
+ * 7. SessionManager.getInstance().initialize() - Registers session management handlers
+ * 8. AppLifecycleManager.initialize() - Revalidates the SDK session on Cordova pause/resume
+ * 9. RememberedUsersManager.initialize() - Remembers logged-in users for the account switcher
+ * 10. PushNotificationProvider.initialize() - Initializes FCM and registers device token
  *
  * Usage:
  * ```javascript
@@ -42,43 +48,66 @@ const AppInitializer = {
    */
   initialize() {
     if (this._initialized) {
-      console.log('AppInitializer - Already initialized, skipping');
+      Logger.debug('AppInitializer - Already initialized, skipping');
       return;
     }
 
-    console.log('AppInitializer - Initializing SDK handlers');
+    Logger.debug('AppInitializer - Initializing SDK handlers');
 
     try {
+      // Step 0: Keep app logs for the Logs screen (SDK logs arrive via RdnaEventManager)
+      LogStore.attachLogger();
+
       // Step 1: Initialize event manager (registers document.addEventListener)
-      console.log('AppInitializer - Initializing RdnaEventManager');
+      Logger.debug('AppInitializer - Initializing RdnaEventManager');
       const eventManager = rdnaService.getEventManager();
       eventManager.initialize();
 
       // Step 2: Initialize SDK event provider (registers global navigation handlers)
-      console.log('AppInitializer - Initializing SDKEventProvider');
+      Logger.debug('AppInitializer - Initializing SDKEventProvider');
       SDKEventProvider.initialize();
 
-      // Step 3: Initialize MTD Threat Manager (registers threat event handlers)
-      console.log('AppInitializer - Initializing MTDThreatManager');
+      // Step 3: Initialize auth flow state machine (observes every SDK event)
+      Logger.debug('AppInitializer - Initializing AuthFlowStateMachine');
+      AuthFlowStateMachine.initialize();
+
+      // Step 4: Initialize telemetry (exports only once initialize() passes an OTLP endpoint)
+      Logger.debug('AppInitializer - Initializing TelemetryService');
+      TelemetryService.initialize();
+
+      // Step 5: Initialize session recorder (wraps rdnaService after telemetry so replayed calls skip the plugin)
+      Logger.debug('AppInitializer - Initializing SessionRecorder');
+      SessionRecorder.initialize();
+
+      // Step 6: Initialize MTD Threat Manager (registers threat event handlers)
+      Logger.debug('AppInitializer - Initializing MTDThreatManager');
       MTDThreatManager.getInstance().initialize();
 
-      // Step 4: Initialize Session Manager (registers session management handlers)
-      console.log('AppInitializer - Initializing SessionManager');
+      // Step 7: Initialize Session Manager (registers session management handlers)
+      Logger.debug('AppInitializer - Initializing SessionManager');
       SessionManager.getInstance().initialize();
 
-      // Step 5: Initialize Push Notification Provider (FCM token registration)
-      console.log('AppInitializer - Initializing PushNotificationProvider');
+      // Step 8: Initialize App Lifecycle Manager (registers pause/resume handlers)
+      Logger.debug('AppInitializer - Initializing AppLifecycleManager');
+      AppLifecycleManager.initialize();
+
+      // Step 9: Initialize Remembered Users Manager (records logins for the account switcher)
+      Logger.debug('AppInitializer - Initializing RememberedUsersManager');
+      RememberedUsersManager.initialize();
+
+      // Step 10: Initialize Push Notification Provider (FCM token registration)
+      Logger.debug('AppInitializer - Initializing PushNotificationProvider');
       // Push notification initialization is async but non-blocking
       // Don't await - let it initialize in background
       PushNotificationProvider.initialize().catch((error) => {
-        console.error('AppInitializer - Push notification initialization failed (non-critical):', JSON.stringify(error, null, 2));
+        Logger.error('AppInitializer - Push notification initialization failed (non-critical):', JSON.stringify(error, null, 2));
       });
 
       this._initialized = true;
-      console.log('AppInitializer - SDK handlers successfully initialized (including MTD, Session, and Push Notifications)');
-      console.log('AppInitializer - Handlers will persist for entire app lifecycle (SPA)');
+      Logger.debug('AppInitializer - SDK handlers successfully initialized (including MTD, Session, and Push Notifications)');
+      Logger.debug('AppInitializer - Handlers will persist for entire app lifecycle (SPA)');
     } catch (error) {
-      console.error('AppInitializer - Failed to initialize:', error);
+      Logger.error('AppInitializer - Failed to initialize:', error);
       throw error;
     }
   },
@@ -96,7 +125,7 @@ const AppInitializer = {
    * @private
    */
   _reset() {
-    console.warn('AppInitializer - Resetting initialization state (for testing only)');
+    Logger.warn('AppInitializer - Resetting initialization state (for testing only)');
     this._initialized = false;
   }
 };
@@ -71,11 +71,11 @@ const MTDThreatManager = {
    */
   initialize() {
     if (this._initialized) {
-      console.log('MTDThreatManager - Already initialized, skipping');
+      Logger.debug('MTDThreatManager - Already initialized, skipping');
       return;
     }
 
-    console.log('MTDThreatManager - Initializing');
+    Logger.debug('MTDThreatManager - Initializing');
 
     // Initialize modal controller
     ThreatDetectionModal.initialize();
@@ -87,7 +87,7 @@ const MTDThreatManager = {
       // Cordova plugin returns threats as direct array (not { threats: [...] })
       const threats = Array.isArray(data) ? data : (data.threats || []);
 
-      console.log('MTDThreatManager - User consent threats received:', JSON.stringify({
+      Logger.debug('MTDThreatManager - User consent threats received:', JSON.stringify({
         count: threats.length,
         threats: threats.map(t => ({ id: t.threatId, name: t.threatName, severity: t.threatSeverity, category: t.threatCategory }))
       }, null, 2));
@@ -95,7 +95,7 @@ const MTDThreatManager = {
       if (threats.length > 0) {
         this.showThreatModal(threats, true);
       } else {
-        console.warn('MTDThreatManager - No threats in user consent event, ignoring');
+        Logger.warn('MTDThreatManager - No threats in user consent event, ignoring');
       }
     });
 
@@ -103,20 +103,20 @@ const MTDThreatManager = {
       // Cordova plugin returns threats as direct array (not { threats: [...] })
       const threats = Array.isArray(data) ? data : (data.threats || []);
 
-      console.log('MTDThreatManager - Terminate with threats received:', JSON.stringify({
+      Logger.debug('MTDThreatManager - Terminate with threats received:', JSON.stringify({
         count: threats.length,
         threats: threats.map(t => ({ id: t.threatId, name: t.threatName, severity: t.threatSeverity, category: t.threatCategory }))
       }, null, 2));
 
       if (threats.length === 0) {
-        console.warn('MTDThreatManager - No threats in terminate event, ignoring');
+        Logger.warn('MTDThreatManager - No threats in terminate event, ignoring');
         return;
       }
 
       // Check if this is a self-triggered terminate event
       const incomingThreatIds = threats.map(threat => threat.threatId);
 
-      console.log('MTDThreatManager - Threat comparison:', JSON.stringify({
+      Logger.debug('MTDThreatManager - Threat comparison:', JSON.stringify({
         pendingExitThreats: this.pendingExitThreats,
         incomingThreatIds,
         pendingLength: this.pendingExitThreats.length,
@@ -128,7 +128,7 @@ const MTDThreatManager = {
         incomingThreatIds.length === this.pendingExitThreats.length;
 
       if (isSelfTriggered) {
-        console.log('MTDThreatManager - Self-triggered terminate event - exiting directly without showing dialog');
+        Logger.debug('MTDThreatManager - Self-triggered terminate event - exiting directly without showing dialog');
 
         // Clear pending state
         this.pendingExitThreats = [];
@@ -138,7 +138,7 @@ const MTDThreatManager = {
         // Direct app termination - user already made the decision
         this.handlePlatformSpecificExit('self-triggered');
       } else {
-        console.log('MTDThreatManager - Genuine terminate event - showing dialog for user action');
+        Logger.debug('MTDThreatManager - Genuine terminate event - showing dialog for user action');
 
         // Genuine terminate event - show modal
         this.isProcessing = false;
@@ -147,7 +147,7 @@ const MTDThreatManager = {
     });
 
     this._initialized = true;
-    console.log('MTDThreatManager - Initialization complete');
+    Logger.debug('MTDThreatManager - Initialization complete');
   },
 
   /**
@@ -156,7 +156,7 @@ const MTDThreatManager = {
    * @param {boolean} isConsent - Consent mode flag
    */
   showThreatModal(threatList, isConsent) {
-    console.log('MTDThreatManager - Showing threat modal:', JSON.stringify({
+    Logger.debug('MTDThreatManager - Showing threat modal:', JSON.stringify({
       threatCount: threatList.length,
       isConsentMode: isConsent,
       threats: threatList.map(t => ({ name: t.threatName, severity: t.threatSeverity }))
@@ -177,7 +177,7 @@ const MTDThreatManager = {
    * Hide threat modal
    */
   hideThreatModal() {
-    console.log('MTDThreatManager - Hiding threat modal');
+    Logger.debug('MTDThreatManager - Hiding threat modal');
 
     ThreatDetectionModal.hide();
     this.threats = [];
@@ -190,7 +190,7 @@ const MTDThreatManager = {
    * Only available in consent mode
    */
   handleProceed() {
-    console.log('MTDThreatManager - User chose to proceed with threats');
+    Logger.debug('MTDThreatManager - User chose to proceed with threats');
 
     this.isProcessing = true;
 
@@ -206,25 +206,25 @@ const MTDThreatManager = {
     }));
 
     const threatsJsonString = JSON.stringify(modifiedThreats);
-    console.log('MTDThreatManager - Calling takeActionOnThreats with proceed=true');
+    Logger.debug('MTDThreatManager - Calling takeActionOnThreats with proceed=true');
 
     // Call rdnaService to take action on threats
     rdnaService.takeActionOnThreats(threatsJsonString)
       .then(() => {
-        console.log('MTDThreatManager - takeActionOnThreats succeeded (proceed)');
+        Logger.debug('MTDThreatManager - takeActionOnThreats succeeded (proceed)');
         // Success will be handled by async events (onInitialized)
         this.hideThreatModal();
       })
       .catch((error) => {
         this.isProcessing = false;
-        console.error('MTDThreatManager - takeActionOnThreats failed:', JSON.stringify(error, null, 2));
+        Logger.error('MTDThreatManager - takeActionOnThreats failed:', JSON.stringify(error, null, 2));
 
         alert(
           `Failed to proceed with threats\n\n` +
-          `${error.error?.errorString}\n\n` +
+          `${error.getUserMessage()}\n\n` +
           `Error Codes:\n` +
-          `Long: ${error.error?.longErrorCode}\n` +
-          `Short: ${error.error?.shortErrorCode}`
+          `Long: ${error.longErrorCode}\n` +
+          `Short: ${error.shortErrorCode}`
         );
       });
   },
@@ -234,17 +234,17 @@ const MTDThreatManager = {
    * Available in both consent and terminate modes
    */
   handleExit() {
-    console.log('MTDThreatManager - User chose to exit application due to threats');
+    Logger.debug('MTDThreatManager - User chose to exit application due to threats');
 
     if (this.isConsentMode) {
-      console.log('MTDThreatManager - Consent mode: calling takeAction with shouldProceedWithThreats = false');
+      Logger.debug('MTDThreatManager - Consent mode: calling takeAction with shouldProceedWithThreats = false');
 
       this.isProcessing = true;
 
       // Track threat IDs for pending exit to identify self-triggered terminateWithThreats
       const threatIds = this.threats.map(threat => threat.threatId);
       this.pendingExitThreats = threatIds;
-      console.log('MTDThreatManager - Tracking pending exit for threat IDs:', JSON.stringify(threatIds, null, 2));
+      Logger.debug('MTDThreatManager - Tracking pending exit for threat IDs:', JSON.stringify(threatIds, null, 2));
 
       // Modify all threats to NOT proceed with action
       const modifiedThreats = this.threats.map(threat => ({
@@ -258,12 +258,12 @@ const MTDThreatManager = {
       }));
 
       const threatsJsonString = JSON.stringify(modifiedThreats);
-      console.log('MTDThreatManager - Calling takeActionOnThreats with proceed=false');
+      Logger.debug('MTDThreatManager - Calling takeActionOnThreats with proceed=false');
 
       // Call rdnaService to take action (will trigger terminateWithThreats event)
       rdnaService.takeActionOnThreats(threatsJsonString)
         .then(() => {
-          console.log('MTDThreatManager - takeActionOnThreats succeeded (exit), awaiting terminateWithThreats event');
+          Logger.debug('MTDThreatManager - takeActionOnThreats succeeded (exit), awaiting terminateWithThreats event');
           // The terminateWithThreats event handler will process the exit
         })
         .catch((error) => {
@@ -271,18 +271,18 @@ const MTDThreatManager = {
           this.pendingExitThreats = [];
           this.isProcessing = false;
 
-          console.error('MTDThreatManager - takeActionOnThreats failed:', JSON.stringify(error, null, 2));
+          Logger.error('MTDThreatManager - takeActionOnThreats failed:', JSON.stringify(error, null, 2));
 
           alert(
             `Failed to process threat action\n\n` +
-            `${error.error?.errorString}\n\n` +
+            `${error.getUserMessage()}\n\n` +
             `Error Codes:\n` +
-            `Long: ${error.error?.longErrorCode}\n` +
-            `Short: ${error.error?.shortErrorCode}`
+            `Long: ${error.longErrorCode}\n` +
+            `Short: ${error.shortErrorCode}`
           );
         });
     } else {
-      console.log('MTDThreatManager - Terminate mode - directly exiting application');
+      Logger.debug('MTDThreatManager - Terminate mode - directly exiting application');
 
       // Direct exit for terminate mode
       this.hideThreatModal();
@@ -300,25 +300,25 @@ const MTDThreatManager = {
   handlePlatformSpecificExit(exitType) {
     const platform = getPlatformId();
 
-    console.log('MTDThreatManager - Platform-specific exit called:', JSON.stringify({
+    Logger.debug('MTDThreatManager - Platform-specific exit called:', JSON.stringify({
       platform,
       exitType
     }, null, 2));
 
     if (platform === 'ios') {
-      console.log('MTDThreatManager - iOS detected - navigating to SecurityExitScreen');
+      Logger.debug('MTDThreatManager - iOS detected - navigating to SecurityExitScreen');
 
       // iOS: Navigate to SecurityExitScreen for HIG-compliant exit guidance
-      NavigationService.navigate('SecurityExit');
+      NavigationService.navigate('SecurityExit', {}, { force: true });
     } else {
-      console.log('MTDThreatManager - Non-iOS platform - using exitApp()');
+      Logger.debug('MTDThreatManager - Non-iOS platform - using exitApp()');
 
       // Android and other platforms: Use direct app exit
       try {
         exitApp();
-        console.log('MTDThreatManager - exitApp() called successfully');
+        Logger.debug('MTDThreatManager - exitApp() called successfully');
       } catch (error) {
-        console.error('MTDThreatManager - Failed to exit app on platform:', platform, error);
+        Logger.error('MTDThreatManager - Failed to exit app on platform:', platform, error);
       }
     }
   },
@@ -327,7 +327,7 @@ const MTDThreatManager = {
    * Cleanup threat manager
    */
   cleanup() {
-    console.log('MTDThreatManager - Cleanup');
+    Logger.debug('MTDThreatManager - Cleanup');
 
     this.pendingExitThreats = [];
     this.threats = [];
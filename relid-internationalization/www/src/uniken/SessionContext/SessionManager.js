@@ -70,22 +70,22 @@ class SessionManager {
    */
   initialize() {
     if (this._initialized) {
-      console.log('SessionManager - Already initialized, skipping');
+      Logger.debug('SessionManager - Already initialized, skipping');
       return;
     }
 
-    console.log('SessionManager - Initializing session event handlers');
+    Logger.debug('SessionManager - Initializing session event handlers');
 
     const eventManager = rdnaService.getEventManager();
 
     // Register session event handlers
     eventManager.setSessionTimeoutHandler((data) => {
-      console.log('SessionManager - Session timeout received:', JSON.stringify(data, null, 2));
+      Logger.debug('SessionManager - Session timeout received:', JSON.stringify(data, null, 2));
       this.showSessionTimeout(data);
     });
 
     eventManager.setSessionTimeoutNotificationHandler((data) => {
-      console.log('SessionManager - Session timeout notification received:', JSON.stringify({
+      Logger.debug('SessionManager - Session timeout notification received:', JSON.stringify({
         userID: data.userID,
         timeLeft: data.timeLeftInSeconds,
         canExtend: data.sessionCanBeExtended === 1
@@ -94,7 +94,7 @@ class SessionManager {
     });
 
     eventManager.setSessionExtensionResponseHandler((data) => {
-      console.log('SessionManager - Session extension response received:', JSON.stringify({
+      Logger.debug('SessionManager - Session extension response received:', JSON.stringify({
         statusCode: data.status?.statusCode,
         statusMessage: data.status?.statusMessage,
         errorCode: data.error?.longErrorCode,
@@ -104,7 +104,7 @@ class SessionManager {
     });
 
     this._initialized = true;
-    console.log('SessionManager - Session event handlers successfully initialized');
+    Logger.debug('SessionManager - Session event handlers successfully initialized');
   }
 
   /**
@@ -114,7 +114,7 @@ class SessionManager {
    * @param {SessionTimeoutData} data
    */
   showSessionTimeout(data) {
-    console.log('SessionManager - Session timed out, showing modal');
+    Logger.debug('SessionManager - Session timed out, showing modal');
 
     // Update state
     this.sessionTimeoutData = data;
@@ -138,7 +138,7 @@ class SessionManager {
    * @param {SessionTimeoutNotificationData} data
    */
   showSessionTimeoutNotification(data) {
-    console.log('SessionManager - Showing session timeout notification modal');
+    Logger.debug('SessionManager - Showing session timeout notification modal');
 
     // Update state
     this.sessionTimeoutNotificationData = data;
@@ -160,7 +160,7 @@ class SessionManager {
    * Hides the session modal and resets state
    */
   hideSessionModal() {
-    console.log('SessionManager - Hiding session modal');
+    Logger.debug('SessionManager - Hiding session modal');
 
     this.isSessionModalVisible = false;
     this.sessionTimeoutData = null;
@@ -176,10 +176,10 @@ class SessionManager {
    * Calls extendSessionIdleTimeout API and waits for response
    */
   async handleExtendSession() {
-    console.log('SessionManager - User chose to extend session');
+    Logger.debug('SessionManager - User chose to extend session');
 
     if (this.currentOperation !== 'none') {
-      console.log('SessionManager - Operation already in progress, ignoring extend request');
+      Logger.debug('SessionManager - Operation already in progress, ignoring extend request');
       return;
     }
 
@@ -192,12 +192,12 @@ class SessionManager {
     try {
       // Call extend session API
       await rdnaService.extendSessionIdleTimeout();
-      console.log('SessionManager - Session extension API called successfully');
+      Logger.debug('SessionManager - Session extension API called successfully');
 
       // Note: We don't hide the modal immediately as we're waiting for onSessionExtensionResponse
       // The response handler will determine success/failure and take appropriate action
     } catch (error) {
-      console.error('SessionManager - Session extension failed:', error);
+      Logger.error('SessionManager - Session extension failed:', error);
 
       this.isProcessing = false;
       this.currentOperation = 'none';
@@ -216,7 +216,7 @@ class SessionManager {
    * For idle timeout notification, just closes modal
    */
   handleDismiss() {
-    console.log('SessionManager - User dismissed session modal');
+    Logger.debug('SessionManager - User dismissed session modal');
 
     // Check timeout type BEFORE hiding (hideSessionModal clears the data)
     const isHardTimeout = this.sessionTimeoutData !== null;
@@ -227,13 +227,13 @@ class SessionManager {
 
     // For hard session timeout (mandatory), navigate to home screen
     if (isHardTimeout) {
-      console.log('SessionManager - Hard session timeout - navigating to home screen');
+      Logger.debug('SessionManager - Hard session timeout - navigating to home screen');
       NavigationService.reset('TutorialHome');
     }
 
     // For session timeout notification, just dismiss - user chose to let it expire
     if (isIdleTimeout) {
-      console.log('SessionManager - User chose to let idle session expire');
+      Logger.debug('SessionManager - User chose to let idle session expire');
     }
   }
 
@@ -244,21 +244,21 @@ class SessionManager {
    * @param {SessionExtensionResponseData} data
    */
   handleSessionExtensionResponse(data) {
-    console.log('SessionManager - Processing session extension response');
+    Logger.debug('SessionManager - Processing session extension response');
 
     // Only process if we're currently extending
     if (this.currentOperation !== 'extend') {
-      console.log('SessionManager - Extension response received but no extend operation in progress, ignoring');
+      Logger.debug('SessionManager - Extension response received but no extend operation in progress, ignoring');
       return;
     }
 
     const isSuccess = data.error.longErrorCode === 0 && data.status.statusCode === 100;
 
     if (isSuccess) {
-      console.log('SessionManager - Session extension successful');
+      Logger.debug('SessionManager - Session extension successful');
       this.hideSessionModal();
     } else {
-      console.log('SessionManager - Session extension failed:', JSON.stringify({
+      Logger.debug('SessionManager - Session extension failed:', JSON.stringify({
         statusCode: data.status.statusCode,
         statusMessage: data.status.statusMessage,
         errorCode: data.error.longErrorCode,
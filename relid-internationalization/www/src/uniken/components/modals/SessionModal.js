@@ -38,7 +38,7 @@ const SessionModal = {
    * Called once when app loads
    */
   initialize() {
-    console.log('SessionModal - Initializing');
+    Logger.debug('SessionModal - Initializing');
 
     // Set up visibility change listener for background/foreground tracking
     document.addEventListener('visibilitychange', () => {
@@ -46,7 +46,7 @@ const SessionModal = {
     });
 
     // Set up button click handlers (will be attached when modal is shown)
-    console.log('SessionModal - Initialized');
+    Logger.debug('SessionModal - Initialized');
   },
 
   /**
@@ -59,7 +59,7 @@ const SessionModal = {
    * @param {Function} config.onDismiss - Callback for dismiss/close button
    */
   show(config) {
-    console.log('SessionModal - Showing modal:', config.type);
+    Logger.debug('SessionModal - Showing modal:', config.type);
 
     this.visible = true;
     this.type = config.type;
@@ -88,7 +88,7 @@ const SessionModal = {
    * Hides the modal and cleans up
    */
   hide() {
-    console.log('SessionModal - Hiding modal');
+    Logger.debug('SessionModal - Hiding modal');
 
     this.visible = false;
     this.type = null;
@@ -113,7 +113,7 @@ const SessionModal = {
    * @param {boolean} processing
    */
   setProcessing(processing) {
-    console.log('SessionModal - Set processing:', processing);
+    Logger.debug('SessionModal - Set processing:', processing);
     this.isProcessing = processing;
 
     // Update button UI
@@ -137,7 +137,7 @@ const SessionModal = {
   render() {
     const modalContent = document.getElementById('session-modal-content');
     if (!modalContent) {
-      console.error('SessionModal - Modal content element not found');
+      Logger.error('SessionModal - Modal content element not found');
       return;
     }
 
@@ -261,7 +261,7 @@ const SessionModal = {
     // Clear any existing timer
     this.stopCountdown();
 
-    console.log('SessionModal - Starting countdown:', this.countdown);
+    Logger.debug('SessionModal - Starting countdown:', this.countdown);
 
     this.countdownTimer = setInterval(() => {
       if (this.countdown > 0) {
@@ -304,16 +304,16 @@ const SessionModal = {
     if (document.hidden) {
       // App going to background - record time
       this.backgroundTime = Date.now();
-      console.log('SessionModal - App going to background, recording time');
+      Logger.debug('SessionModal - App going to background, recording time');
     } else {
       // App returning to foreground - calculate elapsed time
       if (this.backgroundTime) {
         const elapsedSeconds = Math.floor((Date.now() - this.backgroundTime) / 1000);
-        console.log(`SessionModal - App returning to foreground, elapsed: ${elapsedSeconds}s`);
+        Logger.debug(`SessionModal - App returning to foreground, elapsed: ${elapsedSeconds}s`);
 
         // Update countdown based on actual elapsed time
         this.countdown = Math.max(0, this.countdown - elapsedSeconds);
-        console.log(`SessionModal - Countdown updated to: ${this.countdown}s`);
+        Logger.debug(`SessionModal - Countdown updated to: ${this.countdown}s`);
 
         this.updateCountdownDisplay();
         this.backgroundTime = null;
@@ -325,7 +325,7 @@ const SessionModal = {
    * Handles extend button click
    */
   handleExtendClick() {
-    console.log('SessionModal - Extend button clicked');
+    Logger.debug('SessionModal - Extend button clicked');
     if (this.onExtendSession && !this.isProcessing) {
       this.onExtendSession();
     }
@@ -335,7 +335,7 @@ const SessionModal = {
    * Handles close button click
    */
   handleCloseClick() {
-    console.log('SessionModal - Close button clicked');
+    Logger.debug('SessionModal - Close button clicked');
     if (this.onDismiss && !this.isProcessing) {
       this.onDismiss();
     }
@@ -25,7 +25,7 @@
  *   attemptsLeft: 3,
  *   errorMessage: "Incorrect password",
  *   onSubmitPassword: (password) => handlePasswordSubmit(password),
- *   onCancel: () => console.log('Cancelled')
+ *   onCancel: () => Logger.debug('Cancelled')
  * });
  * ```
  *
@@ -46,17 +46,20 @@ const StepUpPasswordDialog = {
   onSubmitPassword: null,
   onCancel: null,
 
+  // Removes the back button interceptor registered while visible
+  removeBackInterceptor: null,
+
   /**
    * Initializes the modal (sets up event listeners)
    * Called once when app loads
    */
   initialize() {
-    console.log('StepUpPasswordDialog - Initializing');
+    Logger.debug('StepUpPasswordDialog - Initializing');
 
     // Button handlers will be attached when modal is shown
     // This ensures handlers are attached to the correct elements
 
-    console.log('StepUpPasswordDialog - Initialized');
+    Logger.debug('StepUpPasswordDialog - Initialized');
   },
 
   /**
@@ -72,7 +75,7 @@ const StepUpPasswordDialog = {
    * @param {Function} config.onCancel - Callback when user cancels
    */
   show(config) {
-    console.log('StepUpPasswordDialog - Showing modal');
+    Logger.debug('StepUpPasswordDialog - Showing modal');
 
     this.visible = true;
     this.notificationTitle = config.notificationTitle || 'Notification Action';
@@ -87,6 +90,11 @@ const StepUpPasswordDialog = {
     // Render modal content
     this.render();
 
+    // Handle hardware back button (Android) while the modal is open
+    if (!this.removeBackInterceptor) {
+      this.removeBackInterceptor = NavigationService.addBackInterceptor(() => this.handleBackButton());
+    }
+
     // Show modal
     const modalElement = document.getElementById('stepup-password-modal');
     if (modalElement) {
@@ -109,7 +117,7 @@ const StepUpPasswordDialog = {
    * @param {Object} updates - State updates
    */
   update(updates) {
-    console.log('StepUpPasswordDialog - Updating modal state:', JSON.stringify(updates, null, 2));
+    Logger.debug('StepUpPasswordDialog - Updating modal state:', JSON.stringify(updates, null, 2));
 
     if (updates.attemptsLeft !== undefined) {
       this.attemptsLeft = updates.attemptsLeft;
@@ -138,7 +146,7 @@ const StepUpPasswordDialog = {
    * Hides the modal and cleans up
    */
   hide() {
-    console.log('StepUpPasswordDialog - Hiding modal');
+    Logger.debug('StepUpPasswordDialog - Hiding modal');
 
     this.visible = false;
     this.notificationTitle = '';
@@ -150,6 +158,11 @@ const StepUpPasswordDialog = {
     this.onSubmitPassword = null;
     this.onCancel = null;
 
+    if (this.removeBackInterceptor) {
+      this.removeBackInterceptor();
+      this.removeBackInterceptor = null;
+    }
+
     // Hide modal
     const modalElement = document.getElementById('stepup-password-modal');
     if (modalElement) {
@@ -169,7 +182,7 @@ const StepUpPasswordDialog = {
   render() {
     const contentElement = document.getElementById('stepup-modal-content');
     if (!contentElement) {
-      console.error('StepUpPasswordDialog - Content element not found');
+      Logger.error('StepUpPasswordDialog - Content element not found');
       return;
     }
 
@@ -291,20 +304,6 @@ const StepUpPasswordDialog = {
         }
       };
     }
-
-    // Handle hardware back button (Android)
-    const backHandler = () => {
-      if (this.visible && !this.isSubmitting) {
-        this.handleCancel();
-        return true; // Prevent default back action
-      }
-      return false;
-    };
-
-    // Register back button handler
-    if (typeof window !== 'undefined') {
-      document.addEventListener('backbutton', backHandler, false);
-    }
   },
 
   /**
@@ -312,24 +311,24 @@ const StepUpPasswordDialog = {
    */
   handleSubmit() {
     if (this.isSubmitting) {
-      console.log('StepUpPasswordDialog - Already submitting');
+      Logger.debug('StepUpPasswordDialog - Already submitting');
       return;
     }
 
     const passwordInput = document.getElementById('stepup-password-input');
     if (!passwordInput) {
-      console.error('StepUpPasswordDialog - Password input not found');
+      Logger.error('StepUpPasswordDialog - Password input not found');
       return;
     }
 
     const password = passwordInput.value.trim();
 
     if (!password) {
-      console.log('StepUpPasswordDialog - Empty password');
+      Logger.debug('StepUpPasswordDialog - Empty password');
       return;
     }
 
-    console.log('StepUpPasswordDialog - Submitting password');
+    Logger.debug('StepUpPasswordDialog - Submitting password');
 
     // Update UI to show loading state
     this.isSubmitting = true;
@@ -341,11 +340,22 @@ const StepUpPasswordDialog = {
     }
   },
 
+  /**
+   * Hardware back button (Android) - cancels unless a verification is in flight
+   * @returns {boolean} True - the press never reaches the screen underneath
+   */
+  handleBackButton() {
+    if (!this.isSubmitting) {
+      this.handleCancel();
+    }
+    return true;
+  },
+
   /**
    * Handles cancel action
    */
   handleCancel() {
-    console.log('StepUpPasswordDialog - Cancel clicked');
+    Logger.debug('StepUpPasswordDialog - Cancel clicked');
 
     // Call callback
     if (this.onCancel) {
@@ -21,19 +21,19 @@ const ThreatDetectionModal = {
    * Sets up back button handler
    */
   initialize() {
-    console.log('ThreatDetectionModal - Initializing');
+    Logger.debug('ThreatDetectionModal - Initializing');
 
     // Block hardware back button when modal is visible
-    this.backButtonHandler = (e) => {
-      const modal = document.getElementById('mtd-modal-overlay');
-      if (modal && modal.style.display !== 'none') {
-        e.preventDefault();
-        console.log('ThreatDetectionModal - Back button blocked while modal visible');
+    if (!this.removeBackInterceptor) {
+      this.removeBackInterceptor = NavigationService.addBackInterceptor(() => {
+        const modal = document.getElementById('mtd-modal-overlay');
+        if (modal && modal.style.display !== 'none') {
+          Logger.debug('ThreatDetectionModal - Back button blocked while modal visible');
+          return true;
+        }
         return false;
-      }
-    };
-
-    document.addEventListener('backbutton', this.backButtonHandler, false);
+      });
+    }
 
     // Prevent backdrop dismissal
     const overlay = document.getElementById('mtd-modal-overlay');
@@ -41,7 +41,7 @@ const ThreatDetectionModal = {
       overlay.onclick = (e) => {
         if (e.target === overlay) {
           e.preventDefault();
-          console.log('ThreatDetectionModal - Backdrop click prevented');
+          Logger.debug('ThreatDetectionModal - Backdrop click prevented');
           return false;
         }
       };
@@ -56,7 +56,7 @@ const ThreatDetectionModal = {
    * @param {Function} onExit - Callback for exit button
    */
   show(threats, isConsentMode, onProceed, onExit) {
-    console.log('ThreatDetectionModal - Showing modal:', JSON.stringify({
+    Logger.debug('ThreatDetectionModal - Showing modal:', JSON.stringify({
       threatCount: threats.length,
       isConsentMode,
       threats: threats.map(t => ({ id: t.threatId, name: t.threatName, severity: t.threatSeverity }))
@@ -101,7 +101,7 @@ const ThreatDetectionModal = {
    * Hide modal
    */
   hide() {
-    console.log('ThreatDetectionModal - Hiding modal');
+    Logger.debug('ThreatDetectionModal - Hiding modal');
 
     const overlay = document.getElementById('mtd-modal-overlay');
     if (overlay) {
@@ -332,10 +332,11 @@ const ThreatDetectionModal = {
    * Cleanup modal functionality
    */
   cleanup() {
-    console.log('ThreatDetectionModal - Cleanup');
+    Logger.debug('ThreatDetectionModal - Cleanup');
 
-    if (this.backButtonHandler) {
-      document.removeEventListener('backbutton', this.backButtonHandler, false);
+    if (this.removeBackInterceptor) {
+      this.removeBackInterceptor();
+      this.removeBackInterceptor = null;
     }
   }
 };
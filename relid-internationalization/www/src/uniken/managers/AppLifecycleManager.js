@@ -0,0 +1,195 @@
+/**
+ * App Lifecycle Manager
+ *
+ * Revalidates SDK and session state when the app comes back from the background
+ * (Cordova `pause` / `resume`). Without it the WebView keeps showing whatever it
+ * showed before, e.g. a Dashboard whose session ended while the app was away.
+ *
+ * On pause:
+ * - Records when the app went to the background
+ * - Blurs sensitive screens (SENSITIVE_ROUTES) so the app switcher snapshot hides them
+ *
+ * On resume:
+ * 1. Removes the blur
+ * 2. The current screen needs a session that is gone (onSessionTimeout / onUserLoggedOff
+ *    arrived in the background) → NavigationService.reset('TutorialHome')
+ * 3. Logged in → probes the SDK with getDeviceAuthenticationDetails(). No answer or a
+ *    failed answer means the OS dropped the native session → rdnaService.reinitialize(),
+ *    or TutorialHome if that fails too
+ * 4. Broadcasts an 'appResumed' document event with
+ *    { backgroundMs, action: 'none' | 'home' | 'reinitialize' }, so screens can refresh
+ *    (GetNotifications reloads its list)
+ *
+ * Usage:
+ * ```javascript
+ * AppLifecycleManager.initialize();            // AppInitializer
+ * AppLifecycleManager.blurSensitiveScreens = false;
+ * ```
+ */
+
+/**
+ * Routes blurred while the app is in the background
+ */
+const SENSITIVE_ROUTES = ['DataSigningResult'];
+
+const AppLifecycleManager = {
+  /**
+   * Initialization flag for idempotent behavior
+   */
+  _initialized: false,
+
+  /**
+   * Date.now() of the last pause, null while in the foreground
+   * @type {number|null}
+   */
+  _pausedAt: null,
+
+  /**
+   * Whether the resume checks are running
+   */
+  _resuming: false,
+
+  /**
+   * Blur SENSITIVE_ROUTES while the app is in the background
+   */
+  blurSensitiveScreens: true,
+
+  /**
+   * How long the SDK probe may take before the native session counts as lost
+   */
+  LIVENESS_TIMEOUT_MS: 5000,
+
+  /**
+   * Register the Cordova pause/resume listeners
+   * Idempotent - safe to call multiple times (SPA pattern)
+   */
+  initialize() {
+    if (this._initialized) {
+      Logger.debug('AppLifecycleManager - Already initialized, skipping');
+      return;
+    }
+
+    document.addEventListener('pause', () => this.handlePause(), false);
+    document.addEventListener('resume', () => this.handleResume(), false);
+
+    this._initialized = true;
+    Logger.debug('AppLifecycleManager - Listening for pause/resume');
+  },
+
+  /**
+   * App moved to the background
+   */
+  handlePause() {
+    this._pausedAt = Date.now();
+    Logger.debug('AppLifecycleManager - App paused on', NavigationService.getCurrentRoute());
+
+    if (this.blurSensitiveScreens && SENSITIVE_ROUTES.includes(NavigationService.getCurrentRoute())) {
+      this.setBlurred(true);
+    }
+  },
+
+  /**
+   * App back in the foreground - revalidate and tell the screens
+   * @returns {Promise<void>}
+   */
+  async handleResume() {
+    const backgroundMs = this._pausedAt !== null ? Date.now() - this._pausedAt : 0;
+    this._pausedAt = null;
+    this.setBlurred(false);
+
+    if (this._resuming) {
+      Logger.debug('AppLifecycleManager - Resume checks already running, skipping');
+      return;
+    }
+
+    Logger.info('AppLifecycleManager - App resumed after', backgroundMs, 'ms');
+    this._resuming = true;
+
+    let action = 'none';
+    try {
+      action = await this.revalidate();
+    } catch (error) {
+      Logger.error('AppLifecycleManager - Resume checks failed:', error);
+    } finally {
+      this._resuming = false;
+    }
+
+    document.dispatchEvent(new CustomEvent('appResumed', {
+      detail: { backgroundMs, action }
+    }));
+  },
+
+  /**
+   * Check the session and SDK, and recover when either is gone
+   * @returns {Promise<string>} 'none' | 'home' | 'reinitialize'
+   */
+  async revalidate() {
+    const route = NavigationService.getCurrentRoute();
+
+    // The session ended while the app was away - the screen cannot stay
+    if (route && !NavigationService.canAccess(route)) {
+      Logger.warn('AppLifecycleManager - Session gone while on', route, '- back to TutorialHome');
+      NavigationService.reset('TutorialHome');
+      return 'home';
+    }
+
+    if (!rdnaService.isInitialized() || !SDKEventProvider.getSessionParams().userID) {
+      return 'none';
+    }
+
+    if (await this.isSdkAlive()) {
+      return 'none';
+    }
+
+    Logger.warn('AppLifecycleManager - SDK session lost in the background, re-initializing');
+    alert('Session Ended\n\nThe secure session was closed while the app was in the background. Please log in again.');
+
+    try {
+      await rdnaService.reinitialize({ initOptions: TutorialHomeScreen.buildInitOptions() });
+      return 'reinitialize';
+    } catch (error) {
+      Logger.error('AppLifecycleManager - Re-initialize after resume failed:', error.message);
+      NavigationService.reset('TutorialHome');
+      return 'home';
+    }
+  },
+
+  /**
+   * Probe the logged-in SDK session with a call that answers synchronously
+   * @returns {Promise<boolean>}
+   */
+  async isSdkAlive() {
+    let timeoutId = null;
+    const timedOut = new Promise((resolve) => {
+      timeoutId = setTimeout(() => resolve(null), this.LIVENESS_TIMEOUT_MS);
+    });
+
+    try {
+      const result = await Promise.race([rdnaService.getDeviceAuthenticationDetails(), timedOut]);
+      if (result === null) {
+        Logger.warn('AppLifecycleManager - SDK did not answer within', this.LIVENESS_TIMEOUT_MS, 'ms');
+        return false;
+      }
+      return result.error?.longErrorCode === 0;
+    } catch (error) {
+      Logger.warn('AppLifecycleManager - SDK probe failed:', error.message);
+      return false;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  },
+
+  /**
+   * Blur or unblur the screen content
+   * @param {boolean} blurred
+   */
+  setBlurred(blurred) {
+    const content = document.getElementById('app-content');
+    if (content) {
+      content.classList.toggle('app-privacy-blur', blurred);
+    }
+  }
+};
+
+// Expose to global scope
+window.AppLifecycleManager = AppLifecycleManager;
@@ -0,0 +1,391 @@
+/**
+ * Authentication Flow State Machine
+ *
+ * Tracks where the user is in the REL-ID MFA flow and which transitions are legal.
+ * SDKEventProvider still does the navigation; this module only records the flow:
+ *
+ *   uninitialized → initializing → awaiting-user → (activating | verifying-device |
+ *   awaiting-LDA-consent | awaiting-password)* → logged-in ⇄ step-up-pending
+ *
+ * Every SDK event is observed through an RdnaEventManager '*' subscription (after
+ * the screen/provider handlers ran). Events that do not fit the current state are
+ * logged as illegal and followed anyway, because the SDK is the source of truth.
+ * The exception is an in-session challenge (getPassword modes 2/3/5/12/14/15,
+ * getUserConsentForLDA mode 16) arriving outside a session: it is rejected, and
+ * SDKEventProvider checks isRejected() before routing it.
+ *
+ * State changes are broadcast as an 'authFlowStateChanged' document event.
+ *
+ * Debug overlay:
+ * - Drawer "Flow Debugger" link, or AuthFlowStateMachine.toggleOverlay() from the console
+ * - Shows the current state, the rdnaService calls in flight and the last 50 SDK
+ *   events with the transition each caused
+ * - Visibility is persisted, so it survives a relaunch while reproducing a ticket
+ *
+ * Usage:
+ * ```javascript
+ * AuthFlowStateMachine.initialize();           // AppInitializer
+ * AuthFlowStateMachine.getState();             // 'logged-in'
+ * AuthFlowStateMachine.dispatch('stepUpCancelled');
+ * JSON.stringify(AuthFlowStateMachine.getSnapshot(), null, 2); // attach to support ticket
+ * ```
+ */
+
+/**
+ * Flow states
+ * @enum {string}
+ */
+const AUTH_FLOW_STATES = {
+  UNINITIALIZED: 'uninitialized',
+  INITIALIZING: 'initializing',
+  AWAITING_USER: 'awaiting-user',
+  ACTIVATING: 'activating',
+  VERIFYING_DEVICE: 'verifying-device',
+  AWAITING_LDA_CONSENT: 'awaiting-LDA-consent',
+  AWAITING_PASSWORD: 'awaiting-password',
+  LOGGED_IN: 'logged-in',
+  STEP_UP_PENDING: 'step-up-pending'
+};
+
+/**
+ * challengeModes the SDK only raises inside a logged-in session
+ * 2 update password, 3 notification step-up, 5/14/15 LDA toggling password,
+ * 12 data signing, 16 LDA toggling consent
+ */
+const IN_SESSION_CHALLENGE_MODES = [2, 3, 5, 12, 14, 15, 16];
+
+const PRE_LOGIN_STATES = [
+  AUTH_FLOW_STATES.AWAITING_USER,
+  AUTH_FLOW_STATES.ACTIVATING,
+  AUTH_FLOW_STATES.VERIFYING_DEVICE,
+  AUTH_FLOW_STATES.AWAITING_LDA_CONSENT,
+  AUTH_FLOW_STATES.AWAITING_PASSWORD
+];
+
+const IN_SESSION_STATES = [
+  AUTH_FLOW_STATES.LOGGED_IN,
+  AUTH_FLOW_STATES.STEP_UP_PENDING
+];
+
+/**
+ * Transition table
+ * - event:   SDK event name(s) or app action(s) passed to dispatch()
+ * - inSession: rule applies only to IN_SESSION_CHALLENGE_MODES (false: only to the other modes)
+ * - from:    states in which the event is legal
+ * - to:      resulting state
+ * - reject:  illegal occurrences are rejected instead of followed
+ */
+const AUTH_FLOW_TRANSITIONS = [
+  { event: 'onInitializeProgress', from: [AUTH_FLOW_STATES.UNINITIALIZED, AUTH_FLOW_STATES.INITIALIZING], to: AUTH_FLOW_STATES.INITIALIZING },
+  { event: 'onInitialized', from: [AUTH_FLOW_STATES.INITIALIZING], to: AUTH_FLOW_STATES.INITIALIZING },
+  { event: 'onInitializeError', from: [AUTH_FLOW_STATES.INITIALIZING], to: AUTH_FLOW_STATES.UNINITIALIZED },
+  { event: 'getUser', from: [AUTH_FLOW_STATES.INITIALIZING, ...PRE_LOGIN_STATES, ...IN_SESSION_STATES], to: AUTH_FLOW_STATES.AWAITING_USER },
+  { event: 'getActivationCode', from: PRE_LOGIN_STATES, to: AUTH_FLOW_STATES.ACTIVATING },
+  {
+    event: 'addNewDeviceOptions',
+    from: [AUTH_FLOW_STATES.AWAITING_USER, AUTH_FLOW_STATES.ACTIVATING, AUTH_FLOW_STATES.VERIFYING_DEVICE],
+    to: AUTH_FLOW_STATES.VERIFYING_DEVICE
+  },
+  { event: 'getUserConsentForLDA', inSession: false, from: PRE_LOGIN_STATES, to: AUTH_FLOW_STATES.AWAITING_LDA_CONSENT },
+  { event: 'getUserConsentForLDA', inSession: true, from: IN_SESSION_STATES, to: AUTH_FLOW_STATES.STEP_UP_PENDING, reject: true },
+  { event: 'getPassword', inSession: false, from: PRE_LOGIN_STATES, to: AUTH_FLOW_STATES.AWAITING_PASSWORD },
+  { event: 'getPassword', inSession: true, from: IN_SESSION_STATES, to: AUTH_FLOW_STATES.STEP_UP_PENDING, reject: true },
+  { event: 'onUserLoggedIn', from: PRE_LOGIN_STATES, to: AUTH_FLOW_STATES.LOGGED_IN },
+  { event: ['onUserLoggedOff', 'onSessionTimeout'], from: IN_SESSION_STATES, to: AUTH_FLOW_STATES.AWAITING_USER },
+  // In-session operation finished (success or failure) or the user cancelled the step-up dialog
+  {
+    event: ['onUpdateNotification', 'onUpdateCredentialResponse', 'onDeviceAuthManagementStatus', 'onAuthenticateUserAndSignData', 'stepUpCancelled'],
+    from: IN_SESSION_STATES,
+    to: AUTH_FLOW_STATES.LOGGED_IN
+  },
+  // rdnaService.terminate() ended the native session
+  { event: 'sdkTerminated', from: Object.values(AUTH_FLOW_STATES), to: AUTH_FLOW_STATES.UNINITIALIZED }
+];
+
+const AUTH_FLOW_OVERLAY_STORAGE_KEY = 'authFlowOverlayVisible';
+
+const AuthFlowStateMachine = {
+  /**
+   * Maximum number of entries kept in the event log
+   */
+  MAX_EVENTS: 50,
+
+  /**
+   * SDK events that are too chatty to be useful in the log
+   */
+  IGNORED_EVENTS: ['onSdkLogPrintRequest'],
+
+  _initialized: false,
+  _state: AUTH_FLOW_STATES.UNINITIALIZED,
+  _events: [],
+  _subscription: null,
+  _overlayVisible: false,
+
+  /**
+   * Subscribe to every SDK event and restore the overlay
+   * Idempotent - safe to call multiple times (SPA pattern)
+   */
+  initialize() {
+    if (this._initialized) {
+      Logger.debug('AuthFlowStateMachine - Already initialized, skipping');
+      return;
+    }
+
+    const eventManager = rdnaService.getEventManager();
+    this._subscription = eventManager.on(RdnaEventManager.ANY_EVENT, (data, eventName) => {
+      if (this.IGNORED_EVENTS.includes(eventName)) return;
+      this.dispatch(eventName, data);
+    });
+
+    const debugLink = document.getElementById('drawer-flow-debugger-link');
+    if (debugLink) {
+      debugLink.onclick = (e) => {
+        e.preventDefault();
+        NavigationService.closeDrawer();
+        this.toggleOverlay();
+      };
+    }
+
+    // Keep the overlay's in-flight calls current
+    document.addEventListener('rdnaOperationChanged', () => this._renderOverlay());
+
+    if (localStorage.getItem(AUTH_FLOW_OVERLAY_STORAGE_KEY) === 'true') {
+      this.showOverlay();
+    }
+
+    this._initialized = true;
+    Logger.debug('AuthFlowStateMachine - Initialized in state:', this._state);
+  },
+
+  /**
+   * Current flow state
+   * @returns {string} One of AUTH_FLOW_STATES
+   */
+  getState() {
+    return this._state;
+  },
+
+  /**
+   * Whether the user is in a logged-in session (including a pending step-up)
+   * @returns {boolean}
+   */
+  isInSession() {
+    return IN_SESSION_STATES.includes(this._state);
+  },
+
+  /**
+   * Event log, oldest first
+   * @returns {Array<Object>}
+   */
+  getEventLog() {
+    return this._events.slice();
+  },
+
+  /**
+   * State plus event log, for attaching to a support ticket
+   * @returns {{state: string, capturedAt: string, events: Array<Object>}}
+   */
+  getSnapshot() {
+    return {
+      state: this._state,
+      capturedAt: new Date(Date.now()).toISOString(),
+      events: this.getEventLog()
+    };
+  },
+
+  /**
+   * Whether an event would be rejected in the current state
+   * SDKEventProvider calls this before routing a challenge.
+   *
+   * @param {string} eventName
+   * @param {Object} [data]
+   * @returns {boolean}
+   */
+  isRejected(eventName, data) {
+    return this._resolve(eventName, data).outcome === 'rejected';
+  },
+
+  /**
+   * Applies an SDK event or app action to the machine
+   *
+   * @param {string} eventName - SDK event name or app action (e.g. 'stepUpCancelled')
+   * @param {Object} [data] - Event payload
+   * @returns {string} 'ok' | 'illegal' | 'rejected' | 'ignored'
+   */
+  dispatch(eventName, data) {
+    const from = this._state;
+    const { outcome, to, rule } = this._resolve(eventName, data);
+
+    if (outcome === 'illegal') {
+      Logger.warn('AuthFlowStateMachine - Illegal transition:', eventName, this._describeMode(data), 'in state', from,
+        '- expected one of', JSON.stringify(rule.from), '- following the SDK to', to);
+    } else if (outcome === 'rejected') {
+      Logger.error('AuthFlowStateMachine - Rejected', eventName, this._describeMode(data), 'in state', from,
+        '- only legal in', JSON.stringify(rule.from));
+    }
+
+    if (outcome === 'ok' || outcome === 'illegal') {
+      this._state = to;
+    }
+
+    this._record(eventName, data, from, this._state, outcome);
+
+    if (this._state !== from) {
+      Logger.debug('AuthFlowStateMachine - State:', from, '→', this._state, 'on', eventName);
+      document.dispatchEvent(new CustomEvent('authFlowStateChanged', {
+        detail: { from, to: this._state, eventName }
+      }));
+    }
+
+    this._renderOverlay();
+    return outcome;
+  },
+
+  /**
+   * Back to uninitialized and clear the event log
+   */
+  reset() {
+    this._state = AUTH_FLOW_STATES.UNINITIALIZED;
+    this._events = [];
+    this._renderOverlay();
+  },
+
+  /**
+   * Finds the rule for an event and decides the outcome in the current state
+   * @private
+   */
+  _resolve(eventName, data) {
+    const mode = data && data.challengeMode;
+    const inSession = IN_SESSION_CHALLENGE_MODES.includes(mode);
+
+    const rule = AUTH_FLOW_TRANSITIONS.find((candidate) => {
+      const events = Array.isArray(candidate.event) ? candidate.event : [candidate.event];
+      if (!events.includes(eventName)) return false;
+      return candidate.inSession === undefined || candidate.inSession === inSession;
+    });
+
+    if (!rule) {
+      return { outcome: 'ignored', to: this._state, rule: null };
+    }
+    if (rule.from.includes(this._state)) {
+      return { outcome: 'ok', to: rule.to, rule };
+    }
+    return { outcome: rule.reject ? 'rejected' : 'illegal', to: rule.to, rule };
+  },
+
+  /**
+   * Adds an entry to the event log (payloads are summarized, never stored)
+   * @private
+   */
+  _record(eventName, data, from, to, outcome) {
+    const entry = {
+      at: Date.now(),
+      eventName,
+      from,
+      to,
+      outcome
+    };
+
+    if (data && typeof data === 'object') {
+      if (data.challengeMode !== undefined) entry.challengeMode = data.challengeMode;
+      if (data.error && data.error.longErrorCode) entry.longErrorCode = data.error.longErrorCode;
+
+      const statusCode = data.pArgs?.response?.StatusCode ?? data.status?.statusCode ?? data.challengeResponse?.status?.statusCode;
+      if (statusCode !== undefined) entry.statusCode = statusCode;
+    }
+
+    this._events.push(entry);
+    if (this._events.length > this.MAX_EVENTS) {
+      this._events.splice(0, this._events.length - this.MAX_EVENTS);
+    }
+  },
+
+  _describeMode(data) {
+    return data && data.challengeMode !== undefined ? `(challengeMode ${data.challengeMode})` : '';
+  },
+
+  // ===================================================================
+  // DEBUG OVERLAY
+  // ===================================================================
+
+  /**
+   * Show or hide the debug overlay
+   */
+  toggleOverlay() {
+    if (this._overlayVisible) {
+      this.hideOverlay();
+    } else {
+      this.showOverlay();
+    }
+  },
+
+  showOverlay() {
+    this._overlayVisible = true;
+    localStorage.setItem(AUTH_FLOW_OVERLAY_STORAGE_KEY, 'true');
+    this._renderOverlay();
+  },
+
+  hideOverlay() {
+    this._overlayVisible = false;
+    localStorage.setItem(AUTH_FLOW_OVERLAY_STORAGE_KEY, 'false');
+
+    const overlay = document.getElementById('auth-flow-overlay');
+    if (overlay) {
+      overlay.remove();
+    }
+  },
+
+  isOverlayVisible() {
+    return this._overlayVisible;
+  },
+
+  /**
+   * Builds (or rebuilds) the overlay, newest event first
+   * @private
+   */
+  _renderOverlay() {
+    if (!this._overlayVisible) return;
+
+    let overlay = document.getElementById('auth-flow-overlay');
+    if (!overlay) {
+      overlay = document.createElement('div');
+      overlay.id = 'auth-flow-overlay';
+      overlay.className = 'auth-flow-overlay';
+      document.body.appendChild(overlay);
+    }
+
+    const rows = this._events.slice().reverse().map((entry) => {
+      const time = new Date(entry.at).toISOString().substring(11, 23);
+      const codes = [
+        entry.challengeMode !== undefined ? `mode ${entry.challengeMode}` : '',
+        entry.statusCode !== undefined ? `status ${entry.statusCode}` : '',
+        entry.longErrorCode !== undefined ? `err ${entry.longErrorCode}` : ''
+      ].filter(Boolean).join(', ');
+      const transition = entry.from === entry.to ? entry.to : `${entry.from} → ${entry.to}`;
+
+      return `
+        <li class="auth-flow-event auth-flow-event-${entry.outcome}">
+          <span class="auth-flow-event-time">${time}</span>
+          <span class="auth-flow-event-name">${entry.eventName}${codes ? ` (${codes})` : ''}</span>
+          <span class="auth-flow-event-transition">${transition}${entry.outcome === 'ok' || entry.outcome === 'ignored' ? '' : ` [${entry.outcome}]`}</span>
+        </li>
+      `;
+    }).join('');
+
+    const inFlight = rdnaService.getInFlightOperations().map((operation) => operation.method).join(', ');
+
+    overlay.innerHTML = `
+      <div class="auth-flow-overlay-header">
+        <span>Flow: <strong id="auth-flow-overlay-state">${this._state}</strong></span>
+        <span class="auth-flow-overlay-operations" id="auth-flow-overlay-operations">${inFlight ? `In flight: ${inFlight}` : ''}</span>
+        <button id="auth-flow-overlay-close" class="auth-flow-overlay-close">✕</button>
+      </div>
+      <ol class="auth-flow-event-list">${rows || '<li class="auth-flow-event">No SDK events yet</li>'}</ol>
+    `;
+
+    const closeBtn = document.getElementById('auth-flow-overlay-close');
+    if (closeBtn) {
+      closeBtn.onclick = () => this.hideOverlay();
+    }
+  }
+};
@@ -0,0 +1,317 @@
+/**
+ * Connection Profile Manager
+ *
+ * Keeps the connection profiles from agent_info.json (one per RelId/Profile pair,
+ * e.g. dev, QA and UAT gateways) and which one rdnaService.initialize() connects to.
+ *
+ * Features:
+ * - Loads every valid profile once via loadAgentInfo()
+ * - Imports agent info at runtime (file, pasted JSON or QR code), validated
+ *   like agent_info.json and stored under a label in cordova.file.dataDirectory.
+ *   Imported profiles are named 'label/RelIdName'.
+ * - Persists the selected profile name to localStorage
+ * - Falls back to the first profile when nothing (or an unknown name) is stored
+ * - Dispatches 'connectionProfileChanged' on document for UI updates
+ *   (TutorialHome picker, Dashboard, drawer)
+ *
+ * Usage:
+ * ```javascript
+ * await ConnectionProfileManager.load();
+ * await ConnectionProfileManager.selectProfile('uniken-qa');  // automation
+ * await ConnectionProfileManager.importAgentInfo(jsonText, { label: 'staging', source: 'paste' });
+ * const profile = await ConnectionProfileManager.getActiveProfile();
+ * ```
+ */
+
+const CONNECTION_PROFILE_KEY = 'tutorial_app_connection_profile';
+
+/**
+ * Largest accepted import - agent info is a few KB; anything bigger is not one
+ */
+const MAX_PROFILE_IMPORT_LENGTH = 64 * 1024;
+
+const MAX_PROFILE_LABEL_LENGTH = 32;
+
+const ConnectionProfileManager = {
+  /**
+   * Profiles from agent_info.json, in file order, then imported profiles
+   * Each carries source ('bundled' | 'imported') and, when imported, its label.
+   * @type {ParsedAgentInfo[]}
+   */
+  profiles: [],
+
+  /**
+   * Stored imports, in import order
+   * @type {ImportedAgentInfo[]}
+   */
+  imports: [],
+
+  /**
+   * Name of the selected profile
+   * @type {string|null}
+   */
+  selectedName: null,
+
+  /**
+   * In-flight or completed load (shared by concurrent callers)
+   * @type {Promise<ParsedAgentInfo[]>|null}
+   */
+  _loadPromise: null,
+
+  /**
+   * Load profiles and restore the persisted selection
+   * Idempotent - pass force to re-read agent_info.json and the imports
+   *
+   * @param {boolean} [force=false]
+   * @returns {Promise<ParsedAgentInfo[]>}
+   */
+  load(force = false) {
+    if (this._loadPromise && !force) {
+      return this._loadPromise;
+    }
+
+    this._loadPromise = Promise.all([
+      loadAgentInfo().then((profiles) => ({ profiles }), (error) => ({ error })),
+      loadImportedAgentInfo().catch((error) => {
+        Logger.warn('ConnectionProfileManager - Ignoring imported profiles:', error.message);
+        return [];
+      })
+    ])
+      .then(([bundled, imports]) => {
+        this.imports = imports;
+        const imported = this.expandImports(imports);
+
+        // A broken agent_info.json is only fatal when there is nothing else to connect to
+        if (bundled.error) {
+          if (imported.length === 0) {
+            throw bundled.error;
+          }
+          Logger.warn('ConnectionProfileManager - Bundled profiles unavailable, using imports only:', bundled.error.message);
+        }
+
+        const profiles = (bundled.profiles || []).map((profile) => ({ ...profile, source: 'bundled' })).concat(imported);
+        this.profiles = profiles;
+        this.selectedName = this.resolveSelection(localStorage.getItem(CONNECTION_PROFILE_KEY));
+
+        Logger.debug('ConnectionProfileManager - Loaded profiles:', JSON.stringify({
+          profiles: profiles.map((profile) => profile.name),
+          selected: this.selectedName
+        }, null, 2));
+
+        this.notifyListeners();
+        return profiles;
+      })
+      .catch((error) => {
+        // Let the next call retry
+        this._loadPromise = null;
+        throw error;
+      });
+
+    return this._loadPromise;
+  },
+
+  /**
+   * Profiles of each stored import, named 'label/RelIdName'
+   * Records that no longer validate are skipped.
+   *
+   * @param {ImportedAgentInfo[]} imports
+   * @returns {ParsedAgentInfo[]}
+   * @private
+   */
+  expandImports(imports) {
+    const profiles = [];
+
+    imports.forEach((record) => {
+      try {
+        parseAgentInfo(record.agentInfo).forEach((profile) => {
+          profiles.push({ ...profile, name: `${record.label}/${profile.name}`, source: 'imported', label: record.label });
+        });
+      } catch (error) {
+        Logger.warn('ConnectionProfileManager - Skipping stored import:', record && record.label, error.message);
+      }
+    });
+
+    return profiles;
+  },
+
+  /**
+   * Validate agent info JSON and store it under a label
+   * Importing an existing label replaces it.
+   *
+   * @param {string} text - agent_info.json contents
+   * @param {Object} options
+   * @param {string} options.label - Unique label, prefixes the profile names
+   * @param {string} [options.source='paste'] - 'file' | 'paste' | 'qr'
+   * @returns {Promise<{label: string, profiles: ParsedAgentInfo[], skipped: string[]}>}
+   * @throws {Error} User-facing message when the label or the JSON is invalid
+   */
+  async importAgentInfo(text, { label, source = 'paste' } = {}) {
+    const trimmedLabel = (label || '').trim();
+    if (!trimmedLabel) {
+      throw new Error('Enter a label for the imported profiles');
+    }
+    if (trimmedLabel.length > MAX_PROFILE_LABEL_LENGTH || trimmedLabel.includes('/')) {
+      throw new Error(`Label must be at most ${MAX_PROFILE_LABEL_LENGTH} characters and must not contain "/"`);
+    }
+
+    const content = (text || '').trim();
+    if (!content) {
+      throw new Error('The imported content is empty');
+    }
+    if (content.length > MAX_PROFILE_IMPORT_LENGTH) {
+      throw new Error('The imported content is too large to be agent info');
+    }
+
+    let agentInfo;
+    try {
+      agentInfo = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Not valid JSON: ${error.message}`);
+    }
+
+    const { skipped } = validateAgentInfo(agentInfo);
+
+    await this.load().catch(() => null);
+    const record = { label: trimmedLabel, source, importedAt: new Date().toISOString(), agentInfo };
+    const imports = this.imports.filter((candidate) => candidate.label !== trimmedLabel).concat(record);
+
+    await saveImportedAgentInfo(imports);
+    await this.load(true);
+
+    const profiles = this.profiles.filter((profile) => profile.label === trimmedLabel);
+    Logger.debug('ConnectionProfileManager - Imported profiles:', JSON.stringify({
+      label: trimmedLabel,
+      source,
+      profiles: profiles.map((profile) => profile.name),
+      skipped
+    }, null, 2));
+
+    return { label: trimmedLabel, profiles, skipped };
+  },
+
+  /**
+   * Delete an import and its profiles
+   * A selected profile from it falls back to the first remaining one.
+   *
+   * @param {string} label
+   * @returns {Promise<void>}
+   */
+  async removeImport(label) {
+    await this.load();
+
+    if (!this.imports.some((record) => record.label === label)) {
+      throw new Error(`Unknown import: ${label}`);
+    }
+
+    await saveImportedAgentInfo(this.imports.filter((record) => record.label !== label));
+    await this.load(true);
+    Logger.debug('ConnectionProfileManager - Removed import:', label);
+  },
+
+  /**
+   * @returns {ImportedAgentInfo[]}
+   */
+  getImports() {
+    return this.imports;
+  },
+
+  /**
+   * Stored name if it still exists in the file, otherwise the first profile
+   * @param {string|null} storedName
+   * @returns {string|null}
+   * @private
+   */
+  resolveSelection(storedName) {
+    if (storedName && this.profiles.some((profile) => profile.name === storedName)) {
+      return storedName;
+    }
+
+    if (storedName) {
+      Logger.warn('ConnectionProfileManager - Stored profile no longer exists:', storedName);
+    }
+    return this.profiles.length > 0 ? this.profiles[0].name : null;
+  },
+
+  /**
+   * Select the profile used by the next rdnaService.initialize()
+   *
+   * @param {string} name - Profile (RelId) name from agent_info.json, or 'label/RelIdName'
+   * @returns {Promise<ParsedAgentInfo>} The selected profile
+   * @throws {Error} When no profile has that name
+   */
+  async selectProfile(name) {
+    await this.load();
+
+    const profile = this.profiles.find((candidate) => candidate.name === name);
+    if (!profile) {
+      throw new Error(`Unknown connection profile: ${name}`);
+    }
+
+    if (AuthFlowStateMachine.getState() !== AUTH_FLOW_STATES.UNINITIALIZED) {
+      Logger.warn('ConnectionProfileManager - SDK already initialized, profile applies to the next initialize()');
+    }
+
+    this.selectedName = name;
+    localStorage.setItem(CONNECTION_PROFILE_KEY, name);
+    Logger.debug('ConnectionProfileManager - Selected profile:', name, `(${profile.host}:${profile.port})`);
+
+    this.notifyListeners();
+    return profile;
+  },
+
+  /**
+   * Selected profile, loading agent_info.json first if needed
+   * @returns {Promise<ParsedAgentInfo>}
+   */
+  async getActiveProfile() {
+    await this.load();
+
+    const profile = this.getSelectedProfile();
+    if (!profile) {
+      throw new Error('No connection profile available');
+    }
+    return profile;
+  },
+
+  /**
+   * Selected profile, or null before load() completes
+   * @returns {ParsedAgentInfo|null}
+   */
+  getSelectedProfile() {
+    return this.profiles.find((profile) => profile.name === this.selectedName) || null;
+  },
+
+  /**
+   * @returns {ParsedAgentInfo[]}
+   */
+  getProfiles() {
+    return this.profiles;
+  },
+
+  /**
+   * Display label, e.g. 'uniken-dev (13.127.122.151:4443)'
+   * @param {ParsedAgentInfo|null} [profile] - Defaults to the selected profile
+   * @returns {string}
+   */
+  describe(profile = this.getSelectedProfile()) {
+    return profile ? `${profile.name} (${profile.host}:${profile.port})` : 'N/A';
+  },
+
+  /**
+   * Notify listeners of the selection
+   * @private
+   */
+  notifyListeners() {
+    document.dispatchEvent(new CustomEvent('connectionProfileChanged', {
+      detail: {
+        profile: this.getSelectedProfile(),
+        profiles: this.profiles
+      }
+    }));
+  }
+};
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.ConnectionProfileManager = ConnectionProfileManager;
+}
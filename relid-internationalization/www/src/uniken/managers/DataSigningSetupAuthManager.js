@@ -49,6 +49,7 @@ const DataSigningSetupAuthManager = {
     authenticatorType: 0,
     reason: '',
     userID: '',
+    origin: '',
     isActive: false
   },
 
@@ -62,9 +63,11 @@ const DataSigningSetupAuthManager = {
    * @param {number} context.authenticatorType - Authenticator type enum
    * @param {string} context.reason - Reason for signing
    * @param {string} context.userID - Current user ID
+   * @param {string} [context.origin='dataSigning'] - 'apiClient' for an ApiClient step-up
+   *                                                  (cancel does not open DataSigningInput)
    */
   setContext(context) {
-    console.log('DataSigningSetupAuthManager - Setting context:', JSON.stringify({
+    Logger.debug('DataSigningSetupAuthManager - Setting context:', JSON.stringify({
       payloadLength: context.payload?.length || 0,
       authLevel: context.authLevel,
       authenticatorType: context.authenticatorType,
@@ -78,6 +81,7 @@ const DataSigningSetupAuthManager = {
       authenticatorType: context.authenticatorType || 0,
       reason: context.reason || '',
       userID: context.userID || '',
+      origin: context.origin || 'dataSigning',
       isActive: true
     };
   },
@@ -87,13 +91,14 @@ const DataSigningSetupAuthManager = {
    * Called after successful/failed authentication or on error
    */
   clearContext() {
-    console.log('DataSigningSetupAuthManager - Clearing context');
+    Logger.debug('DataSigningSetupAuthManager - Clearing context');
     this._context = {
       payload: '',
       authLevel: 0,
       authenticatorType: 0,
       reason: '',
       userID: '',
+      origin: '',
       isActive: false
     };
   },
@@ -121,7 +126,7 @@ const DataSigningSetupAuthManager = {
    * @param {Object} data - Get password data from SDK
    */
   showPasswordDialog(data) {
-    console.log('DataSigningSetupAuthManager - Showing password dialog:', JSON.stringify({
+    Logger.debug('DataSigningSetupAuthManager - Showing password dialog:', JSON.stringify({
       challengeMode: data.challengeMode,
       attemptsLeft: data.attemptsLeft,
       userID: data.userID,
@@ -129,7 +134,7 @@ const DataSigningSetupAuthManager = {
     }, null, 2));
 
     if (typeof PasswordChallengeModal === 'undefined') {
-      console.error('DataSigningSetupAuthManager - PasswordChallengeModal not found');
+      Logger.error('DataSigningSetupAuthManager - PasswordChallengeModal not found');
       return;
     }
 
@@ -144,7 +149,7 @@ const DataSigningSetupAuthManager = {
 
     if (isModalVisible && errorMessage) {
       // Modal already visible, update with error and new attempts count
-      console.log('DataSigningSetupAuthManager - Updating modal with error:', errorMessage);
+      Logger.debug('DataSigningSetupAuthManager - Updating modal with error:', errorMessage);
       PasswordChallengeModal.update({
         attemptsLeft: data.attemptsLeft,
         errorMessage: errorMessage,
@@ -152,7 +157,7 @@ const DataSigningSetupAuthManager = {
       });
     } else {
       // First time showing modal
-      console.log('DataSigningSetupAuthManager - Showing modal for first time');
+      Logger.debug('DataSigningSetupAuthManager - Showing modal for first time');
       PasswordChallengeModal.show(data.challengeMode, data.attemptsLeft, {
         payload: this._context.payload,
         authLevel: this._context.authLevel,
@@ -166,7 +171,7 @@ const DataSigningSetupAuthManager = {
    * Hide password challenge modal
    */
   hidePasswordDialog() {
-    console.log('DataSigningSetupAuthManager - Hiding password dialog');
+    Logger.debug('DataSigningSetupAuthManager - Hiding password dialog');
 
     if (typeof PasswordChallengeModal !== 'undefined') {
       PasswordChallengeModal.hide();
@@ -181,13 +186,13 @@ const DataSigningSetupAuthManager = {
    * @returns {Promise<Object>} Promise resolving with sync response
    */
   async handlePasswordSubmit(password) {
-    console.log('DataSigningSetupAuthManager - Password submitted');
+    Logger.debug('DataSigningSetupAuthManager - Password submitted');
 
     try {
       // Call setPassword with challengeMode 12
       const syncResponse = await rdnaService.setPassword(password, 12);
 
-      console.log('DataSigningSetupAuthManager - setPassword sync response:', JSON.stringify({
+      Logger.debug('DataSigningSetupAuthManager - setPassword sync response:', JSON.stringify({
         longErrorCode: syncResponse.error?.longErrorCode,
         errorString: syncResponse.error?.errorString
       }, null, 2));
@@ -199,7 +204,7 @@ const DataSigningSetupAuthManager = {
 
       return syncResponse;
     } catch (error) {
-      console.error('DataSigningSetupAuthManager - setPassword sync error:', JSON.stringify(error, null, 2));
+      Logger.error('DataSigningSetupAuthManager - setPassword sync error:', JSON.stringify(error, null, 2));
       throw error;
     }
   },
@@ -209,13 +214,14 @@ const DataSigningSetupAuthManager = {
    * Called by PasswordChallengeModal when user cancels
    */
   async handleCancel() {
-    console.log('DataSigningSetupAuthManager - Authentication cancelled');
+    Logger.debug('DataSigningSetupAuthManager - Authentication cancelled');
+    const { origin } = this._context;
 
     try {
       // Reset data signing state in SDK
       await DataSigningService.resetState();
     } catch (error) {
-      console.error('DataSigningSetupAuthManager - Reset state failed:', error);
+      Logger.error('DataSigningSetupAuthManager - Reset state failed:', error);
     }
 
     // Clear context
@@ -224,8 +230,13 @@ const DataSigningSetupAuthManager = {
     // Hide modal
     this.hidePasswordDialog();
 
-    // Navigate back to input screen
-    NavigationService.navigate('DataSigningInput');
+    // No SDK event follows a cancelled step-up
+    AuthFlowStateMachine.dispatch('stepUpCancelled');
+
+    // Navigate back to input screen (an ApiClient step-up stays where it was)
+    if (origin === 'dataSigning') {
+      NavigationService.navigate('DataSigningInput', SDKEventProvider.getSessionParams(), { force: true });
+    }
   },
 
   /**
@@ -235,7 +246,7 @@ const DataSigningSetupAuthManager = {
    * @param {Object} signingResult - Data signing response from SDK
    */
   handleSuccess(signingResult) {
-    console.log('DataSigningSetupAuthManager - Data signing successful');
+    Logger.debug('DataSigningSetupAuthManager - Data signing successful');
 
     // Clear context
     this.clearContext();
@@ -254,7 +265,7 @@ const DataSigningSetupAuthManager = {
    * @param {Object} error - Error details
    */
   handleError(error) {
-    console.log('DataSigningSetupAuthManager - Data signing failed:', JSON.stringify(error, null, 2));
+    Logger.debug('DataSigningSetupAuthManager - Data signing failed:', JSON.stringify(error, null, 2));
 
     // Clear context
     this.clearContext();
@@ -271,3 +282,12 @@ const DataSigningSetupAuthManager = {
 if (typeof window !== 'undefined') {
   window.DataSigningSetupAuthManager = DataSigningSetupAuthManager;
 }
+
+// challengeMode = 12: Data signing password verification (RDNA_OP_DATA_SIGNING)
+// Only routed while a data signing context is active
+ChallengeRouter.register('getPassword', 12, {
+  source: 'DataSigningSetupAuthManager',
+  dialog: DataSigningSetupAuthManager,
+  method: 'showPasswordDialog',
+  when: () => DataSigningSetupAuthManager.isActive()
+});
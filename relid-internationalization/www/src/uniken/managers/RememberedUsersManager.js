@@ -0,0 +1,240 @@
+/**
+ * Remembered Users Manager
+ *
+ * Local registry of the users that reached onUserLoggedIn on this device, so
+ * CheckUserScreen can offer them as one-tap choices instead of an empty
+ * username field, and the drawer can switch between them.
+ *
+ * Features:
+ * - Records each onUserLoggedIn: display name (access token 'name' claim, else the
+ *   user ID), last login time and whether LDA is enabled
+ * - LDA flag from getDeviceAuthenticationDetails() after login and after every
+ *   onDeviceAuthManagementStatus (LDA Toggling)
+ * - Most recent first, at most MAX_REMEMBERED_USERS, persisted to localStorage
+ * - forget() removes a user from this device's list (the account is not touched)
+ * - switchAccount() logs off and pre-selects the most recent other user on CheckUser
+ * - Dispatches 'rememberedUsersChanged' on document
+ *
+ * Usage:
+ * ```javascript
+ * RememberedUsersManager.initialize();                   // AppInitializer
+ * const users = RememberedUsersManager.getUsers();       // CheckUserScreen
+ * const next = RememberedUsersManager.getSwitchCandidate(userID);
+ * RememberedUsersManager.forget('alice');
+ * await RememberedUsersManager.switchAccount();          // drawer "Switch Account"
+ * const userID = RememberedUsersManager.takePreselectedUser();
+ * ```
+ *
+ * @typedef {Object} RememberedUser
+ * @property {string} userID
+ * @property {string} displayName
+ * @property {number} lastLoginAt - ms since epoch
+ * @property {boolean} ldaEnabled
+ */
+
+const REMEMBERED_USERS_KEY = 'tutorial_app_remembered_users';
+
+const MAX_REMEMBERED_USERS = 5;
+
+const RememberedUsersManager = {
+  /**
+   * Initialization flag for idempotent behavior
+   */
+  _initialized: false,
+
+  /**
+   * User to pre-select on the next CheckUser visit (switchAccount)
+   * @type {string|null}
+   */
+  _preselectedUserID: null,
+
+  /**
+   * Record logins and LDA changes
+   * Idempotent - safe to call multiple times (SPA pattern)
+   */
+  initialize() {
+    if (this._initialized) {
+      Logger.debug('RememberedUsersManager - Already initialized, skipping');
+      return;
+    }
+
+    const eventManager = rdnaService.getEventManager();
+    eventManager.on('onUserLoggedIn', (data) => this.handleUserLoggedIn(data));
+    eventManager.on('onDeviceAuthManagementStatus', (data) => {
+      if (data.error?.longErrorCode === 0 && data.userID) {
+        this.refreshLdaFlag(data.userID);
+      }
+    });
+
+    this._initialized = true;
+    Logger.debug('RememberedUsersManager - Listening for logins,', this.getUsers().length, 'user(s) remembered');
+  },
+
+  /**
+   * Remembered users, most recent login first
+   * @returns {RememberedUser[]}
+   */
+  getUsers() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(REMEMBERED_USERS_KEY) || '[]');
+      return Array.isArray(stored)
+        ? stored.filter((user) => user && typeof user.userID === 'string' && user.userID)
+        : [];
+    } catch (error) {
+      Logger.warn('RememberedUsersManager - Ignoring corrupt registry:', error.message);
+      return [];
+    }
+  },
+
+  /**
+   * @param {string} userID
+   * @returns {RememberedUser|null}
+   */
+  getUser(userID) {
+    return this.getUsers().find((user) => user.userID === userID) || null;
+  },
+
+  /**
+   * Record a successful login (moves the user to the top)
+   *
+   * @param {string} userID
+   * @param {Object} [details]
+   * @param {string} [details.displayName] - Defaults to the stored name, then the user ID
+   * @param {boolean} [details.ldaEnabled] - Defaults to the stored flag
+   * @param {number} [details.lastLoginAt=Date.now()]
+   * @returns {RememberedUser}
+   */
+  remember(userID, details = {}) {
+    const previous = this.getUser(userID);
+    const user = {
+      userID,
+      displayName: details.displayName || previous?.displayName || userID,
+      lastLoginAt: details.lastLoginAt || Date.now(),
+      ldaEnabled: details.ldaEnabled ?? previous?.ldaEnabled ?? false
+    };
+
+    const others = this.getUsers().filter((candidate) => candidate.userID !== userID);
+    this._save([user, ...others].slice(0, MAX_REMEMBERED_USERS));
+    return user;
+  },
+
+  /**
+   * Remove a user from this device's list
+   * @param {string} userID
+   * @returns {boolean} False when the user was not remembered
+   */
+  forget(userID) {
+    const users = this.getUsers();
+    const remaining = users.filter((user) => user.userID !== userID);
+    if (remaining.length === users.length) {
+      return false;
+    }
+
+    if (this._preselectedUserID === userID) {
+      this._preselectedUserID = null;
+    }
+    this._save(remaining);
+    Logger.debug('RememberedUsersManager - Forgot a user,', remaining.length, 'remaining');
+    return true;
+  },
+
+  /**
+   * User switchAccount() would pre-select: the most recent other remembered user
+   * @param {string} currentUserID
+   * @returns {RememberedUser|null}
+   */
+  getSwitchCandidate(currentUserID) {
+    return this.getUsers().find((user) => user.userID !== currentUserID) || null;
+  },
+
+  /**
+   * Log off and pre-select the most recent other user on CheckUser
+   * @returns {Promise<string|null>} Pre-selected user ID (null: no other user, empty field)
+   * @throws {RdnaError} When logOff fails - nothing is pre-selected then
+   */
+  async switchAccount() {
+    const { userID } = SDKEventProvider.getSessionParams();
+    if (!userID) {
+      throw new Error('No user is logged in');
+    }
+
+    const next = this.getSwitchCandidate(userID);
+    this._preselectedUserID = next ? next.userID : null;
+    Logger.info('RememberedUsersManager - Switching account,', next ? 'pre-selecting the last other user' : 'no other user remembered');
+
+    try {
+      // onUserLoggedOff and getUser follow - SDKEventProvider navigates to CheckUser
+      await rdnaService.logOff(userID);
+    } catch (error) {
+      this._preselectedUserID = null;
+      throw error;
+    }
+    return this._preselectedUserID;
+  },
+
+  /**
+   * User chosen by switchAccount(), cleared once read
+   * @returns {string|null}
+   */
+  takePreselectedUser() {
+    const userID = this._preselectedUserID;
+    this._preselectedUserID = null;
+    return userID;
+  },
+
+  /**
+   * onUserLoggedIn - remember the user, then look up the LDA flag
+   * @param {Object} data - onUserLoggedIn payload
+   */
+  handleUserLoggedIn(data) {
+    if (!data?.userID || data.error?.longErrorCode !== 0) {
+      return;
+    }
+
+    const claims = TokenService.getTokenInfo()?.claims;
+    this.remember(data.userID, {
+      displayName: claims?.name || claims?.preferred_username || undefined
+    });
+    this.refreshLdaFlag(data.userID);
+  },
+
+  /**
+   * Store whether any LDA (biometric / device passcode) is configured for the user
+   * @param {string} userID
+   * @returns {Promise<boolean|null>} null when the SDK could not tell
+   */
+  async refreshLdaFlag(userID) {
+    try {
+      const result = await rdnaService.getDeviceAuthenticationDetails();
+      if (result.error?.longErrorCode !== 0) {
+        return null;
+      }
+
+      const capabilities = result.response?.authenticationCapabilities || [];
+      const ldaEnabled = capabilities.some((capability) => capability.isConfigured === 1);
+      const user = this.getUser(userID);
+      if (user && user.ldaEnabled !== ldaEnabled) {
+        this._save(this.getUsers().map((candidate) => (candidate.userID === userID ? { ...candidate, ldaEnabled } : candidate)));
+      }
+      return ldaEnabled;
+    } catch (error) {
+      Logger.warn('RememberedUsersManager - Could not read the LDA state:', error.message);
+      return null;
+    }
+  },
+
+  /**
+   * @private
+   */
+  _save(users) {
+    localStorage.setItem(REMEMBERED_USERS_KEY, JSON.stringify(users));
+    document.dispatchEvent(new CustomEvent('rememberedUsersChanged', {
+      detail: { count: users.length }
+    }));
+  }
+};
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.RememberedUsersManager = RememberedUsersManager;
+}
@@ -52,7 +52,7 @@ const StepUpAuthManager = {
    * @param {Object} context.sessionParams - Session parameters for navigation
    */
   setContext(context) {
-    console.log('StepUpAuthManager - Setting context:', JSON.stringify(context, null, 2));
+    Logger.debug('StepUpAuthManager - Setting context:', JSON.stringify(context, null, 2));
     this._context = {
       notificationUUID: context.notificationUUID || null,
       notificationTitle: context.notificationTitle || '',
@@ -68,7 +68,7 @@ const StepUpAuthManager = {
    * Called after successful/failed authentication or on error
    */
   clearContext() {
-    console.log('StepUpAuthManager - Clearing context');
+    Logger.debug('StepUpAuthManager - Clearing context');
     this._context = {
       notificationUUID: null,
       notificationTitle: '',
@@ -102,7 +102,7 @@ const StepUpAuthManager = {
    * @param {Object} data - Get password data from SDK
    */
   showPasswordDialog(data) {
-    console.log('StepUpAuthManager - Showing password dialog');
+    Logger.debug('StepUpAuthManager - Showing password dialog');
 
     // Check for error status codes
     const statusCode = data.challengeResponse?.status?.statusCode;
@@ -121,7 +121,7 @@ const StepUpAuthManager = {
         onCancel: () => this.handleCancel()
       });
     } else {
-      console.error('StepUpAuthManager - StepUpPasswordDialog not found');
+      Logger.error('StepUpAuthManager - StepUpPasswordDialog not found');
     }
   },
 
@@ -129,7 +129,7 @@ const StepUpAuthManager = {
    * Hide step-up password dialog
    */
   hidePasswordDialog() {
-    console.log('StepUpAuthManager - Hiding password dialog');
+    Logger.debug('StepUpAuthManager - Hiding password dialog');
 
     if (typeof StepUpPasswordDialog !== 'undefined') {
       StepUpPasswordDialog.hide();
@@ -141,7 +141,7 @@ const StepUpAuthManager = {
    * @param {string} password - User-entered password
    */
   handlePasswordSubmit(password) {
-    console.log('StepUpAuthManager - Password submitted');
+    Logger.debug('StepUpAuthManager - Password submitted');
 
     // Update modal to show loading state
     if (typeof StepUpPasswordDialog !== 'undefined') {
@@ -151,7 +151,7 @@ const StepUpAuthManager = {
     // Call setPassword with challengeMode 3
     rdnaService.setPassword(password, 3)
       .then((syncResponse) => {
-        console.log('StepUpAuthManager - setPassword sync response:', JSON.stringify({
+        Logger.debug('StepUpAuthManager - setPassword sync response:', JSON.stringify({
           longErrorCode: syncResponse.error?.longErrorCode,
           errorString: syncResponse.error?.errorString
         }, null, 2));
@@ -162,7 +162,7 @@ const StepUpAuthManager = {
         // The modal will stay visible until we get the final response
       })
       .catch((error) => {
-        console.error('StepUpAuthManager - setPassword sync error:', JSON.stringify(error, null, 2));
+        Logger.error('StepUpAuthManager - setPassword sync error:', JSON.stringify(error, null, 2));
 
         const errorMessage = error?.error?.errorString || 'Failed to verify password';
 
@@ -180,13 +180,17 @@ const StepUpAuthManager = {
    * Handle cancellation
    */
   handleCancel() {
-    console.log('StepUpAuthManager - Authentication cancelled');
+    Logger.debug('StepUpAuthManager - Authentication cancelled');
 
     // Clear context
     this.clearContext();
 
     // Hide modal
     this.hidePasswordDialog();
+
+    // No SDK event follows a cancelled step-up
+    rdnaService.releaseOperation('updateNotification', 'step-up cancelled');
+    AuthFlowStateMachine.dispatch('stepUpCancelled');
   },
 
   /**
@@ -194,7 +198,7 @@ const StepUpAuthManager = {
    * Called by GetNotificationsScreen after receiving onUpdateNotification with success
    */
   handleSuccess() {
-    console.log('StepUpAuthManager - Authentication successful');
+    Logger.debug('StepUpAuthManager - Authentication successful');
 
     // Clear context
     this.clearContext();
@@ -208,7 +212,7 @@ const StepUpAuthManager = {
    * Called by GetNotificationsScreen after receiving onUpdateNotification with error
    */
   handleError() {
-    console.log('StepUpAuthManager - Authentication failed');
+    Logger.debug('StepUpAuthManager - Authentication failed');
 
     // Clear context
     this.clearContext();
@@ -217,3 +221,10 @@ const StepUpAuthManager = {
     this.hidePasswordDialog();
   }
 };
+
+// challengeMode = 3: Step-up authentication for notification actions (RDNA_OP_AUTHORIZE_NOTIFICATION)
+ChallengeRouter.register('getPassword', 3, {
+  source: 'StepUpAuthManager',
+  dialog: StepUpAuthManager,
+  method: 'showPasswordDialog'
+});
@@ -0,0 +1,115 @@
+/**
+ * Transport Settings Manager
+ *
+ * Keeps the Advanced settings (cipher specs and salt, proxy, client SSL
+ * certificate, SDK log level) per connection profile and works out what
+ * rdnaService.initialize() sends.
+ *
+ * Precedence, later wins:
+ * defaults → Profiles entry in agent_info.json → saved settings → initialize() argument
+ *
+ * Settings are stored in localStorage keyed by profile name, so switching
+ * profiles switches proxies and certificates with them.
+ *
+ * Usage:
+ * ```javascript
+ * TransportSettingsManager.save('uniken-qa', { proxySettings: { host: 'proxy.corp', port: 8080 } });
+ * const options = TransportSettingsManager.resolve(profile);  // validated TransportOptions
+ * ```
+ */
+
+const TRANSPORT_SETTINGS_KEY = 'tutorial_app_transport_settings';
+
+const TransportSettingsManager = {
+  /**
+   * Saved settings of every profile
+   * @returns {Object<string, Partial<TransportOptions>>}
+   * @private
+   */
+  readAll() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(TRANSPORT_SETTINGS_KEY) || '{}');
+      return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+    } catch (error) {
+      Logger.warn('TransportSettingsManager - Ignoring corrupt settings:', error.message);
+      return {};
+    }
+  },
+
+  /**
+   * Settings saved for a profile on the Advanced screen
+   * @param {string} profileName
+   * @returns {Partial<TransportOptions>} Empty object when nothing is saved
+   */
+  getSaved(profileName) {
+    return this.readAll()[profileName] || {};
+  },
+
+  /**
+   * Validate and save settings for a profile (replaces what was saved)
+   *
+   * @param {string} profileName
+   * @param {Partial<TransportOptions>} options
+   * @returns {TransportOptions} Validated settings as saved
+   * @throws {Error} Naming the first invalid field; nothing is saved then
+   */
+  save(profileName, options) {
+    const validated = validateTransportOptions(options);
+
+    const all = this.readAll();
+    all[profileName] = validated;
+    localStorage.setItem(TRANSPORT_SETTINGS_KEY, JSON.stringify(all));
+
+    Logger.debug('TransportSettingsManager - Saved settings for', profileName + ':',
+      JSON.stringify(describeTransportOptions(validated), null, 2));
+
+    this.notifyListeners(profileName);
+    return validated;
+  },
+
+  /**
+   * Forget saved settings - the profile falls back to agent_info.json and defaults
+   * @param {string} profileName
+   */
+  clear(profileName) {
+    const all = this.readAll();
+    if (!(profileName in all)) return;
+
+    delete all[profileName];
+    localStorage.setItem(TRANSPORT_SETTINGS_KEY, JSON.stringify(all));
+    Logger.debug('TransportSettingsManager - Cleared settings for', profileName);
+
+    this.notifyListeners(profileName);
+  },
+
+  /**
+   * Options initialize() sends for a profile
+   *
+   * @param {ParsedAgentInfo} profile
+   * @param {Partial<TransportOptions>} [overrides] - initialize() argument
+   * @returns {TransportOptions}
+   * @throws {Error} When the combination is invalid
+   */
+  resolve(profile, overrides = {}) {
+    return validateTransportOptions({
+      ...(profile.transport || {}),
+      ...this.getSaved(profile.name),
+      ...overrides
+    });
+  },
+
+  /**
+   * @param {string} profileName
+   * @private
+   */
+  notifyListeners(profileName) {
+    document.dispatchEvent(new CustomEvent('transportSettingsChanged', {
+      detail: { profileName }
+    }));
+  }
+};
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.TransportSettingsManager = TransportSettingsManager;
+}
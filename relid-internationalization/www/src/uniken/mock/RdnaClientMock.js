@@ -0,0 +1,763 @@
+/**
+ * RdnaClient Mock - Browser stand-in for com.uniken.rdnaplugin.RdnaClient
+ *
+ * Lets www/index.html run in a desktop browser without the native REL-ID plugin
+ * or a REL-ID server. Every RdnaClient method called by rdnaService is implemented;
+ * each call answers its sync callback and then fires the matching document events
+ * ({ response: JSON string }), exactly like the native plugin.
+ *
+ * Only installs itself when cordova.js is absent (plain browser). Inside a Cordova
+ * build this file is a no-op and the real plugin is used.
+ *
+ * What each call does is declared in scenario files (src/uniken/mock/scenarios/*.js):
+ *
+ *   RdnaClientMock.registerScenario({
+ *     name: 'wrong-password',
+ *     description: 'Verify password fails twice before succeeding',
+ *     fixtures: { ... },                  // optional, overrides DEFAULT_FIXTURES
+ *     reactions: {
+ *       setPassword: [
+ *         { match: ['Demo@1234', 0], emit: [{ event: 'onUserLoggedIn' }] },
+ *         { match: [null, 0], times: 1, emit: [{ event: 'getPassword', data: { attemptsLeft: 2 } }] }
+ *       ]
+ *     }
+ *   });
+ *
+ * Reaction fields:
+ * - match    - Positional argument filter, null = any value (optional)
+ * - times    - How many calls this reaction may answer (optional, default unlimited)
+ * - error    - Answer through the error callback with this error object (optional)
+ * - response - Extra fields merged into the sync response (optional)
+ * - emit     - Events to fire: { event, data, delayMs } - data is deep-merged over the
+ *              event template, delayMs is counted from the previous event
+ *
+ * For each call the scenario's reactions are tried first, then DEFAULT_REACTIONS
+ * (a returning user on a healthy server). The first reaction that matches wins.
+ *
+ * Scenario selection (first match):
+ * 1. ?scenario=<name> in the page URL
+ * 2. localStorage 'rdnaMockScenario'
+ * 3. 'default'
+ *
+ * Console helpers:
+ * - RdnaClientMock.listScenarios()
+ * - RdnaClientMock.useScenario('session-timeout') - persists and reloads the page
+ * - RdnaClientMock.emit('onTerminateWithThreats', { threats: [...] }) - fire any event by hand
+ */
+
+const MOCK_SCENARIO_STORAGE_KEY = 'rdnaMockScenario';
+
+/**
+ * localStorage prefix for files written to the mock cordova.file.dataDirectory
+ */
+const MOCK_DATA_DIRECTORY_PREFIX = 'rdnaMockDataDirectory:';
+
+/**
+ * Connection profile used when src/uniken/cp/agent_info.json cannot be fetched
+ * (e.g. index.html opened from file://)
+ */
+const MOCK_AGENT_INFO = {
+  RelIds: [{ Name: 'mock-server', RelId: 'MOCK-RELID' }],
+  Profiles: [{ Name: 'mock-server', Host: 'localhost', Port: '4443' }]
+};
+
+const MOCK_PASSWORD_POLICY = {
+  minL: 8,
+  maxL: 16,
+  minDg: 1,
+  minUc: 1,
+  minLc: 1,
+  minSc: 1,
+  charsNotAllowed: '',
+  Repetition: 0,
+  UserIDcheck: true,
+  SeqCheck: 'false',
+  BlackListedCommonPassword: 'false',
+  msg: ''
+};
+
+/**
+ * Data returned by list-style events. Scenarios override it through `fixtures`.
+ */
+const DEFAULT_FIXTURES = {
+  sdkVersion: '25.10.0-mock',
+  notifications: [
+    {
+      notification_uuid: '6f1c2a3e-0001-4c3b-9a6d-5e1f00000001',
+      create_ts: '2025-10-09T11:39:49UTC',
+      expiry_timestamp: '2099-12-31T23:59:59UTC',
+      action_performed: '',
+      body: [{ lng: 'English', subject: 'Login request', message: 'Approve sign-in from Chrome on macOS?' }],
+      actions: [
+        { label: 'Approve', action: 'Accept', authlevel: '1' },
+        { label: 'Reject', action: 'Reject', authlevel: '1' }
+      ]
+    },
+    {
+      notification_uuid: '6f1c2a3e-0002-4c3b-9a6d-5e1f00000002',
+      create_ts: '2025-10-09T12:05:10UTC',
+      expiry_timestamp: '2099-12-31T23:59:59UTC',
+      action_performed: '',
+      body: [{ lng: 'English', subject: 'Fund transfer', message: 'Authorize transfer of $250.00 to ACME Corp?' }],
+      actions: [
+        { label: 'Authorize', action: 'Accept', authlevel: '3' },
+        { label: 'Decline', action: 'Reject', authlevel: '1' }
+      ]
+    }
+  ],
+  history: [
+    {
+      notification_uuid: '6f1c2a3e-0101-4c3b-9a6d-5e1f00000101',
+      status: 'UPDATED',
+      action_performed: 'Accept',
+      create_ts: '2025-10-08T09:12:00UTC',
+      update_ts: '2025-10-08T09:12:30UTC',
+      expiry_timestamp: '2025-10-08T09:17:00UTC',
+      signing_status: '',
+      body: [{ lng: 'English', subject: 'Login request', message: 'Approve sign-in from Firefox on Windows?' }]
+    },
+    {
+      notification_uuid: '6f1c2a3e-0102-4c3b-9a6d-5e1f00000102',
+      status: 'EXPIRED',
+      action_performed: 'NONE',
+      create_ts: '2025-10-07T17:40:00UTC',
+      update_ts: '2025-10-07T17:45:00UTC',
+      expiry_timestamp: '2025-10-07T17:45:00UTC',
+      signing_status: '',
+      body: [{ lng: 'English', subject: 'Fund transfer', message: 'Authorize transfer of $90.00 to Example Ltd?' }]
+    }
+  ],
+  devices: [
+    {
+      devUUID: 'mock-device-current',
+      devName: 'Browser (mock)',
+      status: 'ACTIVE',
+      lastAccessedTs: '2025-10-09T11:39:49UTC',
+      lastAccessedTsEpoch: 1760009989000,
+      createdTs: '2025-10-01T08:00:00UTC',
+      createdTsEpoch: 1759305600000,
+      appUuid: 'mock-app-uuid',
+      currentDevice: true,
+      devBind: 0
+    },
+    {
+      devUUID: 'mock-device-phone',
+      devName: 'Pixel 8',
+      status: 'ACTIVE',
+      lastAccessedTs: '2025-10-05T18:22:10UTC',
+      lastAccessedTsEpoch: 1759688530000,
+      createdTs: '2025-09-12T10:15:00UTC',
+      createdTsEpoch: 1757672100000,
+      appUuid: 'mock-app-uuid',
+      currentDevice: false,
+      devBind: 0
+    }
+  ],
+  authenticationCapabilities: [
+    { authenticationType: 1, isConfigured: 0 },
+    { authenticationType: 9, isConfigured: 1 }
+  ],
+  availableCredentials: ['Password']
+};
+
+/**
+ * Returning user on a healthy server. Scenario reactions are tried before these.
+ */
+const DEFAULT_REACTIONS = {
+  getSDKVersion: [{ response: { response: DEFAULT_FIXTURES.sdkVersion } }],
+  setDeviceToken: [{}],
+  initialize: [{
+    emit: [
+      { event: 'onInitializeProgress', data: { initializeStatus: 'STARTED' } },
+      { event: 'onInitializeProgress', data: { initializeStatus: 'COMPLETED' } },
+      { event: 'onInitialized' },
+      { event: 'getUser' }
+    ]
+  }],
+  takeActionOnThreats: [{}],
+  setUser: [{ emit: [{ event: 'getPassword', data: { challengeMode: 0 } }] }],
+  setActivationCode: [{ emit: [{ event: 'getUserConsentForLDA' }] }],
+  setUserConsentForLDA: [
+    { match: [true], emit: [{ event: 'onUserLoggedIn' }] },
+    { emit: [{ event: 'getPassword', data: { challengeMode: 1 } }] }
+  ],
+  resendActivationCode: [{ emit: [{ event: 'getActivationCode' }] }],
+  setPassword: [
+    { match: [null, 3], emit: [{ event: 'onUpdateNotification' }] },
+    { match: [null, 5], emit: [{ event: 'onDeviceAuthManagementStatus' }] },
+    { match: [null, 14], emit: [{ event: 'onDeviceAuthManagementStatus' }] },
+    { match: [null, 15], emit: [{ event: 'onDeviceAuthManagementStatus' }] },
+    { match: [null, 12], emit: [{ event: 'onAuthenticateUserAndSignData' }] },
+    { emit: [{ event: 'onUserLoggedIn' }] }
+  ],
+  resetAuthState: [{ emit: [{ event: 'getUser' }] }],
+  logOff: [{ emit: [{ event: 'onUserLoggedOff' }, { event: 'getUser' }] }],
+  extendSessionIdleTimeout: [{ emit: [{ event: 'onSessionExtensionResponse' }] }],
+  getNotifications: [{ emit: [{ event: 'onGetNotifications' }] }],
+  updateNotification: [{ emit: [{ event: 'onUpdateNotification' }] }],
+  getNotificationHistory: [{ emit: [{ event: 'onGetNotificationsHistory' }] }],
+  performVerifyAuth: [
+    { match: [true], emit: [{ event: 'getActivationCode' }] },
+    { emit: [{ event: 'getUser' }] }
+  ],
+  fallbackNewDeviceActivationFlow: [{ emit: [{ event: 'getActivationCode' }] }],
+  forgotPassword: [{ emit: [{ event: 'getActivationCode' }] }],
+  updatePassword: [
+    { match: [null, null, 2], emit: [{ event: 'onUpdateCredentialResponse' }] },
+    { emit: [{ event: 'onUserLoggedIn' }] }
+  ],
+  getAllChallenges: [{ emit: [{ event: 'onCredentialsAvailableForUpdate' }] }],
+  initiateUpdateFlowForCredential: [{ emit: [{ event: 'getPassword', data: { challengeMode: 2 } }] }],
+  getDeviceAuthenticationDetails: [{
+    response: { response: { authenticationCapabilities: DEFAULT_FIXTURES.authenticationCapabilities } }
+  }],
+  manageDeviceAuthenticationModes: [{ emit: [{ event: 'onDeviceAuthManagementStatus' }] }],
+  authenticateUserAndSignData: [{ emit: [{ event: 'onAuthenticateUserAndSignData' }] }],
+  resetAuthenticateUserAndSignDataState: [{}],
+  getRegisteredDeviceDetails: [{ emit: [{ event: 'onGetRegistredDeviceDetails' }] }],
+  updateDeviceDetails: [{ emit: [{ event: 'onUpdateDeviceDetails' }] }],
+  setSDKLanguage: [{ emit: [{ event: 'onSetLanguageResponse' }] }],
+  terminate: [{}]
+};
+
+/**
+ * Builds a base64url-encoded unsigned JWT so the dashboard has a realistic access token
+ * @param {string} userID
+ * @returns {string}
+ */
+function buildMockAccessToken(userID) {
+  const encode = (value) => btoa(JSON.stringify(value)).replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+  const issuedAt = Math.floor(Date.now() / 1000);
+  return [
+    encode({ alg: 'none', typ: 'JWT' }),
+    encode({
+      sub: userID,
+      iss: 'rdna-client-mock',
+      aud: 'relid-tutorial-app',
+      iat: issuedAt,
+      exp: issuedAt + 3600,
+      scope: 'openid profile notifications'
+    }),
+    'mock-signature'
+  ].join('.');
+}
+
+const mockSuccessError = () => ({ longErrorCode: 0, shortErrorCode: 0, errorString: 'Success' });
+const mockSuccessStatus = () => ({ statusCode: 100, statusMessage: 'Success' });
+
+/**
+ * Wraps a ResponseData object in the pArgs envelope used by server-backed events
+ */
+const mockServerResponse = (responseData, statusMsg = 'Success') => ({
+  errCode: 0,
+  error: mockSuccessError(),
+  eMethId: 0,
+  pArgs: {
+    response: {
+      ResponseData: responseData,
+      StatusMsg: statusMsg,
+      StatusCode: 100,
+      CredOpMode: -1
+    }
+  }
+});
+
+const mockChallengeResponse = (state, challengeInfo = []) => ({
+  status: mockSuccessStatus(),
+  session: { sessionType: 0, sessionID: state.sessionID },
+  additionalInfo: {},
+  challengeInfo: challengeInfo
+});
+
+/**
+ * Default payload per event. Receives the mock state (userID, sessionID, fixtures,
+ * lastArgs per method) and returns the object the native plugin would serialize.
+ */
+const MOCK_EVENT_TEMPLATES = {
+  onInitializeProgress: () => ({
+    systemThreatCheckStatus: 'COMPLETED',
+    appThreatCheckStatus: 'COMPLETED',
+    networkThreatCheckStatus: 'COMPLETED',
+    initializeStatus: 'COMPLETED'
+  }),
+  onInitializeError: () => ({ longErrorCode: 88, shortErrorCode: 88, errorString: 'Mock initialization error' }),
+  onInitialized: (state) => ({
+    status: mockSuccessStatus(),
+    session: { sessionType: 0, sessionID: state.sessionID },
+    additionalInfo: { supportedLanguage: [], selectedLanguage: '' },
+    challengeInfo: [],
+    error: mockSuccessError()
+  }),
+  onUserConsentThreats: () => ({ threats: [] }),
+  onTerminateWithThreats: () => ({ threats: [] }),
+  getUser: (state) => ({
+    recentLoggedInUser: state.userID || '',
+    rememberedUsers: state.userID ? [state.userID] : [],
+    challengeResponse: mockChallengeResponse(state),
+    error: mockSuccessError()
+  }),
+  getActivationCode: (state) => ({
+    userID: state.userID,
+    verificationKey: 'MOCK-VKEY',
+    attemptsLeft: 3,
+    challengeResponse: mockChallengeResponse(state),
+    error: mockSuccessError()
+  }),
+  getUserConsentForLDA: (state) => ({
+    userID: state.userID,
+    challengeMode: 0,
+    authenticationType: 1,
+    challengeResponse: mockChallengeResponse(state),
+    error: mockSuccessError()
+  }),
+  getPassword: (state) => ({
+    userID: state.userID,
+    challengeMode: 0,
+    attemptsLeft: 3,
+    challengeResponse: mockChallengeResponse(state, [
+      { key: 'RELID_PASSWORD_POLICY', value: JSON.stringify(MOCK_PASSWORD_POLICY) }
+    ]),
+    error: mockSuccessError()
+  }),
+  onUserLoggedIn: (state) => ({
+    userID: state.userID,
+    challengeResponse: {
+      status: mockSuccessStatus(),
+      session: { sessionType: 1, sessionID: state.sessionID },
+      additionalInfo: {
+        jwtJsonTokenInfo: JSON.stringify({
+          access_token: buildMockAccessToken(state.userID),
+          token_type: 'Bearer',
+          expires_in: 3600
+        })
+      },
+      challengeInfo: []
+    },
+    error: mockSuccessError()
+  }),
+  onUserLoggedOff: (state) => ({
+    userID: state.userID,
+    challengeResponse: mockChallengeResponse(state),
+    error: mockSuccessError()
+  }),
+  // The native plugin sends a plain string for this event, not JSON
+  onSessionTimeout: () => 'Your session has timed out. Please log in again.',
+  onSessionTimeOutNotification: (state) => ({
+    userID: state.userID,
+    timeLeftInSeconds: 30,
+    sessionCanBeExtended: 1,
+    message: 'Your session is about to expire due to inactivity.',
+    status: mockSuccessStatus(),
+    error: mockSuccessError()
+  }),
+  onSessionExtensionResponse: () => ({
+    status: { statusCode: 100, statusMessage: 'Session extended successfully' },
+    error: mockSuccessError()
+  }),
+  addNewDeviceOptions: (state) => ({
+    userID: state.userID,
+    newDeviceOptions: ['REL-ID Verify', 'Fallback activation'],
+    challengeMode: 0,
+    error: mockSuccessError()
+  }),
+  onGetNotifications: (state) => mockServerResponse({ notifications: state.fixtures.notifications }),
+  onUpdateNotification: () => mockServerResponse({}, 'Notification action updated successfully'),
+  onGetNotificationsHistory: (state) => mockServerResponse({ history: state.fixtures.history }),
+  onCredentialsAvailableForUpdate: (state) => ({
+    userID: state.userID,
+    options: state.fixtures.availableCredentials,
+    error: mockSuccessError()
+  }),
+  onUpdateCredentialResponse: (state) => ({
+    userID: state.userID,
+    credType: 'Password',
+    status: { statusCode: 100, statusMessage: 'Password updated successfully' },
+    error: mockSuccessError()
+  }),
+  onDeviceAuthManagementStatus: (state) => {
+    const [isEnabled, authType] = state.lastArgs.manageDeviceAuthenticationModes || [true, 1];
+    return {
+      userID: state.userID,
+      OpMode: isEnabled ? 1 : 0,
+      ldaType: authType,
+      status: mockSuccessStatus(),
+      error: mockSuccessError()
+    };
+  },
+  onAuthenticateUserAndSignData: (state) => {
+    const [payload = '', authLevel = 4, authenticatorType = 0, reason = ''] =
+      state.lastArgs.authenticateUserAndSignData || [];
+    return {
+      dataPayload: payload,
+      dataPayloadLength: payload.length,
+      reason: reason,
+      payloadSignature: btoa(`mock-signature:${payload}`),
+      dataSignatureID: `mock-signature-${Date.now()}`,
+      authLevel: authLevel,
+      authenticationType: authenticatorType,
+      status: mockSuccessStatus(),
+      error: mockSuccessError()
+    };
+  },
+  onGetRegistredDeviceDetails: (state) => mockServerResponse({
+    device: state.fixtures.devices,
+    deviceManagementCoolingPeriodEndTimestamp: 0
+  }),
+  onUpdateDeviceDetails: (state) => {
+    const [, devicePayload = '{}'] = state.lastArgs.updateDeviceDetails || [];
+    let devUUID = '';
+    try {
+      devUUID = JSON.parse(devicePayload).device?.[0]?.devUUID || '';
+    } catch (error) {
+      Logger.warn('RdnaClientMock - Could not parse device payload:', error);
+    }
+    return mockServerResponse({ status_code: 100, message: 'Device details updated successfully', dev_uuid: devUUID });
+  },
+  onSetLanguageResponse: (state) => {
+    const [localeCode = 'en-US', languageDirection = 0] = state.lastArgs.setSDKLanguage || [];
+    return {
+      localeCode: localeCode,
+      localeName: localeCode,
+      languageDirection: languageDirection,
+      supportedLanguages: [],
+      status: mockSuccessStatus(),
+      error: mockSuccessError()
+    };
+  }
+};
+
+const RdnaClientMock = {
+  /** @type {Object<string, Object>} Registered scenarios by name */
+  scenarios: {},
+
+  /** @type {Object|null} Scenario used for this page load */
+  activeScenario: null,
+
+  /** Delay before the first event of a reaction, in milliseconds */
+  defaultDelayMs: 300,
+
+  /** Mock SDK state shared with event templates */
+  state: {
+    userID: '',
+    sessionID: '',
+    fixtures: DEFAULT_FIXTURES,
+    lastArgs: {},
+    reactionUses: {}
+  },
+
+  /** Pending event timers, cleared when the scenario is reset */
+  _timers: [],
+
+  /**
+   * Registers a scenario so it can be selected with ?scenario=<name>
+   * @param {Object} scenario - { name, description, fixtures?, reactions }
+   */
+  registerScenario(scenario) {
+    if (!scenario || !scenario.name) {
+      throw new Error('RdnaClientMock - Scenario must have a name');
+    }
+    this.scenarios[scenario.name] = scenario;
+  },
+
+  /**
+   * @returns {Array<{name: string, description: string}>}
+   */
+  listScenarios() {
+    return Object.values(this.scenarios).map((scenario) => ({
+      name: scenario.name,
+      description: scenario.description || ''
+    }));
+  },
+
+  /**
+   * Persists the scenario choice and reloads the page so the app starts fresh
+   * @param {string} name - Registered scenario name
+   */
+  useScenario(name) {
+    if (!this.scenarios[name]) {
+      throw new Error(`RdnaClientMock - Unknown scenario: ${name}`);
+    }
+    localStorage.setItem(MOCK_SCENARIO_STORAGE_KEY, name);
+    window.location.reload();
+  },
+
+  /**
+   * Activates a scenario for the current page without reloading
+   * @param {string} name - Registered scenario name
+   */
+  activate(name) {
+    this._timers.forEach((timerId) => clearTimeout(timerId));
+    this._timers = [];
+
+    this.activeScenario = this.scenarios[name] || this.scenarios.default;
+    this.state = {
+      userID: '',
+      sessionID: `mock-session-${Date.now()}`,
+      fixtures: { ...DEFAULT_FIXTURES, ...(this.activeScenario.fixtures || {}) },
+      lastArgs: {},
+      reactionUses: {}
+    };
+
+    Logger.debug('RdnaClientMock - Active scenario:', this.activeScenario.name);
+  },
+
+  /**
+   * Fires an SDK document event the same way the native plugin does
+   *
+   * @param {string} eventName - e.g. 'getPassword', 'onUserLoggedIn'
+   * @param {Object} [data] - Deep-merged over the event template
+   */
+  emit(eventName, data) {
+    const template = MOCK_EVENT_TEMPLATES[eventName];
+    const base = template ? template(this.state) : { error: mockSuccessError() };
+    const payload = typeof base === 'string'
+      ? (data !== undefined ? data : base)
+      : this._deepMerge(base, data || {});
+
+    Logger.debug('RdnaClientMock - Emitting event:', eventName);
+
+    const event = new Event(eventName);
+    event.response = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    document.dispatchEvent(event);
+  },
+
+  /**
+   * Handles one RdnaClient method call: picks the reaction, answers the sync
+   * callback and schedules the reaction's events
+   */
+  _handleCall(method, success, failure, args) {
+    args = args || [];
+    this.state.lastArgs[method] = args;
+
+    if (method === 'setUser' && args[0]) {
+      this.state.userID = args[0];
+    }
+
+    // A terminated SDK sends nothing more from the old session
+    if (method === 'terminate') {
+      this._timers.forEach((timerId) => clearTimeout(timerId));
+      this._timers = [];
+      this.state.sessionID = `mock-session-${Date.now()}`;
+    }
+
+    const reaction = this._findReaction(method, args);
+    Logger.debug('RdnaClientMock - ' + method + ' called, reaction:', reaction ? JSON.stringify({
+      match: reaction.match,
+      error: reaction.error ? reaction.error.longErrorCode : undefined,
+      events: (reaction.emit || []).map((item) => item.event)
+    }) : 'none');
+
+    // Answer the sync callback asynchronously, like the native bridge
+    setTimeout(() => {
+      if (reaction && reaction.error) {
+        if (failure) {
+          failure(JSON.stringify({ error: { shortErrorCode: reaction.error.longErrorCode, ...reaction.error } }));
+        }
+        return;
+      }
+
+      if (success) {
+        success(JSON.stringify({ error: mockSuccessError(), ...(reaction?.response || {}) }));
+      }
+
+      let delay = 0;
+      (reaction?.emit || []).forEach((item) => {
+        delay += item.delayMs !== undefined ? item.delayMs : this.defaultDelayMs;
+        this._timers.push(setTimeout(() => this.emit(item.event, item.data), delay));
+      });
+    }, 0);
+  },
+
+  /**
+   * First matching reaction from the active scenario, then DEFAULT_REACTIONS
+   */
+  _findReaction(method, args) {
+    const candidates = [
+      ...((this.activeScenario?.reactions || {})[method] || []).map((reaction, index) => ({ reaction, key: `scenario:${method}:${index}` })),
+      ...(DEFAULT_REACTIONS[method] || []).map((reaction, index) => ({ reaction, key: `default:${method}:${index}` }))
+    ];
+
+    for (const { reaction, key } of candidates) {
+      if (!this._matchesArgs(reaction.match, args)) continue;
+
+      const used = this.state.reactionUses[key] || 0;
+      if (reaction.times !== undefined && used >= reaction.times) continue;
+
+      this.state.reactionUses[key] = used + 1;
+      return reaction;
+    }
+
+    return null;
+  },
+
+  _matchesArgs(match, args) {
+    if (!match) return true;
+    return match.every((expected, index) =>
+      expected === null || expected === undefined || JSON.stringify(expected) === JSON.stringify(args[index])
+    );
+  },
+
+  _deepMerge(base, override) {
+    if (Array.isArray(override) || typeof override !== 'object' || override === null) {
+      return override;
+    }
+    const merged = { ...base };
+    Object.keys(override).forEach((key) => {
+      const baseValue = base ? base[key] : undefined;
+      merged[key] = baseValue && typeof baseValue === 'object' && !Array.isArray(baseValue)
+        ? this._deepMerge(baseValue, override[key])
+        : override[key];
+    });
+    return merged;
+  },
+
+  /**
+   * Builds the com.uniken.rdnaplugin.RdnaClient object with one function per method
+   */
+  _createClient() {
+    const client = {
+      RDNALoggingLevel: {
+        RDNA_NO_LOGS: 0,
+        RDNA_LOG_VERBOSE: 1,
+        RDNA_LOG_DEBUG: 2,
+        RDNA_LOG_INFO: 3,
+        RDNA_LOG_WARN: 4,
+        RDNA_LOG_ERROR: 5
+      }
+    };
+    Object.keys(DEFAULT_REACTIONS).forEach((method) => {
+      client[method] = (success, failure, args) => this._handleCall(method, success, failure, args);
+    });
+    return client;
+  },
+
+  /**
+   * Stands in for cordova-plugin-file so loadAgentInfo() works: serves
+   * src/uniken/cp/agent_info.json over http, or MOCK_AGENT_INFO from file://.
+   * mock://data/ is a writable data directory backed by localStorage; its
+   * callbacks run as microtasks.
+   */
+  _installFileShim() {
+    window.cordova = {
+      platformId: 'browser',
+      version: 'mock',
+      file: { applicationDirectory: 'mock://app/', dataDirectory: 'mock://data/' }
+    };
+
+    window.resolveLocalFileSystemURL = (url, success, failure) => {
+      if (url.startsWith('mock://data/')) {
+        const name = url.replace('mock://data/', '');
+        if (!name) {
+          queueMicrotask(() => success(this._createDataDirectoryEntry()));
+        } else if (localStorage.getItem(MOCK_DATA_DIRECTORY_PREFIX + name) === null) {
+          queueMicrotask(() => failure && failure({ code: 1, message: 'NOT_FOUND_ERR' }));
+        } else {
+          queueMicrotask(() => success(this._createDataFileEntry(name)));
+        }
+        return;
+      }
+
+      const relativePath = url.replace('mock://app/www/', '');
+      const fileEntry = {
+        file: (callback) => {
+          fetch(relativePath)
+            .then((response) => (response.ok ? response.text() : Promise.reject(new Error(response.statusText))))
+            .catch((error) => {
+              Logger.warn('RdnaClientMock - Could not fetch ' + relativePath + ', using MOCK_AGENT_INFO:', error.message);
+              return JSON.stringify(MOCK_AGENT_INFO);
+            })
+            .then((text) => callback(new Blob([text], { type: 'application/json' })));
+        }
+      };
+      setTimeout(() => success(fileEntry), 0);
+    };
+  },
+
+  /**
+   * DirectoryEntry for mock://data/ (getFile only)
+   */
+  _createDataDirectoryEntry() {
+    return {
+      getFile: (name, options, success, failure) => {
+        const exists = localStorage.getItem(MOCK_DATA_DIRECTORY_PREFIX + name) !== null;
+        if (!exists && !(options && options.create)) {
+          queueMicrotask(() => failure && failure({ code: 1, message: 'NOT_FOUND_ERR' }));
+          return;
+        }
+        if (!exists) {
+          localStorage.setItem(MOCK_DATA_DIRECTORY_PREFIX + name, '');
+        }
+        queueMicrotask(() => success(this._createDataFileEntry(name)));
+      }
+    };
+  },
+
+  /**
+   * FileEntry for a file in mock://data/ (file() and createWriter())
+   */
+  _createDataFileEntry(name) {
+    const key = MOCK_DATA_DIRECTORY_PREFIX + name;
+    return {
+      name,
+      file: (callback) => {
+        callback(new Blob([localStorage.getItem(key) || ''], { type: 'application/json' }));
+      },
+      createWriter: (callback) => {
+        const writer = {
+          onwriteend: null,
+          onerror: null,
+          truncate: (size) => {
+            localStorage.setItem(key, (localStorage.getItem(key) || '').slice(0, size));
+            queueMicrotask(() => writer.onwriteend && writer.onwriteend());
+          },
+          write: (blob) => {
+            const reader = new FileReader();
+            reader.onloadend = () => {
+              localStorage.setItem(key, reader.result);
+              if (writer.onwriteend) writer.onwriteend();
+            };
+            reader.onerror = (error) => writer.onerror && writer.onerror(error);
+            reader.readAsText(blob);
+          }
+        };
+        callback(writer);
+      }
+    };
+  },
+
+  /**
+   * Installs the mock plugin and fires deviceready once the page has loaded
+   */
+  install() {
+    window.com = window.com || {};
+    window.com.uniken = window.com.uniken || {};
+    window.com.uniken.rdnaplugin = { RdnaClient: this._createClient() };
+
+    this._installFileShim();
+
+    const requested = new URLSearchParams(window.location.search).get('scenario')
+      || localStorage.getItem(MOCK_SCENARIO_STORAGE_KEY)
+      || 'default';
+
+    document.addEventListener('DOMContentLoaded', () => {
+      this.activate(requested);
+      Logger.debug('RdnaClientMock - Firing deviceready');
+      document.dispatchEvent(new Event('deviceready'));
+    });
+
+    Logger.debug('RdnaClientMock - Installed (browser mode). Available scenarios load from src/uniken/mock/scenarios/');
+  }
+};
+
+RdnaClientMock.registerScenario({
+  name: 'default',
+  description: 'Returning user: username, then verify password, then dashboard',
+  reactions: {}
+});
+
+window.RdnaClientMock = RdnaClientMock;
+
+// cordova.js defines window.cordova before any app script runs - only mock in a plain browser
+if (typeof window.cordova === 'undefined') {
+  RdnaClientMock.install();
+}
@@ -0,0 +1,45 @@
+/**
+ * Scenario: device-cooling-period
+ *
+ * Device management is in its cooling period: getRegisteredDeviceDetails answers
+ * with StatusCode 146 and the cooling period end time, and any rename/delete is
+ * rejected with StatusCode 146.
+ */
+RdnaClientMock.registerScenario({
+  name: 'device-cooling-period',
+  description: 'Device management cooling period (StatusCode 146) on list, rename and delete',
+  reactions: {
+    getRegisteredDeviceDetails: [
+      {
+        emit: [{
+          event: 'onGetRegistredDeviceDetails',
+          data: {
+            pArgs: {
+              response: {
+                ResponseData: { deviceManagementCoolingPeriodEndTimestamp: Date.now() + 2 * 60 * 60 * 1000 },
+                StatusCode: 146,
+                StatusMsg: 'Device management is in cooling period. Please try again later.'
+              }
+            }
+          }
+        }]
+      }
+    ],
+    updateDeviceDetails: [
+      {
+        emit: [{
+          event: 'onUpdateDeviceDetails',
+          data: {
+            pArgs: {
+              response: {
+                ResponseData: { status_code: 146, message: 'Operation not allowed during cooling period' },
+                StatusCode: 146,
+                StatusMsg: 'Device management is in cooling period. Please try again later.'
+              }
+            }
+          }
+        }]
+      }
+    ]
+  }
+});
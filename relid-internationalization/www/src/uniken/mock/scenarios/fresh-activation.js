@@ -0,0 +1,41 @@
+/**
+ * Scenario: fresh-activation
+ *
+ * First launch on a new device: username → activation code → LDA consent
+ * (declining falls back to set password) → set password → dashboard.
+ * Activation code 123456 is accepted; anything else is rejected with attemptsLeft decremented.
+ */
+RdnaClientMock.registerScenario({
+  name: 'fresh-activation',
+  description: 'New user activation: activation code, LDA consent, set password',
+  reactions: {
+    setUser: [
+      { emit: [{ event: 'getActivationCode', data: { attemptsLeft: 3 } }] }
+    ],
+    setActivationCode: [
+      { match: ['123456'], emit: [{ event: 'getUserConsentForLDA', data: { challengeMode: 0, authenticationType: 1 } }] },
+      {
+        times: 1,
+        emit: [{
+          event: 'getActivationCode',
+          data: {
+            attemptsLeft: 2,
+            challengeResponse: { status: { statusCode: 106, statusMessage: 'Invalid activation code. Please try again.' } }
+          }
+        }]
+      },
+      {
+        emit: [{
+          event: 'getActivationCode',
+          data: {
+            attemptsLeft: 1,
+            challengeResponse: { status: { statusCode: 106, statusMessage: 'Invalid activation code. One attempt left.' } }
+          }
+        }]
+      }
+    ],
+    setUserConsentForLDA: [
+      { match: [false], emit: [{ event: 'getPassword', data: { challengeMode: 1 } }] }
+    ]
+  }
+});
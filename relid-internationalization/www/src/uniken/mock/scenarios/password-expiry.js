@@ -0,0 +1,29 @@
+/**
+ * Scenario: password-expiry
+ *
+ * Verify password succeeds but the password has expired, so the SDK raises
+ * getPassword with challengeMode 4 (RDNA_OP_UPDATE_ON_EXPIRY) carrying the server
+ * status message. updatePassword(current, new, 4) then logs the user in.
+ */
+RdnaClientMock.registerScenario({
+  name: 'password-expiry',
+  description: 'Password expired after verification (challengeMode 4), update it to log in',
+  reactions: {
+    setPassword: [
+      {
+        match: [null, 0],
+        emit: [{
+          event: 'getPassword',
+          data: {
+            challengeMode: 4,
+            attemptsLeft: 3,
+            challengeResponse: { status: { statusCode: 118, statusMessage: 'Your password has expired. Please update it to continue.' } }
+          }
+        }]
+      }
+    ],
+    updatePassword: [
+      { match: [null, null, 4], emit: [{ event: 'onUserLoggedIn' }] }
+    ]
+  }
+});
@@ -0,0 +1,31 @@
+/**
+ * Scenario: session-timeout
+ *
+ * Shortly after login the SDK warns that the idle session is about to expire
+ * (onSessionTimeOutNotification). Extending it once succeeds; 20 seconds later the
+ * session times out for good (onSessionTimeout, hard timeout).
+ */
+RdnaClientMock.registerScenario({
+  name: 'session-timeout',
+  description: 'Idle timeout warning 10s after login, extend once, then hard session timeout',
+  reactions: {
+    setPassword: [
+      {
+        match: [null, 0],
+        emit: [
+          { event: 'onUserLoggedIn' },
+          { event: 'onSessionTimeOutNotification', delayMs: 10000, data: { timeLeftInSeconds: 30, sessionCanBeExtended: 1 } }
+        ]
+      }
+    ],
+    extendSessionIdleTimeout: [
+      {
+        times: 1,
+        emit: [
+          { event: 'onSessionExtensionResponse' },
+          { event: 'onSessionTimeout', delayMs: 20000 }
+        ]
+      }
+    ]
+  }
+});
@@ -0,0 +1,52 @@
+/**
+ * Scenario: wrong-password
+ *
+ * Returning user whose password is Demo@1234. Each wrong verify-password attempt
+ * re-raises getPassword (challengeMode 0) with attemptsLeft decremented and an
+ * error status; the third failure exhausts attempts and the SDK returns to getUser.
+ */
+RdnaClientMock.registerScenario({
+  name: 'wrong-password',
+  description: 'Verify password with attemptsLeft decrementing on each wrong password (use Demo@1234)',
+  reactions: {
+    setUser: [
+      { emit: [{ event: 'getPassword', data: { challengeMode: 0, attemptsLeft: 3 } }] }
+    ],
+    setPassword: [
+      { match: ['Demo@1234', 0], emit: [{ event: 'onUserLoggedIn' }] },
+      {
+        match: [null, 0],
+        times: 1,
+        emit: [{
+          event: 'getPassword',
+          data: {
+            challengeMode: 0,
+            attemptsLeft: 2,
+            challengeResponse: { status: { statusCode: 102, statusMessage: 'Incorrect password. 2 attempts left.' } }
+          }
+        }]
+      },
+      {
+        match: [null, 0],
+        times: 1,
+        emit: [{
+          event: 'getPassword',
+          data: {
+            challengeMode: 0,
+            attemptsLeft: 1,
+            challengeResponse: { status: { statusCode: 102, statusMessage: 'Incorrect password. 1 attempt left.' } }
+          }
+        }]
+      },
+      {
+        match: [null, 0],
+        emit: [{
+          event: 'getUser',
+          data: {
+            challengeResponse: { status: { statusCode: 153, statusMessage: 'Attempts exhausted. Your account has been blocked.' } }
+          }
+        }]
+      }
+    ]
+  }
+});
@@ -0,0 +1,224 @@
+/**
+ * Challenge Router
+ *
+ * Table-driven routing for SDK challenge events that carry a challengeMode
+ * (getPassword, getUserConsentForLDA). Each challengeMode maps to one handler,
+ * so supporting a new SDK challenge mode means registering it from the feature
+ * module that owns it instead of editing SDKEventProvider.
+ *
+ * Handler kinds:
+ * - Route:  { route: 'VerifyPassword', params: (data) => ({ ... }) }
+ *           navigates with NavigationService.navigate(route, params(data)) - forced,
+ *           the SDK is waiting for that screen whatever the current one is doing
+ * - Dialog: { dialog: StepUpAuthManager, method: 'showPasswordDialog', when: (data) => boolean }
+ *           calls dialog[method](data); `when` is an optional availability guard
+ * - Custom: { handle: (data) => { ... } }
+ *
+ * Every handler also takes a `source` (registering module name) used by describe().
+ *
+ * Modes without a handler go to the event's fallback (see setFallback), or to the
+ * UnsupportedChallenge screen, which lets the user reset the flow via resetAuthState().
+ *
+ * Usage:
+ * ```javascript
+ * // From a feature module, at load time
+ * ChallengeRouter.register('getPassword', [5, 14, 15], {
+ *   source: 'LDAToggleAuthDialog',
+ *   handle: (data) => LDAToggleAuthDialog.handlePasswordChallenge(data)
+ * });
+ *
+ * // From SDKEventProvider's event handler
+ * ChallengeRouter.route('getPassword', data);
+ *
+ * // From the console while debugging
+ * console.table(ChallengeRouter.describe());
+ * ```
+ */
+
+const ChallengeRouter = {
+  /**
+   * Registered handlers: eventName → Map(challengeMode → handler)
+   * @type {Object<string, Map<number, Object>>}
+   */
+  _handlers: {},
+
+  /**
+   * Per-event fallback handlers for modes without a registration
+   * @type {Object<string, Object>}
+   */
+  _fallbacks: {},
+
+  /**
+   * Route used when neither a handler nor a fallback matches
+   */
+  UNSUPPORTED_ROUTE: 'UnsupportedChallenge',
+
+  /**
+   * Registers a handler for one or more challenge modes of an event
+   * A later registration for the same mode replaces the earlier one (with a warning).
+   *
+   * @param {string} eventName - SDK event name (e.g. 'getPassword')
+   * @param {number|number[]} challengeModes - Mode(s) handled
+   * @param {Object} handler - Route, dialog or custom handler (see file header)
+   */
+  register(eventName, challengeModes, handler) {
+    this._validateHandler(eventName, handler);
+
+    if (!this._handlers[eventName]) {
+      this._handlers[eventName] = new Map();
+    }
+
+    const modes = Array.isArray(challengeModes) ? challengeModes : [challengeModes];
+    modes.forEach((mode) => {
+      const existing = this._handlers[eventName].get(mode);
+      if (existing) {
+        Logger.warn('ChallengeRouter - Replacing handler for', eventName, 'challengeMode', mode,
+          'registered by', existing.source);
+      }
+      this._handlers[eventName].set(mode, handler);
+    });
+
+    Logger.debug('ChallengeRouter - Registered', eventName, 'challengeMode(s)', JSON.stringify(modes), 'from', handler.source || 'unknown');
+  },
+
+  /**
+   * Removes the handler for one challenge mode
+   *
+   * @param {string} eventName
+   * @param {number} challengeMode
+   * @returns {boolean} True if a handler was removed
+   */
+  unregister(eventName, challengeMode) {
+    return !!this._handlers[eventName] && this._handlers[eventName].delete(challengeMode);
+  },
+
+  /**
+   * Sets the handler used for modes of an event that have no registration
+   *
+   * @param {string} eventName
+   * @param {Object} handler - Route, dialog or custom handler
+   */
+  setFallback(eventName, handler) {
+    this._validateHandler(eventName, handler);
+    this._fallbacks[eventName] = handler;
+  },
+
+  /**
+   * Whether a challenge mode has its own handler (fallbacks are not counted)
+   *
+   * @param {string} eventName
+   * @param {number} challengeMode
+   * @returns {boolean}
+   */
+  hasHandler(eventName, challengeMode) {
+    return !!this._handlers[eventName] && this._handlers[eventName].has(challengeMode);
+  },
+
+  /**
+   * Dispatches a challenge event to its handler
+   *
+   * @param {string} eventName - SDK event the data came from
+   * @param {Object} data - Event payload (must carry challengeMode)
+   * @returns {string} How the event was handled: 'handler', 'fallback', 'unsupported' or 'unavailable'
+   */
+  route(eventName, data) {
+    const mode = data.challengeMode;
+    const handler = this._handlers[eventName] && this._handlers[eventName].get(mode);
+
+    if (handler) {
+      Logger.debug('ChallengeRouter - Routing', eventName, 'challengeMode', mode, 'to', this._describeTarget(handler));
+      return this._invoke(handler, data) ? 'handler' : 'unavailable';
+    }
+
+    const fallback = this._fallbacks[eventName];
+    if (fallback) {
+      Logger.debug('ChallengeRouter - No handler for', eventName, 'challengeMode', mode, '- using fallback', this._describeTarget(fallback));
+      return this._invoke(fallback, data) ? 'fallback' : 'unavailable';
+    }
+
+    Logger.warn('ChallengeRouter - Unsupported challenge:', eventName, 'challengeMode', mode);
+    NavigationService.navigate(this.UNSUPPORTED_ROUTE, {
+      eventName,
+      challengeMode: mode,
+      userID: data.userID
+    }, { force: true });
+    return 'unsupported';
+  },
+
+  /**
+   * Lists every registration, for debugging (console.table friendly)
+   *
+   * @returns {Array<{eventName: string, challengeMode: (number|string), kind: string, target: string, source: string}>}
+   */
+  describe() {
+    const rows = [];
+
+    Object.keys(this._handlers).forEach((eventName) => {
+      [...this._handlers[eventName].keys()].sort((a, b) => a - b).forEach((mode) => {
+        rows.push(this._describeRow(eventName, mode, this._handlers[eventName].get(mode)));
+      });
+    });
+
+    Object.keys(this._fallbacks).forEach((eventName) => {
+      rows.push(this._describeRow(eventName, '*', this._fallbacks[eventName]));
+    });
+
+    return rows;
+  },
+
+  _describeRow(eventName, challengeMode, handler) {
+    return {
+      eventName,
+      challengeMode,
+      kind: this._kindOf(handler),
+      target: this._describeTarget(handler),
+      source: handler.source || 'unknown'
+    };
+  },
+
+  _kindOf(handler) {
+    if (handler.route) return 'route';
+    if (handler.dialog) return 'dialog';
+    return 'custom';
+  },
+
+  _describeTarget(handler) {
+    if (handler.route) return handler.route;
+    if (handler.dialog) return `${handler.source || 'dialog'}.${handler.method}`;
+    return handler.handle.name || 'anonymous';
+  },
+
+  _validateHandler(eventName, handler) {
+    const valid = handler && (
+      typeof handler.route === 'string' ||
+      (handler.dialog && typeof handler.method === 'string') ||
+      typeof handler.handle === 'function'
+    );
+    if (!valid) {
+      throw new Error(`ChallengeRouter - Invalid handler for ${eventName}: expected route, dialog + method, or handle`);
+    }
+  },
+
+  /**
+   * Runs a handler
+   * @returns {boolean} False when a dialog handler's `when` guard rejected the event
+   */
+  _invoke(handler, data) {
+    if (handler.route) {
+      NavigationService.navigate(handler.route, handler.params ? handler.params(data) : { eventData: data, responseData: data }, { force: true });
+      return true;
+    }
+
+    if (handler.dialog) {
+      if (handler.when && !handler.when(data)) {
+        Logger.error('ChallengeRouter -', this._describeTarget(handler), 'is not available for challengeMode', data.challengeMode);
+        return false;
+      }
+      handler.dialog[handler.method](data);
+      return true;
+    }
+
+    handler.handle(data);
+    return true;
+  }
+};
@@ -27,22 +27,22 @@ const PushNotificationProvider = {
    */
   async initialize() {
     if (this._initialized) {
-      console.log('PushNotificationProvider - Already initialized, skipping');
+      Logger.debug('PushNotificationProvider - Already initialized, skipping');
       return;
     }
 
-    console.log('PushNotificationProvider - Initializing FCM push notifications');
+    Logger.debug('PushNotificationProvider - Initializing FCM push notifications');
 
     try {
       // Wait for pushNotificationService to be available
       if (typeof window.pushNotificationService === 'undefined') {
-        console.warn('PushNotificationProvider - pushNotificationService not available yet, waiting...');
+        Logger.warn('PushNotificationProvider - pushNotificationService not available yet, waiting...');
         // Wait a bit for service to load
         await new Promise(resolve => setTimeout(resolve, 100));
       }
 
       if (typeof window.pushNotificationService === 'undefined') {
-        console.error('PushNotificationProvider - pushNotificationService still not available');
+        Logger.error('PushNotificationProvider - pushNotificationService still not available');
         return;
       }
 
@@ -50,9 +50,9 @@ const PushNotificationProvider = {
       await window.pushNotificationService.initialize();
 
       this._initialized = true;
-      console.log('PushNotificationProvider - FCM initialization successful');
+      Logger.debug('PushNotificationProvider - FCM initialization successful');
     } catch (error) {
-      console.error('PushNotificationProvider - FCM initialization failed:', JSON.stringify(error, null, 2));
+      Logger.error('PushNotificationProvider - FCM initialization failed:', JSON.stringify(error, null, 2));
       // Don't throw - push notifications are not critical to app function
       // App can continue without push notifications
     }
@@ -70,7 +70,7 @@ const PushNotificationProvider = {
    * Reset initialization state (for testing)
    */
   reset() {
-    console.log('PushNotificationProvider - Resetting initialization state');
+    Logger.debug('PushNotificationProvider - Resetting initialization state');
     this._initialized = false;
   }
 };
@@ -8,6 +8,7 @@
  * - Consolidated event handling for all SDK events
  * - Response routing to appropriate screens
  * - Navigation logic for different event types
+ * - challengeMode routing for getPassword / getUserConsentForLDA via ChallengeRouter
  *
  * Usage:
  * Call SDKEventProvider.initialize() on app startup (deviceready)
@@ -44,7 +45,11 @@ const SDKEventProvider = {
    */
   setSessionParams(params) {
     this._sessionParams = params;
-    console.log('SDKEventProvider - Session params stored');
+    if (params) {
+      Logger.addSensitiveValue(params.userID);
+      Logger.addSensitiveValue(params.sessionID);
+    }
+    Logger.debug('SDKEventProvider - Session params stored');
   },
 
   /**
@@ -55,17 +60,30 @@ const SDKEventProvider = {
     return this._sessionParams || {};
   },
 
+  /**
+   * Forget the session and its credentials (logged off or timed out)
+   * Authenticated-only routes become unreachable again (NavigationService route guards).
+   */
+  clearSessionParams() {
+    this._sessionParams = null;
+    TokenService.clear();
+    this._availableCredentials = [];
+    // The ended session's user and session IDs no longer need masking
+    Logger.clearSensitiveValues();
+    Logger.debug('SDKEventProvider - Session params cleared');
+  },
+
   /**
    * Initialize the provider - register global event handlers
    * Idempotent - safe to call multiple times (SPA pattern)
    */
   initialize() {
     if (this._initialized) {
-      console.log('SDKEventProvider - Already initialized, skipping');
+      Logger.debug('SDKEventProvider - Already initialized, skipping');
       return;
     }
 
-    console.log('SDKEventProvider - Initializing global event handlers');
+    Logger.debug('SDKEventProvider - Initializing global event handlers');
 
     // Get event manager instance
     const eventManager = rdnaService.getEventManager();
@@ -90,8 +108,17 @@ const SDKEventProvider = {
     // Set up Language Management event handler
     eventManager.setSetLanguageResponseHandler(this.handleSetLanguageResponse.bind(this));
 
+    // Set up handler for payloads dropped by schema validation (production mode)
+    eventManager.setEventPayloadInvalidHandler(this.handleEventPayloadInvalid.bind(this));
+
+    // Set up challengeMode routes for getPassword / getUserConsentForLDA
+    this.registerChallengeRoutes();
+
+    // A hard session timeout ends the session as well (SessionManager owns the slot handler)
+    eventManager.on('onSessionTimeout', () => this.clearSessionParams());
+
     this._initialized = true;
-    console.log('SDKEventProvider - Global event handlers registered (including MFA, Device Activation, Password Update, and Language Management)');
+    Logger.debug('SDKEventProvider - Global event handlers registered (including MFA, Device Activation, Password Update, and Language Management)');
   },
 
   /**
@@ -100,12 +127,12 @@ const SDKEventProvider = {
    * @param {Object} data - Initialized data from SDK
    */
   handleInitialized(data) {
-    console.log('SDKEventProvider - Successfully initialized, Session ID:', data.session.sessionID);
-    console.log('SDKEventProvider - All data:', JSON.stringify(data, null, 2));
+    Logger.debug('SDKEventProvider - Successfully initialized, Session ID:', data.session.sessionID);
+    Logger.debug('SDKEventProvider - All data:', JSON.stringify(data, null, 2));
 
     // Update language context with SDK's supported languages and selected language
     if (data.additionalInfo && data.additionalInfo.supportedLanguage && data.additionalInfo.supportedLanguage.length > 0) {
-      console.log('SDKEventProvider - Updating language manager with SDK languages:', JSON.stringify({
+      Logger.debug('SDKEventProvider - Updating language manager with SDK languages:', JSON.stringify({
         supportedCount: data.additionalInfo.supportedLanguage.length,
         selectedLanguage: data.additionalInfo.selectedLanguage
       }, null, 2));
@@ -117,15 +144,15 @@ const SDKEventProvider = {
           data.additionalInfo.selectedLanguage
         );
       } else {
-        console.warn('SDKEventProvider - LanguageManager not available for language sync');
+        Logger.warn('SDKEventProvider - LanguageManager not available for language sync');
       }
     } else {
-      console.log('SDKEventProvider - No supported languages in SDK response, keeping defaults');
+      Logger.debug('SDKEventProvider - No supported languages in SDK response, keeping defaults');
     }
 
     // In MFA flow, after onInitialized, SDK automatically triggers getUser, getActivationCode, or getPassword
     // So no explicit navigation needed here - let the MFA events handle navigation
-    console.log('SDKEventProvider - Waiting for SDK to trigger MFA events (getUser, getActivationCode, or getPassword)');
+    Logger.debug('SDKEventProvider - Waiting for SDK to trigger MFA events (getUser, getActivationCode, or getPassword)');
   },
 
   /**
@@ -133,7 +160,7 @@ const SDKEventProvider = {
    * @param {Object} data - Get user data from SDK
    */
   handleGetUser(data) {
-    console.log('SDKEventProvider - Get user event received, status:', data.challengeResponse.status.statusCode);
+    Logger.debug('SDKEventProvider - Get user event received, status:', data.challengeResponse.status.statusCode);
 
     // Navigate to CheckUser (NavigationService will append 'Screen')
     NavigationService.navigate('CheckUser', {
@@ -143,7 +170,7 @@ const SDKEventProvider = {
       subtitle: 'Enter your username to continue',
       placeholder: 'Username',
       buttonText: 'Continue'
-    });
+    }, { force: true });
   },
 
   /**
@@ -151,7 +178,7 @@ const SDKEventProvider = {
    * @param {Object} data - Get activation code data from SDK
    */
   handleGetActivationCode(data) {
-    console.log('SDKEventProvider - Get activation code event received, userID:', data.userID);
+    Logger.debug('SDKEventProvider - Get activation code event received, userID:', data.userID);
 
     // Navigate to ActivationCode (NavigationService will append 'Screen')
     NavigationService.navigate('ActivationCode', {
@@ -162,51 +189,20 @@ const SDKEventProvider = {
       placeholder: 'Activation Code',
       buttonText: 'Verify',
       attemptsLeft: data.attemptsLeft
-    });
+    }, { force: true });
   },
 
   /**
-   * Handle get user consent for LDA event
-   * @param {Object} data - Get user consent for LDA data from SDK
+   * Register the core MFA challenge routes with ChallengeRouter
+   * Feature modules (StepUpAuthManager, DataSigningSetupAuthManager, LDAToggleAuthDialog)
+   * register their own challenge modes when they load.
    */
-  handleGetUserConsentForLDA(data) {
-    console.log('SDKEventProvider - Get user consent for LDA event received, userID:', data.userID, 'challengeMode:', data.challengeMode);
-
-    if (data.challengeMode === 16) {
-      // challengeMode = 16: LDA consent for LDA toggling (enabling LDA)
-      console.log('SDKEventProvider - LDA toggling consent required, showing dialog');
-
-      // Show unified LDA toggle auth dialog
-      if (typeof LDAToggleAuthDialog !== 'undefined') {
-        LDAToggleAuthDialog.show(data);
-      } else {
-        console.error('SDKEventProvider - LDAToggleAuthDialog not found');
-      }
-    } else {
-      // Normal LDA consent flow (initial login)
-      // Navigate to UserLDAConsent (NavigationService will append 'Screen')
-      NavigationService.navigate('UserLDAConsent', {
-        eventData: data,
-        responseData: data,
-        title: 'Local Device Authentication',
-        subtitle: `Grant permission for biometric authentication`,
-        userID: data.userID,
-        challengeMode: data.challengeMode,
-        authenticationType: data.authenticationType
-      });
-    }
-  },
-
-  /**
-   * Handle get password event for MFA authentication
-   * @param {Object} data - Get password data from SDK
-   */
-  handleGetPassword(data) {
-    console.log('SDKEventProvider - Get password event received, challengeMode:', data.challengeMode);
-
-    if (data.challengeMode === 0) {
-      // challengeMode = 0: Verify existing password
-      NavigationService.navigate('VerifyPassword', {
+  registerChallengeRoutes() {
+    // challengeMode = 0: Verify existing password
+    ChallengeRouter.register('getPassword', 0, {
+      source: 'SDKEventProvider',
+      route: 'VerifyPassword',
+      params: (data) => ({
         eventData: data,
         responseData: data,
         title: 'Verify Password',
@@ -214,10 +210,14 @@ const SDKEventProvider = {
         userID: data.userID,
         challengeMode: data.challengeMode,
         attemptsLeft: data.attemptsLeft
-      });
-    } else if (data.challengeMode === 1) {
-      // challengeMode = 1: Set new password
-      NavigationService.navigate('SetPassword', {
+      })
+    });
+
+    // challengeMode = 1: Set new password
+    ChallengeRouter.register('getPassword', 1, {
+      source: 'SDKEventProvider',
+      route: 'SetPassword',
+      params: (data) => ({
         eventData: data,
         responseData: data,
         title: 'Set Password',
@@ -225,11 +225,14 @@ const SDKEventProvider = {
         userID: data.userID,
         challengeMode: data.challengeMode,
         attemptsLeft: data.attemptsLeft
-      });
-    } else if (data.challengeMode === 2) {
-      // challengeMode = 2: Update password (RDNA_OP_UPDATE_CREDENTIALS)
-      console.log('SDKEventProvider - User-initiated password update, navigating to UpdatePassword screen');
-      NavigationService.navigate('UpdatePassword', {
+      })
+    });
+
+    // challengeMode = 2: Update password (RDNA_OP_UPDATE_CREDENTIALS)
+    ChallengeRouter.register('getPassword', 2, {
+      source: 'SDKEventProvider',
+      route: 'UpdatePassword',
+      params: (data) => ({
         ...this.getSessionParams(), // Include session params for navigation back to Dashboard
         eventData: data,
         responseData: data,
@@ -238,68 +241,70 @@ const SDKEventProvider = {
         userID: data.userID,
         challengeMode: data.challengeMode,
         attemptsLeft: data.attemptsLeft
-      });
-    } else if (data.challengeMode === 3) {
-      // challengeMode = 3: Step-up authentication for notification actions (RDNA_OP_AUTHORIZE_NOTIFICATION)
-      // Delegate to StepUpAuthManager for modular handling
-      console.log('SDKEventProvider - Step-up authentication required, delegating to StepUpAuthManager');
-
-      if (typeof StepUpAuthManager !== 'undefined') {
-        StepUpAuthManager.showPasswordDialog(data);
-      } else {
-        console.error('SDKEventProvider - StepUpAuthManager not found');
-      }
-    } else if (data.challengeMode === 4) {
-      // challengeMode = 4: Update expired password (RDNA_OP_UPDATE_ON_EXPIRY)
-      // Extract status message from response (e.g., "Password has expired. Please contact the admin.")
-      const statusMessage = data.challengeResponse?.status?.statusMessage || 'Your password has expired. Please update it to continue.';
+      })
+    });
 
-      console.log('SDKEventProvider - Password expired, navigating to UpdateExpiryPassword screen');
-      NavigationService.navigate('UpdateExpiryPassword', {
+    // challengeMode = 4: Update expired password (RDNA_OP_UPDATE_ON_EXPIRY)
+    ChallengeRouter.register('getPassword', 4, {
+      source: 'SDKEventProvider',
+      route: 'UpdateExpiryPassword',
+      params: (data) => ({
         eventData: data,
         responseData: data,
         title: 'Update Expired Password',
-        subtitle: statusMessage,
+        // Status message from response (e.g., "Password has expired. Please contact the admin.")
+        subtitle: data.challengeResponse?.status?.statusMessage || 'Your password has expired. Please update it to continue.',
         userID: data.userID,
         challengeMode: data.challengeMode,
         attemptsLeft: data.attemptsLeft
-      });
-    } else if (data.challengeMode === 5 || data.challengeMode === 14 || data.challengeMode === 15) {
-      // challengeMode = 5, 14, 15: Password verification for LDA toggling (disabling LDA)
-      console.log('SDKEventProvider - LDA toggling password verification required, showing dialog');
-
-      // Show unified LDA toggle auth dialog
-      if (typeof LDAToggleAuthDialog !== 'undefined') {
-        // Check if dialog already visible with same challengeMode (re-trigger scenario)
-        if (LDAToggleAuthDialog.visible && LDAToggleAuthDialog.challengeMode === data.challengeMode) {
-          // SDK re-triggered getPassword - process errors (same pattern as SetPasswordScreen)
-          const errorResult = LDAToggleAuthDialog.processResponseData(data);
-
-          // Update existing dialog with error message from SDK response
-          LDAToggleAuthDialog.update({
-            attemptsLeft: data.attemptsLeft,
-            errorMessage: errorResult.hasError ? errorResult.errorMessage : 'Incorrect password. Please try again.'
-          });
-        } else {
-          // Show new dialog
-          LDAToggleAuthDialog.show(data);
-        }
-      } else {
-        console.error('SDKEventProvider - LDAToggleAuthDialog not found');
-      }
-    } else if (data.challengeMode === 12) {
-      // challengeMode = 12: Data signing password verification (RDNA_OP_DATA_SIGNING)
-      console.log('SDKEventProvider - Data signing password verification required, delegating to DataSigningSetupAuthManager');
+      })
+    });
 
-      // Route to DataSigningSetupAuthManager if context is active
-      if (typeof DataSigningSetupAuthManager !== 'undefined' && DataSigningSetupAuthManager.isActive()) {
-        DataSigningSetupAuthManager.showPasswordDialog(data);
-      } else {
-        console.error('SDKEventProvider - DataSigningSetupAuthManager not active or not found');
-      }
-    } else {
-      console.warn('SDKEventProvider - Unknown challengeMode:', data.challengeMode);
+    // Any other LDA consent mode: normal LDA consent flow (initial login)
+    ChallengeRouter.setFallback('getUserConsentForLDA', {
+      source: 'SDKEventProvider',
+      route: 'UserLDAConsent',
+      params: (data) => ({
+        eventData: data,
+        responseData: data,
+        title: 'Local Device Authentication',
+        subtitle: `Grant permission for biometric authentication`,
+        userID: data.userID,
+        challengeMode: data.challengeMode,
+        authenticationType: data.authenticationType
+      })
+    });
+  },
+
+  /**
+   * Handle get user consent for LDA event
+   * Routed by challengeMode through ChallengeRouter
+   * @param {Object} data - Get user consent for LDA data from SDK
+   */
+  handleGetUserConsentForLDA(data) {
+    Logger.debug('SDKEventProvider - Get user consent for LDA event received, userID:', data.userID, 'challengeMode:', data.challengeMode);
+
+    if (AuthFlowStateMachine.isRejected('getUserConsentForLDA', data)) {
+      Logger.error('SDKEventProvider - Ignoring LDA consent challenge outside of a session');
+      return;
     }
+    ChallengeRouter.route('getUserConsentForLDA', data);
+  },
+
+  /**
+   * Handle get password event for MFA authentication
+   * Routed by challengeMode through ChallengeRouter
+   * @param {Object} data - Get password data from SDK
+   */
+  handleGetPassword(data) {
+    Logger.debug('SDKEventProvider - Get password event received, challengeMode:', data.challengeMode);
+
+    // e.g. a step-up (challengeMode 3) arriving while logged out
+    if (AuthFlowStateMachine.isRejected('getPassword', data)) {
+      Logger.error('SDKEventProvider - Ignoring in-session password challenge outside of a session');
+      return;
+    }
+    ChallengeRouter.route('getPassword', data);
   },
 
   /**
@@ -307,8 +312,8 @@ const SDKEventProvider = {
    * @param {Object} data - User logged in data from SDK
    */
   async handleUserLoggedIn(data) {
-    console.log('SDKEventProvider - User logged in event received for user:', data.userID);
-    console.log('SDKEventProvider - Session ID:', data.challengeResponse.session.sessionID);
+    Logger.debug('SDKEventProvider - User logged in event received for user:', data.userID);
+    Logger.debug('SDKEventProvider - Session ID:', data.challengeResponse.session.sessionID);
 
     // Extract session and JWT information
     const sessionID = data.challengeResponse.session.sessionID;
@@ -316,22 +321,28 @@ const SDKEventProvider = {
     const additionalInfo = data.challengeResponse.additionalInfo;
     const jwtToken = additionalInfo.jwtJsonTokenInfo;
 
-    // Navigate to Dashboard (NavigationService will append 'Screen')
-    NavigationService.navigate('Dashboard', {
+    const sessionParams = {
       userID: data.userID,
       sessionID: sessionID,
       sessionType: sessionType,
       jwtToken: jwtToken,
       loginTime: new Date().toLocaleString()
-    });
+    };
+
+    // Store before navigating - Dashboard requires a session (route guard)
+    this.setSessionParams(sessionParams);
+    TokenService.setTokenInfo(jwtToken);
+
+    // Navigate to Dashboard (NavigationService will append 'Screen')
+    NavigationService.navigate('Dashboard', sessionParams, { force: true });
 
     // After successful login, call getAllChallenges to check available credential updates
     try {
-      console.log('SDKEventProvider - Calling getAllChallenges after login for user:', data.userID);
+      Logger.debug('SDKEventProvider - Calling getAllChallenges after login for user:', data.userID);
       await rdnaService.getAllChallenges(data.userID);
-      console.log('SDKEventProvider - getAllChallenges called successfully, waiting for onCredentialsAvailableForUpdate event');
+      Logger.debug('SDKEventProvider - getAllChallenges called successfully, waiting for onCredentialsAvailableForUpdate event');
     } catch (error) {
-      console.error('SDKEventProvider - getAllChallenges failed:', error);
+      Logger.error('SDKEventProvider - getAllChallenges failed:', error);
     }
   },
 
@@ -340,11 +351,13 @@ const SDKEventProvider = {
    * @param {Object} data - User logged off data from SDK
    */
   handleUserLoggedOff(data) {
-    console.log('SDKEventProvider - User logged off event received for user:', data.userID);
-    console.log('SDKEventProvider - Session ID:', data.challengeResponse.session.sessionID);
+    Logger.debug('SDKEventProvider - User logged off event received for user:', data.userID);
+    Logger.debug('SDKEventProvider - Session ID:', data.challengeResponse.session.sessionID);
+
+    this.clearSessionParams();
 
     // Log the event - getUser will be triggered automatically by SDK
-    console.log('SDKEventProvider - User logged off, waiting for SDK to trigger getUser event');
+    Logger.debug('SDKEventProvider - User logged off, waiting for SDK to trigger getUser event');
   },
 
   /**
@@ -355,8 +368,8 @@ const SDKEventProvider = {
    * @param {Object} data - Device options data from SDK
    */
   handleAddNewDeviceOptions(data) {
-    console.log('SDKEventProvider - Add new device options event received');
-    console.log('SDKEventProvider - Device activation required, options count:', data.options?.length);
+    Logger.debug('SDKEventProvider - Add new device options event received');
+    Logger.debug('SDKEventProvider - Device activation required, options count:', data.options?.length);
 
     // Automatically navigate to VerifyAuth screen for device activation
     NavigationService.navigate('VerifyAuth', {
@@ -366,7 +379,7 @@ const SDKEventProvider = {
       challengeMode: data.challengeMode,
       title: 'Device Activation',
       subtitle: 'Verify this device to continue'
-    });
+    }, { force: true });
   },
 
   /**
@@ -377,8 +390,8 @@ const SDKEventProvider = {
    * @param {Object} data - Credentials available for update data from SDK
    */
   handleCredentialsAvailableForUpdate(data) {
-    console.log('SDKEventProvider - Credentials available for update event received for user:', data.userID);
-    console.log('SDKEventProvider - Available options:', JSON.stringify(data.options, null, 2));
+    Logger.debug('SDKEventProvider - Credentials available for update event received for user:', data.userID);
+    Logger.debug('SDKEventProvider - Available options:', JSON.stringify(data.options, null, 2));
 
     // Store available credentials for drawer menu to use
     this._availableCredentials = data.options || [];
@@ -389,13 +402,32 @@ const SDKEventProvider = {
     }
   },
 
+  /**
+   * Handle a payload that failed schema validation and was not dispatched
+   * Only events handled here are reported to the user - awaited events reject
+   * their callAndAwaitEvent() promise and the calling screen shows the error.
+   * @param {Object} data - { eventName, errors, error: RdnaError('payload') }
+   */
+  handleEventPayloadInvalid(data) {
+    Logger.error(`SDKEventProvider - Dropped invalid ${data.eventName} payload`);
+
+    const handledEvents = [
+      'onInitialized', 'getUser', 'getActivationCode', 'getUserConsentForLDA', 'getPassword',
+      'onUserLoggedIn', 'onUserLoggedOff', 'addNewDeviceOptions', 'onCredentialsAvailableForUpdate',
+      'onSetLanguageResponse'
+    ];
+    if (handledEvents.includes(data.eventName)) {
+      alert(`Unexpected Response\n\n${data.error.getUserMessage()}`);
+    }
+  },
+
   /**
    * Handle set language response event
    * Called when setSDKLanguage API is invoked and SDK responds with updated language configuration
    * @param {Object} data - Set language response data from SDK
    */
   handleSetLanguageResponse(data) {
-    console.log('SDKEventProvider - Set language response received:', JSON.stringify({
+    Logger.debug('SDKEventProvider - Set language response received:', JSON.stringify({
       localeCode: data.localeCode,
       localeName: data.localeName,
       languageDirection: data.languageDirection,
@@ -405,7 +437,7 @@ const SDKEventProvider = {
     }, null, 2));
 
     if (data.error.longErrorCode !== 0) {
-      console.error('SDKEventProvider - Language change failed:', JSON.stringify({
+      Logger.error('SDKEventProvider - Language change failed:', JSON.stringify({
         errorCode: data.error.longErrorCode,
         errorMessage: data.error.errorString
       }, null, 2));
@@ -417,11 +449,11 @@ const SDKEventProvider = {
     // Check if language change was successful
     // Success: statusCode === 100 or 0, AND longErrorCode === 0
     if (data.status.statusCode === 100 || data.status.statusCode === 0) {
-      console.log('SDKEventProvider - Language changed successfully to:', data.localeName);
+      Logger.debug('SDKEventProvider - Language changed successfully to:', data.localeName);
 
       // Update language manager with SDK's updated language configuration
       if (data.supportedLanguages && data.supportedLanguages.length > 0) {
-        console.log('SDKEventProvider - Updating language manager with new SDK languages');
+        Logger.debug('SDKEventProvider - Updating language manager with new SDK languages');
 
         const languageManager = window.LanguageManager;
         if (languageManager) {
@@ -433,15 +465,15 @@ const SDKEventProvider = {
           // Show success message to user
           alert(`Language Changed\n\nLanguage has been successfully changed to ${data.localeName}.`);
         } else {
-          console.error('SDKEventProvider - LanguageManager not available');
+          Logger.error('SDKEventProvider - LanguageManager not available');
         }
       } else {
-        console.warn('SDKEventProvider - No supported languages in set language response');
+        Logger.warn('SDKEventProvider - No supported languages in set language response');
         alert('Language Change Warning\n\nLanguage change completed but no supported languages were returned by the SDK.');
       }
     } else {
       // Language change failed
-      console.error('SDKEventProvider - Language change failed:', JSON.stringify({
+      Logger.error('SDKEventProvider - Language change failed:', JSON.stringify({
         errorCode: data.error.longErrorCode,
         errorMessage: data.error.errorString,
         statusCode: data.status.statusCode,
@@ -456,7 +488,7 @@ const SDKEventProvider = {
    * Cleanup event handlers
    */
   cleanup() {
-    console.log('SDKEventProvider - Cleaning up');
+    Logger.debug('SDKEventProvider - Cleaning up');
     const eventManager = rdnaService.getEventManager();
     eventManager.cleanup();
     this._availableCredentials = [];
@@ -0,0 +1,501 @@
+/**
+ * API Client
+ *
+ * fetch() wrapper for the app's own backend, called after REL-ID login with the
+ * session's access token (TokenService, from onUserLoggedIn's jwtJsonTokenInfo).
+ *
+ * Features:
+ * - Authorization: Bearer <access token> on every request (auth: false to skip)
+ * - Retries transient failures (network error, timeout, 408/429/502/503/504) with
+ *   exponential backoff, honouring Retry-After. Only idempotent methods are retried
+ *   unless the request passes retry: true
+ * - 401, or no usable token → alert and log off, so the SDK routes to re-login (getUser)
+ * - 403 "insufficient auth level" → SDK step-up (authenticateUserAndSignData, which may
+ *   raise the getPassword mode 12 dialog or an LDA prompt), then the request is retried
+ *   once with the signature headers
+ *
+ * Step-up protocol:
+ * The server answers 403 with a JSON body { error: 'insufficient_auth_level',
+ * requiredAuthLevel, challenge } or with
+ * `WWW-Authenticate: Bearer error="insufficient_user_authentication"`. The client
+ * signs { method, path, challenge } at the required level (default 4, password) and
+ * sends the result as
+ * - X-RELID-Signed-Payload - base64url of the signed JSON
+ * - X-RELID-Signature - payloadSignature
+ * - X-RELID-Signature-ID - dataSignatureID
+ *
+ * test/harness/apiStubServer.js implements this protocol for tests and for
+ * running the app against this machine.
+ *
+ * Usage:
+ * ```javascript
+ * ApiClient.configure({ baseUrl: 'https://api.example.com' });
+ * const profile = await ApiClient.get('/api/profile');
+ * const transfer = await ApiClient.post('/api/transfers', { amount: 100 });
+ * ```
+ */
+
+/**
+ * HTTP statuses worth another attempt
+ */
+const API_RETRYABLE_STATUSES = [408, 429, 502, 503, 504];
+
+/**
+ * Methods that are safe to send twice
+ */
+const API_IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * Default configuration, see ApiClient.configure()
+ */
+const API_CLIENT_DEFAULTS = {
+  baseUrl: '',
+  timeoutMs: 15000,
+  maxRetries: 3,
+  retryBaseDelayMs: 500,
+  maxRetryDelayMs: 8000,
+  stepUpAuthLevel: 4,
+  stepUpAuthenticatorType: 0,
+  stepUpReason: 'Confirm this request'
+};
+
+/**
+ * Error raised by ApiClient.
+ *
+ * The type tells callers what failed:
+ * - 'network'      - the request never got a response (after the retries)
+ * - 'timeout'      - no response within timeoutMs (after the retries)
+ * - 'http'         - any other non-2xx status, the status is on .status
+ * - 'unauthorized' - 401 or no usable access token, the user was sent to re-login
+ * - 'forbidden'    - 403 that a step-up did not (or could not) resolve
+ * - 'stepUp'       - the step-up failed or was cancelled, the RdnaError is on .cause
+ * - 'cancelled'    - the caller aborted through the supplied AbortSignal
+ *
+ * getUserMessage() uses the ERROR_MESSAGES bundles (errorMessages.js).
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} type - See class doc
+   * @param {string} message - Developer message
+   * @param {Object} [details]
+   * @param {number} [details.status] - HTTP status
+   * @param {*} [details.data] - Parsed response body
+   * @param {Error} [details.cause] - Underlying error (fetch TypeError, RdnaError)
+   */
+  constructor(type, message, details = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.type = type;
+    this.status = details.status !== undefined ? details.status : null;
+    this.data = details.data !== undefined ? details.data : null;
+    this.cause = details.cause || null;
+  }
+
+  /**
+   * @returns {string} Message id in the ERROR_MESSAGES bundles
+   */
+  get messageId() {
+    switch (this.type) {
+      case 'network': return 'networkUnavailable';
+      case 'timeout': return 'requestTimedOut';
+      case 'unauthorized': return 'sessionExpired';
+      case 'forbidden': return 'accessDenied';
+      case 'stepUp': return this.cause?.type === 'cancelled' ? 'operationCancelled' : 'authFailed';
+      case 'cancelled': return 'operationCancelled';
+      default: return this.status >= 500 ? 'serverError' : 'unexpectedResponse';
+    }
+  }
+
+  /**
+   * Returns the message to show the user, in the app's current language
+   * @param {string} [languageCode] - Locale such as 'es-ES'
+   * @returns {string}
+   */
+  getUserMessage(languageCode) {
+    return getRdnaErrorMessage(this.messageId, languageCode);
+  }
+}
+
+const ApiClient = {
+  /**
+   * Active configuration
+   * @private
+   */
+  _config: { ...API_CLIENT_DEFAULTS },
+
+  /**
+   * Step-ups run one at a time (the SDK allows one signing flow)
+   * @type {Promise}
+   * @private
+   */
+  _stepUpChain: Promise.resolve(),
+
+  /**
+   * Session already sent back to login - later 401s of the same session are not repeated
+   * @type {string|null}
+   * @private
+   */
+  _reloginSessionID: null,
+
+  /**
+   * Update the configuration (merged over the current one)
+   *
+   * @param {Object} options
+   * @param {string} [options.baseUrl] - Prefixed to relative paths
+   * @param {number} [options.timeoutMs=15000] - Per attempt
+   * @param {number} [options.maxRetries=3] - Extra attempts for transient failures
+   * @param {number} [options.retryBaseDelayMs=500] - First backoff, doubled per attempt
+   * @param {number} [options.maxRetryDelayMs=8000] - Backoff (and Retry-After) cap
+   * @param {number} [options.stepUpAuthLevel=4] - Used when the 403 names no level
+   * @param {number} [options.stepUpAuthenticatorType=0] - Passed to authenticateUserAndSignData
+   * @param {string} [options.stepUpReason] - Reason shown by the SDK
+   */
+  configure(options = {}) {
+    this._config = { ...this._config, ...options };
+    Logger.debug('ApiClient - Configured for', this._config.baseUrl || '(relative URLs)');
+  },
+
+  /**
+   * @returns {Object} Copy of the active configuration
+   */
+  getConfig() {
+    return { ...this._config };
+  },
+
+  get(path, options = {}) {
+    return this.request(path, { ...options, method: 'GET' }).then((result) => result.data);
+  },
+
+  post(path, body, options = {}) {
+    return this.request(path, { ...options, method: 'POST', body }).then((result) => result.data);
+  },
+
+  put(path, body, options = {}) {
+    return this.request(path, { ...options, method: 'PUT', body }).then((result) => result.data);
+  },
+
+  delete(path, options = {}) {
+    return this.request(path, { ...options, method: 'DELETE' }).then((result) => result.data);
+  },
+
+  /**
+   * Send a request with retries, re-login on 401 and step-up on 403
+   *
+   * @param {string} path - Absolute URL or path relative to baseUrl
+   * @param {Object} [options]
+   * @param {string} [options.method='GET']
+   * @param {Object} [options.headers]
+   * @param {*} [options.body] - Objects are sent as JSON
+   * @param {boolean} [options.auth=true] - Attach the access token
+   * @param {boolean} [options.retry] - Retry transient failures (default: idempotent methods only)
+   * @param {boolean} [options.stepUp=true] - Step up on 403 insufficient auth level
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<{status: number, data: *, headers: Headers}>}
+   * @throws {ApiError}
+   */
+  async request(path, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const url = this._buildUrl(path);
+
+    const response = await this._send(url, method, options, {});
+    if (response.status !== 403 || options.stepUp === false) {
+      return this._handleResponse(response, method, url);
+    }
+
+    const stepUp = await this._readStepUpChallenge(response);
+    if (!stepUp) {
+      return this._handleResponse(response, method, url);
+    }
+
+    Logger.info('ApiClient -', method, url, 'needs auth level', stepUp.authLevel, '- stepping up');
+    const signatureHeaders = await this._stepUp(method, url, stepUp, options.signal);
+    const retried = await this._send(url, method, options, signatureHeaders);
+    return this._handleResponse(retried, method, url);
+  },
+
+  /**
+   * One request with the retry loop around it
+   * @private
+   */
+  async _send(url, method, options, extraHeaders) {
+    const { maxRetries } = this._config;
+    const canRetry = options.retry ?? API_IDEMPOTENT_METHODS.includes(method);
+
+    for (let attempt = 1; ; attempt++) {
+      const init = this._buildInit(method, options, extraHeaders);
+      let outcome;
+      try {
+        outcome = { response: await this._fetchWithTimeout(url, init, options.signal) };
+      } catch (error) {
+        outcome = { error };
+      }
+
+      const retryable = outcome.error
+        ? outcome.error.type === 'network' || outcome.error.type === 'timeout'
+        : API_RETRYABLE_STATUSES.includes(outcome.response.status);
+
+      if (!retryable || !canRetry || attempt > maxRetries) {
+        if (outcome.error) throw outcome.error;
+        return outcome.response;
+      }
+
+      const delayMs = this._getRetryDelay(attempt, outcome.response);
+      Logger.warn('ApiClient -', method, url, 'attempt', attempt, 'failed:',
+        outcome.error ? outcome.error.message : outcome.response.status, '- retrying in', delayMs, 'ms');
+      await this._wait(delayMs, options.signal);
+    }
+  },
+
+  /**
+   * Map a final response to a result or an ApiError
+   * @private
+   */
+  async _handleResponse(response, method, url) {
+    const data = await this._readBody(response);
+
+    if (response.ok) {
+      Logger.debug('ApiClient -', method, url, '→', response.status);
+      return { status: response.status, data, headers: response.headers };
+    }
+
+    Logger.warn('ApiClient -', method, url, '→', response.status);
+
+    if (response.status === 401) {
+      this._sendToLogin('The server rejected the session token.');
+      throw new ApiError('unauthorized', 'Access token rejected', { status: 401, data });
+    }
+    if (response.status === 403) {
+      throw new ApiError('forbidden', 'Access denied', { status: 403, data });
+    }
+    throw new ApiError('http', `HTTP ${response.status}`, { status: response.status, data });
+  },
+
+  /**
+   * Headers and body for one attempt
+   * @private
+   */
+  _buildInit(method, options, extraHeaders) {
+    const headers = { Accept: 'application/json', ...options.headers, ...extraHeaders };
+
+    if (options.auth !== false) {
+      const token = TokenService.getAccessToken();
+      if (!token) {
+        this._sendToLogin('There is no valid session token.');
+        throw new ApiError('unauthorized', 'No access token - not logged in or the token expired');
+      }
+      headers.Authorization = `${TokenService.getTokenInfo().tokenType} ${token}`;
+    }
+
+    let body = options.body;
+    if (body !== undefined && body !== null && typeof body === 'object') {
+      body = JSON.stringify(body);
+      headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+    }
+
+    return { method, headers, body };
+  },
+
+  /**
+   * fetch() with a per-attempt timeout, failures as ApiError
+   * @private
+   */
+  async _fetchWithTimeout(url, init, signal) {
+    if (signal && signal.aborted) {
+      throw new ApiError('cancelled', 'Request aborted');
+    }
+
+    const controller = new AbortController();
+    let timedOut = false;
+    const timeoutId = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, this._config.timeoutMs);
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort);
+
+    try {
+      return await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      if (timedOut) {
+        throw new ApiError('timeout', `No response within ${this._config.timeoutMs}ms`, { cause: error });
+      }
+      if (signal && signal.aborted) {
+        throw new ApiError('cancelled', 'Request aborted', { cause: error });
+      }
+      throw new ApiError('network', error.message || 'Network request failed', { cause: error });
+    } finally {
+      clearTimeout(timeoutId);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  },
+
+  /**
+   * Backoff before the next attempt - Retry-After wins when the server sends it
+   * @private
+   */
+  _getRetryDelay(attempt, response) {
+    const { retryBaseDelayMs, maxRetryDelayMs } = this._config;
+    const retryAfter = Number(response?.headers?.get('Retry-After'));
+    if (retryAfter > 0) {
+      return Math.min(retryAfter * 1000, maxRetryDelayMs);
+    }
+    return Math.min(retryBaseDelayMs * 2 ** (attempt - 1), maxRetryDelayMs);
+  },
+
+  /**
+   * @private
+   */
+  _wait(delayMs, signal) {
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(resolve, delayMs);
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          clearTimeout(timeoutId);
+          reject(new ApiError('cancelled', 'Request aborted'));
+        }, { once: true });
+      }
+    });
+  },
+
+  /**
+   * Parse the step-up requirement of a 403, null when it is a plain 403
+   * @private
+   */
+  async _readStepUpChallenge(response) {
+    const wwwAuthenticate = response.headers.get('WWW-Authenticate') || '';
+    let data = null;
+    try {
+      data = await response.clone().json();
+    } catch (error) {
+      // Not JSON - only the header can ask for a step-up
+    }
+
+    const requested = data?.error === 'insufficient_auth_level' ||
+      /error="insufficient_user_authentication"/.test(wwwAuthenticate);
+    if (!requested) {
+      return null;
+    }
+
+    return {
+      authLevel: Number(data?.requiredAuthLevel) || this._config.stepUpAuthLevel,
+      challenge: data?.challenge || null
+    };
+  },
+
+  /**
+   * Authenticate and sign the request through the SDK, queued behind other step-ups
+   * @private
+   * @returns {Promise<Object>} Signature headers
+   */
+  _stepUp(method, url, stepUp, signal) {
+    const run = () => this._signRequest(method, url, stepUp, signal);
+    const result = this._stepUpChain.then(run, run);
+    this._stepUpChain = result.catch(() => {});
+    return result;
+  },
+
+  /**
+   * @private
+   */
+  async _signRequest(method, url, { authLevel, challenge }, signal) {
+    const { stepUpAuthenticatorType, stepUpReason } = this._config;
+    const payload = JSON.stringify({ method, path: new URL(url, window.location.href).pathname, challenge });
+
+    // Ends the wait when the user cancels the getPassword mode 12 dialog (no SDK event follows)
+    const controller = new AbortController();
+    const onStateChanged = (event) => {
+      if (event.detail.eventName === 'stepUpCancelled') controller.abort();
+    };
+    const onAbort = () => controller.abort();
+    document.addEventListener('authFlowStateChanged', onStateChanged);
+    if (signal) signal.addEventListener('abort', onAbort);
+
+    DataSigningSetupAuthManager.setContext({
+      payload,
+      authLevel,
+      authenticatorType: stepUpAuthenticatorType,
+      reason: stepUpReason,
+      userID: SDKEventProvider.getSessionParams().userID,
+      origin: 'apiClient'
+    });
+
+    try {
+      const result = await rdnaService.signData(payload, authLevel, stepUpAuthenticatorType, stepUpReason,
+        { signal: controller.signal });
+      Logger.info('ApiClient - Step-up completed, signature', result.dataSignatureID);
+      return {
+        'X-RELID-Signed-Payload': this._encodeBase64Url(payload),
+        'X-RELID-Signature': result.payloadSignature,
+        'X-RELID-Signature-ID': result.dataSignatureID
+      };
+    } catch (error) {
+      Logger.warn('ApiClient - Step-up failed:', error.message);
+      throw new ApiError('stepUp', `Step-up failed: ${error.message}`, { status: 403, cause: error });
+    } finally {
+      document.removeEventListener('authFlowStateChanged', onStateChanged);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      DataSigningSetupAuthManager.hidePasswordDialog();
+      DataSigningSetupAuthManager.clearContext();
+    }
+  },
+
+  /**
+   * Tell the user and log off - onUserLoggedOff / getUser take the app back to login
+   * @private
+   */
+  _sendToLogin(reason) {
+    const { userID, sessionID } = SDKEventProvider.getSessionParams();
+    if (!userID || sessionID === this._reloginSessionID) {
+      // Already logged out, or the log off is on its way
+      return;
+    }
+
+    this._reloginSessionID = sessionID;
+    Logger.warn('ApiClient - Sending the user back to login:', reason);
+    alert('Session Expired\n\nYour session is no longer valid. Please log in again.');
+
+    rdnaService.logOff(userID)
+      .catch((error) => {
+        Logger.error('ApiClient - logOff failed, returning to TutorialHome:', error.message);
+        SDKEventProvider.clearSessionParams();
+        NavigationService.reset('TutorialHome');
+      });
+  },
+
+  /**
+   * JSON, text or null for an empty body
+   * @private
+   */
+  async _readBody(response) {
+    const text = await response.text();
+    if (!text) return null;
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  },
+
+  /**
+   * @private
+   */
+  _buildUrl(path) {
+    if (/^https?:\/\//i.test(path)) return path;
+    return this._config.baseUrl.replace(/\/+$/, '') + '/' + String(path).replace(/^\/+/, '');
+  },
+
+  /**
+   * @private
+   */
+  _encodeBase64Url(value) {
+    // UTF-8 bytes as one char each for btoa()
+    const binary = encodeURIComponent(value).replace(/%([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    return btoa(binary).replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+  }
+};
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.ApiClient = ApiClient;
+  window.ApiError = ApiError;
+}
@@ -0,0 +1,244 @@
+/**
+ * Log Store
+ *
+ * Bounded in-memory log for field testing. Keeps the native SDK log lines
+ * (onSdkLogPrintRequest) and the app's own RdnaService / SDKEventProvider
+ * Logger output, each tagged with a level and a source, so they can be read
+ * on the Logs screen and exported as a file for bug reports.
+ *
+ * Features:
+ * - Ring buffer: the oldest entry is dropped once LOG_STORE_CAPACITY is reached
+ * - Levels: debug, info, warn, error
+ * - Sources: 'sdk' for native SDK lines, the module name for app lines
+ * - Filtering by level, source and text
+ * - Export as text or JSON via cordova-plugin-file
+ * - Everything is stored after Logger redaction (SDK lines are redacted on arrival)
+ *
+ * Usage:
+ * ```javascript
+ * LogStore.attachLogger();                           // AppInitializer, once
+ * LogStore.recordSdkLog(logData);                    // RdnaEventManager
+ * const remove = LogStore.onEntry((entry) => ...);   // live view
+ * const path = await LogStore.exportToFile('json');
+ * ```
+ *
+ * @typedef {Object} LogEntry
+ * @property {number} id - Increasing sequence number
+ * @property {string} timestamp - ISO timestamp
+ * @property {string} level - 'debug' | 'info' | 'warn' | 'error'
+ * @property {string} source - 'sdk' or the module name, e.g. 'RdnaService'
+ * @property {string} message
+ */
+
+const LOG_STORE_CAPACITY = 2000;
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Logger prefixes ("Module - message") that are copied into the store
+ */
+const LOG_CAPTURED_SOURCES = ['RdnaService', 'SDKEventProvider'];
+
+const LogStore = {
+  /**
+   * Ring buffer storage (fixed length) and its window
+   * @private
+   */
+  _buffer: new Array(LOG_STORE_CAPACITY),
+  _start: 0,
+  _count: 0,
+  _nextId: 1,
+
+  /**
+   * Live listeners (Logs screen)
+   * @type {Set<Function>}
+   * @private
+   */
+  _listeners: new Set(),
+
+  /**
+   * Removes the Logger sink while attached
+   * @type {Function|null}
+   * @private
+   */
+  _detachLogger: null,
+
+  /**
+   * Append an entry, dropping the oldest when full
+   *
+   * @param {string} level - One of LOG_LEVELS
+   * @param {string} source
+   * @param {string} message
+   * @returns {LogEntry}
+   */
+  add(level, source, message) {
+    const entry = {
+      id: this._nextId++,
+      timestamp: new Date().toISOString(),
+      level: LOG_LEVELS.includes(level) ? level : 'info',
+      source,
+      message: String(message)
+    };
+
+    const index = (this._start + this._count) % LOG_STORE_CAPACITY;
+    this._buffer[index] = entry;
+    if (this._count < LOG_STORE_CAPACITY) {
+      this._count++;
+    } else {
+      this._start = (this._start + 1) % LOG_STORE_CAPACITY;
+    }
+
+    this._listeners.forEach((listener) => {
+      try {
+        listener(entry);
+      } catch (error) {
+        // 'LogStore' is not a captured source, so this cannot loop back here
+        Logger.error('LogStore - Listener failed:', error);
+      }
+    });
+
+    return entry;
+  },
+
+  /**
+   * Record a native SDK log line, guessing its level from the text
+   * @param {string} logData - onSdkLogPrintRequest payload
+   * @returns {LogEntry}
+   */
+  recordSdkLog(logData) {
+    const text = typeof logData === 'string' ? logData : JSON.stringify(logData);
+    const match = /\b(VERBOSE|DEBUG|INFO|WARN(?:ING)?|ERROR)\b/i.exec(text);
+
+    let level = 'info';
+    if (match) {
+      const tag = match[1].toUpperCase();
+      level = tag === 'VERBOSE' ? 'debug' : tag.startsWith('WARN') ? 'warn' : tag.toLowerCase();
+    }
+
+    return this.add(level, 'sdk', Logger.redactString(text));
+  },
+
+  /**
+   * Entries oldest first, optionally filtered
+   *
+   * @param {Object} [filter]
+   * @param {string[]} [filter.levels] - Keep only these levels
+   * @param {string} [filter.source] - Keep only this source
+   * @param {string} [filter.search] - Case-insensitive text in message or source
+   * @returns {LogEntry[]}
+   */
+  getEntries({ levels, source, search } = {}) {
+    const needle = search ? search.toLowerCase() : '';
+    const entries = [];
+
+    for (let i = 0; i < this._count; i++) {
+      const entry = this._buffer[(this._start + i) % LOG_STORE_CAPACITY];
+      if (levels && !levels.includes(entry.level)) continue;
+      if (source && entry.source !== source) continue;
+      if (needle && !entry.message.toLowerCase().includes(needle) && !entry.source.toLowerCase().includes(needle)) continue;
+      entries.push(entry);
+    }
+    return entries;
+  },
+
+  /**
+   * Sources seen so far (for the filter menu)
+   * @returns {string[]}
+   */
+  getSources() {
+    return [...new Set(this.getEntries().map((entry) => entry.source))];
+  },
+
+  clear() {
+    this._buffer = new Array(LOG_STORE_CAPACITY);
+    this._start = 0;
+    this._count = 0;
+  },
+
+  /**
+   * Call listener for every new entry
+   * @param {Function} listener - (entry: LogEntry) => void
+   * @returns {Function} Removes the listener
+   */
+  onEntry(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  },
+
+  /**
+   * Copy RdnaService / SDKEventProvider lines printed by Logger into the store
+   * Lines arrive already redacted. Idempotent.
+   */
+  attachLogger() {
+    if (this._detachLogger) return;
+
+    this._detachLogger = Logger.addSink((level, line) => {
+      const source = LOG_CAPTURED_SOURCES.find((name) => line.startsWith(name + ' - '));
+      if (source) {
+        this.add(level, source, line);
+      }
+    });
+
+    Logger.debug('LogStore - Capturing Logger output of', LOG_CAPTURED_SOURCES.join(', '));
+  },
+
+  detachLogger() {
+    if (!this._detachLogger) return;
+
+    this._detachLogger();
+    this._detachLogger = null;
+  },
+
+  /**
+   * @param {LogEntry[]} [entries] - Defaults to every entry
+   * @returns {string} One line per entry
+   */
+  toText(entries = this.getEntries()) {
+    return entries
+      .map((entry) => `${entry.timestamp} ${entry.level.toUpperCase().padEnd(5)} [${entry.source}] ${entry.message}`)
+      .join('\n');
+  },
+
+  /**
+   * @param {LogEntry[]} [entries] - Defaults to every entry
+   * @returns {string} JSON document with app/platform details and the entries
+   */
+  toJSON(entries = this.getEntries()) {
+    return JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      platform: window.cordova ? window.cordova.platformId : 'browser',
+      connectionProfile: typeof ConnectionProfileManager !== 'undefined' ? ConnectionProfileManager.describe() : 'N/A',
+      entries
+    }, null, 2);
+  },
+
+  /**
+   * Write the logs to a file testers can reach
+   * Android: external app storage (Android/data/<package>/files), iOS: Documents
+   *
+   * @param {string} [format='text'] - 'text' | 'json'
+   * @param {LogEntry[]} [entries] - Defaults to every entry
+   * @returns {Promise<string>} URL of the written file
+   */
+  async exportToFile(format = 'text', entries = this.getEntries()) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '').replace('T', '-');
+    const isJSON = format === 'json';
+    const fileName = `relid-logs-${stamp}.${isJSON ? 'json' : 'txt'}`;
+    const directory = cordova.file.externalDataDirectory || cordova.file.documentsDirectory || cordova.file.dataDirectory;
+
+    const url = await writeTextFile(
+      directory,
+      fileName,
+      isJSON ? this.toJSON(entries) : this.toText(entries),
+      isJSON ? 'application/json' : 'text/plain'
+    );
+
+    Logger.info('LogStore - Exported', entries.length, 'entries to', url);
+    return url;
+  }
+};
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.LogStore = LogStore;
+}
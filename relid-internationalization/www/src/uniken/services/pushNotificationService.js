@@ -55,12 +55,12 @@ const PushNotificationService = {
    */
   async initialize() {
     if (this._initialized) {
-      console.log('PushNotificationService - Already initialized');
+      Logger.debug('PushNotificationService - Already initialized');
       return;
     }
 
     const platform = getPlatformId();
-    console.log('PushNotificationService - Starting FCM initialization for', platform);
+    Logger.debug('PushNotificationService - Starting FCM initialization for', platform);
 
     try {
       // Ensure Firebase plugin is available
@@ -71,7 +71,7 @@ const PushNotificationService = {
       // Request permissions
       const hasPermission = await this.requestPermissions();
       if (!hasPermission) {
-        console.warn('PushNotificationService - Permission not granted on', platform);
+        Logger.warn('PushNotificationService - Permission not granted on', platform);
         return;
       }
 
@@ -82,9 +82,9 @@ const PushNotificationService = {
       this.setupTokenRefreshListener();
 
       this._initialized = true;
-      console.log('PushNotificationService - Initialization complete for', platform);
+      Logger.debug('PushNotificationService - Initialization complete for', platform);
     } catch (error) {
-      console.error('PushNotificationService - Initialization failed:', JSON.stringify(error, null, 2));
+      Logger.error('PushNotificationService - Initialization failed:', JSON.stringify(error, null, 2));
       throw error;
     }
   },
@@ -99,33 +99,33 @@ const PushNotificationService = {
     return new Promise((resolve) => {
       try {
         const platform = getPlatformId();
-        console.log('PushNotificationService - Checking permission for', platform);
+        Logger.debug('PushNotificationService - Checking permission for', platform);
 
         // Check current permission status
         FirebasePlugin.hasPermission((hasPermission) => {
-          console.log('PushNotificationService - Current permission status:', hasPermission);
+          Logger.debug('PushNotificationService - Current permission status:', hasPermission);
 
           if (hasPermission) {
-            console.log('PushNotificationService - Permission already granted');
+            Logger.debug('PushNotificationService - Permission already granted');
             resolve(true);
             return;
           }
 
           // Request permission (iOS will show dialog, Android handles automatically)
-          console.log('PushNotificationService - Requesting permission');
+          Logger.debug('PushNotificationService - Requesting permission');
           FirebasePlugin.grantPermission((granted) => {
-            console.log('PushNotificationService - Permission result:', granted);
+            Logger.debug('PushNotificationService - Permission result:', granted);
             resolve(granted);
           }, (error) => {
-            console.error('PushNotificationService - Permission request failed:', JSON.stringify(error, null, 2));
+            Logger.error('PushNotificationService - Permission request failed:', JSON.stringify(error, null, 2));
             resolve(false);
           });
         }, (error) => {
-          console.error('PushNotificationService - Permission check failed:', JSON.stringify(error, null, 2));
+          Logger.error('PushNotificationService - Permission check failed:', JSON.stringify(error, null, 2));
           resolve(false);
         });
       } catch (error) {
-        console.error('PushNotificationService - Permission request error:', JSON.stringify(error, null, 2));
+        Logger.error('PushNotificationService - Permission request error:', JSON.stringify(error, null, 2));
         resolve(false);
       }
     });
@@ -141,44 +141,44 @@ const PushNotificationService = {
     return new Promise((resolve, reject) => {
       try {
         const platform = getPlatformId();
-        console.log('PushNotificationService - Getting FCM token for', platform);
+        Logger.debug('PushNotificationService - Getting FCM token for', platform);
 
         // On iOS, also log APNS token for debugging
         if (platform === 'ios') {
           FirebasePlugin.getAPNSToken((apnsToken) => {
             if (apnsToken) {
-              console.log('PushNotificationService - iOS APNS token available, length:', apnsToken.length);
-              console.log('PushNotificationService - APNS TOKEN:', apnsToken);
+              Logger.debug('PushNotificationService - iOS APNS token available, length:', apnsToken.length);
+              Logger.debug('PushNotificationService - APNS TOKEN:', apnsToken);
             } else {
-              console.log('PushNotificationService - iOS APNS token not yet available');
+              Logger.debug('PushNotificationService - iOS APNS token not yet available');
             }
           }, (error) => {
-            console.log('PushNotificationService - APNS token check failed (non-critical):', JSON.stringify(error, null, 2));
+            Logger.debug('PushNotificationService - APNS token check failed (non-critical):', JSON.stringify(error, null, 2));
           });
         }
 
         FirebasePlugin.getToken((token) => {
           if (!token) {
-            console.warn('PushNotificationService - No FCM token received for', platform);
+            Logger.warn('PushNotificationService - No FCM token received for', platform);
             resolve();
             return;
           }
 
-          console.log('PushNotificationService - FCM token received for', platform, ', length:', token.length);
-          console.log('PushNotificationService - FCM TOKEN:', token);
+          Logger.debug('PushNotificationService - FCM token received for', platform, ', length:', token.length);
+          Logger.debug('PushNotificationService - FCM TOKEN:', token);
 
           try {
             // Register with REL-ID SDK
             if (this._rdnaService && typeof this._rdnaService.setDeviceToken === 'function') {
               this._rdnaService.setDeviceToken(token);
-              console.log('PushNotificationService - Token registered with REL-ID SDK');
+              Logger.debug('PushNotificationService - Token registered with REL-ID SDK');
             } else {
-              console.warn('PushNotificationService - rdnaService not available, token not registered');
+              Logger.warn('PushNotificationService - rdnaService not available, token not registered');
             }
 
             resolve();
           } catch (error) {
-            console.error('PushNotificationService - REL-ID registration failed:', JSON.stringify(error, null, 2));
+            Logger.error('PushNotificationService - REL-ID registration failed:', JSON.stringify(error, null, 2));
             reject(error);
           }
         }, (error) => {
@@ -189,16 +189,16 @@ const PushNotificationService = {
           const hasCode505 = (error && error.code === 505) || (errorStr.includes('Code=505') || errorStr.includes('code 505'));
 
           if (hasCode505 && platform === 'ios') {
-            console.log('PushNotificationService - APNS not ready yet, waiting for token refresh listener');
+            Logger.debug('PushNotificationService - APNS not ready yet, waiting for token refresh listener');
             resolve(); // Don't fail - token will come through refresh listener
             return;
           }
 
-          console.error('PushNotificationService - Token retrieval failed:', JSON.stringify(error, null, 2));
+          Logger.error('PushNotificationService - Token retrieval failed:', JSON.stringify(error, null, 2));
           reject(error);
         });
       } catch (error) {
-        console.error('PushNotificationService - getAndRegisterToken error:', JSON.stringify(error, null, 2));
+        Logger.error('PushNotificationService - getAndRegisterToken error:', JSON.stringify(error, null, 2));
         reject(error);
       }
     });
@@ -210,29 +210,29 @@ const PushNotificationService = {
    */
   setupTokenRefreshListener() {
     const platform = getPlatformId();
-    console.log('PushNotificationService - Setting up token refresh listener for', platform);
+    Logger.debug('PushNotificationService - Setting up token refresh listener for', platform);
 
     try {
       FirebasePlugin.onTokenRefresh((token) => {
-        console.log('PushNotificationService - Token refreshed for', platform, ', length:', token.length);
-        console.log('PushNotificationService - REFRESHED FCM TOKEN:', token);
+        Logger.debug('PushNotificationService - Token refreshed for', platform, ', length:', token.length);
+        Logger.debug('PushNotificationService - REFRESHED FCM TOKEN:', token);
 
         try {
           // Register new token with REL-ID SDK
           if (this._rdnaService && typeof this._rdnaService.setDeviceToken === 'function') {
             this._rdnaService.setDeviceToken(token);
-            console.log('PushNotificationService - Refreshed token registered with REL-ID SDK');
+            Logger.debug('PushNotificationService - Refreshed token registered with REL-ID SDK');
           } else {
-            console.warn('PushNotificationService - rdnaService not available, refreshed token not registered');
+            Logger.warn('PushNotificationService - rdnaService not available, refreshed token not registered');
           }
         } catch (error) {
-          console.error('PushNotificationService - Token refresh registration failed:', JSON.stringify(error, null, 2));
+          Logger.error('PushNotificationService - Token refresh registration failed:', JSON.stringify(error, null, 2));
         }
       }, (error) => {
-        console.error('PushNotificationService - Token refresh listener error:', JSON.stringify(error, null, 2));
+        Logger.error('PushNotificationService - Token refresh listener error:', JSON.stringify(error, null, 2));
       });
     } catch (error) {
-      console.error('PushNotificationService - setupTokenRefreshListener error:', JSON.stringify(error, null, 2));
+      Logger.error('PushNotificationService - setupTokenRefreshListener error:', JSON.stringify(error, null, 2));
     }
   },
 
@@ -246,11 +246,11 @@ const PushNotificationService = {
         FirebasePlugin.getToken((token) => {
           resolve(token);
         }, (error) => {
-          console.error('PushNotificationService - Failed to get current token:', JSON.stringify(error, null, 2));
+          Logger.error('PushNotificationService - Failed to get current token:', JSON.stringify(error, null, 2));
           resolve(null);
         });
       } catch (error) {
-        console.error('PushNotificationService - getCurrentToken error:', JSON.stringify(error, null, 2));
+        Logger.error('PushNotificationService - getCurrentToken error:', JSON.stringify(error, null, 2));
         resolve(null);
       }
     });
@@ -265,7 +265,7 @@ const PushNotificationService = {
     const platform = getPlatformId();
 
     if (platform !== 'ios') {
-      console.log('PushNotificationService - getAPNSToken is only available on iOS');
+      Logger.debug('PushNotificationService - getAPNSToken is only available on iOS');
       return null;
     }
 
@@ -273,18 +273,18 @@ const PushNotificationService = {
       try {
         FirebasePlugin.getAPNSToken((token) => {
           if (token) {
-            console.log('PushNotificationService - APNS token received, length:', token.length);
-            console.log('PushNotificationService - APNS TOKEN:', token);
+            Logger.debug('PushNotificationService - APNS token received, length:', token.length);
+            Logger.debug('PushNotificationService - APNS TOKEN:', token);
           } else {
-            console.log('PushNotificationService - No APNS token available yet');
+            Logger.debug('PushNotificationService - No APNS token available yet');
           }
           resolve(token);
         }, (error) => {
-          console.error('PushNotificationService - Failed to get APNS token:', JSON.stringify(error, null, 2));
+          Logger.error('PushNotificationService - Failed to get APNS token:', JSON.stringify(error, null, 2));
           resolve(null);
         });
       } catch (error) {
-        console.error('PushNotificationService - getAPNSToken error:', JSON.stringify(error, null, 2));
+        Logger.error('PushNotificationService - getAPNSToken error:', JSON.stringify(error, null, 2));
         resolve(null);
       }
     });
@@ -294,7 +294,7 @@ const PushNotificationService = {
    * Cleanup (reset initialization state)
    */
   cleanup() {
-    console.log('PushNotificationService - Cleanup');
+    Logger.debug('PushNotificationService - Cleanup');
     this._initialized = false;
   }
 };
@@ -10,56 +10,41 @@
  * - onInitialized: Successful SDK initialization with session data
  * - onUserConsentThreats: Non-terminating threats requiring user consent (MTD)
  * - onTerminateWithThreats: Critical threats requiring app termination (MTD)
- * - onSdkLogPrintRequest: SDK log print requests for debugging
+ * - onSdkLogPrintRequest: SDK log print requests for debugging (kept in LogStore)
+ * - onEventPayloadInvalid: App-level event for a payload that failed schema validation
  *
  * Key Features:
  * - Singleton pattern for global event management
  * - Type-safe callback handling with JSDoc
  * - Automatic event listener registration and cleanup
- * - Single event handler per type for simplicity
+ * - Multi-subscriber dispatch via on()/off()/once() with unsubscribe tokens
+ * - Legacy setXxxHandler() single-slot API kept on top of the subscriber registry
  * - Comprehensive error handling and logging
  *
- * @typedef {Object} RDNAJsonResponse
- * @property {string} response - JSON string containing event data
- *
- * @typedef {Object} RDNAProgressData
- * @property {string} systemThreatCheckStatus
- * @property {string} appThreatCheckStatus
- * @property {string} networkThreatCheckStatus
- * @property {string} initializeStatus
+ * Payload Validation:
+ * Every payload is checked against its schema (rdnaEventSchemas.js) before dispatch.
+ * - development: the mismatch is logged path by path and the event is still dispatched
+ * - production: the payload is dropped and onEventPayloadInvalid is emitted instead
+ *   with { eventName, errors, error: RdnaError('payload') }
  *
- * @typedef {Object} RDNAInitializeErrorData
- * @property {number} longErrorCode
- * @property {number} shortErrorCode
- * @property {string} errorString
+ * Session Replay:
+ * SessionRecorder sees every event first (setEventRecorder). While it replays a
+ * trace, plugin events are ignored and recorded ones arrive through injectEvent().
  *
- * @typedef {Object} RDNAInitializedData
- * @property {Object} status
- * @property {number} status.statusCode
- * @property {string} status.statusMessage
- * @property {Object} session
- * @property {number} session.sessionType
- * @property {string} session.sessionID
- * @property {Object} additionalInfo
- * @property {Array} challengeInfo
+ * Dispatch Order:
+ * 0. rdnaService's operation tracker (setOperationTracker) releases the call the
+ *    event answers, so any handler below can start the next one
+ * 1. The legacy slot handler set through setXxxHandler() (if any)
+ * 2. on()/once() subscribers, in the order they were registered
  *
- * @typedef {Object} RDNAThreatInfo
- * @property {string} threatName
- * @property {string} threatMsg
- * @property {string|number} threatId
- * @property {string} threatCategory - "SYSTEM", "APPLICATION", "NETWORK"
- * @property {string} threatSeverity - "HIGH", "MEDIUM", "LOW"
- * @property {string|string[]} threatReason
- * @property {boolean|number} shouldProceedWithThreats - Set by app before takeActionOnThreats
- * @property {boolean|number} rememberActionForSession - Set by app before takeActionOnThreats
- * @property {Object} appInfo
- * @property {Object} networkInfo
+ * A subscriber that throws is logged and skipped - it never prevents the
+ * remaining subscribers from receiving the event.
  *
- * @typedef {Object} RDNAUserConsentThreatsData
- * @property {RDNAThreatInfo[]} threats
+ * @typedef {Object} RDNAJsonResponse
+ * @property {string} response - JSON string containing event data
  *
- * @typedef {Object} RDNATerminateWithThreatsData
- * @property {RDNAThreatInfo[]} threats
+ * Payload typedefs (RDNAProgressData, RDNAGetPasswordData, ...) are generated from
+ * RDNA_EVENT_SCHEMAS into src/uniken/types/rdnaEventTypes.js.
  *
  * @callback RDNAInitializeProgressCallback
  * @param {RDNAProgressData} data
@@ -75,8 +60,44 @@
  *
  * @callback RDNATerminateWithThreatsCallback
  * @param {RDNATerminateWithThreatsData} data
+ *
+ * @typedef {number} RDNASubscriptionToken - Returned by on()/once(), pass to off() to unsubscribe
  */
 
+/**
+ * Maps SDK event names to the legacy single-slot handler property that
+ * setXxxHandler() writes. The slot is dispatched before on() subscribers.
+ */
+const EVENT_HANDLER_SLOTS = {
+  onInitializeProgress: 'initializeProgressHandler',
+  onInitializeError: 'initializeErrorHandler',
+  onInitialized: 'initializedHandler',
+  onSdkLogPrintRequest: 'sdkLogPrintRequestHandler',
+  onUserConsentThreats: 'userConsentThreatsHandler',
+  onTerminateWithThreats: 'terminateWithThreatsHandler',
+  getUser: 'getUserHandler',
+  getActivationCode: 'getActivationCodeHandler',
+  getUserConsentForLDA: 'getUserConsentForLDAHandler',
+  getPassword: 'getPasswordHandler',
+  onUserLoggedIn: 'onUserLoggedInHandler',
+  onUserLoggedOff: 'onUserLoggedOffHandler',
+  onSessionTimeout: 'sessionTimeoutHandler',
+  onSessionTimeOutNotification: 'sessionTimeoutNotificationHandler',
+  onSessionExtensionResponse: 'sessionExtensionResponseHandler',
+  addNewDeviceOptions: 'addNewDeviceOptionsHandler',
+  onGetNotifications: 'getNotificationsHandler',
+  onUpdateNotification: 'updateNotificationHandler',
+  onGetNotificationsHistory: 'getNotificationHistoryHandler',
+  onCredentialsAvailableForUpdate: 'credentialsAvailableForUpdateHandler',
+  onUpdateCredentialResponse: 'updateCredentialResponseHandler',
+  onDeviceAuthManagementStatus: 'deviceAuthManagementStatusHandler',
+  onAuthenticateUserAndSignData: 'dataSigningResponseHandler',
+  onGetRegistredDeviceDetails: 'getRegisteredDeviceDetailsHandler',
+  onUpdateDeviceDetails: 'updateDeviceDetailsHandler',
+  onSetLanguageResponse: 'setLanguageResponseHandler',
+  onEventPayloadInvalid: 'eventPayloadInvalidHandler'
+};
+
 class RdnaEventManager {
   constructor() {
     if (RdnaEventManager.instance) {
@@ -86,6 +107,10 @@ class RdnaEventManager {
     this._initialized = false;
     this.listeners = [];
 
+    // Multi-subscriber registry: eventName -> [{ token, callback, once }]
+    this.subscribers = {};
+    this._nextSubscriptionToken = 1;
+
     // Composite event handlers (can handle multiple concerns)
     this.initializeProgressHandler = null;
     this.initializeErrorHandler = null;
@@ -115,6 +140,7 @@ class RdnaEventManager {
     // Notification Management event handlers
     this.getNotificationsHandler = null;
     this.updateNotificationHandler = null;
+    this.getNotificationHistoryHandler = null;
 
     // Password Update event handlers
     this.credentialsAvailableForUpdateHandler = null;
@@ -133,6 +159,17 @@ class RdnaEventManager {
     // Language Management event handlers
     this.setLanguageResponseHandler = null;
 
+    // Schema validation event handler
+    this.eventPayloadInvalidHandler = null;
+
+    // Session recording / replay (SessionRecorder)
+    this.eventRecorder = null;
+    this.nativeEventsMuted = false;
+    this._injecting = false;
+
+    // Releases rdnaService's in-flight calls (operation guard)
+    this.operationTracker = null;
+
     RdnaEventManager.instance = this;
   }
 
@@ -153,11 +190,11 @@ class RdnaEventManager {
    */
   initialize() {
     if (this._initialized) {
-      console.log('RdnaEventManager - Already initialized, skipping');
+      Logger.debug('RdnaEventManager - Already initialized, skipping');
       return;
     }
 
-    console.log('RdnaEventManager - Initializing event listeners');
+    Logger.debug('RdnaEventManager - Initializing event listeners');
     this.registerEventListeners();
     this._initialized = true;
   }
@@ -167,7 +204,7 @@ class RdnaEventManager {
    * @private
    */
   registerEventListeners() {
-    console.log('RdnaEventManager - Registering native event listeners');
+    Logger.debug('RdnaEventManager - Registering native event listeners');
 
     // Register event listeners using document.addEventListener
     const progressListener = this.onInitializeProgress.bind(this);
@@ -288,7 +325,7 @@ class RdnaEventManager {
       { name: 'onSetLanguageResponse', handler: setLanguageResponseListener }
     );
 
-    console.log('RdnaEventManager - Native event listeners registered (including MTD, MFA, Session, Device Activation, Notifications, Password Update, LDA Toggling, Data Signing, Device Management, and Language Management)');
+    Logger.debug('RdnaEventManager - Native event listeners registered (including MTD, MFA, Session, Device Activation, Notifications, Password Update, LDA Toggling, Data Signing, Device Management, and Language Management)');
   }
 
   /**
@@ -296,18 +333,16 @@ class RdnaEventManager {
    * @param {RDNAJsonResponse} event - Event from native SDK
    */
   onInitializeProgress(event) {
-    console.log("RdnaEventManager - Initialize progress event received");
+    Logger.debug("RdnaEventManager - Initialize progress event received");
 
     try {
       // Parse JSON response from event
       const progressData = JSON.parse(event.response);
-      console.log("RdnaEventManager - Progress:", progressData.initializeStatus);
+      Logger.debug("RdnaEventManager - Progress:", progressData.initializeStatus);
 
-      if (this.initializeProgressHandler) {
-        this.initializeProgressHandler(progressData);
-      }
+      this.emit('onInitializeProgress', progressData);
     } catch (error) {
-      console.error("RdnaEventManager - Failed to parse initialize progress:", error);
+      Logger.error("RdnaEventManager - Failed to parse initialize progress:", error);
     }
   }
 
@@ -316,17 +351,15 @@ class RdnaEventManager {
    * @param {RDNAJsonResponse} event - Event from native SDK containing error details
    */
   onInitializeError(event) {
-    console.log("RdnaEventManager - Initialize error event received");
+    Logger.debug("RdnaEventManager - Initialize error event received");
 
     try {
       const errorData = JSON.parse(event.response);
-      console.error("RdnaEventManager - Initialize error:", errorData.errorString);
+      Logger.error("RdnaEventManager - Initialize error:", errorData.errorString);
 
-      if (this.initializeErrorHandler) {
-        this.initializeErrorHandler(errorData);
-      }
+      this.emit('onInitializeError', errorData);
     } catch (error) {
-      console.error("RdnaEventManager - Failed to parse initialize error:", error);
+      Logger.error("RdnaEventManager - Failed to parse initialize error:", error);
     }
   }
 
@@ -335,17 +368,15 @@ class RdnaEventManager {
    * @param {RDNAJsonResponse} event - Event from native SDK containing session data
    */
   onInitialized(event) {
-    console.log("RdnaEventManager - Initialize success event received");
+    Logger.debug("RdnaEventManager - Initialize success event received");
 
     try {
       const initializedData = JSON.parse(event.response);
-      console.log("RdnaEventManager - Successfully initialized, Session ID:", initializedData.session.sessionID);
+      Logger.debug("RdnaEventManager - Successfully initialized, Session ID:", initializedData.session.sessionID);
 
-      if (this.initializedHandler) {
-        this.initializedHandler(initializedData);
-      }
+      this.emit('onInitialized', initializedData);
     } catch (error) {
-      console.error("RdnaEventManager - Failed to parse initialize success:", error);
+      Logger.error("RdnaEventManager - Failed to parse initialize success:", error);
     }
   }
 
@@ -354,15 +385,14 @@ class RdnaEventManager {
    * @param {RDNAJsonResponse} event - Event from native SDK containing log data
    */
   onSdkLogPrintRequest(event) {
-    console.log("RdnaEventManager - SDK log print request received");
+    Logger.debug("RdnaEventManager - SDK log print request received");
 
     //Only the onSdkLogPrintRequest event does not need to parse the response
     const logData = event.response
-    console.log("SDK Log:", logData);
+    Logger.debug("SDK Log:", logData);
+    LogStore.recordSdkLog(logData);
 
-    if (this.sdkLogPrintRequestHandler) {
-        this.sdkLogPrintRequestHandler(logData);
-    }
+    this.emit('onSdkLogPrintRequest', logData);
   }
 
   /**
@@ -371,7 +401,7 @@ class RdnaEventManager {
    * @param {RDNAJsonResponse} event - Event from native SDK containing threat data
    */
   onUserConsentThreats(event) {
-    console.log("RdnaEventManager - User consent threats event received");
+    Logger.debug("RdnaEventManager - User consent threats event received");
 
     try {
       const threatsData = JSON.parse(event.response);
@@ -381,14 +411,12 @@ class RdnaEventManager {
         ? threatsData.length
         : (threatsData.threats?.length || 0);
 
-      console.log("RdnaEventManager - User consent threats count:", threatCount);
+      Logger.debug("RdnaEventManager - User consent threats count:", threatCount);
 
-      if (this.userConsentThreatsHandler) {
-        this.userConsentThreatsHandler(threatsData);
-      }
+      this.emit('onUserConsentThreats', threatsData);
     } catch (error) {
-      console.error("RdnaEventManager - Failed to parse user consent threats:", error);
-      console.error("RdnaEventManager - Raw event data:", event.response);
+      Logger.error("RdnaEventManager - Failed to parse user consent threats:", error);
+      Logger.error("RdnaEventManager - Raw event data:", event.response);
     }
   }
 
@@ -398,7 +426,7 @@ class RdnaEventManager {
    * @param {RDNAJsonResponse} event - Event from native SDK containing threat data
    */
   onTerminateWithThreats(event) {
-    console.log("RdnaEventManager - Terminate with threats event received");
+    Logger.debug("RdnaEventManager - Terminate with threats event received");
 
     try {
       const threatsData = JSON.parse(event.response);
@@ -408,14 +436,12 @@ class RdnaEventManager {
         ? threatsData.length
         : (threatsData.threats?.length || 0);
 
-      console.log("RdnaEventManager - Terminate threats count:", threatCount);
+      Logger.debug("RdnaEventManager - Terminate threats count:", threatCount);
 
-      if (this.terminateWithThreatsHandler) {
-        this.terminateWithThreatsHandler(threatsData);
-      }
+      this.emit('onTerminateWithThreats', threatsData);
     } catch (error) {
-      console.error("RdnaEventManager - Failed to parse terminate with threats:", error);
-      console.error("RdnaEventManager - Raw event data:", event.response);
+      Logger.error("RdnaEventManager - Failed to parse terminate with threats:", error);
+      Logger.error("RdnaEventManager - Raw event data:", event.response);
     }
   }
 
@@ -424,17 +450,15 @@ class RdnaEventManager {
    * @param {RDNAJsonResponse} event - Event from native SDK containing user data
    */
   onGetUser(event) {
-    console.log("RdnaEventManager - Get user event received");
+    Logger.debug("RdnaEventManager - Get user event received");
 
     try {
       const getUserData = JSON.parse(event.response);
-      console.log("RdnaEventManager - Get user status:", getUserData.challengeResponse?.status?.statusCode);
+      Logger.debug("RdnaEventManager - Get user status:", getUserData.challengeResponse?.status?.statusCode);
 
-      if (this.getUserHandler) {
-        this.getUserHandler(getUserData);
-      }
+      this.emit('getUser', getUserData);
     } catch (error) {
-      console.error("RdnaEventManager - Failed to parse get user:", error);
+      Logger.error("RdnaEventManager - Failed to parse get user:", error);
     }
   }
 
@@ -443,18 +467,16 @@ class RdnaEventManager {
    * @param {RDNAJsonResponse} event - Event from native SDK containing activation code data
    */
   onGetActivationCode(event) {
-    console.log("RdnaEventManager - Get activation code event received");
+    Logger.debug("RdnaEventManager - Get activation code event received");
 
     try {
       const getActivationCodeData = JSON.parse(event.response);
-      console.log("RdnaEventManager - Get activation code status:", getActivationCodeData.challengeResponse?.status?.statusCode);
-      console.log("RdnaEventManager - UserID:", getActivationCodeData.userID, "AttemptsLeft:", getActivationCodeData.attemptsLeft);
+      Logger.debug("RdnaEventManager - Get activation code status:", getActivationCodeData.challengeResponse?.status?.statusCode);
+      Logger.debug("RdnaEventManager - UserID:", getActivationCodeData.userID, "AttemptsLeft:", getActivationCodeData.attemptsLeft);
 
-      if (this.getActivationCodeHandler) {
-        this.getActivationCodeHandler(getActivationCodeData);
-      }
+      this.emit('getActivationCode', getActivationCodeData);
     } catch (error) {
-      console.error("RdnaEventManager - Failed to parse get activation code:", error);
+      Logger.error("RdnaEventManager - Failed to parse get activation code:", error);
     }
   }
 
@@ -463,18 +485,16 @@ class RdnaEventManager {
    * @param {RDNAJsonResponse} event - Event from native SDK containing user consent for LDA data
    */
   onGetUserConsentForLDA(event) {
-    console.log("RdnaEventManager - Get user consent for LDA event received");
+    Logger.debug("RdnaEventManager - Get user consent for LDA event received");
 
     try {
       const getUserConsentForLDAData = JSON.parse(event.response);
-      console.log("RdnaEventManager - Get user consent for LDA status:", getUserConsentForLDAData.challengeResponse?.status?.statusCode);
-      console.log("RdnaEventManager - UserID:", getUserConsentForLDAData.userID, "ChallengeMode:", getUserConsentForLDAData.challengeMode, "AuthenticationType:", getUserConsentForLDAData.authenticationType);
+      Logger.debug("RdnaEventManager - Get user consent for LDA status:", getUserConsentForLDAData.challengeResponse?.status?.statusCode);
+      Logger.debug("RdnaEventManager - UserID:", getUserConsentForLDAData.userID, "ChallengeMode:", getUserConsentForLDAData.challengeMode, "AuthenticationType:", getUserConsentForLDAData.authenticationType);
 
-      if (this.getUserConsentForLDAHandler) {
-        this.getUserConsentForLDAHandler(getUserConsentForLDAData);
-      }
+      this.emit('getUserConsentForLDA', getUserConsentForLDAData);
     } catch (error) {
-      console.error("RdnaEventManager - Failed to parse get user consent for LDA:", error);
+      Logger.error("RdnaEventManager - Failed to parse get user consent for LDA:", error);
     }
   }
 
@@ -483,18 +503,16 @@ class RdnaEventManager {
    * @param {RDNAJsonResponse} event - Event from native SDK containing password data
    */
   onGetPassword(event) {
-    console.log("RdnaEventManager - Get password event received");
+    Logger.debug("RdnaEventManager - Get password event received");
 
     try {
       const getPasswordData = JSON.parse(event.response);
-      console.log("RdnaEventManager - Get password status:", getPasswordData.challengeResponse?.status?.statusCode);
-      console.log("RdnaEventManager - UserID:", getPasswordData.userID, "ChallengeMode:", getPasswordData.challengeMode, "AttemptsLeft:", getPasswordData.attemptsLeft);
+      Logger.debug("RdnaEventManager - Get password status:", getPasswordData.challengeResponse?.status?.statusCode);
+      Logger.debug("RdnaEventManager - UserID:", getPasswordData.userID, "ChallengeMode:", getPasswordData.challengeMode, "AttemptsLeft:", getPasswordData.attemptsLeft);
 
-      if (this.getPasswordHandler) {
-        this.getPasswordHandler(getPasswordData);
-      }
+      this.emit('getPassword', getPasswordData);
     } catch (error) {
-      console.error("RdnaEventManager - Failed to parse get password:", error);
+      Logger.error("RdnaEventManager - Failed to parse get password:", error);
     }
   }
 
@@ -503,18 +521,16 @@ class RdnaEventManager {
    * @param {RDNAJsonResponse} event - Event from native SDK containing user login data
    */
   onUserLoggedIn(event) {
-    console.log("RdnaEventManager - User logged in event received");
+    Logger.debug("RdnaEventManager - User logged in event received");
 
     try {
       const userLoggedInData = JSON.parse(event.response);
-      console.log("RdnaEventManager - User logged in:", userLoggedInData.userID);
-      console.log("RdnaEventManager - Session ID:", userLoggedInData.challengeResponse?.session?.sessionID);
+      Logger.debug("RdnaEventManager - User logged in:", userLoggedInData.userID);
+      Logger.debug("RdnaEventManager - Session ID:", userLoggedInData.challengeResponse?.session?.sessionID);
 
-      if (this.onUserLoggedInHandler) {
-        this.onUserLoggedInHandler(userLoggedInData);
-      }
+      this.emit('onUserLoggedIn', userLoggedInData);
     } catch (error) {
-      console.error("RdnaEventManager - Failed to parse user logged in:", error);
+      Logger.error("RdnaEventManager - Failed to parse user logged in:", error);
     }
   }
 
@@ -523,18 +539,16 @@ class RdnaEventManager {
    * @param {RDNAJsonResponse} event - Event from native SDK containing user logout data
    */
   onUserLoggedOff(event) {
-    console.log("RdnaEventManager - User logged off event received");
+    Logger.debug("RdnaEventManager - User logged off event received");
 
     try {
       const userLoggedOffData = JSON.parse(event.response);
-      console.log("RdnaEventManager - User logged off:", userLoggedOffData.userID);
-      console.log("RdnaEventManager - Session ID:", userLoggedOffData.challengeResponse?.session?.sessionID);
+      Logger.debug("RdnaEventManager - User logged off:", userLoggedOffData.userID);
+      Logger.debug("RdnaEventManager - Session ID:", userLoggedOffData.challengeResponse?.session?.sessionID);
 
-      if (this.onUserLoggedOffHandler) {
-        this.onUserLoggedOffHandler(userLoggedOffData);
-      }
+      this.emit('onUserLoggedOff', userLoggedOffData);
     } catch (error) {
-      console.error("RdnaEventManager - Failed to parse user logged off:", error);
+      Logger.error("RdnaEventManager - Failed to parse user logged off:", error);
     }
   }
 
@@ -548,7 +562,7 @@ class RdnaEventManager {
    * @param {Object} event - Event from native SDK containing session timeout message
    */
   onSessionTimeout(event) {
-    console.log("RdnaEventManager - Session timeout event received (hard timeout)");
+    Logger.debug("RdnaEventManager - Session timeout event received (hard timeout)");
 
     try {
       // event.response contains plain string message, NOT JSON
@@ -559,13 +573,11 @@ class RdnaEventManager {
         userID: null // userID not provided in this event
       };
 
-      console.log("RdnaEventManager - Session timeout:", message);
+      Logger.debug("RdnaEventManager - Session timeout:", message);
 
-      if (this.sessionTimeoutHandler) {
-        this.sessionTimeoutHandler(sessionTimeoutData);
-      }
+      this.emit('onSessionTimeout', sessionTimeoutData);
     } catch (error) {
-      console.error("RdnaEventManager - Failed to handle session timeout:", error);
+      Logger.error("RdnaEventManager - Failed to handle session timeout:", error);
     }
   }
 
@@ -577,22 +589,20 @@ class RdnaEventManager {
    * @param {RDNAJsonResponse} event - Event from native SDK containing session timeout notification data
    */
   onSessionTimeoutNotification(event) {
-    console.log("RdnaEventManager - Session timeout notification event received (idle timeout warning)");
+    Logger.debug("RdnaEventManager - Session timeout notification event received (idle timeout warning)");
 
     try {
       const sessionTimeoutNotificationData = JSON.parse(event.response);
-      console.log("RdnaEventManager - Session timeout notification:", JSON.stringify({
+      Logger.debug("RdnaEventManager - Session timeout notification:", JSON.stringify({
         userID: sessionTimeoutNotificationData.userID,
         timeLeftInSeconds: sessionTimeoutNotificationData.timeLeftInSeconds,
         sessionCanBeExtended: sessionTimeoutNotificationData.sessionCanBeExtended,
         message: sessionTimeoutNotificationData.message
       }, null, 2));
 
-      if (this.sessionTimeoutNotificationHandler) {
-        this.sessionTimeoutNotificationHandler(sessionTimeoutNotificationData);
-      }
+      this.emit('onSessionTimeOutNotification', sessionTimeoutNotificationData);
     } catch (error) {
-      console.error("RdnaEventManager - Failed to parse session timeout notification:", error);
+      Logger.error("RdnaEventManager - Failed to parse session timeout notification:", error);
     }
   }
 
@@ -604,22 +614,20 @@ class RdnaEventManager {
    * @param {RDNAJsonResponse} event - Event from native SDK containing session extension response
    */
   onSessionExtensionResponse(event) {
-    console.log("RdnaEventManager - Session extension response event received");
+    Logger.debug("RdnaEventManager - Session extension response event received");
 
     try {
       const sessionExtensionResponseData = JSON.parse(event.response);
-      console.log("RdnaEventManager - Session extension response:", JSON.stringify({
+      Logger.debug("RdnaEventManager - Session extension response:", JSON.stringify({
         statusCode: sessionExtensionResponseData.status?.statusCode,
         statusMessage: sessionExtensionResponseData.status?.statusMessage,
         errorCode: sessionExtensionResponseData.error?.longErrorCode,
         errorString: sessionExtensionResponseData.error?.errorString
       }, null, 2));
 
-      if (this.sessionExtensionResponseHandler) {
-        this.sessionExtensionResponseHandler(sessionExtensionResponseData);
-      }
+      this.emit('onSessionExtensionResponse', sessionExtensionResponseData);
     } catch (error) {
-      console.error("RdnaEventManager - Failed to parse session extension response:", error);
+      Logger.error("RdnaEventManager - Failed to parse session extension response:", error);
     }
   }
 
@@ -631,7 +639,7 @@ class RdnaEventManager {
    * @param {RDNAJsonResponse} event - Event from native SDK containing device options
    */
   onAddNewDeviceOptions(event) {
-    console.log("RdnaEventManager - Add new device options event received");
+    Logger.debug("RdnaEventManager - Add new device options event received");
 
     try {
       // Handle both string and object responses
@@ -642,16 +650,14 @@ class RdnaEventManager {
         deviceOptionsData = event.response;
       }
 
-      console.log("RdnaEventManager - Device activation options:", JSON.stringify({
+      Logger.debug("RdnaEventManager - Device activation options:", JSON.stringify({
         optionsCount: deviceOptionsData.newDeviceOptions?.length || deviceOptionsData.options?.length,
         challengeMode: deviceOptionsData.challengeMode
       }, null, 2));
 
-      if (this.addNewDeviceOptionsHandler) {
-        this.addNewDeviceOptionsHandler(deviceOptionsData);
-      }
+      this.emit('addNewDeviceOptions', deviceOptionsData);
     } catch (error) {
-      console.error("RdnaEventManager - Failed to parse device options:", error);
+      Logger.error("RdnaEventManager - Failed to parse device options:", error);
     }
   }
 
@@ -663,7 +669,7 @@ class RdnaEventManager {
    * @param {RDNAJsonResponse} event - Event from native SDK containing notifications data
    */
   onGetNotifications(event) {
-    console.log("RdnaEventManager - Get notifications response event received");
+    Logger.debug("RdnaEventManager - Get notifications response event received");
 
     try {
       // Handle both string and object responses
@@ -674,17 +680,15 @@ class RdnaEventManager {
         notificationsData = event.response;
       }
 
-      console.log("RdnaEventManager - Notifications response:", JSON.stringify({
+      Logger.debug("RdnaEventManager - Notifications response:", JSON.stringify({
         statusCode: notificationsData.status?.statusCode,
         notificationsCount: notificationsData.notificationsList?.length,
         errorCode: notificationsData.error?.longErrorCode
       }, null, 2));
 
-      if (this.getNotificationsHandler) {
-        this.getNotificationsHandler(notificationsData);
-      }
+      this.emit('onGetNotifications', notificationsData);
     } catch (error) {
-      console.error("RdnaEventManager - Failed to parse notifications response:", error);
+      Logger.error("RdnaEventManager - Failed to parse notifications response:", error);
     }
   }
 
@@ -696,7 +700,7 @@ class RdnaEventManager {
    * @param {RDNAJsonResponse} event - Event from native SDK containing update response
    */
   onUpdateNotification(event) {
-    console.log("RdnaEventManager - Update notification response event received");
+    Logger.debug("RdnaEventManager - Update notification response event received");
 
     try {
       // Handle both string and object responses
@@ -707,18 +711,16 @@ class RdnaEventManager {
         updateNotificationData = event.response;
       }
 
-      console.log("RdnaEventManager - Update notification response:", JSON.stringify({
+      Logger.debug("RdnaEventManager - Update notification response:", JSON.stringify({
         statusCode: updateNotificationData.status?.statusCode,
         statusMessage: updateNotificationData.status?.statusMessage,
         errorCode: updateNotificationData.error?.longErrorCode,
         errorString: updateNotificationData.error?.errorString
       }, null, 2));
 
-      if (this.updateNotificationHandler) {
-        this.updateNotificationHandler(updateNotificationData);
-      }
+      this.emit('onUpdateNotification', updateNotificationData);
     } catch (error) {
-      console.error("RdnaEventManager - Failed to parse update notification response:", error);
+      Logger.error("RdnaEventManager - Failed to parse update notification response:", error);
     }
   }
 
@@ -732,7 +734,7 @@ class RdnaEventManager {
    * @param {RDNAJsonResponse} event - Event from native SDK containing notification history data
    */
   onGetNotificationHistory(event) {
-    console.log("RdnaEventManager - Get notification history response event received");
+    Logger.debug("RdnaEventManager - Get notification history response event received");
 
     try {
       // Handle both string and object responses
@@ -743,18 +745,16 @@ class RdnaEventManager {
         historyData = event.response;
       }
 
-      console.log("RdnaEventManager - Notification history response:", JSON.stringify({
+      Logger.debug("RdnaEventManager - Notification history response:", JSON.stringify({
         statusCode: historyData.pArgs?.response?.StatusCode,
         historyCount: historyData.pArgs?.response?.ResponseData?.history?.length,
         errCode: historyData.errCode,
         errorString: historyData.error?.errorString
       }, null, 2));
 
-      if (this.getNotificationHistoryHandler) {
-        this.getNotificationHistoryHandler(historyData);
-      }
+      this.emit('onGetNotificationsHistory', historyData);
     } catch (error) {
-      console.error("RdnaEventManager - Failed to parse notification history response:", error);
+      Logger.error("RdnaEventManager - Failed to parse notification history response:", error);
     }
   }
 
@@ -766,7 +766,7 @@ class RdnaEventManager {
    * @param {RDNAJsonResponse} event - Event from native SDK containing credentials data
    */
   onCredentialsAvailableForUpdate(event) {
-    console.log("RdnaEventManager - Credentials available for update event received");
+    Logger.debug("RdnaEventManager - Credentials available for update event received");
 
     try {
       // Handle both string and object responses
@@ -777,18 +777,16 @@ class RdnaEventManager {
         credentialsData = event.response;
       }
 
-      console.log("RdnaEventManager - Credentials available for update:", JSON.stringify({
+      Logger.debug("RdnaEventManager - Credentials available for update:", JSON.stringify({
         userID: credentialsData.userID,
         options: credentialsData.options,
         errorCode: credentialsData.error?.longErrorCode,
         errorString: credentialsData.error?.errorString
       }, null, 2));
 
-      if (this.credentialsAvailableForUpdateHandler) {
-        this.credentialsAvailableForUpdateHandler(credentialsData);
-      }
+      this.emit('onCredentialsAvailableForUpdate', credentialsData);
     } catch (error) {
-      console.error("RdnaEventManager - Failed to parse credentials available for update response:", error);
+      Logger.error("RdnaEventManager - Failed to parse credentials available for update response:", error);
     }
   }
 
@@ -807,7 +805,7 @@ class RdnaEventManager {
    * @param {RDNAJsonResponse} event - Event from native SDK containing update response
    */
   onUpdateCredentialResponse(event) {
-    console.log("RdnaEventManager - Update credential response event received");
+    Logger.debug("RdnaEventManager - Update credential response event received");
 
     try {
       // Handle both string and object responses
@@ -818,7 +816,7 @@ class RdnaEventManager {
         updateCredentialData = event.response;
       }
 
-      console.log("RdnaEventManager - Update credential response:", JSON.stringify({
+      Logger.debug("RdnaEventManager - Update credential response:", JSON.stringify({
         userID: updateCredentialData.userID,
         credType: updateCredentialData.credType,
         statusCode: updateCredentialData.status?.statusCode,
@@ -827,11 +825,9 @@ class RdnaEventManager {
         errorString: updateCredentialData.error?.errorString
       }, null, 2));
 
-      if (this.updateCredentialResponseHandler) {
-        this.updateCredentialResponseHandler(updateCredentialData);
-      }
+      this.emit('onUpdateCredentialResponse', updateCredentialData);
     } catch (error) {
-      console.error("RdnaEventManager - Failed to parse update credential response:", error);
+      Logger.error("RdnaEventManager - Failed to parse update credential response:", error);
     }
   }
 
@@ -847,7 +843,7 @@ class RdnaEventManager {
    * @param {RDNAJsonResponse} event - Event from native SDK containing status data
    */
   onDeviceAuthManagementStatus(event) {
-    console.log("RdnaEventManager - Device auth management status event received");
+    Logger.debug("RdnaEventManager - Device auth management status event received");
 
     try {
       // Handle both string and object responses
@@ -858,7 +854,7 @@ class RdnaEventManager {
         statusData = event.response;
       }
 
-      console.log("RdnaEventManager - Device auth management status:", JSON.stringify({
+      Logger.debug("RdnaEventManager - Device auth management status:", JSON.stringify({
         authMode: statusData.authMode,
         statusCode: statusData.statusCode,
         statusMessage: statusData.statusMessage,
@@ -866,11 +862,9 @@ class RdnaEventManager {
         errorString: statusData.error?.errorString
       }, null, 2));
 
-      if (this.deviceAuthManagementStatusHandler) {
-        this.deviceAuthManagementStatusHandler(statusData);
-      }
+      this.emit('onDeviceAuthManagementStatus', statusData);
     } catch (error) {
-      console.error("RdnaEventManager - Failed to parse device auth management status response:", error);
+      Logger.error("RdnaEventManager - Failed to parse device auth management status response:", error);
     }
   }
 
@@ -907,7 +901,7 @@ class RdnaEventManager {
    * @param {RDNAJsonResponse} event - Event from native SDK containing signing response data
    */
   onAuthenticateUserAndSignData(event) {
-    console.log("RdnaEventManager - Data signing response event received");
+    Logger.debug("RdnaEventManager - Data signing response event received");
 
     try {
       // Handle both string and object responses
@@ -918,7 +912,7 @@ class RdnaEventManager {
         signingData = event.response;
       }
 
-      console.log("RdnaEventManager - Data signing completed:", JSON.stringify({
+      Logger.debug("RdnaEventManager - Data signing completed:", JSON.stringify({
         authLevel: signingData.authLevel,
         authenticationType: signingData.authenticationType,
         dataPayloadLength: signingData.dataPayloadLength,
@@ -928,11 +922,9 @@ class RdnaEventManager {
         errorCode: signingData.error?.longErrorCode
       }, null, 2));
 
-      if (this.dataSigningResponseHandler) {
-        this.dataSigningResponseHandler(signingData);
-      }
+      this.emit('onAuthenticateUserAndSignData', signingData);
     } catch (error) {
-      console.error("RdnaEventManager - Failed to parse data signing response:", error);
+      Logger.error("RdnaEventManager - Failed to parse data signing response:", error);
     }
   }
 
@@ -944,7 +936,7 @@ class RdnaEventManager {
    * @param {RDNAJsonResponse} event - Event from native SDK containing device list data
    */
   onGetRegistredDeviceDetails(event) {
-    console.log("RdnaEventManager - Get registered device details response event received");
+    Logger.debug("RdnaEventManager - Get registered device details response event received");
 
     try {
       // Handle both string and object responses
@@ -955,7 +947,7 @@ class RdnaEventManager {
         deviceDetailsData = event.response;
       }
 
-      console.log("RdnaEventManager - Device details response:", JSON.stringify({
+      Logger.debug("RdnaEventManager - Device details response:", JSON.stringify({
         deviceCount: deviceDetailsData.pArgs?.response?.ResponseData?.device?.length || 0,
         statusCode: deviceDetailsData.pArgs?.response?.StatusCode,
         statusMsg: deviceDetailsData.pArgs?.response?.StatusMsg,
@@ -964,11 +956,9 @@ class RdnaEventManager {
         errorString: deviceDetailsData.error?.errorString
       }, null, 2));
 
-      if (this.getRegisteredDeviceDetailsHandler) {
-        this.getRegisteredDeviceDetailsHandler(deviceDetailsData);
-      }
+      this.emit('onGetRegistredDeviceDetails', deviceDetailsData);
     } catch (error) {
-      console.error("RdnaEventManager - Failed to parse device details response:", error);
+      Logger.error("RdnaEventManager - Failed to parse device details response:", error);
     }
   }
 
@@ -980,7 +970,7 @@ class RdnaEventManager {
    * @param {RDNAJsonResponse} event - Event from native SDK containing update result
    */
   onUpdateDeviceDetails(event) {
-    console.log("RdnaEventManager - Update device details response event received");
+    Logger.debug("RdnaEventManager - Update device details response event received");
 
     try {
       // Handle both string and object responses
@@ -991,7 +981,7 @@ class RdnaEventManager {
         updateDeviceData = event.response;
       }
 
-      console.log("RdnaEventManager - Update device response:", JSON.stringify({
+      Logger.debug("RdnaEventManager - Update device response:", JSON.stringify({
         statusCode: updateDeviceData.pArgs?.response?.StatusCode,
         statusMsg: updateDeviceData.pArgs?.response?.StatusMsg,
         responseStatusCode: updateDeviceData.pArgs?.response?.ResponseData?.status_code,
@@ -1001,11 +991,9 @@ class RdnaEventManager {
         errorString: updateDeviceData.error?.errorString
       }, null, 2));
 
-      if (this.updateDeviceDetailsHandler) {
-        this.updateDeviceDetailsHandler(updateDeviceData);
-      }
+      this.emit('onUpdateDeviceDetails', updateDeviceData);
     } catch (error) {
-      console.error("RdnaEventManager - Failed to parse update device response:", error);
+      Logger.error("RdnaEventManager - Failed to parse update device response:", error);
     }
   }
 
@@ -1030,7 +1018,7 @@ class RdnaEventManager {
    * @param {RDNAJsonResponse} event - Event from native SDK containing language change response
    */
   onSetLanguageResponse(event) {
-    console.log("RdnaEventManager - Set language response event received");
+    Logger.debug("RdnaEventManager - Set language response event received");
 
     try {
       // Handle both string and object responses
@@ -1041,7 +1029,7 @@ class RdnaEventManager {
         languageData = event.response;
       }
 
-      console.log("RdnaEventManager - Language change response:", JSON.stringify({
+      Logger.debug("RdnaEventManager - Language change response:", JSON.stringify({
         localeCode: languageData.localeCode,
         localeName: languageData.localeName,
         languageDirection: languageData.languageDirection,
@@ -1050,16 +1038,15 @@ class RdnaEventManager {
         errorCode: languageData.error?.longErrorCode
       }, null, 2));
 
-      if (this.setLanguageResponseHandler) {
-        this.setLanguageResponseHandler(languageData);
-      }
+      this.emit('onSetLanguageResponse', languageData);
     } catch (error) {
-      console.error("RdnaEventManager - Failed to parse set language response:", error);
+      Logger.error("RdnaEventManager - Failed to parse set language response:", error);
     }
   }
 
   /**
-   * Sets event handlers for SDK events. Only one handler per event type.
+   * Sets event handlers for SDK events. Only one handler per event type (legacy slot).
+   * Use on() to add further subscribers without replacing this handler.
    * @param {RDNAInitializeProgressCallback} callback
    */
   setInitializeProgressHandler(callback) {
@@ -1298,11 +1285,282 @@ class RdnaEventManager {
     return this.setLanguageResponseHandler;
   }
 
+  /**
+   * Sets handler for payloads dropped by schema validation (production mode)
+   * @param {Function} callback - Receives { eventName, errors, error }
+   */
+  setEventPayloadInvalidHandler(callback) {
+    this.eventPayloadInvalidHandler = callback;
+  }
+
+  /**
+   * Sets the callback that sees every event before it is validated and dispatched
+   * (SessionRecorder). Only one recorder is supported.
+   * @param {Function|null} callback - Receives (eventName, data)
+   */
+  setEventRecorder(callback) {
+    this.eventRecorder = callback;
+  }
+
+  /**
+   * Sets the callback that releases rdnaService's in-flight call an event answers.
+   * It runs after validation and before any handler. Only one tracker is supported.
+   * @param {Function|null} callback - Receives (eventName, data)
+   */
+  setOperationTracker(callback) {
+    this.operationTracker = callback;
+  }
+
+  /**
+   * Ignore events from the plugin while a recorded session is replayed
+   * @param {boolean} muted
+   */
+  setNativeEventsMuted(muted) {
+    this.nativeEventsMuted = !!muted;
+  }
+
+  /**
+   * Dispatches an event that did not come from the plugin (session replay).
+   * Goes through validation and dispatch like a plugin event, even while muted.
+   *
+   * @param {string} eventName - SDK event name
+   * @param {*} data - Parsed event payload
+   */
+  injectEvent(eventName, data) {
+    this._injecting = true;
+    try {
+      this.emit(eventName, data);
+    } finally {
+      this._injecting = false;
+    }
+  }
+
+  /**
+   * Subscribes to an SDK event. Multiple subscribers per event are supported
+   * and are dispatched in registration order after the legacy slot handler.
+   *
+   * Subscribe to RdnaEventManager.ANY_EVENT ('*') to observe every event; those
+   * subscribers run last and receive the event name as second argument.
+   *
+   * @param {string} eventName - SDK event name (e.g. 'getPassword', 'onUserLoggedIn') or '*'
+   * @param {Function} callback - Receives the parsed event payload and the event name
+   * @returns {RDNASubscriptionToken} Token to pass to off()
+   *
+   * @example
+   * const token = eventManager.on('onUserLoggedIn', (data) => { ... });
+   * eventManager.off(token);
+   */
+  on(eventName, callback) {
+    return this._subscribe(eventName, callback, false);
+  }
+
+  /**
+   * Subscribes to the next occurrence of an SDK event only.
+   * The subscription is removed before the callback runs.
+   *
+   * @param {string} eventName - SDK event name
+   * @param {Function} callback - Receives the parsed event payload
+   * @returns {RDNASubscriptionToken} Token to pass to off() (to cancel before it fires)
+   */
+  once(eventName, callback) {
+    return this._subscribe(eventName, callback, true);
+  }
+
+  /**
+   * Removes a subscription.
+   *
+   * Accepts either the token returned by on()/once(), or an event name plus
+   * the callback originally registered for it.
+   *
+   * @param {RDNASubscriptionToken|string} tokenOrEventName
+   * @param {Function} [callback] - Required when removing by event name
+   * @returns {boolean} True if a subscription was removed
+   */
+  off(tokenOrEventName, callback) {
+    if (typeof tokenOrEventName === 'number') {
+      for (const eventName of Object.keys(this.subscribers)) {
+        if (this._removeSubscription(eventName, (sub) => sub.token === tokenOrEventName)) {
+          return true;
+        }
+      }
+      return false;
+    }
+
+    if (typeof tokenOrEventName === 'string' && typeof callback === 'function') {
+      return this._removeSubscription(tokenOrEventName, (sub) => sub.callback === callback);
+    }
+
+    Logger.warn('RdnaEventManager - off() requires a subscription token or an event name and callback');
+    return false;
+  }
+
+  /**
+   * Returns the number of on()/once() subscribers for an event
+   * (the legacy slot handler is not counted)
+   *
+   * @param {string} eventName - SDK event name
+   * @returns {number}
+   */
+  listenerCount(eventName) {
+    return (this.subscribers[eventName] || []).length;
+  }
+
+  /**
+   * Dispatches a parsed event payload to the legacy slot handler and then
+   * to every subscriber in registration order, once it passed schema validation.
+   *
+   * @param {string} eventName - SDK event name
+   * @param {*} data - Parsed event payload
+   * @private
+   */
+  emit(eventName, data) {
+    if (this.nativeEventsMuted && !this._injecting) {
+      Logger.debug('RdnaEventManager - Ignoring plugin event during session replay:', eventName);
+      return;
+    }
+
+    if (this.eventRecorder) {
+      // A recorder failure (e.g. a payload it cannot serialize) must not swallow the event
+      try {
+        this.eventRecorder(eventName, data);
+      } catch (error) {
+        Logger.error(`RdnaEventManager - Event recorder failed for '${eventName}':`, error);
+      }
+    }
+
+    const errors = EventSchemaValidator.validate(eventName, data);
+    if (errors.length > 0 && !this._acceptInvalidPayload(eventName, errors)) {
+      return;
+    }
+
+    // Snapshot so subscribers added/removed during dispatch (including calls the
+    // operation tracker starts from its queue) don't affect this round
+    const subscribers = (this.subscribers[eventName] || []).slice();
+    const anySubscribers = (this.subscribers[RdnaEventManager.ANY_EVENT] || []).slice();
+
+    if (this.operationTracker) {
+      // An error in the guard's release/queue logic must not swallow the event
+      try {
+        this.operationTracker(eventName, data);
+      } catch (error) {
+        Logger.error(`RdnaEventManager - Operation tracker failed for '${eventName}':`, error);
+      }
+    }
+
+    const slot = EVENT_HANDLER_SLOTS[eventName];
+    const slotHandler = slot ? this[slot] : null;
+
+    if (typeof slotHandler === 'function') {
+      this._invokeSubscriber(eventName, slotHandler, data);
+    }
+
+    subscribers.forEach((sub) => {
+      if (sub.once) {
+        this._removeSubscription(eventName, (candidate) => candidate.token === sub.token);
+      }
+      this._invokeSubscriber(eventName, sub.callback, data);
+    });
+
+    anySubscribers.forEach((sub) => {
+      if (sub.once) {
+        this._removeSubscription(RdnaEventManager.ANY_EVENT, (candidate) => candidate.token === sub.token);
+      }
+      this._invokeSubscriber(eventName, sub.callback, data);
+    });
+  }
+
+  /**
+   * Reports a payload that failed schema validation
+   *
+   * @param {string} eventName - SDK event name
+   * @param {Array<{path: string, message: string}>} errors - From EventSchemaValidator.validate()
+   * @returns {boolean} True if the payload should still be dispatched (development mode)
+   * @private
+   */
+  _acceptInvalidPayload(eventName, errors) {
+    // Paths and types only - never the offending values
+    Logger.error(`RdnaEventManager - ${EventSchemaValidator.formatErrors(eventName, errors)}`);
+
+    if (EventSchemaValidator.getMode() === EVENT_SCHEMA_MODES.DEVELOPMENT) {
+      return true;
+    }
+
+    this.emit('onEventPayloadInvalid', {
+      eventName,
+      errors,
+      error: new RdnaError('payload', `Invalid ${eventName} payload`, { eventName })
+    });
+    return false;
+  }
+
+  /**
+   * @private
+   */
+  _subscribe(eventName, callback, once) {
+    if (typeof eventName !== 'string' || !eventName) {
+      throw new Error('RdnaEventManager - Event name must be a non-empty string');
+    }
+    if (typeof callback !== 'function') {
+      throw new Error(`RdnaEventManager - Callback for '${eventName}' must be a function`);
+    }
+    if (!EVENT_HANDLER_SLOTS[eventName] && eventName !== RdnaEventManager.ANY_EVENT) {
+      Logger.warn('RdnaEventManager - Subscribing to unknown SDK event:', eventName);
+    }
+
+    const token = this._nextSubscriptionToken++;
+
+    if (!this.subscribers[eventName]) {
+      this.subscribers[eventName] = [];
+    }
+    this.subscribers[eventName].push({ token, callback, once });
+
+    return token;
+  }
+
+  /**
+   * @private
+   */
+  _removeSubscription(eventName, predicate) {
+    const list = this.subscribers[eventName];
+    if (!list) {
+      return false;
+    }
+
+    const index = list.findIndex(predicate);
+    if (index === -1) {
+      return false;
+    }
+
+    list.splice(index, 1);
+    if (list.length === 0) {
+      delete this.subscribers[eventName];
+    }
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  _invokeSubscriber(eventName, callback, data) {
+    try {
+      const result = callback(data, eventName);
+
+      // Async handlers (e.g. SDKEventProvider.handleUserLoggedIn) must not produce unhandled rejections
+      if (result && typeof result.catch === 'function') {
+        result.catch((error) => {
+          Logger.error(`RdnaEventManager - Async subscriber for '${eventName}' failed:`, error);
+        });
+      }
+    } catch (error) {
+      Logger.error(`RdnaEventManager - Subscriber for '${eventName}' threw:`, error);
+    }
+  }
+
   /**
    * Cleans up all event listeners and handlers
    */
   cleanup() {
-    console.log('RdnaEventManager - Cleaning up event listeners and handlers');
+    Logger.debug('RdnaEventManager - Cleaning up event listeners and handlers');
 
     // Remove native event listeners
     this.listeners.forEach(listener => {
@@ -1310,6 +1568,9 @@ class RdnaEventManager {
     });
     this.listeners = [];
 
+    // Clear all on()/once() subscribers
+    this.subscribers = {};
+
     // Clear all event handlers
     this.initializeProgressHandler = null;
     this.initializeErrorHandler = null;
@@ -1337,6 +1598,7 @@ class RdnaEventManager {
     // Clear Notification Management event handlers
     this.getNotificationsHandler = null;
     this.updateNotificationHandler = null;
+    this.getNotificationHistoryHandler = null;
 
     // Clear Password Update event handlers
     this.credentialsAvailableForUpdateHandler = null;
@@ -1355,9 +1617,17 @@ class RdnaEventManager {
     // Clear Language Management event handlers
     this.setLanguageResponseHandler = null;
 
-    console.log('RdnaEventManager - Cleanup completed');
+    // Clear schema validation event handler
+    this.eventPayloadInvalidHandler = null;
+
+    Logger.debug('RdnaEventManager - Cleanup completed');
   }
 }
 
+/**
+ * Pseudo event name for subscribers that observe every SDK event
+ */
+RdnaEventManager.ANY_EVENT = '*';
+
 // Export singleton instance
 const rdnaEventManager = RdnaEventManager.getInstance();
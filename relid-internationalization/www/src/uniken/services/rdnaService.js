@@ -4,6 +4,18 @@
  * Centralized service for REL-ID SDK operations.
  * Provides a singleton pattern for consistent SDK access across the application.
  *
+ * Every failure is reported as an RdnaError (src/uniken/utils/rdnaErrors.js):
+ * sync error callbacks reject with RdnaError.fromSyncResponse(result), and the
+ * "call and await" companions reject with the layer that failed.
+ *
+ * Operation Guard:
+ * The calls in RDNA_OPERATIONS drive shared SDK state, so they are never allowed
+ * to overlap. A call that conflicts with one still in flight is either queued
+ * until the lane is free or rejected with RdnaError('busy'), which carries the
+ * in-flight call on error.operation. A call stays in flight until the event that
+ * answers it arrives, its sync response fails, or it times out. The UI can read
+ * getInFlightOperation() or listen for the 'rdnaOperationChanged' document event.
+ *
  * @typedef {Object} RDNASyncResponse
  * @property {Object} error
  * @property {number} error.longErrorCode
@@ -19,12 +31,94 @@
  * @property {boolean} permissionOptions.isLocationPermissionRequired - Whether location permission is needed
  * @property {boolean} permissionOptions.isLocationPermissionMandatory - If true, SDK fails without permission; if false, works with limited functionality
  * @property {Object} otelConfig - OpenTelemetry configuration
- * @property {string} otelConfig.otelHTTPEndpointURL - OpenTelemetry HTTP endpoint URL (empty = disabled)
+ * @property {string} otelConfig.otelHTTPEndpointURL - OpenTelemetry HTTP endpoint URL (empty = disabled). TelemetryService exports the JS spans here too
  * @property {string} otelConfig.enableEncoding - Encoding format for OTel data
  * @property {number} otelConfig.disableTrace - 0 = enable tracing, 1 = disable tracing
  * @property {number} otelConfig.otelTraceFlushTimeout - Timeout in milliseconds for flushing traces
  */
 
+/**
+ * Events after which the SDK starts over - they end every 'auth' lane call
+ */
+const RDNA_AUTH_RESET_EVENTS = ['getUser', 'onUserLoggedOff', 'onSessionTimeout', 'onTerminateWithThreats'];
+
+/**
+ * Calls that must not overlap (calls not listed are never held back)
+ * - lane:      calls in different lanes never conflict
+ * - kind:      how the call shares its lane
+ *   - 'flow'   starts a multi-step SDK flow and holds the lane until its result event
+ *   - 'step'   one round trip to the SDK. Allowed inside a flow (it answers the flow's
+ *              challenge), but only one step at a time
+ *   - 'cancel' abandons the flow the SDK is waiting in and ends it. Refused while
+ *              a step is being processed
+ * - releaseOn: events that answer the call (empty = its sync response does)
+ * - whenBusy:  'reject' with RdnaError('busy'), or 'queue' until the lane is free
+ */
+const RDNA_OPERATIONS = {
+  initialize: { lane: 'auth', kind: 'flow', whenBusy: 'reject', releaseOn: ['onInitialized', 'onInitializeError'] },
+  takeActionOnThreats: { lane: 'auth', kind: 'step', whenBusy: 'reject', releaseOn: [] },
+  setUser: {
+    lane: 'auth', kind: 'step', whenBusy: 'reject',
+    releaseOn: ['getActivationCode', 'getPassword', 'getUserConsentForLDA', 'addNewDeviceOptions', 'onUserLoggedIn']
+  },
+  setActivationCode: {
+    lane: 'auth', kind: 'step', whenBusy: 'reject',
+    releaseOn: ['getUserConsentForLDA', 'getPassword', 'getActivationCode']
+  },
+  setUserConsentForLDA: {
+    lane: 'auth', kind: 'step', whenBusy: 'reject',
+    releaseOn: ['getPassword', 'onUserLoggedIn', 'onDeviceAuthManagementStatus', 'getUserConsentForLDA']
+  },
+  resendActivationCode: { lane: 'auth', kind: 'step', whenBusy: 'reject', releaseOn: ['getActivationCode'] },
+  setPassword: {
+    lane: 'auth', kind: 'step', whenBusy: 'reject',
+    releaseOn: [
+      'onUserLoggedIn', 'getPassword', 'getUserConsentForLDA', 'onUpdateNotification',
+      'onDeviceAuthManagementStatus', 'onAuthenticateUserAndSignData', 'onUpdateCredentialResponse'
+    ]
+  },
+  resetAuthState: { lane: 'auth', kind: 'cancel', whenBusy: 'reject', releaseOn: ['getUser'] },
+  logOff: { lane: 'auth', kind: 'cancel', whenBusy: 'reject', releaseOn: ['onUserLoggedOff'] },
+  extendSessionIdleTimeout: { lane: 'session', kind: 'step', whenBusy: 'queue', releaseOn: ['onSessionExtensionResponse'] },
+  getNotifications: { lane: 'notifications', kind: 'step', whenBusy: 'queue', releaseOn: ['onGetNotifications'] },
+  updateNotification: { lane: 'auth', kind: 'flow', whenBusy: 'reject', releaseOn: ['onUpdateNotification'] },
+  getNotificationHistory: { lane: 'notificationHistory', kind: 'step', whenBusy: 'queue', releaseOn: ['onGetNotificationsHistory'] },
+  performVerifyAuth: {
+    lane: 'auth', kind: 'step', whenBusy: 'reject',
+    releaseOn: ['getActivationCode', 'getPassword', 'getUserConsentForLDA', 'onUserLoggedIn']
+  },
+  fallbackNewDeviceActivationFlow: {
+    lane: 'auth', kind: 'step', whenBusy: 'reject',
+    releaseOn: ['getActivationCode', 'getPassword', 'getUserConsentForLDA']
+  },
+  forgotPassword: {
+    lane: 'auth', kind: 'step', whenBusy: 'reject',
+    releaseOn: ['getActivationCode', 'getPassword', 'getUserConsentForLDA', 'onUserLoggedIn']
+  },
+  updatePassword: {
+    lane: 'auth', kind: 'step', whenBusy: 'reject',
+    releaseOn: ['onUpdateCredentialResponse', 'onUserLoggedIn', 'getPassword']
+  },
+  getAllChallenges: { lane: 'credentials', kind: 'step', whenBusy: 'queue', releaseOn: ['onCredentialsAvailableForUpdate'] },
+  initiateUpdateFlowForCredential: { lane: 'auth', kind: 'step', whenBusy: 'reject', releaseOn: ['getPassword', 'getUserConsentForLDA'] },
+  manageDeviceAuthenticationModes: { lane: 'auth', kind: 'flow', whenBusy: 'reject', releaseOn: ['onDeviceAuthManagementStatus'] },
+  authenticateUserAndSignData: { lane: 'auth', kind: 'flow', whenBusy: 'reject', releaseOn: ['onAuthenticateUserAndSignData'] },
+  resetAuthenticateUserAndSignDataState: { lane: 'auth', kind: 'cancel', whenBusy: 'reject', releaseOn: [] },
+  getRegisteredDeviceDetails: { lane: 'devices', kind: 'step', whenBusy: 'queue', releaseOn: ['onGetRegistredDeviceDetails'] },
+  updateDeviceDetails: { lane: 'deviceUpdate', kind: 'step', whenBusy: 'reject', releaseOn: ['onUpdateDeviceDetails'] },
+  setSDKLanguage: { lane: 'language', kind: 'step', whenBusy: 'queue', releaseOn: ['onSetLanguageResponse'] }
+};
+
+/**
+ * @typedef {Object} RdnaOperation
+ * @property {number} id - Increments per call
+ * @property {string} method - rdnaService method name
+ * @property {string} lane - RDNA_OPERATIONS lane
+ * @property {string} kind - 'flow' | 'step' | 'cancel'
+ * @property {number} startedAt - Date.now() when the call was made
+ * @property {string[]} releaseOn - Events that answer it
+ */
+
 class RdnaService {
   constructor() {
     if (RdnaService.instance) {
@@ -32,6 +126,16 @@ class RdnaService {
     }
 
     this.eventManager = null;
+
+    // True between an accepted initialize() and terminate()
+    this._sdkInitialized = false;
+
+    // Operation guard state
+    this._operations = [];
+    this._operationQueue = [];
+    this._nextOperationId = 1;
+    this._guardOperations();
+
     RdnaService.instance = this;
   }
 
@@ -50,7 +154,8 @@ class RdnaService {
    * Cleans up the service and event manager
    */
   cleanup() {
-    console.log('RdnaService - Cleaning up service');
+    Logger.debug('RdnaService - Cleaning up service');
+    this.releaseAllOperations('cleanup');
     if (this.eventManager) {
       this.eventManager.cleanup();
     }
@@ -64,6 +169,7 @@ class RdnaService {
     if (!this.eventManager) {
       // Lazy load to avoid circular dependency
       this.eventManager = RdnaEventManager.getInstance();
+      this.eventManager.setOperationTracker((eventName, data) => this._releaseOperationsFor(eventName, data));
     }
     return this.eventManager;
   }
@@ -76,22 +182,22 @@ class RdnaService {
     return new Promise((resolve, reject) => {
       com.uniken.rdnaplugin.RdnaClient.getSDKVersion(
         (response) => {
-          console.log('RdnaService - SDK version response received');
+          Logger.debug('RdnaService - SDK version response received');
 
           try {
             // Plugin returns JSON string - must parse
             const parsed = JSON.parse(response);
             const version = parsed?.response || 'Unknown';
-            console.log('RdnaService - SDK Version:', version);
+            Logger.debug('RdnaService - SDK Version:', version);
             resolve(version);
           } catch (error) {
-            console.error('RdnaService - Failed to parse SDK version:', error);
-            reject(new Error('Failed to parse SDK version response'));
+            Logger.error('RdnaService - Failed to parse SDK version:', error);
+            reject(new RdnaError('sync', 'Failed to parse SDK version response', { response }));
           }
         },
         (error) => {
-          console.error('RdnaService - getSDKVersion error:', error);
-          reject(error);
+          Logger.error('RdnaService - getSDKVersion error:', error);
+          reject(RdnaError.fromSyncResponse(JSON.parse(error)));
         },
         [] // No parameters for getSDKVersion
       );
@@ -106,12 +212,12 @@ class RdnaService {
    * @throws {Error} if token registration fails
    */
   setDeviceToken(token) {
-    console.log('RdnaService - Registering device push token with REL-ID SDK');
-    console.log('RdnaService - Token length:', token ? token.length : 0);
+    Logger.debug('RdnaService - Registering device push token with REL-ID SDK');
+    Logger.debug('RdnaService - Token length:', token ? token.length : 0);
 
     if (!token || typeof token !== 'string') {
       const error = 'Invalid token: must be a non-empty string';
-      console.error('RdnaService - ' + error);
+      Logger.error('RdnaService - ' + error);
       throw new Error(error);
     }
 
@@ -120,17 +226,17 @@ class RdnaService {
       // This is a fire-and-forget operation - no callback needed
       com.uniken.rdnaplugin.RdnaClient.setDeviceToken(
         () => {
-          console.log('RdnaService - Device push token registration successful');
+          Logger.debug('RdnaService - Device push token registration successful');
         },
         (error) => {
-          console.error('RdnaService - Device push token registration failed:', JSON.stringify(error, null, 2));
+          Logger.error('RdnaService - Device push token registration failed:', JSON.stringify(error, null, 2));
         },
         [token]
       );
 
-      console.log('RdnaService - Device push token registration initiated');
+      Logger.debug('RdnaService - Device push token registration initiated');
     } catch (error) {
-      console.error('RdnaService - Device push token registration error:', JSON.stringify(error, null, 2));
+      Logger.error('RdnaService - Device push token registration error:', JSON.stringify(error, null, 2));
       throw new Error('Failed to register device push token: ' + error);
     }
   }
@@ -140,7 +246,10 @@ class RdnaService {
    *
    * @param {InitOptions} [initOptions] - Optional configuration for language, permissions, and telemetry
    *                                       If not provided, uses default values suitable for most applications
+   * @param {Partial<TransportOptions>} [transportOptions] - Cipher specs/salt, proxy, SSL certificate and log level
+   *                                       Override the profile's agent_info.json values and the Advanced settings
    * @returns {Promise<RDNASyncResponse>} Promise that resolves with sync response structure
+   * @throws {Error} When the transport options are invalid (before calling the SDK)
    *
    * Example usage:
    * ```javascript
@@ -165,17 +274,28 @@ class RdnaService {
    *     otelTraceFlushTimeout: 0
    *   }
    * });
+   *
+   * // Behind a corporate proxy, with SDK logs
+   * await rdnaService.initialize(undefined, {
+   *   proxySettings: { host: 'proxy.corp.example', port: 8080 },
+   *   logLevel: 'RDNA_LOG_DEBUG'
+   * });
    * ```
    */
-  async initialize(initOptions) {
-    // Load connection profile
-    const profile = await loadAgentInfo();
-    console.log('RdnaService - Loaded connection profile:', JSON.stringify({
+  async initialize(initOptions, transportOptions) {
+    // Load the connection profile selected on TutorialHome (first one in agent_info.json by default)
+    const profile = await ConnectionProfileManager.getActiveProfile();
+    Logger.debug('RdnaService - Loaded connection profile:', JSON.stringify({
+      name: profile.name,
       host: profile.host,
       port: profile.port,
       relId: profile.relId.substring(0, 10) + '...',
     }, null, 2));
 
+    // agent_info.json → Advanced settings → transportOptions argument
+    const transport = TransportSettingsManager.resolve(profile, transportOptions);
+    Logger.debug('RdnaService - Transport options:', JSON.stringify(describeTransportOptions(transport), null, 2));
+
     // If no initOptions provided, use default values
     // Default configuration:
     // - Language: Empty (SDK defaults to 'en'), LTR direction
@@ -202,51 +322,232 @@ class RdnaService {
     // Use provided options or defaults
     const finalInitOptions = initOptions || defaultInitOptions;
 
+    // JS spans go to the same OTLP collector as the native SDK's (disabled when the URL is empty)
+    TelemetryService.configure(finalInitOptions.otelConfig);
+
     // Convert to JSON string as required by the SDK
     const initOptionsString = JSON.stringify(finalInitOptions);
 
-    console.log('RdnaService - Starting initialization');
-    console.log('RdnaService - InitOptions:', initOptionsString);
+    Logger.debug('RdnaService - Starting initialization');
+    Logger.debug('RdnaService - InitOptions:', initOptionsString);
 
     return new Promise((resolve, reject) => {
       com.uniken.rdnaplugin.RdnaClient.initialize(
         (response) => {
-          console.log('RdnaService - Initialize sync callback received');
+          Logger.debug('RdnaService - Initialize sync callback received');
 
             // Plugin returns JSON string - must parse
           const result = JSON.parse(response);
-          console.log('RdnaService - Initialize sync response:', JSON.stringify({
+          Logger.debug('RdnaService - Initialize sync response:', JSON.stringify({
               longErrorCode: result.error?.longErrorCode,
               shortErrorCode: result.error?.shortErrorCode,
               errorString: result.error?.errorString
             }, null, 2));
+
+          // The native session now exists until terminate(), even if onInitializeError follows
+          if (result.error?.longErrorCode === 0) {
+            this._sdkInitialized = true;
+          }
           resolve(result);
         },
         (error) => {
-          console.error('RdnaService - Initialize sync error callback:');
+          Logger.error('RdnaService - Initialize sync error callback:');
           const result = JSON.parse(error);
-          console.log('RdnaService - Initialize sync error response:', JSON.stringify({
+          Logger.debug('RdnaService - Initialize sync error response:', JSON.stringify({
               longErrorCode: result.error?.longErrorCode,
               shortErrorCode: result.error?.shortErrorCode,
               errorString: result.error?.errorString
             }, null, 2));
-          reject(result);
+          reject(RdnaError.fromSyncResponse(result));
         },
         [
           profile.relId,                                              // 0: agentInfo - The REL-ID encrypted string
           profile.host,                                               // 1: gatewayHost - Hostname or IP of the gateway server
           profile.port,                                               // 2: gatewayPort - Port number for gateway server
-          '',                                                         // 3: cipherSpecs - Encryption format string
-          '',                                                         // 4: cipherSalt - Cryptographic salt
-          '',                                                         // 5: proxySettings - Proxy configuration (JSON string, optional)
-          '',                                                         // 6: sslCertificate - SSL certificate configuration (optional)
-          com.uniken.rdnaplugin.RdnaClient.RDNALoggingLevel.RDNA_NO_LOGS,  // 7: logLevel - Logging level
+          transport.cipherSpecs,                                      // 3: cipherSpecs - Encryption format string
+          transport.cipherSalt,                                       // 4: cipherSalt - Cryptographic salt
+          transport.proxySettings ? JSON.stringify(transport.proxySettings) : '',    // 5: proxySettings - Proxy configuration (JSON string, optional)
+          transport.sslCertificate ? JSON.stringify(transport.sslCertificate) : '',  // 6: sslCertificate - SSL certificate configuration (optional)
+          com.uniken.rdnaplugin.RdnaClient.RDNALoggingLevel[transport.logLevel],    // 7: logLevel - Logging level
           initOptionsString                                           // 8: initOptions - Advanced SDK configuration (JSON string)
         ]
       );
     });
   }
 
+  /**
+   * Checks whether the native SDK holds a session that terminate() has to end
+   * before initialize() can be called again
+   *
+   * @returns {boolean} True once initialize() was accepted, until terminate() succeeds
+   */
+  isInitialized() {
+    return this._sdkInitialized;
+  }
+
+  /**
+   * Terminates the native SDK session
+   *
+   * The SDK drops the user session and stops sending events. Every call still in
+   * flight is released, and the auth flow returns to uninitialized. Call
+   * initialize() again afterwards, or use reinitialize() to do both.
+   *
+   * @returns {Promise<RDNASyncResponse>} Promise that resolves with sync response structure
+   */
+  async terminate() {
+    Logger.debug('RdnaService - Terminating SDK');
+
+    return new Promise((resolve, reject) => {
+      com.uniken.rdnaplugin.RdnaClient.terminate(
+        (response) => {
+          Logger.debug('RdnaService - Terminate sync callback received');
+
+          const result = JSON.parse(response);
+          Logger.debug('RdnaService - terminate sync response:', JSON.stringify({
+            longErrorCode: result.error?.longErrorCode,
+            shortErrorCode: result.error?.shortErrorCode,
+            errorString: result.error?.errorString
+          }, null, 2));
+
+          this._sdkInitialized = false;
+          this.releaseAllOperations('terminated');
+          AuthFlowStateMachine.dispatch('sdkTerminated');
+          resolve(result);
+        },
+        (error) => {
+          Logger.error('RdnaService - terminate error callback:', error);
+          const result = JSON.parse(error);
+          reject(RdnaError.fromSyncResponse(result));
+        },
+        [] // No parameters for terminate
+      );
+    });
+  }
+
+  /**
+   * Tears the SDK down and initializes it again, without restarting the app
+   *
+   * Used to switch connection profiles, to recover from onInitializeError and to
+   * start over after onSessionTimeout. Each step is reported through onProgress
+   * (messages from progressHelper):
+   * 1. Log off the logged-in user and wait for onUserLoggedOff
+   * 2. terminate() the native session (skipped if isInitialized() is false, a failure
+   *    means the session is already gone and is only logged)
+   * 3. Reset SDKEventProvider, SessionManager, StepUpAuthManager and DataSigningSetupAuthManager
+   * 4. initialize() and wait for onInitialized, reporting onInitializeProgress
+   *
+   * @param {Object} [options]
+   * @param {InitOptions} [options.initOptions] - Passed to initialize()
+   * @param {Partial<TransportOptions>} [options.transportOptions] - Passed to initialize()
+   * @param {Function} [options.onProgress] - Receives each progress message
+   * @param {number} [options.timeoutMs=30000] - Wait for onUserLoggedOff / onInitialized
+   * @returns {Promise<Object>} onInitialized payload
+   * @throws {RdnaError} type 'api' with eventName 'onInitializeError' when the SDK refuses
+   *                     to initialize, or the failing initialize() error
+   *
+   * @example
+   * await rdnaService.reinitialize({
+   *   initOptions,
+   *   onProgress: (message) => progressText.textContent = message
+   * });
+   */
+  async reinitialize(options = {}) {
+    const {
+      initOptions,
+      transportOptions,
+      onProgress = () => {},
+      timeoutMs = RdnaService.DEFAULT_ASYNC_TIMEOUT_MS
+    } = options;
+
+    Logger.info('RdnaService - Re-initializing SDK');
+
+    // Nothing in flight will be answered by the old session
+    this.releaseAllOperations('reinitialize');
+
+    const { userID } = SDKEventProvider.getSessionParams();
+    if (userID && this._sdkInitialized) {
+      onProgress(getLifecycleProgressMessage('loggingOff'));
+      try {
+        await this.callAndAwaitEvent('onUserLoggedOff', () => this.logOff(userID), { timeoutMs });
+      } catch (error) {
+        // terminate() ends the session anyway
+        Logger.warn('RdnaService - Log off before re-initialize failed, terminating anyway:', error.message);
+      }
+    }
+
+    if (this._sdkInitialized) {
+      onProgress(getLifecycleProgressMessage('terminating'));
+      try {
+        await this.terminate();
+      } catch (error) {
+        // The native session is already gone (e.g. dropped while the app was in the background)
+        Logger.warn('RdnaService - Terminate before re-initialize failed, initializing anyway:', error.message);
+        this._sdkInitialized = false;
+      }
+    }
+
+    onProgress(getLifecycleProgressMessage('resetting'));
+    this._resetSessionState();
+
+    onProgress(getLifecycleProgressMessage('initializing'));
+    return this._initializeAndAwait(initOptions, transportOptions, onProgress, timeoutMs);
+  }
+
+  /**
+   * Clears the app state that belonged to the terminated SDK session
+   * @private
+   */
+  _resetSessionState() {
+    SDKEventProvider.clearSessionParams();
+    SessionManager.getInstance().hideSessionModal();
+
+    StepUpAuthManager.hidePasswordDialog();
+    StepUpAuthManager.clearContext();
+
+    DataSigningSetupAuthManager.hidePasswordDialog();
+    DataSigningSetupAuthManager.clearContext();
+  }
+
+  /**
+   * Calls initialize() and waits for onInitialized or onInitializeError
+   * @private
+   */
+  async _initializeAndAwait(initOptions, transportOptions, onProgress, timeoutMs) {
+    const eventManager = this.getEventManager();
+    const controller = new AbortController();
+    let errorSubscription = null;
+
+    const progressSubscription = eventManager.on('onInitializeProgress', (data) => {
+      onProgress(getProgressMessage(data));
+    });
+    const initializeFailed = new Promise((resolve, reject) => {
+      errorSubscription = eventManager.once('onInitializeError', (data) => {
+        errorSubscription = null;
+        reject(new RdnaError('api', data.errorString || 'Initialization failed', {
+          eventName: 'onInitializeError',
+          longErrorCode: data.longErrorCode,
+          shortErrorCode: data.shortErrorCode,
+          response: data
+        }));
+        // Stop waiting for onInitialized (after rejecting, so this error wins the race)
+        controller.abort();
+      });
+    });
+
+    try {
+      return await Promise.race([
+        this.callAndAwaitEvent('onInitialized', () => this.initialize(initOptions, transportOptions), {
+          timeoutMs,
+          signal: controller.signal
+        }),
+        initializeFailed
+      ]);
+    } finally {
+      eventManager.off(progressSubscription);
+      if (errorSubscription !== null) eventManager.off(errorSubscription);
+    }
+  }
+
   /**
    * Takes action on detected security threats
    *
@@ -262,16 +563,16 @@ class RdnaService {
    * await rdnaService.takeActionOnThreats(JSON.stringify(modifiedThreats));
    */
   async takeActionOnThreats(modifiedThreatsJson) {
-    console.log('RdnaService - Taking action on threats');
+    Logger.debug('RdnaService - Taking action on threats');
 
     return new Promise((resolve, reject) => {
       com.uniken.rdnaplugin.RdnaClient.takeActionOnThreats(
         (response) => {
-          console.log('RdnaService - Take action on threats sync callback received');
+          Logger.debug('RdnaService - Take action on threats sync callback received');
 
             // Plugin returns JSON string - must parse
           const result = JSON.parse(response);
-          console.log('RdnaService - takeActionOnThreats sync response:', JSON.stringify({
+          Logger.debug('RdnaService - takeActionOnThreats sync response:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
@@ -279,14 +580,14 @@ class RdnaService {
           resolve(result);
         },
         (error) => {
-          console.error('RdnaService - takeActionOnThreats error callback');
+          Logger.error('RdnaService - takeActionOnThreats error callback');
           const result = JSON.parse(error);
-          console.error('RdnaService - takeActionOnThreats error:', JSON.stringify({
+          Logger.error('RdnaService - takeActionOnThreats error:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
-          reject(result);
+          reject(RdnaError.fromSyncResponse(result));
 
         },
         [modifiedThreatsJson] // ← CRITICAL: Must be array with stringified JSON
@@ -311,29 +612,30 @@ class RdnaService {
    * @returns {Promise<RDNASyncResponse>} Promise that resolves with sync response structure
    */
   async setUser(username) {
-    console.log('RdnaService - Setting user for MFA flow:', username);
+    Logger.addSensitiveValue(username);
+    Logger.debug('RdnaService - Setting user for MFA flow:', username);
 
     return new Promise((resolve, reject) => {
       com.uniken.rdnaplugin.RdnaClient.setUser(
         (response) => {
-          console.log('RdnaService - SetUser sync callback received');
+          Logger.debug('RdnaService - SetUser sync callback received');
 
           // Plugin returns JSON string - must parse
           const result = JSON.parse(response);
-          console.log('RdnaService - setUser sync response:', JSON.stringify({
+          Logger.debug('RdnaService - setUser sync response:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
 
           // Success callback - always errorCode 0
-          console.log('RdnaService - SetUser sync response success, waiting for async events');
+          Logger.debug('RdnaService - SetUser sync response success, waiting for async events');
           resolve(result);
         },
         (error) => {
-          console.error('RdnaService - setUser error callback:', error);
+          Logger.error('RdnaService - setUser error callback:', error);
           const result = JSON.parse(error);
-          reject(result);
+          reject(RdnaError.fromSyncResponse(result));
         },
         [username]
       );
@@ -357,28 +659,28 @@ class RdnaService {
    * @returns {Promise<RDNASyncResponse>} Promise that resolves with sync response structure
    */
   async setActivationCode(activationCode) {
-    console.log('RdnaService - Setting activation code for MFA flow:', activationCode);
+    Logger.debug('RdnaService - Setting activation code for MFA flow:', activationCode);
 
     return new Promise((resolve, reject) => {
       com.uniken.rdnaplugin.RdnaClient.setActivationCode(
         (response) => {
-          console.log('RdnaService - SetActivationCode sync callback received');
+          Logger.debug('RdnaService - SetActivationCode sync callback received');
 
           const result = JSON.parse(response);
-          console.log('RdnaService - setActivationCode sync response:', JSON.stringify({
+          Logger.debug('RdnaService - setActivationCode sync response:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
 
           // Success callback - always errorCode 0
-          console.log('RdnaService - SetActivationCode sync response success, waiting for async events');
+          Logger.debug('RdnaService - SetActivationCode sync response success, waiting for async events');
           resolve(result);
         },
         (error) => {
-          console.error('RdnaService - setActivationCode error callback:', error);
+          Logger.error('RdnaService - setActivationCode error callback:', error);
           const result = JSON.parse(error);
-          reject(result);
+          reject(RdnaError.fromSyncResponse(result));
         },
         [activationCode]
       );
@@ -404,7 +706,7 @@ class RdnaService {
    * @returns {Promise<RDNASyncResponse>} Promise that resolves with sync response structure
    */
   async setUserConsentForLDA(isEnrollLDA, challengeMode, authenticationType) {
-    console.log('RdnaService - Setting user consent for LDA:', JSON.stringify({
+    Logger.debug('RdnaService - Setting user consent for LDA:', JSON.stringify({
       isEnrollLDA,
       challengeMode,
       authenticationType
@@ -413,23 +715,23 @@ class RdnaService {
     return new Promise((resolve, reject) => {
       com.uniken.rdnaplugin.RdnaClient.setUserConsentForLDA(
         (response) => {
-          console.log('RdnaService - SetUserConsentForLDA sync callback received');
+          Logger.debug('RdnaService - SetUserConsentForLDA sync callback received');
 
           const result = JSON.parse(response);
-          console.log('RdnaService - setUserConsentForLDA sync response:', JSON.stringify({
+          Logger.debug('RdnaService - setUserConsentForLDA sync response:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
 
           // Success callback - always errorCode 0
-          console.log('RdnaService - SetUserConsentForLDA sync response success, waiting for async events');
+          Logger.debug('RdnaService - SetUserConsentForLDA sync response success, waiting for async events');
           resolve(result);
         },
         (error) => {
-          console.error('RdnaService - setUserConsentForLDA error callback:', error);
+          Logger.error('RdnaService - setUserConsentForLDA error callback:', error);
           const result = JSON.parse(error);
-          reject(result);
+          reject(RdnaError.fromSyncResponse(result));
         },
         [isEnrollLDA, challengeMode, authenticationType]
       );
@@ -452,28 +754,28 @@ class RdnaService {
    * @returns {Promise<RDNASyncResponse>} Promise that resolves with sync response structure
    */
   async resendActivationCode() {
-    console.log('RdnaService - Requesting resend of activation code');
+    Logger.debug('RdnaService - Requesting resend of activation code');
 
     return new Promise((resolve, reject) => {
       com.uniken.rdnaplugin.RdnaClient.resendActivationCode(
         (response) => {
-          console.log('RdnaService - ResendActivationCode sync callback received');
+          Logger.debug('RdnaService - ResendActivationCode sync callback received');
 
           const result = JSON.parse(response);
-          console.log('RdnaService - resendActivationCode sync response:', JSON.stringify({
+          Logger.debug('RdnaService - resendActivationCode sync response:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
 
           // Success callback - always errorCode 0
-          console.log('RdnaService - ResendActivationCode sync response success, waiting for new getActivationCode event');
+          Logger.debug('RdnaService - ResendActivationCode sync response success, waiting for new getActivationCode event');
           resolve(result);
         },
         (error) => {
-          console.error('RdnaService - resendActivationCode error callback:', error);
+          Logger.error('RdnaService - resendActivationCode error callback:', error);
           const result = JSON.parse(error);
-          reject(result);
+          reject(RdnaError.fromSyncResponse(result));
         },
         []
       );
@@ -498,28 +800,28 @@ class RdnaService {
    * @returns {Promise<RDNASyncResponse>} Promise that resolves with sync response structure
    */
   async setPassword(password, challengeMode = 1) {
-    console.log('RdnaService - Setting password for MFA flow (challengeMode:', challengeMode + ')');
+    Logger.debug('RdnaService - Setting password for MFA flow (challengeMode:', challengeMode + ')');
 
     return new Promise((resolve, reject) => {
       com.uniken.rdnaplugin.RdnaClient.setPassword(
         (response) => {
-          console.log('RdnaService - SetPassword sync callback received');
+          Logger.debug('RdnaService - SetPassword sync callback received');
 
           const result = JSON.parse(response);
-          console.log('RdnaService - setPassword sync response:', JSON.stringify({
+          Logger.debug('RdnaService - setPassword sync response:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
 
           // Success callback - always errorCode 0 (plugin routes by error code)
-          console.log('RdnaService - SetPassword sync response success, waiting for async events');
+          Logger.debug('RdnaService - SetPassword sync response success, waiting for async events');
           resolve(result);
         },
         (error) => {
-          console.error('RdnaService - setPassword error callback:', error);
+          Logger.error('RdnaService - setPassword error callback:', error);
           const result = JSON.parse(error);
-          reject(result);
+          reject(RdnaError.fromSyncResponse(result));
         },
         [password, challengeMode]
       );
@@ -543,28 +845,28 @@ class RdnaService {
    * @returns {Promise<RDNASyncResponse>} Promise that resolves with sync response structure
    */
   async resetAuthState() {
-    console.log('RdnaService - Resetting authentication state');
+    Logger.debug('RdnaService - Resetting authentication state');
 
     return new Promise((resolve, reject) => {
       com.uniken.rdnaplugin.RdnaClient.resetAuthState(
         (response) => {
-          console.log('RdnaService - ResetAuthState sync callback received');
+          Logger.debug('RdnaService - ResetAuthState sync callback received');
 
           const result = JSON.parse(response);
-          console.log('RdnaService - resetAuthState sync response:', JSON.stringify({
+          Logger.debug('RdnaService - resetAuthState sync response:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
 
           // Success callback - always errorCode 0
-          console.log('RdnaService - ResetAuthState sync response success, waiting for new getUser event');
+          Logger.debug('RdnaService - ResetAuthState sync response success, waiting for new getUser event');
           resolve(result);
         },
         (error) => {
-          console.error('RdnaService - resetAuthState error callback:', error);
+          Logger.error('RdnaService - resetAuthState error callback:', error);
           const result = JSON.parse(error);
-          reject(result);
+          reject(RdnaError.fromSyncResponse(result));
         },
         []
       );
@@ -590,28 +892,28 @@ class RdnaService {
    * @returns {Promise<RDNASyncResponse>} Promise that resolves with sync response structure
    */
   async logOff(userID) {
-    console.log('RdnaService - Logging off user:', userID);
+    Logger.debug('RdnaService - Logging off user:', userID);
 
     return new Promise((resolve, reject) => {
       com.uniken.rdnaplugin.RdnaClient.logOff(
         (response) => {
-          console.log('RdnaService - LogOff sync callback received');
+          Logger.debug('RdnaService - LogOff sync callback received');
 
           const result = JSON.parse(response);
-          console.log('RdnaService - logOff sync response:', JSON.stringify({
+          Logger.debug('RdnaService - logOff sync response:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
 
           // Success callback - always errorCode 0
-          console.log('RdnaService - LogOff sync response success, waiting for onUserLoggedOff event');
+          Logger.debug('RdnaService - LogOff sync response success, waiting for onUserLoggedOff event');
           resolve(result);
         },
         (error) => {
-          console.error('RdnaService - logOff error callback:', error);
+          Logger.error('RdnaService - logOff error callback:', error);
           const result = JSON.parse(error);
-          reject(result);
+          reject(RdnaError.fromSyncResponse(result));
         },
         [userID]
       );
@@ -646,28 +948,28 @@ class RdnaService {
    * @returns {Promise<RDNASyncResponse>} Promise that resolves with sync response structure
    */
   async extendSessionIdleTimeout() {
-    console.log('RdnaService - Extending session idle timeout');
+    Logger.debug('RdnaService - Extending session idle timeout');
 
     return new Promise((resolve, reject) => {
       com.uniken.rdnaplugin.RdnaClient.extendSessionIdleTimeout(
         (response) => {
-          console.log('RdnaService - ExtendSessionIdleTimeout sync callback received');
+          Logger.debug('RdnaService - ExtendSessionIdleTimeout sync callback received');
 
           const result = JSON.parse(response);
-          console.log('RdnaService - extendSessionIdleTimeout sync response:', JSON.stringify({
+          Logger.debug('RdnaService - extendSessionIdleTimeout sync response:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
 
           // Success callback - always errorCode 0
-          console.log('RdnaService - ExtendSessionIdleTimeout sync response success, waiting for onSessionExtensionResponse event');
+          Logger.debug('RdnaService - ExtendSessionIdleTimeout sync response success, waiting for onSessionExtensionResponse event');
           resolve(result);
         },
         (error) => {
-          console.error('RdnaService - extendSessionIdleTimeout error callback:', error);
+          Logger.error('RdnaService - extendSessionIdleTimeout error callback:', error);
           const result = JSON.parse(error);
-          reject(result);
+          reject(RdnaError.fromSyncResponse(result));
         },
         [] // No parameters required
       );
@@ -694,27 +996,27 @@ class RdnaService {
    */
   async getNotifications(recordCount = 0, startIndex = 1, startDate = '', endDate = '') {
     return new Promise((resolve, reject) => {
-      console.log('RdnaService - Fetching notifications with recordCount:', recordCount, 'startIndex:', startIndex);
+      Logger.debug('RdnaService - Fetching notifications with recordCount:', recordCount, 'startIndex:', startIndex);
 
       com.uniken.rdnaplugin.RdnaClient.getNotifications(
         (response) => {
-          console.log('RdnaService - GetNotifications sync callback received');
+          Logger.debug('RdnaService - GetNotifications sync callback received');
 
           const result = JSON.parse(response);
-          console.log('RdnaService - getNotifications sync response:', JSON.stringify({
+          Logger.debug('RdnaService - getNotifications sync response:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
 
           // Success callback - always errorCode 0 (plugin routes by error code)
-          console.log('RdnaService - GetNotifications sync response success, waiting for onGetNotifications event');
+          Logger.debug('RdnaService - GetNotifications sync response success, waiting for onGetNotifications event');
           resolve(result);
         },
         (error) => {
-          console.error('RdnaService - getNotifications error callback:', error);
+          Logger.error('RdnaService - getNotifications error callback:', error);
           const result = JSON.parse(error);
-          reject(result);
+          reject(RdnaError.fromSyncResponse(result));
         },
         [recordCount, '', startIndex, startDate, endDate] // [RECORD_COUNT, ENTERPRISE_ID, START_RECORD, START_DATE, END_DATE]
       );
@@ -739,27 +1041,27 @@ class RdnaService {
    */
   async updateNotification(notificationId, actionResponse) {
     return new Promise((resolve, reject) => {
-      console.log('RdnaService - Updating notification:', notificationId, 'with response:', actionResponse);
+      Logger.debug('RdnaService - Updating notification:', notificationId, 'with response:', actionResponse);
 
       com.uniken.rdnaplugin.RdnaClient.updateNotification(
         (response) => {
-          console.log('RdnaService - UpdateNotification sync callback received');
+          Logger.debug('RdnaService - UpdateNotification sync callback received');
 
           const result = JSON.parse(response);
-          console.log('RdnaService - updateNotification sync response:', JSON.stringify({
+          Logger.debug('RdnaService - updateNotification sync response:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
 
           // Success callback - always errorCode 0 (plugin routes by error code)
-          console.log('RdnaService - UpdateNotification sync response success, waiting for onUpdateNotification event');
+          Logger.debug('RdnaService - UpdateNotification sync response success, waiting for onUpdateNotification event');
           resolve(result);
         },
         (error) => {
-          console.error('RdnaService - updateNotification error callback:', error);
+          Logger.error('RdnaService - updateNotification error callback:', error);
           const result = JSON.parse(error);
-          reject(result);
+          reject(RdnaError.fromSyncResponse(result));
         },
         [notificationId, actionResponse] // [NOTIFICATION_ID, NOTIFICATION_ACTION]
       );
@@ -801,7 +1103,7 @@ class RdnaService {
     deviceId = ''
   ) {
     return new Promise((resolve, reject) => {
-      console.log('RdnaService - Fetching notification history with params:', JSON.stringify({
+      Logger.debug('RdnaService - Fetching notification history with params:', JSON.stringify({
         recordCount,
         startIndex,
         enterpriseId,
@@ -815,23 +1117,23 @@ class RdnaService {
 
       com.uniken.rdnaplugin.RdnaClient.getNotificationHistory(
         (response) => {
-          console.log('RdnaService - GetNotificationHistory sync callback received');
+          Logger.debug('RdnaService - GetNotificationHistory sync callback received');
 
           const result = JSON.parse(response);
-          console.log('RdnaService - getNotificationHistory sync response:', JSON.stringify({
+          Logger.debug('RdnaService - getNotificationHistory sync response:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
 
           // Success callback - always errorCode 0 (plugin routes by error code)
-          console.log('RdnaService - GetNotificationHistory sync response success, waiting for onGetNotificationHistory event');
+          Logger.debug('RdnaService - GetNotificationHistory sync response success, waiting for onGetNotificationHistory event');
           resolve(result);
         },
         (error) => {
-          console.error('RdnaService - getNotificationHistory error callback:', error);
+          Logger.error('RdnaService - getNotificationHistory error callback:', error);
           const result = JSON.parse(error);
-          reject(result);
+          reject(RdnaError.fromSyncResponse(result));
         },
         [recordCount, enterpriseId, startIndex, startDate, endDate, notificationStatus, actionPerformed, keywordSearch, deviceId]
       );
@@ -856,27 +1158,27 @@ class RdnaService {
    */
   async performVerifyAuth(verifyAuthStatus) {
     return new Promise((resolve, reject) => {
-      console.log('RdnaService - Performing verify auth with status:', verifyAuthStatus);
+      Logger.debug('RdnaService - Performing verify auth with status:', verifyAuthStatus);
 
       com.uniken.rdnaplugin.RdnaClient.performVerifyAuth(
         (response) => {
-          console.log('RdnaService - PerformVerifyAuth sync callback received');
+          Logger.debug('RdnaService - PerformVerifyAuth sync callback received');
 
           const result = JSON.parse(response);
-          console.log('RdnaService - performVerifyAuth sync response:', JSON.stringify({
+          Logger.debug('RdnaService - performVerifyAuth sync response:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
 
           // Success callback - always errorCode 0 (plugin routes by error code)
-          console.log('RdnaService - PerformVerifyAuth sync response success, waiting for async events');
+          Logger.debug('RdnaService - PerformVerifyAuth sync response success, waiting for async events');
           resolve(result);
         },
         (error) => {
-          console.error('RdnaService - performVerifyAuth error callback:', error);
+          Logger.error('RdnaService - performVerifyAuth error callback:', error);
           const result = JSON.parse(error);
-          reject(result);
+          reject(RdnaError.fromSyncResponse(result));
         },
         [verifyAuthStatus, false] // [Verify Auth, Enterprise Registration]
       );
@@ -900,27 +1202,27 @@ class RdnaService {
    */
   async fallbackNewDeviceActivationFlow() {
     return new Promise((resolve, reject) => {
-      console.log('RdnaService - Initiating fallback new device activation flow');
+      Logger.debug('RdnaService - Initiating fallback new device activation flow');
 
       com.uniken.rdnaplugin.RdnaClient.fallbackNewDeviceActivationFlow(
         (response) => {
-          console.log('RdnaService - FallbackNewDeviceActivationFlow sync callback received');
+          Logger.debug('RdnaService - FallbackNewDeviceActivationFlow sync callback received');
 
           const result = JSON.parse(response);
-          console.log('RdnaService - fallbackNewDeviceActivationFlow sync response:', JSON.stringify({
+          Logger.debug('RdnaService - fallbackNewDeviceActivationFlow sync response:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
 
           // Success callback - always errorCode 0 (plugin routes by error code)
-          console.log('RdnaService - FallbackNewDeviceActivationFlow sync response success, waiting for async events');
+          Logger.debug('RdnaService - FallbackNewDeviceActivationFlow sync response success, waiting for async events');
           resolve(result);
         },
         (error) => {
-          console.error('RdnaService - fallbackNewDeviceActivationFlow error callback:', error);
+          Logger.error('RdnaService - fallbackNewDeviceActivationFlow error callback:', error);
           const result = JSON.parse(error);
-          reject(result);
+          reject(RdnaError.fromSyncResponse(result));
         }
         // No parameters required
       );
@@ -956,32 +1258,32 @@ class RdnaService {
    */
   async forgotPassword(userId = '') {
     return new Promise((resolve, reject) => {
-      console.log('RdnaService - Initiating forgot password flow for userId:', userId || 'current user');
+      Logger.debug('RdnaService - Initiating forgot password flow for userId:', userId || 'current user');
 
       com.uniken.rdnaplugin.RdnaClient.forgotPassword(
         (response) => {
-          console.log('RdnaService - ForgotPassword sync callback received');
+          Logger.debug('RdnaService - ForgotPassword sync callback received');
 
           const result = JSON.parse(response);
-          console.log('RdnaService - forgotPassword sync response:', JSON.stringify({
+          Logger.debug('RdnaService - forgotPassword sync response:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
 
           // Success callback - always errorCode 0 (plugin routes by error code)
-          console.log('RdnaService - ForgotPassword sync response success, starting verification challenge');
+          Logger.debug('RdnaService - ForgotPassword sync response success, starting verification challenge');
           resolve(result);
         },
         (error) => {
-          console.error('RdnaService - forgotPassword error callback:', error);
+          Logger.error('RdnaService - forgotPassword error callback:', error);
           const result = JSON.parse(error);
-          console.error('RdnaService - forgotPassword sync error:', JSON.stringify({
+          Logger.error('RdnaService - forgotPassword sync error:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
-          reject(result);
+          reject(RdnaError.fromSyncResponse(result));
         },
         [userId] // [USER_ID] - Optional user ID parameter
       );
@@ -1019,32 +1321,32 @@ class RdnaService {
    */
   async updatePassword(currentPassword, newPassword, challengeMode) {
     return new Promise((resolve, reject) => {
-      console.log('RdnaService - Updating password with challengeMode:', challengeMode);
+      Logger.debug('RdnaService - Updating password with challengeMode:', challengeMode);
 
       com.uniken.rdnaplugin.RdnaClient.updatePassword(
         (response) => {
-          console.log('RdnaService - UpdatePassword sync callback received');
+          Logger.debug('RdnaService - UpdatePassword sync callback received');
 
           const result = JSON.parse(response);
-          console.log('RdnaService - updatePassword sync response:', JSON.stringify({
+          Logger.debug('RdnaService - updatePassword sync response:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
 
           // Success callback - always errorCode 0 (plugin routes by error code)
-          console.log('RdnaService - UpdatePassword sync response success, waiting for onUserLoggedIn event');
+          Logger.debug('RdnaService - UpdatePassword sync response success, waiting for onUserLoggedIn event');
           resolve(result);
         },
         (error) => {
-          console.error('RdnaService - updatePassword error callback:', error);
+          Logger.error('RdnaService - updatePassword error callback:', error);
           const result = JSON.parse(error);
-          console.error('RdnaService - updatePassword sync error:', JSON.stringify({
+          Logger.error('RdnaService - updatePassword sync error:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
-          reject(result);
+          reject(RdnaError.fromSyncResponse(result));
         },
         [currentPassword, newPassword, challengeMode] // [CURRENT_PASSWORD, NEW_PASSWORD, CHALLENGE_MODE]
       );
@@ -1073,36 +1375,36 @@ class RdnaService {
    */
   async getAllChallenges(username) {
     return new Promise((resolve, reject) => {
-      console.log('RdnaService - Getting all available challenges for user:', username);
+      Logger.debug('RdnaService - Getting all available challenges for user:', username);
 
       com.uniken.rdnaplugin.RdnaClient.getAllChallenges(
         (response) => {
-          console.log('RdnaService - GetAllChallenges sync callback received');
+          Logger.debug('RdnaService - GetAllChallenges sync callback received');
 
           const result = JSON.parse(response);
-          console.log('RdnaService - getAllChallenges sync response:', JSON.stringify({
+          Logger.debug('RdnaService - getAllChallenges sync response:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
 
           if (result.error && result.error.longErrorCode === 0) {
-            console.log('RdnaService - GetAllChallenges sync response success, waiting for onCredentialsAvailableForUpdate event');
+            Logger.debug('RdnaService - GetAllChallenges sync response success, waiting for onCredentialsAvailableForUpdate event');
             resolve(result);
           } else {
-            console.error('RdnaService - GetAllChallenges sync response error');
-            reject(result);
+            Logger.error('RdnaService - GetAllChallenges sync response error');
+            reject(RdnaError.fromSyncResponse(result));
           }
         },
         (error) => {
-          console.error('RdnaService - getAllChallenges error callback:', error);
+          Logger.error('RdnaService - getAllChallenges error callback:', error);
           const result = JSON.parse(error);
-          console.error('RdnaService - getAllChallenges sync error:', JSON.stringify({
+          Logger.error('RdnaService - getAllChallenges sync error:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
-          reject(result);
+          reject(RdnaError.fromSyncResponse(result));
         },
         [username] // [USERNAME]
       );
@@ -1131,36 +1433,36 @@ class RdnaService {
    */
   async initiateUpdateFlowForCredential(credentialType) {
     return new Promise((resolve, reject) => {
-      console.log('RdnaService - Initiating update flow for credential:', credentialType);
+      Logger.debug('RdnaService - Initiating update flow for credential:', credentialType);
 
       com.uniken.rdnaplugin.RdnaClient.initiateUpdateFlowForCredential(
         (response) => {
-          console.log('RdnaService - InitiateUpdateFlowForCredential sync callback received');
+          Logger.debug('RdnaService - InitiateUpdateFlowForCredential sync callback received');
 
           const result = JSON.parse(response);
-          console.log('RdnaService - initiateUpdateFlowForCredential sync response:', JSON.stringify({
+          Logger.debug('RdnaService - initiateUpdateFlowForCredential sync response:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
 
           if (result.error && result.error.longErrorCode === 0) {
-            console.log('RdnaService - InitiateUpdateFlowForCredential sync response success, waiting for get credential event');
+            Logger.debug('RdnaService - InitiateUpdateFlowForCredential sync response success, waiting for get credential event');
             resolve(result);
           } else {
-            console.error('RdnaService - InitiateUpdateFlowForCredential sync response error');
-            reject(result);
+            Logger.error('RdnaService - InitiateUpdateFlowForCredential sync response error');
+            reject(RdnaError.fromSyncResponse(result));
           }
         },
         (error) => {
-          console.error('RdnaService - initiateUpdateFlowForCredential error callback:', error);
+          Logger.error('RdnaService - initiateUpdateFlowForCredential error callback:', error);
           const result = JSON.parse(error);
-          console.error('RdnaService - initiateUpdateFlowForCredential sync error:', JSON.stringify({
+          Logger.error('RdnaService - initiateUpdateFlowForCredential sync error:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
-          reject(result);
+          reject(RdnaError.fromSyncResponse(result));
         },
         [credentialType] // [CREDENTIAL_TYPE]
       );
@@ -1203,15 +1505,15 @@ class RdnaService {
    */
   async getDeviceAuthenticationDetails() {
     return new Promise((resolve, reject) => {
-      console.log('RdnaService - Getting device authentication details');
+      Logger.debug('RdnaService - Getting device authentication details');
 
       com.uniken.rdnaplugin.RdnaClient.getDeviceAuthenticationDetails(
         (response) => {
-          console.log('RdnaService - GetDeviceAuthenticationDetails sync callback received');
+          Logger.debug('RdnaService - GetDeviceAuthenticationDetails sync callback received');
 
           const result = JSON.parse(response);
-          console.log('RdnaService - getDeviceAuthenticationDetails whole sync response:', result);
-          console.log('RdnaService - getDeviceAuthenticationDetails sync response:', JSON.stringify({
+          Logger.debug('RdnaService - getDeviceAuthenticationDetails whole sync response:', result);
+          Logger.debug('RdnaService - getDeviceAuthenticationDetails sync response:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString,
@@ -1222,14 +1524,14 @@ class RdnaService {
           resolve(result);
         },
         (error) => {
-          console.error('RdnaService - getDeviceAuthenticationDetails error callback:', error);
+          Logger.error('RdnaService - getDeviceAuthenticationDetails error callback:', error);
           const result = JSON.parse(error);
-          console.error('RdnaService - getDeviceAuthenticationDetails sync error:', JSON.stringify({
+          Logger.error('RdnaService - getDeviceAuthenticationDetails sync error:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
-          reject(result);
+          reject(RdnaError.fromSyncResponse(result));
         },
         [] // No parameters
       );
@@ -1280,17 +1582,17 @@ class RdnaService {
    */
   async manageDeviceAuthenticationModes(isEnabled, authType) {
     return new Promise((resolve, reject) => {
-      console.log('RdnaService - Managing device authentication modes:', JSON.stringify({
+      Logger.debug('RdnaService - Managing device authentication modes:', JSON.stringify({
         isEnabled,
         authType
       }, null, 2));
 
       com.uniken.rdnaplugin.RdnaClient.manageDeviceAuthenticationModes(
         (response) => {
-          console.log('RdnaService - ManageDeviceAuthenticationModes sync callback received');
+          Logger.debug('RdnaService - ManageDeviceAuthenticationModes sync callback received');
 
           const result = JSON.parse(response);
-          console.log('RdnaService - manageDeviceAuthenticationModes sync response:', JSON.stringify({
+          Logger.debug('RdnaService - manageDeviceAuthenticationModes sync response:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
@@ -1298,18 +1600,18 @@ class RdnaService {
 
           // Always resolve with result (let caller check error.longErrorCode)
           // Async event (onDeviceAuthManagementStatus) will follow
-          console.log('RdnaService - ManageDeviceAuthenticationModes sync response, waiting for onDeviceAuthManagementStatus event');
+          Logger.debug('RdnaService - ManageDeviceAuthenticationModes sync response, waiting for onDeviceAuthManagementStatus event');
           resolve(result);
         },
         (error) => {
-          console.error('RdnaService - manageDeviceAuthenticationModes error callback:', error);
+          Logger.error('RdnaService - manageDeviceAuthenticationModes error callback:', error);
           const result = JSON.parse(error);
-          console.error('RdnaService - manageDeviceAuthenticationModes sync error:', JSON.stringify({
+          Logger.error('RdnaService - manageDeviceAuthenticationModes sync error:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
-          reject(result);
+          reject(RdnaError.fromSyncResponse(result));
         },
         [isEnabled, authType] // [IS_ENABLED, AUTH_TYPE]
       );
@@ -1385,7 +1687,7 @@ class RdnaService {
    */
   async authenticateUserAndSignData(payload, authLevel, authenticatorType, reason) {
     return new Promise((resolve, reject) => {
-      console.log('RdnaService - Authenticating user and signing data:', JSON.stringify({
+      Logger.debug('RdnaService - Authenticating user and signing data:', JSON.stringify({
         payloadLength: payload?.length,
         authLevel,
         authenticatorType,
@@ -1394,10 +1696,10 @@ class RdnaService {
 
       com.uniken.rdnaplugin.RdnaClient.authenticateUserAndSignData(
         (response) => {
-          console.log('RdnaService - AuthenticateUserAndSignData sync callback received');
+          Logger.debug('RdnaService - AuthenticateUserAndSignData sync callback received');
 
           const result = JSON.parse(response);
-          console.log('RdnaService - authenticateUserAndSignData sync response:', JSON.stringify({
+          Logger.debug('RdnaService - authenticateUserAndSignData sync response:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
@@ -1405,18 +1707,18 @@ class RdnaService {
 
           // Always resolve with result (let caller check error.longErrorCode)
           // Async event (onAuthenticateUserAndSignData) will follow after authentication
-          console.log('RdnaService - AuthenticateUserAndSignData sync response, waiting for authentication and signing');
+          Logger.debug('RdnaService - AuthenticateUserAndSignData sync response, waiting for authentication and signing');
           resolve(result);
         },
         (error) => {
-          console.error('RdnaService - authenticateUserAndSignData error callback:', error);
+          Logger.error('RdnaService - authenticateUserAndSignData error callback:', error);
           const result = JSON.parse(error);
-          console.error('RdnaService - authenticateUserAndSignData sync error:', JSON.stringify({
+          Logger.error('RdnaService - authenticateUserAndSignData sync error:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
-          reject(result);
+          reject(RdnaError.fromSyncResponse(result));
         },
         [payload, authLevel, authenticatorType, reason] // [PAYLOAD, AUTH_LEVEL, AUTHENTICATOR_TYPE, REASON]
       );
@@ -1451,36 +1753,36 @@ class RdnaService {
    */
   async resetAuthenticateUserAndSignDataState() {
     return new Promise((resolve, reject) => {
-      console.log('RdnaService - Resetting data signing authentication state');
+      Logger.debug('RdnaService - Resetting data signing authentication state');
 
       com.uniken.rdnaplugin.RdnaClient.resetAuthenticateUserAndSignDataState(
         (response) => {
-          console.log('RdnaService - ResetAuthenticateUserAndSignDataState sync callback received');
+          Logger.debug('RdnaService - ResetAuthenticateUserAndSignDataState sync callback received');
 
           const result = JSON.parse(response);
-          console.log('RdnaService - resetAuthenticateUserAndSignDataState sync response:', JSON.stringify({
+          Logger.debug('RdnaService - resetAuthenticateUserAndSignDataState sync response:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
 
           if (result.error && result.error.longErrorCode === 0) {
-            console.log('RdnaService - Data signing state reset successfully');
+            Logger.debug('RdnaService - Data signing state reset successfully');
             resolve(result);
           } else {
-            console.error('RdnaService - Failed to reset data signing state:', JSON.stringify(result, null, 2));
-            reject(result);
+            Logger.error('RdnaService - Failed to reset data signing state:', JSON.stringify(result, null, 2));
+            reject(RdnaError.fromSyncResponse(result));
           }
         },
         (error) => {
-          console.error('RdnaService - resetAuthenticateUserAndSignDataState error callback:', error);
+          Logger.error('RdnaService - resetAuthenticateUserAndSignDataState error callback:', error);
           const result = JSON.parse(error);
-          console.error('RdnaService - resetAuthenticateUserAndSignDataState sync error:', JSON.stringify({
+          Logger.error('RdnaService - resetAuthenticateUserAndSignDataState sync error:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
-          reject(result);
+          reject(RdnaError.fromSyncResponse(result));
         },
         [] // No parameters
       );
@@ -1553,27 +1855,27 @@ class RdnaService {
    */
   async getRegisteredDeviceDetails(userId) {
     return new Promise((resolve, reject) => {
-      console.log('RdnaService - Getting registered device details for userId:', userId);
+      Logger.debug('RdnaService - Getting registered device details for userId:', userId);
 
       com.uniken.rdnaplugin.RdnaClient.getRegisteredDeviceDetails(
         (response) => {
-          console.log('RdnaService - GetRegisteredDeviceDetails sync callback received');
+          Logger.debug('RdnaService - GetRegisteredDeviceDetails sync callback received');
 
           const result = JSON.parse(response);
-          console.log('RdnaService - getRegisteredDeviceDetails sync response:', JSON.stringify({
+          Logger.debug('RdnaService - getRegisteredDeviceDetails sync response:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
 
           // Success callback - always errorCode 0 (plugin routes by error code)
-          console.log('RdnaService - GetRegisteredDeviceDetails sync response success, waiting for onGetRegistredDeviceDetails event');
+          Logger.debug('RdnaService - GetRegisteredDeviceDetails sync response success, waiting for onGetRegistredDeviceDetails event');
           resolve(result);
         },
         (error) => {
-          console.error('RdnaService - getRegisteredDeviceDetails error callback:', error);
+          Logger.error('RdnaService - getRegisteredDeviceDetails error callback:', error);
           const result = JSON.parse(error);
-          reject(result);
+          reject(RdnaError.fromSyncResponse(result));
         },
         [userId] // [USER_ID]
       );
@@ -1661,28 +1963,28 @@ class RdnaService {
    */
   async updateDeviceDetails(userId, devicePayload) {
     return new Promise((resolve, reject) => {
-      console.log('RdnaService - Updating device details for userId:', userId);
-      console.log('RdnaService - Device payload:', devicePayload);
+      Logger.debug('RdnaService - Updating device details for userId:', userId);
+      Logger.debug('RdnaService - Device payload:', devicePayload);
 
       com.uniken.rdnaplugin.RdnaClient.updateDeviceDetails(
         (response) => {
-          console.log('RdnaService - UpdateDeviceDetails sync callback received');
+          Logger.debug('RdnaService - UpdateDeviceDetails sync callback received');
 
           const result = JSON.parse(response);
-          console.log('RdnaService - updateDeviceDetails sync response:', JSON.stringify({
+          Logger.debug('RdnaService - updateDeviceDetails sync response:', JSON.stringify({
             longErrorCode: result.error?.longErrorCode,
             shortErrorCode: result.error?.shortErrorCode,
             errorString: result.error?.errorString
           }, null, 2));
 
           // Success callback - always errorCode 0 (plugin routes by error code)
-          console.log('RdnaService - UpdateDeviceDetails sync response success, waiting for onUpdateDeviceDetails event');
+          Logger.debug('RdnaService - UpdateDeviceDetails sync response success, waiting for onUpdateDeviceDetails event');
           resolve(result);
         },
         (error) => {
-          console.error('RdnaService - updateDeviceDetails error callback:', error);
+          Logger.error('RdnaService - updateDeviceDetails error callback:', error);
           const result = JSON.parse(error);
-          reject(result);
+          reject(RdnaError.fromSyncResponse(result));
         },
         [userId, devicePayload] // [USER_ID, DEVICE_PAYLOAD]
       );
@@ -1716,36 +2018,632 @@ class RdnaService {
    */
   async setSDKLanguage(localeCode, languageDirection) {
     return new Promise((resolve, reject) => {
-      console.log('RdnaService - Setting SDK language:', JSON.stringify({
+      Logger.debug('RdnaService - Setting SDK language:', JSON.stringify({
         localeCode: localeCode,
         languageDirection: languageDirection
       }, null, 2));
 
       com.uniken.rdnaplugin.RdnaClient.setSDKLanguage(
         (response) => {
-          console.log('RdnaService - SetSDKLanguage sync callback received');
-          console.log('RdnaService - SetSDKLanguage sync raw response:', response);
+          Logger.debug('RdnaService - SetSDKLanguage sync callback received');
+          Logger.debug('RdnaService - SetSDKLanguage sync raw response:', response);
 
           const result = JSON.parse(response);
 
           if (result.error && result.error.longErrorCode === 0) {
-            console.log('RdnaService - SetSDKLanguage sync response success, waiting for onSetLanguageResponse event');
+            Logger.debug('RdnaService - SetSDKLanguage sync response success, waiting for onSetLanguageResponse event');
             resolve(result);
           } else {
-            console.error('RdnaService - SetSDKLanguage sync response error:', JSON.stringify(result, null, 2));
-            reject(result);
+            Logger.error('RdnaService - SetSDKLanguage sync response error:', JSON.stringify(result, null, 2));
+            reject(RdnaError.fromSyncResponse(result));
           }
         },
         (error) => {
-          console.error('RdnaService - SetSDKLanguage error callback:', error);
+          Logger.error('RdnaService - SetSDKLanguage error callback:', error);
           const result = JSON.parse(error);
-          reject(result);
+          reject(RdnaError.fromSyncResponse(result));
         },
         [localeCode, languageDirection] // [LOCALE_CODE, LANGUAGE_DIRECTION]
       );
     });
   }
+
+  // ===================================================================
+  // OPERATION GUARD
+  // Keeps the RDNA_OPERATIONS calls from overlapping. Screens no longer
+  // need their own "is processing" flag to stop a conflicting call.
+  // ===================================================================
+
+  /**
+   * Gets the oldest call still in flight in a lane
+   *
+   * @param {string} [lane='auth'] - RDNA_OPERATIONS lane
+   * @returns {RdnaOperation|null}
+   */
+  getInFlightOperation(lane = 'auth') {
+    const operation = this._operations.find((candidate) => candidate.lane === lane);
+    return operation ? this._describeOperation(operation) : null;
+  }
+
+  /**
+   * Gets every call still in flight, oldest first
+   * @returns {RdnaOperation[]}
+   */
+  getInFlightOperations() {
+    return this._operations.map((operation) => this._describeOperation(operation));
+  }
+
+  /**
+   * Checks whether a call would start right away (not be rejected or queued)
+   *
+   * @param {string} method - rdnaService method name
+   * @returns {boolean}
+   */
+  canStartOperation(method) {
+    const rule = RDNA_OPERATIONS[method];
+    return !rule || !this._findConflictingOperation(rule);
+  }
+
+  /**
+   * Ends an in-flight call that the app finished itself, e.g. a step-up
+   * that the user cancelled (no SDK event follows)
+   *
+   * @param {string} method - rdnaService method name
+   * @param {string} [reason='released by app']
+   */
+  releaseOperation(method, reason = 'released by app') {
+    this._operations
+      .filter((operation) => operation.method === method)
+      .forEach((operation) => this._releaseOperation(operation, reason));
+  }
+
+  /**
+   * Ends every in-flight call and rejects the queued ones with RdnaError('cancelled')
+   * @param {string} [reason='released by app']
+   */
+  releaseAllOperations(reason = 'released by app') {
+    const queued = this._operationQueue;
+    this._operationQueue = [];
+    queued.forEach((entry) => {
+      entry.cancel(new RdnaError('cancelled', `${entry.method} was cancelled before it started`));
+    });
+
+    this._operations.slice().forEach((operation) => this._releaseOperation(operation, reason));
+  }
+
+  /**
+   * Routes the RDNA_OPERATIONS methods through _runOperation()
+   * @private
+   */
+  _guardOperations() {
+    Object.keys(RDNA_OPERATIONS).forEach((method) => {
+      const original = this[method];
+      this[method] = (...args) => this._runOperation(method, () => original.apply(this, args));
+    });
+  }
+
+  /**
+   * Starts, queues or rejects a guarded call
+   *
+   * @param {string} method - rdnaService method name
+   * @param {Function} invoke - Performs the call, returns the sync response promise
+   * @returns {Promise<*>} Sync response
+   * @private
+   */
+  _runOperation(method, invoke) {
+    const rule = RDNA_OPERATIONS[method];
+    const conflict = this._findConflictingOperation(rule);
+
+    if (!conflict) {
+      return this._startOperation(method, invoke);
+    }
+
+    if (rule.whenBusy === 'queue') {
+      Logger.debug('RdnaService - Queued', method, 'behind', conflict.method);
+      return new Promise((resolve, reject) => {
+        this._operationQueue.push({
+          method,
+          rule,
+          start: () => this._startOperation(method, invoke).then(resolve, reject),
+          cancel: reject
+        });
+      });
+    }
+
+    Logger.warn('RdnaService - Rejected', method, 'while', conflict.method, 'is in progress');
+    const error = new RdnaError('busy', `${method} cannot start while ${conflict.method} is in progress`);
+    error.operation = this._describeOperation(conflict);
+    return Promise.reject(error);
+  }
+
+  /**
+   * @param {Object} rule - RDNA_OPERATIONS entry of the new call
+   * @returns {Object|null} In-flight operation the new call conflicts with
+   * @private
+   */
+  _findConflictingOperation(rule) {
+    return this._operations.find((operation) => operation.lane === rule.lane
+      && (rule.kind === 'flow' || operation.kind !== 'flow')) || null;
+  }
+
+  /**
+   * @private
+   */
+  _startOperation(method, invoke) {
+    const rule = RDNA_OPERATIONS[method];
+
+    if (rule.kind === 'cancel') {
+      this._operations
+        .filter((operation) => operation.lane === rule.lane && operation.kind === 'flow')
+        .forEach((operation) => this._releaseOperation(operation, `cancelled by ${method}`));
+    }
+
+    // Make sure the event tracker is registered before the SDK can answer
+    this.getEventManager();
+
+    const timeoutMs = rule.kind === 'flow' ? RdnaService.FLOW_TIMEOUT_MS : RdnaService.OPERATION_TIMEOUT_MS;
+    const operation = {
+      id: this._nextOperationId++,
+      method,
+      lane: rule.lane,
+      kind: rule.kind,
+      startedAt: Date.now(),
+      releaseOn: rule.releaseOn,
+      timeoutId: null
+    };
+    operation.timeoutId = setTimeout(() => {
+      Logger.warn('RdnaService -', method, 'was not answered within', timeoutMs, 'ms, releasing it');
+      this._releaseOperation(operation, 'timeout');
+    }, timeoutMs);
+
+    this._operations.push(operation);
+    this._notifyOperationChange('started', operation, null);
+
+    let result;
+    try {
+      result = Promise.resolve(invoke());
+    } catch (error) {
+      result = Promise.reject(error);
+    }
+
+    return result.then(
+      (response) => {
+        // No event follows a failed sync response
+        if (rule.releaseOn.length === 0 || (response?.error && response.error.longErrorCode !== 0)) {
+          this._releaseOperation(operation, 'sync response');
+        }
+        return response;
+      },
+      (error) => {
+        this._releaseOperation(operation, 'sync error');
+        throw error;
+      }
+    );
+  }
+
+  /**
+   * RdnaEventManager operation tracker - runs before the event's handlers,
+   * so a handler can start the next call right away
+   *
+   * @param {string} eventName - SDK event name
+   * @param {*} data - Event payload
+   * @private
+   */
+  _releaseOperationsFor(eventName, data) {
+    // A payload dropped by schema validation still answers the call
+    const answeredEvent = eventName === 'onEventPayloadInvalid' ? data?.eventName : eventName;
+    const startsOver = RDNA_AUTH_RESET_EVENTS.includes(answeredEvent);
+
+    this._operations
+      .filter((operation) => operation.releaseOn.includes(answeredEvent) || (startsOver && operation.lane === 'auth'))
+      .forEach((operation) => this._releaseOperation(operation, answeredEvent));
+  }
+
+  /**
+   * @private
+   */
+  _releaseOperation(operation, reason) {
+    const index = this._operations.indexOf(operation);
+    if (index === -1) return;
+
+    this._operations.splice(index, 1);
+    clearTimeout(operation.timeoutId);
+    Logger.debug('RdnaService - Operation', operation.method, 'finished:', reason);
+    this._notifyOperationChange('released', operation, reason);
+
+    // Start whatever was queued behind it, keeping the queue order
+    const queued = this._operationQueue;
+    this._operationQueue = [];
+    queued.forEach((entry) => {
+      if (this._findConflictingOperation(entry.rule)) {
+        this._operationQueue.push(entry);
+        return;
+      }
+      entry.start();
+    });
+  }
+
+  /**
+   * @param {string} eventName - SDK event name
+   * @returns {Object|null} RDNA_OPERATIONS entry of the queued call answered by this event
+   * @private
+   */
+  _findQueuedRuleFor(eventName) {
+    return Object.values(RDNA_OPERATIONS)
+      .find((rule) => rule.whenBusy === 'queue' && rule.releaseOn.includes(eventName)) || null;
+  }
+
+  /**
+   * @private
+   */
+  _notifyOperationChange(change, operation, reason) {
+    document.dispatchEvent(new CustomEvent('rdnaOperationChanged', {
+      detail: {
+        change,
+        operation: this._describeOperation(operation),
+        reason,
+        inFlight: this.getInFlightOperations()
+      }
+    }));
+  }
+
+  /**
+   * @returns {RdnaOperation}
+   * @private
+   */
+  _describeOperation(operation) {
+    return {
+      id: operation.id,
+      method: operation.method,
+      lane: operation.lane,
+      kind: operation.kind,
+      startedAt: operation.startedAt,
+      releaseOn: operation.releaseOn.slice()
+    };
+  }
+
+  // ===================================================================
+  // CALL AND AWAIT ASYNC EVENT
+  // Promise companions that resolve with the async event payload instead
+  // of the sync ack, so screens can simply await the data.
+  // ===================================================================
+
+  /**
+   * Calls an SDK API and waits for the async event that carries its result
+   *
+   * Subscribes to the event before invoking the API so a fast response is never
+   * missed, then applies the same two-layer validation the screens use:
+   * 1. error.longErrorCode !== 0 → RdnaError('api')
+   * 2. pArgs.response.StatusCode (or status.statusCode) not in successCodes → RdnaError('status')
+   *
+   * Only one call per event should be outstanding at a time - the first event
+   * received after the call settles the promise. A payload dropped by schema
+   * validation (onEventPayloadInvalid for this event) rejects with RdnaError('payload').
+   *
+   * If a queued call (RDNA_OPERATIONS whenBusy 'queue') answered by the same event is
+   * already in flight, the call joins the operation queue in order, so it never takes
+   * the other call's event. timeoutMs counts from when the call is actually made. A guarded
+   * call that conflicts and is not queued rejects with RdnaError('busy').
+   *
+   * @param {string} eventName - RdnaEventManager event carrying the result (e.g. 'onGetNotifications')
+   * @param {Function} invoke - Starts the operation, returns the sync response promise
+   * @param {Object} [options]
+   * @param {Function} [options.parse] - Maps the validated event payload to the resolved value
+   * @param {number[]} [options.successCodes=[100]] - Status codes treated as success
+   * @param {number} [options.timeoutMs=30000] - Reject after this many ms (0 = wait forever)
+   * @param {AbortSignal} [options.signal] - Rejects with type 'cancelled' when aborted
+   * @returns {Promise<*>} Parsed async payload
+   */
+  callAndAwaitEvent(eventName, invoke, options = {}) {
+    const {
+      parse = (data) => data,
+      successCodes = [100],
+      timeoutMs = RdnaService.DEFAULT_ASYNC_TIMEOUT_MS,
+      signal
+    } = options;
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new RdnaError('cancelled', 'Operation was cancelled', { eventName }));
+        return;
+      }
+
+      const eventManager = this.getEventManager();
+      const queuedRule = this._findQueuedRuleFor(eventName);
+      let queueEntry = null;
+      let settled = false;
+      let timeoutId = null;
+      let subscription = null;
+      let invalidSubscription = null;
+
+      const onAbort = () => {
+        Logger.debug('RdnaService - Await cancelled for event:', eventName);
+        finish(reject, new RdnaError('cancelled', 'Operation was cancelled', { eventName }));
+      };
+
+      const finish = (settle, value) => {
+        if (settled) return;
+        settled = true;
+        if (timeoutId) clearTimeout(timeoutId);
+        if (subscription !== null) eventManager.off(subscription);
+        if (invalidSubscription !== null) eventManager.off(invalidSubscription);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        if (queueEntry) this._operationQueue = this._operationQueue.filter((entry) => entry !== queueEntry);
+        settle(value);
+      };
+
+      const begin = () => {
+        queueEntry = null;
+        subscription = eventManager.once(eventName, (data) => {
+          subscription = null;
+          try {
+            const error = RdnaError.fromEvent(eventName, data, successCodes);
+            if (error) {
+              Logger.error('RdnaService - Async event reported failure:', JSON.stringify({
+                eventName,
+                type: error.type,
+                longErrorCode: error.longErrorCode,
+                statusCode: error.statusCode,
+                message: error.message
+              }, null, 2));
+              finish(reject, error);
+              return;
+            }
+            finish(resolve, parse(data));
+          } catch (parseError) {
+            Logger.error('RdnaService - Failed to parse async event payload:', eventName, parseError);
+            finish(reject, parseError);
+          }
+        });
+
+        invalidSubscription = eventManager.on('onEventPayloadInvalid', (invalid) => {
+          if (invalid.eventName !== eventName) return;
+          finish(reject, invalid.error);
+        });
+
+        if (timeoutMs > 0) {
+          timeoutId = setTimeout(() => {
+            Logger.warn('RdnaService - Timed out waiting for event:', eventName, 'after', timeoutMs, 'ms');
+            finish(reject, new RdnaError('timeout', `No ${eventName} event received within ${timeoutMs}ms`, { eventName }));
+          }, timeoutMs);
+        }
+
+        // Invoked synchronously so the guarded call is in flight before the next caller looks
+        let invocation;
+        try {
+          invocation = Promise.resolve(invoke());
+        } catch (syncError) {
+          invocation = Promise.reject(syncError);
+        }
+
+        invocation
+          .catch((syncError) => {
+            const error = syncError instanceof RdnaError
+              ? syncError
+              : new RdnaError('sync', syncError?.message || 'SDK call failed', { response: syncError });
+            error.eventName = eventName;
+            finish(reject, error);
+          });
+      };
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+
+      // Take a place in the queue rather than the in-flight call's event
+      const conflict = queuedRule && this._findConflictingOperation(queuedRule);
+      if (conflict) {
+        Logger.debug('RdnaService - Queued await for', eventName, 'behind', conflict.method);
+        queueEntry = {
+          method: eventName,
+          rule: queuedRule,
+          start: begin,
+          cancel: (error) => finish(reject, error)
+        };
+        this._operationQueue.push(queueEntry);
+        return;
+      }
+
+      begin();
+    });
+  }
+
+  /**
+   * Fetches pending notifications and resolves with the notification list
+   *
+   * @param {Object} [query]
+   * @param {number} [query.recordCount=0] - Number of records to fetch (0 = all)
+   * @param {number} [query.startIndex=1] - Starting index for pagination
+   * @param {string} [query.startDate=''] - Start date filter (YYYY-MM-DD)
+   * @param {string} [query.endDate=''] - End date filter (YYYY-MM-DD)
+   * @param {Object} [asyncOptions] - timeoutMs / signal, see callAndAwaitEvent()
+   * @returns {Promise<Object[]>} pArgs.response.ResponseData.notifications
+   */
+  fetchNotifications(query = {}, asyncOptions = {}) {
+    const { recordCount = 0, startIndex = 1, startDate = '', endDate = '' } = query;
+    return this.callAndAwaitEvent(
+      'onGetNotifications',
+      () => this.getNotifications(recordCount, startIndex, startDate, endDate),
+      {
+        ...asyncOptions,
+        parse: (data) => data.pArgs?.response?.ResponseData?.notifications || []
+      }
+    );
+  }
+
+  /**
+   * Submits the user's action for a notification and resolves once the server confirms it
+   *
+   * May trigger a getPassword (challengeMode 3) or LDA step-up before the event arrives,
+   * so no timeout is applied unless asyncOptions.timeoutMs is given.
+   *
+   * @param {string} notificationId - The notification UUID to update
+   * @param {string} actionResponse - The action value selected by the user
+   * @param {Object} [asyncOptions] - timeoutMs / signal, see callAndAwaitEvent()
+   * @returns {Promise<{statusCode: number, statusMessage: string, data: Object}>}
+   */
+  submitNotificationAction(notificationId, actionResponse, asyncOptions = {}) {
+    return this.callAndAwaitEvent(
+      'onUpdateNotification',
+      () => this.updateNotification(notificationId, actionResponse),
+      {
+        timeoutMs: 0,
+        ...asyncOptions,
+        parse: (data) => ({
+          statusCode: data.pArgs?.response?.StatusCode,
+          statusMessage: data.pArgs?.response?.StatusMsg || '',
+          data
+        })
+      }
+    );
+  }
+
+  /**
+   * Fetches notification history and resolves with the history records
+   *
+   * @param {Object} [filters] - Same fields as getNotificationHistory() parameters
+   *   (recordCount, startIndex, enterpriseId, startDate, endDate, notificationStatus,
+   *   actionPerformed, keywordSearch, deviceId)
+   * @param {Object} [asyncOptions] - timeoutMs / signal, see callAndAwaitEvent()
+   * @returns {Promise<Object[]>} pArgs.response.ResponseData.history
+   */
+  fetchNotificationHistory(filters = {}, asyncOptions = {}) {
+    const {
+      recordCount = 10,
+      startIndex = 1,
+      enterpriseId = '',
+      startDate = '',
+      endDate = '',
+      notificationStatus = '',
+      actionPerformed = '',
+      keywordSearch = '',
+      deviceId = ''
+    } = filters;
+
+    return this.callAndAwaitEvent(
+      'onGetNotificationsHistory',
+      () => this.getNotificationHistory(
+        recordCount, startIndex, enterpriseId, startDate, endDate,
+        notificationStatus, actionPerformed, keywordSearch, deviceId
+      ),
+      {
+        ...asyncOptions,
+        parse: (data) => data.pArgs?.response?.ResponseData?.history || []
+      }
+    );
+  }
+
+  /**
+   * Fetches registered devices for the user
+   *
+   * StatusCode 146 (cooling period) still carries the device list, so it resolves
+   * with isCoolingPeriodActive set instead of rejecting.
+   *
+   * @param {string} userId - User identifier from session params
+   * @param {Object} [asyncOptions] - timeoutMs / signal, see callAndAwaitEvent()
+   * @returns {Promise<{devices: Object[], isCoolingPeriodActive: boolean, coolingPeriodEndTimestamp: ?number, coolingPeriodMessage: string}>}
+   */
+  fetchRegisteredDevices(userId, asyncOptions = {}) {
+    return this.callAndAwaitEvent(
+      'onGetRegistredDeviceDetails',
+      () => this.getRegisteredDeviceDetails(userId),
+      {
+        ...asyncOptions,
+        successCodes: [100, 146],
+        parse: (data) => {
+          const response = data.pArgs?.response || {};
+          const isCoolingPeriodActive = response.StatusCode === 146;
+          return {
+            devices: response.ResponseData?.device || [],
+            isCoolingPeriodActive,
+            coolingPeriodEndTimestamp: isCoolingPeriodActive
+              ? (response.ResponseData?.deviceManagementCoolingPeriodEndTimestamp || null)
+              : null,
+            coolingPeriodMessage: isCoolingPeriodActive ? (response.StatusMsg || '') : ''
+          };
+        }
+      }
+    );
+  }
+
+  /**
+   * Renames or deletes a device and resolves with the operation result
+   *
+   * Rejects with type 'status' and statusCode 146 while the cooling period is active.
+   *
+   * @param {string} userId - User identifier from session params
+   * @param {string} devicePayload - JSON string, see updateDeviceDetails()
+   * @param {Object} [asyncOptions] - timeoutMs / signal, see callAndAwaitEvent()
+   * @returns {Promise<{statusMessage: string, responseData: Object}>}
+   */
+  submitDeviceUpdate(userId, devicePayload, asyncOptions = {}) {
+    return this.callAndAwaitEvent(
+      'onUpdateDeviceDetails',
+      () => this.updateDeviceDetails(userId, devicePayload),
+      {
+        ...asyncOptions,
+        parse: (data) => ({
+          statusMessage: data.pArgs?.response?.StatusMsg || '',
+          responseData: data.pArgs?.response?.ResponseData || {}
+        })
+      }
+    );
+  }
+
+  /**
+   * Authenticates the user, signs the payload and resolves with the signing result
+   *
+   * The SDK may raise getPassword (challengeMode 12) or LDA prompts before the event
+   * arrives, so no timeout is applied unless asyncOptions.timeoutMs is given.
+   *
+   * @param {string} payload - Data payload to sign (max 500 characters)
+   * @param {number} authLevel - Authentication level (0-4)
+   * @param {number} authenticatorType - Authenticator type (0-3)
+   * @param {string} reason - Reason for signing (max 100 characters)
+   * @param {Object} [asyncOptions] - timeoutMs / signal, see callAndAwaitEvent()
+   * @returns {Promise<Object>} onAuthenticateUserAndSignData payload (payloadSignature, dataSignatureID, ...)
+   */
+  signData(payload, authLevel, authenticatorType, reason, asyncOptions = {}) {
+    return this.callAndAwaitEvent(
+      'onAuthenticateUserAndSignData',
+      () => this.authenticateUserAndSignData(payload, authLevel, authenticatorType, reason),
+      { timeoutMs: 0, ...asyncOptions }
+    );
+  }
+
+  /**
+   * Changes the SDK language and resolves with the applied language configuration
+   *
+   * SDKEventProvider still receives onSetLanguageResponse and updates LanguageManager.
+   *
+   * @param {string} localeCode - Full locale code (e.g., 'en-US', 'hi-IN', 'ar-SA')
+   * @param {number} languageDirection - 0 = LTR, 1 = RTL
+   * @param {Object} [asyncOptions] - timeoutMs / signal, see callAndAwaitEvent()
+   * @returns {Promise<Object>} onSetLanguageResponse payload (localeCode, localeName, supportedLanguages, ...)
+   */
+  changeSDKLanguage(localeCode, languageDirection, asyncOptions = {}) {
+    return this.callAndAwaitEvent(
+      'onSetLanguageResponse',
+      () => this.setSDKLanguage(localeCode, languageDirection),
+      asyncOptions
+    );
+  }
 }
 
+/**
+ * Default wait for callAndAwaitEvent() companions, in milliseconds
+ */
+RdnaService.DEFAULT_ASYNC_TIMEOUT_MS = 30000;
+
+/**
+ * A guarded 'step' or 'cancel' call is released after this many ms without its event
+ */
+RdnaService.OPERATION_TIMEOUT_MS = 60000;
+
+/**
+ * A guarded 'flow' is released after this many ms (it may wait for the user to answer a challenge)
+ */
+RdnaService.FLOW_TIMEOUT_MS = 300000;
+
 // Export singleton instance
 const rdnaService = RdnaService.getInstance();
@@ -0,0 +1,540 @@
+/**
+ * Session Recorder
+ *
+ * Records rdnaService calls and SDK events into a portable JSON trace, and
+ * replays a trace back into RdnaEventManager without the native plugin, so a
+ * tester's activation or notification flow can be reproduced on any build
+ * (including the browser with the mock).
+ *
+ * Recording:
+ * - Calls: every SESSION_TRACE_CALLS method of rdnaService with its arguments and
+ *   its sync outcome. Sensitive argument positions are replaced by [REDACTED],
+ *   everything else goes through Logger redaction.
+ * - Events: every payload RdnaEventManager emits, captured before its handlers
+ *   run (a call made by a handler is recorded after the event that caused it)
+ * - Timestamps: ms since recording started
+ *
+ * Replay:
+ * - rdnaService calls are answered from the trace and never reach the plugin
+ * - Plugin events are ignored; recorded events are injected into RdnaEventManager
+ *   with their recorded spacing (scaled by timeScale, 0 = no delay)
+ * - Events recorded after a call are held back until that call is made:
+ *   - waitForCalls false (default): the replayer makes the call itself at its
+ *     recorded time, so the events alone drive the UI
+ *   - waitForCalls true: the app has to make it (the tester repeats the taps)
+ * - A call that does not match the next recorded call is answered with a plain
+ *   success response and listed in the summary as unexpected
+ *
+ * Usage:
+ * ```javascript
+ * SessionRecorder.initialize();                          // AppInitializer, once
+ * SessionRecorder.startRecording();
+ * const trace = SessionRecorder.stopRecording();
+ * const url = await SessionRecorder.exportToFile(trace);
+ * const summary = await SessionRecorder.replay(SessionRecorder.parseTrace(json), { timeScale: 0 });
+ * ```
+ *
+ * @typedef {Object} SessionTrace
+ * @property {string} format - SESSION_TRACE_FORMAT
+ * @property {number} version - SESSION_TRACE_VERSION
+ * @property {string} recordedAt - ISO timestamp of when recording started
+ * @property {string} platform - 'android' | 'ios' | 'browser'
+ * @property {SessionTraceEntry[]} entries - In the order they happened
+ *
+ * @typedef {Object} SessionTraceEntry
+ * @property {number} t - ms since recording started
+ * @property {string} type - 'call' | 'event'
+ * @property {string} [method] - Call: rdnaService method name
+ * @property {Array} [args] - Call: redacted arguments
+ * @property {boolean} [async] - Call: whether the method returned a promise
+ * @property {string} [outcome] - Call: 'resolved' | 'rejected' | 'pending'
+ * @property {*} [response] - Call: redacted resolved value
+ * @property {Object} [error] - Call: { type, message, longErrorCode, shortErrorCode, statusCode }
+ * @property {string} [name] - Event: SDK event name
+ * @property {*} [data] - Event: redacted payload
+ */
+
+const SESSION_TRACE_FORMAT = 'relid-session-trace';
+
+const SESSION_TRACE_VERSION = 1;
+
+/**
+ * Recording stops adding entries beyond this (a truncated trace still replays up to that point)
+ */
+const SESSION_TRACE_MAX_ENTRIES = 5000;
+
+/**
+ * Events that are not recorded: SDK log lines are in LogStore, and
+ * onEventPayloadInvalid is raised again by validation during replay
+ */
+const SESSION_TRACE_IGNORED_EVENTS = ['onSdkLogPrintRequest', 'onEventPayloadInvalid'];
+
+/**
+ * Recorded rdnaService methods → argument positions replaced by [REDACTED]
+ */
+const SESSION_TRACE_CALLS = {
+  getSDKVersion: [],
+  setDeviceToken: [0],
+  initialize: [0, 1],
+  takeActionOnThreats: [],
+  setUser: [0],
+  setActivationCode: [0],
+  setUserConsentForLDA: [],
+  resendActivationCode: [],
+  setPassword: [0],
+  resetAuthState: [],
+  logOff: [0],
+  extendSessionIdleTimeout: [],
+  getNotifications: [],
+  updateNotification: [],
+  getNotificationHistory: [],
+  performVerifyAuth: [],
+  fallbackNewDeviceActivationFlow: [],
+  forgotPassword: [0],
+  updatePassword: [0, 1],
+  getAllChallenges: [0],
+  initiateUpdateFlowForCredential: [],
+  getDeviceAuthenticationDetails: [],
+  manageDeviceAuthenticationModes: [],
+  authenticateUserAndSignData: [0],
+  resetAuthenticateUserAndSignDataState: [],
+  getRegisteredDeviceDetails: [0],
+  updateDeviceDetails: [0, 1],
+  setSDKLanguage: [],
+  terminate: []
+};
+
+/**
+ * Answer for calls that are not in the trace
+ */
+const SESSION_TRACE_SUCCESS_RESPONSE = { error: { longErrorCode: 0, shortErrorCode: 0, errorString: 'Success' } };
+
+/**
+ * Redacted, JSON-safe copy of a value
+ * @param {*} value
+ * @returns {*}
+ */
+function toSessionTraceValue(value) {
+  if (value === undefined) return null;
+  try {
+    return JSON.parse(JSON.stringify(Logger.redactValue(value)));
+  } catch (error) {
+    return String(value);
+  }
+}
+
+const SessionRecorder = {
+  /**
+   * Initialization flag for idempotent behavior
+   */
+  _initialized: false,
+
+  /**
+   * Active recording: { startedAt, entries, truncated }
+   * @type {Object|null}
+   * @private
+   */
+  _recording: null,
+
+  /**
+   * Active replay state
+   * @type {Object|null}
+   * @private
+   */
+  _replay: null,
+
+  /**
+   * Wrap rdnaService calls and hook RdnaEventManager (idempotent)
+   */
+  initialize() {
+    if (this._initialized) {
+      Logger.debug('SessionRecorder - Already initialized, skipping');
+      return;
+    }
+
+    this.instrument(rdnaService);
+    rdnaService.getEventManager().setEventRecorder((eventName, data) => this.recordEvent(eventName, data));
+
+    this._initialized = true;
+    Logger.debug('SessionRecorder - Initialized, wrapped', Object.keys(SESSION_TRACE_CALLS).length, 'rdnaService calls');
+  },
+
+  /**
+   * Route the SESSION_TRACE_CALLS methods of a service through handleCall()
+   * @param {Object} service - rdnaService instance
+   */
+  instrument(service) {
+    Object.keys(SESSION_TRACE_CALLS).forEach((method) => {
+      const original = service[method];
+      if (typeof original !== 'function' || original.__sessionRecorderWrapped) return;
+
+      const wrapped = (...args) => this.handleCall(method, args, () => original.apply(service, args));
+      wrapped.__sessionRecorderWrapped = true;
+      service[method] = wrapped;
+    });
+  },
+
+  /**
+   * Record a call, or answer it from the trace while replaying
+   *
+   * @param {string} method - rdnaService method name
+   * @param {Array} args - Call arguments
+   * @param {Function} invoke - Performs the real call
+   * @returns {*} Whatever the call returns
+   */
+  handleCall(method, args, invoke) {
+    if (this._replay) {
+      return this._answerReplayCall(method);
+    }
+
+    const sensitive = SESSION_TRACE_CALLS[method] || [];
+    const entry = this._addEntry({
+      type: 'call',
+      method,
+      args: args.map((arg, index) => (sensitive.includes(index) && arg !== undefined && arg !== null && arg !== ''
+        ? LOGGER_MASK
+        : toSessionTraceValue(arg))),
+      outcome: 'pending'
+    });
+
+    const result = invoke();
+    if (!entry) return result;
+
+    entry.async = !!(result && typeof result.then === 'function');
+    if (!entry.async) {
+      entry.outcome = 'resolved';
+      entry.response = toSessionTraceValue(result);
+      return result;
+    }
+
+    result.then(
+      (response) => {
+        entry.outcome = 'resolved';
+        entry.response = toSessionTraceValue(response);
+      },
+      (error) => {
+        entry.outcome = 'rejected';
+        entry.error = {
+          type: error && error.type ? error.type : 'sync',
+          message: Logger.redactString(error && error.message ? error.message : String(error)),
+          longErrorCode: error && error.longErrorCode !== undefined ? error.longErrorCode : null,
+          shortErrorCode: error && error.shortErrorCode !== undefined ? error.shortErrorCode : null,
+          statusCode: error && error.statusCode !== undefined ? error.statusCode : null
+        };
+      }
+    );
+    return result;
+  },
+
+  /**
+   * Called by RdnaEventManager before an event is dispatched
+   * @param {string} eventName
+   * @param {*} data - Parsed payload
+   */
+  recordEvent(eventName, data) {
+    if (!this._recording || this._replay || SESSION_TRACE_IGNORED_EVENTS.includes(eventName)) {
+      return;
+    }
+    this._addEntry({ type: 'event', name: eventName, data: toSessionTraceValue(data) });
+  },
+
+  /**
+   * Start a new recording (discards an unfinished one)
+   */
+  startRecording() {
+    if (this._replay) {
+      throw new Error('SessionRecorder - Cannot record while a trace is replaying');
+    }
+
+    this._recording = { startedAt: Date.now(), entries: [], truncated: false };
+    Logger.info('SessionRecorder - Recording started');
+  },
+
+  /**
+   * @returns {SessionTrace|null} The finished trace, null if nothing was recording
+   */
+  stopRecording() {
+    if (!this._recording) return null;
+
+    const trace = this.getTrace();
+    this._recording = null;
+    Logger.info('SessionRecorder - Recording stopped,', trace.entries.length, 'entries');
+    return trace;
+  },
+
+  /**
+   * @returns {boolean}
+   */
+  isRecording() {
+    return this._recording !== null;
+  },
+
+  /**
+   * Snapshot of the current recording
+   * @returns {SessionTrace|null}
+   */
+  getTrace() {
+    if (!this._recording) return null;
+
+    return {
+      format: SESSION_TRACE_FORMAT,
+      version: SESSION_TRACE_VERSION,
+      recordedAt: new Date(this._recording.startedAt).toISOString(),
+      platform: window.cordova ? window.cordova.platformId : 'browser',
+      truncated: this._recording.truncated,
+      entries: JSON.parse(JSON.stringify(this._recording.entries))
+    };
+  },
+
+  /**
+   * Write a trace to a file testers can attach to a bug report
+   * Android: external app storage (Android/data/<package>/files), iOS: Documents
+   *
+   * @param {SessionTrace} trace
+   * @returns {Promise<string>} URL of the written file
+   */
+  async exportToFile(trace) {
+    const stamp = trace.recordedAt.replace(/[-:]/g, '').replace(/\..*$/, '').replace('T', '-');
+    const directory = cordova.file.externalDataDirectory || cordova.file.documentsDirectory || cordova.file.dataDirectory;
+
+    const url = await writeTextFile(directory, `relid-session-${stamp}.json`, JSON.stringify(trace, null, 2), 'application/json');
+    Logger.info('SessionRecorder - Exported', trace.entries.length, 'entries to', url);
+    return url;
+  },
+
+  /**
+   * Check a trace read from a file
+   *
+   * @param {string|Object} input - JSON text or parsed trace
+   * @returns {SessionTrace}
+   * @throws {Error} With a message fit for an alert
+   */
+  parseTrace(input) {
+    let trace = input;
+    if (typeof input === 'string') {
+      try {
+        trace = JSON.parse(input);
+      } catch (error) {
+        throw new Error('The file is not valid JSON');
+      }
+    }
+
+    if (!trace || trace.format !== SESSION_TRACE_FORMAT) {
+      throw new Error('The file is not a REL-ID session trace');
+    }
+    if (trace.version !== SESSION_TRACE_VERSION) {
+      throw new Error(`Unsupported session trace version ${trace.version}`);
+    }
+    if (!Array.isArray(trace.entries)) {
+      throw new Error('The session trace has no entries');
+    }
+
+    trace.entries.forEach((entry, index) => {
+      const valid = entry && typeof entry.t === 'number' && (
+        (entry.type === 'call' && typeof entry.method === 'string') ||
+        (entry.type === 'event' && typeof entry.name === 'string')
+      );
+      if (!valid) {
+        throw new Error(`Session trace entry ${index} is malformed`);
+      }
+    });
+
+    return trace;
+  },
+
+  /**
+   * Replay a trace. Plugin events are ignored until it completes or is stopped.
+   *
+   * @param {SessionTrace} trace - From parseTrace()
+   * @param {Object} [options]
+   * @param {number} [options.timeScale=1] - Multiplies recorded gaps (0 = no delay)
+   * @param {boolean} [options.waitForCalls=false] - Hold events until the app makes each recorded call
+   * @returns {Promise<{state: string, events: number, calls: number, unexpectedCalls: string[]}>}
+   *   Resolves when the trace is exhausted ('completed') or stopReplay() is called ('stopped')
+   */
+  replay(trace, options = {}) {
+    const { timeScale = 1, waitForCalls = false } = options;
+
+    if (this._recording) {
+      throw new Error('SessionRecorder - Stop recording before replaying a trace');
+    }
+    if (this._replay) {
+      this.stopReplay();
+    }
+
+    const { entries } = this.parseTrace(trace);
+    const eventManager = rdnaService.getEventManager();
+
+    return new Promise((resolve) => {
+      this._replay = {
+        entries,
+        timeScale,
+        waitForCalls,
+        eventManager,
+        resolve,
+        position: 0,
+        anchor: { t: 0, at: Date.now() },
+        consumedAt: new Map(),
+        timer: null,
+        events: 0,
+        unexpectedCalls: []
+      };
+
+      eventManager.setNativeEventsMuted(true);
+      Logger.info('SessionRecorder - Replaying', entries.length, 'entries', waitForCalls ? '(waiting for app calls)' : '');
+      this._pumpReplay();
+    });
+  },
+
+  /**
+   * End the current replay early
+   */
+  stopReplay() {
+    if (this._replay) {
+      this._finishReplay('stopped');
+    }
+  },
+
+  /**
+   * @returns {boolean}
+   */
+  isReplaying() {
+    return this._replay !== null;
+  },
+
+  /**
+   * @returns {{position: number, total: number, waitingFor: string|null}|null} Null when not replaying
+   */
+  getReplayStatus() {
+    const replay = this._replay;
+    if (!replay) return null;
+
+    const next = replay.entries[replay.position];
+    const blocked = next && next.type === 'call' && replay.waitForCalls && !replay.consumedAt.has(replay.position);
+    return {
+      position: replay.position,
+      total: replay.entries.length,
+      waitingFor: blocked ? next.method : null
+    };
+  },
+
+  /**
+   * Emit the next entries as their time comes, stopping at calls not made yet
+   * @private
+   */
+  _pumpReplay() {
+    const replay = this._replay;
+    if (!replay || replay.timer !== null) return;
+
+    // Calls already made re-anchor the timing of the events that follow them
+    while (replay.position < replay.entries.length && replay.consumedAt.has(replay.position)) {
+      replay.anchor = { t: replay.entries[replay.position].t, at: replay.consumedAt.get(replay.position) };
+      replay.position++;
+    }
+
+    const entry = replay.entries[replay.position];
+    if (!entry) {
+      this._finishReplay('completed');
+      return;
+    }
+    if (entry.type === 'call' && replay.waitForCalls) {
+      Logger.debug('SessionRecorder - Replay waiting for call:', entry.method);
+      return;
+    }
+
+    const dueAt = replay.anchor.at + Math.max(0, entry.t - replay.anchor.t) * replay.timeScale;
+    replay.timer = setTimeout(() => {
+      replay.timer = null;
+      if (this._replay !== replay) return;
+
+      if (entry.type === 'event') {
+        replay.position++;
+        replay.events++;
+        replay.eventManager.injectEvent(entry.name, JSON.parse(JSON.stringify(entry.data)));
+      } else if (!replay.consumedAt.has(replay.position)) {
+        // The app did not make this call in time - make it on its behalf
+        Logger.debug('SessionRecorder - Replaying call:', entry.method);
+        replay.consumedAt.set(replay.position, Date.now());
+      }
+      this._pumpReplay();
+    }, Math.max(0, dueAt - Date.now()));
+  },
+
+  /**
+   * Answer an rdnaService call from the trace
+   * @private
+   */
+  _answerReplayCall(method) {
+    const replay = this._replay;
+    const index = replay.entries.findIndex((entry, candidate) => candidate >= replay.position
+      && entry.type === 'call' && !replay.consumedAt.has(candidate));
+    const entry = index === -1 ? null : replay.entries[index];
+
+    if (!entry || entry.method !== method) {
+      Logger.warn('SessionRecorder - Call not in trace, answering with success:', method, entry ? `(expected ${entry.method})` : '');
+      replay.unexpectedCalls.push(method);
+      return Promise.resolve(JSON.parse(JSON.stringify(SESSION_TRACE_SUCCESS_RESPONSE)));
+    }
+
+    replay.consumedAt.set(index, Date.now());
+    this._pumpReplay();
+
+    if (entry.outcome === 'rejected') {
+      const details = entry.error || {};
+      const error = new RdnaError(details.type || 'sync', details.message || 'SDK call failed', {
+        longErrorCode: details.longErrorCode === null ? undefined : details.longErrorCode,
+        shortErrorCode: details.shortErrorCode === null ? undefined : details.shortErrorCode,
+        statusCode: details.statusCode === null ? undefined : details.statusCode
+      });
+      return Promise.reject(error);
+    }
+
+    const response = entry.outcome === 'resolved' ? entry.response : SESSION_TRACE_SUCCESS_RESPONSE;
+    const copy = response === null || response === undefined ? response : JSON.parse(JSON.stringify(response));
+    return entry.async === false ? copy : Promise.resolve(copy);
+  },
+
+  /**
+   * @private
+   */
+  _finishReplay(state) {
+    const replay = this._replay;
+    if (replay.timer !== null) clearTimeout(replay.timer);
+    this._replay = null;
+    replay.eventManager.setNativeEventsMuted(false);
+
+    const summary = {
+      state,
+      events: replay.events,
+      calls: replay.consumedAt.size,
+      unexpectedCalls: replay.unexpectedCalls
+    };
+    Logger.info('SessionRecorder - Replay finished:', JSON.stringify(summary, null, 2));
+    replay.resolve(summary);
+  },
+
+  /**
+   * @private
+   */
+  _addEntry(fields) {
+    const recording = this._recording;
+    if (!recording || this._replay) return null;
+
+    if (recording.entries.length >= SESSION_TRACE_MAX_ENTRIES) {
+      if (!recording.truncated) {
+        recording.truncated = true;
+        Logger.warn('SessionRecorder - Trace is full, later entries are not recorded');
+      }
+      return null;
+    }
+
+    const entry = { t: Date.now() - recording.startedAt, ...fields };
+    recording.entries.push(entry);
+    return entry;
+  }
+};
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.SessionRecorder = SessionRecorder;
+}
@@ -0,0 +1,734 @@
+/**
+ * Telemetry Service
+ *
+ * JS-side OpenTelemetry tracing. The native SDK traces its own work when
+ * InitOptions.otelConfig enables it; this module traces the app layer and
+ * exports to the same otelHTTPEndpointURL over OTLP/HTTP (JSON encoding).
+ *
+ * Spans:
+ * - rdna.<method> (kind CLIENT) around every rdnaService SDK call. The span stays
+ *   open after the sync response until the async event that answers the call
+ *   (TELEMETRY_CALL_EVENTS, e.g. setPassword → onUserLoggedIn) and ends with that
+ *   event's status. Other SDK events seen meanwhile are added as span events.
+ * - Flow spans (kind INTERNAL) derived from AuthFlowStateMachine states:
+ *   "initialization", "login" (renamed "activation" once the device is being
+ *   activated) and "step-up". Call spans started during a flow are its children.
+ *
+ * Attributes are limited to codes and modes (rdna.challenge_mode, rdna.status_code,
+ * rdna.error.long_code, ...). Arguments are never recorded, and string values go
+ * through Logger redaction.
+ *
+ * Export:
+ * - Enabled when otelConfig.otelHTTPEndpointURL is set (rdnaService.initialize
+ *   calls configure()); otherwise spans are created and dropped
+ * - Batches of TELEMETRY_MAX_BATCH_SIZE, every TELEMETRY_EXPORT_INTERVAL_MS or
+ *   as soon as a batch is full
+ * - Offline buffering: unsent spans stay queued (oldest dropped beyond
+ *   TELEMETRY_MAX_QUEUE_SIZE), are persisted to localStorage on failure and on
+ *   pause, and are retried with backoff, on 'online' and on 'resume'
+ *
+ * Usage:
+ * ```javascript
+ * TelemetryService.initialize();                                    // AppInitializer
+ * TelemetryService.configure({ otelHTTPEndpointURL: 'http://10.0.2.2:4318' });
+ * const span = TelemetryService.startSpan('dashboard.refresh', { attributes: { 'ui.screen': 'Dashboard' } });
+ * span.end();
+ * await TelemetryService.flush();
+ * ```
+ *
+ * Local verification: `node test/harness/otlpCollector.js` prints every span it receives.
+ */
+
+const TELEMETRY_MAX_BATCH_SIZE = 50;
+
+const TELEMETRY_MAX_QUEUE_SIZE = 1000;
+
+const TELEMETRY_EXPORT_INTERVAL_MS = 5000;
+
+/**
+ * Longest wait for the event that answers a call before its span ends as an error
+ */
+const TELEMETRY_CALL_TIMEOUT_MS = 120000;
+
+const TELEMETRY_MAX_BACKOFF_MS = 60000;
+
+const TELEMETRY_QUEUE_STORAGE_KEY = 'tutorial_app_telemetry_queue';
+
+const TELEMETRY_SERVICE_NAME = 'relid-cordova-tutorial';
+
+const TELEMETRY_STATUS = { UNSET: 0, OK: 1, ERROR: 2 };
+
+const TELEMETRY_SPAN_KIND = { INTERNAL: 1, CLIENT: 3 };
+
+/**
+ * Async events that answer each rdnaService call (same pairs the mock emits)
+ * - events:     the first of these ends the span; empty = the sync response ends it
+ * - attributes: extra attributes from the call arguments (never the arguments themselves)
+ */
+const TELEMETRY_CALL_EVENTS = {
+  getSDKVersion: { events: [] },
+  initialize: { events: ['onInitialized', 'onInitializeError'] },
+  takeActionOnThreats: { events: ['onInitialized', 'onInitializeError', 'onTerminateWithThreats'] },
+  setUser: { events: ['getActivationCode', 'getPassword', 'getUserConsentForLDA', 'addNewDeviceOptions', 'onUserLoggedIn', 'getUser'] },
+  setActivationCode: { events: ['getUserConsentForLDA', 'getPassword', 'getActivationCode', 'getUser'] },
+  setUserConsentForLDA: {
+    events: ['getPassword', 'onUserLoggedIn', 'onDeviceAuthManagementStatus', 'getUserConsentForLDA', 'getUser'],
+    attributes: (args) => ({ 'rdna.challenge_mode': args[1] })
+  },
+  resendActivationCode: { events: ['getActivationCode'] },
+  setPassword: {
+    events: [
+      'onUserLoggedIn', 'getPassword', 'getUserConsentForLDA', 'getUser', 'onUpdateNotification',
+      'onDeviceAuthManagementStatus', 'onAuthenticateUserAndSignData', 'onUpdateCredentialResponse'
+    ],
+    attributes: (args) => ({ 'rdna.challenge_mode': args[1] === undefined ? 1 : args[1] })
+  },
+  resetAuthState: { events: ['getUser'] },
+  logOff: { events: ['onUserLoggedOff'] },
+  extendSessionIdleTimeout: { events: ['onSessionExtensionResponse'] },
+  getNotifications: { events: ['onGetNotifications'] },
+  updateNotification: { events: ['onUpdateNotification'] },
+  getNotificationHistory: { events: ['onGetNotificationsHistory'] },
+  performVerifyAuth: { events: ['getActivationCode', 'getPassword', 'getUserConsentForLDA', 'onUserLoggedIn', 'getUser'] },
+  fallbackNewDeviceActivationFlow: { events: ['getActivationCode', 'getPassword', 'getUserConsentForLDA', 'getUser'] },
+  forgotPassword: { events: ['getActivationCode', 'getPassword', 'getUserConsentForLDA', 'onUserLoggedIn', 'getUser'] },
+  updatePassword: {
+    events: ['onUpdateCredentialResponse', 'onUserLoggedIn', 'getPassword'],
+    attributes: (args) => ({ 'rdna.challenge_mode': args[2] })
+  },
+  getAllChallenges: { events: ['onCredentialsAvailableForUpdate'] },
+  initiateUpdateFlowForCredential: { events: ['getPassword', 'getUserConsentForLDA'] },
+  getDeviceAuthenticationDetails: { events: [] },
+  manageDeviceAuthenticationModes: { events: ['onDeviceAuthManagementStatus'] },
+  authenticateUserAndSignData: { events: ['onAuthenticateUserAndSignData'] },
+  resetAuthenticateUserAndSignDataState: { events: [] },
+  getRegisteredDeviceDetails: { events: ['onGetRegistredDeviceDetails'] },
+  updateDeviceDetails: { events: ['onUpdateDeviceDetails'] },
+  setSDKLanguage: { events: ['onSetLanguageResponse'] },
+  terminate: { events: [] }
+};
+
+/**
+ * Flow span per AuthFlowStateMachine state (states not listed end the current flow)
+ */
+const TELEMETRY_FLOW_STATES = {
+  initialization: ['initializing'],
+  login: ['awaiting-user', 'awaiting-LDA-consent', 'awaiting-password'],
+  activation: ['activating', 'verifying-device'],
+  'step-up': ['step-up-pending']
+};
+
+/**
+ * Random lowercase hex id
+ * @param {number} bytes - 16 for trace ids, 8 for span ids
+ * @returns {string}
+ */
+function createTelemetryId(bytes) {
+  const values = new Uint8Array(bytes);
+  if (window.crypto && window.crypto.getRandomValues) {
+    window.crypto.getRandomValues(values);
+  } else {
+    for (let i = 0; i < bytes; i++) values[i] = Math.floor(Math.random() * 256);
+  }
+  return Array.from(values, (value) => value.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * @param {number} ms - Date.now() value
+ * @returns {string} OTLP timestamp (unix nanoseconds as string)
+ */
+function toUnixNano(ms) {
+  return `${Math.floor(ms)}000000`;
+}
+
+/**
+ * @param {Object<string, *>} attributes
+ * @returns {Array<{key: string, value: Object}>} OTLP KeyValue list (undefined values skipped)
+ */
+function toOtlpAttributes(attributes) {
+  return Object.keys(attributes)
+    .filter((key) => attributes[key] !== undefined && attributes[key] !== null)
+    .map((key) => {
+      const value = attributes[key];
+      if (typeof value === 'boolean') return { key, value: { boolValue: value } };
+      if (typeof value === 'number') {
+        return Number.isInteger(value)
+          ? { key, value: { intValue: String(value) } }
+          : { key, value: { doubleValue: value } };
+      }
+      return { key, value: { stringValue: Logger.redactString(String(value)) } };
+    });
+}
+
+/**
+ * Codes worth recording from an SDK event payload
+ * @param {string} eventName
+ * @param {Object} data - Parsed event payload
+ * @returns {{attributes: Object, failed: boolean}}
+ */
+function describeTelemetryEvent(eventName, data) {
+  const attributes = { 'rdna.event': eventName };
+  let failed = eventName === 'onInitializeError';
+
+  if (data && typeof data === 'object') {
+    if (data.challengeMode !== undefined) attributes['rdna.challenge_mode'] = data.challengeMode;
+
+    const longErrorCode = data.error?.longErrorCode ?? data.longErrorCode;
+    if (longErrorCode !== undefined) {
+      attributes['rdna.error.long_code'] = longErrorCode;
+      if (longErrorCode !== 0) failed = true;
+    }
+
+    const statusCode = data.pArgs?.response?.StatusCode ?? data.status?.statusCode ?? data.challengeResponse?.status?.statusCode;
+    if (statusCode !== undefined) {
+      attributes['rdna.status_code'] = statusCode;
+      if (statusCode !== 100) failed = true;
+    }
+  }
+
+  return { attributes, failed };
+}
+
+class TelemetrySpan {
+  /**
+   * @param {string} name
+   * @param {Object} options
+   * @param {string} options.traceId
+   * @param {string} [options.parentSpanId]
+   * @param {number} options.kind - TELEMETRY_SPAN_KIND
+   * @param {Object} [options.attributes]
+   * @param {Function} onEnd - Receives the span once ended
+   */
+  constructor(name, { traceId, parentSpanId, kind, attributes = {} }, onEnd) {
+    this.name = name;
+    this.traceId = traceId;
+    this.spanId = createTelemetryId(8);
+    this.parentSpanId = parentSpanId || '';
+    this.kind = kind;
+    this.attributes = { ...attributes };
+    this.events = [];
+    this.status = { code: TELEMETRY_STATUS.UNSET, message: '' };
+    this.startTime = Date.now();
+    this.endTime = null;
+    this._onEnd = onEnd;
+  }
+
+  get ended() {
+    return this.endTime !== null;
+  }
+
+  setAttribute(key, value) {
+    this.attributes[key] = value;
+    return this;
+  }
+
+  setAttributes(attributes) {
+    Object.assign(this.attributes, attributes);
+    return this;
+  }
+
+  updateName(name) {
+    this.name = name;
+    return this;
+  }
+
+  /**
+   * @param {string} name
+   * @param {Object} [attributes]
+   */
+  addEvent(name, attributes = {}) {
+    if (!this.ended) {
+      this.events.push({ name, time: Date.now(), attributes });
+    }
+    return this;
+  }
+
+  /**
+   * @param {number} code - TELEMETRY_STATUS
+   * @param {string} [message]
+   */
+  setStatus(code, message = '') {
+    this.status = { code, message };
+    return this;
+  }
+
+  /**
+   * Mark the span failed with an RdnaError / Error
+   * @param {Error} error
+   */
+  recordError(error) {
+    if (error && error.longErrorCode !== undefined) this.attributes['rdna.error.long_code'] = error.longErrorCode;
+    if (error && error.type) this.attributes['rdna.error.type'] = error.type;
+    return this.setStatus(TELEMETRY_STATUS.ERROR, error && error.message ? error.message : String(error));
+  }
+
+  end() {
+    if (this.ended) return;
+    this.endTime = Date.now();
+    this._onEnd(this);
+  }
+
+  /**
+   * @returns {Object} OTLP Span (JSON encoding)
+   */
+  toOTLP() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      name: this.name,
+      kind: this.kind,
+      startTimeUnixNano: toUnixNano(this.startTime),
+      endTimeUnixNano: toUnixNano(this.endTime),
+      attributes: toOtlpAttributes(this.attributes),
+      events: this.events.map((event) => ({
+        name: event.name,
+        timeUnixNano: toUnixNano(event.time),
+        attributes: toOtlpAttributes(event.attributes)
+      })),
+      status: this.status.message
+        ? { code: this.status.code, message: Logger.redactString(this.status.message) }
+        : { code: this.status.code }
+    };
+  }
+}
+
+const TelemetryService = {
+  _initialized: false,
+
+  /**
+   * OTLP traces URL, null while export is disabled
+   * @type {string|null}
+   */
+  endpoint: null,
+
+  /**
+   * Ended spans waiting for export (OTLP JSON)
+   * @type {Object[]}
+   * @private
+   */
+  _queue: [],
+
+  /**
+   * Call spans waiting for their answering event, oldest first
+   * @type {Array<{span: TelemetrySpan, events: string[], timer: number}>}
+   * @private
+   */
+  _pendingCalls: [],
+
+  /**
+   * Current flow span
+   * @type {TelemetrySpan|null}
+   * @private
+   */
+  _flow: null,
+
+  _exportTimer: null,
+  _exporting: null,
+  _failures: 0,
+  _nextAttemptAt: 0,
+  _droppedCount: 0,
+
+  /**
+   * Instrument rdnaService and observe SDK events and flow states
+   * Idempotent - safe to call multiple times (SPA pattern)
+   */
+  initialize() {
+    if (this._initialized) {
+      Logger.debug('TelemetryService - Already initialized, skipping');
+      return;
+    }
+
+    this.instrument(rdnaService);
+
+    rdnaService.getEventManager().on(RdnaEventManager.ANY_EVENT, (data, eventName) => {
+      if (eventName === 'onSdkLogPrintRequest') return;
+      this.handleEvent(eventName, data);
+    });
+
+    document.addEventListener('authFlowStateChanged', (event) => this.handleFlowState(event.detail), false);
+    document.addEventListener('pause', () => {
+      this._persistQueue();
+      this.flush();
+    }, false);
+    document.addEventListener('resume', () => this.flush(), false);
+    window.addEventListener('online', () => this.flush(), false);
+
+    this._initialized = true;
+    Logger.debug('TelemetryService - Initialized, instrumented', Object.keys(TELEMETRY_CALL_EVENTS).length, 'rdnaService calls');
+  },
+
+  /**
+   * Enable or disable export from InitOptions.otelConfig
+   * The JS layer exports whenever an endpoint is set - disableTrace only concerns the native SDK.
+   *
+   * @param {Object} [otelConfig]
+   * @param {string} [otelConfig.otelHTTPEndpointURL] - Collector base URL (…/v1/traces is appended) or full traces URL
+   */
+  configure(otelConfig) {
+    const url = otelConfig && typeof otelConfig.otelHTTPEndpointURL === 'string'
+      ? otelConfig.otelHTTPEndpointURL.trim()
+      : '';
+
+    if (!url) {
+      if (this.endpoint) Logger.info('TelemetryService - Export disabled');
+      this.endpoint = null;
+      this._stopExportTimer();
+      return;
+    }
+
+    const base = url.replace(/\/+$/, '');
+    this.endpoint = /\/v1\/traces$/.test(base) ? base : `${base}/v1/traces`;
+    this._restoreQueue();
+    this._startExportTimer();
+    Logger.info('TelemetryService - Exporting spans to', this.endpoint);
+  },
+
+  /**
+   * @returns {boolean} Whether ended spans are exported
+   */
+  isEnabled() {
+    return this.endpoint !== null;
+  },
+
+  /**
+   * Start a span, by default as a child of the current flow
+   *
+   * @param {string} name
+   * @param {Object} [options]
+   * @param {Object} [options.attributes]
+   * @param {number} [options.kind=TELEMETRY_SPAN_KIND.INTERNAL]
+   * @param {TelemetrySpan|null} [options.parent] - null starts a new trace
+   * @returns {TelemetrySpan}
+   */
+  startSpan(name, { attributes = {}, kind = TELEMETRY_SPAN_KIND.INTERNAL, parent = this._flow } = {}) {
+    return new TelemetrySpan(name, {
+      traceId: parent ? parent.traceId : createTelemetryId(16),
+      parentSpanId: parent ? parent.spanId : '',
+      kind,
+      attributes
+    }, (span) => this._enqueue(span));
+  },
+
+  /**
+   * Current flow span ('initialization', 'login', 'activation', 'step-up')
+   * @returns {TelemetrySpan|null}
+   */
+  getActiveFlow() {
+    return this._flow;
+  },
+
+  /**
+   * Wrap every TELEMETRY_CALL_EVENTS method of the service with a call span
+   * The wrapper returns the original promise, so callers see no difference.
+   *
+   * @param {RdnaService} service
+   */
+  instrument(service) {
+    Object.keys(TELEMETRY_CALL_EVENTS).forEach((method) => {
+      const original = service[method];
+      if (typeof original !== 'function' || original.__telemetryWrapped) return;
+
+      const wrapped = (...args) => this.traceCall(method, args, () => original.apply(service, args));
+      wrapped.__telemetryWrapped = true;
+      service[method] = wrapped;
+    });
+  },
+
+  /**
+   * Run an SDK call inside an rdna.<method> span
+   *
+   * @param {string} method - rdnaService method name
+   * @param {Array} args - Call arguments (only read by TELEMETRY_CALL_EVENTS attributes)
+   * @param {Function} invoke - Performs the call
+   * @returns {*} Whatever invoke returns
+   */
+  traceCall(method, args, invoke) {
+    const definition = TELEMETRY_CALL_EVENTS[method] || { events: [] };
+    const span = this.startSpan(`rdna.${method}`, {
+      kind: TELEMETRY_SPAN_KIND.CLIENT,
+      attributes: {
+        'rdna.method': method,
+        ...(definition.attributes ? definition.attributes(args) : {})
+      }
+    });
+
+    // Registered before the call - the native plugin may fire the event before the sync callback
+    if (definition.events.length > 0) {
+      this._pendingCalls.push({
+        span,
+        events: definition.events,
+        timer: setTimeout(() => {
+          this._removePending(span);
+          span.setStatus(TELEMETRY_STATUS.ERROR, `No response event within ${TELEMETRY_CALL_TIMEOUT_MS}ms`);
+          span.end();
+        }, TELEMETRY_CALL_TIMEOUT_MS)
+      });
+    }
+
+    const fail = (error) => {
+      this._removePending(span);
+      span.recordError(error);
+      span.end();
+    };
+
+    let result;
+    try {
+      result = invoke();
+    } catch (error) {
+      fail(error);
+      throw error;
+    }
+
+    Promise.resolve(result).then(
+      (response) => {
+        const longErrorCode = response && response.error ? response.error.longErrorCode : undefined;
+        span.addEvent('sync.response', { 'rdna.error.long_code': longErrorCode });
+        if (definition.events.length === 0 && !span.ended) {
+          span.setStatus(TELEMETRY_STATUS.OK);
+          span.end();
+        }
+      },
+      fail
+    );
+
+    return result;
+  },
+
+  /**
+   * End the oldest call span waiting for this event, note the event on the others
+   * @param {string} eventName
+   * @param {Object} data - Parsed event payload
+   */
+  handleEvent(eventName, data) {
+    const { attributes, failed } = describeTelemetryEvent(eventName, data);
+    const answered = this._pendingCalls.find((pending) => pending.events.includes(eventName));
+
+    this._pendingCalls.forEach((pending) => {
+      if (pending !== answered) pending.span.addEvent(eventName, attributes);
+    });
+
+    if (answered) {
+      this._removePending(answered.span);
+      answered.span
+        .addEvent(eventName, attributes)
+        .setAttributes(attributes)
+        .setStatus(failed ? TELEMETRY_STATUS.ERROR : TELEMETRY_STATUS.OK, failed ? `${eventName} reported a failure` : '');
+      answered.span.end();
+    } else if (this._flow) {
+      this._flow.addEvent(eventName, attributes);
+    }
+  },
+
+  /**
+   * Start, rename or end flow spans as AuthFlowStateMachine moves
+   * @param {{from: string, to: string, eventName: string}} detail - authFlowStateChanged detail
+   */
+  handleFlowState({ from, to, eventName }) {
+    const flowName = Object.keys(TELEMETRY_FLOW_STATES).find((name) => TELEMETRY_FLOW_STATES[name].includes(to));
+    const current = this._flow;
+
+    // Activation continues the login flow that started at getUser
+    if (current && flowName === 'activation' && current.name === 'login') {
+      current.updateName('activation');
+      return;
+    }
+    const continues = current && (current.name === flowName || (current.name === 'activation' && flowName === 'login'));
+    // getUser while logging in means the flow restarted (reset, cancelled or failed attempt)
+    if (continues && !(to === 'awaiting-user' && from !== 'awaiting-user')) {
+      return;
+    }
+
+    if (current) {
+      let outcome = 'restarted';
+      if (to === 'logged-in') outcome = eventName === 'stepUpCancelled' ? 'cancelled' : 'completed';
+      else if (to === 'uninitialized') outcome = 'failed';
+      else if (current.name === 'initialization' && to === 'awaiting-user') outcome = 'completed';
+      else if (current.name === 'step-up') outcome = 'session-ended';
+
+      current.setAttributes({ 'flow.outcome': outcome, 'flow.end_event': eventName });
+      if (outcome === 'completed') current.setStatus(TELEMETRY_STATUS.OK);
+      if (outcome === 'failed') current.setStatus(TELEMETRY_STATUS.ERROR, `${current.name} failed on ${eventName}`);
+      this._flow = null;
+      current.end();
+    }
+
+    if (flowName) {
+      this._flow = this.startSpan(flowName, {
+        parent: null,
+        attributes: { 'flow.name': flowName, 'flow.start_event': eventName, 'flow.start_state': to }
+      });
+    }
+  },
+
+  /**
+   * Export queued spans now (explicit flushes ignore the retry backoff)
+   * @returns {Promise<void>} Resolves when the attempt finished (never rejects)
+   */
+  flush() {
+    if (this._exporting) return this._exporting;
+    if (!this.endpoint || this._queue.length === 0) return Promise.resolve();
+
+    if (navigator.onLine === false) {
+      Logger.debug('TelemetryService - Offline, keeping', this._queue.length, 'spans');
+      this._persistQueue();
+      return Promise.resolve();
+    }
+
+    const batch = this._queue.slice(0, TELEMETRY_MAX_BATCH_SIZE);
+    const endpoint = this.endpoint;
+
+    this._exporting = Promise.resolve()
+      .then(() => fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(this.buildPayload(batch)),
+        keepalive: true
+      }))
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Collector responded ${response.status}`);
+        }
+        this._queue = this._queue.filter((span) => !batch.includes(span));
+        this._failures = 0;
+        this._nextAttemptAt = 0;
+        Logger.debug('TelemetryService - Exported', batch.length, 'spans,', this._queue.length, 'queued');
+      })
+      .catch((error) => {
+        this._failures++;
+        const backoff = Math.min(TELEMETRY_EXPORT_INTERVAL_MS * 2 ** (this._failures - 1), TELEMETRY_MAX_BACKOFF_MS);
+        this._nextAttemptAt = Date.now() + backoff;
+        Logger.warn('TelemetryService - Export failed, retrying in', backoff, 'ms:', error.message);
+      })
+      .then(() => {
+        this._exporting = null;
+        this._persistQueue();
+        if (this._failures === 0 && this._queue.length >= TELEMETRY_MAX_BATCH_SIZE) {
+          return this.flush();
+        }
+        return undefined;
+      });
+
+    return this._exporting;
+  },
+
+  /**
+   * @returns {number} Spans waiting for export
+   */
+  getQueueLength() {
+    return this._queue.length;
+  },
+
+  /**
+   * OTLP ExportTraceServiceRequest for a batch
+   * @param {Object[]} spans - OTLP spans
+   * @returns {Object}
+   */
+  buildPayload(spans) {
+    return {
+      resourceSpans: [{
+        resource: {
+          attributes: toOtlpAttributes({
+            'service.name': TELEMETRY_SERVICE_NAME,
+            'telemetry.sdk.language': 'webjs',
+            'os.type': window.cordova ? window.cordova.platformId : 'browser',
+            'rdna.connection_profile': typeof ConnectionProfileManager !== 'undefined' ? ConnectionProfileManager.describe() : undefined
+          })
+        },
+        scopeSpans: [{
+          scope: { name: 'relid-tutorial/rdnaService' },
+          spans
+        }]
+      }]
+    };
+  },
+
+  /**
+   * @private
+   */
+  _enqueue(span) {
+    if (!this.endpoint) return;
+
+    this._queue.push(span.toOTLP());
+    if (this._queue.length > TELEMETRY_MAX_QUEUE_SIZE) {
+      const dropped = this._queue.length - TELEMETRY_MAX_QUEUE_SIZE;
+      this._queue.splice(0, dropped);
+      this._droppedCount += dropped;
+      Logger.warn('TelemetryService - Queue full, dropped', this._droppedCount, 'spans so far');
+    }
+
+    if (this._queue.length >= TELEMETRY_MAX_BATCH_SIZE && Date.now() >= this._nextAttemptAt) {
+      this.flush();
+    }
+  },
+
+  /**
+   * @private
+   */
+  _removePending(span) {
+    const index = this._pendingCalls.findIndex((pending) => pending.span === span);
+    if (index !== -1) {
+      clearTimeout(this._pendingCalls[index].timer);
+      this._pendingCalls.splice(index, 1);
+    }
+  },
+
+  /**
+   * @private
+   */
+  _startExportTimer() {
+    if (this._exportTimer) return;
+    this._exportTimer = setInterval(() => {
+      if (Date.now() >= this._nextAttemptAt) this.flush();
+    }, TELEMETRY_EXPORT_INTERVAL_MS);
+  },
+
+  /**
+   * @private
+   */
+  _stopExportTimer() {
+    if (!this._exportTimer) return;
+    clearInterval(this._exportTimer);
+    this._exportTimer = null;
+  },
+
+  /**
+   * Keep unsent spans across app restarts
+   * @private
+   */
+  _persistQueue() {
+    try {
+      if (this._queue.length === 0) {
+        localStorage.removeItem(TELEMETRY_QUEUE_STORAGE_KEY);
+      } else {
+        localStorage.setItem(TELEMETRY_QUEUE_STORAGE_KEY, JSON.stringify(this._queue));
+      }
+    } catch (error) {
+      Logger.warn('TelemetryService - Could not persist the span queue:', error.message);
+    }
+  },
+
+  /**
+   * Put spans persisted by an earlier run in front of the queue
+   * @private
+   */
+  _restoreQueue() {
+    let stored = [];
+    try {
+      stored = JSON.parse(localStorage.getItem(TELEMETRY_QUEUE_STORAGE_KEY) || '[]');
+    } catch (error) {
+      Logger.warn('TelemetryService - Ignoring corrupt span queue:', error.message);
+    }
+    if (!Array.isArray(stored) || stored.length === 0) return;
+
+    const queuedIds = new Set(this._queue.map((span) => span.spanId));
+    const restored = stored.filter((span) => span && span.spanId && !queuedIds.has(span.spanId));
+    this._queue = [...restored, ...this._queue].slice(-TELEMETRY_MAX_QUEUE_SIZE);
+    Logger.debug('TelemetryService - Restored', restored.length, 'unsent spans');
+  }
+};
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.TelemetryService = TelemetryService;
+}
@@ -0,0 +1,263 @@
+/**
+ * Token Service
+ *
+ * Holds the access token the SDK hands over in onUserLoggedIn
+ * (challengeResponse.additionalInfo.jwtJsonTokenInfo) for the length of the session.
+ * Decodes the JWT header and claims, computes when the token expires and tells the
+ * app before and when it does, so the app's own backend calls can use the token.
+ *
+ * Features:
+ * - Decodes the header and the sub, iss, aud, exp, iat and scope claims (no signature check -
+ *   the token is for the backend to verify)
+ * - Absolute expiry = login time + expires_in (falls back to the exp claim)
+ * - 'tokenExpiring' document event TOKEN_EXPIRING_THRESHOLD_MS before expiry,
+ *   'tokenExpired' at expiry - detail { expiresAt, secondsRemaining }
+ * - getAccessToken() returns null once the token has expired or the session ended
+ * - The raw token is registered with Logger as a sensitive value until clear()
+ *
+ * Usage:
+ * ```javascript
+ * TokenService.setTokenInfo(additionalInfo.jwtJsonTokenInfo);   // SDKEventProvider, on login
+ * TokenService.clear();                                         // SDKEventProvider, session ended
+ * const token = TokenService.getAccessToken();
+ * if (token) headers.Authorization = `Bearer ${token}`;
+ * ```
+ *
+ * @typedef {Object} TokenInfo
+ * @property {string} tokenType - token_type, e.g. 'Bearer'
+ * @property {number|null} expiresIn - expires_in in seconds
+ * @property {number} receivedAt - Login time (ms since epoch)
+ * @property {number|null} expiresAt - Absolute expiry (ms since epoch)
+ * @property {Object|null} header - Decoded JWT header
+ * @property {Object|null} claims - Decoded JWT claims
+ * @property {string[]} scopes - From the scope / scp / scopes claim
+ */
+
+/**
+ * How long before expiry 'tokenExpiring' is dispatched
+ */
+const TOKEN_EXPIRING_THRESHOLD_MS = 60 * 1000;
+
+/**
+ * Longest delay setTimeout supports (2^31-1 ms, ~24.8 days) - longer ones fire at once
+ */
+const TOKEN_MAX_TIMER_DELAY_MS = 2147483647;
+
+const TokenService = {
+  /**
+   * Raw access token of the current session
+   * @type {string|null}
+   * @private
+   */
+  _accessToken: null,
+
+  /**
+   * @type {TokenInfo|null}
+   * @private
+   */
+  _info: null,
+
+  /**
+   * Expiring / expired timer ids
+   * @private
+   */
+  _timers: [],
+
+  /**
+   * Store the token of a new session and schedule the expiry events
+   *
+   * @param {string} jwtJsonTokenInfo - JSON string with access_token, token_type, expires_in
+   * @param {number} [receivedAt=Date.now()] - Login time
+   * @returns {TokenInfo|null} null when there is no access token
+   */
+  setTokenInfo(jwtJsonTokenInfo, receivedAt = Date.now()) {
+    this.clear();
+
+    let tokenData;
+    try {
+      tokenData = typeof jwtJsonTokenInfo === 'string' ? JSON.parse(jwtJsonTokenInfo) : jwtJsonTokenInfo;
+    } catch (error) {
+      Logger.error('TokenService - Failed to parse jwtJsonTokenInfo:', error.message);
+      return null;
+    }
+
+    if (!tokenData || !tokenData.access_token) {
+      Logger.warn('TokenService - No access token in jwtJsonTokenInfo');
+      return null;
+    }
+
+    const decoded = this.decodeJwt(tokenData.access_token);
+    const claims = decoded ? decoded.claims : null;
+    const expiresIn = Number(tokenData.expires_in) > 0 ? Number(tokenData.expires_in) : null;
+
+    let expiresAt = null;
+    if (expiresIn !== null) {
+      expiresAt = receivedAt + expiresIn * 1000;
+    } else if (claims && typeof claims.exp === 'number') {
+      expiresAt = claims.exp * 1000;
+    }
+
+    this._accessToken = tokenData.access_token;
+    Logger.addSensitiveValue(this._accessToken);
+
+    this._info = {
+      tokenType: tokenData.token_type || 'Bearer',
+      expiresIn,
+      receivedAt,
+      expiresAt,
+      header: decoded ? decoded.header : null,
+      claims,
+      scopes: this.getScopes(claims)
+    };
+
+    this._scheduleExpiryEvents();
+    Logger.info('TokenService - Access token stored, expires at', expiresAt ? new Date(expiresAt).toISOString() : 'unknown');
+    return this._info;
+  },
+
+  /**
+   * Forget the token (session ended)
+   */
+  clear() {
+    this._timers.forEach((id) => clearTimeout(id));
+    this._timers = [];
+
+    if (this._accessToken) {
+      Logger.removeSensitiveValue(this._accessToken);
+      Logger.debug('TokenService - Access token cleared');
+    }
+    this._accessToken = null;
+    this._info = null;
+  },
+
+  /**
+   * Access token for the app's backend calls
+   * @returns {string|null} null when there is no session or the token has expired
+   */
+  getAccessToken() {
+    if (!this._accessToken || this.isExpired()) {
+      return null;
+    }
+    return this._accessToken;
+  },
+
+  /**
+   * Decoded token details of the current session
+   * @returns {TokenInfo|null}
+   */
+  getTokenInfo() {
+    return this._info;
+  },
+
+  /**
+   * Whole seconds left until expiry
+   * @returns {number|null} 0 once expired, null when the expiry is unknown
+   */
+  getSecondsRemaining() {
+    if (!this._info || this._info.expiresAt === null) {
+      return null;
+    }
+    return Math.max(0, Math.ceil((this._info.expiresAt - Date.now()) / 1000));
+  },
+
+  /**
+   * @returns {boolean} True when a token is stored and its expiry has passed
+   */
+  isExpired() {
+    return this.getSecondsRemaining() === 0;
+  },
+
+  /**
+   * Decode a JWT without verifying its signature
+   *
+   * @param {string} token - header.claims.signature, base64url encoded
+   * @returns {{header: Object, claims: Object}|null} null when the token is not a JWT
+   */
+  decodeJwt(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) {
+      Logger.warn('TokenService - Access token is not a JWT');
+      return null;
+    }
+
+    try {
+      return {
+        header: JSON.parse(this._decodeBase64Url(parts[0])),
+        claims: JSON.parse(this._decodeBase64Url(parts[1]))
+      };
+    } catch (error) {
+      Logger.warn('TokenService - Failed to decode access token:', error.message);
+      return null;
+    }
+  },
+
+  /**
+   * Scopes from the space separated 'scope' claim or the 'scp' / 'scopes' array
+   * @param {Object|null} claims
+   * @returns {string[]}
+   */
+  getScopes(claims) {
+    if (!claims) return [];
+    const value = claims.scope ?? claims.scp ?? claims.scopes;
+    if (Array.isArray(value)) return value.map(String);
+    if (typeof value === 'string') return value.split(' ').filter(Boolean);
+    return [];
+  },
+
+  /**
+   * @private
+   */
+  _scheduleExpiryEvents() {
+    const { expiresAt } = this._info;
+    if (expiresAt === null) return;
+
+    this._scheduleAt(expiresAt - TOKEN_EXPIRING_THRESHOLD_MS, 'tokenExpiring');
+    this._scheduleAt(expiresAt, 'tokenExpired');
+  },
+
+  /**
+   * Dispatch eventName at the given time, re-arming the timer while the time is
+   * beyond TOKEN_MAX_TIMER_DELAY_MS
+   * @private
+   */
+  _scheduleAt(time, eventName) {
+    const delay = Math.max(0, time - Date.now());
+    const id = setTimeout(() => {
+      this._timers = this._timers.filter((timerId) => timerId !== id);
+      if (Date.now() < time) {
+        this._scheduleAt(time, eventName);
+      } else {
+        this._dispatch(eventName);
+      }
+    }, Math.min(delay, TOKEN_MAX_TIMER_DELAY_MS));
+    this._timers.push(id);
+  },
+
+  /**
+   * @private
+   */
+  _dispatch(eventName) {
+    if (!this._info) return;
+
+    Logger.info(`TokenService - ${eventName}`);
+    document.dispatchEvent(new CustomEvent(eventName, {
+      detail: { expiresAt: this._info.expiresAt, secondsRemaining: this.getSecondsRemaining() }
+    }));
+  },
+
+  /**
+   * @private
+   */
+  _decodeBase64Url(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+    const binary = atob(padded);
+    // Claims are UTF-8 (e.g. names) - atob() returns one char per byte
+    return decodeURIComponent(Array.from(binary, (char) => '%' + char.charCodeAt(0).toString(16).padStart(2, '0')).join(''));
+  }
+};
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.TokenService = TokenService;
+}
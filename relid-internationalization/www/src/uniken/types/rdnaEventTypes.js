@@ -0,0 +1,325 @@
+/**
+ * REL-ID SDK Event Payload Types
+ *
+ * GENERATED from src/uniken/utils/rdnaEventSchemas.js - do not edit by hand.
+ * Regenerate with: npm run generate:event-types
+ */
+
+/**
+ * Payload of the onInitializeProgress event
+ * @typedef {Object} RDNAProgressData
+ * @property {string} [systemThreatCheckStatus]
+ * @property {string} [appThreatCheckStatus]
+ * @property {string} [networkThreatCheckStatus]
+ * @property {string} initializeStatus - e.g. "STARTED", "COMPLETED"
+ */
+
+/**
+ * Payload of the onInitializeError event
+ * @typedef {Object} RDNAInitializeErrorData
+ * @property {number} longErrorCode
+ * @property {number} [shortErrorCode]
+ * @property {string} [errorString]
+ */
+
+/**
+ * Server status of an event (statusCode 100 = success)
+ * @typedef {Object} RDNAStatus
+ * @property {number} statusCode - 100 = success
+ * @property {string} [statusMessage]
+ */
+
+/**
+ * @typedef {Object} RDNASession
+ * @property {number} [sessionType] - 0 = app session, 1 = user session
+ * @property {string} sessionID
+ */
+
+/**
+ * Key/value pair such as RELID_PASSWORD_POLICY
+ * @typedef {Object} RDNAChallengeInfo
+ * @property {string} key
+ * @property {string} [value]
+ */
+
+/**
+ * API-level error of an event (longErrorCode 0 = success)
+ * @typedef {Object} RDNAErrorInfo
+ * @property {number} longErrorCode - 0 = success
+ * @property {number} [shortErrorCode]
+ * @property {string} [errorString]
+ */
+
+/**
+ * Payload of the onInitialized event
+ * @typedef {Object} RDNAInitializedData
+ * @property {RDNAStatus} status
+ * @property {RDNASession} session
+ * @property {Object} additionalInfo
+ * @property {Object[]} additionalInfo.supportedLanguage - Languages the server supports
+ * @property {string} [additionalInfo.selectedLanguage]
+ * @property {RDNAChallengeInfo[]} [challengeInfo]
+ * @property {RDNAErrorInfo} [error]
+ */
+
+/**
+ * @typedef {Object} RDNAThreatInfo
+ * @property {string} [threatName]
+ * @property {string} [threatMsg]
+ * @property {string|number} threatId
+ * @property {string} [threatCategory] - "SYSTEM", "APPLICATION", "NETWORK"
+ * @property {string} [threatSeverity] - "HIGH", "MEDIUM", "LOW"
+ * @property {string|string[]} [threatReason]
+ * @property {boolean|number} [shouldProceedWithThreats] - Set by app before takeActionOnThreats
+ * @property {boolean|number} [rememberActionForSession] - Set by app before takeActionOnThreats
+ * @property {Object} [appInfo]
+ * @property {Object} [networkInfo]
+ */
+
+/**
+ * @typedef {Object} RDNAThreatsEnvelope
+ * @property {RDNAThreatInfo[]} threats
+ */
+
+/**
+ * Payload of the onUserConsentThreats event
+ * @typedef {RDNAThreatInfo[]|RDNAThreatsEnvelope} RDNAUserConsentThreatsData
+ */
+
+/**
+ * Payload of the onTerminateWithThreats event
+ * @typedef {RDNAThreatInfo[]|RDNAThreatsEnvelope} RDNATerminateWithThreatsData
+ */
+
+/**
+ * @typedef {Object} RDNAChallengeResponse
+ * @property {RDNAStatus} status
+ * @property {RDNASession} [session]
+ * @property {Object} [additionalInfo]
+ * @property {RDNAChallengeInfo[]} [challengeInfo]
+ */
+
+/**
+ * Payload of the getUser event
+ * @typedef {Object} RDNAGetUserData
+ * @property {string} [recentLoggedInUser]
+ * @property {string[]} [rememberedUsers]
+ * @property {RDNAChallengeResponse} challengeResponse
+ * @property {RDNAErrorInfo} error
+ */
+
+/**
+ * Payload of the getActivationCode event
+ * @typedef {Object} RDNAGetActivationCodeData
+ * @property {string} userID
+ * @property {string} [verificationKey]
+ * @property {number} [attemptsLeft]
+ * @property {RDNAChallengeResponse} challengeResponse
+ * @property {RDNAErrorInfo} error
+ */
+
+/**
+ * Payload of the getUserConsentForLDA event
+ * @typedef {Object} RDNAGetUserConsentForLDAData
+ * @property {string} userID
+ * @property {number} challengeMode - 16 = LDA toggling, otherwise login
+ * @property {number} authenticationType
+ * @property {RDNAChallengeResponse} [challengeResponse]
+ * @property {RDNAErrorInfo} error
+ */
+
+/**
+ * Payload of the getPassword event
+ * @typedef {Object} RDNAGetPasswordData
+ * @property {string} userID
+ * @property {number} challengeMode - 0 verify, 1 set, 2 update, 3 step-up, 4 expired, 12 data signing, ...
+ * @property {number} [attemptsLeft]
+ * @property {RDNAChallengeResponse} challengeResponse
+ * @property {RDNAErrorInfo} error
+ */
+
+/**
+ * Payload of the onUserLoggedIn event
+ * @typedef {Object} RDNAUserLoggedInData
+ * @property {string} userID
+ * @property {Object} challengeResponse
+ * @property {RDNAStatus} challengeResponse.status
+ * @property {RDNASession} challengeResponse.session
+ * @property {Object} challengeResponse.additionalInfo
+ * @property {string} [challengeResponse.additionalInfo.jwtJsonTokenInfo] - JSON string with access_token, token_type, expires_in
+ * @property {RDNAChallengeInfo[]} [challengeResponse.challengeInfo]
+ * @property {RDNAErrorInfo} error
+ */
+
+/**
+ * Payload of the onUserLoggedOff event
+ * @typedef {Object} RDNAUserLoggedOffData
+ * @property {string} [userID]
+ * @property {RDNAChallengeResponse} [challengeResponse]
+ * @property {RDNAErrorInfo} error
+ */
+
+/**
+ * Payload of the onSessionTimeout event
+ * Built by RdnaEventManager - the plugin sends a plain string
+ * @typedef {Object} RDNASessionTimeoutData
+ * @property {string} message
+ * @property {string|null} [userID]
+ */
+
+/**
+ * Payload of the onSessionTimeOutNotification event
+ * @typedef {Object} RDNASessionTimeoutNotificationData
+ * @property {string} [userID]
+ * @property {number} timeLeftInSeconds
+ * @property {number|boolean} sessionCanBeExtended - 1 = can be extended
+ * @property {string} [message]
+ * @property {RDNAStatus} [status]
+ * @property {RDNAErrorInfo} [error]
+ */
+
+/**
+ * Payload of the onSessionExtensionResponse event
+ * @typedef {Object} RDNASessionExtensionResponseData
+ * @property {RDNAStatus} status
+ * @property {RDNAErrorInfo} error
+ */
+
+/**
+ * Payload of the addNewDeviceOptions event
+ * @typedef {Object} RDNAAddNewDeviceOptionsData
+ * @property {string} userID
+ * @property {string[]} newDeviceOptions
+ * @property {number} [challengeMode]
+ * @property {RDNAErrorInfo} [error]
+ */
+
+/**
+ * Payload of the onGetNotifications event
+ * @typedef {Object} RDNAGetNotificationsData
+ * @property {number} [errCode]
+ * @property {RDNAErrorInfo} error
+ * @property {number} [eMethId]
+ * @property {Object} [pArgs]
+ * @property {Object} pArgs.response
+ * @property {number} pArgs.response.StatusCode - 100 = success
+ * @property {string} [pArgs.response.StatusMsg]
+ * @property {number} [pArgs.response.CredOpMode]
+ * @property {Object} [pArgs.response.ResponseData]
+ * @property {Object[]} pArgs.response.ResponseData.notifications
+ */
+
+/**
+ * Payload of the onUpdateNotification event
+ * @typedef {Object} RDNAUpdateNotificationData
+ * @property {number} [errCode]
+ * @property {RDNAErrorInfo} error
+ * @property {number} [eMethId]
+ * @property {Object} [pArgs]
+ * @property {Object} pArgs.response
+ * @property {number} pArgs.response.StatusCode - 100 = success
+ * @property {string} [pArgs.response.StatusMsg]
+ * @property {number} [pArgs.response.CredOpMode]
+ * @property {Object} [pArgs.response.ResponseData]
+ */
+
+/**
+ * Payload of the onGetNotificationsHistory event
+ * @typedef {Object} RDNAGetNotificationHistoryData
+ * @property {number} [errCode]
+ * @property {RDNAErrorInfo} error
+ * @property {number} [eMethId]
+ * @property {Object} [pArgs]
+ * @property {Object} pArgs.response
+ * @property {number} pArgs.response.StatusCode - 100 = success
+ * @property {string} [pArgs.response.StatusMsg]
+ * @property {number} [pArgs.response.CredOpMode]
+ * @property {Object} [pArgs.response.ResponseData]
+ * @property {Object[]} pArgs.response.ResponseData.history
+ */
+
+/**
+ * Payload of the onCredentialsAvailableForUpdate event
+ * @typedef {Object} RDNACredentialsAvailableForUpdateData
+ * @property {string} [userID]
+ * @property {string[]} options - e.g. ["Password"]
+ * @property {RDNAErrorInfo} error
+ */
+
+/**
+ * Payload of the onUpdateCredentialResponse event
+ * @typedef {Object} RDNAUpdateCredentialResponseData
+ * @property {string} [userID]
+ * @property {string} [credType]
+ * @property {RDNAStatus} status
+ * @property {RDNAErrorInfo} error
+ */
+
+/**
+ * Payload of the onDeviceAuthManagementStatus event
+ * @typedef {Object} RDNADeviceAuthManagementStatusData
+ * @property {string} [userID]
+ * @property {number} OpMode - 1 = enabled, 0 = disabled
+ * @property {number} ldaType
+ * @property {RDNAStatus} status
+ * @property {RDNAErrorInfo} error
+ */
+
+/**
+ * Payload of the onAuthenticateUserAndSignData event
+ * @typedef {Object} RDNAAuthenticateUserAndSignData
+ * @property {string} [dataPayload]
+ * @property {number} [dataPayloadLength]
+ * @property {string} [reason]
+ * @property {string} [payloadSignature] - Base64 signature (success only)
+ * @property {string} [dataSignatureID] - Success only
+ * @property {number} [authLevel]
+ * @property {number} [authenticationType]
+ * @property {RDNAStatus} status
+ * @property {RDNAErrorInfo} error
+ */
+
+/**
+ * Payload of the onGetRegistredDeviceDetails event
+ * @typedef {Object} RDNAGetRegisteredDeviceDetailsData
+ * @property {number} [errCode]
+ * @property {RDNAErrorInfo} error
+ * @property {number} [eMethId]
+ * @property {Object} [pArgs]
+ * @property {Object} pArgs.response
+ * @property {number} pArgs.response.StatusCode - 100 = success
+ * @property {string} [pArgs.response.StatusMsg]
+ * @property {number} [pArgs.response.CredOpMode]
+ * @property {Object} [pArgs.response.ResponseData]
+ * @property {Object[]} pArgs.response.ResponseData.device
+ * @property {string} pArgs.response.ResponseData.device[].devUUID
+ * @property {string} [pArgs.response.ResponseData.device[].devName]
+ * @property {string} [pArgs.response.ResponseData.device[].status]
+ * @property {boolean|number} [pArgs.response.ResponseData.device[].currentDevice]
+ * @property {number} [pArgs.response.ResponseData.deviceManagementCoolingPeriodEndTimestamp] - ms, 0 = no cooling period
+ */
+
+/**
+ * Payload of the onUpdateDeviceDetails event
+ * @typedef {Object} RDNAUpdateDeviceDetailsData
+ * @property {number} [errCode]
+ * @property {RDNAErrorInfo} error
+ * @property {number} [eMethId]
+ * @property {Object} [pArgs]
+ * @property {Object} pArgs.response
+ * @property {number} pArgs.response.StatusCode - 100 = success
+ * @property {string} [pArgs.response.StatusMsg]
+ * @property {number} [pArgs.response.CredOpMode]
+ * @property {Object} [pArgs.response.ResponseData]
+ */
+
+/**
+ * Payload of the onSetLanguageResponse event
+ * @typedef {Object} RDNASetLanguageResponseData
+ * @property {string} [localeCode]
+ * @property {string} [localeName]
+ * @property {number|string} [languageDirection] - 0 = LTR, 1 = RTL (some plugin versions send "LTR"/"RTL")
+ * @property {Object[]} [supportedLanguages]
+ * @property {RDNAStatus} status
+ * @property {RDNAErrorInfo} error
+ */
@@ -4,6 +4,10 @@
  * Utilities for loading and parsing REL-ID connection profile (agent_info.json).
  * Uses cordova-plugin-file for reliable file loading in Cordova environment.
  *
+ * Profiles come from two places:
+ * - The bundled, read-only agent_info.json (cordova.file.applicationDirectory)
+ * - Profiles imported at runtime, stored in cordova.file.dataDirectory
+ *
  * @typedef {Object} RelId
  * @property {string} Name
  * @property {string} RelId
@@ -12,49 +16,58 @@
  * @property {string} Name
  * @property {string} Host
  * @property {string|number} Port - Allow both string and number from JSON
+ * @property {string} [CipherSpecs] - Optional transport options (see transportOptions.js)
+ * @property {string} [CipherSalt]
+ * @property {ProxySettings|string} [ProxySettings]
+ * @property {SSLCertificate|string} [SSLCertificate]
+ * @property {string} [LogLevel] - RDNALoggingLevel key
  *
  * @typedef {Object} AgentInfo
  * @property {RelId[]} RelIds
  * @property {Profile[]} Profiles
  *
  * @typedef {Object} ParsedAgentInfo
+ * @property {string} name - RelId/Profile Name (e.g. 'uniken-dev')
  * @property {string} relId
  * @property {string} host
  * @property {number} port
+ * @property {Partial<TransportOptions>} [transport] - Only when the Profiles entry sets any
+ *
+ * @typedef {Object} ImportedAgentInfo
+ * @property {string} label - Label given on import (unique)
+ * @property {string} source - 'file' | 'paste' | 'qr'
+ * @property {string} importedAt - ISO timestamp
+ * @property {AgentInfo} agentInfo - Validated agent info JSON
  */
 
 /**
- * Parses agent info data and extracts connection profile
- * @param {AgentInfo} profileData - Raw agent info data
- * @returns {ParsedAgentInfo} Parsed connection profile
+ * File in cordova.file.dataDirectory holding ImportedAgentInfo[]
  */
-function parseAgentInfo(profileData) {
-  if (!profileData.RelIds || profileData.RelIds.length === 0) {
-    throw new Error('No RelIds found in agent info');
-  }
+const IMPORTED_PROFILES_FILE = 'imported_connection_profiles.json';
 
-  if (!profileData.Profiles || profileData.Profiles.length === 0) {
-    throw new Error('No Profiles found in agent info');
-  }
-
-  // Always pick the first array objects
-  const firstRelId = profileData.RelIds[0];
-
-  if (!firstRelId.Name || !firstRelId.RelId) {
+/**
+ * Builds the connection profile for one RelId entry
+ * @param {RelId} relIdEntry
+ * @param {Profile[]} profiles
+ * @returns {ParsedAgentInfo}
+ * @throws {Error} When the entry or its matching profile is invalid
+ */
+function parseRelIdEntry(relIdEntry, profiles) {
+  if (!relIdEntry || !relIdEntry.Name || !relIdEntry.RelId) {
     throw new Error('Invalid RelId object - missing Name or RelId');
   }
 
   // Find matching profile by Name (1-1 mapping)
-  const matchingProfile = profileData.Profiles.find(
-    profile => profile.Name === firstRelId.Name
+  const matchingProfile = profiles.find(
+    profile => profile.Name === relIdEntry.Name
   );
 
   if (!matchingProfile) {
-    throw new Error(`No matching profile found for RelId name: ${firstRelId.Name}`);
+    throw new Error(`No matching profile found for RelId name: ${relIdEntry.Name}`);
   }
 
   if (!matchingProfile.Host || !matchingProfile.Port) {
-    throw new Error('Invalid Profile object - missing Host or Port');
+    throw new Error(`Invalid Profile object for ${relIdEntry.Name} - missing Host or Port`);
   }
 
   // Convert port to number if it's a string
@@ -63,14 +76,82 @@ function parseAgentInfo(profileData) {
     : matchingProfile.Port;
 
   if (isNaN(port)) {
-    throw new Error(`Invalid port value: ${matchingProfile.Port}`);
+    throw new Error(`Invalid port value for ${relIdEntry.Name}: ${matchingProfile.Port}`);
   }
 
-  return {
-    relId: firstRelId.RelId,
+  let transport;
+  try {
+    transport = parseProfileTransportOptions(matchingProfile);
+  } catch (error) {
+    throw new Error(`Invalid transport options for ${relIdEntry.Name}: ${error.message}`);
+  }
+
+  const parsed = {
+    name: relIdEntry.Name,
+    relId: relIdEntry.RelId,
     host: matchingProfile.Host,
     port: port
   };
+  if (Object.keys(transport).length > 0) {
+    parsed.transport = transport;
+  }
+  return parsed;
+}
+
+/**
+ * Validates agent info against the RelIds/Profiles schema
+ * Invalid entries are skipped and reported; duplicate names keep the first.
+ *
+ * @param {AgentInfo} profileData - Raw agent info data
+ * @returns {{profiles: ParsedAgentInfo[], skipped: string[]}} Valid profiles and why others were skipped
+ * @throws {Error} When the data is not agent info or has no valid RelId/Profile pair
+ */
+function validateAgentInfo(profileData) {
+  if (!profileData || typeof profileData !== 'object' || Array.isArray(profileData)) {
+    throw new Error('Agent info must be a JSON object with RelIds and Profiles');
+  }
+
+  if (!Array.isArray(profileData.RelIds) || profileData.RelIds.length === 0) {
+    throw new Error('No RelIds found in agent info');
+  }
+
+  if (!Array.isArray(profileData.Profiles) || profileData.Profiles.length === 0) {
+    throw new Error('No Profiles found in agent info');
+  }
+
+  const parsed = [];
+  const errors = [];
+
+  profileData.RelIds.forEach((relIdEntry) => {
+    try {
+      const profile = parseRelIdEntry(relIdEntry, profileData.Profiles);
+      if (parsed.some((existing) => existing.name === profile.name)) {
+        throw new Error(`Duplicate RelId name: ${profile.name}`);
+      }
+      parsed.push(profile);
+    } catch (error) {
+      Logger.warn('ConnectionProfileParser - Skipping entry:', error.message);
+      errors.push(error.message);
+    }
+  });
+
+  if (parsed.length === 0) {
+    throw new Error(errors[0] || 'No valid connection profile found in agent info');
+  }
+
+  return { profiles: parsed, skipped: errors };
+}
+
+/**
+ * Parses agent info data and extracts every valid connection profile
+ * (one per RelId with a matching Profiles entry, in file order).
+ *
+ * @param {AgentInfo} profileData - Raw agent info data
+ * @returns {ParsedAgentInfo[]} Parsed connection profiles (at least one)
+ * @throws {Error} When the file has no valid RelId/Profile pair
+ */
+function parseAgentInfo(profileData) {
+  return validateAgentInfo(profileData).profiles;
 }
 
 /**
@@ -79,7 +160,7 @@ function parseAgentInfo(profileData) {
  * CRITICAL: Uses cordova-plugin-file because standard fetch() and XMLHttpRequest
  * do NOT work with file:// URLs in Cordova iOS WKWebView.
  *
- * @returns {Promise<ParsedAgentInfo>} Promise that resolves with parsed agent info
+ * @returns {Promise<ParsedAgentInfo[]>} Promise that resolves with every valid connection profile
  */
 async function loadAgentInfo() {
   return new Promise((resolve, reject) => {
@@ -88,7 +169,7 @@ async function loadAgentInfo() {
       const basePath = cordova.file.applicationDirectory + 'www/';
       const filePath = basePath + 'src/uniken/cp/agent_info.json';
 
-      console.log('ConnectionProfileParser - Loading file from:', filePath);
+      Logger.debug('ConnectionProfileParser - Loading file from:', filePath);
 
       // Resolve file path and read with FileReader
       window.resolveLocalFileSystemURL(
@@ -100,37 +181,70 @@ async function loadAgentInfo() {
 
               reader.onloadend = function() {
                 try {
-                  console.log('ConnectionProfileParser - File read successfully');
+                  Logger.debug('ConnectionProfileParser - File read successfully');
                   const profileData = JSON.parse(this.result);
                   const parsed = parseAgentInfo(profileData);
                   resolve(parsed);
                 } catch (error) {
-                  console.error('ConnectionProfileParser - Failed to parse JSON:', error);
+                  Logger.error('ConnectionProfileParser - Failed to parse JSON:', error);
                   reject(new Error(`Failed to parse agent info: ${error.message}`));
                 }
               };
 
               reader.onerror = (error) => {
-                console.error('ConnectionProfileParser - FileReader error:', error);
+                Logger.error('ConnectionProfileParser - FileReader error:', error);
                 reject(new Error(`Failed to read file: ${error.message}`));
               };
 
               reader.readAsText(file);
             },
             (error) => {
-              console.error('ConnectionProfileParser - Failed to get file:', error);
+              Logger.error('ConnectionProfileParser - Failed to get file:', error);
               reject(new Error(`Failed to access file: ${error.message}`));
             }
           );
         },
         (error) => {
-          console.error('ConnectionProfileParser - Failed to resolve file path:', error);
+          Logger.error('ConnectionProfileParser - Failed to resolve file path:', error);
           reject(new Error(`Failed to resolve file path: ${error.message}`));
         }
       );
     } catch (error) {
-      console.error('ConnectionProfileParser - Unexpected error:', error);
+      Logger.error('ConnectionProfileParser - Unexpected error:', error);
       reject(new Error(`Failed to load agent info: ${error.message}`));
     }
   });
 }
+
+/**
+ * Loads imported profiles from cordova.file.dataDirectory
+ * A missing file means nothing has been imported yet.
+ *
+ * @returns {Promise<ImportedAgentInfo[]>}
+ */
+async function loadImportedAgentInfo() {
+  const text = await readTextFile(cordova.file.dataDirectory + IMPORTED_PROFILES_FILE);
+  if (text === null) {
+    Logger.debug('ConnectionProfileParser - No imported profiles file yet');
+    return [];
+  }
+
+  try {
+    const records = JSON.parse(text || '[]');
+    return Array.isArray(records) ? records : [];
+  } catch (error) {
+    Logger.error('ConnectionProfileParser - Imported profiles file is corrupt:', error);
+    throw new Error(`Failed to parse imported profiles: ${error.message}`);
+  }
+}
+
+/**
+ * Writes imported profiles to cordova.file.dataDirectory (replaces the file)
+ *
+ * @param {ImportedAgentInfo[]} records
+ * @returns {Promise<void>}
+ */
+async function saveImportedAgentInfo(records) {
+  await writeTextFile(cordova.file.dataDirectory, IMPORTED_PROFILES_FILE, JSON.stringify(records, null, 2), 'application/json');
+  Logger.debug('ConnectionProfileParser - Saved imported profiles:', records.length);
+}
@@ -0,0 +1,252 @@
+/**
+ * Event Schema Validator
+ *
+ * Checks SDK event payloads against RDNA_EVENT_SCHEMAS and generates the
+ * matching JSDoc typedefs from the same schemas.
+ *
+ * Modes:
+ * - development - RdnaEventManager logs every mismatch with its path and still dispatches
+ * - production - the payload is dropped and 'onEventPayloadInvalid' is emitted instead
+ *
+ * The mode follows Logger.production unless set explicitly with setMode().
+ *
+ * Usage:
+ *   const errors = EventSchemaValidator.validate('getPassword', data);
+ *   if (errors.length) Logger.error(EventSchemaValidator.formatErrors('getPassword', errors));
+ */
+
+const EVENT_SCHEMA_MODES = {
+  DEVELOPMENT: 'development',
+  PRODUCTION: 'production'
+};
+
+/**
+ * JSON type of a value, with whole numbers reported as 'integer'
+ * @param {*} value
+ * @returns {string}
+ */
+function eventSchemaTypeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+const EventSchemaValidator = {
+  /** @type {string|null} Explicit mode, null follows Logger.production */
+  _mode: null,
+
+  /**
+   * @returns {string} EVENT_SCHEMA_MODES value
+   */
+  getMode() {
+    if (this._mode) return this._mode;
+    return Logger.production ? EVENT_SCHEMA_MODES.PRODUCTION : EVENT_SCHEMA_MODES.DEVELOPMENT;
+  },
+
+  /**
+   * @param {string|null} mode - EVENT_SCHEMA_MODES value, or null to follow Logger.production
+   */
+  setMode(mode) {
+    if (mode !== null && !Object.values(EVENT_SCHEMA_MODES).includes(mode)) {
+      throw new Error(`EventSchemaValidator - Unknown mode: ${mode}`);
+    }
+    this._mode = mode;
+  },
+
+  /**
+   * @param {string} eventName
+   * @returns {boolean} True if the event has a schema
+   */
+  hasSchema(eventName) {
+    return Object.prototype.hasOwnProperty.call(RDNA_EVENT_SCHEMAS, eventName);
+  },
+
+  /**
+   * Validates an event payload. Events without a schema always pass.
+   *
+   * @param {string} eventName
+   * @param {*} data - Parsed payload
+   * @returns {Array<{path: string, message: string}>} Empty when valid
+   */
+  validate(eventName, data) {
+    if (!this.hasSchema(eventName)) return [];
+    const errors = [];
+    this._check(RDNA_EVENT_SCHEMAS[eventName], data, '', errors);
+    return errors;
+  },
+
+  /**
+   * @param {string} eventName
+   * @param {Array<{path: string, message: string}>} errors - From validate()
+   * @returns {string} Multi-line diagnostic
+   */
+  formatErrors(eventName, errors) {
+    // 'path - message' rather than 'path: message' so Logger does not mask 'sessionID: ...'
+    const lines = errors.map((error) => `  ${error.path || '(payload)'} - ${error.message}`);
+    const count = errors.length === 1 ? '1 problem' : `${errors.length} problems`;
+    return `${eventName} payload does not match its schema (${count}):\n${lines.join('\n')}`;
+  },
+
+  _check(schema, value, path, errors) {
+    if (schema.anyOf) {
+      const matches = schema.anyOf.some((option) => {
+        const optionErrors = [];
+        this._check(option, value, path, optionErrors);
+        return optionErrors.length === 0;
+      });
+      if (!matches) {
+        const expected = schema.anyOf.map((option) => this._typeExpression(option)).join(' or ');
+        errors.push({ path, message: `expected ${expected}, got ${eventSchemaTypeOf(value)}` });
+      }
+      return;
+    }
+
+    const actual = eventSchemaTypeOf(value);
+
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      const typeMatches = types.includes(actual) || (actual === 'integer' && types.includes('number'));
+      if (!typeMatches) {
+        errors.push({ path, message: `expected ${types.join(' or ')}, got ${actual}` });
+        return;
+      }
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+      errors.push({ path, message: `expected ${JSON.stringify(schema.const)}` });
+      return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ path, message: `expected one of ${schema.enum.map((entry) => JSON.stringify(entry)).join(', ')}` });
+      return;
+    }
+
+    if (actual === 'object') {
+      (schema.required || []).forEach((key) => {
+        if (value[key] === undefined) {
+          errors.push({ path: this._join(path, key), message: 'is required' });
+        }
+      });
+      Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        if (value[key] !== undefined) {
+          this._check(propertySchema, value[key], this._join(path, key), errors);
+        }
+      });
+    }
+
+    if (actual === 'array' && schema.items) {
+      value.forEach((item, index) => this._check(schema.items, item, `${path}[${index}]`, errors));
+    }
+
+    if (schema.if && schema.then) {
+      const conditionErrors = [];
+      this._check(schema.if, value, path, conditionErrors);
+      if (conditionErrors.length === 0) {
+        this._check(schema.then, value, path, errors);
+      }
+    }
+  },
+
+  _join(path, key) {
+    return path ? `${path}.${key}` : key;
+  },
+
+  /**
+   * Generates the JSDoc typedef file for every event schema
+   * @returns {string} Contents of src/uniken/types/rdnaEventTypes.js
+   */
+  toJSDoc() {
+    const typedefs = new Map();
+
+    Object.entries(RDNA_EVENT_SCHEMAS).forEach(([eventName, schema]) => {
+      this._collectTypedef(schema, typedefs, eventName);
+    });
+
+    const header = [
+      '/**',
+      ' * REL-ID SDK Event Payload Types',
+      ' *',
+      ' * GENERATED from src/uniken/utils/rdnaEventSchemas.js - do not edit by hand.',
+      ' * Regenerate with: npm run generate:event-types',
+      ' */'
+    ].join('\n');
+
+    return `${header}\n\n${Array.from(typedefs.values()).join('\n\n')}\n`;
+  },
+
+  /**
+   * Adds the typedef for a schema (and every named schema inside it) to the map
+   */
+  _collectTypedef(schema, typedefs, eventName) {
+    this._nestedSchemas(schema).forEach((nested) => {
+      if (nested.typedef && !typedefs.has(nested.typedef)) {
+        this._collectTypedef(nested, typedefs);
+      }
+    });
+    if (!schema.typedef || typedefs.has(schema.typedef)) return;
+
+    const lines = [];
+    if (eventName) lines.push(`Payload of the ${eventName} event`);
+    if (schema.description) lines.push(schema.description);
+
+    if (schema.anyOf) {
+      const union = schema.anyOf.map((option) => this._typeExpression(option)).join('|');
+      lines.push(`@typedef {${union}} ${schema.typedef}`);
+    } else {
+      lines.push(`@typedef {Object} ${schema.typedef}`);
+      this._propertyLines(schema, '', lines);
+    }
+
+    typedefs.set(schema.typedef, ['/**', ...lines.map((line) => ` * ${line}`), ' */'].join('\n'));
+  },
+
+  _propertyLines(schema, prefix, lines) {
+    const required = schema.required || [];
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      const name = `${prefix}${key}`;
+      const label = required.includes(key) ? name : `[${name}]`;
+      // Named schemas carry their description on their own typedef
+      const description = propertySchema.description && !propertySchema.typedef ? ` - ${propertySchema.description}` : '';
+      lines.push(`@property {${this._typeExpression(propertySchema)}} ${label}${description}`);
+
+      // Inline object shapes are documented as dotted properties
+      if (!propertySchema.typedef) {
+        if (propertySchema.properties) {
+          this._propertyLines(propertySchema, `${name}.`, lines);
+        } else if (propertySchema.items && propertySchema.items.properties && !propertySchema.items.typedef) {
+          this._propertyLines(propertySchema.items, `${name}[].`, lines);
+        }
+      }
+    });
+  },
+
+  _typeExpression(schema) {
+    if (schema.typedef) return schema.typedef;
+    if (schema.anyOf) return schema.anyOf.map((option) => this._typeExpression(option)).join('|');
+
+    const JSDOC_TYPES = { integer: 'number', number: 'number', string: 'string', boolean: 'boolean', null: 'null', object: 'Object' };
+    const types = [].concat(schema.type || '*').map((type) => {
+      if (type !== 'array') return JSDOC_TYPES[type] || '*';
+      const itemType = schema.items ? this._typeExpression(schema.items) : '*';
+      return itemType.includes('|') ? `(${itemType})[]` : `${itemType}[]`;
+    });
+    return Array.from(new Set(types)).join('|');
+  },
+
+  _nestedSchemas(schema) {
+    const nested = [];
+    (schema.anyOf || []).forEach((option) => nested.push(option));
+    Object.values(schema.properties || {}).forEach((property) => nested.push(property));
+    if (schema.items) nested.push(schema.items);
+    return nested.flatMap((child) => (child.typedef ? [child] : [child, ...this._nestedSchemas(child)]))
+      .filter((child) => child.typedef);
+  }
+};
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.EventSchemaValidator = EventSchemaValidator;
+  window.EVENT_SCHEMA_MODES = EVENT_SCHEMA_MODES;
+}
@@ -0,0 +1,95 @@
+/**
+ * File Storage
+ *
+ * Promise wrappers around cordova-plugin-file for small text files the app
+ * writes itself (imported connection profiles, exported logs).
+ *
+ * Usage:
+ * ```javascript
+ * const text = await readTextFile(cordova.file.dataDirectory + 'settings.json');  // null if missing
+ * const url = await writeTextFile(cordova.file.dataDirectory, 'settings.json', json, 'application/json');
+ * ```
+ */
+
+/**
+ * Read a whole file as text
+ *
+ * @param {string} fileUrl - Full file URL, e.g. cordova.file.dataDirectory + name
+ * @returns {Promise<string|null>} File contents, null when the file does not exist
+ */
+async function readTextFile(fileUrl) {
+  return new Promise((resolve, reject) => {
+    window.resolveLocalFileSystemURL(
+      fileUrl,
+      (fileEntry) => {
+        fileEntry.file(
+          (file) => {
+            const reader = new FileReader();
+
+            reader.onloadend = function() {
+              resolve(this.result || '');
+            };
+
+            reader.onerror = (error) => {
+              Logger.error('FileStorage - FileReader error:', error);
+              reject(new Error(`Failed to read ${fileUrl}: ${error.message}`));
+            };
+
+            reader.readAsText(file);
+          },
+          (error) => reject(new Error(`Failed to access ${fileUrl}: ${error.message}`))
+        );
+      },
+      () => resolve(null)
+    );
+  });
+}
+
+/**
+ * Create or replace a file
+ *
+ * @param {string} directoryUrl - e.g. cordova.file.dataDirectory
+ * @param {string} fileName
+ * @param {string} text - New contents
+ * @param {string} [mimeType='text/plain']
+ * @returns {Promise<string>} URL of the written file
+ */
+async function writeTextFile(directoryUrl, fileName, text, mimeType = 'text/plain') {
+  return new Promise((resolve, reject) => {
+    const fail = (step) => (error) => {
+      Logger.error(`FileStorage - Failed to ${step}:`, error);
+      reject(new Error(`Failed to ${step}: ${error && error.message ? error.message : 'file error'}`));
+    };
+
+    window.resolveLocalFileSystemURL(
+      directoryUrl,
+      (dirEntry) => {
+        dirEntry.getFile(
+          fileName,
+          { create: true, exclusive: false },
+          (fileEntry) => {
+            fileEntry.createWriter(
+              (writer) => {
+                // Truncate first - write() alone keeps the tail of a longer old file
+                let truncated = false;
+                writer.onwriteend = () => {
+                  if (!truncated) {
+                    truncated = true;
+                    writer.write(new Blob([text], { type: mimeType }));
+                    return;
+                  }
+                  resolve(fileEntry.nativeURL || directoryUrl + fileName);
+                };
+                writer.onerror = fail(`write ${fileName}`);
+                writer.truncate(0);
+              },
+              fail(`open ${fileName} for writing`)
+            );
+          },
+          fail(`create ${fileName}`)
+        );
+      },
+      fail('resolve the target directory')
+    );
+  });
+}
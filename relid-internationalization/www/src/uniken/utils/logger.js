@@ -0,0 +1,339 @@
+/**
+ * Logger
+ *
+ * Central application logger. Every module logs through it instead of calling
+ * console directly, so log levels and PII redaction apply in one place.
+ *
+ * Levels (lowest to highest): debug, info, warn, error, off
+ * - Logger.debug() is the verbose flow logging ("RdnaService - SetUser sync callback received")
+ * - The level is persisted in localStorage (Logs screen or Logger.setLevel())
+ *
+ * Production switch:
+ * - Set LOGGER_PRODUCTION to true for release builds
+ * - debug and info become no-ops (arguments are never formatted or printed),
+ *   the level cannot go below warn and redaction cannot be turned off
+ *
+ * Redaction (always on unless disabled for local debugging):
+ * - Object keys: user IDs, session IDs, passwords, tokens, notification
+ *   bodies/subjects, data-signing payloads and signatures, device names
+ * - JSON strings (JSON.stringify(data, null, 2) arguments) are parsed and redacted the same way
+ * - Text: JWTs, Bearer tokens, key=value / "key": "value" pairs with sensitive keys
+ * - A value after a label like 'for user:' or 'Session ID:'
+ * - Values registered with addSensitiveValue() (current user ID and session ID,
+ *   cleared by SDKEventProvider.clearSessionParams() when the session ends)
+ *
+ * Usage:
+ * ```javascript
+ * Logger.debug('RdnaService - Setting user for MFA flow:', username);  // → [REDACTED]
+ * Logger.error('SDKEventProvider - getAllChallenges failed:', error);
+ * Logger.setLevel('warn');
+ * ```
+ */
+
+/**
+ * Release build switch - strips debug/info logging entirely
+ */
+const LOGGER_PRODUCTION = false;
+
+const LOGGER_LEVEL_KEY = 'tutorial_app_log_level';
+
+const LOGGER_LEVELS = ['debug', 'info', 'warn', 'error', 'off'];
+
+const LOGGER_MASK = '[REDACTED]';
+
+/**
+ * Object keys whose values are masked
+ */
+const LOGGER_REDACTED_KEYS = [
+  /^user_?(name|id)?$/i,
+  /^session_?id$/i,
+  /^(old|new|current)?pass(word|wd|code)$/i,
+  /^pwd$/i,
+  /token/i,
+  /^jwt$/i,
+  /^authorization$/i,
+  /^(body|subject)$/i,
+  /payload/i,
+  /signature/i,
+  /^dev(ice)?_?name$/i
+];
+
+/**
+ * A string argument whose last clause names one of these and ends in ':'
+ * ('for user:', 'Setting user for MFA flow:') masks the next argument
+ */
+const LOGGER_SENSITIVE_LABEL = /\b(user|username|user ?id|session ?id|password|token|payload|subject|device ?name|logged (?:in|off|out))\b[^:]*:\s*$/i;
+
+/**
+ * Patterns masked inside text
+ */
+const LOGGER_TEXT_PATTERNS = [
+  // JWT (header.payload.signature)
+  { pattern: /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g, replacement: '[JWT]' },
+  { pattern: /\b(Bearer\s+)[A-Za-z0-9._~+/=-]+/gi, replacement: `$1${LOGGER_MASK}` },
+  // "userID": "alice" / password=secret
+  {
+    pattern: /("?\b(?:user_?(?:name|id)|session_?id|password|passcode|access_?token|refresh_?token|token|jwt)"?\s*[:=]\s*)("[^"]*"|[^\s,;&}"]+)/gi,
+    replacement: `$1${LOGGER_MASK}`
+  }
+];
+
+/**
+ * Shortest registered value that is masked (avoids masking single letters everywhere)
+ */
+const LOGGER_MIN_SENSITIVE_LENGTH = 3;
+
+const Logger = {
+  /**
+   * Current minimum level
+   * @type {string}
+   */
+  level: 'debug',
+
+  /**
+   * Release build mode
+   * @type {boolean}
+   */
+  production: LOGGER_PRODUCTION,
+
+  /**
+   * Mask PII before printing
+   * @type {boolean}
+   */
+  redact: true,
+
+  /**
+   * Exact values masked wherever they appear (current user and session)
+   * @type {Set<string>}
+   * @private
+   */
+  _sensitiveValues: new Set(),
+
+  /**
+   * Receivers of every printed line (LogStore)
+   * @type {Set<Function>}
+   * @private
+   */
+  _sinks: new Set(),
+
+  /**
+   * Apply configuration
+   *
+   * @param {Object} options
+   * @param {string} [options.level] - One of LOGGER_LEVELS
+   * @param {boolean} [options.production]
+   * @param {boolean} [options.redact] - Ignored in production (always on)
+   */
+  configure({ level, production, redact } = {}) {
+    if (production !== undefined) this.production = !!production;
+    if (redact !== undefined) this.redact = !!redact;
+    if (level !== undefined) {
+      if (!LOGGER_LEVELS.includes(level)) {
+        throw new Error(`Unknown log level: ${level}`);
+      }
+      this.level = level;
+    }
+
+    if (this.production) {
+      this.redact = true;
+      if (LOGGER_LEVELS.indexOf(this.level) < LOGGER_LEVELS.indexOf('warn')) {
+        this.level = 'warn';
+      }
+    }
+
+    this.bindMethods();
+  },
+
+  /**
+   * Change and persist the level
+   * @param {string} level - One of LOGGER_LEVELS
+   */
+  setLevel(level) {
+    this.configure({ level });
+    localStorage.setItem(LOGGER_LEVEL_KEY, this.level);
+    this.info('Logger - Level set to', this.level);
+  },
+
+  /**
+   * @returns {string}
+   */
+  getLevel() {
+    return this.level;
+  },
+
+  /**
+   * @param {string} level
+   * @returns {boolean} Whether a call at this level is printed
+   */
+  isEnabled(level) {
+    return this.level !== 'off' && LOGGER_LEVELS.indexOf(level) >= LOGGER_LEVELS.indexOf(this.level);
+  },
+
+  /**
+   * Replace disabled levels with no-ops so their arguments are never processed
+   * @private
+   */
+  bindMethods() {
+    const noop = () => {};
+    // console.log for debug keeps the lines visible with default devtools filters
+    const targets = { debug: 'log', info: 'info', warn: 'warn', error: 'error' };
+
+    Object.keys(targets).forEach((level) => {
+      this[level] = this.isEnabled(level)
+        ? (...args) => this.write(level, targets[level], args)
+        : noop;
+    });
+  },
+
+  /**
+   * @private
+   */
+  write(level, consoleMethod, args) {
+    const output = this.redact ? this.redactArgs(args) : args;
+    console[consoleMethod](...output);
+
+    if (this._sinks.size === 0) return;
+    const line = output.map((arg) => (typeof arg === 'string' ? arg : this.stringify(arg))).join(' ');
+    this._sinks.forEach((sink) => {
+      try {
+        sink(level, line);
+      } catch (error) {
+        console.error('Logger - Sink failed:', error && error.message);
+      }
+    });
+  },
+
+  /**
+   * Receive every printed (already redacted) line
+   * @param {Function} sink - (level, line) => void
+   * @returns {Function} Removes the sink
+   */
+  addSink(sink) {
+    this._sinks.add(sink);
+    return () => this._sinks.delete(sink);
+  },
+
+  /**
+   * Mask this exact value in every later log line (e.g. the logged-in user ID)
+   * @param {string} value
+   */
+  addSensitiveValue(value) {
+    if (typeof value === 'string' && value.length >= LOGGER_MIN_SENSITIVE_LENGTH) {
+      this._sensitiveValues.add(value);
+    }
+  },
+
+  /**
+   * Stop masking a value registered with addSensitiveValue()
+   * @param {string} value
+   */
+  removeSensitiveValue(value) {
+    this._sensitiveValues.delete(value);
+  },
+
+  /**
+   * Forget every registered value (session ended)
+   */
+  clearSensitiveValues() {
+    this._sensitiveValues.clear();
+  },
+
+  /**
+   * Redact console-style arguments
+   * @param {Array} args
+   * @returns {Array}
+   */
+  redactArgs(args) {
+    return args.map((arg, index) => {
+      const previous = args[index - 1];
+      if (index > 0 && typeof previous === 'string' && LOGGER_SENSITIVE_LABEL.test(previous)
+        && arg !== null && arg !== undefined && typeof arg !== 'object') {
+        return LOGGER_MASK;
+      }
+      return this.redactValue(arg);
+    });
+  },
+
+  /**
+   * Redact any value (deep copy for objects)
+   * @param {*} value
+   * @param {number} [depth=0]
+   * @returns {*}
+   */
+  redactValue(value, depth = 0) {
+    if (typeof value === 'string') {
+      return this.redactString(value);
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    if (depth > 8) {
+      return '[Object]';
+    }
+    if (value instanceof Error) {
+      return `${value.name}: ${this.redactString(value.message || '')}`;
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => this.redactValue(item, depth + 1));
+    }
+
+    const copy = {};
+    Object.keys(value).forEach((key) => {
+      const field = value[key];
+      const isSensitive = LOGGER_REDACTED_KEYS.some((pattern) => pattern.test(key));
+      copy[key] = isSensitive && field !== null && field !== undefined && field !== ''
+        ? LOGGER_MASK
+        : this.redactValue(field, depth + 1);
+    });
+    return copy;
+  },
+
+  /**
+   * Redact text, including JSON documents passed as strings
+   * @param {string} text
+   * @returns {string}
+   */
+  redactString(text) {
+    const trimmed = text.trim();
+    if ((trimmed.startsWith('{') && trimmed.endsWith('}')) || (trimmed.startsWith('[') && trimmed.endsWith(']'))) {
+      try {
+        const redacted = this.redactValue(JSON.parse(trimmed), 1);
+        return JSON.stringify(redacted, null, text.includes('\n') ? 2 : 0);
+      } catch (error) {
+        // Not JSON - fall through to the text patterns
+      }
+    }
+
+    let result = text;
+    LOGGER_TEXT_PATTERNS.forEach(({ pattern, replacement }) => {
+      result = result.replace(pattern, replacement);
+    });
+    this._sensitiveValues.forEach((value) => {
+      result = result.split(value).join(LOGGER_MASK);
+    });
+    return result;
+  },
+
+  /**
+   * @private
+   */
+  stringify(value) {
+    if (value === undefined) return 'undefined';
+    try {
+      return JSON.stringify(value);
+    } catch (error) {
+      return String(value);
+    }
+  }
+};
+
+Logger.configure({
+  level: (typeof localStorage !== 'undefined' && LOGGER_LEVELS.includes(localStorage.getItem(LOGGER_LEVEL_KEY)))
+    ? localStorage.getItem(LOGGER_LEVEL_KEY)
+    : (LOGGER_PRODUCTION ? 'warn' : 'debug')
+});
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.Logger = Logger;
+}
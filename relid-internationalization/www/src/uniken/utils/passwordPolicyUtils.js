@@ -111,7 +111,7 @@ function parseAndGeneratePolicyMessage(policyJsonString) {
     const policy = JSON.parse(policyJsonString);
     return generatePasswordPolicyMessage(policy);
   } catch (error) {
-    console.error('Failed to parse password policy JSON:', error);
+    Logger.error('Failed to parse password policy JSON:', error);
     return 'Please enter a secure password according to your organization\'s policy';
   }
 }
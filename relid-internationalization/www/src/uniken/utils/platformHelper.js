@@ -43,25 +43,25 @@ function isAndroidPlatform() {
 function exitApp() {
   const platform = getPlatformId();
 
-  console.log('platformHelper - exitApp called on platform:', platform);
+  Logger.debug('platformHelper - exitApp called on platform:', platform);
 
   if (platform === 'android') {
     // Use cordova-plugin-app-exit if available
     if (typeof navigator !== 'undefined' && navigator.app && navigator.app.exitApp) {
-      console.log('platformHelper - Calling navigator.app.exitApp()');
+      Logger.debug('platformHelper - Calling navigator.app.exitApp()');
       navigator.app.exitApp();
     } else if (typeof navigator !== 'undefined' && navigator.device && navigator.device.exitApp) {
-      console.log('platformHelper - Calling navigator.device.exitApp()');
+      Logger.debug('platformHelper - Calling navigator.device.exitApp()');
       navigator.device.exitApp();
     } else {
-      console.warn('platformHelper - No exit API available');
+      Logger.warn('platformHelper - No exit API available');
     }
   } else if (platform === 'ios') {
-    console.log('platformHelper - iOS does not support programmatic exit (HIG compliance)');
+    Logger.debug('platformHelper - iOS does not support programmatic exit (HIG compliance)');
     // iOS apps should not exit programmatically
     // Instead, navigate to SecurityExitScreen for user guidance
   } else {
-    console.warn('platformHelper - exitApp not supported on platform:', platform);
+    Logger.warn('platformHelper - exitApp not supported on platform:', platform);
   }
 }
 
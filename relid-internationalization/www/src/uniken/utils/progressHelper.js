@@ -83,3 +83,22 @@ function getProgressMessage(data) {
 
   return primaryMessage;
 }
+
+/**
+ * Messages for the steps of rdnaService.reinitialize()
+ */
+const LIFECYCLE_PROGRESS_MESSAGES = {
+  loggingOff: 'Logging off the current user...',
+  terminating: 'Closing the current SDK session...',
+  resetting: 'Clearing session state...',
+  initializing: 'Starting RDNA initialization...'
+};
+
+/**
+ * Lifecycle Progress Message Helper
+ * @param {string} step - 'loggingOff' | 'terminating' | 'resetting' | 'initializing'
+ * @returns {string} User-friendly progress message
+ */
+function getLifecycleProgressMessage(step) {
+  return LIFECYCLE_PROGRESS_MESSAGES[step] || step;
+}
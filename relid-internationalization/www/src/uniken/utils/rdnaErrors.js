@@ -0,0 +1,241 @@
+/**
+ * REL-ID Error Catalog
+ *
+ * Structured error type raised by rdnaService and the SDK response handlers,
+ * plus the central catalog that maps SDK codes to a category, a retryable flag
+ * and a localized, user-facing message.
+ *
+ * The SDK reports failures in two separate code spaces, so the catalog keeps
+ * them apart:
+ * - longErrorCode - error.longErrorCode of a sync callback or async event
+ * - statusCode    - pArgs.response.StatusCode, status.statusCode or
+ *                   challengeResponse.status.statusCode of an async event
+ *
+ * Codes that are not in the catalog fall back to the SDK's own errorString /
+ * StatusMsg, which the SDK already localizes to the initialized locale.
+ */
+
+/**
+ * Error categories
+ * @enum {string}
+ */
+const RDNA_ERROR_CATEGORY = {
+  NETWORK: 'network',
+  AUTH: 'auth',
+  POLICY: 'policy',
+  COOLING_PERIOD: 'cooling-period',
+  THREAT: 'threat',
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * Code → { category, retryable, messageId }
+ *
+ * retryable means the same call can reasonably be repeated by the user
+ * (after fixing input, waiting, or restoring connectivity) without re-login.
+ */
+const RDNA_ERROR_CATALOG = {
+  longErrorCodes: {
+    5: { category: RDNA_ERROR_CATEGORY.AUTH, retryable: false, messageId: 'sessionExpired' },
+    12: { category: RDNA_ERROR_CATEGORY.NETWORK, retryable: true, messageId: 'serverUnreachable' },
+    56: { category: RDNA_ERROR_CATEGORY.NETWORK, retryable: true, messageId: 'networkUnavailable' },
+    57: { category: RDNA_ERROR_CATEGORY.NETWORK, retryable: true, messageId: 'requestTimedOut' },
+    62: { category: RDNA_ERROR_CATEGORY.NETWORK, retryable: true, messageId: 'requestTimedOut' },
+    91: { category: RDNA_ERROR_CATEGORY.AUTH, retryable: true, messageId: 'authLockedOut' },
+    94: { category: RDNA_ERROR_CATEGORY.AUTH, retryable: true, messageId: 'authLockedOut' },
+    126: { category: RDNA_ERROR_CATEGORY.AUTH, retryable: true, messageId: 'authFailed' },
+    131: { category: RDNA_ERROR_CATEGORY.AUTH, retryable: true, messageId: 'authCancelled' },
+    133: { category: RDNA_ERROR_CATEGORY.AUTH, retryable: true, messageId: 'authLockedOut' },
+    136: { category: RDNA_ERROR_CATEGORY.AUTH, retryable: true, messageId: 'authLockedOut' },
+    141: { category: RDNA_ERROR_CATEGORY.POLICY, retryable: true, messageId: 'passwordPolicy' },
+    145: { category: RDNA_ERROR_CATEGORY.THREAT, retryable: false, messageId: 'deviceInsecure' },
+    148: { category: RDNA_ERROR_CATEGORY.POLICY, retryable: false, messageId: 'deviceBlocked' },
+    150: { category: RDNA_ERROR_CATEGORY.AUTH, retryable: false, messageId: 'attemptsExhausted' },
+    153: { category: RDNA_ERROR_CATEGORY.POLICY, retryable: false, messageId: 'alreadyInState' },
+    158: { category: RDNA_ERROR_CATEGORY.AUTH, retryable: true, messageId: 'authFailed' },
+    162: { category: RDNA_ERROR_CATEGORY.POLICY, retryable: false, messageId: 'deviceLimitReached' },
+    163: { category: RDNA_ERROR_CATEGORY.NETWORK, retryable: true, messageId: 'serverError' },
+    180: { category: RDNA_ERROR_CATEGORY.NETWORK, retryable: true, messageId: 'serverUnreachable' },
+    209: { category: RDNA_ERROR_CATEGORY.NETWORK, retryable: true, messageId: 'serverUnreachable' },
+    214: { category: RDNA_ERROR_CATEGORY.POLICY, retryable: false, messageId: 'authMethodUnsupported' },
+    218: { category: RDNA_ERROR_CATEGORY.THREAT, retryable: false, messageId: 'deviceInsecure' }
+  },
+  statusCodes: {
+    102: { category: RDNA_ERROR_CATEGORY.AUTH, retryable: true, messageId: 'authFailed' },
+    106: { category: RDNA_ERROR_CATEGORY.AUTH, retryable: true, messageId: 'authFailed' },
+    110: { category: RDNA_ERROR_CATEGORY.AUTH, retryable: false, messageId: 'passwordExpired' },
+    118: { category: RDNA_ERROR_CATEGORY.POLICY, retryable: false, messageId: 'passwordExpired' },
+    146: { category: RDNA_ERROR_CATEGORY.COOLING_PERIOD, retryable: true, messageId: 'coolingPeriod' },
+    153: { category: RDNA_ERROR_CATEGORY.AUTH, retryable: false, messageId: 'attemptsExhausted' }
+  },
+  // Failures that do not come with an SDK code
+  generic: {
+    timeout: { category: RDNA_ERROR_CATEGORY.NETWORK, retryable: true, messageId: 'requestTimedOut' },
+    cancelled: { category: RDNA_ERROR_CATEGORY.UNKNOWN, retryable: true, messageId: 'operationCancelled' },
+    payload: { category: RDNA_ERROR_CATEGORY.UNKNOWN, retryable: true, messageId: 'unexpectedResponse' },
+    busy: { category: RDNA_ERROR_CATEGORY.UNKNOWN, retryable: true, messageId: 'operationInProgress' },
+    unknown: { category: RDNA_ERROR_CATEGORY.UNKNOWN, retryable: false, messageId: 'unknown' }
+  }
+};
+
+/**
+ * Error raised by rdnaService and the SDK response handlers.
+ *
+ * The type tells callers which layer failed:
+ * - 'sync'      - the sync callback of the underlying API returned an error
+ * - 'api'       - the async event carried error.longErrorCode !== 0
+ * - 'status'    - the async event carried a non-success status code
+ *                 (pArgs.response.StatusCode or status.statusCode)
+ * - 'timeout'   - the async event did not arrive within timeoutMs
+ * - 'cancelled' - the caller aborted through the supplied AbortSignal
+ * - 'payload'   - the async event did not match its schema (production mode,
+ *                 see EventSchemaValidator)
+ * - 'busy'      - a conflicting call was still in flight (operation guard in
+ *                 rdnaService), the in-flight call is on .operation
+ *
+ * category, retryable and messageId come from RDNA_ERROR_CATALOG, the text of
+ * getUserMessage() from the ERROR_MESSAGES bundles (errorMessages.js).
+ * The raw SDK error block is kept on .error so existing
+ * `error.error?.errorString` callers keep working.
+ */
+class RdnaError extends Error {
+  /**
+   * @param {string} type - 'sync' | 'api' | 'status' | 'timeout' | 'cancelled' | 'payload' | 'busy'
+   * @param {string} message - Developer message (errorString / StatusMsg)
+   * @param {Object} [details]
+   * @param {string} [details.eventName] - Async event that was awaited
+   * @param {number} [details.longErrorCode] - error.longErrorCode from SDK
+   * @param {number} [details.shortErrorCode] - error.shortErrorCode from SDK
+   * @param {number} [details.statusCode] - StatusCode / statusCode from SDK
+   * @param {Object} [details.response] - Raw sync response or async event payload
+   */
+  constructor(type, message, details = {}) {
+    super(message);
+    this.name = 'RdnaError';
+    this.type = type;
+    this.eventName = details.eventName || null;
+    this.longErrorCode = details.longErrorCode !== undefined ? details.longErrorCode : null;
+    this.shortErrorCode = details.shortErrorCode !== undefined ? details.shortErrorCode : null;
+    this.statusCode = details.statusCode !== undefined ? details.statusCode : null;
+    this.response = details.response || null;
+    this.error = this.response?.error || (this.longErrorCode !== null ? {
+      longErrorCode: this.longErrorCode,
+      shortErrorCode: this.shortErrorCode,
+      errorString: message
+    } : null);
+
+    const entry = RdnaError.lookup(type, this.longErrorCode, this.statusCode);
+    this.category = entry.category;
+    this.retryable = entry.retryable;
+    this.messageId = entry.messageId;
+    this.isCataloged = entry !== RDNA_ERROR_CATALOG.generic.unknown;
+  }
+
+  /**
+   * Finds the catalog entry for a failure, falling back to the generic unknown entry
+   *
+   * @param {string} type - Failing layer (see class doc)
+   * @param {number|null} longErrorCode
+   * @param {number|null} statusCode
+   * @returns {{category: string, retryable: boolean, messageId: string}}
+   */
+  static lookup(type, longErrorCode, statusCode) {
+    const { longErrorCodes, statusCodes, generic } = RDNA_ERROR_CATALOG;
+
+    if (type === 'timeout' || type === 'cancelled' || type === 'payload' || type === 'busy') {
+      return generic[type];
+    }
+    if (type === 'status' && statusCodes[statusCode]) {
+      return statusCodes[statusCode];
+    }
+    if (type !== 'status' && longErrorCodes[longErrorCode]) {
+      return longErrorCodes[longErrorCode];
+    }
+    return generic.unknown;
+  }
+
+  /**
+   * Builds an error from a failed sync response ({ error: { longErrorCode, ... } })
+   *
+   * @param {Object} result - Parsed sync callback payload
+   * @returns {RdnaError}
+   */
+  static fromSyncResponse(result) {
+    const errorInfo = result?.error || {};
+    return new RdnaError('sync', errorInfo.errorString || 'SDK call failed', {
+      longErrorCode: errorInfo.longErrorCode,
+      shortErrorCode: errorInfo.shortErrorCode,
+      response: result
+    });
+  }
+
+  /**
+   * Applies the two-layer validation to an async event payload
+   *
+   * @param {string} eventName - Event the payload came from
+   * @param {Object} data - Parsed event payload
+   * @param {number[]} [successCodes=[100]] - Status codes treated as success
+   * @returns {RdnaError|null} Error describing the failed layer, or null on success
+   */
+  static fromEvent(eventName, data, successCodes = [100]) {
+    // Layer 1: API-level error (error.longErrorCode)
+    if (data?.error && data.error.longErrorCode !== 0) {
+      return new RdnaError('api', data.error.errorString || 'API error occurred', {
+        eventName,
+        longErrorCode: data.error.longErrorCode,
+        shortErrorCode: data.error.shortErrorCode,
+        response: data
+      });
+    }
+
+    // Layer 2: Status code - pArgs.response.StatusCode or status.statusCode depending on event
+    const statusCode = data?.pArgs?.response?.StatusCode ?? data?.status?.statusCode;
+    if (statusCode !== undefined && !successCodes.includes(statusCode)) {
+      const statusMsg = data?.pArgs?.response?.StatusMsg || data?.status?.statusMessage || 'Operation failed';
+      return new RdnaError('status', statusMsg, { eventName, statusCode, response: data });
+    }
+
+    return null;
+  }
+
+  /**
+   * Returns the message to show the user, in the app's current language
+   *
+   * Cataloged codes use ERROR_MESSAGES; anything else shows the SDK's own
+   * message, which is already localized to the initialized locale.
+   *
+   * @param {string} [languageCode] - Locale such as 'es-ES' (defaults to LanguageManager's current language)
+   * @returns {string}
+   */
+  getUserMessage(languageCode) {
+    if (!this.isCataloged && this.message) {
+      return this.message;
+    }
+    return getRdnaErrorMessage(this.messageId, languageCode);
+  }
+}
+
+/**
+ * Resolves a catalog message in the requested (or current) language
+ *
+ * The locale is matched against the configured languages (DEFAULT_SUPPORTED_LANGUAGES,
+ * 'es' or 'es-MX' → 'es-ES'); the text comes from that language's ERROR_MESSAGES
+ * bundle, falling back to DEFAULT_LANGUAGE.
+ *
+ * @param {string} messageId - Message id from RDNA_ERROR_CATALOG
+ * @param {string} [languageCode] - Locale such as 'hi-IN'
+ * @returns {string}
+ */
+function getRdnaErrorMessage(messageId, languageCode) {
+  const { DEFAULT_SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, getLanguageByCode } = languageConfig;
+  let locale = languageCode;
+
+  if (!locale && typeof LanguageManager !== 'undefined') {
+    locale = LanguageManager.getCurrentLanguage()?.lang;
+  }
+
+  const language = getLanguageByCode(locale || DEFAULT_LANGUAGE.lang, DEFAULT_SUPPORTED_LANGUAGES);
+  const messages = ERROR_MESSAGES[language.lang] || {};
+  const fallback = ERROR_MESSAGES[DEFAULT_LANGUAGE.lang];
+  return messages[messageId] || fallback[messageId] || messages.unknown || fallback.unknown;
+}
@@ -0,0 +1,461 @@
+/**
+ * REL-ID Event Schemas
+ *
+ * One JSON Schema per SDK event payload (the parsed object RdnaEventManager
+ * dispatches). RdnaEventManager validates every payload against its schema
+ * before any handler runs - see EventSchemaValidator for what happens on a
+ * mismatch.
+ *
+ * Supported keywords (a JSON Schema subset): type (string or list; 'integer'
+ * is a whole number), properties, required, items, enum, const, anyOf,
+ * if/then, description.
+ *
+ * Non-standard keyword:
+ * - typedef - JSDoc typedef name generated for the schema
+ *   (`npm run generate:event-types` → src/uniken/types/rdnaEventTypes.js)
+ *
+ * Only fields the app reads are required, so additive plugin changes pass.
+ * Fields that only exist on success are required through if/then.
+ */
+
+const RDNA_SCHEMA_ERROR = {
+  typedef: 'RDNAErrorInfo',
+  description: 'API-level error of an event (longErrorCode 0 = success)',
+  type: 'object',
+  required: ['longErrorCode'],
+  properties: {
+    longErrorCode: { type: 'integer', description: '0 = success' },
+    shortErrorCode: { type: 'integer' },
+    errorString: { type: 'string' }
+  }
+};
+
+const RDNA_SCHEMA_STATUS = {
+  typedef: 'RDNAStatus',
+  description: 'Server status of an event (statusCode 100 = success)',
+  type: 'object',
+  required: ['statusCode'],
+  properties: {
+    statusCode: { type: 'integer', description: '100 = success' },
+    statusMessage: { type: 'string' }
+  }
+};
+
+const RDNA_SCHEMA_SESSION = {
+  typedef: 'RDNASession',
+  type: 'object',
+  required: ['sessionID'],
+  properties: {
+    sessionType: { type: 'integer', description: '0 = app session, 1 = user session' },
+    sessionID: { type: 'string' }
+  }
+};
+
+const RDNA_SCHEMA_CHALLENGE_INFO = {
+  typedef: 'RDNAChallengeInfo',
+  description: 'Key/value pair such as RELID_PASSWORD_POLICY',
+  type: 'object',
+  required: ['key'],
+  properties: {
+    key: { type: 'string' },
+    value: { type: 'string' }
+  }
+};
+
+const RDNA_SCHEMA_CHALLENGE_RESPONSE = {
+  typedef: 'RDNAChallengeResponse',
+  type: 'object',
+  required: ['status'],
+  properties: {
+    status: RDNA_SCHEMA_STATUS,
+    session: RDNA_SCHEMA_SESSION,
+    additionalInfo: { type: 'object' },
+    challengeInfo: { type: 'array', items: RDNA_SCHEMA_CHALLENGE_INFO }
+  }
+};
+
+const RDNA_SCHEMA_THREAT = {
+  typedef: 'RDNAThreatInfo',
+  type: 'object',
+  required: ['threatId'],
+  properties: {
+    threatName: { type: 'string' },
+    threatMsg: { type: 'string' },
+    threatId: { type: ['string', 'integer'] },
+    threatCategory: { type: 'string', description: '"SYSTEM", "APPLICATION", "NETWORK"' },
+    threatSeverity: { type: 'string', description: '"HIGH", "MEDIUM", "LOW"' },
+    threatReason: { type: ['string', 'array'], items: { type: 'string' } },
+    shouldProceedWithThreats: { type: ['boolean', 'integer'], description: 'Set by app before takeActionOnThreats' },
+    rememberActionForSession: { type: ['boolean', 'integer'], description: 'Set by app before takeActionOnThreats' },
+    appInfo: { type: 'object' },
+    networkInfo: { type: 'object' }
+  }
+};
+
+const RDNA_SCHEMA_THREATS_ENVELOPE = {
+  typedef: 'RDNAThreatsEnvelope',
+  type: 'object',
+  required: ['threats'],
+  properties: {
+    threats: { type: 'array', items: RDNA_SCHEMA_THREAT }
+  }
+};
+
+/**
+ * Threat events arrive either as a bare array or wrapped in { threats }
+ * @param {string} typedef
+ * @returns {Object} Schema
+ */
+function rdnaThreatsSchema(typedef) {
+  return {
+    typedef,
+    anyOf: [
+      { type: 'array', items: RDNA_SCHEMA_THREAT },
+      RDNA_SCHEMA_THREATS_ENVELOPE
+    ]
+  };
+}
+
+/**
+ * Server-backed events: { errCode, error, eMethId, pArgs: { response: { StatusCode, StatusMsg, ResponseData } } }
+ * pArgs is required when error.longErrorCode is 0, ResponseData when StatusCode is 100.
+ *
+ * @param {string} typedef
+ * @param {Object} responseData - Schema of pArgs.response.ResponseData
+ * @returns {Object} Schema
+ */
+function rdnaServerResponseSchema(typedef, responseData) {
+  return {
+    typedef,
+    type: 'object',
+    required: ['error'],
+    properties: {
+      errCode: { type: 'integer' },
+      error: RDNA_SCHEMA_ERROR,
+      eMethId: { type: 'integer' },
+      pArgs: {
+        type: 'object',
+        required: ['response'],
+        properties: {
+          response: {
+            type: 'object',
+            required: ['StatusCode'],
+            properties: {
+              StatusCode: { type: 'integer', description: '100 = success' },
+              StatusMsg: { type: 'string' },
+              CredOpMode: { type: 'integer' },
+              ResponseData: responseData
+            },
+            if: { properties: { StatusCode: { const: 100 } } },
+            then: { required: ['ResponseData'] }
+          }
+        }
+      }
+    },
+    if: { properties: { error: { properties: { longErrorCode: { const: 0 } } } } },
+    then: { required: ['pArgs'] }
+  };
+}
+
+const RDNA_EVENT_SCHEMAS = {
+  onInitializeProgress: {
+    typedef: 'RDNAProgressData',
+    type: 'object',
+    required: ['initializeStatus'],
+    properties: {
+      systemThreatCheckStatus: { type: 'string' },
+      appThreatCheckStatus: { type: 'string' },
+      networkThreatCheckStatus: { type: 'string' },
+      initializeStatus: { type: 'string', description: 'e.g. "STARTED", "COMPLETED"' }
+    }
+  },
+
+  onInitializeError: {
+    typedef: 'RDNAInitializeErrorData',
+    type: 'object',
+    required: ['longErrorCode'],
+    properties: {
+      longErrorCode: { type: 'integer' },
+      shortErrorCode: { type: 'integer' },
+      errorString: { type: 'string' }
+    }
+  },
+
+  onInitialized: {
+    typedef: 'RDNAInitializedData',
+    type: 'object',
+    required: ['status', 'session', 'additionalInfo'],
+    properties: {
+      status: RDNA_SCHEMA_STATUS,
+      session: RDNA_SCHEMA_SESSION,
+      additionalInfo: {
+        type: 'object',
+        required: ['supportedLanguage'],
+        properties: {
+          supportedLanguage: { type: 'array', items: { type: 'object' }, description: 'Languages the server supports' },
+          selectedLanguage: { type: 'string' }
+        }
+      },
+      challengeInfo: { type: 'array', items: RDNA_SCHEMA_CHALLENGE_INFO },
+      error: RDNA_SCHEMA_ERROR
+    }
+  },
+
+  onUserConsentThreats: rdnaThreatsSchema('RDNAUserConsentThreatsData'),
+
+  onTerminateWithThreats: rdnaThreatsSchema('RDNATerminateWithThreatsData'),
+
+  getUser: {
+    typedef: 'RDNAGetUserData',
+    type: 'object',
+    required: ['challengeResponse', 'error'],
+    properties: {
+      recentLoggedInUser: { type: 'string' },
+      rememberedUsers: { type: 'array', items: { type: 'string' } },
+      challengeResponse: RDNA_SCHEMA_CHALLENGE_RESPONSE,
+      error: RDNA_SCHEMA_ERROR
+    }
+  },
+
+  getActivationCode: {
+    typedef: 'RDNAGetActivationCodeData',
+    type: 'object',
+    required: ['userID', 'challengeResponse', 'error'],
+    properties: {
+      userID: { type: 'string' },
+      verificationKey: { type: 'string' },
+      attemptsLeft: { type: 'integer' },
+      challengeResponse: RDNA_SCHEMA_CHALLENGE_RESPONSE,
+      error: RDNA_SCHEMA_ERROR
+    }
+  },
+
+  getUserConsentForLDA: {
+    typedef: 'RDNAGetUserConsentForLDAData',
+    type: 'object',
+    required: ['userID', 'challengeMode', 'authenticationType', 'error'],
+    properties: {
+      userID: { type: 'string' },
+      challengeMode: { type: 'integer', description: '16 = LDA toggling, otherwise login' },
+      authenticationType: { type: 'integer' },
+      challengeResponse: RDNA_SCHEMA_CHALLENGE_RESPONSE,
+      error: RDNA_SCHEMA_ERROR
+    }
+  },
+
+  getPassword: {
+    typedef: 'RDNAGetPasswordData',
+    type: 'object',
+    required: ['userID', 'challengeMode', 'challengeResponse', 'error'],
+    properties: {
+      userID: { type: 'string' },
+      challengeMode: { type: 'integer', description: '0 verify, 1 set, 2 update, 3 step-up, 4 expired, 12 data signing, ...' },
+      attemptsLeft: { type: 'integer' },
+      challengeResponse: RDNA_SCHEMA_CHALLENGE_RESPONSE,
+      error: RDNA_SCHEMA_ERROR
+    }
+  },
+
+  onUserLoggedIn: {
+    typedef: 'RDNAUserLoggedInData',
+    type: 'object',
+    required: ['userID', 'challengeResponse', 'error'],
+    properties: {
+      userID: { type: 'string' },
+      challengeResponse: {
+        type: 'object',
+        required: ['status', 'session', 'additionalInfo'],
+        properties: {
+          status: RDNA_SCHEMA_STATUS,
+          session: RDNA_SCHEMA_SESSION,
+          additionalInfo: {
+            type: 'object',
+            properties: {
+              jwtJsonTokenInfo: { type: 'string', description: 'JSON string with access_token, token_type, expires_in' }
+            }
+          },
+          challengeInfo: { type: 'array', items: RDNA_SCHEMA_CHALLENGE_INFO }
+        }
+      },
+      error: RDNA_SCHEMA_ERROR
+    }
+  },
+
+  onUserLoggedOff: {
+    typedef: 'RDNAUserLoggedOffData',
+    type: 'object',
+    required: ['error'],
+    properties: {
+      userID: { type: 'string' },
+      challengeResponse: RDNA_SCHEMA_CHALLENGE_RESPONSE,
+      error: RDNA_SCHEMA_ERROR
+    }
+  },
+
+  onSessionTimeout: {
+    typedef: 'RDNASessionTimeoutData',
+    description: 'Built by RdnaEventManager - the plugin sends a plain string',
+    type: 'object',
+    required: ['message'],
+    properties: {
+      message: { type: 'string' },
+      userID: { type: ['string', 'null'] }
+    }
+  },
+
+  onSessionTimeOutNotification: {
+    typedef: 'RDNASessionTimeoutNotificationData',
+    type: 'object',
+    required: ['timeLeftInSeconds', 'sessionCanBeExtended'],
+    properties: {
+      userID: { type: 'string' },
+      timeLeftInSeconds: { type: 'integer' },
+      sessionCanBeExtended: { type: ['integer', 'boolean'], description: '1 = can be extended' },
+      message: { type: 'string' },
+      status: RDNA_SCHEMA_STATUS,
+      error: RDNA_SCHEMA_ERROR
+    }
+  },
+
+  onSessionExtensionResponse: {
+    typedef: 'RDNASessionExtensionResponseData',
+    type: 'object',
+    required: ['status', 'error'],
+    properties: {
+      status: RDNA_SCHEMA_STATUS,
+      error: RDNA_SCHEMA_ERROR
+    }
+  },
+
+  addNewDeviceOptions: {
+    typedef: 'RDNAAddNewDeviceOptionsData',
+    type: 'object',
+    required: ['userID', 'newDeviceOptions'],
+    properties: {
+      userID: { type: 'string' },
+      newDeviceOptions: { type: 'array', items: { type: 'string' } },
+      challengeMode: { type: 'integer' },
+      error: RDNA_SCHEMA_ERROR
+    }
+  },
+
+  onGetNotifications: rdnaServerResponseSchema('RDNAGetNotificationsData', {
+    type: 'object',
+    required: ['notifications'],
+    properties: {
+      notifications: { type: 'array', items: { type: 'object' } }
+    }
+  }),
+
+  onUpdateNotification: rdnaServerResponseSchema('RDNAUpdateNotificationData', { type: 'object' }),
+
+  onGetNotificationsHistory: rdnaServerResponseSchema('RDNAGetNotificationHistoryData', {
+    type: 'object',
+    required: ['history'],
+    properties: {
+      history: { type: 'array', items: { type: 'object' } }
+    }
+  }),
+
+  onCredentialsAvailableForUpdate: {
+    typedef: 'RDNACredentialsAvailableForUpdateData',
+    type: 'object',
+    required: ['options', 'error'],
+    properties: {
+      userID: { type: 'string' },
+      options: { type: 'array', items: { type: 'string' }, description: 'e.g. ["Password"]' },
+      error: RDNA_SCHEMA_ERROR
+    }
+  },
+
+  onUpdateCredentialResponse: {
+    typedef: 'RDNAUpdateCredentialResponseData',
+    type: 'object',
+    required: ['status', 'error'],
+    properties: {
+      userID: { type: 'string' },
+      credType: { type: 'string' },
+      status: RDNA_SCHEMA_STATUS,
+      error: RDNA_SCHEMA_ERROR
+    }
+  },
+
+  onDeviceAuthManagementStatus: {
+    typedef: 'RDNADeviceAuthManagementStatusData',
+    type: 'object',
+    required: ['OpMode', 'ldaType', 'status', 'error'],
+    properties: {
+      userID: { type: 'string' },
+      OpMode: { type: 'integer', description: '1 = enabled, 0 = disabled' },
+      ldaType: { type: 'integer' },
+      status: RDNA_SCHEMA_STATUS,
+      error: RDNA_SCHEMA_ERROR
+    }
+  },
+
+  onAuthenticateUserAndSignData: {
+    typedef: 'RDNAAuthenticateUserAndSignData',
+    type: 'object',
+    required: ['status', 'error'],
+    properties: {
+      dataPayload: { type: 'string' },
+      dataPayloadLength: { type: 'integer' },
+      reason: { type: 'string' },
+      payloadSignature: { type: 'string', description: 'Base64 signature (success only)' },
+      dataSignatureID: { type: 'string', description: 'Success only' },
+      authLevel: { type: 'integer' },
+      authenticationType: { type: 'integer' },
+      status: RDNA_SCHEMA_STATUS,
+      error: RDNA_SCHEMA_ERROR
+    },
+    if: {
+      properties: {
+        error: { properties: { longErrorCode: { const: 0 } } },
+        status: { properties: { statusCode: { const: 100 } } }
+      }
+    },
+    then: { required: ['payloadSignature', 'dataSignatureID'] }
+  },
+
+  onGetRegistredDeviceDetails: rdnaServerResponseSchema('RDNAGetRegisteredDeviceDetailsData', {
+    type: 'object',
+    required: ['device'],
+    properties: {
+      device: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['devUUID'],
+          properties: {
+            devUUID: { type: 'string' },
+            devName: { type: 'string' },
+            status: { type: 'string' },
+            currentDevice: { type: ['boolean', 'integer'] }
+          }
+        }
+      },
+      deviceManagementCoolingPeriodEndTimestamp: { type: 'integer', description: 'ms, 0 = no cooling period' }
+    }
+  }),
+
+  onUpdateDeviceDetails: rdnaServerResponseSchema('RDNAUpdateDeviceDetailsData', { type: 'object' }),
+
+  onSetLanguageResponse: {
+    typedef: 'RDNASetLanguageResponseData',
+    type: 'object',
+    required: ['status', 'error'],
+    properties: {
+      localeCode: { type: 'string' },
+      localeName: { type: 'string' },
+      languageDirection: { type: ['integer', 'string'], description: '0 = LTR, 1 = RTL (some plugin versions send "LTR"/"RTL")' },
+      supportedLanguages: { type: 'array', items: { type: 'object' } },
+      status: RDNA_SCHEMA_STATUS,
+      error: RDNA_SCHEMA_ERROR
+    }
+  }
+};
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.RDNA_EVENT_SCHEMAS = RDNA_EVENT_SCHEMAS;
+}
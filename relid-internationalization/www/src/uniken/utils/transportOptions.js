@@ -0,0 +1,224 @@
+/**
+ * Transport Options
+ *
+ * Validation for the initialize() arguments that are not part of the connection
+ * profile itself: cipher specs and salt, proxy settings, client SSL certificate
+ * and SDK log level. They can come from three places (later wins):
+ *
+ * 1. A Profiles entry in agent_info.json (CipherSpecs, CipherSalt, ProxySettings,
+ *    SSLCertificate, LogLevel)
+ * 2. The Advanced settings screen (TransportSettingsManager, per profile)
+ * 3. The transportOptions argument of rdnaService.initialize()
+ *
+ * @typedef {Object} ProxySettings
+ * @property {string} host - Proxy hostname or IP
+ * @property {number} port - 1-65535
+ * @property {string} [username] - Only for authenticating proxies
+ * @property {string} [password]
+ *
+ * @typedef {Object} SSLCertificate
+ * @property {string} data - Base64 encoded PKCS#12 (.p12) client certificate
+ * @property {string} password - Password of the .p12
+ *
+ * @typedef {Object} TransportOptions
+ * @property {string} cipherSpecs - Encryption format string ('' = SDK default)
+ * @property {string} cipherSalt - Cryptographic salt ('' = SDK default)
+ * @property {ProxySettings|null} proxySettings
+ * @property {SSLCertificate|null} sslCertificate
+ * @property {string} logLevel - RDNALoggingLevel key, e.g. 'RDNA_NO_LOGS'
+ */
+
+/**
+ * Values used when nothing else is configured (what initialize() always sent before)
+ * @type {TransportOptions}
+ */
+const DEFAULT_TRANSPORT_OPTIONS = {
+  cipherSpecs: '',
+  cipherSalt: '',
+  proxySettings: null,
+  sslCertificate: null,
+  logLevel: 'RDNA_NO_LOGS'
+};
+
+/**
+ * RDNALoggingLevel keys, from least to most restrictive
+ */
+const RDNA_LOG_LEVELS = [
+  'RDNA_NO_LOGS',
+  'RDNA_LOG_VERBOSE',
+  'RDNA_LOG_DEBUG',
+  'RDNA_LOG_INFO',
+  'RDNA_LOG_WARN',
+  'RDNA_LOG_ERROR'
+];
+
+const MAX_CIPHER_FIELD_LENGTH = 256;
+
+/**
+ * Validates proxy settings given as an object or a JSON string
+ *
+ * @param {ProxySettings|string|null|undefined} value
+ * @returns {ProxySettings|null} Normalized settings, null when not configured
+ * @throws {Error} When the JSON or a field is invalid
+ */
+function validateProxySettings(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  let proxy = value;
+  if (typeof value === 'string') {
+    try {
+      proxy = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`Proxy settings are not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (!proxy || typeof proxy !== 'object' || Array.isArray(proxy)) {
+    throw new Error('Proxy settings must be an object with host and port');
+  }
+
+  const host = typeof proxy.host === 'string' ? proxy.host.trim() : '';
+  if (!host || /\s|\/|:\/\//.test(host)) {
+    throw new Error('Proxy host must be a hostname or IP address without scheme or path');
+  }
+
+  const port = typeof proxy.port === 'string' ? parseInt(proxy.port, 10) : proxy.port;
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`Proxy port must be between 1 and 65535: ${proxy.port}`);
+  }
+
+  const username = proxy.username ? String(proxy.username) : '';
+  const password = proxy.password ? String(proxy.password) : '';
+  if (password && !username) {
+    throw new Error('Proxy password requires a username');
+  }
+
+  return { host, port, username, password };
+}
+
+/**
+ * Validates a client SSL certificate given as an object or a JSON string
+ *
+ * @param {SSLCertificate|string|null|undefined} value
+ * @returns {SSLCertificate|null} Normalized certificate, null when not configured
+ * @throws {Error} When the data is not base64 or the password is missing
+ */
+function validateSslCertificate(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  let certificate = value;
+  if (typeof value === 'string') {
+    try {
+      certificate = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`SSL certificate settings are not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (!certificate || typeof certificate !== 'object' || Array.isArray(certificate)) {
+    throw new Error('SSL certificate must be an object with data and password');
+  }
+
+  // Accept PEM-style line breaks, store without them
+  const data = typeof certificate.data === 'string' ? certificate.data.replace(/\s+/g, '') : '';
+  if (!data) {
+    throw new Error('SSL certificate data is empty');
+  }
+  if (data.length % 4 !== 0 || !/^[A-Za-z0-9+/]+={0,2}$/.test(data)) {
+    throw new Error('SSL certificate data must be the base64 encoded .p12 file');
+  }
+
+  if (typeof certificate.password !== 'string' || certificate.password === '') {
+    throw new Error('SSL certificate password is required');
+  }
+
+  return { data, password: certificate.password };
+}
+
+/**
+ * Validates and completes transport options
+ *
+ * @param {Partial<TransportOptions>} [options]
+ * @returns {TransportOptions} Every field set, defaults for the missing ones
+ * @throws {Error} Naming the first invalid field
+ */
+function validateTransportOptions(options = {}) {
+  const merged = { ...DEFAULT_TRANSPORT_OPTIONS, ...options };
+
+  ['cipherSpecs', 'cipherSalt'].forEach((field) => {
+    if (typeof merged[field] !== 'string') {
+      throw new Error(`${field} must be a string`);
+    }
+    if (merged[field].length > MAX_CIPHER_FIELD_LENGTH) {
+      throw new Error(`${field} must be at most ${MAX_CIPHER_FIELD_LENGTH} characters`);
+    }
+  });
+
+  if (!RDNA_LOG_LEVELS.includes(merged.logLevel)) {
+    throw new Error(`Unknown log level: ${merged.logLevel}`);
+  }
+
+  return {
+    cipherSpecs: merged.cipherSpecs,
+    cipherSalt: merged.cipherSalt,
+    proxySettings: validateProxySettings(merged.proxySettings),
+    sslCertificate: validateSslCertificate(merged.sslCertificate),
+    logLevel: merged.logLevel
+  };
+}
+
+/**
+ * Transport options set on a Profiles entry of agent_info.json
+ *
+ * @param {Object} profileEntry - Raw Profiles entry
+ * @returns {Partial<TransportOptions>} Only the fields the entry sets (validated)
+ * @throws {Error} When a set field is invalid
+ */
+function parseProfileTransportOptions(profileEntry) {
+  const fields = {
+    cipherSpecs: profileEntry.CipherSpecs,
+    cipherSalt: profileEntry.CipherSalt,
+    proxySettings: profileEntry.ProxySettings,
+    sslCertificate: profileEntry.SSLCertificate,
+    logLevel: profileEntry.LogLevel
+  };
+
+  const transport = {};
+  Object.keys(fields).forEach((field) => {
+    if (fields[field] !== undefined) {
+      transport[field] = fields[field];
+    }
+  });
+
+  if (Object.keys(transport).length === 0) {
+    return {};
+  }
+
+  const validated = validateTransportOptions(transport);
+  Object.keys(transport).forEach((field) => {
+    transport[field] = validated[field];
+  });
+  return transport;
+}
+
+/**
+ * Loggable copy - proxy password and certificate are masked
+ *
+ * @param {TransportOptions} options
+ * @returns {Object}
+ */
+function describeTransportOptions(options) {
+  return {
+    cipherSpecs: options.cipherSpecs || '(default)',
+    cipherSalt: options.cipherSalt ? '***' : '(default)',
+    proxySettings: options.proxySettings
+      ? `${options.proxySettings.host}:${options.proxySettings.port}${options.proxySettings.username ? ' (authenticated)' : ''}`
+      : 'none',
+    sslCertificate: options.sslCertificate ? `${options.sslCertificate.data.length} base64 chars` : 'none',
+    logLevel: options.logLevel
+  };
+}